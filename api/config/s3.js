@@ -0,0 +1,21 @@
+import { S3Client } from "@aws-sdk/client-s3";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Extract bucket region from S3 base URL or use default
+const bucketRegion = process.env.AWS_S3_BASE_URL?.includes("eu-north-1")
+  ? "eu-north-1"
+  : process.env.AWS_REGION;
+
+const s3 = new S3Client({
+  region: bucketRegion,
+  credentials: {
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+  },
+});
+
+export const BUCKET_NAME = process.env.AWS_BUCKET_NAME;
+
+export default s3;
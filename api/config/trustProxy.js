@@ -0,0 +1,49 @@
+import dotenv from "dotenv";
+import proxyaddr from "proxy-addr";
+
+dotenv.config();
+
+/**
+ * Read the Express "trust proxy" setting from TRUST_PROXY. Behind a load
+ * balancer or reverse proxy it makes req.ip the client's address from
+ * X-Forwarded-For instead of the proxy's, which the admin IP allowlist, rate
+ * limits and session records rely on.
+ * @param {string} [value] - "true", "false", a number of proxy hops, or
+ * comma-separated proxy addresses, subnets or names such as "loopback"
+ * @returns {boolean|number|string} Value for app.set("trust proxy")
+ */
+export function parseTrustProxy(value) {
+  const setting = String(value ?? "").trim();
+  if (setting === "" || setting === "false") {
+    return false;
+  }
+  if (setting === "true") {
+    return true;
+  }
+  if (/^\d+$/.test(setting)) {
+    return Number(setting);
+  }
+  return setting;
+}
+
+/**
+ * Turn a "trust proxy" setting into the function Express uses to decide
+ * which X-Forwarded-For hops to trust, for connections that do not go
+ * through Express such as Socket.IO handshakes.
+ * @param {boolean|number|string} setting - Value from parseTrustProxy
+ * @returns {Function} proxy-addr trust function (address, hop index)
+ */
+export function compileTrustProxy(setting) {
+  if (setting === true) {
+    return () => true;
+  }
+  if (typeof setting === "number") {
+    return (address, hop) => hop < setting;
+  }
+  if (typeof setting === "string") {
+    return proxyaddr.compile(setting.split(",").map((entry) => entry.trim()));
+  }
+  return proxyaddr.compile([]);
+}
+
+export default parseTrustProxy(process.env.TRUST_PROXY);
@@ -0,0 +1,221 @@
+import bcrypt from "bcrypt";
+import { UserRepository } from "../../models/dynamodb/user-repository.js";
+import { AdminRepository } from "../../models/dynamodb/admin-repository.js";
+import {
+  ACCOUNT_TOKEN_TYPES,
+  signAccountToken,
+  verifyAccountToken,
+} from "../../utils/accountTokens.js";
+import {
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+} from "../../utils/accountEmails.js";
+import {
+  buildPasswordHistory,
+  validateNewPassword,
+} from "../../utils/passwordPolicy.js";
+import { endUserSessions } from "./authController.js";
+
+// Same answer whether or not the email belongs to an account, so these
+// endpoints cannot be used to find out who is registered
+const RESET_REQUESTED_MESSAGE =
+  "If an account exists for that email, a password reset link has been sent.";
+const VERIFICATION_RESENT_MESSAGE =
+  "If that email needs verifying, a new verification link has been sent.";
+
+/**
+ * Write an account change to the security events
+ */
+const logAccountEvent = async (req, eventType, user, details = {}) => {
+  try {
+    await AdminRepository.logSecurityEvent(
+      eventType,
+      user.userId,
+      { email: user.email, ...details },
+      req.ip || req.connection?.remoteAddress,
+      req.get?.("User-Agent")
+    );
+  } catch (error) {
+    console.error(`Error logging ${eventType} security event:`, error);
+  }
+};
+
+/**
+ * Issue a new email verification link and send it to the user. Earlier links
+ * stop working.
+ * @param {Object} user - User record
+ */
+export const issueVerificationEmail = async (user) => {
+  const { token, tokenId } = signAccountToken(
+    user.userId,
+    ACCOUNT_TOKEN_TYPES.EMAIL_VERIFICATION
+  );
+  await UserRepository.setEmailVerificationToken(user.userId, tokenId);
+  await sendVerificationEmail(user, token);
+};
+
+/**
+ * Email a password reset link. Failures are only logged, as an error would
+ * reveal that the account exists.
+ * @route POST /api/password/forgot
+ */
+export const requestPasswordReset = async (req, res) => {
+  const { email } = req.value.body;
+
+  try {
+    const user = await UserRepository.findByEmail(email);
+    if (user && user.accountStatus === "active") {
+      const { token, tokenId } = signAccountToken(
+        user.userId,
+        ACCOUNT_TOKEN_TYPES.PASSWORD_RESET
+      );
+      await UserRepository.setPasswordResetToken(user.userId, tokenId);
+      await sendPasswordResetEmail(user, token);
+      await logAccountEvent(req, "PASSWORD_RESET_REQUESTED", user);
+    }
+  } catch (error) {
+    console.error("Error requesting password reset:", error);
+  }
+
+  return res.status(200).json({ message: RESET_REQUESTED_MESSAGE });
+};
+
+/**
+ * Choose a new password with a reset link. Signs the user out everywhere.
+ * @route POST /api/password/reset
+ */
+export const resetPassword = async (req, res) => {
+  const { token, newPassword } = req.value.body;
+  const invalidLink = () =>
+    res.status(400).json({
+      message: "This password reset link is invalid or has expired",
+      code: "RESET_TOKEN_INVALID",
+    });
+
+  try {
+    const claims = verifyAccountToken(
+      token,
+      ACCOUNT_TOKEN_TYPES.PASSWORD_RESET
+    );
+    if (!claims) {
+      return invalidLink();
+    }
+
+    const user = await UserRepository.findById(claims.userId);
+    if (!user || user.passwordResetTokenId !== claims.tokenId) {
+      return invalidLink();
+    }
+    if (user.accountStatus !== "active") {
+      return res.status(403).json({
+        message: "Account is not active",
+        accountStatus: user.accountStatus,
+      });
+    }
+
+    const { passwordPolicy } = await AdminRepository.getSecurityPolicies();
+    const passwordValidation = await validateNewPassword(
+      newPassword,
+      user,
+      passwordPolicy
+    );
+    if (!passwordValidation.isValid) {
+      return res.status(400).json({
+        message: passwordValidation.error,
+        code: passwordValidation.code,
+        failedRequirements: passwordValidation.failedRequirements,
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    const updatedUser = await UserRepository.resetPassword(
+      user.userId,
+      claims.tokenId,
+      hashedPassword,
+      buildPasswordHistory(user)
+    );
+    if (!updatedUser) {
+      return invalidLink();
+    }
+
+    // Whoever knew the old password may still be signed in
+    await endUserSessions(req, user.userId, "PASSWORD_RESET");
+    await logAccountEvent(req, "PASSWORD_RESET", user);
+
+    return res
+      .status(200)
+      .json({ message: "Password reset successfully. Please log in." });
+  } catch (error) {
+    console.error("Error resetting password:", error);
+    return res.status(500).json({ message: "Error resetting password" });
+  }
+};
+
+/**
+ * Confirm an email address with a verification link
+ * @route POST /api/email/verify
+ */
+export const verifyEmail = async (req, res) => {
+  const { token } = req.value.body;
+  const invalidLink = () =>
+    res.status(400).json({
+      message: "This verification link is invalid or has expired",
+      code: "VERIFICATION_TOKEN_INVALID",
+    });
+
+  try {
+    const claims = verifyAccountToken(
+      token,
+      ACCOUNT_TOKEN_TYPES.EMAIL_VERIFICATION
+    );
+    if (!claims) {
+      return invalidLink();
+    }
+
+    const user = await UserRepository.findById(claims.userId);
+    if (!user) {
+      return invalidLink();
+    }
+    // Opening the link twice is not an error
+    if (user.emailVerified !== false) {
+      return res.status(200).json({ message: "Email already verified" });
+    }
+    if (user.emailVerificationTokenId !== claims.tokenId) {
+      return invalidLink();
+    }
+
+    const updatedUser = await UserRepository.verifyEmail(
+      user.userId,
+      claims.tokenId
+    );
+    if (!updatedUser) {
+      return invalidLink();
+    }
+
+    await logAccountEvent(req, "EMAIL_VERIFIED", user);
+
+    return res.status(200).json({ message: "Email verified successfully" });
+  } catch (error) {
+    console.error("Error verifying email:", error);
+    return res.status(500).json({ message: "Error verifying email" });
+  }
+};
+
+/**
+ * Send a new verification link to an unverified account. Failures are only
+ * logged, as an error would reveal that the account exists.
+ * @route POST /api/email/verify/resend
+ */
+export const resendVerificationEmail = async (req, res) => {
+  const { email } = req.value.body;
+
+  try {
+    const user = await UserRepository.findByEmail(email);
+    if (user && user.emailVerified === false) {
+      await issueVerificationEmail(user);
+    }
+  } catch (error) {
+    console.error("Error resending verification email:", error);
+  }
+
+  return res.status(200).json({ message: VERIFICATION_RESENT_MESSAGE });
+};
@@ -0,0 +1,621 @@
+import bcrypt from "bcrypt";
+import { UserRepository } from "../../models/dynamodb/user-repository.js";
+import { AdminRepository } from "../../models/dynamodb/admin-repository.js";
+import { CourseRepository } from "../../models/dynamodb/course-repository.js";
+import { EnrollmentRepository } from "../../models/dynamodb/enrollment-repository.js";
+import { LectureRepository } from "../../models/dynamodb/lecture-repository.js";
+import { RatingRepository } from "../../models/dynamodb/rating-repository.js";
+import { SessionRepository } from "../../models/dynamodb/session-repository.js";
+import { OrganizationRepository } from "../../models/dynamodb/organization-repository.js";
+import { InstructorApplicationRepository } from "../../models/dynamodb/instructor-application-repository.js";
+import { IdentityRepository } from "../../models/dynamodb/identity-repository.js";
+import { QuizAttemptRepository } from "../../models/dynamodb/quiz-attempt-repository.js";
+import { AssignmentSubmissionRepository } from "../../models/dynamodb/assignment-submission-repository.js";
+import { LectureWatchRepository } from "../../models/dynamodb/lecture-watch-repository.js";
+import { LectureNoteRepository } from "../../models/dynamodb/lecture-note-repository.js";
+import { summarizeProgress } from "../../utils/learningProgress.js";
+import { isStaffRole } from "../../utils/permissions.js";
+import { USER_ROLES } from "../../utils/constants.js";
+import { deleteUploadedFile } from "../../utils/storage.js";
+import { endUserSessions } from "./authController.js";
+
+// Days between a deletion request and the account being removed, during
+// which the user can still sign in and cancel
+export const ACCOUNT_DELETION_GRACE_DAYS = 30;
+
+// Profile fields included in the export; password hashes, tokens and MFA
+// secrets are never exported
+const PROFILE_FIELDS = [
+  "userId",
+  "name",
+  "email",
+  "role",
+  "accountStatus",
+  "emailVerified",
+  "mfaEnabled",
+  "createdAt",
+  "passwordChangedAt",
+  "lastLoginAt",
+  "loginCount",
+  "deletionScheduledFor",
+];
+
+const SESSION_FIELDS = [
+  "sessionId",
+  "device",
+  "ipAddress",
+  "userAgent",
+  "createdAt",
+  "lastActiveAt",
+  "expiresAt",
+  "revokedAt",
+  "revokedReason",
+];
+
+const pick = (item, fields) =>
+  Object.fromEntries(fields.map((field) => [field, item[field] ?? null]));
+
+/**
+ * Write an account data change to the security events
+ */
+const logAccountEvent = async (req, eventType, user, details = {}) => {
+  try {
+    await AdminRepository.logSecurityEvent(
+      eventType,
+      user.userId,
+      { email: user.email, ...details },
+      req.ip || req.connection?.remoteAddress,
+      req.get?.("User-Agent")
+    );
+  } catch (error) {
+    console.error(`Error logging ${eventType} security event:`, error);
+  }
+};
+
+/**
+ * Why an account cannot be deleted by its owner, or null if it can. Staff
+ * accounts are removed by a super admin, and instructors must hand over or
+ * remove their courses first.
+ */
+const getDeletionBlocker = async (user) => {
+  if (isStaffRole(user.role)) {
+    return {
+      message: "Staff accounts cannot be deleted from the profile page",
+      code: "STAFF_ACCOUNT",
+    };
+  }
+
+  if (user.role === USER_ROLES.INSTRUCTOR) {
+    const courses = await CourseRepository.findByInstructor(user.userId);
+    if (courses.length > 0) {
+      return {
+        message: "Remove or transfer your courses before deleting your account",
+        code: "INSTRUCTOR_HAS_COURSES",
+      };
+    }
+  }
+
+  return null;
+};
+
+const getDeletionStatus = (user) => ({
+  scheduled: Boolean(user.deletionScheduledFor),
+  requestedAt: user.deletionRequestedAt || null,
+  scheduledFor: user.deletionScheduledFor || null,
+  graceDays: ACCOUNT_DELETION_GRACE_DAYS,
+});
+
+const getUserTickets = async (userId) => {
+  const tickets = [];
+  let lastEvaluatedKey;
+
+  do {
+    const page = await AdminRepository.getAllSupportTickets({
+      userId,
+      limit: 100,
+      lastEvaluatedKey,
+    });
+    tickets.push(...page.tickets);
+    lastEvaluatedKey = page.lastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return Promise.all(
+    tickets.map(async (ticket) => {
+      const messages = await AdminRepository.getTicketMessages(ticket.ticketId);
+      return {
+        ticketId: ticket.ticketId,
+        subject: ticket.subject,
+        description: ticket.description,
+        category: ticket.category,
+        status: ticket.status,
+        createdAt: ticket.createdAt,
+        resolvedAt: ticket.resolvedAt,
+        // Notes staff leave for each other are not part of the conversation
+        messages: messages
+          .filter((message) => !message.isInternal)
+          .map((message) => ({
+            senderName: message.senderName,
+            senderRole: message.senderRole,
+            message: message.message,
+            createdAt: message.createdAt,
+          })),
+      };
+    })
+  );
+};
+
+/**
+ * Build everything stored about a user into one archive
+ * @param {Object} user - User record
+ * @returns {Promise<Object>} Export archive
+ */
+const buildAccountArchive = async (user) => {
+  const userId = user.userId;
+  const [
+    enrollments,
+    ratings,
+    tickets,
+    securityEvents,
+    sessions,
+    memberships,
+    application,
+    quizAttempts,
+    submissions,
+    watches,
+    notes,
+  ] = await Promise.all([
+    EnrollmentRepository.findByUser(userId),
+    RatingRepository.findByUser(userId),
+    getUserTickets(userId),
+    AdminRepository.getUserSecurityEvents(userId),
+    SessionRepository.findByUser(userId),
+    OrganizationRepository.findByMember(userId),
+    InstructorApplicationRepository.findByUser(userId),
+    QuizAttemptRepository.findByUser(userId),
+    AssignmentSubmissionRepository.findByUser(userId),
+    LectureWatchRepository.findByUser(userId),
+    LectureNoteRepository.findByUser(userId),
+  ]);
+
+  const lecturesByCourse = await Promise.all(
+    enrollments.map((enrollment) =>
+      LectureRepository.findByCourse(enrollment.courseId)
+    )
+  );
+  const learning = enrollments.map((enrollment, index) => ({
+    courseId: enrollment.courseId,
+    courseTitle: enrollment.courseTitle,
+    enrolledAt: enrollment.createdAt,
+    completedAt: enrollment.completedAt || null,
+    organizationId: enrollment.organizationId || null,
+    completedLectureIds: enrollment.progress || [],
+    ...summarizeProgress(enrollment, lecturesByCourse[index]),
+  }));
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile: pick(user, PROFILE_FIELDS),
+    enrollments: learning,
+    ratings: ratings.map((rating) => ({
+      courseId: rating.courseId,
+      rating: rating.rating,
+      review: rating.review,
+      createdAt: rating.createdAt,
+      updatedAt: rating.updatedAt,
+    })),
+    quizAttempts: quizAttempts.map((attempt) => ({
+      courseId: attempt.courseId,
+      lectureId: attempt.lectureId,
+      attemptNumber: attempt.attemptNumber,
+      answers: attempt.answers,
+      score: attempt.score,
+      passed: attempt.passed,
+      submittedAt: attempt.submittedAt,
+    })),
+    assignmentSubmissions: submissions.map((submission) => ({
+      courseId: submission.courseId,
+      lectureId: submission.lectureId,
+      files: submission.files,
+      comment: submission.comment,
+      late: submission.late,
+      status: submission.status,
+      submittedAt: submission.submittedAt,
+      grade: submission.grade
+        ? pick(submission.grade, [
+            "scores",
+            "points",
+            "maxPoints",
+            "feedback",
+            "gradedAt",
+          ])
+        : null,
+    })),
+    lectureWatches: watches.map((watch) => ({
+      courseId: watch.courseId,
+      lectureId: watch.lectureId,
+      position: watch.position,
+      duration: watch.duration,
+      segments: watch.segments,
+      updatedAt: watch.updatedAt,
+    })),
+    notes: notes.map((note) =>
+      pick(note, [
+        "courseId",
+        "lectureId",
+        "kind",
+        "timestamp",
+        "text",
+        "createdAt",
+        "updatedAt",
+      ])
+    ),
+    supportTickets: tickets,
+    // Certificates are generated on demand for completed courses
+    certificates: learning
+      .filter((enrollment) => enrollment.completedAt)
+      .map((enrollment) => ({
+        courseId: enrollment.courseId,
+        courseTitle: enrollment.courseTitle,
+        completedAt: enrollment.completedAt,
+      })),
+    activity: securityEvents
+      .map((event) => ({
+        eventType: event.eventType,
+        timestamp: event.timestamp,
+        ipAddress: event.ipAddress,
+        userAgent: event.userAgent,
+        details: event.details,
+      }))
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp)),
+    sessions: sessions.map((session) => pick(session, SESSION_FIELDS)),
+    organizations: memberships.map((membership) => ({
+      organizationId: membership.organizationId,
+      organizationName: membership.organizationName,
+      role: membership.role,
+      joinedAt: membership.joinedAt,
+    })),
+    instructorApplication: application
+      ? {
+          status: application.status,
+          bio: application.bio,
+          expertise: application.expertise,
+          sampleMaterial: application.sampleMaterial,
+          submittedAt: application.submittedAt,
+          reviewedAt: application.reviewedAt || null,
+        }
+      : null,
+  };
+};
+
+/**
+ * Recompute a course's rating aggregates after its ratings change
+ */
+const refreshCourseRatings = async (courseId) => {
+  try {
+    const aggregates = await RatingRepository.calculateAggregates(courseId);
+    const distribution = await RatingRepository.getRatingDistribution(courseId);
+
+    await CourseRepository.updateRatingAggregates(courseId, {
+      averageRating: aggregates.averageRating,
+      ratingCount: aggregates.ratingCount,
+      ratingDistribution: distribution,
+    });
+  } catch (error) {
+    console.error("Error updating course aggregates:", error);
+    // Continue - eventual consistency is acceptable
+  }
+};
+
+/**
+ * Delete an account whose grace period has ended. Ratings are kept but
+ * anonymised so course ratings do not change, seats go back to their pools,
+ * support tickets lose the user's name and email, and everything stored
+ * under the user is removed along with files they handed in for assignments. Security events and admin audit logs are kept.
+ * @param {Object} req - Express request (for the Socket.IO instance)
+ * @param {Object} user - User record
+ * @returns {Promise<Object>} What was removed
+ */
+export const purgeAccount = async (req, user) => {
+  const userId = user.userId;
+
+  const ratings = await RatingRepository.findByUser(userId);
+  for (const rating of ratings) {
+    await RatingRepository.anonymize(rating);
+  }
+  for (const courseId of new Set(ratings.map((rating) => rating.courseId))) {
+    await refreshCourseRatings(courseId);
+  }
+
+  const seats = await OrganizationRepository.findSeatsByUser(userId);
+  for (const seat of seats) {
+    const removed = await OrganizationRepository.deleteSeat(
+      seat.organizationId,
+      seat.poolId,
+      userId
+    );
+    if (removed) {
+      await OrganizationRepository.releaseSeat(
+        seat.organizationId,
+        seat.poolId
+      );
+    }
+  }
+  const memberships = await OrganizationRepository.findByMember(userId);
+  for (const membership of memberships) {
+    await OrganizationRepository.removeMember(
+      membership.organizationId,
+      userId
+    );
+  }
+
+  const identities = await IdentityRepository.findByUser(userId);
+  for (const identity of identities) {
+    await IdentityRepository.unlink(identity.provider, identity.subject);
+  }
+
+  const tickets = await AdminRepository.anonymizeUserTickets(userId);
+
+  const submissions = await AssignmentSubmissionRepository.findByUser(userId);
+  for (const submission of submissions) {
+    for (const file of submission.files) {
+      await deleteUploadedFile(file.fileKey);
+    }
+  }
+
+  await endUserSessions(req, userId, "ACCOUNT_DELETED");
+  const items = await UserRepository.deleteAccount(userId);
+
+  return {
+    userId,
+    ratingsAnonymized: ratings.length,
+    seatsReclaimed: seats.length,
+    organizationsLeft: memberships.length,
+    identitiesUnlinked: identities.length,
+    ticketsAnonymized: tickets,
+    itemsDeleted: items,
+  };
+};
+
+/**
+ * Download everything stored about the current user as JSON
+ * @route GET /api/account/export
+ */
+export const exportAccountData = async (req, res) => {
+  try {
+    const user = await UserRepository.findById(req.user.sub);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const archive = await buildAccountArchive(user);
+    await logAccountEvent(req, "ACCOUNT_DATA_EXPORTED", user);
+
+    const filename = `upskillpro-data-${new Date().toISOString().slice(0, 10)}.json`;
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    return res.status(200).json(archive);
+  } catch (error) {
+    console.error("Error exporting account data:", error);
+    return res.status(500).json({ message: "Error exporting account data" });
+  }
+};
+
+/**
+ * Whether the current user's account is scheduled for deletion
+ * @route GET /api/account/deletion
+ */
+export const getAccountDeletion = async (req, res) => {
+  try {
+    const user = await UserRepository.findById(req.user.sub);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const blocker = user.deletionScheduledFor
+      ? null
+      : await getDeletionBlocker(user);
+
+    return res.status(200).json({
+      ...getDeletionStatus(user),
+      canDelete: !blocker,
+      blockedReason: blocker?.message || null,
+      // Accounts without a password confirm with their email instead
+      hasPassword: Boolean(user.password),
+    });
+  } catch (error) {
+    console.error("Error fetching account deletion:", error);
+    return res
+      .status(500)
+      .json({ message: "Error fetching account deletion status" });
+  }
+};
+
+/**
+ * Schedule the current user's account for deletion after the grace period.
+ * The user confirms with their password, or their email address if the
+ * account has no password.
+ * @route POST /api/account/deletion
+ */
+export const requestAccountDeletion = async (req, res) => {
+  const { password, confirmEmail } = req.value.body;
+
+  try {
+    const user = await UserRepository.findById(req.user.sub);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (user.deletionScheduledFor) {
+      return res.status(409).json({
+        message: "Your account is already scheduled for deletion",
+        code: "DELETION_ALREADY_SCHEDULED",
+        scheduledFor: user.deletionScheduledFor,
+      });
+    }
+
+    const confirmed = user.password
+      ? Boolean(password) && (await bcrypt.compare(password, user.password))
+      : confirmEmail?.toLowerCase() === user.email.toLowerCase();
+    if (!confirmed) {
+      return res.status(401).json({
+        message: user.password
+          ? "Invalid credentials"
+          : "Enter your account's email address to confirm",
+        code: "CONFIRMATION_FAILED",
+      });
+    }
+
+    const blocker = await getDeletionBlocker(user);
+    if (blocker) {
+      return res.status(403).json(blocker);
+    }
+
+    const scheduledFor = new Date(
+      Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000
+    ).toISOString();
+    const updated = await UserRepository.scheduleDeletion(
+      user.userId,
+      scheduledFor
+    );
+    await logAccountEvent(req, "ACCOUNT_DELETION_REQUESTED", user, {
+      scheduledFor,
+    });
+
+    return res.status(200).json({
+      message: `Your account will be deleted on ${scheduledFor.slice(0, 10)}`,
+      ...getDeletionStatus(updated),
+    });
+  } catch (error) {
+    console.error("Error requesting account deletion:", error);
+    return res
+      .status(500)
+      .json({ message: "Error requesting account deletion" });
+  }
+};
+
+/**
+ * Cancel the current user's scheduled deletion
+ * @route DELETE /api/account/deletion
+ */
+export const cancelAccountDeletion = async (req, res) => {
+  try {
+    const user = await UserRepository.cancelDeletion(req.user.sub);
+    if (!user) {
+      return res.status(404).json({
+        message: "Your account is not scheduled for deletion",
+        code: "DELETION_NOT_SCHEDULED",
+      });
+    }
+
+    await logAccountEvent(req, "ACCOUNT_DELETION_CANCELLED", user);
+
+    return res.status(200).json({
+      message: "Account deletion cancelled",
+      ...getDeletionStatus(user),
+    });
+  } catch (error) {
+    console.error("Error cancelling account deletion:", error);
+    return res
+      .status(500)
+      .json({ message: "Error cancelling account deletion" });
+  }
+};
+
+/**
+ * List accounts scheduled for deletion, soonest first
+ * @route GET /api/admin/account-deletions
+ */
+export const getPendingDeletions = async (req, res) => {
+  try {
+    const users = await UserRepository.findPendingDeletions();
+    const now = new Date().toISOString();
+
+    res.status(200).json({
+      success: true,
+      message: "Pending account deletions retrieved successfully",
+      data: {
+        deletions: users.map((user) => ({
+          userId: user.userId,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          requestedAt: user.deletionRequestedAt,
+          scheduledFor: user.deletionScheduledFor,
+          due: user.deletionScheduledFor <= now,
+        })),
+        graceDays: ACCOUNT_DELETION_GRACE_DAYS,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching pending deletions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch pending deletions",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete every account whose grace period has ended. Accounts that have
+ * since become staff or course owners are skipped.
+ * @route POST /api/admin/account-deletions/process
+ */
+export const processDueDeletions = async (req, res) => {
+  try {
+    const due = await UserRepository.findPendingDeletions({
+      dueBy: new Date().toISOString(),
+    });
+
+    const results = [];
+    for (const user of due) {
+      const blocker = await getDeletionBlocker(user);
+      if (blocker) {
+        results.push({ userId: user.userId, status: "skipped", ...blocker });
+        continue;
+      }
+
+      try {
+        const summary = await purgeAccount(req, user);
+        results.push({ status: "deleted", ...summary });
+        await AdminRepository.logSecurityEvent(
+          "ACCOUNT_DELETED",
+          user.userId,
+          { requestedAt: user.deletionRequestedAt },
+          req.ip || req.connection?.remoteAddress,
+          req.get?.("User-Agent")
+        );
+      } catch (error) {
+        console.error("Error deleting account:", error);
+        results.push({
+          userId: user.userId,
+          status: "failed",
+          message: error.message,
+        });
+      }
+    }
+
+    const deleted = results.filter((result) => result.status === "deleted");
+    await AdminRepository.logAdminAction(req.user.sub, "ACCOUNTS_DELETED", {
+      targetEntity: "USERS",
+      newValue: {
+        deleted: deleted.map((result) => result.userId),
+        skipped: results.length - deleted.length,
+      },
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.headers["user-agent"],
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${deleted.length} of ${due.length} due accounts deleted`,
+      data: { results },
+    });
+  } catch (error) {
+    console.error("Error processing account deletions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to process account deletions",
+      error: error.message,
+    });
+  }
+};
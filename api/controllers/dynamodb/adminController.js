@@ -1,5 +1,58 @@
 import { AdminRepository } from "../../models/dynamodb/admin-repository.js";
 import { UserRepository } from "../../models/dynamodb/user-repository.js";
+import { CourseRepository } from "../../models/dynamodb/course-repository.js";
+import {
+  COURSE_STATUS,
+  USER_ROLES,
+  canTransitionCourseStatus,
+} from "../../utils/constants.js";
+import { clearMaintenanceStateCache } from "../../middlewares/maintenanceMode.js";
+import { getRolePermissions } from "../../middlewares/requirePermission.js";
+import { RoleRepository } from "../../models/dynamodb/role-repository.js";
+import {
+  PERMISSIONS,
+  hasPermissions,
+  isBuiltInRole,
+} from "../../utils/permissions.js";
+import { endSession, endUserSessions } from "./authController.js";
+import { listUserSessions } from "./sessionController.js";
+
+/**
+ * Find a user the signed-in admin may act on, answering with 404 or 403
+ * otherwise. Staff only act on users with a weaker role: the admin must
+ * hold every permission the user holds, and more. Super admins, who have no
+ * stronger role above them, may act on each other.
+ * @returns {Promise<Object|null>} User, or null once a response is sent
+ */
+const findManageableUser = async (req, res) => {
+  const user = await UserRepository.findById(req.params.userId);
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: "User not found",
+    });
+    return null;
+  }
+
+  const adminPermissions = await getRolePermissions(req.user.role);
+  const userPermissions = await getRolePermissions(user.role);
+  const weaker =
+    hasPermissions(adminPermissions, userPermissions) &&
+    (adminPermissions.length > userPermissions.length ||
+      userPermissions.length === 0 ||
+      req.user.role === USER_ROLES.SUPER_ADMIN);
+  if (!weaker) {
+    res.status(403).json({
+      success: false,
+      message:
+        "You cannot act on a user whose role is equal to or stronger than your own",
+      code: "PERMISSION_DENIED",
+    });
+    return null;
+  }
+
+  return user;
+};
 
 /**
  * Verify admin access and return user info
@@ -21,7 +74,8 @@ export const verifyAdminAccess = async (req, res) => {
       });
     }
 
-    if (user.role !== "super_admin" && user.role !== "admin") {
+    const permissions = await getRolePermissions(user.role);
+    if (permissions.length === 0) {
       return res.status(403).json({
         success: false,
         message: "Admin access required",
@@ -61,8 +115,7 @@ export const verifyAdminAccess = async (req, res) => {
           createdAt: user.createdAt,
           lastLoginAt: user.lastLoginAt,
         },
-        permissions:
-          user.role === "super_admin" ? ["super_admin", "admin"] : ["admin"],
+        permissions,
         verifiedAt: new Date().toISOString(),
       },
     });
@@ -320,12 +373,45 @@ export const updateUserRole = async (req, res) => {
       });
     }
 
+    if (!isBuiltInRole(role) && !(await RoleRepository.findByName(role))) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown role: ${role}`,
+        code: "INVALID_ROLE",
+      });
+    }
+
+    const user = await UserRepository.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    // Moving a user onto or off a role is as strong as holding it, so the
+    // admin must hold every permission of both roles
+    const adminPermissions = await getRolePermissions(req.user.role);
+    const affected = [
+      ...(await getRolePermissions(role)),
+      ...(await getRolePermissions(user.role)),
+    ];
+    if (!hasPermissions(adminPermissions, affected)) {
+      return res.status(403).json({
+        success: false,
+        message: "You cannot assign or remove a role stronger than your own",
+        code: "PERMISSION_DENIED",
+      });
+    }
+
     const updatedUser = await AdminRepository.updateUserRole(
       userId,
       role,
       adminId,
       reason
     );
+    // Tokens carry the old role, so the user must sign in again
+    await endUserSessions(req, userId, "ROLE_CHANGED");
 
     res.status(200).json({
       success: true,
@@ -359,6 +445,8 @@ export const updateUserAccountStatus = async (req, res) => {
       });
     }
 
+    if (!(await findManageableUser(req, res))) return;
+
     let updatedUser;
     if (status === "suspended") {
       updatedUser = await AdminRepository.deactivateUser(
@@ -366,6 +454,7 @@ export const updateUserAccountStatus = async (req, res) => {
         adminId,
         reason
       );
+      await endUserSessions(req, userId, "ACCOUNT_SUSPENDED");
     } else {
       updatedUser = await AdminRepository.reactivateUser(
         userId,
@@ -389,6 +478,180 @@ export const updateUserAccountStatus = async (req, res) => {
   }
 };
 
+/**
+ * Lift a brute-force lockout on a user account (admin operation)
+ */
+export const unlockUserAccount = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { reason } = req.body || {};
+    const adminId = req.user.sub;
+
+    const user = await findManageableUser(req, res);
+    if (!user) return;
+
+    const updatedUser = await UserRepository.unlockAccount(userId);
+
+    await AdminRepository.logSecurityEvent(
+      "ACCOUNT_UNLOCKED",
+      userId,
+      {
+        email: user.email,
+        unlockedBy: adminId,
+        previousLockedUntil: user.lockedUntil || null,
+        reason: reason || null,
+      },
+      req.ip || req.connection.remoteAddress,
+      req.get("User-Agent")
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "User account unlocked successfully",
+      data: updatedUser,
+    });
+  } catch (error) {
+    console.error("Error unlocking user account:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to unlock user account",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Clear a user's MFA enrolment so they can set it up again (admin operation)
+ */
+export const resetUserMfa = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { reason } = req.body || {};
+    const adminId = req.user.sub;
+
+    const user = await findManageableUser(req, res);
+    if (!user) return;
+
+    const updatedUser = await UserRepository.disableMfa(userId);
+
+    await AdminRepository.logSecurityEvent(
+      "MFA_RESET",
+      userId,
+      {
+        email: user.email,
+        resetBy: adminId,
+        wasEnabled: user.mfaEnabled === true,
+        reason: reason || null,
+      },
+      req.ip || req.connection.remoteAddress,
+      req.get("User-Agent")
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "User MFA reset successfully",
+      data: updatedUser,
+    });
+  } catch (error) {
+    console.error("Error resetting user MFA:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to reset user MFA",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * List a user's active sessions (admin operation)
+ */
+export const getUserSessions = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await UserRepository.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const sessions = await listUserSessions(userId);
+
+    res.status(200).json({
+      success: true,
+      data: sessions,
+    });
+  } catch (error) {
+    console.error("Error fetching user sessions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch user sessions",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Sign out one of a user's sessions, or all of them when no session ID is
+ * given (admin operation)
+ */
+export const revokeUserSessions = async (req, res) => {
+  try {
+    const { userId, sessionId } = req.params;
+    const { reason } = req.body || {};
+    const adminId = req.user.sub;
+
+    const user = await findManageableUser(req, res);
+    if (!user) return;
+
+    let revokedSessions;
+    if (sessionId) {
+      const revoked = await endSession(req, userId, sessionId, "ADMIN_REVOKED");
+      if (!revoked) {
+        return res.status(404).json({
+          success: false,
+          message: "Session not found",
+        });
+      }
+      revokedSessions = 1;
+    } else {
+      revokedSessions = await endUserSessions(req, userId, "ADMIN_REVOKED");
+    }
+
+    await AdminRepository.logSecurityEvent(
+      "SESSION_REVOKED",
+      userId,
+      {
+        email: user.email,
+        sessionId: sessionId || null,
+        revokedSessions,
+        revokedBy: adminId,
+        reason: reason || null,
+      },
+      req.ip || req.connection.remoteAddress,
+      req.get("User-Agent")
+    );
+
+    res.status(200).json({
+      success: true,
+      message:
+        revokedSessions === 1
+          ? "Session signed out successfully"
+          : `${revokedSessions} sessions signed out successfully`,
+      data: { revokedSessions },
+    });
+  } catch (error) {
+    console.error("Error revoking user sessions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to revoke user sessions",
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Get user activity monitoring data
  * Requirements: 2.4, 2.5
@@ -424,6 +687,8 @@ export const getUserActivity = async (req, res) => {
       loginCount: user.loginCount || 0,
       lastLoginAt: user.lastLoginAt,
       failedLoginAttempts: user.failedLoginAttempts || 0,
+      mfaEnabled: user.mfaEnabled === true,
+      lockedUntil: user.lockedUntil || null,
       accountStatus: user.accountStatus,
       recentActions: userLogs,
     };
@@ -532,6 +797,23 @@ export const approveCourse = async (req, res) => {
     const { reason } = req.body;
     const adminId = req.user.sub;
 
+    const course = await CourseRepository.findById(courseId);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: "Course not found",
+      });
+    }
+
+    if (course.status !== COURSE_STATUS.PENDING_REVIEW) {
+      return res.status(409).json({
+        success: false,
+        message: "Only courses pending review can be approved",
+        code: "INVALID_STATUS_TRANSITION",
+        currentStatus: course.status || null,
+      });
+    }
+
     const approvedCourse = await AdminRepository.approveCourse(
       courseId,
       adminId,
@@ -545,6 +827,13 @@ export const approveCourse = async (req, res) => {
     });
   } catch (error) {
     console.error("Error approving course:", error);
+    if (error.name === "ConditionalCheckFailedException") {
+      return res.status(409).json({
+        success: false,
+        message: "Course status changed during review, please reload",
+        code: "INVALID_STATUS_TRANSITION",
+      });
+    }
     res.status(500).json({
       success: false,
       message: "Failed to approve course",
@@ -570,11 +859,26 @@ export const rejectCourse = async (req, res) => {
       });
     }
 
+    const course = await CourseRepository.findById(courseId);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: "Course not found",
+      });
+    }
+
+    if (!canTransitionCourseStatus(course.status, COURSE_STATUS.REJECTED)) {
+      return res.status(409).json({
+        success: false,
+        message: `Course in status ${course.status} cannot be rejected`,
+        code: "INVALID_STATUS_TRANSITION",
+        currentStatus: course.status,
+      });
+    }
+
     // Update course status to rejected
-    const rejectedCourse = await AdminRepository.moderateContent(
+    const rejectedCourse = await AdminRepository.rejectCourse(
       courseId,
-      "course",
-      "rejected",
       adminId,
       reason
     );
@@ -586,6 +890,13 @@ export const rejectCourse = async (req, res) => {
     });
   } catch (error) {
     console.error("Error rejecting course:", error);
+    if (error.name === "ConditionalCheckFailedException") {
+      return res.status(409).json({
+        success: false,
+        message: "Course status changed during review, please reload",
+        code: "INVALID_STATUS_TRANSITION",
+      });
+    }
     res.status(500).json({
       success: false,
       message: "Failed to reject course",
@@ -652,10 +963,10 @@ export const getInstructorPerformance = async (req, res) => {
     // Calculate performance metrics
     const totalCourses = instructorCourses.count;
     const approvedCourses = instructorCourses.courses.filter(
-      (course) => course.status === "approved"
+      (course) => course.status === COURSE_STATUS.APPROVED
     ).length;
     const pendingCourses = instructorCourses.courses.filter(
-      (course) => course.status === "pending"
+      (course) => course.status === COURSE_STATUS.PENDING_REVIEW
     ).length;
 
     // Get revenue analytics for this instructor
@@ -1574,6 +1885,17 @@ export const updateSupportTicket = async (req, res) => {
     const updates = req.body;
     const adminId = req.user.sub;
 
+    if (
+      updates.assignedTo !== undefined &&
+      !hasPermissions(req.permissions, [PERMISSIONS.TICKETS_ASSIGN])
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have permission to assign tickets",
+        code: "PERMISSION_DENIED",
+      });
+    }
+
     const updatedTicket = await AdminRepository.updateSupportTicket(
       ticketId,
       updates,
@@ -2382,6 +2704,7 @@ export const scheduleMaintenanceWindow = async (req, res) => {
       notifyUsers,
       scheduledBy: adminId,
     });
+    clearMaintenanceStateCache();
 
     // Log the action
     await AdminRepository.logAdminAction(adminId, "MAINTENANCE_SCHEDULED", {
@@ -2449,6 +2772,7 @@ export const updateMaintenanceWindow = async (req, res) => {
       updates,
       adminId
     );
+    clearMaintenanceStateCache();
 
     res.status(200).json({
       success: true,
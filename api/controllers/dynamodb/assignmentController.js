@@ -0,0 +1,483 @@
+import { v4 as uuidv4 } from "uuid";
+import { CourseRepository } from "../../models/dynamodb/course-repository.js";
+import { LectureRepository } from "../../models/dynamodb/lecture-repository.js";
+import { SectionRepository } from "../../models/dynamodb/section-repository.js";
+import { EnrollmentRepository } from "../../models/dynamodb/enrollment-repository.js";
+import { AssignmentSubmissionRepository } from "../../models/dynamodb/assignment-submission-repository.js";
+import { UserRepository } from "../../models/dynamodb/user-repository.js";
+import { nextPosition, orderLectures } from "../../utils/curriculum.js";
+import { LECTURE_TYPES } from "../../utils/constants.js";
+import {
+  SUBMISSION_STATUS,
+  findScoreProblem,
+  isAssignment,
+  isPastDue,
+  totalRubricPoints,
+} from "../../utils/assignments.js";
+import { deleteUploadedFile } from "../../utils/storage.js";
+import { sendAssignmentGradedEmail } from "../../utils/accountEmails.js";
+
+const generateS3Url = (fileKey) => {
+  const baseUrl = process.env.AWS_S3_BASE_URL;
+  return `${baseUrl}/${fileKey}`;
+};
+
+// Give new criteria an ID; IDs sent back from the form are kept
+const buildAssignment = ({
+  instructions,
+  dueAt,
+  allowLateSubmissions,
+  rubric,
+}) => ({
+  instructions,
+  dueAt,
+  allowLateSubmissions,
+  rubric: rubric.map((criterion) => ({
+    ...criterion,
+    criterionId: criterion.criterionId || uuidv4(),
+  })),
+});
+
+const formatAssignment = (lecture) => ({
+  id: lecture.lectureId,
+  title: lecture.title,
+  type: lecture.type,
+  sectionId: lecture.sectionId ?? null,
+  ...lecture.assignment,
+  maxPoints: totalRubricPoints(lecture.assignment.rubric),
+});
+
+const formatSubmission = (submission) => ({
+  userId: submission.userId,
+  userName: submission.userName,
+  lectureId: submission.lectureId,
+  files: submission.files.map((file) => ({
+    ...file,
+    url: generateS3Url(file.fileKey),
+  })),
+  comment: submission.comment,
+  late: submission.late,
+  status: submission.status,
+  submittedAt: submission.submittedAt,
+  grade: submission.grade ?? null,
+});
+
+const notEnrolledResponse = (res) =>
+  res.status(403).json({
+    message: "Enroll in this course to see its assignments",
+    code: "NOT_ENROLLED",
+  });
+
+/**
+ * Find a course the signed-in instructor owns, answering with 404 or 403
+ * otherwise
+ * @returns {Promise<Object|null>} Course, or null once a response is sent
+ */
+const findOwnedCourse = async (req, res) => {
+  const course = await CourseRepository.findById(req.params.id);
+  if (!course) {
+    res.status(404).json({ message: "Course not found" });
+    return null;
+  }
+
+  if (course.instructorId !== req.user.sub) {
+    res
+      .status(403)
+      .json({ message: "You are not authorized to edit this course" });
+    return null;
+  }
+
+  return course;
+};
+
+/**
+ * Find a course and one of its assignments, answering with 404 if either is
+ * missing and 403 if ownerOnly is set and the user is not its instructor
+ * @returns {Promise<Object|null>} { course, lecture }, or null once a
+ * response is sent
+ */
+const findAssignment = async (req, res, { ownerOnly = false } = {}) => {
+  const course = ownerOnly
+    ? await findOwnedCourse(req, res)
+    : await CourseRepository.findById(req.params.id);
+  if (!course) {
+    if (!ownerOnly) res.status(404).json({ message: "Course not found" });
+    return null;
+  }
+
+  const lecture = await LectureRepository.findById(
+    course.courseId,
+    req.params.lectureId
+  );
+  if (!isAssignment(lecture)) {
+    res.status(404).json({
+      message: "Assignment not found",
+      code: "ASSIGNMENT_NOT_FOUND",
+    });
+    return null;
+  }
+
+  return { course, lecture };
+};
+
+/**
+ * Add an assignment lecture at the end of a section, or among the
+ * unsectioned lectures
+ * @route POST /api/courses/:id/assignments
+ */
+export const createAssignment = async (req, res) => {
+  try {
+    const course = await findOwnedCourse(req, res);
+    if (!course) return;
+
+    const courseId = course.courseId;
+    const { title, sectionId, ...settings } = req.value.body;
+
+    if (sectionId && !(await SectionRepository.findById(courseId, sectionId))) {
+      return res.status(404).json({
+        message: "Section not found",
+        code: "SECTION_NOT_FOUND",
+      });
+    }
+
+    const lectures = await LectureRepository.findByCourse(courseId);
+    const lecture = await LectureRepository.create({
+      courseId,
+      title,
+      type: LECTURE_TYPES.ASSIGNMENT,
+      assignment: buildAssignment(settings),
+      sectionId,
+      position: nextPosition(
+        lectures.filter(
+          (existing) => (existing.sectionId ?? null) === sectionId
+        )
+      ),
+    });
+
+    res.status(201).json(formatAssignment(lecture));
+  } catch (error) {
+    console.error("Error creating assignment:", error);
+    res.status(500).json({
+      message: "Failed to create assignment",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Replace an assignment's title, instructions, due date and rubric. Grades
+ * already given keep the rubric they were scored against.
+ * @route PUT /api/courses/:id/assignments/:lectureId
+ */
+export const updateAssignment = async (req, res) => {
+  try {
+    const found = await findAssignment(req, res, { ownerOnly: true });
+    if (!found) return;
+
+    const { title, ...settings } = req.value.body;
+    const lecture = await LectureRepository.update(
+      found.course.courseId,
+      found.lecture.lectureId,
+      {
+        title,
+        assignment: buildAssignment(settings),
+        updatedAt: new Date().toISOString(),
+      }
+    );
+
+    res.status(200).json(formatAssignment(lecture));
+  } catch (error) {
+    console.error("Error updating assignment:", error);
+    res.status(500).json({
+      message: "Failed to update assignment",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get an assignment. Enrolled learners also get their submission and grade.
+ * @route GET /api/courses/:id/assignments/:lectureId
+ */
+export const getAssignment = async (req, res) => {
+  try {
+    const found = await findAssignment(req, res);
+    if (!found) return;
+
+    const { course, lecture } = found;
+    if (course.instructorId === req.user.sub) {
+      return res.status(200).json(formatAssignment(lecture));
+    }
+
+    const enrollment = await EnrollmentRepository.findByUserAndCourse(
+      req.user.sub,
+      course.courseId
+    );
+    if (!enrollment) {
+      return notEnrolledResponse(res);
+    }
+
+    const submission = await AssignmentSubmissionRepository.findOne(
+      req.user.sub,
+      course.courseId,
+      lecture.lectureId
+    );
+
+    res.status(200).json({
+      ...formatAssignment(lecture),
+      submission: submission ? formatSubmission(submission) : null,
+    });
+  } catch (error) {
+    console.error("Error fetching assignment:", error);
+    res.status(500).json({
+      message: "Failed to fetch assignment",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Hand in files for an assignment. Work can be replaced until it is graded;
+ * handing it in completes the lecture.
+ * @route PUT /api/courses/:id/assignments/:lectureId/submission
+ */
+export const submitAssignment = async (req, res) => {
+  try {
+    const found = await findAssignment(req, res);
+    if (!found) return;
+
+    const { course, lecture } = found;
+    const userId = req.user.sub;
+
+    const enrollment = await EnrollmentRepository.findByUserAndCourse(
+      userId,
+      course.courseId
+    );
+    if (!enrollment) {
+      return notEnrolledResponse(res);
+    }
+
+    const late = isPastDue(lecture.assignment);
+    if (late && !lecture.assignment.allowLateSubmissions) {
+      return res.status(409).json({
+        message: "This assignment no longer accepts submissions",
+        code: "PAST_DUE",
+      });
+    }
+
+    const previous = await AssignmentSubmissionRepository.findOne(
+      userId,
+      course.courseId,
+      lecture.lectureId
+    );
+    const { files, comment } = req.value.body;
+    const submission =
+      previous?.status === SUBMISSION_STATUS.GRADED
+        ? null
+        : await AssignmentSubmissionRepository.submit({
+            userId,
+            userName: req.user.name || req.user.email,
+            courseId: course.courseId,
+            lectureId: lecture.lectureId,
+            files,
+            comment,
+            late,
+          });
+
+    // Also covers a grade posted between our read and write
+    if (!submission) {
+      return res.status(409).json({
+        message: "This submission has already been graded",
+        code: "ALREADY_GRADED",
+      });
+    }
+
+    // Files left out of the new submission are no longer needed
+    const keptKeys = new Set(files.map((file) => file.fileKey));
+    await Promise.all(
+      (previous?.files || [])
+        .filter((file) => !keptKeys.has(file.fileKey))
+        .map((file) => deleteUploadedFile(file.fileKey))
+    );
+
+    const lectures = await LectureRepository.findByCourse(course.courseId);
+    const updated = await EnrollmentRepository.completeLecture(
+      enrollment,
+      lecture.lectureId,
+      lectures.map((item) => item.lectureId)
+    );
+
+    res.status(200).json({
+      submission: formatSubmission(submission),
+      progress: updated.progress,
+    });
+  } catch (error) {
+    console.error("Error submitting assignment:", error);
+    res.status(500).json({
+      message: "Failed to submit assignment",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * The instructor's grading queue: a course's assignments and their
+ * submissions, oldest first. ?status=submitted lists work still to grade.
+ * @route GET /api/courses/:id/submissions
+ */
+export const getGradingQueue = async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !Object.values(SUBMISSION_STATUS).includes(status)) {
+      return res.status(400).json({
+        message: `status must be one of: ${Object.values(SUBMISSION_STATUS).join(", ")}`,
+      });
+    }
+
+    const course = await findOwnedCourse(req, res);
+    if (!course) return;
+
+    const [sections, lectures, submissions] = await Promise.all([
+      SectionRepository.findByCourse(course.courseId),
+      LectureRepository.findByCourse(course.courseId),
+      AssignmentSubmissionRepository.findByCourse(course.courseId, { status }),
+    ]);
+
+    res.status(200).json({
+      assignments: orderLectures(sections, lectures)
+        .filter(isAssignment)
+        .map(formatAssignment),
+      submissions: submissions
+        .sort((a, b) => a.submittedAt.localeCompare(b.submittedAt))
+        .map(formatSubmission),
+    });
+  } catch (error) {
+    console.error("Error fetching grading queue:", error);
+    res.status(500).json({
+      message: "Failed to fetch grading queue",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Grade a submission against the assignment's rubric and email the learner.
+ * Grades can be changed; the learner is emailed again.
+ * @route PUT /api/courses/:id/assignments/:lectureId/submissions/:userId/grade
+ */
+export const gradeSubmission = async (req, res) => {
+  try {
+    const found = await findAssignment(req, res, { ownerOnly: true });
+    if (!found) return;
+
+    const { course, lecture } = found;
+    const { rubric } = lecture.assignment;
+    const { scores, feedback } = req.value.body;
+
+    const problem = findScoreProblem(rubric, scores);
+    if (problem) {
+      return res.status(400).json({ message: problem, code: "INVALID_GRADE" });
+    }
+
+    // Criteria are copied so the grade still reads correctly if the rubric
+    // is edited later
+    const points = new Map(
+      scores.map((score) => [score.criterionId, score.points])
+    );
+    const gradedScores = rubric.map((criterion) => ({
+      criterionId: criterion.criterionId,
+      title: criterion.title,
+      maxPoints: criterion.maxPoints,
+      points: points.get(criterion.criterionId),
+    }));
+
+    const submission = await AssignmentSubmissionRepository.grade(
+      req.params.userId,
+      course.courseId,
+      lecture.lectureId,
+      {
+        scores: gradedScores,
+        points: gradedScores.reduce((sum, score) => sum + score.points, 0),
+        maxPoints: totalRubricPoints(rubric),
+        feedback,
+        gradedBy: req.user.sub,
+      }
+    );
+    if (!submission) {
+      return res.status(404).json({
+        message: "Submission not found",
+        code: "SUBMISSION_NOT_FOUND",
+      });
+    }
+
+    // The grade is saved; a failed email must not undo it
+    try {
+      const learner = await UserRepository.findById(submission.userId);
+      if (learner) {
+        await sendAssignmentGradedEmail(learner, course, lecture, submission);
+      }
+    } catch (error) {
+      console.error("Error emailing assignment grade:", error);
+    }
+
+    res.status(200).json(formatSubmission(submission));
+  } catch (error) {
+    console.error("Error grading submission:", error);
+    res.status(500).json({
+      message: "Failed to grade submission",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * The signed-in learner's assignments in a course, in curriculum order, with
+ * whether each was handed in and its grade
+ * @route GET /api/courses/:id/grades
+ */
+export const getMyGrades = async (req, res) => {
+  try {
+    const courseId = req.params.id;
+    const userId = req.user.sub;
+
+    const enrollment = await EnrollmentRepository.findByUserAndCourse(
+      userId,
+      courseId
+    );
+    if (!enrollment) {
+      return notEnrolledResponse(res);
+    }
+
+    const [sections, lectures, submissions] = await Promise.all([
+      SectionRepository.findByCourse(courseId),
+      LectureRepository.findByCourse(courseId),
+      AssignmentSubmissionRepository.findByUserAndCourse(userId, courseId),
+    ]);
+    const byLecture = new Map(
+      submissions.map((submission) => [submission.lectureId, submission])
+    );
+
+    res.status(200).json(
+      orderLectures(sections, lectures)
+        .filter(isAssignment)
+        .map((lecture) => {
+          const submission = byLecture.get(lecture.lectureId);
+          return {
+            lectureId: lecture.lectureId,
+            title: lecture.title,
+            dueAt: lecture.assignment.dueAt,
+            maxPoints: totalRubricPoints(lecture.assignment.rubric),
+            status: submission?.status || "not_submitted",
+            submittedAt: submission?.submittedAt || null,
+            grade: submission?.grade ?? null,
+          };
+        })
+    );
+  } catch (error) {
+    console.error("Error fetching grades:", error);
+    res.status(500).json({
+      message: "Failed to fetch grades",
+      error: error.message,
+    });
+  }
+};
@@ -1,12 +1,57 @@
 import { UserRepository } from "../../models/dynamodb/user-repository.js";
+import { AdminRepository } from "../../models/dynamodb/admin-repository.js";
+import { SessionRepository } from "../../models/dynamodb/session-repository.js";
 import jwt from "jsonwebtoken";
 import bcrypt from "bcrypt";
+import { v4 as uuidv4 } from "uuid";
 import {
   hasAdminPrivileges,
   hasSuperAdminPrivileges,
 } from "../../utils/constants.js";
+import {
+  buildPasswordHistory,
+  getPasswordRequirements,
+  isPasswordExpired,
+  resolvePasswordPolicy,
+  validateNewPassword,
+} from "../../utils/passwordPolicy.js";
+import {
+  getAccountLockStatus,
+  getFailedLoginWindowCutoff,
+  getFailedLoginLock,
+} from "../../utils/loginLockout.js";
+import { alertAccountLockout } from "../../utils/notificationHelpers.js";
+import { isMfaRequiredForRole, verifyMfaCode } from "../../utils/mfa.js";
+import { getRolePermissions } from "../../middlewares/requirePermission.js";
+import {
+  ACCESS_TOKEN_COOKIE,
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_COOKIE,
+  accessTokenCookieOptions,
+  clearAccessTokenCookieOptions,
+  clearRefreshTokenCookieOptions,
+  generateRefreshToken,
+  isSessionActive,
+  parseRefreshToken,
+  refreshTokenCookieOptions,
+} from "../../utils/sessionTokens.js";
+import {
+  describeDevice,
+  getActiveSessions,
+  getSessionExpiry,
+  getSessionTimeout,
+  getSessionsToEvict,
+} from "../../utils/sessionPolicy.js";
+import { getSessionPolicy } from "../../middlewares/authenticateToken.js";
 
 const JWT_SECRET = process.env.JWT_SECRET;
+// MFA challenge tokens are signed with a separate key so they can never be
+// used as an access token
+const MFA_CHALLENGE_SECRET = `${JWT_SECRET}:mfa-challenge`;
+const MFA_CHALLENGE_TTL = "5m";
+// Two tabs can refresh with the same cookie at once; the slower one is given
+// an access token instead of being treated as refresh token theft
+const REFRESH_REUSE_GRACE_MS = 10 * 1000;
 
 export const loginHandler = async (req, res) => {
   const { email, password } = req.value.body;
@@ -25,45 +70,111 @@ export const loginHandler = async (req, res) => {
       });
     }
 
-    const isPasswordValid = await bcrypt.compare(password, user.password);
+    const { passwordPolicy, sessionPolicy, accessControl } =
+      await AdminRepository.getSecurityPolicies();
+
+    // Refuse locked accounts before checking the password
+    const lockStatus = getAccountLockStatus(user);
+    if (lockStatus.locked) {
+      await logLoginSecurityEvent(req, "FAILED_LOGIN", user, {
+        reason: "ACCOUNT_LOCKED",
+      });
+      return sendAccountLocked(res, lockStatus);
+    }
+
+    // Accounts created through an external provider have no password
+    const isPasswordValid =
+      Boolean(user.password) && (await bcrypt.compare(password, user.password));
     if (!isPasswordValid) {
-      // Update failed login attempts
-      await UserRepository.updateLoginTracking(user.userId, false);
+      const failedStatus = await registerFailedLogin(req, user, accessControl);
+      if (failedStatus.locked) {
+        return sendAccountLocked(res, failedStatus);
+      }
       return res.status(401).json({ message: "Invalid credentials" });
     }
 
-    // Update successful login tracking
-    await UserRepository.updateLoginTracking(user.userId, true);
+    // Accounts created before verification existed have no emailVerified
+    if (
+      user.emailVerified === false &&
+      accessControl?.allowUnverifiedLogin === false
+    ) {
+      return res.status(403).json({
+        message: "Please verify your email address before logging in",
+        code: "EMAIL_NOT_VERIFIED",
+      });
+    }
 
-    const token = generateToken(user);
+    // Force rotation of passwords older than the policy's maxAge
+    if (isPasswordExpired(user, passwordPolicy)) {
+      return res.status(403).json({
+        message: "Your password has expired and must be changed",
+        code: "PASSWORD_EXPIRED",
+      });
+    }
 
-    res.cookie("token", token, {
-      httpOnly: true,
-      secure: true,
-      sameSite: "none",
-      maxAge: 24 * 60 * 60 * 1000,
-      path: "/",
+    return continueLogin(req, res, user, sessionPolicy);
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "login error",
+      error: error.message,
     });
+  }
+};
 
-    return res.status(200).json({
-      success: true,
-      message: "Login successful",
-      token: token,
-      user: {
-        userId: user.userId,
-        id: user.userId, // Keep for backward compatibility
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        profilePicture: user.profilePicture || null,
-        bio: user.bio || null,
-        accountStatus: user.accountStatus,
-        createdAt: user.createdAt,
-        lastLoginAt: user.lastLoginAt,
-        isAdmin: hasAdminPrivileges(user.role),
-        isSuperAdmin: hasSuperAdminPrivileges(user.role),
-      },
-    });
+/**
+ * Second login step for users with MFA: exchange the challenge token and a
+ * TOTP or recovery code for a session
+ * @route POST /api/login/mfa
+ */
+export const verifyMfaLogin = async (req, res) => {
+  const { mfaToken, code } = req.value.body;
+
+  try {
+    let challenge;
+    try {
+      challenge = jwt.verify(mfaToken, MFA_CHALLENGE_SECRET);
+    } catch {
+      return res.status(401).json({
+        message: "Your sign-in attempt has expired. Please log in again.",
+        code: "MFA_CHALLENGE_EXPIRED",
+      });
+    }
+
+    const user = await UserRepository.findById(challenge.sub);
+    if (!user || user.accountStatus !== "active" || !user.mfaEnabled) {
+      return res.status(401).json({ message: "Invalid credentials" });
+    }
+
+    const { accessControl } = await AdminRepository.getSecurityPolicies();
+
+    const lockStatus = getAccountLockStatus(user);
+    if (lockStatus.locked) {
+      return sendAccountLocked(res, lockStatus);
+    }
+
+    const verification = verifyMfaCode(user, code);
+    if (!verification.valid) {
+      const failedStatus = await registerFailedLogin(req, user, accessControl, {
+        reason: "INVALID_MFA_CODE",
+      });
+      if (failedStatus.locked) {
+        return sendAccountLocked(res, failedStatus);
+      }
+      return res.status(401).json({
+        message: "Invalid verification code",
+        code: "MFA_INVALID_CODE",
+      });
+    }
+
+    await UserRepository.update(user.userId, verification.updates);
+    if (verification.method === "recovery") {
+      await logLoginSecurityEvent(req, "MFA_RECOVERY_CODE_USED", user, {
+        recoveryCodesRemaining: verification.updates.mfaRecoveryCodes.length,
+      });
+    }
+
+    return completeLogin(req, res, user, { mfa: true });
   } catch (error) {
     return res.status(500).json({
       success: false,
@@ -73,7 +184,516 @@ export const loginHandler = async (req, res) => {
   }
 };
 
-const generateToken = (user) => {
+/**
+ * Get the live password policy and its requirements (public)
+ * @route GET /api/password-policy
+ */
+export const getPasswordPolicy = async (req, res) => {
+  try {
+    const { passwordPolicy } = await AdminRepository.getSecurityPolicies();
+    const policy = resolvePasswordPolicy(passwordPolicy);
+
+    return res.status(200).json({
+      passwordPolicy: policy,
+      requirements: getPasswordRequirements(policy),
+    });
+  } catch (error) {
+    console.error("Error fetching password policy:", error);
+    return res.status(500).json({ error: "Failed to fetch password policy" });
+  }
+};
+
+/**
+ * Replace an expired password using the current credentials
+ * @route POST /api/password/rotate
+ */
+export const rotateExpiredPassword = async (req, res) => {
+  const { email, currentPassword, newPassword } = req.value.body;
+
+  try {
+    const user = await UserRepository.findByEmail(email);
+    if (!user) {
+      return res.status(401).json({ message: "Invalid credentials" });
+    }
+
+    const { passwordPolicy, accessControl } =
+      await AdminRepository.getSecurityPolicies();
+
+    const lockStatus = getAccountLockStatus(user);
+    if (lockStatus.locked) {
+      return sendAccountLocked(res, lockStatus);
+    }
+
+    // Accounts created through an external provider have no password
+    const isPasswordValid =
+      Boolean(user.password) &&
+      (await bcrypt.compare(currentPassword, user.password));
+    if (!isPasswordValid) {
+      const failedStatus = await registerFailedLogin(req, user, accessControl);
+      if (failedStatus.locked) {
+        return sendAccountLocked(res, failedStatus);
+      }
+      return res.status(401).json({ message: "Invalid credentials" });
+    }
+
+    const passwordValidation = await validateNewPassword(
+      newPassword,
+      user,
+      passwordPolicy
+    );
+    if (!passwordValidation.isValid) {
+      return res.status(400).json({
+        message: passwordValidation.error,
+        code: passwordValidation.code,
+        failedRequirements: passwordValidation.failedRequirements,
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    await UserRepository.updatePassword(
+      user.userId,
+      hashedPassword,
+      buildPasswordHistory(user)
+    );
+
+    return res
+      .status(200)
+      .json({ message: "Password changed successfully. Please log in." });
+  } catch (error) {
+    console.error("Error rotating password:", error);
+    return res.status(500).json({
+      message: "Error changing password",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Exchange a refresh token for a new access token. The refresh token is
+ * rotated on every use; presenting an already rotated token ends the session.
+ * @route POST /api/token/refresh
+ */
+export const refreshAccessToken = async (req, res) => {
+  const presented = parseRefreshToken(
+    req.cookies?.[REFRESH_TOKEN_COOKIE] || req.body?.refreshToken
+  );
+  if (!presented) {
+    return rejectRefresh(res);
+  }
+
+  const { userId, sessionId, secretHash } = presented;
+
+  try {
+    const session = await SessionRepository.findById(userId, sessionId);
+    if (!isSessionActive(session)) {
+      return rejectRefresh(res);
+    }
+
+    const timeout = getSessionTimeout(session, await getSessionPolicy());
+    if (timeout) {
+      await endSession(req, userId, sessionId, timeout);
+      return rejectRefresh(res);
+    }
+
+    const user = await UserRepository.findById(userId);
+    if (!user || user.accountStatus !== "active") {
+      await SessionRepository.revoke(userId, sessionId, "ACCOUNT_INACTIVE");
+      return rejectRefresh(res);
+    }
+
+    if (session.refreshTokenHash !== secretHash) {
+      const rotatedJustNow =
+        session.previousRefreshTokenHash === secretHash &&
+        Date.now() - new Date(session.lastUsedAt).getTime() <
+          REFRESH_REUSE_GRACE_MS;
+      if (rotatedJustNow) {
+        const token = generateToken(user, { mfa: session.mfa, sessionId });
+        setAuthCookie(res, token);
+        return res.status(200).json({ success: true, token });
+      }
+
+      if (session.previousRefreshTokenHash === secretHash) {
+        await SessionRepository.revoke(
+          userId,
+          sessionId,
+          "REFRESH_TOKEN_REUSED"
+        );
+        await logLoginSecurityEvent(req, "REFRESH_TOKEN_REUSED", user, {
+          sessionId,
+        });
+      }
+      return rejectRefresh(res);
+    }
+
+    const refreshToken = generateRefreshToken(userId, sessionId);
+    const rotated = await SessionRepository.rotateRefreshToken(
+      userId,
+      sessionId,
+      { currentHash: secretHash, nextHash: refreshToken.secretHash }
+    );
+    if (!rotated) {
+      return rejectRefresh(res);
+    }
+
+    const token = generateToken(user, { mfa: rotated.mfa, sessionId });
+    setAuthCookie(res, token);
+    res.cookie(
+      REFRESH_TOKEN_COOKIE,
+      refreshToken.token,
+      refreshTokenCookieOptions(rotated.expiresAt)
+    );
+
+    return res.status(200).json({ success: true, token });
+  } catch (error) {
+    console.error("Error refreshing access token:", error);
+    return res.status(500).json({ message: "Error refreshing session" });
+  }
+};
+
+/**
+ * End the current session
+ * @route POST /api/logout
+ */
+export const logoutHandler = async (req, res) => {
+  try {
+    if (req.user?.sid) {
+      // Signing out while impersonating ends the admin's own session
+      await endSession(
+        req,
+        req.user.impersonatedBy || req.user.sub,
+        req.user.sid,
+        "LOGOUT"
+      );
+    } else {
+      // The access token may already have expired; fall back to the
+      // refresh token, which must match its session to end it
+      const presented = parseRefreshToken(
+        req.cookies?.[REFRESH_TOKEN_COOKIE] || req.body?.refreshToken
+      );
+      const session =
+        presented &&
+        (await SessionRepository.findById(
+          presented.userId,
+          presented.sessionId
+        ));
+      if (session?.refreshTokenHash === presented?.secretHash) {
+        await endSession(req, presented.userId, presented.sessionId, "LOGOUT");
+      }
+    }
+
+    clearAuthCookies(res);
+    return res.status(200).json({ message: "Logged out successfully" });
+  } catch (error) {
+    console.error("Error logging out:", error);
+    return res.status(500).json({ message: "Error logging out" });
+  }
+};
+
+/**
+ * End every session of the current user, on all devices
+ * @route POST /api/logout-all
+ */
+export const logoutAllHandler = async (req, res) => {
+  try {
+    const revokedSessions = await endUserSessions(
+      req,
+      req.user.sub,
+      "LOGOUT_ALL"
+    );
+
+    clearAuthCookies(res);
+    return res.status(200).json({
+      message: "Logged out of all sessions",
+      revokedSessions,
+    });
+  } catch (error) {
+    console.error("Error logging out all sessions:", error);
+    return res.status(500).json({ message: "Error logging out" });
+  }
+};
+
+/**
+ * Revoke every session of a user and disconnect their sockets, e.g. after a
+ * suspension or role change
+ * @param {Object} req - Express request (for the Socket.IO instance)
+ * @param {string} userId - User ID
+ * @param {string} reason - Why the sessions ended
+ * @returns {Promise<number>} Number of sessions revoked (0 if revocation failed)
+ */
+export const endUserSessions = async (req, userId, reason) => {
+  req.app?.get("io")?.in(`user:${userId}`).disconnectSockets(true);
+
+  // The caller's change is already saved; refreshes re-read the user, so a
+  // failed revocation only leaves current access tokens until they expire
+  try {
+    return await SessionRepository.revokeAllForUser(userId, reason);
+  } catch (error) {
+    console.error("Error revoking user sessions:", error);
+    return 0;
+  }
+};
+
+/**
+ * Revoke one session and disconnect its sockets
+ * @param {Object} req - Express request (for the Socket.IO instance)
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - Why the session ended
+ * @returns {Promise<boolean>} True if the session was active before
+ */
+export const endSession = async (req, userId, sessionId, reason) => {
+  const revoked = await SessionRepository.revoke(userId, sessionId, reason);
+  req.app?.get("io")?.in(`session:${sessionId}`).disconnectSockets(true);
+  return revoked;
+};
+
+/**
+ * Refuse a refresh and clear the cookies so the client signs in again
+ */
+const rejectRefresh = (res) => {
+  clearAuthCookies(res);
+  return res.status(401).json({
+    message: "Your session has ended. Please log in again.",
+    code: "REFRESH_TOKEN_INVALID",
+  });
+};
+
+/**
+ * Respond 423 with the time left on a brute-force lockout
+ */
+const sendAccountLocked = (res, lockStatus) => {
+  res.set("Retry-After", String(lockStatus.retryAfter));
+  return res.status(423).json({
+    message: "Too many failed login attempts. Please try again later.",
+    code: "ACCOUNT_LOCKED",
+    lockedUntil: lockStatus.lockedUntil,
+    retryAfter: lockStatus.retryAfter,
+  });
+};
+
+/**
+ * Write a login-related security event; logging failures never block a login
+ */
+const logLoginSecurityEvent = async (req, eventType, user, details = {}) => {
+  try {
+    await AdminRepository.logSecurityEvent(
+      eventType,
+      user.userId,
+      { email: user.email, ...details },
+      req.ip || req.connection?.remoteAddress,
+      req.get?.("user-agent")
+    );
+  } catch (error) {
+    console.error(`Error logging ${eventType} security event:`, error);
+  }
+};
+
+/**
+ * Count a failed password check against the accessControl brute-force
+ * policy, locking the account and alerting admins once it is exceeded
+ * @returns {Promise<Object>} Lock status after this attempt
+ */
+const registerFailedLogin = async (req, user, accessControl, details = {}) => {
+  const { failedLoginAttempts } = await UserRepository.recordFailedLogin(
+    user.userId,
+    getFailedLoginWindowCutoff(accessControl)
+  );
+  const tracking = getFailedLoginLock(failedLoginAttempts, accessControl);
+  if (tracking.locked) {
+    await UserRepository.lockAccount(user.userId, tracking.lockedUntil);
+  }
+
+  await logLoginSecurityEvent(req, "FAILED_LOGIN", user, {
+    attempts: tracking.failedLoginAttempts,
+    ...details,
+  });
+
+  if (tracking.locked) {
+    await logLoginSecurityEvent(req, "ACCOUNT_LOCKED", user, {
+      attempts: tracking.failedLoginAttempts,
+      lockedUntil: tracking.lockedUntil,
+    });
+
+    const io = req.app?.get("io");
+    if (io) {
+      alertAccountLockout(io, {
+        userId: user.userId,
+        email: user.email,
+        ip: req.ip,
+        attempts: tracking.failedLoginAttempts,
+        lockedUntil: tracking.lockedUntil,
+      });
+    }
+  }
+
+  return getAccountLockStatus(tracking);
+};
+
+/**
+ * Set the session cookie carrying an access token
+ */
+export const setAuthCookie = (res, token) => {
+  res.cookie(ACCESS_TOKEN_COOKIE, token, accessTokenCookieOptions);
+};
+
+/**
+ * Clear the access and refresh token cookies
+ */
+const clearAuthCookies = (res) => {
+  res.clearCookie(ACCESS_TOKEN_COOKIE, clearAccessTokenCookieOptions);
+  res.clearCookie(REFRESH_TOKEN_COOKIE, clearRefreshTokenCookieOptions);
+};
+
+/**
+ * Sign in a user whose identity an external provider has confirmed, e.g. with
+ * OpenID Connect. Account status and lockouts apply as for a password login,
+ * and users with MFA still have to enter a code.
+ * @param {Object} user - User record
+ */
+export const completeExternalLogin = async (req, res, user) => {
+  if (user.accountStatus !== "active") {
+    return res.status(403).json({
+      message: "Account is not active",
+      accountStatus: user.accountStatus,
+    });
+  }
+
+  const lockStatus = getAccountLockStatus(user);
+  if (lockStatus.locked) {
+    return sendAccountLocked(res, lockStatus);
+  }
+
+  const { sessionPolicy } = await AdminRepository.getSecurityPolicies();
+  return continueLogin(req, res, user, sessionPolicy);
+};
+
+/**
+ * Finish a sign-in once the first factor has been checked. Users with MFA
+ * enabled get a challenge token and finish at POST /api/login/mfa.
+ */
+const continueLogin = (req, res, user, sessionPolicy) => {
+  if (user.mfaEnabled) {
+    return res.status(200).json({
+      success: true,
+      message: "Enter the code from your authenticator app",
+      mfaRequired: true,
+      mfaToken: jwt.sign(
+        { sub: user.userId, purpose: "mfa_challenge" },
+        MFA_CHALLENGE_SECRET,
+        { expiresIn: MFA_CHALLENGE_TTL, algorithm: "HS256" }
+      ),
+    });
+  }
+
+  return completeLogin(req, res, user, {
+    mfa: false,
+    mfaSetupRequired: isMfaRequiredForRole(user.role, sessionPolicy),
+  });
+};
+
+/**
+ * Record a successful sign-in and respond with the session token and user
+ * @param {Object} options - { mfa, mfaSetupRequired }
+ */
+const completeLogin = async (
+  req,
+  res,
+  user,
+  { mfa, mfaSetupRequired = false }
+) => {
+  await UserRepository.updateLoginTracking(user.userId, true);
+
+  const session = await startSession(req, res, user, { mfa });
+  const token = generateToken(user, { mfa, sessionId: session.sessionId });
+  setAuthCookie(res, token);
+  const permissions = await getRolePermissions(user.role);
+
+  return res.status(200).json({
+    success: true,
+    message: "Login successful",
+    token: token,
+    mfaSetupRequired,
+    user: formatAuthUser(user, permissions),
+  });
+};
+
+/**
+ * The user fields sent to the frontend with a new access token
+ * @param {Object} user - User record
+ * @param {Array} permissions - Admin permissions of the user's role
+ */
+export const formatAuthUser = (user, permissions) => ({
+  userId: user.userId,
+  id: user.userId, // Keep for backward compatibility
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  profilePicture: user.profilePicture || null,
+  bio: user.bio || null,
+  accountStatus: user.accountStatus,
+  createdAt: user.createdAt,
+  lastLoginAt: user.lastLoginAt,
+  isAdmin: hasAdminPrivileges(user.role),
+  isSuperAdmin: hasSuperAdminPrivileges(user.role),
+  permissions,
+  mfaEnabled: user.mfaEnabled === true,
+  emailVerified: user.emailVerified !== false,
+});
+
+/**
+ * Create a session for a new sign-in and set its refresh token cookie. The
+ * least recently active sessions are ended first when the sessionPolicy's
+ * concurrency cap would be exceeded.
+ * @returns {Promise<Object>} Session item
+ */
+const startSession = async (req, res, user, { mfa }) => {
+  const sessionPolicy = await getSessionPolicy();
+
+  const activeSessions = getActiveSessions(
+    await SessionRepository.findByUser(user.userId),
+    sessionPolicy
+  );
+  const evicted = getSessionsToEvict(activeSessions, sessionPolicy);
+  if (evicted.length > 0) {
+    await Promise.all(
+      evicted.map((session) =>
+        endSession(req, user.userId, session.sessionId, "SESSION_LIMIT")
+      )
+    );
+    await logLoginSecurityEvent(req, "SESSION_LIMIT_REACHED", user, {
+      revokedSessions: evicted.map((session) => session.sessionId),
+    });
+  }
+
+  const sessionId = uuidv4();
+  const refreshToken = generateRefreshToken(user.userId, sessionId);
+  const userAgent = req.get?.("user-agent") || null;
+
+  const session = await SessionRepository.create({
+    userId: user.userId,
+    sessionId,
+    refreshTokenHash: refreshToken.secretHash,
+    mfa,
+    expiresAt: getSessionExpiry(sessionPolicy),
+    ipAddress: req.ip || req.connection?.remoteAddress || null,
+    userAgent,
+    device: describeDevice(userAgent),
+  });
+  res.cookie(
+    REFRESH_TOKEN_COOKIE,
+    refreshToken.token,
+    refreshTokenCookieOptions(session.expiresAt)
+  );
+
+  return session;
+};
+
+/**
+ * Sign an access token. The mfa claim records whether this session passed a
+ * second factor (checked by the requireMFA middleware); sid ties the token to
+ * a session so revoking the session revokes the token.
+ */
+export const generateToken = (user, { mfa = false, sessionId } = {}) => {
   try {
     return jwt.sign(
       {
@@ -83,11 +703,13 @@ const generateToken = (user) => {
         name: user.name,
         isAdmin: hasAdminPrivileges(user.role),
         isSuperAdmin: hasSuperAdminPrivileges(user.role),
+        mfa,
+        ...(sessionId && { sid: sessionId }),
         iat: Math.floor(Date.now() / 1000),
       },
       JWT_SECRET,
       {
-        expiresIn: "1d",
+        expiresIn: ACCESS_TOKEN_TTL,
         algorithm: "HS256",
       }
     );
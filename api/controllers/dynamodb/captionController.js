@@ -0,0 +1,230 @@
+import { CourseRepository } from "../../models/dynamodb/course-repository.js";
+import { LectureRepository } from "../../models/dynamodb/lecture-repository.js";
+import { SectionRepository } from "../../models/dynamodb/section-repository.js";
+import { EnrollmentRepository } from "../../models/dynamodb/enrollment-repository.js";
+import { CaptionRepository } from "../../models/dynamodb/caption-repository.js";
+import { orderLectures } from "../../utils/curriculum.js";
+import { LECTURE_TYPES } from "../../utils/constants.js";
+import {
+  MAX_CAPTION_BYTES,
+  captionBytes,
+  cuesToVtt,
+  parseCaptions,
+  searchCaptions,
+} from "../../utils/captions.js";
+
+const isVideo = (lecture) =>
+  (lecture.type || LECTURE_TYPES.VIDEO) === LECTURE_TYPES.VIDEO;
+
+const formatTrack = (track) => ({
+  language: track.language,
+  label: track.label,
+});
+
+// Lectures list their tracks so the player can offer them without loading
+// the cues
+const setLectureCaptions = (lecture, captions) =>
+  LectureRepository.update(lecture.courseId, lecture.lectureId, {
+    captions: captions.sort((a, b) => a.label.localeCompare(b.label)),
+  });
+
+/**
+ * Find a video lecture in a course the signed-in instructor owns, answering
+ * with 404, 403 or 400 otherwise
+ * @returns {Promise<Object|null>} Lecture, or null once a response is sent
+ */
+const findOwnedVideo = async (req, res) => {
+  const { id: courseId, lectureId } = req.params;
+
+  const course = await CourseRepository.findById(courseId);
+  if (!course) {
+    res.status(404).json({ message: "Course not found" });
+    return null;
+  }
+
+  if (course.instructorId !== req.user.sub) {
+    res
+      .status(403)
+      .json({ message: "You are not authorized to edit this course" });
+    return null;
+  }
+
+  const lecture = await LectureRepository.findById(courseId, lectureId);
+  if (!lecture) {
+    res.status(404).json({ message: "Lecture not found" });
+    return null;
+  }
+
+  if (!isVideo(lecture)) {
+    res.status(400).json({
+      message: "Only video lectures have captions",
+      code: "NOT_A_VIDEO",
+    });
+    return null;
+  }
+
+  return lecture;
+};
+
+/**
+ * Add a WebVTT or SRT caption file to a video lecture, replacing the track
+ * already there in the same language
+ * @route POST /api/courses/:id/lectures/:lectureId/captions
+ */
+export const uploadCaptions = async (req, res) => {
+  try {
+    const lecture = await findOwnedVideo(req, res);
+    if (!lecture) return;
+
+    const { language, label, content } = req.value.body;
+    const cues = parseCaptions(content);
+    if (!cues) {
+      return res.status(400).json({
+        message: "Upload a WebVTT or SRT caption file",
+        code: "INVALID_CAPTIONS",
+      });
+    }
+    if (captionBytes(cues) > MAX_CAPTION_BYTES) {
+      return res.status(400).json({
+        message: "Caption file is too large",
+        code: "CAPTIONS_TOO_LARGE",
+      });
+    }
+
+    const track = await CaptionRepository.save({
+      courseId: lecture.courseId,
+      lectureId: lecture.lectureId,
+      language,
+      label,
+      cues,
+    });
+    await setLectureCaptions(lecture, [
+      ...(lecture.captions || []).filter((item) => item.language !== language),
+      formatTrack(track),
+    ]);
+
+    res.status(201).json({ ...formatTrack(track), cueCount: cues.length });
+  } catch (error) {
+    console.error("Error uploading captions:", error);
+    res.status(500).json({ message: "Failed to upload captions" });
+  }
+};
+
+/**
+ * Remove a lecture's caption track
+ * @route DELETE /api/courses/:id/lectures/:lectureId/captions/:language
+ */
+export const deleteCaptions = async (req, res) => {
+  try {
+    const lecture = await findOwnedVideo(req, res);
+    if (!lecture) return;
+
+    const { language } = req.params;
+    const deleted = await CaptionRepository.delete(
+      lecture.courseId,
+      lecture.lectureId,
+      language
+    );
+    if (!deleted) {
+      return res.status(404).json({ message: "Captions not found" });
+    }
+
+    await setLectureCaptions(
+      lecture,
+      (lecture.captions || []).filter((item) => item.language !== language)
+    );
+
+    res.status(200).json({ message: "Captions deleted" });
+  } catch (error) {
+    console.error("Error deleting captions:", error);
+    res.status(500).json({ message: "Failed to delete captions" });
+  }
+};
+
+/**
+ * Serve a caption track as WebVTT for the player's track element
+ * @route GET /api/courses/:id/lectures/:lectureId/captions/:language
+ */
+export const getCaptionFile = async (req, res) => {
+  try {
+    const { id: courseId, lectureId, language } = req.params;
+
+    const track = await CaptionRepository.findOne(
+      courseId,
+      lectureId,
+      language
+    );
+    if (!track) {
+      return res.status(404).json({ message: "Captions not found" });
+    }
+
+    res.setHeader("Content-Type", "text/vtt; charset=utf-8");
+    res.status(200).send(cuesToVtt(track.cues));
+  } catch (error) {
+    console.error("Error fetching captions:", error);
+    res.status(500).json({ message: "Failed to fetch captions" });
+  }
+};
+
+/**
+ * Search the caption text of a course's lectures, in curriculum order. Open
+ * to enrolled learners and the course's instructor.
+ * @route GET /api/courses/:id/captions/search?q=
+ */
+export const searchCourseCaptions = async (req, res) => {
+  try {
+    const courseId = req.params.id;
+
+    const course = await CourseRepository.findById(courseId);
+    if (!course) {
+      return res.status(404).json({ message: "Course not found" });
+    }
+
+    if (
+      course.instructorId !== req.user.sub &&
+      !(await EnrollmentRepository.findByUserAndCourse(req.user.sub, courseId))
+    ) {
+      return res.status(403).json({
+        message: "Enroll in this course to search its captions",
+        code: "NOT_ENROLLED",
+      });
+    }
+
+    const query = String(req.query.q || "");
+    if (!query.trim()) {
+      return res.status(200).json([]);
+    }
+
+    const [sections, lectures, tracks] = await Promise.all([
+      SectionRepository.findByCourse(courseId),
+      LectureRepository.findByCourse(courseId),
+      CaptionRepository.findByCourse(courseId),
+    ]);
+
+    const ordered = orderLectures(sections, lectures);
+    const rank = new Map(
+      ordered.map((lecture, index) => [lecture.lectureId, index])
+    );
+    // Tracks of lectures that no longer exist have no rank and are skipped
+    const orderedTracks = tracks
+      .filter((track) => rank.has(track.lectureId))
+      .sort(
+        (a, b) =>
+          rank.get(a.lectureId) - rank.get(b.lectureId) ||
+          a.language.localeCompare(b.language)
+      );
+    const titles = new Map(
+      ordered.map((lecture) => [lecture.lectureId, lecture.title])
+    );
+
+    res.status(200).json(
+      searchCaptions(orderedTracks, query).map((match) => ({
+        ...match,
+        lectureTitle: titles.get(match.lectureId),
+      }))
+    );
+  } catch (error) {
+    console.error("Error searching captions:", error);
+    res.status(500).json({ message: "Failed to search captions" });
+  }
+};
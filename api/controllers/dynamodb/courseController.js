@@ -2,6 +2,15 @@ import { CourseRepository } from "../../models/dynamodb/course-repository.js";
 import { UserRepository } from "../../models/dynamodb/user-repository.js";
 import { CategoryRepository } from "../../models/dynamodb/category-repository.js";
 import { EnrollmentRepository } from "../../models/dynamodb/enrollment-repository.js";
+import { AdminRepository } from "../../models/dynamodb/admin-repository.js";
+import { CaptionRepository } from "../../models/dynamodb/caption-repository.js";
+import {
+  COURSE_STATUS,
+  canTransitionCourseStatus,
+  hasAdminPrivileges,
+  isCourseVisibleInCatalog,
+} from "../../utils/constants.js";
+import { buildCurriculum, orderLectures } from "../../utils/curriculum.js";
 
 const generateS3Url = (fileKey) => {
   const baseUrl = process.env.AWS_S3_BASE_URL;
@@ -40,6 +49,7 @@ const createCourse = async (req, res) => {
       price,
       categoryId,
       categoryName,
+      status: COURSE_STATUS.DRAFT,
       createdAt: new Date().toISOString(),
     });
 
@@ -145,6 +155,8 @@ const getCoursesByInstructor = async (req, res) => {
           ratingCount: course.ratingCount || 0,
           enrolledCount: enrolledCount,
           rating: course.averageRating || 0, // Add rating field for compatibility
+          status: course.status || COURSE_STATUS.PUBLISHED,
+          reviewReason: course.reviewReason || null,
         };
       })
     );
@@ -165,6 +177,15 @@ const getCourseById = async (req, res) => {
       return res.status(404).json({ message: "Course not found" });
     }
 
+    // Unpublished courses are only visible to their instructor and admins
+    if (
+      !isCourseVisibleInCatalog(course.status) &&
+      req.user?.sub !== course.instructorId &&
+      !hasAdminPrivileges(req.user?.role)
+    ) {
+      return res.status(404).json({ message: "Course not found" });
+    }
+
     const courseWithUrl = {
       id: course.courseId,
       title: course.title,
@@ -182,12 +203,24 @@ const getCourseById = async (req, res) => {
       categoryName: course.categoryName,
       averageRating: course.averageRating || 0,
       ratingCount: course.ratingCount || 0,
-      lectures: course.lectures.map((lecture) => ({
-        id: lecture.lectureId,
-        title: lecture.title,
-        videoUrl: lecture.videoUrl,
-        createdAt: lecture.createdAt,
-      })),
+      status: course.status || COURSE_STATUS.PUBLISHED,
+      lectures: orderLectures(course.sections, course.lectures).map(
+        (lecture) => ({
+          id: lecture.lectureId,
+          title: lecture.title,
+          type: lecture.type || "video",
+          videoUrl: lecture.videoUrl,
+          sectionId: lecture.sectionId ?? null,
+          createdAt: lecture.createdAt,
+        })
+      ),
+      sections: buildCurriculum(course.sections, course.lectures).sections.map(
+        (section) => ({
+          id: section.sectionId,
+          title: section.title,
+          lectureCount: section.lectures.length,
+        })
+      ),
     };
 
     res.status(200).json(courseWithUrl);
@@ -258,7 +291,9 @@ const deleteCourse = async (req, res) => {
       });
     }
 
-    // Delete the course and all related data
+    // Delete the course and all related data; caption tracks go first
+    // because they can outgrow the single query CourseRepository.delete makes
+    await CaptionRepository.deleteByCourse(id);
     await CourseRepository.delete(id);
 
     res.status(200).json({
@@ -275,6 +310,115 @@ const deleteCourse = async (req, res) => {
   }
 };
 
+const submitCourseForReview = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const course = await CourseRepository.findById(id);
+
+    if (!course) {
+      return res.status(404).json({ message: "Course not found" });
+    }
+
+    if (course.instructorId !== req.user.sub) {
+      return res
+        .status(403)
+        .json({ message: "You are not authorized to submit this course" });
+    }
+
+    // The platform setting decides whether courses go through admin review
+    const { platformSettings } = await AdminRepository.getSystemSettings();
+    const requiresReview = platformSettings?.requireCourseApproval !== false;
+    const nextStatus = requiresReview
+      ? COURSE_STATUS.PENDING_REVIEW
+      : COURSE_STATUS.PUBLISHED;
+
+    if (!canTransitionCourseStatus(course.status, nextStatus)) {
+      return res.status(409).json({
+        message: `Course in status ${course.status} cannot be submitted`,
+        code: "INVALID_STATUS_TRANSITION",
+        currentStatus: course.status,
+      });
+    }
+
+    const updatedCourse = await CourseRepository.updateStatus(
+      id,
+      course.status,
+      nextStatus,
+      { submittedAt: new Date().toISOString() }
+    );
+
+    res.status(200).json({
+      message: requiresReview
+        ? "Course submitted for review"
+        : "Course published successfully",
+      course: updatedCourse,
+    });
+  } catch (error) {
+    console.error("Error submitting course:", error);
+    if (error.name === "ConditionalCheckFailedException") {
+      return res.status(409).json({
+        message: "Course status changed, please reload and try again",
+        code: "INVALID_STATUS_TRANSITION",
+      });
+    }
+    res
+      .status(500)
+      .json({ error: "An error occurred while submitting the course" });
+  }
+};
+
+// Approved courses go live when their instructor publishes them. Drafts are
+// only published directly by submitCourseForReview, when review is off.
+const publishCourse = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const course = await CourseRepository.findById(id);
+
+    if (!course) {
+      return res.status(404).json({ message: "Course not found" });
+    }
+
+    if (course.instructorId !== req.user.sub) {
+      return res
+        .status(403)
+        .json({ message: "You are not authorized to publish this course" });
+    }
+
+    if (course.status !== COURSE_STATUS.APPROVED) {
+      return res.status(409).json({
+        message: `Course in status ${course.status} cannot be published`,
+        code: "INVALID_STATUS_TRANSITION",
+        currentStatus: course.status,
+      });
+    }
+
+    const updatedCourse = await CourseRepository.updateStatus(
+      id,
+      course.status,
+      COURSE_STATUS.PUBLISHED,
+      { publishedAt: new Date().toISOString() }
+    );
+
+    res.status(200).json({
+      message: "Course published successfully",
+      course: updatedCourse,
+    });
+  } catch (error) {
+    console.error("Error publishing course:", error);
+    if (error.name === "ConditionalCheckFailedException") {
+      return res.status(409).json({
+        message: "Course status changed, please reload and try again",
+        code: "INVALID_STATUS_TRANSITION",
+      });
+    }
+    res
+      .status(500)
+      .json({ error: "An error occurred while publishing the course" });
+  }
+};
+
 export {
   createCourse,
   getCoursesByInstructor,
@@ -282,4 +426,6 @@ export {
   getCourseById,
   updateCourse,
   deleteCourse,
+  submitCourseForReview,
+  publishCourse,
 };
@@ -0,0 +1,313 @@
+import { CourseRepository } from "../../models/dynamodb/course-repository.js";
+import { LectureRepository } from "../../models/dynamodb/lecture-repository.js";
+import { SectionRepository } from "../../models/dynamodb/section-repository.js";
+import {
+  hasAdminPrivileges,
+  isCourseVisibleInCatalog,
+} from "../../utils/constants.js";
+import {
+  buildCurriculum,
+  getPlacementChanges,
+  isCompleteOrder,
+  moveLectureInOrder,
+  nextPosition,
+  toCurriculumOrder,
+} from "../../utils/curriculum.js";
+
+// Outlines are shown before enrollment, so they leave out video links
+const formatLecture = (lecture) => ({
+  id: lecture.lectureId,
+  title: lecture.title,
+  type: lecture.type || "video",
+  durationSeconds: lecture.durationSeconds ?? null,
+  sectionId: lecture.sectionId ?? null,
+  position: lecture.position ?? null,
+  captions: lecture.captions || [],
+});
+
+const formatCurriculum = (courseId, curriculum) => ({
+  courseId,
+  sections: curriculum.sections.map((section) => ({
+    id: section.sectionId,
+    title: section.title,
+    position: section.position,
+    lectures: section.lectures.map(formatLecture),
+  })),
+  unsectioned: curriculum.unsectioned.map(formatLecture),
+});
+
+const loadCourseItems = (courseId) =>
+  Promise.all([
+    SectionRepository.findByCourse(courseId),
+    LectureRepository.findByCourse(courseId),
+  ]);
+
+/**
+ * Find a course the signed-in instructor owns, answering with 404 or 403
+ * otherwise
+ * @returns {Promise<Object|null>} Course, or null once a response is sent
+ */
+const findOwnedCourse = async (req, res) => {
+  const course = await CourseRepository.findById(req.params.id);
+  if (!course) {
+    res.status(404).json({ message: "Course not found" });
+    return null;
+  }
+
+  if (course.instructorId !== req.user.sub) {
+    res
+      .status(403)
+      .json({ message: "You are not authorized to edit this course" });
+    return null;
+  }
+
+  return course;
+};
+
+// Write only the sections and lectures whose place changed
+const applyOrder = async (courseId, order, sections, lectures) => {
+  const { sectionUpdates, lectureUpdates } = getPlacementChanges(
+    order,
+    sections,
+    lectures
+  );
+
+  await Promise.all([
+    ...sectionUpdates.map(({ sectionId, position }) =>
+      SectionRepository.update(courseId, sectionId, { position })
+    ),
+    ...lectureUpdates.map(({ lectureId, sectionId, position }) =>
+      LectureRepository.update(courseId, lectureId, { sectionId, position })
+    ),
+  ]);
+
+  const [updatedSections, updatedLectures] = await loadCourseItems(courseId);
+  return formatCurriculum(
+    courseId,
+    buildCurriculum(updatedSections, updatedLectures)
+  );
+};
+
+/**
+ * Get a course's sections and lectures in order
+ * @route GET /api/courses/:id/curriculum
+ */
+export const getCurriculum = async (req, res) => {
+  try {
+    const courseId = req.params.id;
+    const course = await CourseRepository.findById(courseId);
+
+    // Unpublished courses are only visible to their instructor and admins
+    if (
+      !course ||
+      (!isCourseVisibleInCatalog(course.status) &&
+        req.user?.sub !== course.instructorId &&
+        !hasAdminPrivileges(req.user?.role))
+    ) {
+      return res.status(404).json({ message: "Course not found" });
+    }
+
+    const [sections, lectures] = await loadCourseItems(courseId);
+
+    res
+      .status(200)
+      .json(formatCurriculum(courseId, buildCurriculum(sections, lectures)));
+  } catch (error) {
+    console.error("Error fetching curriculum:", error);
+    res.status(500).json({
+      message: "Failed to fetch curriculum",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Add a section at the end of a course
+ * @route POST /api/courses/:id/sections
+ */
+export const createSection = async (req, res) => {
+  try {
+    const course = await findOwnedCourse(req, res);
+    if (!course) return;
+
+    const sections = await SectionRepository.findByCourse(course.courseId);
+    const section = await SectionRepository.create({
+      courseId: course.courseId,
+      title: req.value.body.title,
+      position: nextPosition(sections),
+    });
+
+    res.status(201).json({
+      id: section.sectionId,
+      title: section.title,
+      position: section.position,
+      lectures: [],
+    });
+  } catch (error) {
+    console.error("Error creating section:", error);
+    res.status(500).json({
+      message: "Failed to create section",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Rename a section
+ * @route PUT /api/courses/:id/sections/:sectionId
+ */
+export const updateSection = async (req, res) => {
+  try {
+    const course = await findOwnedCourse(req, res);
+    if (!course) return;
+
+    const section = await SectionRepository.update(
+      course.courseId,
+      req.params.sectionId,
+      { title: req.value.body.title }
+    );
+    if (!section) {
+      return res.status(404).json({
+        message: "Section not found",
+        code: "SECTION_NOT_FOUND",
+      });
+    }
+
+    res.status(200).json({
+      id: section.sectionId,
+      title: section.title,
+      position: section.position,
+    });
+  } catch (error) {
+    console.error("Error updating section:", error);
+    res.status(500).json({
+      message: "Failed to update section",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete an empty section
+ * @route DELETE /api/courses/:id/sections/:sectionId
+ */
+export const deleteSection = async (req, res) => {
+  try {
+    const course = await findOwnedCourse(req, res);
+    if (!course) return;
+
+    const { sectionId } = req.params;
+    const section = await SectionRepository.findById(
+      course.courseId,
+      sectionId
+    );
+    if (!section) {
+      return res.status(404).json({
+        message: "Section not found",
+        code: "SECTION_NOT_FOUND",
+      });
+    }
+
+    const lectures = await LectureRepository.findByCourse(course.courseId);
+    if (lectures.some((lecture) => lecture.sectionId === sectionId)) {
+      return res.status(409).json({
+        message: "Move this section's lectures before deleting it",
+        code: "SECTION_NOT_EMPTY",
+      });
+    }
+
+    await SectionRepository.delete(course.courseId, sectionId);
+
+    res.status(200).json({ message: "Section deleted" });
+  } catch (error) {
+    console.error("Error deleting section:", error);
+    res.status(500).json({
+      message: "Failed to delete section",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Replace a course's order. The body lists every section and lecture once:
+ * { sections: [{ sectionId, lectureIds }], unsectionedLectureIds }.
+ * @route PUT /api/courses/:id/curriculum
+ */
+export const reorderCurriculum = async (req, res) => {
+  try {
+    const course = await findOwnedCourse(req, res);
+    if (!course) return;
+
+    const order = req.value.body;
+    const [sections, lectures] = await loadCourseItems(course.courseId);
+
+    // Rejects orders made from a stale outline rather than dropping items
+    if (!isCompleteOrder(order, sections, lectures)) {
+      return res.status(400).json({
+        message:
+          "The order must list each of the course's sections and lectures exactly once",
+        code: "CURRICULUM_MISMATCH",
+      });
+    }
+
+    res
+      .status(200)
+      .json(await applyOrder(course.courseId, order, sections, lectures));
+  } catch (error) {
+    console.error("Error reordering curriculum:", error);
+    res.status(500).json({
+      message: "Failed to reorder curriculum",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Move one lecture to a position in a section, or among the unsectioned
+ * lectures when sectionId is null
+ * @route PUT /api/courses/:id/lectures/:lectureId/position
+ */
+export const moveLecture = async (req, res) => {
+  try {
+    const course = await findOwnedCourse(req, res);
+    if (!course) return;
+
+    const { lectureId } = req.params;
+    const { sectionId, position } = req.value.body;
+    const [sections, lectures] = await loadCourseItems(course.courseId);
+
+    if (!lectures.some((lecture) => lecture.lectureId === lectureId)) {
+      return res.status(404).json({
+        message: "Lecture not found",
+        code: "LECTURE_NOT_FOUND",
+      });
+    }
+
+    if (
+      sectionId !== null &&
+      !sections.some((section) => section.sectionId === sectionId)
+    ) {
+      return res.status(404).json({
+        message: "Section not found",
+        code: "SECTION_NOT_FOUND",
+      });
+    }
+
+    const order = moveLectureInOrder(
+      toCurriculumOrder(buildCurriculum(sections, lectures)),
+      lectureId,
+      sectionId,
+      position
+    );
+
+    res
+      .status(200)
+      .json(await applyOrder(course.courseId, order, sections, lectures));
+  } catch (error) {
+    console.error("Error moving lecture:", error);
+    res.status(500).json({
+      message: "Failed to move lecture",
+      error: error.message,
+    });
+  }
+};
@@ -1,6 +1,11 @@
 import { EnrollmentRepository } from "../../models/dynamodb/enrollment-repository.js";
 import { CourseRepository } from "../../models/dynamodb/course-repository.js";
 import { UserRepository } from "../../models/dynamodb/user-repository.js";
+import {
+  OrganizationRepository,
+  SEAT_SCOPES,
+} from "../../models/dynamodb/organization-repository.js";
+import { isCourseVisibleInCatalog } from "../../utils/constants.js";
 
 const generateS3Url = (fileKey) => {
   const baseUrl = process.env.AWS_S3_BASE_URL;
@@ -22,6 +27,12 @@ const createEnrollment = async (req, res) => {
       return res.status(404).json({ error: "Course not found" });
     }
 
+    if (!isCourseVisibleInCatalog(course.status)) {
+      return res
+        .status(403)
+        .json({ error: "This course is not open for enrollment" });
+    }
+
     const existingEnrollment = await EnrollmentRepository.findByUserAndCourse(
       userId,
       courseId,
@@ -39,6 +50,14 @@ const createEnrollment = async (req, res) => {
         .json({ error: "Progress must be an array of integers" });
     }
 
+    // Learners holding an organization seat for this course enroll through it
+    const seats = await OrganizationRepository.findSeatsByUser(userId);
+    const seat = seats.find(
+      (candidate) =>
+        candidate.scope === SEAT_SCOPES.CATALOG ||
+        candidate.courseId === courseId,
+    );
+
     const enrollment = await EnrollmentRepository.create({
       userId,
       courseId,
@@ -47,6 +66,8 @@ const createEnrollment = async (req, res) => {
       courseImageKey: course.imageKey,
       progress,
       createdAt: new Date().toISOString(),
+      organizationId: seat?.organizationId,
+      seatPoolId: seat?.poolId,
     });
 
     return res.status(201).json(enrollment);
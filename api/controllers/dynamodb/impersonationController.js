@@ -0,0 +1,127 @@
+import jwt from "jsonwebtoken";
+import { v4 as uuidv4 } from "uuid";
+import { UserRepository } from "../../models/dynamodb/user-repository.js";
+import { SessionRepository } from "../../models/dynamodb/session-repository.js";
+import { isStaffRole } from "../../utils/permissions.js";
+import {
+  ACCESS_TOKEN_COOKIE,
+  accessTokenCookieOptions,
+  clearAccessTokenCookieOptions,
+} from "../../utils/sessionTokens.js";
+import { formatAuthUser } from "./authController.js";
+
+const JWT_SECRET = process.env.JWT_SECRET;
+// Impersonation tokens cannot be refreshed; the admin starts again after this
+export const IMPERSONATION_TTL = "15m";
+const IMPERSONATION_TTL_MS = 15 * 60 * 1000;
+
+/**
+ * Start viewing the platform as a student or instructor. The token is tied
+ * to the admin's session, which runs one impersonation at a time.
+ * @route POST /api/admin/users/:userId/impersonate
+ */
+export const startImpersonation = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const admin = req.user;
+
+    if (!admin.sid) {
+      return res.status(403).json({
+        success: false,
+        message: "Sign in again to impersonate users",
+        code: "SESSION_REQUIRED",
+      });
+    }
+
+    const user = await UserRepository.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+        code: "USER_NOT_FOUND",
+      });
+    }
+
+    if (user.userId === admin.sub || isStaffRole(user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only students and instructors can be impersonated",
+        code: "IMPERSONATION_NOT_ALLOWED",
+      });
+    }
+
+    const impersonationId = uuidv4();
+    const started = await SessionRepository.setImpersonation(
+      admin.sub,
+      admin.sid,
+      impersonationId
+    );
+    if (!started) {
+      return res.status(403).json({
+        success: false,
+        message: "Your session has ended. Please log in again.",
+        code: "SESSION_REVOKED",
+      });
+    }
+
+    const token = jwt.sign(
+      {
+        sub: user.userId,
+        role: user.role,
+        email: user.email,
+        name: user.name,
+        isAdmin: false,
+        isSuperAdmin: false,
+        mfa: false,
+        sid: admin.sid,
+        impersonatedBy: admin.sub,
+        impersonationId,
+      },
+      JWT_SECRET,
+      { expiresIn: IMPERSONATION_TTL, algorithm: "HS256" }
+    );
+    res.cookie(ACCESS_TOKEN_COOKIE, token, accessTokenCookieOptions);
+
+    res.status(200).json({
+      success: true,
+      message: `Viewing the platform as ${user.name}`,
+      data: {
+        token,
+        expiresAt: new Date(Date.now() + IMPERSONATION_TTL_MS).toISOString(),
+        user: formatAuthUser(user, []),
+      },
+    });
+  } catch (error) {
+    console.error("Error starting impersonation:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to start impersonation",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Stop impersonating. The impersonation token stops working at once; the
+ * frontend gets the admin's own access token back from /api/token/refresh.
+ * @route POST /api/impersonation/stop
+ */
+export const stopImpersonation = async (req, res) => {
+  try {
+    const { impersonatedBy, sid } = req.user;
+    if (!impersonatedBy) {
+      return res.status(400).json({
+        message: "You are not impersonating a user",
+        code: "NOT_IMPERSONATING",
+      });
+    }
+
+    await SessionRepository.setImpersonation(impersonatedBy, sid, null);
+    res.clearCookie(ACCESS_TOKEN_COOKIE, clearAccessTokenCookieOptions);
+
+    return res.status(200).json({ message: "Impersonation ended" });
+  } catch (error) {
+    console.error("Error stopping impersonation:", error);
+    return res.status(500).json({ message: "Error stopping impersonation" });
+  }
+};
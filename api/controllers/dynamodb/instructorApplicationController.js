@@ -0,0 +1,262 @@
+import {
+  APPLICATION_STATUS,
+  InstructorApplicationRepository,
+} from "../../models/dynamodb/instructor-application-repository.js";
+import { UserRepository } from "../../models/dynamodb/user-repository.js";
+import { CategoryRepository } from "../../models/dynamodb/category-repository.js";
+import { AdminRepository } from "../../models/dynamodb/admin-repository.js";
+import { USER_ROLES } from "../../utils/constants.js";
+import { sendInstructorApplicationEmail } from "../../utils/accountEmails.js";
+import { sendAdminNotification } from "../../utils/notificationHelpers.js";
+import { endUserSessions } from "./authController.js";
+
+const generateS3Url = (fileKey) => {
+  const baseUrl = process.env.AWS_S3_BASE_URL;
+  return `${baseUrl}/${fileKey}`;
+};
+
+// Uploaded samples are stored as S3 keys; reviewers need links
+const withSampleLinks = (application) => ({
+  ...application,
+  sampleMaterial: application.sampleMaterial.map((sample) =>
+    sample.url.startsWith("uploads/")
+      ? { ...sample, url: generateS3Url(sample.url) }
+      : sample
+  ),
+});
+
+/**
+ * Get the current user's instructor application
+ * @route GET /api/instructor-application
+ */
+export const getMyApplication = async (req, res) => {
+  try {
+    const application = await InstructorApplicationRepository.findByUser(
+      req.user.sub
+    );
+
+    res.status(200).json({
+      success: true,
+      data: application,
+    });
+  } catch (error) {
+    console.error("Error fetching instructor application:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch instructor application",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Apply to become an instructor. Students may apply again after a rejection.
+ * @route POST /api/instructor-application
+ */
+export const submitApplication = async (req, res) => {
+  try {
+    const { bio, expertise, sampleMaterial } = req.value.body;
+
+    const user = await UserRepository.findById(req.user.sub);
+    if (!user || user.role !== USER_ROLES.STUDENT) {
+      return res.status(403).json({
+        success: false,
+        message: "Only students can apply to become instructors",
+        code: "NOT_ELIGIBLE",
+      });
+    }
+
+    const categories = await Promise.all(
+      expertise.map((categoryId) => CategoryRepository.findById(categoryId))
+    );
+    if (categories.some((category) => !category)) {
+      return res.status(400).json({
+        success: false,
+        message: "Choose your expertise from the course categories",
+        code: "INVALID_CATEGORY",
+      });
+    }
+
+    const application = await InstructorApplicationRepository.create({
+      user,
+      bio,
+      expertise: categories.map(({ categoryId, name }) => ({
+        categoryId,
+        name,
+      })),
+      sampleMaterial,
+    });
+    if (!application) {
+      return res.status(409).json({
+        success: false,
+        message: "Your application is already under review",
+        code: "APPLICATION_PENDING",
+      });
+    }
+
+    const io = req.app?.get("io");
+    if (io) {
+      sendAdminNotification(io, {
+        title: "New Instructor Application",
+        message: `${user.name} applied to become an instructor`,
+        type: "info",
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Application submitted",
+      data: application,
+    });
+  } catch (error) {
+    console.error("Error submitting instructor application:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to submit instructor application",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * List instructor applications, pending ones by default
+ * @route GET /api/admin/instructor-applications
+ */
+export const getInstructorApplications = async (req, res) => {
+  try {
+    const {
+      status = APPLICATION_STATUS.PENDING,
+      limit,
+      lastEvaluatedKey,
+    } = req.query;
+
+    if (!Object.values(APPLICATION_STATUS).includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown application status: ${status}`,
+      });
+    }
+
+    const result = await InstructorApplicationRepository.findByStatus({
+      status,
+      limit: parseInt(limit) || 50,
+      lastEvaluatedKey,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...result,
+        applications: result.applications.map(withSampleLinks),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching instructor applications:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch instructor applications",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Record the decision on a pending application and email the applicant.
+ * Approval makes the applicant an instructor and ends their sessions; they
+ * sign in again to get the new role.
+ */
+const reviewApplication = async (req, res, status) => {
+  const { userId } = req.params;
+  const { notes } = req.value.body;
+  const adminId = req.user.sub;
+
+  const user = await UserRepository.findById(userId);
+  const application = user
+    ? await InstructorApplicationRepository.findByUser(userId)
+    : null;
+  if (!application) {
+    return res.status(404).json({
+      success: false,
+      message: "Application not found",
+      code: "APPLICATION_NOT_FOUND",
+    });
+  }
+
+  const reviewed = await InstructorApplicationRepository.review(userId, {
+    status,
+    notes: notes || null,
+    reviewedBy: adminId,
+  });
+  if (!reviewed) {
+    return res.status(409).json({
+      success: false,
+      message: "This application has already been reviewed",
+      code: "APPLICATION_ALREADY_REVIEWED",
+      currentStatus: application.status,
+    });
+  }
+
+  if (
+    status === APPLICATION_STATUS.APPROVED &&
+    user.role === USER_ROLES.STUDENT
+  ) {
+    await AdminRepository.updateUserRole(
+      userId,
+      USER_ROLES.INSTRUCTOR,
+      adminId,
+      "Instructor application approved"
+    );
+    // Tokens carry the old role, so the user must sign in again
+    await endUserSessions(req, userId, "ROLE_CHANGED");
+  }
+
+  // The decision is saved; a failed email must not undo it
+  try {
+    await sendInstructorApplicationEmail(user, reviewed);
+  } catch (error) {
+    console.error("Error emailing instructor application decision:", error);
+  }
+
+  return res.status(200).json({
+    success: true,
+    message:
+      status === APPLICATION_STATUS.APPROVED
+        ? `${user.name} is now an instructor`
+        : "Application rejected",
+    data: reviewed,
+  });
+};
+
+/**
+ * Approve an instructor application
+ * @route POST /api/admin/instructor-applications/:userId/approve
+ */
+export const approveInstructorApplication = async (req, res) => {
+  try {
+    return await reviewApplication(req, res, APPLICATION_STATUS.APPROVED);
+  } catch (error) {
+    console.error("Error approving instructor application:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to approve instructor application",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Reject an instructor application; the notes are sent to the applicant
+ * @route POST /api/admin/instructor-applications/:userId/reject
+ */
+export const rejectInstructorApplication = async (req, res) => {
+  try {
+    return await reviewApplication(req, res, APPLICATION_STATUS.REJECTED);
+  } catch (error) {
+    console.error("Error rejecting instructor application:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to reject instructor application",
+      error: error.message,
+    });
+  }
+};
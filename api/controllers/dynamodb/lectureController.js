@@ -1,11 +1,64 @@
 import { LectureRepository } from "../../models/dynamodb/lecture-repository.js";
 import { CourseRepository } from "../../models/dynamodb/course-repository.js";
+import { SectionRepository } from "../../models/dynamodb/section-repository.js";
+import { EnrollmentRepository } from "../../models/dynamodb/enrollment-repository.js";
+import { CaptionRepository } from "../../models/dynamodb/caption-repository.js";
+import { AssignmentSubmissionRepository } from "../../models/dynamodb/assignment-submission-repository.js";
+import { QuizAttemptRepository } from "../../models/dynamodb/quiz-attempt-repository.js";
+import { nextPosition, orderLectures } from "../../utils/curriculum.js";
+import { deleteUploadedFile } from "../../utils/storage.js";
+import { LECTURE_TYPES } from "../../utils/constants.js";
+import { isAssignment } from "../../utils/assignments.js";
+import { isQuiz } from "../../utils/quizzes.js";
 
 const generateS3Url = (fileKey) => {
   const baseUrl = process.env.AWS_S3_BASE_URL;
   return `${baseUrl}/${fileKey}`;
 };
 
+// Quizzes and assignments are fetched through their own endpoints, which
+// keep quiz answer keys on the server
+const formatLecture = (lecture) => ({
+  id: lecture.lectureId,
+  title: lecture.title,
+  type: lecture.type || "video",
+  videoUrl: lecture.videoUrl ?? null,
+  videoURL: lecture.videoUrl ? generateS3Url(lecture.videoUrl) : null,
+  durationSeconds: lecture.durationSeconds ?? null,
+  sectionId: lecture.sectionId ?? null,
+  position: lecture.position ?? null,
+  // { language, label } tracks, served from .../captions/:language
+  captions: lecture.captions || [],
+  createdAt: lecture.createdAt,
+});
+
+// Answers with 404 or 403 unless the signed-in instructor owns the course
+// and the lecture exists
+const findOwnedLecture = async (req, res) => {
+  const { id: courseId, lectureId } = req.params;
+
+  const course = await CourseRepository.findById(courseId);
+  if (!course) {
+    res.status(404).json({ message: "Course not found." });
+    return null;
+  }
+
+  if (course.instructorId !== req.user.sub) {
+    res
+      .status(403)
+      .json({ message: "You are not authorized to edit this course" });
+    return null;
+  }
+
+  const lecture = await LectureRepository.findById(courseId, lectureId);
+  if (!lecture) {
+    res.status(404).json({ message: "Lecture not found." });
+    return null;
+  }
+
+  return lecture;
+};
+
 const createLecture = async (req, res) => {
   const courseId = req.params.id;
 
@@ -14,6 +67,7 @@ const createLecture = async (req, res) => {
   }
 
   const { title, videoUrl, durationSeconds } = req.body;
+  const sectionId = req.body.sectionId || null;
 
   try {
     const course = await CourseRepository.findById(courseId);
@@ -21,6 +75,12 @@ const createLecture = async (req, res) => {
       return res.status(404).json({ message: "Course not found." });
     }
 
+    if (sectionId && !(await SectionRepository.findById(courseId, sectionId))) {
+      return res.status(404).json({ message: "Section not found." });
+    }
+
+    // New lectures go at the end of their section
+    const lectures = await LectureRepository.findByCourse(courseId);
     const lecture = await LectureRepository.create({
       courseId,
       title,
@@ -30,6 +90,12 @@ const createLecture = async (req, res) => {
         typeof durationSeconds === "number" && durationSeconds >= 0
           ? durationSeconds
           : null,
+      sectionId,
+      position: nextPosition(
+        lectures.filter(
+          (existing) => (existing.sectionId ?? null) === sectionId
+        )
+      ),
     });
 
     res.status(201).json(lecture);
@@ -48,7 +114,11 @@ const getLecturesByCourseId = async (req, res) => {
       return res.status(404).json({ message: "Course does not exist" });
     }
 
-    const lectures = await LectureRepository.findByCourse(courseId);
+    const [sections, unorderedLectures] = await Promise.all([
+      SectionRepository.findByCourse(courseId),
+      LectureRepository.findByCourse(courseId),
+    ]);
+    const lectures = orderLectures(sections, unorderedLectures);
 
     if (!lectures || lectures.length === 0) {
       return res
@@ -56,20 +126,102 @@ const getLecturesByCourseId = async (req, res) => {
         .json({ message: "No lectures found for this course" });
     }
 
-    const lecturesWithUrls = lectures.map((lecture) => ({
-      id: lecture.lectureId,
-      title: lecture.title,
-      videoUrl: lecture.videoUrl,
-      videoURL: generateS3Url(lecture.videoUrl),
-      durationSeconds: lecture.durationSeconds ?? null,
-      createdAt: lecture.createdAt,
-    }));
-
-    res.status(200).json(lecturesWithUrls);
+    res.status(200).json(lectures.map(formatLecture));
   } catch (error) {
     console.error("Error fetching lectures:", error);
     return res.status(500).json({ message: "Internal server error" });
   }
 };
 
-export { createLecture, getLecturesByCourseId };
+const updateLecture = async (req, res) => {
+  try {
+    const lecture = await findOwnedLecture(req, res);
+    if (!lecture) return;
+
+    if (
+      (lecture.type || LECTURE_TYPES.VIDEO) !== LECTURE_TYPES.VIDEO &&
+      req.value.body.videoUrl
+    ) {
+      return res
+        .status(400)
+        .json({ message: "Only video lectures have a video." });
+    }
+
+    const updated = await LectureRepository.update(
+      lecture.courseId,
+      lecture.lectureId,
+      {
+        ...req.value.body,
+        updatedAt: new Date().toISOString(),
+      }
+    );
+
+    // The replaced video is no longer referenced
+    if (updated.videoUrl !== lecture.videoUrl) {
+      await deleteUploadedFile(lecture.videoUrl);
+    }
+
+    res.status(200).json(formatLecture(updated));
+  } catch (error) {
+    console.error("Error updating lecture:", error);
+    res.status(500).json({ message: "Error updating lecture." });
+  }
+};
+
+const deleteLecture = async (req, res) => {
+  try {
+    const lecture = await findOwnedLecture(req, res);
+    if (!lecture) return;
+
+    await LectureRepository.delete(lecture.courseId, lecture.lectureId);
+
+    const remainingLectures = await LectureRepository.findByCourse(
+      lecture.courseId
+    );
+    const updatedEnrollments = await EnrollmentRepository.removeLectureProgress(
+      lecture.courseId,
+      lecture.lectureId,
+      remainingLectures.map((remaining) => remaining.lectureId)
+    );
+
+    await deleteUploadedFile(lecture.videoUrl);
+
+    if (lecture.captions?.length) {
+      await CaptionRepository.deleteByLecture(
+        lecture.courseId,
+        lecture.lectureId
+      );
+    }
+
+    // Learners' work goes with the assignment
+    if (isAssignment(lecture)) {
+      const submissions = await AssignmentSubmissionRepository.deleteByLecture(
+        lecture.courseId,
+        lecture.lectureId
+      );
+      await Promise.all(
+        submissions.flatMap((submission) =>
+          submission.files.map((file) => deleteUploadedFile(file.fileKey))
+        )
+      );
+    }
+
+    if (isQuiz(lecture)) {
+      const enrollments = await EnrollmentRepository.findByCourse(
+        lecture.courseId
+      );
+      await QuizAttemptRepository.deleteByLecture(
+        lecture.courseId,
+        lecture.lectureId,
+        enrollments.map((enrollment) => enrollment.userId)
+      );
+    }
+
+    res.status(200).json({ message: "Lecture deleted.", updatedEnrollments });
+  } catch (error) {
+    console.error("Error deleting lecture:", error);
+    res.status(500).json({ message: "Error deleting lecture." });
+  }
+};
+
+export { createLecture, getLecturesByCourseId, updateLecture, deleteLecture };
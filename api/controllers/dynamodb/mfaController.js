@@ -0,0 +1,246 @@
+import bcrypt from "bcrypt";
+import { UserRepository } from "../../models/dynamodb/user-repository.js";
+import { SessionRepository } from "../../models/dynamodb/session-repository.js";
+import { AdminRepository } from "../../models/dynamodb/admin-repository.js";
+import {
+  buildOtpAuthUri,
+  decryptMfaSecret,
+  encryptMfaSecret,
+  generateRecoveryCodes,
+  generateTotpSecret,
+  hashRecoveryCode,
+  isMfaRequiredForRole,
+  verifyMfaCode,
+  verifyTotp,
+} from "../../utils/mfa.js";
+import { generateToken, setAuthCookie } from "./authController.js";
+
+/**
+ * Write an MFA change to the security events
+ */
+const logMfaEvent = async (req, eventType, user, details = {}) => {
+  try {
+    await AdminRepository.logSecurityEvent(
+      eventType,
+      user.userId,
+      { email: user.email, ...details },
+      req.ip || req.connection?.remoteAddress,
+      req.get("User-Agent")
+    );
+  } catch (error) {
+    console.error(`Error logging ${eventType} security event:`, error);
+  }
+};
+
+/**
+ * Get the current user's MFA status
+ * @route GET /api/mfa
+ */
+export const getMfaStatus = async (req, res) => {
+  try {
+    const user = await UserRepository.findById(req.user.sub);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const { sessionPolicy } = await AdminRepository.getSecurityPolicies();
+
+    return res.status(200).json({
+      enabled: user.mfaEnabled === true,
+      enabledAt: user.mfaEnabledAt || null,
+      recoveryCodesRemaining: (user.mfaRecoveryCodes || []).length,
+      required: isMfaRequiredForRole(user.role, sessionPolicy),
+    });
+  } catch (error) {
+    console.error("Error fetching MFA status:", error);
+    return res.status(500).json({ message: "Error fetching MFA status" });
+  }
+};
+
+/**
+ * Start MFA enrolment: create a pending secret and its provisioning URI
+ * @route POST /api/mfa/setup
+ */
+export const startMfaSetup = async (req, res) => {
+  try {
+    const user = await UserRepository.findById(req.user.sub);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (user.mfaEnabled) {
+      return res.status(409).json({
+        message: "Multi-factor authentication is already enabled",
+        code: "MFA_ALREADY_ENABLED",
+      });
+    }
+
+    const secret = generateTotpSecret();
+    await UserRepository.update(user.userId, {
+      mfaPendingSecret: encryptMfaSecret(secret),
+    });
+
+    return res.status(200).json({
+      secret,
+      otpauthUri: buildOtpAuthUri({ secret, accountName: user.email }),
+    });
+  } catch (error) {
+    console.error("Error starting MFA setup:", error);
+    return res.status(500).json({ message: "Error starting MFA setup" });
+  }
+};
+
+/**
+ * Finish MFA enrolment by confirming a code from the pending secret. Returns
+ * the recovery codes (shown once) and a session token that has passed MFA.
+ * @route POST /api/mfa/enable
+ */
+export const enableMfa = async (req, res) => {
+  const { code } = req.value.body;
+
+  try {
+    const user = await UserRepository.findById(req.user.sub);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (user.mfaEnabled) {
+      return res.status(409).json({
+        message: "Multi-factor authentication is already enabled",
+        code: "MFA_ALREADY_ENABLED",
+      });
+    }
+
+    if (!user.mfaPendingSecret) {
+      return res.status(400).json({
+        message: "Start MFA setup before verifying a code",
+        code: "MFA_SETUP_NOT_STARTED",
+      });
+    }
+
+    const step = verifyTotp(decryptMfaSecret(user.mfaPendingSecret), code);
+    if (step === null) {
+      return res.status(400).json({
+        message: "Invalid verification code",
+        code: "MFA_INVALID_CODE",
+      });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    const updatedUser = await UserRepository.enableMfa(user.userId, {
+      secret: user.mfaPendingSecret,
+      recoveryCodes: recoveryCodes.map(hashRecoveryCode),
+      lastUsedStep: step,
+    });
+    await logMfaEvent(req, "MFA_ENABLED", user);
+
+    const sessionId = req.user.sid;
+    if (sessionId) {
+      await SessionRepository.markMfaVerified(user.userId, sessionId);
+    }
+
+    const token = generateToken(updatedUser, { mfa: true, sessionId });
+    setAuthCookie(res, token);
+
+    return res.status(200).json({
+      message: "Multi-factor authentication enabled",
+      recoveryCodes,
+      token,
+    });
+  } catch (error) {
+    console.error("Error enabling MFA:", error);
+    return res.status(500).json({ message: "Error enabling MFA" });
+  }
+};
+
+/**
+ * Turn off MFA after confirming the password and a current code
+ * @route POST /api/mfa/disable
+ */
+export const disableMfa = async (req, res) => {
+  const { password, code } = req.value.body;
+
+  try {
+    const user = await UserRepository.findById(req.user.sub);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!user.mfaEnabled) {
+      return res.status(400).json({
+        message: "Multi-factor authentication is not enabled",
+        code: "MFA_NOT_ENABLED",
+      });
+    }
+
+    const { sessionPolicy } = await AdminRepository.getSecurityPolicies();
+    if (isMfaRequiredForRole(user.role, sessionPolicy)) {
+      return res.status(403).json({
+        message: "Multi-factor authentication is required for your role",
+        code: "MFA_REQUIRED",
+      });
+    }
+
+    const isPasswordValid = await bcrypt.compare(password, user.password);
+    if (!isPasswordValid) {
+      return res.status(401).json({ message: "Invalid credentials" });
+    }
+
+    if (!verifyMfaCode(user, code).valid) {
+      return res.status(400).json({
+        message: "Invalid verification code",
+        code: "MFA_INVALID_CODE",
+      });
+    }
+
+    await UserRepository.disableMfa(user.userId);
+    await logMfaEvent(req, "MFA_DISABLED", user);
+
+    return res
+      .status(200)
+      .json({ message: "Multi-factor authentication disabled" });
+  } catch (error) {
+    console.error("Error disabling MFA:", error);
+    return res.status(500).json({ message: "Error disabling MFA" });
+  }
+};
+
+/**
+ * Replace all recovery codes after confirming a current code
+ * @route POST /api/mfa/recovery-codes
+ */
+export const regenerateRecoveryCodes = async (req, res) => {
+  const { code } = req.value.body;
+
+  try {
+    const user = await UserRepository.findById(req.user.sub);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const verification = verifyMfaCode(user, code);
+    if (!verification.valid) {
+      return res.status(400).json({
+        message: "Invalid verification code",
+        code: "MFA_INVALID_CODE",
+      });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    await UserRepository.update(user.userId, {
+      ...verification.updates,
+      mfaRecoveryCodes: recoveryCodes.map(hashRecoveryCode),
+    });
+    await logMfaEvent(req, "MFA_RECOVERY_CODES_REGENERATED", user);
+
+    return res.status(200).json({
+      message: "New recovery codes generated",
+      recoveryCodes,
+    });
+  } catch (error) {
+    console.error("Error regenerating recovery codes:", error);
+    return res
+      .status(500)
+      .json({ message: "Error regenerating recovery codes" });
+  }
+};
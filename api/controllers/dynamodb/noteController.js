@@ -0,0 +1,199 @@
+import { EnrollmentRepository } from "../../models/dynamodb/enrollment-repository.js";
+import { LectureRepository } from "../../models/dynamodb/lecture-repository.js";
+import { LectureNoteRepository } from "../../models/dynamodb/lecture-note-repository.js";
+import { LECTURE_TYPES } from "../../utils/constants.js";
+import {
+  NOTE_KINDS,
+  matchesSearch,
+  notesToMarkdown,
+  sortNotes,
+} from "../../utils/notes.js";
+
+const formatNote = (note) => ({
+  id: note.noteId,
+  courseId: note.courseId,
+  courseTitle: note.courseTitle,
+  lectureId: note.lectureId,
+  lectureTitle: note.lectureTitle,
+  kind: note.kind,
+  timestamp: note.timestamp,
+  text: note.text,
+  createdAt: note.createdAt,
+  updatedAt: note.updatedAt,
+});
+
+const isVideo = (lecture) =>
+  (lecture.type || LECTURE_TYPES.VIDEO) === LECTURE_TYPES.VIDEO;
+
+const notVideoResponse = (res) =>
+  res.status(400).json({
+    message: "Only video lectures have timestamps",
+    code: "NOT_A_VIDEO",
+  });
+
+// The signed-in learner's notes, in one course when courseId is given
+const findMyNotes = (userId, courseId) =>
+  courseId
+    ? LectureNoteRepository.findByUserAndCourse(userId, courseId)
+    : LectureNoteRepository.findByUser(userId);
+
+/**
+ * List the signed-in learner's notes and bookmarks, optionally in one course
+ * or lecture and matching a search term
+ * @route GET /api/notes
+ */
+export const getMyNotes = async (req, res) => {
+  try {
+    const { courseId, lectureId, search } = req.query;
+    const notes = (await findMyNotes(req.user.sub, courseId)).filter(
+      (note) =>
+        (!lectureId || note.lectureId === lectureId) &&
+        (!search || matchesSearch(note, search))
+    );
+
+    res.status(200).json(sortNotes(notes).map(formatNote));
+  } catch (error) {
+    console.error("Error fetching notes:", error);
+    res.status(500).json({ message: "Failed to fetch notes" });
+  }
+};
+
+/**
+ * Download the signed-in learner's notes as Markdown, optionally for one
+ * course
+ * @route GET /api/notes/export
+ */
+export const exportMyNotes = async (req, res) => {
+  try {
+    const notes = await findMyNotes(req.user.sub, req.query.courseId);
+
+    const filename = `notes-${new Date().toISOString().slice(0, 10)}.md`;
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.setHeader("Content-Type", "text/markdown; charset=utf-8");
+    res.status(200).send(notesToMarkdown(notes));
+  } catch (error) {
+    console.error("Error exporting notes:", error);
+    res.status(500).json({ message: "Failed to export notes" });
+  }
+};
+
+/**
+ * Add a note or bookmark to a lecture of a course the learner is enrolled in
+ * @route POST /api/notes
+ */
+export const createNote = async (req, res) => {
+  try {
+    const userId = req.user.sub;
+    const { courseId, lectureId, kind, timestamp, text } = req.value.body;
+
+    const enrollment = await EnrollmentRepository.findByUserAndCourse(
+      userId,
+      courseId
+    );
+    if (!enrollment) {
+      return res.status(403).json({
+        message: "Enroll in this course to take notes",
+        code: "NOT_ENROLLED",
+      });
+    }
+
+    const lecture = await LectureRepository.findById(courseId, lectureId);
+    if (!lecture) {
+      return res.status(404).json({
+        message: "Lecture not found",
+        code: "LECTURE_NOT_FOUND",
+      });
+    }
+    if (timestamp !== null && !isVideo(lecture)) {
+      return notVideoResponse(res);
+    }
+
+    const note = await LectureNoteRepository.create({
+      userId,
+      courseId,
+      courseTitle: enrollment.courseTitle,
+      lectureId,
+      lectureTitle: lecture.title,
+      kind,
+      timestamp,
+      text,
+    });
+
+    res.status(201).json(formatNote(note));
+  } catch (error) {
+    console.error("Error creating note:", error);
+    res.status(500).json({ message: "Failed to create note" });
+  }
+};
+
+/**
+ * Change a note's text or timestamp. Only bookmarks may have empty text.
+ * @route PUT /api/notes/:courseId/:noteId
+ */
+export const updateNote = async (req, res) => {
+  try {
+    const userId = req.user.sub;
+    const { courseId, noteId } = req.params;
+    const { text, timestamp } = req.value.body;
+
+    const note = await LectureNoteRepository.findById(userId, courseId, noteId);
+    if (!note) {
+      return res.status(404).json({ message: "Note not found" });
+    }
+    if (!text && note.kind === NOTE_KINDS.NOTE) {
+      return res.status(400).json({
+        message: "Notes need text",
+        code: "NOTE_TEXT_REQUIRED",
+      });
+    }
+    if (timestamp !== null && note.timestamp === null) {
+      // Only notes made on videos can point at a moment in one
+      const lecture = await LectureRepository.findById(
+        courseId,
+        note.lectureId
+      );
+      if (lecture && !isVideo(lecture)) {
+        return notVideoResponse(res);
+      }
+    }
+
+    const updated = await LectureNoteRepository.update(
+      userId,
+      courseId,
+      noteId,
+      { text, timestamp }
+    );
+    if (!updated) {
+      return res.status(404).json({ message: "Note not found" });
+    }
+
+    res.status(200).json(formatNote(updated));
+  } catch (error) {
+    console.error("Error updating note:", error);
+    res.status(500).json({ message: "Failed to update note" });
+  }
+};
+
+/**
+ * Delete a note or bookmark
+ * @route DELETE /api/notes/:courseId/:noteId
+ */
+export const deleteNote = async (req, res) => {
+  try {
+    const { courseId, noteId } = req.params;
+
+    const deleted = await LectureNoteRepository.delete(
+      req.user.sub,
+      courseId,
+      noteId
+    );
+    if (!deleted) {
+      return res.status(404).json({ message: "Note not found" });
+    }
+
+    res.status(200).json({ message: "Note deleted" });
+  } catch (error) {
+    console.error("Error deleting note:", error);
+    res.status(500).json({ message: "Failed to delete note" });
+  }
+};
@@ -0,0 +1,213 @@
+import { UserRepository } from "../../models/dynamodb/user-repository.js";
+import { AdminRepository } from "../../models/dynamodb/admin-repository.js";
+import { IdentityRepository } from "../../models/dynamodb/identity-repository.js";
+import { USER_ROLES } from "../../utils/constants.js";
+import {
+  OIDC_FLOW_COOKIE,
+  buildAuthorizationUrl,
+  clearOidcFlowCookieOptions,
+  createPkcePair,
+  createRandomToken,
+  exchangeAuthorizationCode,
+  getOidcProvider,
+  getOidcProviders,
+  getOidcRedirectUri,
+  hasVerifiedEmail,
+  oidcFlowCookieOptions,
+  signOidcFlow,
+  verifyIdToken,
+  verifyOidcFlow,
+} from "../../utils/oidc.js";
+import { completeExternalLogin } from "./authController.js";
+
+/**
+ * Write an external sign-in event to the security events
+ */
+const logIdentityEvent = async (req, eventType, user, details = {}) => {
+  try {
+    await AdminRepository.logSecurityEvent(
+      eventType,
+      user.userId,
+      { email: user.email, ...details },
+      req.ip || req.connection?.remoteAddress,
+      req.get?.("User-Agent")
+    );
+  } catch (error) {
+    console.error(`Error logging ${eventType} security event:`, error);
+  }
+};
+
+/**
+ * Find the user for a provider identity. Unknown identities are linked to
+ * the account with the same verified email, or a new student account is
+ * created for them.
+ * @returns {Promise<Object>} { user } or { status, error } to respond with
+ */
+const resolveIdentityUser = async (req, provider, claims) => {
+  const identity = await IdentityRepository.findByProviderSubject(
+    provider.id,
+    claims.sub
+  );
+  if (identity) {
+    const user = await UserRepository.findById(identity.userId);
+    if (user) {
+      return { user };
+    }
+  }
+
+  // Only an address the provider has verified proves the account is theirs
+  if (!hasVerifiedEmail(claims)) {
+    return {
+      status: 403,
+      error: {
+        message: `Your ${provider.name} account has no verified email address`,
+        code: "OIDC_EMAIL_NOT_VERIFIED",
+      },
+    };
+  }
+
+  let user = await UserRepository.findByEmail(claims.email);
+  if (user && user.emailVerified === false) {
+    // Whoever registered this address never proved they own it; linking
+    // would hand them the provider user's sign-ins
+    return {
+      status: 409,
+      error: {
+        message:
+          "An account with this email is waiting for email verification. Verify it or sign in with your password first.",
+        code: "OIDC_ACCOUNT_UNVERIFIED",
+      },
+    };
+  }
+  if (!user) {
+    user = await UserRepository.create({
+      name: claims.name || claims.email.split("@")[0],
+      email: claims.email,
+      password: null,
+      role: USER_ROLES.STUDENT,
+      emailVerified: true,
+    });
+  }
+
+  const linked = await IdentityRepository.link({
+    provider: provider.id,
+    subject: claims.sub,
+    userId: user.userId,
+    email: claims.email,
+  });
+  if (linked) {
+    await logIdentityEvent(req, "IDENTITY_LINKED", user, {
+      provider: provider.id,
+    });
+  }
+
+  return { user };
+};
+
+/**
+ * List the configured external sign-in providers (public)
+ * @route GET /api/oauth/providers
+ */
+export const listOidcProviders = (req, res) => {
+  return res.status(200).json({
+    providers: getOidcProviders().map(({ id, name }) => ({ id, name })),
+  });
+};
+
+/**
+ * Start signing in with a provider: remember the state, nonce and PKCE
+ * verifier in a cookie and send the browser to the provider
+ * @route GET /api/oauth/:provider/authorize
+ */
+export const startOidcLogin = async (req, res) => {
+  const provider = getOidcProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({
+      message: "Unknown sign-in provider",
+      code: "OIDC_PROVIDER_NOT_FOUND",
+    });
+  }
+
+  try {
+    const state = createRandomToken();
+    const nonce = createRandomToken();
+    const { codeVerifier, codeChallenge } = createPkcePair();
+
+    const authorizationUrl = await buildAuthorizationUrl(provider, {
+      state,
+      nonce,
+      codeChallenge,
+      redirectUri: getOidcRedirectUri(),
+    });
+
+    res.cookie(
+      OIDC_FLOW_COOKIE,
+      signOidcFlow({ provider: provider.id, state, nonce, codeVerifier }),
+      oidcFlowCookieOptions
+    );
+    return res.redirect(302, authorizationUrl);
+  } catch (error) {
+    console.error("Error starting external sign-in:", error);
+    return res.status(502).json({
+      message: "The sign-in provider is unavailable",
+      code: "OIDC_PROVIDER_ERROR",
+    });
+  }
+};
+
+/**
+ * Finish signing in with the code the provider redirected back with. Issues
+ * the same session as a password login.
+ * @route POST /api/oauth/callback
+ */
+export const completeOidcLogin = async (req, res) => {
+  const { code, state } = req.value.body;
+
+  const flow = verifyOidcFlow(req.cookies?.[OIDC_FLOW_COOKIE]);
+  res.clearCookie(OIDC_FLOW_COOKIE, clearOidcFlowCookieOptions);
+
+  const provider = flow && getOidcProvider(flow.provider);
+  if (!provider || flow.state !== state) {
+    return res.status(400).json({
+      message: "Your sign-in attempt has expired. Please try again.",
+      code: "OIDC_STATE_INVALID",
+    });
+  }
+
+  let claims;
+  try {
+    const tokens = await exchangeAuthorizationCode(provider, {
+      code,
+      codeVerifier: flow.codeVerifier,
+      redirectUri: getOidcRedirectUri(),
+    });
+    claims = await verifyIdToken(provider, tokens.id_token, {
+      nonce: flow.nonce,
+    });
+  } catch (error) {
+    console.error("External sign-in failed:", error);
+    return res.status(401).json({
+      message: `Signing in with ${provider.name} failed`,
+      code: "OIDC_LOGIN_FAILED",
+    });
+  }
+
+  try {
+    const { user, status, error } = await resolveIdentityUser(
+      req,
+      provider,
+      claims
+    );
+    if (!user) {
+      return res.status(status).json(error);
+    }
+
+    return completeExternalLogin(req, res, user);
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "login error",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,753 @@
+import {
+  ORG_ROLES,
+  SEAT_SCOPES,
+  OrganizationRepository,
+} from "../../models/dynamodb/organization-repository.js";
+import { UserRepository } from "../../models/dynamodb/user-repository.js";
+import { CourseRepository } from "../../models/dynamodb/course-repository.js";
+import { EnrollmentRepository } from "../../models/dynamodb/enrollment-repository.js";
+import { LectureRepository } from "../../models/dynamodb/lecture-repository.js";
+import { isCourseVisibleInCatalog } from "../../utils/constants.js";
+import {
+  ACCOUNT_TOKEN_TYPES,
+  signAccountToken,
+  verifyAccountToken,
+} from "../../utils/accountTokens.js";
+import { sendOrganizationInviteEmail } from "../../utils/accountEmails.js";
+import { summarizeProgress } from "../../utils/learningProgress.js";
+
+/**
+ * Invite an address to an organization and email the link. Inviting it
+ * again replaces the earlier invite.
+ */
+const issueInvite = async (organization, { email, role, invitedBy }) => {
+  const { token, tokenId } = signAccountToken(
+    organization.organizationId,
+    ACCOUNT_TOKEN_TYPES.ORGANIZATION_INVITE
+  );
+  const invite = await OrganizationRepository.createInvite(
+    organization.organizationId,
+    { email, role, invitedBy, tokenId }
+  );
+  await sendOrganizationInviteEmail(invite, organization, token);
+
+  return invite;
+};
+
+/**
+ * Take a seat back and remove the enrollments made with it
+ * @returns {Promise<number|null>} Enrollments removed, or null if the member
+ * held no seat in the pool
+ */
+const reclaimSeat = async (organizationId, poolId, userId) => {
+  const seat = await OrganizationRepository.deleteSeat(
+    organizationId,
+    poolId,
+    userId
+  );
+  if (!seat) {
+    return null;
+  }
+
+  const enrollments = await EnrollmentRepository.findByUser(userId);
+  const removed = await Promise.all(
+    enrollments
+      .filter((enrollment) => enrollment.seatPoolId === poolId)
+      .map((enrollment) =>
+        EnrollmentRepository.deleteSeatEnrollment(
+          userId,
+          enrollment.courseId,
+          poolId
+        )
+      )
+  );
+  await OrganizationRepository.releaseSeat(organizationId, poolId);
+
+  return removed.filter(Boolean).length;
+};
+
+/**
+ * List organizations
+ * @route GET /api/admin/organizations
+ */
+export const getOrganizations = async (req, res) => {
+  try {
+    const { limit, lastEvaluatedKey } = req.query;
+    const result = await OrganizationRepository.list({
+      limit: parseInt(limit) || 50,
+      lastEvaluatedKey,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Error fetching organizations:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch organizations",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Create an organization and invite its first admin
+ * @route POST /api/admin/organizations
+ */
+export const createOrganization = async (req, res) => {
+  try {
+    const { name, adminEmail } = req.value.body;
+
+    const organization = await OrganizationRepository.create({
+      name,
+      createdBy: req.user.sub,
+    });
+    const invite = await issueInvite(organization, {
+      email: adminEmail,
+      role: ORG_ROLES.ADMIN,
+      invitedBy: req.user.sub,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Organization created and ${adminEmail} invited`,
+      data: { organization, invite },
+    });
+  } catch (error) {
+    console.error("Error creating organization:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create organization",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get an organization with its seat pools and members
+ * @route GET /api/admin/organizations/:orgId
+ */
+export const getOrganizationDetails = async (req, res) => {
+  try {
+    const { orgId } = req.params;
+    const organization = await OrganizationRepository.findById(orgId);
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: "Organization not found",
+        code: "ORGANIZATION_NOT_FOUND",
+      });
+    }
+
+    const [seatPools, members, invites] = await Promise.all([
+      OrganizationRepository.findSeatPools(orgId),
+      OrganizationRepository.findMembers(orgId),
+      OrganizationRepository.findInvites(orgId),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: { organization, seatPools, members, invites },
+    });
+  } catch (error) {
+    console.error("Error fetching organization:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch organization",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Add a purchased pool of seats for one course or the whole catalog
+ * @route POST /api/admin/organizations/:orgId/seat-pools
+ */
+export const createSeatPool = async (req, res) => {
+  try {
+    const { orgId } = req.params;
+    const { scope, courseId, totalSeats } = req.value.body;
+
+    const organization = await OrganizationRepository.findById(orgId);
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: "Organization not found",
+        code: "ORGANIZATION_NOT_FOUND",
+      });
+    }
+
+    let course = null;
+    if (scope === SEAT_SCOPES.COURSE) {
+      course = await CourseRepository.findById(courseId);
+      if (!course || !isCourseVisibleInCatalog(course.status)) {
+        return res.status(400).json({
+          success: false,
+          message: "Seats can only be sold for published courses",
+          code: "COURSE_UNAVAILABLE",
+        });
+      }
+    }
+
+    const seatPool = await OrganizationRepository.createSeatPool(orgId, {
+      scope,
+      courseId: course?.courseId,
+      courseTitle: course?.title,
+      totalSeats,
+      createdBy: req.user.sub,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${totalSeats} seats added to ${organization.name}`,
+      data: seatPool,
+    });
+  } catch (error) {
+    console.error("Error creating seat pool:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create seat pool",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Change the number of seats in a pool
+ * @route PATCH /api/admin/organizations/:orgId/seat-pools/:poolId
+ */
+export const resizeSeatPool = async (req, res) => {
+  try {
+    const { orgId, poolId } = req.params;
+    const { totalSeats } = req.value.body;
+
+    const seatPool = await OrganizationRepository.findSeatPool(orgId, poolId);
+    if (!seatPool) {
+      return res.status(404).json({
+        success: false,
+        message: "Seat pool not found",
+        code: "SEAT_POOL_NOT_FOUND",
+      });
+    }
+
+    const updated = await OrganizationRepository.resizeSeatPool(
+      orgId,
+      poolId,
+      totalSeats
+    );
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: "More seats are assigned than the new size allows",
+        code: "SEATS_IN_USE",
+        usedSeats: seatPool.usedSeats,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Seat pool updated",
+      data: updated,
+    });
+  } catch (error) {
+    console.error("Error updating seat pool:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update seat pool",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * List the organizations the current user belongs to
+ * @route GET /api/organizations
+ */
+export const getMyOrganizations = async (req, res) => {
+  try {
+    const memberships = await OrganizationRepository.findByMember(req.user.sub);
+
+    res.status(200).json({
+      success: true,
+      data: memberships,
+    });
+  } catch (error) {
+    console.error("Error fetching organizations:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch organizations",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Join an organization with an invite link. The invite must have been sent
+ * to the current user's email address.
+ * @route POST /api/organizations/invites/accept
+ */
+export const acceptInvite = async (req, res) => {
+  try {
+    const invalidInvite = () =>
+      res.status(400).json({
+        success: false,
+        message:
+          "This invitation is invalid, has expired or was sent to another email address",
+        code: "INVALID_INVITE",
+      });
+
+    const payload = verifyAccountToken(
+      req.value.body.token,
+      ACCOUNT_TOKEN_TYPES.ORGANIZATION_INVITE
+    );
+    if (!payload) {
+      return invalidInvite();
+    }
+
+    const { userId: organizationId, tokenId } = payload;
+    const [user, organization] = await Promise.all([
+      UserRepository.findById(req.user.sub),
+      OrganizationRepository.findById(organizationId),
+    ]);
+    if (!user || !organization) {
+      return invalidInvite();
+    }
+
+    const invite = await OrganizationRepository.consumeInvite(
+      organizationId,
+      user.email,
+      tokenId
+    );
+    if (!invite) {
+      return invalidInvite();
+    }
+
+    const membership =
+      (await OrganizationRepository.addMember(organization, {
+        user,
+        role: invite.role,
+      })) ||
+      (await OrganizationRepository.findMember(organizationId, user.userId));
+
+    res.status(200).json({
+      success: true,
+      message: `You joined ${organization.name}`,
+      data: membership,
+    });
+  } catch (error) {
+    console.error("Error accepting invite:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to accept invite",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get an organization and the current user's membership
+ * @route GET /api/organizations/:orgId
+ */
+export const getOrganization = async (req, res) => {
+  try {
+    const organization = await OrganizationRepository.findById(
+      req.params.orgId
+    );
+
+    res.status(200).json({
+      success: true,
+      data: { organization, membership: req.membership },
+    });
+  } catch (error) {
+    console.error("Error fetching organization:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch organization",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * List members and pending invites
+ * @route GET /api/organizations/:orgId/members
+ */
+export const getMembers = async (req, res) => {
+  try {
+    const { orgId } = req.params;
+    const [members, invites] = await Promise.all([
+      OrganizationRepository.findMembers(orgId),
+      OrganizationRepository.findInvites(orgId),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: { members, invites },
+    });
+  } catch (error) {
+    console.error("Error fetching members:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch members",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Invite someone to the organization by email
+ * @route POST /api/organizations/:orgId/invites
+ */
+export const inviteMember = async (req, res) => {
+  try {
+    const { orgId } = req.params;
+    const { email, role } = req.value.body;
+
+    const existingUser = await UserRepository.findByEmail(email);
+    if (
+      existingUser &&
+      (await OrganizationRepository.findMember(orgId, existingUser.userId))
+    ) {
+      return res.status(409).json({
+        success: false,
+        message: `${email} is already a member`,
+        code: "ALREADY_MEMBER",
+      });
+    }
+
+    const organization = await OrganizationRepository.findById(orgId);
+    const invite = await issueInvite(organization, {
+      email,
+      role,
+      invitedBy: req.user.sub,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${email}`,
+      data: invite,
+    });
+  } catch (error) {
+    console.error("Error sending invitation:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to send invitation",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Cancel a pending invite
+ * @route DELETE /api/organizations/:orgId/invites/:email
+ */
+export const cancelInvite = async (req, res) => {
+  try {
+    await OrganizationRepository.deleteInvite(
+      req.params.orgId,
+      req.params.email
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Invitation cancelled",
+    });
+  } catch (error) {
+    console.error("Error cancelling invitation:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to cancel invitation",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Remove a member and reclaim their seats
+ * @route DELETE /api/organizations/:orgId/members/:userId
+ */
+export const removeMember = async (req, res) => {
+  try {
+    const { orgId, userId } = req.params;
+
+    if (userId === req.user.sub) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot remove yourself from the organization",
+        code: "CANNOT_REMOVE_SELF",
+      });
+    }
+
+    const member = await OrganizationRepository.findMember(orgId, userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: "Member not found",
+        code: "MEMBER_NOT_FOUND",
+      });
+    }
+
+    const seats = await OrganizationRepository.findSeatsByUser(userId);
+    for (const seat of seats.filter((s) => s.organizationId === orgId)) {
+      await reclaimSeat(orgId, seat.poolId, userId);
+    }
+    await OrganizationRepository.removeMember(orgId, userId);
+
+    res.status(200).json({
+      success: true,
+      message: `${member.name} was removed and their seats reclaimed`,
+    });
+  } catch (error) {
+    console.error("Error removing member:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to remove member",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * List seat pools with the seats assigned from each
+ * @route GET /api/organizations/:orgId/seat-pools
+ */
+export const getSeatPools = async (req, res) => {
+  try {
+    const { orgId } = req.params;
+    const [seatPools, seats] = await Promise.all([
+      OrganizationRepository.findSeatPools(orgId),
+      OrganizationRepository.findSeats(orgId),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: seatPools.map((pool) => ({
+        ...pool,
+        seats: seats.filter((seat) => seat.poolId === pool.poolId),
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching seat pools:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch seat pools",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Give a member a seat. A course seat enrolls them in the course straight
+ * away; a catalog seat lets them enroll in any course themselves.
+ * @route POST /api/organizations/:orgId/seat-pools/:poolId/seats
+ */
+export const assignSeat = async (req, res) => {
+  try {
+    const { orgId, poolId } = req.params;
+    const { userId } = req.value.body;
+
+    const [pool, member] = await Promise.all([
+      OrganizationRepository.findSeatPool(orgId, poolId),
+      OrganizationRepository.findMember(orgId, userId),
+    ]);
+    if (!pool) {
+      return res.status(404).json({
+        success: false,
+        message: "Seat pool not found",
+        code: "SEAT_POOL_NOT_FOUND",
+      });
+    }
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: "Member not found",
+        code: "MEMBER_NOT_FOUND",
+      });
+    }
+
+    let course = null;
+    if (pool.scope === SEAT_SCOPES.COURSE) {
+      const enrollment = await EnrollmentRepository.findByUserAndCourse(
+        userId,
+        pool.courseId
+      );
+      if (enrollment) {
+        return res.status(409).json({
+          success: false,
+          message: `${member.name} is already enrolled in this course`,
+          code: "ALREADY_ENROLLED",
+        });
+      }
+
+      course = await CourseRepository.findById(pool.courseId);
+      if (!course) {
+        return res.status(404).json({
+          success: false,
+          message: "The course for this seat pool no longer exists",
+          code: "COURSE_NOT_FOUND",
+        });
+      }
+    }
+
+    if (!(await OrganizationRepository.reserveSeat(orgId, poolId))) {
+      return res.status(409).json({
+        success: false,
+        message: "All seats in this pool are assigned",
+        code: "NO_SEATS_AVAILABLE",
+      });
+    }
+
+    const seat = await OrganizationRepository.createSeat(pool, {
+      userId,
+      assignedBy: req.user.sub,
+    });
+    if (!seat) {
+      await OrganizationRepository.releaseSeat(orgId, poolId);
+      return res.status(409).json({
+        success: false,
+        message: `${member.name} already has a seat from this pool`,
+        code: "SEAT_ALREADY_ASSIGNED",
+      });
+    }
+
+    if (course) {
+      await EnrollmentRepository.create({
+        userId,
+        courseId: course.courseId,
+        courseTitle: course.title,
+        coursePrice: course.price,
+        courseImageKey: course.imageKey,
+        organizationId: orgId,
+        seatPoolId: poolId,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Seat assigned to ${member.name}`,
+      data: seat,
+    });
+  } catch (error) {
+    console.error("Error assigning seat:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to assign seat",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Take a seat back from a member, removing the enrollments made with it
+ * @route DELETE /api/organizations/:orgId/seat-pools/:poolId/seats/:userId
+ */
+export const reclaimMemberSeat = async (req, res) => {
+  try {
+    const { orgId, poolId, userId } = req.params;
+
+    const removedEnrollments = await reclaimSeat(orgId, poolId, userId);
+    if (removedEnrollments === null) {
+      return res.status(404).json({
+        success: false,
+        message: "This member has no seat in the pool",
+        code: "SEAT_NOT_FOUND",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Seat reclaimed",
+      data: { removedEnrollments },
+    });
+  } catch (error) {
+    console.error("Error reclaiming seat:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to reclaim seat",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Progress of every member in the courses they take through the
+ * organization
+ * @route GET /api/organizations/:orgId/reports/progress
+ */
+export const getProgressReport = async (req, res) => {
+  try {
+    const { orgId } = req.params;
+    const members = await OrganizationRepository.findMembers(orgId);
+
+    // Several members usually take the same course
+    const lecturesByCourse = new Map();
+    const getLectures = (courseId) => {
+      if (!lecturesByCourse.has(courseId)) {
+        lecturesByCourse.set(
+          courseId,
+          LectureRepository.findByCourse(courseId)
+        );
+      }
+      return lecturesByCourse.get(courseId);
+    };
+
+    const report = await Promise.all(
+      members.map(async (member) => {
+        const enrollments = (
+          await EnrollmentRepository.findByUser(member.userId)
+        ).filter((enrollment) => enrollment.organizationId === orgId);
+
+        const courses = await Promise.all(
+          enrollments.map(async (enrollment) => ({
+            courseId: enrollment.courseId,
+            title: enrollment.courseTitle,
+            enrolledAt: enrollment.createdAt,
+            completedAt: enrollment.completedAt || null,
+            ...summarizeProgress(
+              enrollment,
+              await getLectures(enrollment.courseId)
+            ),
+          }))
+        );
+
+        return {
+          userId: member.userId,
+          name: member.name,
+          email: member.email,
+          role: member.role,
+          courses,
+        };
+      })
+    );
+
+    const allCourses = report.flatMap((member) => member.courses);
+    const averageProgress =
+      allCourses.length > 0
+        ? allCourses.reduce((sum, course) => sum + course.progress, 0) /
+          allCourses.length
+        : 0;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        members: report,
+        summary: {
+          members: report.length,
+          enrollments: allCourses.length,
+          completedCourses: allCourses.filter((course) => course.completedAt)
+            .length,
+          averageProgress: Number(averageProgress.toFixed(2)),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Error building progress report:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to build progress report",
+      error: error.message,
+    });
+  }
+};
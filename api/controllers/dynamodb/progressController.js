@@ -1,6 +1,22 @@
 import { EnrollmentRepository } from "../../models/dynamodb/enrollment-repository.js";
 import { LectureRepository } from "../../models/dynamodb/lecture-repository.js";
 import { CourseRepository } from "../../models/dynamodb/course-repository.js";
+import { LectureWatchRepository } from "../../models/dynamodb/lecture-watch-repository.js";
+import { AdminRepository } from "../../models/dynamodb/admin-repository.js";
+import {
+  completesThroughActivity,
+  summarizeProgress,
+} from "../../utils/learningProgress.js";
+import { isQuiz } from "../../utils/quizzes.js";
+import { isAssignment } from "../../utils/assignments.js";
+import { LECTURE_TYPES } from "../../utils/constants.js";
+import {
+  addWatchedSegments,
+  clampSegments,
+  heartbeatAllowance,
+  resolveCompletionThreshold,
+  watchedPercent,
+} from "../../utils/watchProgress.js";
 
 const generateS3Url = (fileKey) => {
   const baseUrl = process.env.AWS_S3_BASE_URL;
@@ -108,36 +124,40 @@ const updateProgress = async (req, res) => {
       return res.status(404).json({ message: "Enrollment not found." });
     }
 
-    if (!enrollment.progress.includes(lectureId)) {
-      enrollment.progress.push(lectureId);
-
-      // Check if course is now completed (all lectures done)
-      const lectures = await LectureRepository.findByCourse(courseId);
-      const totalLectures = lectures.length;
-      const isNowCompleted =
-        totalLectures > 0 && enrollment.progress.length === totalLectures;
-
-      // Set completedAt only if course is now completed and wasn't before
-      const completedAt =
-        isNowCompleted && !enrollment.completedAt
-          ? new Date().toISOString()
-          : undefined;
+    // Pages opened before a lecture was deleted can still report it
+    const lectures = await LectureRepository.findByCourse(courseId);
+    const lecture = lectures.find((item) => item.lectureId === lectureId);
+    if (!lecture) {
+      return res.status(404).json({ message: "Lecture not found." });
+    }
 
-      await EnrollmentRepository.updateProgress(userId, courseId, enrollment.progress, {
-        completedAt,
+    // Quizzes are completed by passing them (see quizController)
+    if (isQuiz(lecture)) {
+      return res.status(400).json({
+        message: "Pass the quiz to complete this lecture.",
+        code: "QUIZ_NOT_PASSED",
+      });
+    }
+    // Assignments are completed by handing them in (see assignmentController)
+    if (isAssignment(lecture)) {
+      return res.status(400).json({
+        message: "Submit the assignment to complete this lecture.",
+        code: "ASSIGNMENT_NOT_SUBMITTED",
       });
     }
 
-    return res
-      .status(200)
-      .json({ message: "Progress updated.", progress: enrollment.progress });
+    // Videos are completed by watching them (see recordWatchHeartbeat)
+    return res.status(400).json({
+      message: "Watch the video to complete this lecture.",
+      code: "VIDEO_NOT_WATCHED",
+    });
   } catch (error) {
     console.error("Error updating progress:", error);
     return res.status(500).json({ message: "Server error." });
   }
 };
 
-const markAllCompleted = async (req, res) => {
+const removeAllLectureId = async (req, res) => {
   const courseId = req.params.id;
   const userId = req.user.sub;
 
@@ -148,9 +168,6 @@ const markAllCompleted = async (req, res) => {
   }
 
   try {
-    const lectures = await LectureRepository.findByCourse(courseId);
-    const allLectureIds = lectures.map((lecture) => lecture.lectureId);
-
     const enrollment = await EnrollmentRepository.findByUserAndCourse(
       userId,
       courseId,
@@ -160,55 +177,159 @@ const markAllCompleted = async (req, res) => {
       return res.status(404).json({ message: "Enrollment not found." });
     }
 
-    // Set completedAt only if not already completed
-    const completedAt = enrollment.completedAt || new Date().toISOString();
+    // Passed quizzes and handed-in assignments are kept; quiz attempts may
+    // be used up and submitted work stays submitted
+    const lectures = await LectureRepository.findByCourse(courseId);
+    const keptLectureIds = lectures
+      .filter(
+        (lecture) =>
+          completesThroughActivity(lecture) &&
+          enrollment.progress.includes(lecture.lectureId),
+      )
+      .map((lecture) => lecture.lectureId);
 
-    await EnrollmentRepository.updateProgress(userId, courseId, allLectureIds, {
-      completedAt,
-    });
+    // Clear completedAt when resetting progress
+    await EnrollmentRepository.updateProgress(
+      userId,
+      courseId,
+      keptLectureIds,
+      { clearCompletedAt: keptLectureIds.length < lectures.length },
+    );
+    // Otherwise the next heartbeat would complete videos watched before
+    await LectureWatchRepository.deleteByUserAndCourse(userId, courseId);
 
     return res.status(200).json({
-      message: "All lectures marked as completed.",
-      progress: allLectureIds,
-      completedAt,
+      message: "All lectures are removed.",
+      progress: keptLectureIds,
     });
   } catch (error) {
-    console.error("Error marking all lectures as completed:", error);
+    console.error("Error removing all lectures:", error);
     return res.status(500).json({ message: "Server error." });
   }
 };
 
-const removeAllLectureId = async (req, res) => {
-  const courseId = req.params.id;
+/**
+ * Where the learner left off in each video lecture of a course, so playback
+ * resumes on any device
+ * @route GET /api/enroll/:id/watch
+ */
+const getWatchProgress = async (req, res) => {
   const userId = req.user.sub;
+  const courseId = req.params.id;
 
-  if (!courseId || !userId) {
-    return res
-      .status(400)
-      .json({ message: "Course ID and User ID are required." });
+  try {
+    const enrollment = await EnrollmentRepository.findByUserAndCourse(
+      userId,
+      courseId,
+    );
+    if (!enrollment) {
+      return res.status(404).json({ message: "Enrollment not found." });
+    }
+
+    const [watches, settings] = await Promise.all([
+      LectureWatchRepository.findByUserAndCourse(userId, courseId),
+      AdminRepository.getSystemSettings(),
+    ]);
+
+    return res.status(200).json({
+      completionThreshold: resolveCompletionThreshold(
+        settings.platformSettings,
+      ),
+      lectures: Object.fromEntries(
+        watches.map((watch) => [
+          watch.lectureId,
+          {
+            position: watch.position,
+            watchedPercent: watchedPercent(watch.segments, watch.duration),
+          },
+        ]),
+      ),
+    });
+  } catch (error) {
+    console.error("Error fetching watch progress:", error);
+    return res.status(500).json({ message: "Server error." });
   }
+};
+
+/**
+ * Record a playback heartbeat: the current position and the stretches played
+ * since the last one. The lecture completes once the share watched reaches
+ * the platform's completion threshold.
+ * @route PUT /api/enroll/:id/watch/:lectureId
+ */
+const recordWatchHeartbeat = async (req, res) => {
+  const userId = req.user.sub;
+  const { id: courseId, lectureId } = req.params;
+  const { position, duration: playerDuration, segments } = req.value.body;
 
   try {
     const enrollment = await EnrollmentRepository.findByUserAndCourse(
       userId,
       courseId,
     );
-
     if (!enrollment) {
       return res.status(404).json({ message: "Enrollment not found." });
     }
 
-    // Clear completedAt when resetting progress
-    await EnrollmentRepository.updateProgress(userId, courseId, [], {
-      clearCompletedAt: true,
+    const lectures = await LectureRepository.findByCourse(courseId);
+    const lecture = lectures.find((item) => item.lectureId === lectureId);
+    if (!lecture) {
+      return res.status(404).json({ message: "Lecture not found." });
+    }
+    if ((lecture.type || LECTURE_TYPES.VIDEO) !== LECTURE_TYPES.VIDEO) {
+      return res.status(400).json({
+        message: "Only video lectures track watch time.",
+        code: "NOT_A_VIDEO",
+      });
+    }
+
+    // The stored length wins; the player's covers lectures uploaded before
+    // lengths were recorded, but only for showing how much was watched
+    const duration = lecture.durationSeconds || playerDuration;
+    const previous = await LectureWatchRepository.findOne(
+      userId,
+      courseId,
+      lectureId,
+    );
+    // Watch time grows no faster than the time between heartbeats allows,
+    // so a made-up heartbeat cannot claim the whole video at once
+    const watched = addWatchedSegments(
+      clampSegments(previous?.segments || [], duration),
+      clampSegments(segments, duration),
+      heartbeatAllowance(previous?.updatedAt),
+    );
+    const watch = await LectureWatchRepository.save({
+      userId,
+      courseId,
+      lectureId,
+      position: Math.min(position, duration),
+      duration,
+      segments: watched,
     });
+    const percent = watchedPercent(watched, duration);
+
+    // A length reported by the player is not trusted to complete a lecture
+    let progress = enrollment.progress || [];
+    if (!progress.includes(lectureId) && lecture.durationSeconds) {
+      const { platformSettings } = await AdminRepository.getSystemSettings();
+      if (percent >= resolveCompletionThreshold(platformSettings)) {
+        const updated = await EnrollmentRepository.completeLecture(
+          enrollment,
+          lectureId,
+          lectures.map((item) => item.lectureId),
+        );
+        progress = updated.progress;
+      }
+    }
 
     return res.status(200).json({
-      message: "All lectures are removed.",
-      progress: [],
+      position: watch.position,
+      watchedPercent: percent,
+      completed: progress.includes(lectureId),
+      progress,
     });
   } catch (error) {
-    console.error("Error removing all lectures:", error);
+    console.error("Error recording watch progress:", error);
     return res.status(500).json({ message: "Server error." });
   }
 };
@@ -236,39 +357,12 @@ const courseWithProgress = async (req, res) => {
     );
     const lecturesResults = await Promise.all(lecturesPromises);
 
-    const learningProgress = enrollments.map((enrollment, index) => {
-      const lectures = lecturesResults[index];
-      const totalLectures = lectures.length;
-      const completedLectureIds = new Set(enrollment.progress);
-      const completedLectures = lectures.filter((lecture) =>
-        completedLectureIds.has(lecture.lectureId),
-      );
-
-      const progressPercentage =
-        totalLectures > 0
-          ? (completedLectures.length / totalLectures) * 100
-          : 0;
-
-      const totalDurationSeconds = lectures.reduce(
-        (sum, lecture) => sum + (lecture.durationSeconds || 0),
-        0,
-      );
-      const completedDurationSeconds = completedLectures.reduce(
-        (sum, lecture) => sum + (lecture.durationSeconds || 0),
-        0,
-      );
-
-      return {
-        courseId: enrollment.courseId,
-        title: enrollment.courseTitle,
-        imageUrl: generateS3Url(enrollment.courseImageKey),
-        progress: Number(progressPercentage.toFixed(2)),
-        totalLectures,
-        completedLectures: completedLectures.length,
-        totalDurationSeconds,
-        completedDurationSeconds,
-      };
-    });
+    const learningProgress = enrollments.map((enrollment, index) => ({
+      courseId: enrollment.courseId,
+      title: enrollment.courseTitle,
+      imageUrl: generateS3Url(enrollment.courseImageKey),
+      ...summarizeProgress(enrollment, lecturesResults[index]),
+    }));
 
     return res.status(200).json(learningProgress);
   } catch (error) {
@@ -283,7 +377,8 @@ export {
   getProgress,
   getEnrollmentDetails,
   updateProgress,
-  markAllCompleted,
   removeAllLectureId,
+  getWatchProgress,
+  recordWatchHeartbeat,
   courseWithProgress,
 };
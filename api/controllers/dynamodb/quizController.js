@@ -0,0 +1,325 @@
+import { v4 as uuidv4 } from "uuid";
+import { CourseRepository } from "../../models/dynamodb/course-repository.js";
+import { LectureRepository } from "../../models/dynamodb/lecture-repository.js";
+import { SectionRepository } from "../../models/dynamodb/section-repository.js";
+import { EnrollmentRepository } from "../../models/dynamodb/enrollment-repository.js";
+import { QuizAttemptRepository } from "../../models/dynamodb/quiz-attempt-repository.js";
+import { nextPosition } from "../../utils/curriculum.js";
+import { LECTURE_TYPES } from "../../utils/constants.js";
+import {
+  findQuestionProblem,
+  gradeQuiz,
+  isQuiz,
+  toLearnerQuiz,
+} from "../../utils/quizzes.js";
+
+// Give new questions an ID; IDs sent back from the builder are kept
+const buildQuiz = ({
+  passingScore,
+  maxAttempts,
+  shuffleQuestions,
+  questions,
+}) => {
+  const seen = new Set();
+  return {
+    passingScore,
+    maxAttempts,
+    shuffleQuestions,
+    questions: questions.map((question) => {
+      const questionId =
+        question.questionId && !seen.has(question.questionId)
+          ? question.questionId
+          : uuidv4();
+      seen.add(questionId);
+      return { ...question, questionId };
+    }),
+  };
+};
+
+const formatQuiz = (lecture) => ({
+  id: lecture.lectureId,
+  title: lecture.title,
+  type: lecture.type,
+  sectionId: lecture.sectionId ?? null,
+  ...lecture.quiz,
+});
+
+const summarizeAttempts = (quiz, attempts) => ({
+  used: attempts.length,
+  remaining:
+    quiz.maxAttempts == null
+      ? null
+      : Math.max(quiz.maxAttempts - attempts.length, 0),
+  bestScore: attempts.length
+    ? Math.max(...attempts.map((attempt) => attempt.score))
+    : null,
+  passed: attempts.some((attempt) => attempt.passed),
+  history: attempts.map((attempt) => ({
+    attemptNumber: attempt.attemptNumber,
+    score: attempt.score,
+    passed: attempt.passed,
+    submittedAt: attempt.submittedAt,
+  })),
+});
+
+const invalidQuizResponse = (res, message) =>
+  res.status(400).json({ message, code: "INVALID_QUIZ" });
+
+/**
+ * Find a course and one of its quizzes, answering with 404 if either is
+ * missing and 403 if ownerOnly is set and the user is not its instructor
+ * @returns {Promise<Object|null>} { course, lecture }, or null once a
+ * response is sent
+ */
+const findQuiz = async (req, res, { ownerOnly = false } = {}) => {
+  const { id: courseId, lectureId } = req.params;
+
+  const course = await CourseRepository.findById(courseId);
+  if (!course) {
+    res.status(404).json({ message: "Course not found" });
+    return null;
+  }
+
+  if (ownerOnly && course.instructorId !== req.user.sub) {
+    res
+      .status(403)
+      .json({ message: "You are not authorized to edit this course" });
+    return null;
+  }
+
+  const lecture = await LectureRepository.findById(courseId, lectureId);
+  if (!isQuiz(lecture)) {
+    res.status(404).json({ message: "Quiz not found", code: "QUIZ_NOT_FOUND" });
+    return null;
+  }
+
+  return { course, lecture };
+};
+
+/**
+ * Add a quiz lecture at the end of a section, or among the unsectioned
+ * lectures
+ * @route POST /api/courses/:id/quizzes
+ */
+export const createQuiz = async (req, res) => {
+  try {
+    const courseId = req.params.id;
+    const { title, sectionId, ...settings } = req.value.body;
+
+    const course = await CourseRepository.findById(courseId);
+    if (!course) {
+      return res.status(404).json({ message: "Course not found" });
+    }
+    if (course.instructorId !== req.user.sub) {
+      return res
+        .status(403)
+        .json({ message: "You are not authorized to edit this course" });
+    }
+
+    const problem = findQuestionProblem(settings.questions);
+    if (problem) {
+      return invalidQuizResponse(res, problem);
+    }
+
+    if (sectionId && !(await SectionRepository.findById(courseId, sectionId))) {
+      return res.status(404).json({
+        message: "Section not found",
+        code: "SECTION_NOT_FOUND",
+      });
+    }
+
+    const lectures = await LectureRepository.findByCourse(courseId);
+    const lecture = await LectureRepository.create({
+      courseId,
+      title,
+      type: LECTURE_TYPES.QUIZ,
+      quiz: buildQuiz(settings),
+      sectionId,
+      position: nextPosition(
+        lectures.filter(
+          (existing) => (existing.sectionId ?? null) === sectionId
+        )
+      ),
+    });
+
+    res.status(201).json(formatQuiz(lecture));
+  } catch (error) {
+    console.error("Error creating quiz:", error);
+    res.status(500).json({
+      message: "Failed to create quiz",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Replace a quiz's title, settings and questions. Learners who already
+ * passed keep the lecture completed.
+ * @route PUT /api/courses/:id/quizzes/:lectureId
+ */
+export const updateQuiz = async (req, res) => {
+  try {
+    const found = await findQuiz(req, res, { ownerOnly: true });
+    if (!found) return;
+
+    const { title, ...settings } = req.value.body;
+    const problem = findQuestionProblem(settings.questions);
+    if (problem) {
+      return invalidQuizResponse(res, problem);
+    }
+
+    const lecture = await LectureRepository.update(
+      found.course.courseId,
+      found.lecture.lectureId,
+      {
+        title,
+        quiz: buildQuiz(settings),
+        updatedAt: new Date().toISOString(),
+      }
+    );
+
+    res.status(200).json(formatQuiz(lecture));
+  } catch (error) {
+    console.error("Error updating quiz:", error);
+    res.status(500).json({
+      message: "Failed to update quiz",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get a quiz. The course's instructor gets the answer key; enrolled learners
+ * get the questions and their attempts so far.
+ * @route GET /api/courses/:id/quizzes/:lectureId
+ */
+export const getQuiz = async (req, res) => {
+  try {
+    const found = await findQuiz(req, res);
+    if (!found) return;
+
+    const { course, lecture } = found;
+    if (course.instructorId === req.user.sub) {
+      return res.status(200).json(formatQuiz(lecture));
+    }
+
+    const enrollment = await EnrollmentRepository.findByUserAndCourse(
+      req.user.sub,
+      course.courseId
+    );
+    if (!enrollment) {
+      return res.status(403).json({
+        message: "Enroll in this course to take its quizzes",
+        code: "NOT_ENROLLED",
+      });
+    }
+
+    const attempts = await QuizAttemptRepository.findByQuiz(
+      req.user.sub,
+      course.courseId,
+      lecture.lectureId
+    );
+
+    res.status(200).json({
+      id: lecture.lectureId,
+      title: lecture.title,
+      type: lecture.type,
+      ...toLearnerQuiz(lecture.quiz),
+      attempts: summarizeAttempts(lecture.quiz, attempts),
+    });
+  } catch (error) {
+    console.error("Error fetching quiz:", error);
+    res.status(500).json({
+      message: "Failed to fetch quiz",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Submit answers for grading. Passing completes the quiz lecture, which can
+ * complete the course.
+ * @route POST /api/courses/:id/quizzes/:lectureId/attempts
+ */
+export const submitQuizAttempt = async (req, res) => {
+  try {
+    const found = await findQuiz(req, res);
+    if (!found) return;
+
+    const { course, lecture } = found;
+    const userId = req.user.sub;
+
+    const enrollment = await EnrollmentRepository.findByUserAndCourse(
+      userId,
+      course.courseId
+    );
+    if (!enrollment) {
+      return res.status(403).json({
+        message: "Enroll in this course to take its quizzes",
+        code: "NOT_ENROLLED",
+      });
+    }
+
+    const attempts = await QuizAttemptRepository.findByQuiz(
+      userId,
+      course.courseId,
+      lecture.lectureId
+    );
+    const { maxAttempts } = lecture.quiz;
+    if (maxAttempts != null && attempts.length >= maxAttempts) {
+      return res.status(409).json({
+        message: "You have used all your attempts at this quiz",
+        code: "ATTEMPT_LIMIT_REACHED",
+      });
+    }
+
+    const { answers } = req.value.body;
+    const grade = gradeQuiz(lecture.quiz, answers);
+    const attempt = await QuizAttemptRepository.create({
+      userId,
+      courseId: course.courseId,
+      lectureId: lecture.lectureId,
+      attemptNumber: attempts.length + 1,
+      answers,
+      grade,
+    });
+
+    // Another attempt took this number between our read and write
+    if (!attempt) {
+      return res.status(409).json({
+        message: "Another attempt was submitted at the same time",
+        code: "ATTEMPT_CONFLICT",
+      });
+    }
+
+    let progress = enrollment.progress || [];
+    if (grade.passed) {
+      const lectures = await LectureRepository.findByCourse(course.courseId);
+      const updated = await EnrollmentRepository.completeLecture(
+        enrollment,
+        lecture.lectureId,
+        lectures.map((item) => item.lectureId)
+      );
+      progress = updated.progress;
+    }
+
+    // Learners see which questions they got right, not the answers
+    res.status(201).json({
+      attempt: {
+        attemptNumber: attempt.attemptNumber,
+        score: attempt.score,
+        passed: attempt.passed,
+        results: attempt.results,
+        submittedAt: attempt.submittedAt,
+      },
+      attempts: summarizeAttempts(lecture.quiz, [...attempts, attempt]),
+      progress,
+    });
+  } catch (error) {
+    console.error("Error submitting quiz attempt:", error);
+    res.status(500).json({
+      message: "Failed to submit quiz attempt",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,307 @@
+import { AdminRepository } from "../../models/dynamodb/admin-repository.js";
+import { RoleRepository } from "../../models/dynamodb/role-repository.js";
+import { clearRolePermissionsCache } from "../../middlewares/requirePermission.js";
+import {
+  ALL_PERMISSIONS,
+  BUILT_IN_ROLE_DESCRIPTIONS,
+  BUILT_IN_ROLE_PERMISSIONS,
+  PERMISSION_DESCRIPTIONS,
+  SUPER_ADMIN_ONLY_PERMISSIONS,
+  hasPermissions,
+  isBuiltInRole,
+  validateRoleDefinition,
+} from "../../utils/permissions.js";
+
+/**
+ * Refuse permissions the admin does not hold, so nobody can build a role
+ * stronger than their own
+ * @returns {boolean} True if a response was sent
+ */
+const rejectEscalation = (req, res, permissions) => {
+  const missing = permissions.filter(
+    (permission) => !hasPermissions(req.permissions, [permission])
+  );
+  if (missing.length === 0) {
+    return false;
+  }
+
+  res.status(403).json({
+    success: false,
+    message: "You cannot grant permissions you do not have",
+    code: "PERMISSION_DENIED",
+    missing,
+  });
+  return true;
+};
+
+const formatRole = (role) => ({
+  name: role.name,
+  description: role.description || "",
+  permissions: role.permissions || [],
+  builtIn: false,
+  createdAt: role.createdAt,
+  updatedAt: role.updatedAt,
+});
+
+/**
+ * List all permissions a custom role can be composed from
+ */
+export const getPermissionCatalog = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: ALL_PERMISSIONS.filter(
+      (permission) => !SUPER_ADMIN_ONLY_PERMISSIONS.includes(permission)
+    ).map((permission) => ({
+      name: permission,
+      description: PERMISSION_DESCRIPTIONS[permission],
+    })),
+  });
+};
+
+/**
+ * List built-in and custom roles with their permissions
+ */
+export const getRoles = async (req, res) => {
+  try {
+    const customRoles = await RoleRepository.findAll();
+
+    const builtInRoles = Object.entries(BUILT_IN_ROLE_PERMISSIONS).map(
+      ([name, permissions]) => ({
+        name,
+        description: BUILT_IN_ROLE_DESCRIPTIONS[name],
+        permissions,
+        builtIn: true,
+      })
+    );
+
+    res.status(200).json({
+      success: true,
+      data: [...builtInRoles, ...customRoles.map(formatRole)],
+    });
+  } catch (error) {
+    console.error("Error fetching roles:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch roles",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Create a custom role
+ */
+export const createRole = async (req, res) => {
+  try {
+    const { name, description, permissions } = req.body;
+    const adminId = req.user.sub;
+
+    const validation = validateRoleDefinition({
+      name,
+      description,
+      permissions,
+    });
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: validation.error,
+        code: validation.code,
+      });
+    }
+
+    if (rejectEscalation(req, res, permissions)) {
+      return;
+    }
+
+    const role = await RoleRepository.create({
+      name,
+      description,
+      permissions: [...new Set(permissions)],
+      createdBy: adminId,
+    });
+    if (!role) {
+      return res.status(409).json({
+        success: false,
+        message: `Role ${name} already exists`,
+        code: "ROLE_EXISTS",
+      });
+    }
+
+    await AdminRepository.logAdminAction(adminId, "ROLE_CREATED", {
+      targetEntity: `ROLE#${name}`,
+      newValue: role.permissions,
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.headers["user-agent"],
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Role created successfully",
+      data: formatRole(role),
+    });
+  } catch (error) {
+    console.error("Error creating role:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create role",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Change the description and permissions of a custom role
+ */
+export const updateRole = async (req, res) => {
+  try {
+    const { roleName } = req.params;
+    const { description, permissions } = req.body;
+    const adminId = req.user.sub;
+
+    if (isBuiltInRole(roleName)) {
+      return res.status(400).json({
+        success: false,
+        message: `${roleName} is a built-in role and cannot be changed`,
+        code: "BUILT_IN_ROLE",
+      });
+    }
+
+    const validation = validateRoleDefinition(
+      { description, permissions },
+      { requireName: false }
+    );
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: validation.error,
+        code: validation.code,
+      });
+    }
+
+    const existing = await RoleRepository.findByName(roleName);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: "Role not found",
+        code: "ROLE_NOT_FOUND",
+      });
+    }
+
+    // Removing a permission is as much a change to it as granting one
+    const changed = [
+      ...permissions.filter((p) => !existing.permissions.includes(p)),
+      ...existing.permissions.filter((p) => !permissions.includes(p)),
+    ];
+    if (rejectEscalation(req, res, changed)) {
+      return;
+    }
+
+    const role = await RoleRepository.update(
+      roleName,
+      { description, permissions: [...new Set(permissions)] },
+      adminId
+    );
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: "Role not found",
+        code: "ROLE_NOT_FOUND",
+      });
+    }
+    clearRolePermissionsCache();
+
+    await AdminRepository.logAdminAction(adminId, "ROLE_UPDATED", {
+      targetEntity: `ROLE#${roleName}`,
+      previousValue: existing.permissions,
+      newValue: role.permissions,
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.headers["user-agent"],
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Role updated successfully",
+      data: formatRole(role),
+    });
+  } catch (error) {
+    console.error("Error updating role:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update role",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete a custom role that no user holds
+ */
+export const deleteRole = async (req, res) => {
+  try {
+    const { roleName } = req.params;
+    const adminId = req.user.sub;
+
+    if (isBuiltInRole(roleName)) {
+      return res.status(400).json({
+        success: false,
+        message: `${roleName} is a built-in role and cannot be deleted`,
+        code: "BUILT_IN_ROLE",
+      });
+    }
+
+    const existing = await RoleRepository.findByName(roleName);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: "Role not found",
+        code: "ROLE_NOT_FOUND",
+      });
+    }
+
+    if (rejectEscalation(req, res, existing.permissions)) {
+      return;
+    }
+
+    // Users left on a deleted role would silently lose all access
+    const { users } = await AdminRepository.getAllUsers({
+      role: roleName,
+      limit: 1,
+    });
+    if (users.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: "Move users to another role before deleting this one",
+        code: "ROLE_IN_USE",
+      });
+    }
+
+    const deleted = await RoleRepository.delete(roleName);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: "Role not found",
+        code: "ROLE_NOT_FOUND",
+      });
+    }
+    clearRolePermissionsCache();
+
+    await AdminRepository.logAdminAction(adminId, "ROLE_DELETED", {
+      targetEntity: `ROLE#${roleName}`,
+      previousValue: existing.permissions,
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.headers["user-agent"],
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Role deleted successfully",
+    });
+  } catch (error) {
+    console.error("Error deleting role:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete role",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,87 @@
+import { SessionRepository } from "../../models/dynamodb/session-repository.js";
+import { AdminRepository } from "../../models/dynamodb/admin-repository.js";
+import { getSessionPolicy } from "../../middlewares/authenticateToken.js";
+import { getActiveSessions } from "../../utils/sessionPolicy.js";
+import { endSession } from "./authController.js";
+
+/**
+ * List a user's usable sessions without their refresh token hashes
+ * @param {string} userId - User ID
+ * @param {string} currentSessionId - Session of the caller, flagged as current
+ * @returns {Promise<Array>} Session summaries, most recently active first
+ */
+export const listUserSessions = async (userId, currentSessionId) => {
+  const sessions = getActiveSessions(
+    await SessionRepository.findByUser(userId),
+    await getSessionPolicy()
+  );
+
+  return sessions.map((session) => ({
+    sessionId: session.sessionId,
+    device: session.device || "Unknown device",
+    userAgent: session.userAgent || null,
+    ipAddress: session.ipAddress || null,
+    mfa: session.mfa === true,
+    createdAt: session.createdAt,
+    lastActiveAt: session.lastActiveAt || session.createdAt,
+    expiresAt: session.expiresAt,
+    current: session.sessionId === currentSessionId,
+  }));
+};
+
+/**
+ * List the current user's active sessions
+ * @route GET /api/sessions
+ */
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await listUserSessions(req.user.sub, req.user.sid);
+    return res.status(200).json({ sessions });
+  } catch (error) {
+    console.error("Error fetching sessions:", error);
+    return res.status(500).json({ message: "Error fetching sessions" });
+  }
+};
+
+/**
+ * Sign out one of the current user's sessions, e.g. a lost device
+ * @route DELETE /api/sessions/:sessionId
+ */
+export const revokeSession = async (req, res) => {
+  const { sessionId } = req.params;
+  const userId = req.user.sub;
+
+  try {
+    const revoked = await endSession(req, userId, sessionId, "USER_REVOKED");
+    if (!revoked) {
+      return res.status(404).json({
+        message: "Session not found",
+        code: "SESSION_NOT_FOUND",
+      });
+    }
+
+    try {
+      await AdminRepository.logSecurityEvent(
+        "SESSION_REVOKED",
+        userId,
+        {
+          email: req.user.email,
+          sessionId,
+          revokedBy: userId,
+        },
+        req.ip || req.connection?.remoteAddress,
+        req.get("User-Agent")
+      );
+    } catch (error) {
+      console.error("Error logging SESSION_REVOKED security event:", error);
+    }
+
+    return res.status(200).json({
+      message: "Session signed out",
+      current: sessionId === req.user.sid,
+    });
+  } catch (error) {
+    console.error("Error revoking session:", error);
+    return res.status(500).json({ message: "Error revoking session" });
+  }
+};
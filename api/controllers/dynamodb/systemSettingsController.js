@@ -1,4 +1,21 @@
 import { AdminRepository } from "../../models/dynamodb/admin-repository.js";
+import {
+  clearMaintenanceStateCache,
+  getMaintenanceState,
+} from "../../middlewares/maintenanceMode.js";
+import {
+  clearFeatureFlagCache,
+  getFeatureFlagSettings,
+} from "../../middlewares/requireFeatureFlag.js";
+import { clearRateLimitPolicyCache } from "../../middlewares/rateLimiter.js";
+import { clearIpAllowlistCache } from "../../middlewares/ipAllowlist.js";
+import { clearSessionPolicyCache } from "../../middlewares/authenticateToken.js";
+import {
+  evaluateFeatureFlags,
+  validateFeatureFlags,
+} from "../../utils/featureFlags.js";
+import { DEFAULT_GROUP_RATE_LIMITS } from "../../utils/rateLimit.js";
+import { evaluateIpAllowlist, isValidIpRule } from "../../utils/ipAllowlist.js";
 
 /**
  * Get all system configuration settings
@@ -63,6 +80,7 @@ export const updatePlatformSettings = async (req, res) => {
       settings,
       adminId
     );
+    clearMaintenanceStateCache();
 
     res.status(200).json({
       success: true,
@@ -79,6 +97,49 @@ export const updatePlatformSettings = async (req, res) => {
   }
 };
 
+/**
+ * Get public platform status (maintenance state and upcoming windows)
+ * @route GET /api/status
+ */
+export const getPlatformStatus = async (req, res) => {
+  try {
+    const state = await getMaintenanceState();
+
+    res.status(200).json({
+      status: state.active ? "maintenance" : "operational",
+      maintenance: {
+        active: state.active,
+        message: state.message,
+        title: state.title,
+        startTime: state.startTime,
+        endTime: state.endTime,
+        retryAfter: state.retryAfter,
+      },
+      upcomingMaintenance: state.upcoming,
+      serverTime: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("Error fetching platform status:", error);
+    res.status(500).json({ error: "Failed to fetch platform status" });
+  }
+};
+
+/**
+ * Get feature flags evaluated for the current user (anonymous if no token)
+ * @route GET /api/flags
+ */
+export const getFeatureFlags = async (req, res) => {
+  try {
+    const storedFlags = await getFeatureFlagSettings();
+    const flags = evaluateFeatureFlags(storedFlags, req.user || null);
+
+    res.status(200).json({ flags });
+  } catch (error) {
+    console.error("Error fetching feature flags:", error);
+    res.status(500).json({ error: "Failed to fetch feature flags" });
+  }
+};
+
 /**
  * Update feature flags
  * Requirements: 5.2
@@ -95,11 +156,22 @@ export const updateFeatureFlags = async (req, res) => {
       });
     }
 
+    // Validate flag values and rollout rules
+    const validationResult = validateFeatureFlags(featureFlags);
+    if (!validationResult.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid feature flags provided",
+        errors: validationResult.errors,
+      });
+    }
+
     // Update feature flags
     const updatedFlags = await AdminRepository.updateFeatureFlags(
       featureFlags,
       adminId
     );
+    clearFeatureFlagCache();
 
     res.status(200).json({
       success: true,
@@ -219,6 +291,14 @@ function validatePlatformSettings(settings) {
     errors.push("Maintenance mode must be a boolean");
   }
 
+  // Validate maintenance message
+  if (
+    settings.maintenanceMessage &&
+    typeof settings.maintenanceMessage !== "string"
+  ) {
+    errors.push("Maintenance message must be a string");
+  }
+
   // Validate user registration
   if (
     settings.allowUserRegistration &&
@@ -244,6 +324,18 @@ function validatePlatformSettings(settings) {
     errors.push("Maximum file upload size must be a positive integer");
   }
 
+  // Validate the share of a video that completes a lecture
+  if (
+    settings.lectureCompletionThreshold !== undefined &&
+    (!Number.isInteger(settings.lectureCompletionThreshold) ||
+      settings.lectureCompletionThreshold < 1 ||
+      settings.lectureCompletionThreshold > 100)
+  ) {
+    errors.push(
+      "Lecture completion threshold must be an integer between 1 and 100"
+    );
+  }
+
   return {
     isValid: errors.length === 0,
     errors,
@@ -346,11 +438,27 @@ export const updateSecurityPolicies = async (req, res) => {
       });
     }
 
+    // Refuse allowlists that would cut off the admin saving them
+    if (policies.accessControl) {
+      const ipCheck = evaluateIpAllowlist(req.ip, policies.accessControl);
+      if (!ipCheck.allowed) {
+        return res.status(400).json({
+          success: false,
+          message: `The IP allowlist does not include your current IP address (${ipCheck.ip}). Add it before saving to avoid locking yourself out.`,
+          code: "IP_ALLOWLIST_SELF_LOCKOUT",
+          data: ipCheck,
+        });
+      }
+    }
+
     // Update security policies
     const updatedPolicies = await AdminRepository.updateSecurityPolicies(
       policies,
       adminId
     );
+    clearRateLimitPolicyCache();
+    clearIpAllowlistCache();
+    clearSessionPolicyCache();
 
     res.status(200).json({
       success: true,
@@ -367,6 +475,44 @@ export const updateSecurityPolicies = async (req, res) => {
   }
 };
 
+/**
+ * Preview whether the caller's IP would pass an unsaved IP allowlist
+ * @route POST /api/admin/security/policies/ip-preview
+ */
+export const previewIpAllowlist = async (req, res) => {
+  try {
+    const { accessControl } = req.body;
+
+    if (!accessControl || typeof accessControl !== "object") {
+      return res.status(400).json({
+        success: false,
+        message: "accessControl object is required",
+      });
+    }
+
+    const validationResult = validateSecurityPolicies({ accessControl });
+    if (!validationResult.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid IP allowlist provided",
+        errors: validationResult.errors,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: evaluateIpAllowlist(req.ip, accessControl),
+    });
+  } catch (error) {
+    console.error("Error previewing IP allowlist:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to preview IP allowlist",
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Validate security policies
  */
@@ -458,11 +604,29 @@ function validateSecurityPolicies(policies) {
       errors.push("Lockout duration must be between 5 and 1440 minutes");
     }
 
+    if (accessControl.rateLimits) {
+      Object.entries(accessControl.rateLimits).forEach(([group, limit]) => {
+        if (!(group in DEFAULT_GROUP_RATE_LIMITS)) {
+          errors.push(`Unknown rate limit group: ${group}`);
+        } else if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+          errors.push(`Rate limit for ${group} must be between 1 and 1000`);
+        }
+      });
+    }
+
+    if (
+      accessControl.enableIPWhitelist &&
+      !(accessControl.allowedIPs || []).some(Boolean)
+    ) {
+      errors.push(
+        "Add at least one allowed IP address to enable IP whitelisting"
+      );
+    }
+
     if (accessControl.allowedIPs && Array.isArray(accessControl.allowedIPs)) {
-      const ipRegex =
-        /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)(?:\/(?:[0-9]|[1-2][0-9]|3[0-2]))?$/;
+      // IPv4 or IPv6, single addresses or CIDR ranges
       accessControl.allowedIPs.forEach((ip, index) => {
-        if (!ipRegex.test(ip)) {
+        if (!isValidIpRule(ip)) {
           errors.push(`Invalid IP address format at index ${index}: ${ip}`);
         }
       });
@@ -1,6 +1,13 @@
 import { UserRepository } from "../../models/dynamodb/user-repository.js";
+import { AdminRepository } from "../../models/dynamodb/admin-repository.js";
 import bcrypt from "bcrypt";
 import { validateUserRole } from "../../utils/validation.js";
+import {
+  buildPasswordHistory,
+  validateNewPassword,
+  validatePasswordAgainstPolicy,
+} from "../../utils/passwordPolicy.js";
+import { issueVerificationEmail } from "./accountController.js";
 
 const createNewUser = async (req, res) => {
   const { name, email, password, role } = req.value.body;
@@ -15,6 +22,20 @@ const createNewUser = async (req, res) => {
       });
     }
 
+    const { passwordPolicy, accessControl } =
+      await AdminRepository.getSecurityPolicies();
+    const passwordValidation = validatePasswordAgainstPolicy(
+      password,
+      passwordPolicy
+    );
+    if (!passwordValidation.isValid) {
+      return res.status(400).json({
+        message: passwordValidation.error,
+        code: passwordValidation.code,
+        failedRequirements: passwordValidation.failedRequirements,
+      });
+    }
+
     const existingUser = await UserRepository.findByEmail(email);
 
     if (existingUser) {
@@ -31,13 +52,22 @@ const createNewUser = async (req, res) => {
       createdAt: new Date().toISOString(),
     });
 
+    // The account exists either way; the user can ask for a new link
+    try {
+      await issueVerificationEmail(user);
+    } catch (error) {
+      console.error("Error sending verification email:", error);
+    }
+
     res.status(201).json({
       message: "User created successfully!",
+      emailVerificationRequired: accessControl?.allowUnverifiedLogin === false,
       user: {
         userId: user.userId,
         name: user.name,
         email: user.email,
         role: user.role,
+        emailVerified: false,
       },
     });
   } catch (err) {
@@ -105,19 +135,34 @@ const updateUserProfile = async (req, res) => {
         });
       }
 
-      const isPasswordValid = await bcrypt.compare(
-        currentPassword,
-        user.password
-      );
+      const isPasswordValid =
+        Boolean(user.password) &&
+        (await bcrypt.compare(currentPassword, user.password));
       if (!isPasswordValid) {
         return res
           .status(401)
           .json({ message: "Current password is incorrect" });
       }
 
-      // Hash new password
+      const { passwordPolicy } = await AdminRepository.getSecurityPolicies();
+      const passwordValidation = await validateNewPassword(
+        newPassword,
+        user,
+        passwordPolicy
+      );
+      if (!passwordValidation.isValid) {
+        return res.status(400).json({
+          message: passwordValidation.error,
+          code: passwordValidation.code,
+          failedRequirements: passwordValidation.failedRequirements,
+        });
+      }
+
+      // Hash new password and keep the old hash for reuse checks
       const hashedPassword = await bcrypt.hash(newPassword, 10);
       updates.password = hashedPassword;
+      updates.passwordHistory = buildPasswordHistory(user);
+      updates.passwordChangedAt = new Date().toISOString();
     }
 
     // If no updates, return current user
@@ -0,0 +1,294 @@
+import Joi from "joi";
+import { AdminRepository } from "../../models/dynamodb/admin-repository.js";
+import { UserRepository } from "../../models/dynamodb/user-repository.js";
+import { CourseRepository } from "../../models/dynamodb/course-repository.js";
+import { EnrollmentRepository } from "../../models/dynamodb/enrollment-repository.js";
+import { getRolePermissions } from "../../middlewares/requirePermission.js";
+import { USER_ROLES, isCourseVisibleInCatalog } from "../../utils/constants.js";
+import { validateUserRole } from "../../utils/validation.js";
+import { hasPermissions } from "../../utils/permissions.js";
+import {
+  ACCOUNT_TOKEN_TYPES,
+  signAccountToken,
+} from "../../utils/accountTokens.js";
+import { sendAccountInviteEmail } from "../../utils/accountEmails.js";
+import { toCsv } from "../../utils/csv.js";
+
+const emailRule = Joi.string()
+  .email({ tlds: { allow: false } })
+  .required();
+
+// Fields written to exports; passwords, tokens and MFA secrets never leave
+const EXPORT_COLUMNS = [
+  "userId",
+  "name",
+  "email",
+  "role",
+  "accountStatus",
+  "emailVerified",
+  "mfaEnabled",
+  "createdAt",
+  "lastLoginAt",
+  "loginCount",
+];
+const EXPORT_PAGE_SIZE = 500;
+
+/**
+ * Check each import row and build the report shown before anything is
+ * created. Rows are numbered from 1, not counting the CSV header.
+ */
+const checkImportRows = async (rows, adminRole) => {
+  const adminPermissions = await getRolePermissions(adminRole);
+  const seen = new Set();
+
+  const report = [];
+  for (const [index, row] of rows.entries()) {
+    const name = row.name?.trim() ?? "";
+    const email = row.email?.trim().toLowerCase() ?? "";
+    const role = row.role?.trim().toLowerCase() || USER_ROLES.STUDENT;
+    const errors = [];
+
+    if (name.length < 2 || name.length > 100) {
+      errors.push({
+        code: "INVALID_NAME",
+        message: "Name must be 2-100 characters",
+      });
+    }
+
+    if (emailRule.validate(email).error) {
+      errors.push({ code: "INVALID_EMAIL", message: "Email is not valid" });
+    } else if (seen.has(email)) {
+      errors.push({
+        code: "DUPLICATE_EMAIL",
+        message: "Email appears more than once in the file",
+      });
+    } else {
+      seen.add(email);
+      if (await UserRepository.findByEmail(email)) {
+        errors.push({
+          code: "EMAIL_EXISTS",
+          message: "An account with this email already exists",
+        });
+      }
+    }
+
+    const roleValidation = validateUserRole(role);
+    if (!roleValidation.isValid) {
+      errors.push({ code: roleValidation.code, message: roleValidation.error });
+    } else if (
+      !hasPermissions(adminPermissions, await getRolePermissions(role))
+    ) {
+      // As with role changes, an admin cannot create accounts stronger than
+      // their own
+      errors.push({
+        code: "PERMISSION_DENIED",
+        message: `You cannot create ${role} accounts`,
+      });
+    }
+
+    report.push({
+      row: index + 1,
+      name,
+      email,
+      role,
+      status: errors.length > 0 ? "invalid" : "valid",
+      errors,
+    });
+  }
+
+  return report;
+};
+
+/**
+ * Create an imported account, then invite and enroll it. Invitations and
+ * enrollments are best effort; the account exists either way.
+ */
+const createImportedUser = async (entry, { sendInvitations, courses }) => {
+  const user = await UserRepository.create({
+    name: entry.name,
+    email: entry.email,
+    password: null,
+    role: entry.role,
+  });
+
+  let invited = false;
+  if (sendInvitations) {
+    try {
+      const { token, tokenId } = signAccountToken(
+        user.userId,
+        ACCOUNT_TOKEN_TYPES.ACCOUNT_INVITE
+      );
+      await UserRepository.setPasswordResetToken(user.userId, tokenId);
+      await sendAccountInviteEmail(user, token);
+      invited = true;
+    } catch (error) {
+      console.error("Error inviting imported user:", error);
+    }
+  }
+
+  const enrolledCourseIds = [];
+  for (const course of courses) {
+    try {
+      await EnrollmentRepository.create({
+        userId: user.userId,
+        courseId: course.courseId,
+        courseTitle: course.title,
+        coursePrice: course.price,
+        courseImageKey: course.imageKey,
+      });
+      enrolledCourseIds.push(course.courseId);
+    } catch (error) {
+      console.error("Error enrolling imported user:", error);
+    }
+  }
+
+  return { userId: user.userId, invited, enrolledCourseIds };
+};
+
+/**
+ * Import users from mapped CSV rows. With dryRun (the default) only the
+ * validation report is returned; otherwise valid rows are created and
+ * invalid ones are skipped.
+ * @route POST /api/admin/users/import
+ */
+export const importUsers = async (req, res) => {
+  try {
+    const { users, dryRun, sendInvitations, courseIds } = req.value.body;
+
+    const courses = [];
+    for (const courseId of courseIds) {
+      const course = await CourseRepository.findById(courseId);
+      if (!course || !isCourseVisibleInCatalog(course.status)) {
+        return res.status(400).json({
+          success: false,
+          message: "Imported users can only be enrolled in published courses",
+          code: "COURSE_UNAVAILABLE",
+          courseId,
+        });
+      }
+      courses.push(course);
+    }
+
+    const rows = await checkImportRows(users, req.user.role);
+    const validRows = rows.filter((row) => row.status === "valid");
+    const summary = {
+      total: rows.length,
+      valid: validRows.length,
+      invalid: rows.length - validRows.length,
+    };
+
+    if (dryRun) {
+      return res.status(200).json({
+        success: true,
+        message: `${summary.valid} of ${summary.total} rows can be imported`,
+        data: { dryRun: true, rows, summary },
+      });
+    }
+
+    summary.created = 0;
+    summary.failed = 0;
+    summary.invited = 0;
+    summary.enrollments = 0;
+    for (const row of validRows) {
+      try {
+        const result = await createImportedUser(row, {
+          sendInvitations,
+          courses,
+        });
+        Object.assign(row, { status: "created", ...result });
+        summary.created += 1;
+        summary.invited += result.invited ? 1 : 0;
+        summary.enrollments += result.enrolledCourseIds.length;
+      } catch (error) {
+        console.error("Error creating imported user:", error);
+        Object.assign(row, {
+          status: "failed",
+          errors: [{ code: "CREATE_FAILED", message: error.message }],
+        });
+        summary.failed += 1;
+      }
+    }
+
+    await AdminRepository.logAdminAction(req.user.sub, "USERS_IMPORTED", {
+      targetEntity: "USERS",
+      newValue: { ...summary, courseIds, sendInvitations },
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.headers["user-agent"],
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${summary.created} users imported`,
+      data: { dryRun: false, rows, summary },
+    });
+  } catch (error) {
+    console.error("Error importing users:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to import users",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Export every user matching the user list's filters as CSV or JSON
+ * @route GET /api/admin/users/export
+ */
+export const exportUsers = async (req, res) => {
+  try {
+    const { format = "csv", role, accountStatus, search } = req.query;
+    if (!["csv", "json"].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: "Format must be csv or json",
+        code: "INVALID_FORMAT",
+      });
+    }
+
+    const users = [];
+    let lastEvaluatedKey;
+    do {
+      const page = await AdminRepository.getAllUsers({
+        limit: EXPORT_PAGE_SIZE,
+        lastEvaluatedKey,
+        role,
+        accountStatus,
+      });
+      users.push(...page.users);
+      lastEvaluatedKey = page.lastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    // Matches the user list's name and email search
+    const searchLower = search?.toLowerCase();
+    const records = users
+      .filter(
+        (user) =>
+          !searchLower ||
+          user.name?.toLowerCase().includes(searchLower) ||
+          user.email?.toLowerCase().includes(searchLower)
+      )
+      .map((user) =>
+        Object.fromEntries(
+          EXPORT_COLUMNS.map((column) => [column, user[column] ?? null])
+        )
+      );
+
+    const filename = `users-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+    if (format === "json") {
+      return res.status(200).json(records);
+    }
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.status(200).send(toCsv(records, EXPORT_COLUMNS));
+  } catch (error) {
+    console.error("Error exporting users:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to export users",
+      error: error.message,
+    });
+  }
+};
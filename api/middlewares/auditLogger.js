@@ -1,17 +1,64 @@
 import { v4 as uuidv4 } from "uuid";
 import dynamoDb, { TABLE_NAME } from "../config/dynamodb.js";
 import { PutCommand } from "@aws-sdk/lib-dynamodb";
-import { hasAdminPrivileges } from "../utils/constants.js";
+import { isStaffRole } from "../utils/permissions.js";
+
+// Request and response fields never written to the audit trail
+const SECRET_FIELDS = [
+  "password",
+  "currentPassword",
+  "newPassword",
+  "token",
+  "refreshToken",
+  "mfaToken",
+  "code",
+  "secret",
+];
+
+// A request passing several auditLoggers is logged once, under the most
+// specific (last) action
+const auditedRequests = new WeakMap();
 
 /**
- * Middleware to log admin actions for audit trail
+ * Copy a request or response body with secret fields masked
+ */
+const redactSecrets = (value, depth = 0) => {
+  if (!value || typeof value !== "object" || depth > 3) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redactSecrets(item, depth + 1));
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, field]) => [
+      key,
+      SECRET_FIELDS.includes(key)
+        ? "[REDACTED]"
+        : redactSecrets(field, depth + 1),
+    ])
+  );
+};
+
+/**
+ * Middleware to log admin actions for audit trail. Requests made while
+ * impersonating a user are logged for the impersonating admin.
  */
 const auditLogger = (action) => {
   return async (req, res, next) => {
-    // Only log actions for users with admin privileges
-    if (!req.user || !hasAdminPrivileges(req.user.role)) {
+    // Only log actions for staff (admins and custom roles)
+    if (!req.user || !(isStaffRole(req.user.role) || req.user.impersonatedBy)) {
+      return next();
+    }
+
+    if (auditedRequests.has(req)) {
+      if (action) {
+        auditedRequests.get(req).action = action;
+      }
       return next();
     }
+    const entry = { action };
+    auditedRequests.set(req, entry);
 
     const originalSend = res.send;
     const originalJson = res.json;
@@ -21,7 +68,8 @@ const auditLogger = (action) => {
     let statusCode = null;
 
     res.send = function (data) {
-      responseData = data;
+      // res.json sends its body as a string; keep the object it was given
+      responseData = responseData ?? data;
       statusCode = res.statusCode;
       return originalSend.call(this, data);
     };
@@ -39,13 +87,16 @@ const auditLogger = (action) => {
     res.on("finish", async () => {
       try {
         await logAdminAction({
-          adminId: req.user.sub,
-          action: action || `${req.method} ${req.originalUrl}`,
+          adminId: req.user.impersonatedBy || req.user.sub,
+          impersonatedUserId: req.user.impersonatedBy
+            ? req.user.sub
+            : undefined,
+          action: entry.action || `${req.method} ${req.originalUrl}`,
           method: req.method,
           url: req.originalUrl,
-          requestBody: req.body,
+          requestBody: redactSecrets(req.body),
           responseStatus: statusCode,
-          responseData: responseData,
+          responseData: redactSecrets(responseData),
           ipAddress: req.ip || req.connection.remoteAddress,
           userAgent: req.get("User-Agent"),
           timestamp: new Date().toISOString(),
@@ -74,6 +125,7 @@ async function logAdminAction(actionData) {
     actionId,
     adminId: actionData.adminId,
     action: actionData.action,
+    impersonatedUserId: actionData.impersonatedUserId,
     method: actionData.method,
     url: actionData.url,
     requestBody: actionData.requestBody,
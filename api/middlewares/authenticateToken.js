@@ -1,20 +1,187 @@
 import jwt from "jsonwebtoken";
+import { AdminRepository } from "../models/dynamodb/admin-repository.js";
+import { SessionRepository } from "../models/dynamodb/session-repository.js";
+import { isSessionActive } from "../utils/sessionTokens.js";
+import { getSessionTimeout } from "../utils/sessionPolicy.js";
 
 const JWT_SECRET = process.env.JWT_SECRET;
 
-const authenticateToken = (req, res, next) => {
-  const token = req.cookies.token || req.headers.authorization?.split(" ")[1];
+// How long the stored session policy is reused before re-reading DynamoDB
+const POLICY_CACHE_TTL_MS = 15 * 1000;
+// Activity is written at most this often per session
+const ACTIVITY_WRITE_INTERVAL_MS = 60 * 1000;
+
+const SESSION_TIMEOUT_MESSAGES = {
+  SESSION_IDLE: "Session expired due to inactivity",
+  SESSION_MAX_DURATION: "Session has reached its maximum duration",
+};
+
+// Several middlewares authenticate the same request; verify it only once
+const verifiedRequests = new WeakMap();
+
+let cachedSessionPolicy = null;
+let cachedAt = 0;
+
+/**
+ * Get the sessionPolicy security policy, cached for a few seconds
+ * @returns {Promise<Object>} sessionPolicy
+ */
+export const getSessionPolicy = async () => {
+  if (cachedSessionPolicy && Date.now() - cachedAt < POLICY_CACHE_TTL_MS) {
+    return cachedSessionPolicy;
+  }
+
+  const { sessionPolicy } = await AdminRepository.getSecurityPolicies();
+  cachedSessionPolicy = sessionPolicy || {};
+  cachedAt = Date.now();
+
+  return cachedSessionPolicy;
+};
+
+/**
+ * Drop the cached session policy so the next request re-reads it
+ */
+export const clearSessionPolicyCache = () => {
+  cachedSessionPolicy = null;
+  cachedAt = 0;
+};
+
+const sessionRevokedError = (message) => {
+  const error = new Error(message);
+  error.name = "SessionRevokedError";
+  return error;
+};
+
+const impersonationEndedError = () => {
+  const error = new Error("Impersonation has ended");
+  error.name = "ImpersonationEndedError";
+  return error;
+};
+
+/**
+ * Verify an access token. Tokens tied to a session (sid claim) are refused
+ * once that session has been revoked, e.g. by logout or suspension, or has
+ * run past the sessionPolicy's idle timeout or maximum duration.
+ * Impersonation tokens belong to the admin's session and are refused once
+ * the admin has stopped or replaced the impersonation.
+ * @param {string} token - Access token
+ * @param {Object} options - { ipAddress } of the request, recorded as activity
+ * @returns {Promise<Object>} Token payload
+ */
+export const verifyAccessToken = async (token, { ipAddress } = {}) => {
+  const payload = jwt.verify(token, JWT_SECRET);
+  if (!payload.sid) {
+    return payload;
+  }
+
+  const sessionUserId = payload.impersonatedBy || payload.sub;
+  const session = await SessionRepository.findById(sessionUserId, payload.sid);
+  if (!isSessionActive(session)) {
+    throw sessionRevokedError("Session has been revoked");
+  }
+  if (
+    payload.impersonatedBy &&
+    session.impersonationId !== payload.impersonationId
+  ) {
+    throw impersonationEndedError();
+  }
+
+  const timeout = getSessionTimeout(session, await getSessionPolicy());
+  if (timeout) {
+    await SessionRepository.revoke(sessionUserId, payload.sid, timeout);
+    throw sessionRevokedError(SESSION_TIMEOUT_MESSAGES[timeout]);
+  }
+
+  const lastActiveAt = new Date(session.lastActiveAt || session.createdAt);
+  if (Date.now() - lastActiveAt.getTime() >= ACTIVITY_WRITE_INTERVAL_MS) {
+    // Activity tracking must never fail the request
+    SessionRepository.touch(sessionUserId, payload.sid, ipAddress).catch(
+      (error) => console.error("Error recording session activity:", error)
+    );
+  }
+
+  return payload;
+};
+
+/**
+ * Get the access token sent with a request
+ */
+export const getRequestToken = (req) =>
+  req.cookies?.token || req.headers.authorization?.split(" ")[1];
+
+const verifyRequest = (req, token) => {
+  if (!verifiedRequests.has(req)) {
+    verifiedRequests.set(req, verifyAccessToken(token, { ipAddress: req.ip }));
+  }
+  return verifiedRequests.get(req);
+};
+
+/**
+ * Get the verified token payload of a request without attaching it to the
+ * request
+ * @returns {Promise<Object|null>} Payload, or null for anonymous requests and
+ * invalid, expired or revoked tokens
+ */
+export const getRequestUser = async (req) => {
+  const token = getRequestToken(req);
+  if (!token) {
+    return null;
+  }
+
+  try {
+    return await verifyRequest(req, token);
+  } catch {
+    return null;
+  }
+};
+
+const authenticateToken = async (req, res, next) => {
+  const token = getRequestToken(req);
   if (!token) {
     return res.status(403).json({ error: "Access denied" });
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
+  let user;
+  try {
+    user = await verifyRequest(req, token);
+  } catch (err) {
+    if (err.name === "TokenExpiredError") {
+      return res
+        .status(403)
+        .json({ error: "Token expired", code: "TOKEN_EXPIRED" });
+    }
+    if (err.name === "SessionRevokedError") {
+      return res
+        .status(403)
+        .json({ error: err.message, code: "SESSION_REVOKED" });
+    }
+    if (err.name === "ImpersonationEndedError") {
+      return res
+        .status(403)
+        .json({ error: err.message, code: "IMPERSONATION_ENDED" });
+    }
+    if (err instanceof jwt.JsonWebTokenError) {
       return res.status(403).json({ error: "Invalid token" });
     }
+    console.error("Error verifying session:", err);
+    return res.status(500).json({ error: "Failed to verify session" });
+  }
+
+  req.user = user;
+  next();
+};
+
+/**
+ * Middleware that attaches the user when a valid token is present but lets
+ * anonymous requests through (for public routes with owner/admin extras)
+ */
+export const optionalAuthenticateToken = async (req, res, next) => {
+  // Invalid, expired and revoked tokens are treated as anonymous
+  const user = await getRequestUser(req);
+  if (user) {
     req.user = user;
-    next();
-  });
+  }
+  next();
 };
 
 export default authenticateToken;
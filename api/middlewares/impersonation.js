@@ -0,0 +1,30 @@
+import auditLogger from "./auditLogger.js";
+import { getRequestUser } from "./authenticateToken.js";
+
+/**
+ * Middleware that records every request made with an impersonation token in
+ * the impersonating admin's audit trail. Other requests pass untouched.
+ */
+export const auditImpersonation = async (req, res, next) => {
+  const user = await getRequestUser(req);
+  if (!user?.impersonatedBy) {
+    return next();
+  }
+
+  req.user = user;
+  return auditLogger()(req, res, next);
+};
+
+/**
+ * Middleware that refuses destructive actions, such as changing the
+ * password or MFA, while an admin is viewing the platform as the user
+ */
+export const blockImpersonation = (req, res, next) => {
+  if (req.user?.impersonatedBy) {
+    return res.status(403).json({
+      error: "This action is not available while impersonating a user",
+      code: "IMPERSONATION_FORBIDDEN",
+    });
+  }
+  next();
+};
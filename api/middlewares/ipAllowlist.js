@@ -0,0 +1,105 @@
+import { AdminRepository } from "../models/dynamodb/admin-repository.js";
+import { evaluateIpAllowlist } from "../utils/ipAllowlist.js";
+import { optionalAuthenticateToken } from "./authenticateToken.js";
+
+// How long the stored allowlist is reused before re-reading DynamoDB
+const POLICY_CACHE_TTL_MS = 15 * 1000;
+
+let cachedAccessControl = null;
+let cachedAt = 0;
+
+/**
+ * Get the accessControl security policy, cached for a few seconds
+ * @returns {Promise<Object>} accessControl policy
+ */
+export const getIpAllowlistPolicy = async () => {
+  if (cachedAccessControl && Date.now() - cachedAt < POLICY_CACHE_TTL_MS) {
+    return cachedAccessControl;
+  }
+
+  const { accessControl } = await AdminRepository.getSecurityPolicies();
+  cachedAccessControl = accessControl || {};
+  cachedAt = Date.now();
+
+  return cachedAccessControl;
+};
+
+/**
+ * Drop the cached allowlist so the next request re-reads it
+ */
+export const clearIpAllowlistCache = () => {
+  cachedAccessControl = null;
+  cachedAt = 0;
+};
+
+/**
+ * Check a client address against the stored admin allowlist
+ * @param {string} ip - Client address
+ * @returns {Promise<Object>} { ip, enforced, allowed, matchedRule }
+ */
+export const checkAdminIp = async (ip) => {
+  const accessControl = await getIpAllowlistPolicy();
+  return evaluateIpAllowlist(ip, accessControl);
+};
+
+/**
+ * Record a refused admin request or socket as a security event
+ * @param {Object} attempt - { userId, ip, userAgent, channel, method, path }
+ */
+export const logBlockedAdminAccess = async ({
+  userId,
+  ip,
+  userAgent,
+  ...details
+}) => {
+  try {
+    await AdminRepository.logSecurityEvent(
+      "IP_BLOCKED",
+      userId || null,
+      details,
+      ip,
+      userAgent
+    );
+  } catch (error) {
+    console.error("Failed to log blocked admin access:", error);
+  }
+};
+
+/**
+ * Middleware that refuses admin requests from addresses outside
+ * accessControl.allowedIPs while enableIPWhitelist is on
+ */
+const ipAllowlist = (req, res, next) => {
+  optionalAuthenticateToken(req, res, async () => {
+    try {
+      const ip = req.ip || req.connection?.remoteAddress;
+      const result = await checkAdminIp(ip);
+      if (result.allowed) {
+        return next();
+      }
+
+      await logBlockedAdminAccess({
+        userId: req.user?.sub,
+        ip: result.ip,
+        userAgent: req.get("User-Agent"),
+        channel: "http",
+        method: req.method,
+        path: req.originalUrl,
+      });
+
+      return res.status(403).json({
+        success: false,
+        message: "Admin access is not allowed from this IP address",
+        code: "IP_NOT_ALLOWED",
+      });
+    } catch (error) {
+      console.error("Error checking IP allowlist:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to verify IP allowlist",
+      });
+    }
+  });
+};
+
+export default ipAllowlist;
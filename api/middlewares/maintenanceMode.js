@@ -0,0 +1,145 @@
+import { AdminRepository } from "../models/dynamodb/admin-repository.js";
+import { hasAdminPrivileges } from "../utils/constants.js";
+import {
+  getMaintenanceWindowTransition,
+  resolveMaintenanceState,
+} from "../utils/maintenance.js";
+import { optionalAuthenticateToken } from "./authenticateToken.js";
+
+// How long a resolved maintenance state is reused before re-reading DynamoDB
+const STATE_CACHE_TTL_MS = 15 * 1000;
+
+// Routes that stay reachable during maintenance so clients can show the
+// status page and admins can still sign in (including the MFA, expired
+// password and single sign-on steps), keep their session alive and sign out
+const EXEMPT_PATHS = [
+  "/api/status",
+  "/api/login",
+  "/api/login/mfa",
+  "/api/password/rotate",
+  "/api/token/refresh",
+  "/api/logout",
+];
+const EXEMPT_PATH_PREFIXES = ["/api/oauth/"];
+
+const isExemptPath = (path) =>
+  EXEMPT_PATHS.includes(path) ||
+  EXEMPT_PATH_PREFIXES.some((prefix) => path.startsWith(prefix));
+
+let cachedState = null;
+let cachedAt = 0;
+
+/**
+ * Move scheduled windows to in_progress/completed when their times are reached
+ * @param {Array} maintenanceWindows - Open maintenance windows
+ * @param {Date} now - Reference time
+ * @returns {Promise<Array>} Windows with their current status applied
+ */
+const syncMaintenanceWindowStatuses = async (maintenanceWindows, now) => {
+  return Promise.all(
+    maintenanceWindows.map(async (window) => {
+      const nextStatus = getMaintenanceWindowTransition(window, now);
+      if (!nextStatus) {
+        return window;
+      }
+
+      try {
+        return await AdminRepository.updateMaintenanceWindow(
+          window.maintenanceId,
+          { status: nextStatus },
+          "SYSTEM"
+        );
+      } catch (error) {
+        console.error(
+          `Failed to move maintenance window ${window.maintenanceId} to ${nextStatus}:`,
+          error
+        );
+        return { ...window, status: nextStatus };
+      }
+    })
+  );
+};
+
+/**
+ * Get the current maintenance state, cached for a few seconds
+ * @returns {Promise<Object>} Resolved maintenance state
+ */
+export const getMaintenanceState = async () => {
+  if (cachedState && Date.now() - cachedAt < STATE_CACHE_TTL_MS) {
+    return cachedState;
+  }
+
+  const now = new Date();
+  const [settings, openWindows] = await Promise.all([
+    AdminRepository.getSystemSettings(),
+    AdminRepository.getOpenMaintenanceWindows(),
+  ]);
+  const maintenanceWindows = await syncMaintenanceWindowStatuses(
+    openWindows,
+    now
+  );
+
+  cachedState = resolveMaintenanceState({
+    platformSettings: settings.platformSettings,
+    maintenanceWindows,
+    now,
+  });
+  cachedAt = Date.now();
+
+  return cachedState;
+};
+
+/**
+ * Drop the cached maintenance state so the next request re-reads it
+ */
+export const clearMaintenanceStateCache = () => {
+  cachedState = null;
+  cachedAt = 0;
+};
+
+/**
+ * Middleware that answers non-admin API traffic with 503 while maintenance
+ * mode is on or a scheduled maintenance window is running
+ */
+const maintenanceMode = (req, res, next) => {
+  const isApiRequest =
+    req.path.startsWith("/api/") || req.path.startsWith("/upload");
+
+  if (req.method === "OPTIONS" || !isApiRequest || isExemptPath(req.path)) {
+    return next();
+  }
+
+  optionalAuthenticateToken(req, res, async () => {
+    if (req.user && hasAdminPrivileges(req.user.role)) {
+      return next();
+    }
+
+    let state;
+    try {
+      state = await getMaintenanceState();
+    } catch (error) {
+      // Never take the platform down because the settings could not be read
+      console.error("Error resolving maintenance state:", error);
+      return next();
+    }
+
+    if (!state.active) {
+      return next();
+    }
+
+    res.set("Retry-After", String(state.retryAfter));
+    return res.status(503).json({
+      error: "Service unavailable",
+      code: "MAINTENANCE_MODE",
+      message: state.message,
+      maintenance: {
+        title: state.title,
+        startTime: state.startTime,
+        endTime: state.endTime,
+        retryAfter: state.retryAfter,
+      },
+    });
+  });
+};
+
+export default maintenanceMode;
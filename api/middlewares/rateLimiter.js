@@ -0,0 +1,123 @@
+import { AdminRepository } from "../models/dynamodb/admin-repository.js";
+import {
+  MemoryRateLimitStore,
+  buildRateLimitHeaders,
+  resolveRateLimitBudgets,
+  resolveRateLimitGroup,
+} from "../utils/rateLimit.js";
+import { optionalAuthenticateToken } from "./authenticateToken.js";
+
+// How long stored access control settings are reused before re-reading DynamoDB
+const POLICY_CACHE_TTL_MS = 15 * 1000;
+
+// Groups budgeted per user when a valid token is present; the rest are per IP
+const PER_USER_GROUPS = ["upload", "api"];
+
+let cachedAccessControl = null;
+let cachedAt = 0;
+
+/**
+ * Get the accessControl security policy, cached for a few seconds
+ * @returns {Promise<Object>} accessControl policy
+ */
+export const getRateLimitPolicy = async () => {
+  if (cachedAccessControl && Date.now() - cachedAt < POLICY_CACHE_TTL_MS) {
+    return cachedAccessControl;
+  }
+
+  const { accessControl } = await AdminRepository.getSecurityPolicies();
+  cachedAccessControl = accessControl || {};
+  cachedAt = Date.now();
+
+  return cachedAccessControl;
+};
+
+/**
+ * Drop the cached access control policy so the next request re-reads it
+ */
+export const clearRateLimitPolicyCache = () => {
+  cachedAccessControl = null;
+  cachedAt = 0;
+};
+
+/**
+ * Record the first rejected request of a window as a security event
+ */
+const logRateLimitExceeded = async (req, group, key, budget) => {
+  try {
+    await AdminRepository.logSecurityEvent(
+      "RATE_LIMIT_EXCEEDED",
+      req.user?.sub || null,
+      {
+        group,
+        key,
+        limit: budget.limit,
+        windowSeconds: Math.round(budget.windowMs / 1000),
+        method: req.method,
+        path: req.originalUrl,
+      },
+      req.ip || req.connection?.remoteAddress,
+      req.get("User-Agent")
+    );
+  } catch (error) {
+    console.error("Failed to log rate limit event:", error);
+  }
+};
+
+/**
+ * Create a rate limiting middleware with separate budgets for login, signup,
+ * uploads and general API traffic, driven by accessControl.enableRateLimit
+ * @param {Object} options
+ * @param {Object} options.store - Hit counter implementing increment/reset
+ *   (defaults to an in-memory store)
+ */
+export const createRateLimiter =
+  ({ store = new MemoryRateLimitStore() } = {}) =>
+  (req, res, next) => {
+    const group = resolveRateLimitGroup(req.path);
+    if (!group) {
+      return next();
+    }
+
+    optionalAuthenticateToken(req, res, async () => {
+      try {
+        const accessControl = await getRateLimitPolicy();
+        if (!accessControl.enableRateLimit) {
+          return next();
+        }
+
+        const budget = resolveRateLimitBudgets(accessControl)[group];
+        const client =
+          PER_USER_GROUPS.includes(group) && req.user?.sub
+            ? `user:${req.user.sub}`
+            : `ip:${req.ip}`;
+        const key = `${group}:${client}`;
+
+        const hit = await store.increment(key, budget.windowMs);
+        const headers = buildRateLimitHeaders(budget, hit);
+        res.set(headers);
+
+        if (hit.count <= budget.limit) {
+          return next();
+        }
+
+        if (hit.count === budget.limit + 1) {
+          await logRateLimitExceeded(req, group, key, budget);
+        }
+
+        res.set("Retry-After", headers["RateLimit-Reset"]);
+        return res.status(429).json({
+          error: "Too many requests, please try again later",
+          code: "RATE_LIMITED",
+          group,
+          retryAfter: Number(headers["RateLimit-Reset"]),
+        });
+      } catch (error) {
+        // Never take the API down because the limiter could not run
+        console.error("Error applying rate limit:", error);
+        next();
+      }
+    });
+  };
+
+export default createRateLimiter();
@@ -0,0 +1,61 @@
+import { AdminRepository } from "../models/dynamodb/admin-repository.js";
+import { evaluateFeatureFlag } from "../utils/featureFlags.js";
+import { DEFAULT_FEATURE_FLAGS } from "../utils/constants.js";
+import { optionalAuthenticateToken } from "./authenticateToken.js";
+
+// How long stored feature flags are reused before re-reading DynamoDB
+const FLAGS_CACHE_TTL_MS = 15 * 1000;
+
+let cachedFlags = null;
+let cachedAt = 0;
+
+/**
+ * Get the stored feature flags (merged over defaults), cached for a few seconds
+ * @returns {Promise<Object>} Map of flag name to boolean or rule object
+ */
+export const getFeatureFlagSettings = async () => {
+  if (cachedFlags && Date.now() - cachedAt < FLAGS_CACHE_TTL_MS) {
+    return cachedFlags;
+  }
+
+  const settings = await AdminRepository.getSystemSettings();
+  cachedFlags = { ...DEFAULT_FEATURE_FLAGS, ...(settings.featureFlags || {}) };
+  cachedAt = Date.now();
+
+  return cachedFlags;
+};
+
+/**
+ * Drop the cached feature flags so the next request re-reads them
+ */
+export const clearFeatureFlagCache = () => {
+  cachedFlags = null;
+  cachedAt = 0;
+};
+
+/**
+ * Middleware factory that refuses requests while a feature flag is off for
+ * the current user (anonymous requests are evaluated without a user)
+ * @param {string} flagKey - Feature flag name, e.g. "enableCourseReviews"
+ */
+const requireFeatureFlag = (flagKey) => (req, res, next) => {
+  optionalAuthenticateToken(req, res, async () => {
+    try {
+      const flags = await getFeatureFlagSettings();
+      if (evaluateFeatureFlag(flagKey, flags[flagKey], req.user || null)) {
+        return next();
+      }
+
+      return res.status(403).json({
+        error: "This feature is currently disabled",
+        code: "FEATURE_DISABLED",
+        feature: flagKey,
+      });
+    } catch (error) {
+      console.error(`Error evaluating feature flag ${flagKey}:`, error);
+      res.status(500).json({ error: "Failed to evaluate feature flag" });
+    }
+  });
+};
+
+export default requireFeatureFlag;
@@ -0,0 +1,54 @@
+import { isMfaRequiredForRole } from "../utils/mfa.js";
+import { isStaffRole } from "../utils/permissions.js";
+import {
+  getSessionPolicy,
+  optionalAuthenticateToken,
+} from "./authenticateToken.js";
+
+/**
+ * Check if a token's session meets sessionPolicy.requireMFA: it passed MFA,
+ * or its role does not need to
+ * @param {Object} user - Token payload with role and mfa claims
+ * @returns {Promise<boolean>} True if the session may use admin features
+ */
+export const hasRequiredMfa = async (user) => {
+  if (user.mfa === true || !isStaffRole(user.role)) {
+    return true;
+  }
+
+  const sessionPolicy = await getSessionPolicy();
+  return !isMfaRequiredForRole(user.role, sessionPolicy);
+};
+
+/**
+ * Middleware that refuses admin requests from sessions that have not passed
+ * MFA while sessionPolicy.requireMFA is on. Unauthenticated requests are left
+ * for the route's own authentication check.
+ */
+const requireMFA = (req, res, next) => {
+  optionalAuthenticateToken(req, res, async () => {
+    if (!req.user) {
+      return next();
+    }
+
+    try {
+      if (await hasRequiredMfa(req.user)) {
+        return next();
+      }
+
+      return res.status(403).json({
+        success: false,
+        message: "Multi-factor authentication is required for admin access",
+        code: "MFA_REQUIRED",
+      });
+    } catch (error) {
+      console.error("Error checking MFA requirement:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to verify MFA requirement",
+      });
+    }
+  });
+};
+
+export default requireMFA;
@@ -0,0 +1,44 @@
+import { OrganizationRepository } from "../models/dynamodb/organization-repository.js";
+
+/**
+ * Middleware that lets a request through only if the user belongs to the
+ * organization in req.params.orgId, and with one of the given roles if any
+ * are passed. The membership is kept on req.membership for the handler.
+ * @param {...string} roles - Roles from ORG_ROLES
+ */
+const requireOrgRole =
+  (...roles) =>
+  async (req, res, next) => {
+    if (!req.user) {
+      console.log("User is not authenticated");
+      return res.status(403).json({ error: "Access denied." });
+    }
+
+    try {
+      const membership = await OrganizationRepository.findMember(
+        req.params.orgId,
+        req.user.sub
+      );
+
+      if (!membership) {
+        return res.status(403).json({
+          error: "You are not a member of this organization",
+          code: "NOT_ORG_MEMBER",
+        });
+      }
+      if (roles.length > 0 && !roles.includes(membership.role)) {
+        return res.status(403).json({
+          error: "Only organization admins can do this",
+          code: "NOT_ORG_ADMIN",
+        });
+      }
+
+      req.membership = membership;
+      next();
+    } catch (error) {
+      console.error("Error checking organization membership:", error);
+      res.status(500).json({ error: "Failed to verify organization access" });
+    }
+  };
+
+export default requireOrgRole;
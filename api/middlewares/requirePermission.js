@@ -0,0 +1,85 @@
+import { RoleRepository } from "../models/dynamodb/role-repository.js";
+import {
+  BUILT_IN_ROLE_PERMISSIONS,
+  hasPermissions,
+  isBuiltInRole,
+} from "../utils/permissions.js";
+
+// How long a custom role is reused before re-reading DynamoDB
+const ROLE_CACHE_TTL_MS = 15 * 1000;
+
+const cachedRoles = new Map();
+
+/**
+ * Get the permissions of a role. Custom roles are cached for a few seconds;
+ * unknown roles have no permissions.
+ * @param {string} role - Role name
+ * @returns {Promise<Array>} Permissions
+ */
+export const getRolePermissions = async (role) => {
+  if (!role) {
+    return [];
+  }
+  if (isBuiltInRole(role)) {
+    return BUILT_IN_ROLE_PERMISSIONS[role];
+  }
+
+  const cached = cachedRoles.get(role);
+  if (cached && Date.now() - cached.cachedAt < ROLE_CACHE_TTL_MS) {
+    return cached.permissions;
+  }
+
+  const customRole = await RoleRepository.findByName(role);
+  const permissions = customRole?.permissions || [];
+  cachedRoles.set(role, { permissions, cachedAt: Date.now() });
+
+  return permissions;
+};
+
+/**
+ * Drop cached custom roles so the next request re-reads them
+ */
+export const clearRolePermissionsCache = () => {
+  cachedRoles.clear();
+};
+
+/**
+ * Middleware that lets a request through only if the user's role grants all
+ * of the given permissions. Without arguments any admin permission is
+ * enough. The resolved permissions are kept on req.permissions for finer
+ * checks in the handler.
+ * @param {...string} required - Permissions from PERMISSIONS
+ */
+const requirePermission =
+  (...required) =>
+  async (req, res, next) => {
+    if (!req.user) {
+      console.log("User is not authenticated");
+      return res.status(403).json({ error: "Access denied." });
+    }
+
+    try {
+      const permissions = await getRolePermissions(req.user.role);
+      const allowed =
+        required.length > 0
+          ? hasPermissions(permissions, required)
+          : permissions.length > 0;
+
+      if (!allowed) {
+        return res.status(403).json({
+          error: "Access denied. Insufficient permissions.",
+          code: "PERMISSION_DENIED",
+          required,
+          current: req.user.role,
+        });
+      }
+
+      req.permissions = permissions;
+      next();
+    } catch (error) {
+      console.error("Error checking permissions:", error);
+      res.status(500).json({ error: "Failed to verify permissions" });
+    }
+  };
+
+export default requirePermission;
@@ -6,7 +6,16 @@ import {
   GetCommand,
   PutCommand,
 } from "@aws-sdk/lib-dynamodb";
-import { USER_ROLES } from "../../utils/constants.js";
+import {
+  USER_ROLES,
+  COURSE_STATUS,
+  canTransitionCourseStatus,
+  MAINTENANCE_STATUS,
+  DEFAULT_FEATURE_FLAGS,
+} from "../../utils/constants.js";
+import { DEFAULT_PASSWORD_POLICY } from "../../utils/passwordPolicy.js";
+import { DEFAULT_GROUP_RATE_LIMITS } from "../../utils/rateLimit.js";
+import { DEFAULT_COMPLETION_THRESHOLD } from "../../utils/watchProgress.js";
 import { v4 as uuidv4 } from "uuid";
 
 export class AdminRepository {
@@ -91,15 +100,15 @@ export class AdminRepository {
         allUsers.push(...result.Items);
       }
 
+      // Update pagination key for next iteration
+      currentLastEvaluatedKey = result.LastEvaluatedKey;
+
       // Check if we have more items to scan
-      if (!result.LastEvaluatedKey) {
+      if (!currentLastEvaluatedKey) {
         // No more items to scan
         break;
       }
 
-      // Update pagination key for next iteration
-      currentLastEvaluatedKey = result.LastEvaluatedKey;
-
       // If we have enough users, break early
       if (allUsers.length >= limit) {
         break;
@@ -110,13 +119,18 @@ export class AdminRepository {
 
     // Slice to exact limit if we collected more than needed
     const users = allUsers.slice(0, limit);
-    const hasMore = allUsers.length > limit || currentLastEvaluatedKey !== undefined;
+
+    // The next page starts after the last user returned, so users beyond the
+    // limit on the last page scanned are not skipped
+    let nextKey = currentLastEvaluatedKey;
+    if (allUsers.length > limit) {
+      const lastUser = users[users.length - 1];
+      nextKey = { PK: lastUser.PK, SK: lastUser.SK };
+    }
 
     return {
       users,
-      lastEvaluatedKey: hasMore && currentLastEvaluatedKey
-        ? JSON.stringify(currentLastEvaluatedKey)
-        : null,
+      lastEvaluatedKey: nextKey ? JSON.stringify(nextKey) : null,
       count: users.length,
       scannedCount, // Total items scanned (for debugging/monitoring)
     };
@@ -319,6 +333,7 @@ export class AdminRepository {
    * @returns {Promise<Object>} Updated course object
    */
   static async approveCourse(courseId, adminId, reason = null) {
+    // Only courses awaiting review can be approved
     const result = await dynamoDb.send(
       new UpdateCommand({
         TableName: TABLE_NAME,
@@ -327,14 +342,17 @@ export class AdminRepository {
           SK: "METADATA",
         },
         UpdateExpression:
-          "SET #status = :status, approvedBy = :adminId, approvedAt = :now",
+          "SET #status = :status, approvedBy = :adminId, approvedAt = :now, reviewedBy = :adminId, reviewedAt = :now, reviewReason = :reason, updatedAt = :now",
+        ConditionExpression: "#status = :pendingStatus",
         ExpressionAttributeNames: {
           "#status": "status",
         },
         ExpressionAttributeValues: {
-          ":status": "approved",
+          ":status": COURSE_STATUS.APPROVED,
+          ":pendingStatus": COURSE_STATUS.PENDING_REVIEW,
           ":adminId": adminId,
           ":now": new Date().toISOString(),
+          ":reason": reason,
         },
         ReturnValues: "ALL_NEW",
       })
@@ -343,8 +361,73 @@ export class AdminRepository {
     // Log the action
     await this.logAdminAction(adminId, "COURSE_APPROVAL", {
       targetEntity: `COURSE#${courseId}`,
-      previousValue: "pending",
-      newValue: "approved",
+      previousValue: COURSE_STATUS.PENDING_REVIEW,
+      newValue: COURSE_STATUS.APPROVED,
+      reason,
+    });
+
+    return result.Attributes;
+  }
+
+  /**
+   * Reject course (admin operation)
+   * Removes the course from the catalog; the instructor can edit and resubmit it.
+   * @param {string} courseId - Course ID to reject
+   * @param {string} adminId - ID of admin performing the action
+   * @param {string} reason - Reason for rejection (shown to the instructor)
+   * @returns {Promise<Object>} Updated course object
+   */
+  static async rejectCourse(courseId, adminId, reason) {
+    const current = await dynamoDb.send(
+      new GetCommand({
+        TableName: TABLE_NAME,
+        Key: {
+          PK: `COURSE#${courseId}`,
+          SK: "METADATA",
+        },
+      })
+    );
+
+    if (!current.Item) {
+      throw new Error("Course not found");
+    }
+
+    const previousStatus = current.Item.status || COURSE_STATUS.PUBLISHED;
+    if (!canTransitionCourseStatus(previousStatus, COURSE_STATUS.REJECTED)) {
+      throw new Error(`Course in status ${previousStatus} cannot be rejected`);
+    }
+
+    const result = await dynamoDb.send(
+      new UpdateCommand({
+        TableName: TABLE_NAME,
+        Key: {
+          PK: `COURSE#${courseId}`,
+          SK: "METADATA",
+        },
+        UpdateExpression:
+          "SET #status = :status, rejectedBy = :adminId, rejectedAt = :now, reviewedBy = :adminId, reviewedAt = :now, reviewReason = :reason, updatedAt = :now",
+        ConditionExpression: current.Item.status
+          ? "#status = :previousStatus"
+          : "attribute_not_exists(#status)",
+        ExpressionAttributeNames: {
+          "#status": "status",
+        },
+        ExpressionAttributeValues: {
+          ":status": COURSE_STATUS.REJECTED,
+          ":adminId": adminId,
+          ":now": new Date().toISOString(),
+          ":reason": reason,
+          ...(current.Item.status && { ":previousStatus": previousStatus }),
+        },
+        ReturnValues: "ALL_NEW",
+      })
+    );
+
+    // Log the action
+    await this.logAdminAction(adminId, "COURSE_REJECTION", {
+      targetEntity: `COURSE#${courseId}`,
+      previousValue: previousStatus,
+      newValue: COURSE_STATUS.REJECTED,
       reason,
     });
 
@@ -943,16 +1026,11 @@ export class AdminRepository {
           allowUserRegistration: true,
           requireCourseApproval: true,
           maxFileUploadSize: 100, // MB
+          lectureCompletionThreshold: DEFAULT_COMPLETION_THRESHOLD, // percent watched
           supportEmail: "support@upskillpro.com",
           defaultLanguage: "en",
         },
-        featureFlags: {
-          enableCourseReviews: true,
-          enableCertificates: true,
-          enableDiscussionForums: true,
-          enableLiveStreaming: false,
-          enableAIRecommendations: false,
-        },
+        featureFlags: { ...DEFAULT_FEATURE_FLAGS },
         paymentSettings: {
           provider: "stripe",
           currency: "USD",
@@ -1160,15 +1238,7 @@ export class AdminRepository {
     // Return default policies if none exist
     if (!result.Item) {
       return {
-        passwordPolicy: {
-          minLength: 8,
-          requireUppercase: true,
-          requireLowercase: true,
-          requireNumbers: true,
-          requireSpecialChars: true,
-          maxAge: 90, // days
-          preventReuse: 5, // last N passwords
-        },
+        passwordPolicy: { ...DEFAULT_PASSWORD_POLICY },
         sessionPolicy: {
           maxDuration: 24, // hours
           idleTimeout: 2, // hours
@@ -1181,9 +1251,11 @@ export class AdminRepository {
           allowedIPs: [],
           enableRateLimit: true,
           maxRequestsPerMinute: 100,
+          rateLimits: { ...DEFAULT_GROUP_RATE_LIMITS },
           enableBruteForceProtection: true,
           maxFailedAttempts: 5,
           lockoutDuration: 30, // minutes
+          allowUnverifiedLogin: true,
         },
         updatedAt: new Date().toISOString(),
       };
@@ -1283,12 +1355,22 @@ export class AdminRepository {
     const suspiciousActivity = events.filter(
       (e) => e.eventType === "SUSPICIOUS_ACTIVITY"
     );
+    const accountLockouts = events.filter(
+      (e) => e.eventType === "ACCOUNT_LOCKED"
+    );
+    const rateLimitBreaches = events.filter(
+      (e) => e.eventType === "RATE_LIMIT_EXCEEDED"
+    );
+    const blockedIPs = events.filter((e) => e.eventType === "IP_BLOCKED");
 
     return {
       securityEvents: events,
       loginAttempts,
       failedLogins,
       suspiciousActivity,
+      accountLockouts,
+      rateLimitBreaches,
+      blockedIPs,
       lastEvaluatedKey: result.LastEvaluatedKey
         ? JSON.stringify(result.LastEvaluatedKey)
         : null,
@@ -1393,6 +1475,35 @@ export class AdminRepository {
     };
   }
 
+  /**
+   * Get every security event recorded for a user, oldest pages first. Used
+   * for the user's own data export.
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Security events
+   */
+  static async getUserSecurityEvents(userId) {
+    const events = [];
+    let lastEvaluatedKey;
+
+    do {
+      const result = await dynamoDb.send(
+        new ScanCommand({
+          TableName: TABLE_NAME,
+          FilterExpression: "entityType = :entityType AND userId = :userId",
+          ExpressionAttributeValues: {
+            ":entityType": "SecurityEvent",
+            ":userId": userId,
+          },
+          ExclusiveStartKey: lastEvaluatedKey,
+        })
+      );
+      events.push(...(result.Items || []));
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    return events;
+  }
+
   /**
    * Detect and flag suspicious activity
    * Requirements: 6.2, 6.3
@@ -1857,6 +1968,48 @@ export class AdminRepository {
     return result.Items || [];
   }
 
+  /**
+   * Remove a deleted user's name and email from their support tickets. The
+   * tickets stay for support history but no longer list under the user.
+   * Requirements: 8.2
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Number of tickets anonymised
+   */
+  static async anonymizeUserTickets(userId) {
+    let anonymized = 0;
+    let lastEvaluatedKey;
+
+    do {
+      const page = await this.getAllSupportTickets({
+        userId,
+        limit: 100,
+        lastEvaluatedKey,
+      });
+
+      for (const ticket of page.tickets) {
+        await dynamoDb.send(
+          new UpdateCommand({
+            TableName: TABLE_NAME,
+            Key: {
+              PK: `TICKET#${ticket.ticketId}`,
+              SK: `METADATA`,
+            },
+            UpdateExpression:
+              "SET userName = :name, userEmail = :email REMOVE GSI2PK, GSI2SK",
+            ExpressionAttributeValues: {
+              ":name": "Deleted user",
+              ":email": null,
+            },
+          })
+        );
+        anonymized += 1;
+      }
+      lastEvaluatedKey = page.lastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    return anonymized;
+  }
+
   /**
    * Resolve support ticket
    * Requirements: 8.3, 8.5
@@ -2906,4 +3059,32 @@ export class AdminRepository {
 
     return result.Attributes;
   }
+
+  /**
+   * Get maintenance windows that have not finished yet
+   * @returns {Promise<Array>} Scheduled and in-progress maintenance windows
+   */
+  static async getOpenMaintenanceWindows() {
+    const statuses = [
+      MAINTENANCE_STATUS.SCHEDULED,
+      MAINTENANCE_STATUS.IN_PROGRESS,
+    ];
+
+    const results = await Promise.all(
+      statuses.map((status) =>
+        dynamoDb.send(
+          new QueryCommand({
+            TableName: TABLE_NAME,
+            IndexName: "GSI1",
+            KeyConditionExpression: "GSI1PK = :statusPK",
+            ExpressionAttributeValues: {
+              ":statusPK": `MAINTENANCE#${status}`,
+            },
+          })
+        )
+      )
+    );
+
+    return results.flatMap((result) => result.Items || []);
+  }
 }
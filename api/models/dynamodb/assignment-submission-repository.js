@@ -0,0 +1,242 @@
+import dynamoDb, { TABLE_NAME } from "../../config/dynamodb.js";
+import {
+  PutCommand,
+  GetCommand,
+  QueryCommand,
+  UpdateCommand,
+  DeleteCommand,
+} from "@aws-sdk/lib-dynamodb";
+import { SUBMISSION_STATUS } from "../../utils/assignments.js";
+
+const submissionKey = (userId, courseId, lectureId) => ({
+  PK: `USER#${userId}`,
+  SK: `ASSIGNMENT_SUBMISSION#${courseId}#${lectureId}`,
+});
+
+/**
+ * A learner's work for an assignment, one per learner and assignment. It sits
+ * in the learner's partition next to their enrollment and is indexed by
+ * course (GSI2) for the instructor's grading queue.
+ */
+export class AssignmentSubmissionRepository {
+  /**
+   * Hand in work, replacing an earlier submission that has not been graded
+   * @param {Object} params - Submission parameters
+   * @param {string} params.userId - Learner's user ID
+   * @param {string} params.userName - Learner's name, shown in the queue
+   * @param {string} params.courseId - Course ID
+   * @param {string} params.lectureId - Assignment lecture ID
+   * @param {Array} params.files - { fileKey, fileName } from /upload
+   * @param {string} params.comment - Note to the instructor
+   * @param {boolean} params.late - Whether it was handed in after the due date
+   * @returns {Promise<Object|null>} Saved submission, or null if it was
+   * graded in the meantime
+   */
+  static async submit({
+    userId,
+    userName,
+    courseId,
+    lectureId,
+    files,
+    comment,
+    late,
+  }) {
+    const item = {
+      ...submissionKey(userId, courseId, lectureId),
+      GSI2PK: `COURSE#${courseId}`,
+      GSI2SK: `SUBMISSION#${lectureId}#${userId}`,
+      entityType: "AssignmentSubmission",
+      userId,
+      userName,
+      courseId,
+      lectureId,
+      files,
+      comment,
+      late,
+      status: SUBMISSION_STATUS.SUBMITTED,
+      submittedAt: new Date().toISOString(),
+    };
+
+    try {
+      await dynamoDb.send(
+        new PutCommand({
+          TableName: TABLE_NAME,
+          Item: item,
+          ConditionExpression: "attribute_not_exists(PK) OR #status <> :graded",
+          ExpressionAttributeNames: { "#status": "status" },
+          ExpressionAttributeValues: { ":graded": SUBMISSION_STATUS.GRADED },
+        })
+      );
+
+      return item;
+    } catch (error) {
+      if (error.name === "ConditionalCheckFailedException") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Find a learner's submission for an assignment
+   * @param {string} userId - Learner's user ID
+   * @param {string} courseId - Course ID
+   * @param {string} lectureId - Assignment lecture ID
+   * @returns {Promise<Object|null>} Submission
+   */
+  static async findOne(userId, courseId, lectureId) {
+    const result = await dynamoDb.send(
+      new GetCommand({
+        TableName: TABLE_NAME,
+        Key: submissionKey(userId, courseId, lectureId),
+      })
+    );
+
+    return result.Item || null;
+  }
+
+  /**
+   * Find a learner's submissions in one course
+   * @param {string} userId - Learner's user ID
+   * @param {string} courseId - Course ID
+   * @returns {Promise<Array>} Submissions
+   */
+  static async findByUserAndCourse(userId, courseId) {
+    return this.queryUserSubmissions(
+      userId,
+      `ASSIGNMENT_SUBMISSION#${courseId}#`
+    );
+  }
+
+  /**
+   * Find all of a learner's submissions
+   * @param {string} userId - Learner's user ID
+   * @returns {Promise<Array>} Submissions, grouped by course
+   */
+  static async findByUser(userId) {
+    return this.queryUserSubmissions(userId, "ASSIGNMENT_SUBMISSION#");
+  }
+
+  static async queryUserSubmissions(userId, prefix) {
+    const submissions = [];
+    let lastEvaluatedKey;
+
+    do {
+      const result = await dynamoDb.send(
+        new QueryCommand({
+          TableName: TABLE_NAME,
+          KeyConditionExpression: "PK = :pk AND begins_with(SK, :sk)",
+          ExpressionAttributeValues: {
+            ":pk": `USER#${userId}`,
+            ":sk": prefix,
+          },
+          ExclusiveStartKey: lastEvaluatedKey,
+        })
+      );
+
+      submissions.push(...(result.Items || []));
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    return submissions;
+  }
+
+  /**
+   * Find every submission in a course
+   * @param {string} courseId - Course ID
+   * @param {Object} [options]
+   * @param {string} [options.status] - Only submissions with this status
+   * @param {string} [options.lectureId] - Only submissions for this
+   * assignment
+   * @returns {Promise<Array>} Submissions
+   */
+  static async findByCourse(courseId, { status, lectureId } = {}) {
+    const submissions = [];
+    let lastEvaluatedKey;
+
+    do {
+      const result = await dynamoDb.send(
+        new QueryCommand({
+          TableName: TABLE_NAME,
+          IndexName: "GSI2",
+          KeyConditionExpression:
+            "GSI2PK = :courseId AND begins_with(GSI2SK, :prefix)",
+          ...(status && {
+            FilterExpression: "#status = :status",
+            ExpressionAttributeNames: { "#status": "status" },
+          }),
+          ExpressionAttributeValues: {
+            ":courseId": `COURSE#${courseId}`,
+            ":prefix": lectureId ? `SUBMISSION#${lectureId}#` : "SUBMISSION#",
+            ...(status && { ":status": status }),
+          },
+          ExclusiveStartKey: lastEvaluatedKey,
+        })
+      );
+
+      submissions.push(...(result.Items || []));
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    return submissions;
+  }
+
+  /**
+   * Delete every submission for an assignment that is being removed
+   * @param {string} courseId - Course ID
+   * @param {string} lectureId - Assignment lecture ID
+   * @returns {Promise<Array>} Deleted submissions, so their files can be
+   * removed
+   */
+  static async deleteByLecture(courseId, lectureId) {
+    const submissions = await this.findByCourse(courseId, { lectureId });
+
+    await Promise.all(
+      submissions.map((submission) =>
+        dynamoDb.send(
+          new DeleteCommand({
+            TableName: TABLE_NAME,
+            Key: submissionKey(submission.userId, courseId, lectureId),
+          })
+        )
+      )
+    );
+
+    return submissions;
+  }
+
+  /**
+   * Record or replace a submission's grade
+   * @param {string} userId - Learner's user ID
+   * @param {string} courseId - Course ID
+   * @param {string} lectureId - Assignment lecture ID
+   * @param {Object} grade - { scores, points, maxPoints, feedback, gradedBy }
+   * @returns {Promise<Object|null>} Graded submission, or null if there is
+   * no submission
+   */
+  static async grade(userId, courseId, lectureId, grade) {
+    try {
+      const result = await dynamoDb.send(
+        new UpdateCommand({
+          TableName: TABLE_NAME,
+          Key: submissionKey(userId, courseId, lectureId),
+          UpdateExpression: "SET #status = :graded, grade = :grade",
+          ConditionExpression: "attribute_exists(PK)",
+          ExpressionAttributeNames: { "#status": "status" },
+          ExpressionAttributeValues: {
+            ":graded": SUBMISSION_STATUS.GRADED,
+            ":grade": { ...grade, gradedAt: new Date().toISOString() },
+          },
+          ReturnValues: "ALL_NEW",
+        })
+      );
+
+      return result.Attributes;
+    } catch (error) {
+      if (error.name === "ConditionalCheckFailedException") {
+        return null;
+      }
+      throw error;
+    }
+  }
+}
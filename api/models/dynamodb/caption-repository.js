@@ -0,0 +1,179 @@
+import dynamoDb, { TABLE_NAME } from "../../config/dynamodb.js";
+import {
+  PutCommand,
+  GetCommand,
+  QueryCommand,
+  DeleteCommand,
+  BatchWriteCommand,
+} from "@aws-sdk/lib-dynamodb";
+
+const captionKey = (courseId, lectureId, language) => ({
+  PK: `COURSE#${courseId}`,
+  SK: `CAPTION#${lectureId}#${language}`,
+});
+
+/**
+ * A video lecture's caption track in one language, kept in the course
+ * partition as parsed cues so captions can be searched across the course.
+ */
+export class CaptionRepository {
+  /**
+   * Create or replace a lecture's track in a language
+   * @param {Object} params - Track parameters
+   * @param {string} params.courseId - Course ID
+   * @param {string} params.lectureId - Lecture ID
+   * @param {string} params.language - BCP 47 language tag
+   * @param {string} params.label - Name shown in the caption menu
+   * @param {Array} params.cues - { start, end, text, settings } cues
+   * @returns {Promise<Object>} Saved track
+   */
+  static async save({ courseId, lectureId, language, label, cues }) {
+    const existing = await this.findOne(courseId, lectureId, language);
+    const now = new Date().toISOString();
+    const item = {
+      ...captionKey(courseId, lectureId, language),
+      entityType: "Caption",
+      courseId,
+      lectureId,
+      language,
+      label,
+      cues,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+    };
+
+    await dynamoDb.send(
+      new PutCommand({
+        TableName: TABLE_NAME,
+        Item: item,
+      })
+    );
+
+    return item;
+  }
+
+  /**
+   * Find a lecture's track in a language
+   * @param {string} courseId - Course ID
+   * @param {string} lectureId - Lecture ID
+   * @param {string} language - Language tag
+   * @returns {Promise<Object|null>} Track
+   */
+  static async findOne(courseId, lectureId, language) {
+    const result = await dynamoDb.send(
+      new GetCommand({
+        TableName: TABLE_NAME,
+        Key: captionKey(courseId, lectureId, language),
+      })
+    );
+
+    return result.Item || null;
+  }
+
+  /**
+   * Find every track in a course
+   * @param {string} courseId - Course ID
+   * @returns {Promise<Array>} Tracks, grouped by lecture
+   */
+  static async findByCourse(courseId) {
+    const tracks = [];
+    let lastEvaluatedKey;
+
+    do {
+      const result = await dynamoDb.send(
+        new QueryCommand({
+          TableName: TABLE_NAME,
+          KeyConditionExpression: "PK = :pk AND begins_with(SK, :sk)",
+          ExpressionAttributeValues: {
+            ":pk": `COURSE#${courseId}`,
+            ":sk": "CAPTION#",
+          },
+          ExclusiveStartKey: lastEvaluatedKey,
+        })
+      );
+
+      tracks.push(...(result.Items || []));
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    return tracks;
+  }
+
+  /**
+   * Delete a lecture's track in a language
+   * @param {string} courseId - Course ID
+   * @param {string} lectureId - Lecture ID
+   * @param {string} language - Language tag
+   * @returns {Promise<boolean>} False if the track did not exist
+   */
+  static async delete(courseId, lectureId, language) {
+    try {
+      await dynamoDb.send(
+        new DeleteCommand({
+          TableName: TABLE_NAME,
+          Key: captionKey(courseId, lectureId, language),
+          ConditionExpression: "attribute_exists(PK)",
+        })
+      );
+
+      return true;
+    } catch (error) {
+      if (error.name === "ConditionalCheckFailedException") {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete all of a lecture's tracks
+   * @param {string} courseId - Course ID
+   * @param {string} lectureId - Lecture ID
+   */
+  static async deleteByLecture(courseId, lectureId) {
+    await this.deleteMatching(courseId, `CAPTION#${lectureId}#`);
+  }
+
+  /**
+   * Delete every track in a course. Tracks can be large, so this runs before
+   * the course's own items are deleted in a single query.
+   * @param {string} courseId - Course ID
+   */
+  static async deleteByCourse(courseId) {
+    await this.deleteMatching(courseId, "CAPTION#");
+  }
+
+  static async deleteMatching(courseId, prefix) {
+    let lastEvaluatedKey;
+
+    do {
+      const result = await dynamoDb.send(
+        new QueryCommand({
+          TableName: TABLE_NAME,
+          KeyConditionExpression: "PK = :pk AND begins_with(SK, :sk)",
+          ExpressionAttributeValues: {
+            ":pk": `COURSE#${courseId}`,
+            ":sk": prefix,
+          },
+          ProjectionExpression: "PK, SK",
+          ExclusiveStartKey: lastEvaluatedKey,
+        })
+      );
+
+      const keys = result.Items || [];
+      for (let i = 0; i < keys.length; i += 25) {
+        await dynamoDb.send(
+          new BatchWriteCommand({
+            RequestItems: {
+              [TABLE_NAME]: keys
+                .slice(i, i + 25)
+                .map((Key) => ({ DeleteRequest: { Key } })),
+            },
+          })
+        );
+      }
+
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+  }
+}
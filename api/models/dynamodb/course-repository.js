@@ -10,6 +10,10 @@ import {
 } from "@aws-sdk/lib-dynamodb";
 import { v4 as uuidv4 } from "uuid";
 import { CategoryRepository } from "./category-repository.js";
+import {
+  COURSE_STATUS,
+  isCourseVisibleInCatalog,
+} from "../../utils/constants.js";
 
 export class CourseRepository {
   static async create({
@@ -23,6 +27,7 @@ export class CourseRepository {
     createdAt,
     categoryId,
     categoryName,
+    status = COURSE_STATUS.DRAFT,
   }) {
     // Validate categoryId exists if provided
     if (categoryId) {
@@ -55,6 +60,7 @@ export class CourseRepository {
       instructorEmail,
       price,
       imageKey,
+      status,
       createdAt: timestamp,
     };
 
@@ -146,11 +152,19 @@ export class CourseRepository {
     sortDir = "asc",
     titleFilter,
     categoryId,
+    includeUnpublished = false,
   }) {
     // If categoryId is provided, use findByCategory internally
     if (categoryId) {
       let courses = await this.findByCategory(categoryId, { sortBy, sortDir });
 
+      // Hide courses that have not been published
+      if (!includeUnpublished) {
+        courses = courses.filter((course) =>
+          isCourseVisibleInCatalog(course.status)
+        );
+      }
+
       // Apply title filter if provided
       if (titleFilter) {
         const lowerFilter = titleFilter.toLowerCase();
@@ -183,6 +197,13 @@ export class CourseRepository {
 
     let courses = result.Items || [];
 
+    // Hide courses that have not been published
+    if (!includeUnpublished) {
+      courses = courses.filter((course) =>
+        isCourseVisibleInCatalog(course.status)
+      );
+    }
+
     // Filter by title if provided
     if (titleFilter) {
       const lowerFilter = titleFilter.toLowerCase();
@@ -255,6 +276,59 @@ export class CourseRepository {
     return result.Attributes;
   }
 
+  /**
+   * Move a course to a new lifecycle status
+   * The update only succeeds if the course is still in the expected status,
+   * so concurrent reviews cannot overwrite each other.
+   * @param {string} courseId - Course ID
+   * @param {string|null} expectedStatus - Status the course must currently have (null for legacy courses without one)
+   * @param {string} status - New status
+   * @param {Object} extra - Additional attributes to set (e.g. reviewedBy, reviewReason)
+   * @returns {Promise<Object>} Updated course item
+   */
+  static async updateStatus(courseId, expectedStatus, status, extra = {}) {
+    const updateExpressions = ["#status = :status", "#updatedAt = :now"];
+    const expressionAttributeNames = {
+      "#status": "status",
+      "#updatedAt": "updatedAt",
+    };
+    const expressionAttributeValues = {
+      ":status": status,
+      ":now": new Date().toISOString(),
+    };
+
+    Object.keys(extra).forEach((key, index) => {
+      updateExpressions.push(`#extra${index} = :extra${index}`);
+      expressionAttributeNames[`#extra${index}`] = key;
+      expressionAttributeValues[`:extra${index}`] = extra[key];
+    });
+
+    let conditionExpression = "attribute_exists(PK) AND ";
+    if (expectedStatus) {
+      conditionExpression += "#status = :expectedStatus";
+      expressionAttributeValues[":expectedStatus"] = expectedStatus;
+    } else {
+      conditionExpression += "attribute_not_exists(#status)";
+    }
+
+    const result = await dynamoDb.send(
+      new UpdateCommand({
+        TableName: TABLE_NAME,
+        Key: {
+          PK: `COURSE#${courseId}`,
+          SK: "METADATA",
+        },
+        UpdateExpression: `SET ${updateExpressions.join(", ")}`,
+        ConditionExpression: conditionExpression,
+        ExpressionAttributeNames: expressionAttributeNames,
+        ExpressionAttributeValues: expressionAttributeValues,
+        ReturnValues: "ALL_NEW",
+      })
+    );
+
+    return result.Attributes;
+  }
+
   static async findByIdWithLectures(courseId) {
     const result = await dynamoDb.send(
       new QueryCommand({
@@ -269,12 +343,14 @@ export class CourseRepository {
     const items = result.Items || [];
     const course = items.find((item) => item.SK === "METADATA");
     const lectures = items.filter((item) => item.SK.startsWith("LECTURE#"));
+    const sections = items.filter((item) => item.SK.startsWith("SECTION#"));
 
     if (!course) return null;
 
     return {
       ...course,
       lectures,
+      sections,
     };
   }
 
@@ -4,6 +4,7 @@ import {
   GetCommand,
   QueryCommand,
   UpdateCommand,
+  DeleteCommand,
   BatchGetCommand,
 } from "@aws-sdk/lib-dynamodb";
 
@@ -16,6 +17,8 @@ export class EnrollmentRepository {
     courseImageKey,
     progress = [],
     createdAt,
+    organizationId,
+    seatPoolId,
   }) {
     const timestamp = createdAt || new Date().toISOString();
 
@@ -34,6 +37,12 @@ export class EnrollmentRepository {
       createdAt: timestamp,
     };
 
+    // Enrollments made with an organization's seat
+    if (organizationId) {
+      item.organizationId = organizationId;
+      item.seatPoolId = seatPoolId;
+    }
+
     await dynamoDb.send(
       new PutCommand({
         TableName: TABLE_NAME,
@@ -74,14 +83,17 @@ export class EnrollmentRepository {
     return result.Items || [];
   }
 
+  // Assignment submissions share GSI2 with enrollments, under SUBMISSION#
   static async findByCourse(courseId) {
     const result = await dynamoDb.send(
       new QueryCommand({
         TableName: TABLE_NAME,
         IndexName: "GSI2",
-        KeyConditionExpression: "GSI2PK = :courseId",
+        KeyConditionExpression:
+          "GSI2PK = :courseId AND begins_with(GSI2SK, :prefix)",
         ExpressionAttributeValues: {
           ":courseId": `COURSE#${courseId}`,
+          ":prefix": "ENROLLMENT#",
         },
       }),
     );
@@ -94,9 +106,11 @@ export class EnrollmentRepository {
       new QueryCommand({
         TableName: TABLE_NAME,
         IndexName: "GSI2",
-        KeyConditionExpression: "GSI2PK = :courseId",
+        KeyConditionExpression:
+          "GSI2PK = :courseId AND begins_with(GSI2SK, :prefix)",
         ExpressionAttributeValues: {
           ":courseId": `COURSE#${courseId}`,
+          ":prefix": "ENROLLMENT#",
         },
         Select: "COUNT",
       }),
@@ -141,6 +155,120 @@ export class EnrollmentRepository {
     return result.Attributes;
   }
 
+  /**
+   * Add a lecture to an enrollment's progress and mark the course completed
+   * once every lecture is in it
+   * @param {Object} enrollment - Enrollment record
+   * @param {string} lectureId - Completed lecture
+   * @param {Array} lectureIds - All of the course's lecture IDs
+   * @returns {Promise<Object>} Updated enrollment, or the one given if the
+   * lecture was already completed
+   */
+  static async completeLecture(enrollment, lectureId, lectureIds) {
+    const progress = enrollment.progress || [];
+    if (progress.includes(lectureId)) {
+      return enrollment;
+    }
+
+    const updatedProgress = [...progress, lectureId];
+    const isNowCompleted =
+      lectureIds.length > 0 &&
+      lectureIds.every((id) => updatedProgress.includes(id));
+
+    // Set completedAt only if course is now completed and wasn't before
+    return this.updateProgress(
+      enrollment.userId,
+      enrollment.courseId,
+      updatedProgress,
+      {
+        completedAt:
+          isNowCompleted && !enrollment.completedAt
+            ? new Date().toISOString()
+            : undefined,
+      },
+    );
+  }
+
+  /**
+   * Drop a deleted lecture from every enrollment in a course and recalculate
+   * completion against the lectures that remain. Removing the only lecture a
+   * learner had left completes the course for them.
+   * @returns {Promise<number>} Number of enrollments updated
+   */
+  static async removeLectureProgress(courseId, lectureId, remainingLectureIds) {
+    const remaining = new Set(remainingLectureIds);
+    let updated = 0;
+    let lastEvaluatedKey;
+
+    do {
+      const result = await dynamoDb.send(
+        new QueryCommand({
+          TableName: TABLE_NAME,
+          IndexName: "GSI2",
+          KeyConditionExpression:
+            "GSI2PK = :courseId AND begins_with(GSI2SK, :prefix)",
+          ExpressionAttributeValues: {
+            ":courseId": `COURSE#${courseId}`,
+            ":prefix": "ENROLLMENT#",
+          },
+          ExclusiveStartKey: lastEvaluatedKey,
+        }),
+      );
+
+      for (const enrollment of result.Items || []) {
+        const previous = enrollment.progress || [];
+        const progress = previous.filter((id) => remaining.has(id));
+        const isCompleted =
+          remaining.size > 0 && progress.length === remaining.size;
+        const wasCompleted = Boolean(enrollment.completedAt);
+
+        if (!previous.includes(lectureId) && isCompleted === wasCompleted) {
+          continue;
+        }
+
+        await this.updateProgress(enrollment.userId, courseId, progress, {
+          completedAt:
+            isCompleted && !wasCompleted ? new Date().toISOString() : undefined,
+          clearCompletedAt: !isCompleted && wasCompleted,
+        });
+        updated += 1;
+      }
+
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    return updated;
+  }
+
+  /**
+   * Remove an enrollment made with a seat that has been reclaimed.
+   * Enrollments the user made themselves are never removed.
+   */
+  static async deleteSeatEnrollment(userId, courseId, seatPoolId) {
+    try {
+      await dynamoDb.send(
+        new DeleteCommand({
+          TableName: TABLE_NAME,
+          Key: {
+            PK: `USER#${userId}`,
+            SK: `ENROLLMENT#${courseId}`,
+          },
+          ConditionExpression: "seatPoolId = :seatPoolId",
+          ExpressionAttributeValues: {
+            ":seatPoolId": seatPoolId,
+          },
+        }),
+      );
+
+      return true;
+    } catch (error) {
+      if (error.name === "ConditionalCheckFailedException") {
+        return false;
+      }
+      throw error;
+    }
+  }
+
   static async getInstructorRevenue(instructorId, courses) {
     // Get enrollment counts for all instructor's courses
     const revenuePromises = courses.map(async (course) => {
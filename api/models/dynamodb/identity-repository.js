@@ -0,0 +1,117 @@
+import dynamoDb, { TABLE_NAME } from "../../config/dynamodb.js";
+import {
+  GetCommand,
+  PutCommand,
+  ScanCommand,
+  DeleteCommand,
+} from "@aws-sdk/lib-dynamodb";
+
+export class IdentityRepository {
+  /**
+   * Find the user linked to an external identity
+   * @param {string} provider - Provider ID, e.g. google
+   * @param {string} subject - Subject (sub claim) at the provider
+   * @returns {Promise<Object|null>} Identity item or null
+   */
+  static async findByProviderSubject(provider, subject) {
+    const result = await dynamoDb.send(
+      new GetCommand({
+        TableName: TABLE_NAME,
+        Key: {
+          PK: `IDENTITY#${provider}#${subject}`,
+          SK: "IDENTITY",
+        },
+      })
+    );
+
+    return result.Item || null;
+  }
+
+  /**
+   * Link an external identity to a user. An identity can only be linked to
+   * one user.
+   * @param {Object} params - Identity parameters
+   * @param {string} params.provider - Provider ID
+   * @param {string} params.subject - Subject (sub claim) at the provider
+   * @param {string} params.userId - User ID
+   * @param {string} params.email - Email address the provider verified
+   * @returns {Promise<Object|null>} Created identity, or null if already linked
+   */
+  static async link({ provider, subject, userId, email }) {
+    const item = {
+      PK: `IDENTITY#${provider}#${subject}`,
+      SK: "IDENTITY",
+      entityType: "Identity",
+      provider,
+      subject,
+      userId,
+      email,
+      createdAt: new Date().toISOString(),
+    };
+
+    try {
+      await dynamoDb.send(
+        new PutCommand({
+          TableName: TABLE_NAME,
+          Item: item,
+          ConditionExpression: "attribute_not_exists(PK)",
+        })
+      );
+
+      return item;
+    } catch (error) {
+      if (error.name === "ConditionalCheckFailedException") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Find every external identity linked to a user. Identities are keyed by
+   * provider subject, so this scans; it is only used when an account is
+   * deleted.
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Identity items
+   */
+  static async findByUser(userId) {
+    const identities = [];
+    let lastEvaluatedKey;
+
+    do {
+      const result = await dynamoDb.send(
+        new ScanCommand({
+          TableName: TABLE_NAME,
+          FilterExpression: "entityType = :type AND userId = :userId",
+          ExpressionAttributeValues: {
+            ":type": "Identity",
+            ":userId": userId,
+          },
+          ExclusiveStartKey: lastEvaluatedKey,
+        })
+      );
+      identities.push(...(result.Items || []));
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    return identities;
+  }
+
+  /**
+   * Remove the link between an external identity and its user
+   * @param {string} provider - Provider ID
+   * @param {string} subject - Subject (sub claim) at the provider
+   * @returns {Promise<void>}
+   */
+  static async unlink(provider, subject) {
+    await dynamoDb.send(
+      new DeleteCommand({
+        TableName: TABLE_NAME,
+        Key: {
+          PK: `IDENTITY#${provider}#${subject}`,
+          SK: "IDENTITY",
+        },
+      })
+    );
+  }
+}
@@ -0,0 +1,176 @@
+import dynamoDb, { TABLE_NAME } from "../../config/dynamodb.js";
+import {
+  GetCommand,
+  PutCommand,
+  QueryCommand,
+  UpdateCommand,
+} from "@aws-sdk/lib-dynamodb";
+
+export const APPLICATION_STATUS = {
+  PENDING: "pending",
+  APPROVED: "approved",
+  REJECTED: "rejected",
+};
+
+/**
+ * Applications from students to become instructors. A user has at most one;
+ * a rejected application is replaced when they apply again.
+ */
+export class InstructorApplicationRepository {
+  /**
+   * Submit an application
+   * @param {Object} params - Application parameters
+   * @param {Object} params.user - Applicant's user record
+   * @param {string} params.bio - About the applicant
+   * @param {Array} params.expertise - [{ categoryId, name }] the applicant would teach
+   * @param {Array} params.sampleMaterial - [{ title, url }] showing their teaching
+   * @returns {Promise<Object|null>} Created application, or null if the user
+   * already has a pending or approved one
+   */
+  static async create({ user, bio, expertise, sampleMaterial }) {
+    const timestamp = new Date().toISOString();
+    const item = {
+      PK: `USER#${user.userId}`,
+      SK: "INSTRUCTOR_APPLICATION",
+      GSI1PK: `INSTRUCTOR_APPLICATIONS#${APPLICATION_STATUS.PENDING}`,
+      GSI1SK: timestamp,
+      entityType: "InstructorApplication",
+      userId: user.userId,
+      userName: user.name,
+      userEmail: user.email,
+      bio,
+      expertise,
+      sampleMaterial,
+      status: APPLICATION_STATUS.PENDING,
+      submittedAt: timestamp,
+      reviewedAt: null,
+      reviewedBy: null,
+      reviewNotes: null,
+    };
+
+    try {
+      await dynamoDb.send(
+        new PutCommand({
+          TableName: TABLE_NAME,
+          Item: item,
+          ConditionExpression:
+            "attribute_not_exists(PK) OR #status = :rejected",
+          ExpressionAttributeNames: {
+            "#status": "status",
+          },
+          ExpressionAttributeValues: {
+            ":rejected": APPLICATION_STATUS.REJECTED,
+          },
+        })
+      );
+
+      return item;
+    } catch (error) {
+      if (error.name === "ConditionalCheckFailedException") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Find a user's application
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Application or null
+   */
+  static async findByUser(userId) {
+    const result = await dynamoDb.send(
+      new GetCommand({
+        TableName: TABLE_NAME,
+        Key: {
+          PK: `USER#${userId}`,
+          SK: "INSTRUCTOR_APPLICATION",
+        },
+      })
+    );
+
+    return result.Item || null;
+  }
+
+  /**
+   * List applications with a status using GSI1, oldest first so the review
+   * queue is worked in order
+   * @param {Object} options - { status, limit, lastEvaluatedKey }
+   * @returns {Promise<Object>} Applications and pagination info
+   */
+  static async findByStatus({
+    status = APPLICATION_STATUS.PENDING,
+    limit = 50,
+    lastEvaluatedKey,
+  } = {}) {
+    const params = {
+      TableName: TABLE_NAME,
+      IndexName: "GSI1",
+      KeyConditionExpression: "GSI1PK = :statusPK",
+      ExpressionAttributeValues: {
+        ":statusPK": `INSTRUCTOR_APPLICATIONS#${status}`,
+      },
+      ScanIndexForward: status === APPLICATION_STATUS.PENDING,
+      Limit: limit,
+    };
+
+    if (lastEvaluatedKey) {
+      params.ExclusiveStartKey = JSON.parse(lastEvaluatedKey);
+    }
+
+    const result = await dynamoDb.send(new QueryCommand(params));
+
+    return {
+      applications: result.Items || [],
+      lastEvaluatedKey: result.LastEvaluatedKey
+        ? JSON.stringify(result.LastEvaluatedKey)
+        : null,
+      count: result.Count,
+    };
+  }
+
+  /**
+   * Approve or reject a pending application
+   * @param {string} userId - Applicant's user ID
+   * @param {Object} decision - { status, notes, reviewedBy }
+   * @returns {Promise<Object|null>} Updated application, or null if it is no
+   * longer pending
+   */
+  static async review(userId, { status, notes = null, reviewedBy }) {
+    const timestamp = new Date().toISOString();
+
+    try {
+      const result = await dynamoDb.send(
+        new UpdateCommand({
+          TableName: TABLE_NAME,
+          Key: {
+            PK: `USER#${userId}`,
+            SK: "INSTRUCTOR_APPLICATION",
+          },
+          UpdateExpression:
+            "SET #status = :status, GSI1PK = :statusPK, GSI1SK = :now, reviewedAt = :now, reviewedBy = :reviewedBy, reviewNotes = :notes",
+          ConditionExpression: "#status = :pending",
+          ExpressionAttributeNames: {
+            "#status": "status",
+          },
+          ExpressionAttributeValues: {
+            ":status": status,
+            ":statusPK": `INSTRUCTOR_APPLICATIONS#${status}`,
+            ":now": timestamp,
+            ":reviewedBy": reviewedBy,
+            ":notes": notes,
+            ":pending": APPLICATION_STATUS.PENDING,
+          },
+          ReturnValues: "ALL_NEW",
+        })
+      );
+
+      return result.Attributes;
+    } catch (error) {
+      if (error.name === "ConditionalCheckFailedException") {
+        return null;
+      }
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,198 @@
+import dynamoDb, { TABLE_NAME } from "../../config/dynamodb.js";
+import {
+  PutCommand,
+  GetCommand,
+  QueryCommand,
+  UpdateCommand,
+  DeleteCommand,
+} from "@aws-sdk/lib-dynamodb";
+import { v4 as uuidv4 } from "uuid";
+
+const noteKey = (userId, courseId, noteId) => ({
+  PK: `USER#${userId}`,
+  SK: `NOTE#${courseId}#${noteId}`,
+});
+
+/**
+ * A learner's private note or bookmark on a lecture, kept in the learner's
+ * partition. Course and lecture titles are copied in so notes can be searched
+ * and exported across courses without loading each course.
+ */
+export class LectureNoteRepository {
+  /**
+   * Create a note or bookmark
+   * @param {Object} params - Note parameters
+   * @param {string} params.userId - Learner's user ID
+   * @param {string} params.courseId - Course ID
+   * @param {string} params.courseTitle - Course title
+   * @param {string} params.lectureId - Lecture ID
+   * @param {string} params.lectureTitle - Lecture title
+   * @param {string} params.kind - "note" or "bookmark"
+   * @param {number|null} params.timestamp - Position in the video in seconds
+   * @param {string} params.text - Note text
+   * @returns {Promise<Object>} Created note
+   */
+  static async create({
+    userId,
+    courseId,
+    courseTitle,
+    lectureId,
+    lectureTitle,
+    kind,
+    timestamp,
+    text,
+  }) {
+    const noteId = uuidv4();
+    const now = new Date().toISOString();
+    const item = {
+      ...noteKey(userId, courseId, noteId),
+      entityType: "LectureNote",
+      noteId,
+      userId,
+      courseId,
+      courseTitle,
+      lectureId,
+      lectureTitle,
+      kind,
+      timestamp,
+      text,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    await dynamoDb.send(
+      new PutCommand({
+        TableName: TABLE_NAME,
+        Item: item,
+      })
+    );
+
+    return item;
+  }
+
+  /**
+   * Find one of a learner's notes
+   * @param {string} userId - Learner's user ID
+   * @param {string} courseId - Course ID
+   * @param {string} noteId - Note ID
+   * @returns {Promise<Object|null>} Note
+   */
+  static async findById(userId, courseId, noteId) {
+    const result = await dynamoDb.send(
+      new GetCommand({
+        TableName: TABLE_NAME,
+        Key: noteKey(userId, courseId, noteId),
+      })
+    );
+
+    return result.Item || null;
+  }
+
+  /**
+   * Find a learner's notes in one course
+   * @param {string} userId - Learner's user ID
+   * @param {string} courseId - Course ID
+   * @returns {Promise<Array>} Notes
+   */
+  static async findByUserAndCourse(userId, courseId) {
+    return this.queryUserNotes(userId, `NOTE#${courseId}#`);
+  }
+
+  /**
+   * Find all of a learner's notes
+   * @param {string} userId - Learner's user ID
+   * @returns {Promise<Array>} Notes, grouped by course
+   */
+  static async findByUser(userId) {
+    return this.queryUserNotes(userId, "NOTE#");
+  }
+
+  static async queryUserNotes(userId, prefix) {
+    const notes = [];
+    let lastEvaluatedKey;
+
+    do {
+      const result = await dynamoDb.send(
+        new QueryCommand({
+          TableName: TABLE_NAME,
+          KeyConditionExpression: "PK = :pk AND begins_with(SK, :sk)",
+          ExpressionAttributeValues: {
+            ":pk": `USER#${userId}`,
+            ":sk": prefix,
+          },
+          ExclusiveStartKey: lastEvaluatedKey,
+        })
+      );
+
+      notes.push(...(result.Items || []));
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    return notes;
+  }
+
+  /**
+   * Change a note's text and timestamp
+   * @param {string} userId - Learner's user ID
+   * @param {string} courseId - Course ID
+   * @param {string} noteId - Note ID
+   * @param {Object} updates - { text, timestamp }
+   * @returns {Promise<Object|null>} Updated note, or null if it does not exist
+   */
+  static async update(userId, courseId, noteId, { text, timestamp }) {
+    try {
+      const result = await dynamoDb.send(
+        new UpdateCommand({
+          TableName: TABLE_NAME,
+          Key: noteKey(userId, courseId, noteId),
+          UpdateExpression:
+            "SET #text = :text, #timestamp = :timestamp, updatedAt = :updatedAt",
+          ConditionExpression: "attribute_exists(PK)",
+          ExpressionAttributeNames: {
+            "#text": "text",
+            "#timestamp": "timestamp",
+          },
+          ExpressionAttributeValues: {
+            ":text": text,
+            ":timestamp": timestamp,
+            ":updatedAt": new Date().toISOString(),
+          },
+          ReturnValues: "ALL_NEW",
+        })
+      );
+
+      return result.Attributes;
+    } catch (error) {
+      if (error.name === "ConditionalCheckFailedException") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a note
+   * @param {string} userId - Learner's user ID
+   * @param {string} courseId - Course ID
+   * @param {string} noteId - Note ID
+   * @returns {Promise<boolean>} False if the note did not exist
+   */
+  static async delete(userId, courseId, noteId) {
+    try {
+      await dynamoDb.send(
+        new DeleteCommand({
+          TableName: TABLE_NAME,
+          Key: noteKey(userId, courseId, noteId),
+          ConditionExpression: "attribute_exists(PK)",
+        })
+      );
+
+      return true;
+    } catch (error) {
+      if (error.name === "ConditionalCheckFailedException") {
+        return false;
+      }
+      throw error;
+    }
+  }
+}
@@ -4,6 +4,7 @@ import {
   GetCommand,
   QueryCommand,
   UpdateCommand,
+  DeleteCommand,
 } from "@aws-sdk/lib-dynamodb";
 import { v4 as uuidv4 } from "uuid";
 
@@ -14,6 +15,11 @@ export class LectureRepository {
     videoUrl,
     createdAt,
     durationSeconds,
+    sectionId,
+    position,
+    type = "video",
+    quiz,
+    assignment,
   }) {
     const lectureId = uuidv4();
     const item = {
@@ -26,8 +32,21 @@ export class LectureRepository {
       videoUrl,
       createdAt: createdAt || new Date().toISOString(),
       durationSeconds: durationSeconds ?? null,
+      // Unsectioned lectures come before the course's sections
+      sectionId: sectionId ?? null,
+      position: position ?? null,
+      type,
     };
 
+    // Quiz lectures carry their questions and answer key instead of a video
+    if (quiz) {
+      item.quiz = quiz;
+    }
+    // Assignment lectures carry their instructions, due date and rubric
+    if (assignment) {
+      item.assignment = assignment;
+    }
+
     await dynamoDb.send(
       new PutCommand({
         TableName: TABLE_NAME,
@@ -94,4 +113,24 @@ export class LectureRepository {
 
     return result.Attributes;
   }
+
+  /**
+   * Delete a lecture
+   * @returns {Promise<Object|null>} The deleted lecture, or null if it did not
+   * exist
+   */
+  static async delete(courseId, lectureId) {
+    const result = await dynamoDb.send(
+      new DeleteCommand({
+        TableName: TABLE_NAME,
+        Key: {
+          PK: `COURSE#${courseId}`,
+          SK: `LECTURE#${lectureId}`,
+        },
+        ReturnValues: "ALL_OLD",
+      }),
+    );
+
+    return result.Attributes || null;
+  }
 }
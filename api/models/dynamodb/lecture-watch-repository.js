@@ -0,0 +1,145 @@
+import dynamoDb, { TABLE_NAME } from "../../config/dynamodb.js";
+import {
+  PutCommand,
+  GetCommand,
+  QueryCommand,
+  DeleteCommand,
+} from "@aws-sdk/lib-dynamodb";
+
+const watchKey = (userId, courseId, lectureId) => ({
+  PK: `USER#${userId}`,
+  SK: `WATCH#${courseId}#${lectureId}`,
+});
+
+/**
+ * Where a learner is in a video lecture and which parts they have watched,
+ * one item per learner and lecture in the learner's partition. Kept apart
+ * from the enrollment so frequent heartbeats do not rewrite it.
+ */
+export class LectureWatchRepository {
+  /**
+   * Save a learner's position and watched segments for a lecture
+   * @param {Object} params - Watch parameters
+   * @param {string} params.userId - Learner's user ID
+   * @param {string} params.courseId - Course ID
+   * @param {string} params.lectureId - Video lecture ID
+   * @param {number} params.position - Last playback position in seconds
+   * @param {number} params.duration - Video length in seconds
+   * @param {Array} params.segments - Merged [start, end] pairs in seconds
+   * @returns {Promise<Object>} Saved watch record
+   */
+  static async save({
+    userId,
+    courseId,
+    lectureId,
+    position,
+    duration,
+    segments,
+  }) {
+    const item = {
+      ...watchKey(userId, courseId, lectureId),
+      entityType: "LectureWatch",
+      userId,
+      courseId,
+      lectureId,
+      position,
+      duration,
+      segments,
+      updatedAt: new Date().toISOString(),
+    };
+
+    await dynamoDb.send(
+      new PutCommand({
+        TableName: TABLE_NAME,
+        Item: item,
+      })
+    );
+
+    return item;
+  }
+
+  /**
+   * Find a learner's watch record for a lecture
+   * @param {string} userId - Learner's user ID
+   * @param {string} courseId - Course ID
+   * @param {string} lectureId - Video lecture ID
+   * @returns {Promise<Object|null>} Watch record
+   */
+  static async findOne(userId, courseId, lectureId) {
+    const result = await dynamoDb.send(
+      new GetCommand({
+        TableName: TABLE_NAME,
+        Key: watchKey(userId, courseId, lectureId),
+      })
+    );
+
+    return result.Item || null;
+  }
+
+  /**
+   * Find a learner's watch records in one course
+   * @param {string} userId - Learner's user ID
+   * @param {string} courseId - Course ID
+   * @returns {Promise<Array>} Watch records
+   */
+  static async findByUserAndCourse(userId, courseId) {
+    return this.queryUserWatches(userId, `WATCH#${courseId}#`);
+  }
+
+  /**
+   * Find all of a learner's watch records
+   * @param {string} userId - Learner's user ID
+   * @returns {Promise<Array>} Watch records, grouped by course
+   */
+  static async findByUser(userId) {
+    return this.queryUserWatches(userId, "WATCH#");
+  }
+
+  static async queryUserWatches(userId, prefix) {
+    const watches = [];
+    let lastEvaluatedKey;
+
+    do {
+      const result = await dynamoDb.send(
+        new QueryCommand({
+          TableName: TABLE_NAME,
+          KeyConditionExpression: "PK = :pk AND begins_with(SK, :sk)",
+          ExpressionAttributeValues: {
+            ":pk": `USER#${userId}`,
+            ":sk": prefix,
+          },
+          ExclusiveStartKey: lastEvaluatedKey,
+        })
+      );
+
+      watches.push(...(result.Items || []));
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    return watches;
+  }
+
+  /**
+   * Forget what a learner watched in a course, e.g. when they reset their
+   * progress
+   * @param {string} userId - Learner's user ID
+   * @param {string} courseId - Course ID
+   * @returns {Promise<number>} Number of records deleted
+   */
+  static async deleteByUserAndCourse(userId, courseId) {
+    const watches = await this.findByUserAndCourse(userId, courseId);
+
+    await Promise.all(
+      watches.map((watch) =>
+        dynamoDb.send(
+          new DeleteCommand({
+            TableName: TABLE_NAME,
+            Key: watchKey(userId, courseId, watch.lectureId),
+          })
+        )
+      )
+    );
+
+    return watches.length;
+  }
+}
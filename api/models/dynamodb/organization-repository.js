@@ -0,0 +1,578 @@
+import dynamoDb, { TABLE_NAME } from "../../config/dynamodb.js";
+import {
+  DeleteCommand,
+  GetCommand,
+  PutCommand,
+  QueryCommand,
+  UpdateCommand,
+} from "@aws-sdk/lib-dynamodb";
+import { v4 as uuidv4 } from "uuid";
+
+export const ORG_ROLES = {
+  ADMIN: "admin",
+  MEMBER: "member",
+};
+
+// A course pool grants one course per seat; a catalog pool lets the seat
+// holder enroll in any course
+export const SEAT_SCOPES = {
+  COURSE: "course",
+  CATALOG: "catalog",
+};
+
+// Memberships and seats are also indexed by user on GSI1
+const userOrgsKey = (userId) => `USER_ORGS#${userId}`;
+
+const isConditionFailure = (error) =>
+  error.name === "ConditionalCheckFailedException";
+
+/**
+ * Organizations that buy training for their teams. Everything about an
+ * organization lives in its partition: the profile, members, pending
+ * invites, purchased seat pools and the seats assigned from them.
+ */
+export class OrganizationRepository {
+  /**
+   * Create an organization
+   * @param {Object} params - { name, createdBy }
+   * @returns {Promise<Object>} Created organization
+   */
+  static async create({ name, createdBy }) {
+    const organizationId = uuidv4();
+    const timestamp = new Date().toISOString();
+    const item = {
+      PK: `ORG#${organizationId}`,
+      SK: "METADATA",
+      GSI1PK: "ORGANIZATIONS",
+      GSI1SK: timestamp,
+      entityType: "Organization",
+      organizationId,
+      name,
+      createdBy,
+      createdAt: timestamp,
+    };
+
+    await dynamoDb.send(
+      new PutCommand({
+        TableName: TABLE_NAME,
+        Item: item,
+        ConditionExpression: "attribute_not_exists(PK)",
+      })
+    );
+
+    return item;
+  }
+
+  /**
+   * Find an organization
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Object|null>} Organization or null
+   */
+  static async findById(organizationId) {
+    const result = await dynamoDb.send(
+      new GetCommand({
+        TableName: TABLE_NAME,
+        Key: {
+          PK: `ORG#${organizationId}`,
+          SK: "METADATA",
+        },
+      })
+    );
+
+    return result.Item || null;
+  }
+
+  /**
+   * List organizations, newest first
+   * @param {Object} options - { limit, lastEvaluatedKey }
+   * @returns {Promise<Object>} Organizations and pagination info
+   */
+  static async list({ limit = 50, lastEvaluatedKey } = {}) {
+    const params = {
+      TableName: TABLE_NAME,
+      IndexName: "GSI1",
+      KeyConditionExpression: "GSI1PK = :pk",
+      ExpressionAttributeValues: {
+        ":pk": "ORGANIZATIONS",
+      },
+      ScanIndexForward: false,
+      Limit: limit,
+    };
+
+    if (lastEvaluatedKey) {
+      params.ExclusiveStartKey = JSON.parse(lastEvaluatedKey);
+    }
+
+    const result = await dynamoDb.send(new QueryCommand(params));
+
+    return {
+      organizations: result.Items || [],
+      lastEvaluatedKey: result.LastEvaluatedKey
+        ? JSON.stringify(result.LastEvaluatedKey)
+        : null,
+      count: result.Count,
+    };
+  }
+
+  /**
+   * Add a user to an organization
+   * @param {Object} organization - Organization record
+   * @param {Object} params - { user, role }
+   * @returns {Promise<Object|null>} Membership, or null if already a member
+   */
+  static async addMember(organization, { user, role = ORG_ROLES.MEMBER }) {
+    const item = {
+      PK: `ORG#${organization.organizationId}`,
+      SK: `MEMBER#${user.userId}`,
+      GSI1PK: userOrgsKey(user.userId),
+      GSI1SK: `ORG#${organization.organizationId}`,
+      entityType: "OrganizationMember",
+      organizationId: organization.organizationId,
+      organizationName: organization.name,
+      userId: user.userId,
+      name: user.name,
+      email: user.email,
+      role,
+      joinedAt: new Date().toISOString(),
+    };
+
+    try {
+      await dynamoDb.send(
+        new PutCommand({
+          TableName: TABLE_NAME,
+          Item: item,
+          ConditionExpression: "attribute_not_exists(PK)",
+        })
+      );
+
+      return item;
+    } catch (error) {
+      if (isConditionFailure(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Find a user's membership of an organization
+   * @param {string} organizationId - Organization ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Membership or null
+   */
+  static async findMember(organizationId, userId) {
+    const result = await dynamoDb.send(
+      new GetCommand({
+        TableName: TABLE_NAME,
+        Key: {
+          PK: `ORG#${organizationId}`,
+          SK: `MEMBER#${userId}`,
+        },
+      })
+    );
+
+    return result.Item || null;
+  }
+
+  /**
+   * List an organization's members
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Array>} Memberships
+   */
+  static async findMembers(organizationId) {
+    return this.queryOrganization(organizationId, "MEMBER#");
+  }
+
+  /**
+   * List the organizations a user belongs to
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Memberships
+   */
+  static async findByMember(userId) {
+    return this.queryUser(userId, "ORG#");
+  }
+
+  /**
+   * Remove a user from an organization
+   * @param {string} organizationId - Organization ID
+   * @param {string} userId - User ID
+   */
+  static async removeMember(organizationId, userId) {
+    await dynamoDb.send(
+      new DeleteCommand({
+        TableName: TABLE_NAME,
+        Key: {
+          PK: `ORG#${organizationId}`,
+          SK: `MEMBER#${userId}`,
+        },
+      })
+    );
+  }
+
+  /**
+   * Invite an email address to an organization. Inviting the same address
+   * again replaces the invite, so only the latest link works.
+   * @param {string} organizationId - Organization ID
+   * @param {Object} params - { email, role, invitedBy, tokenId }
+   * @returns {Promise<Object>} Invite
+   */
+  static async createInvite(
+    organizationId,
+    { email, role = ORG_ROLES.MEMBER, invitedBy, tokenId }
+  ) {
+    const item = {
+      PK: `ORG#${organizationId}`,
+      SK: `INVITE#${email}`,
+      entityType: "OrganizationInvite",
+      organizationId,
+      email,
+      role,
+      invitedBy,
+      tokenId,
+      invitedAt: new Date().toISOString(),
+    };
+
+    await dynamoDb.send(
+      new PutCommand({
+        TableName: TABLE_NAME,
+        Item: item,
+      })
+    );
+
+    return item;
+  }
+
+  /**
+   * List an organization's pending invites
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Array>} Invites
+   */
+  static async findInvites(organizationId) {
+    return this.queryOrganization(organizationId, "INVITE#");
+  }
+
+  /**
+   * Use an invite. The invite is deleted only if it still carries the
+   * token's ID, so each link works once.
+   * @param {string} organizationId - Organization ID
+   * @param {string} email - Invited address
+   * @param {string} tokenId - ID of the invite token
+   * @returns {Promise<Object|null>} The used invite, or null if it was
+   * revoked, replaced or already used
+   */
+  static async consumeInvite(organizationId, email, tokenId) {
+    try {
+      const result = await dynamoDb.send(
+        new DeleteCommand({
+          TableName: TABLE_NAME,
+          Key: {
+            PK: `ORG#${organizationId}`,
+            SK: `INVITE#${email}`,
+          },
+          ConditionExpression: "tokenId = :tokenId",
+          ExpressionAttributeValues: {
+            ":tokenId": tokenId,
+          },
+          ReturnValues: "ALL_OLD",
+        })
+      );
+
+      return result.Attributes;
+    } catch (error) {
+      if (isConditionFailure(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel an invite
+   * @param {string} organizationId - Organization ID
+   * @param {string} email - Invited address
+   */
+  static async deleteInvite(organizationId, email) {
+    await dynamoDb.send(
+      new DeleteCommand({
+        TableName: TABLE_NAME,
+        Key: {
+          PK: `ORG#${organizationId}`,
+          SK: `INVITE#${email}`,
+        },
+      })
+    );
+  }
+
+  /**
+   * Record a purchased pool of seats
+   * @param {string} organizationId - Organization ID
+   * @param {Object} params - { scope, courseId, courseTitle, totalSeats, createdBy }
+   * @returns {Promise<Object>} Seat pool
+   */
+  static async createSeatPool(
+    organizationId,
+    { scope, courseId = null, courseTitle = null, totalSeats, createdBy }
+  ) {
+    const poolId = uuidv4();
+    const item = {
+      PK: `ORG#${organizationId}`,
+      SK: `SEATPOOL#${poolId}`,
+      entityType: "SeatPool",
+      organizationId,
+      poolId,
+      scope,
+      courseId,
+      courseTitle,
+      totalSeats,
+      usedSeats: 0,
+      createdBy,
+      createdAt: new Date().toISOString(),
+    };
+
+    await dynamoDb.send(
+      new PutCommand({
+        TableName: TABLE_NAME,
+        Item: item,
+      })
+    );
+
+    return item;
+  }
+
+  /**
+   * Find a seat pool
+   * @param {string} organizationId - Organization ID
+   * @param {string} poolId - Seat pool ID
+   * @returns {Promise<Object|null>} Seat pool or null
+   */
+  static async findSeatPool(organizationId, poolId) {
+    const result = await dynamoDb.send(
+      new GetCommand({
+        TableName: TABLE_NAME,
+        Key: {
+          PK: `ORG#${organizationId}`,
+          SK: `SEATPOOL#${poolId}`,
+        },
+      })
+    );
+
+    return result.Item || null;
+  }
+
+  /**
+   * List an organization's seat pools
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Array>} Seat pools
+   */
+  static async findSeatPools(organizationId) {
+    return this.queryOrganization(organizationId, "SEATPOOL#");
+  }
+
+  /**
+   * Change the size of a seat pool, e.g. after buying more seats
+   * @param {string} organizationId - Organization ID
+   * @param {string} poolId - Seat pool ID
+   * @param {number} totalSeats - New pool size
+   * @returns {Promise<Object|null>} Updated pool, or null if more seats are
+   * already assigned than the new size allows
+   */
+  static async resizeSeatPool(organizationId, poolId, totalSeats) {
+    try {
+      const result = await dynamoDb.send(
+        new UpdateCommand({
+          TableName: TABLE_NAME,
+          Key: {
+            PK: `ORG#${organizationId}`,
+            SK: `SEATPOOL#${poolId}`,
+          },
+          UpdateExpression: "SET totalSeats = :totalSeats",
+          ConditionExpression:
+            "attribute_exists(PK) AND usedSeats <= :totalSeats",
+          ExpressionAttributeValues: {
+            ":totalSeats": totalSeats,
+          },
+          ReturnValues: "ALL_NEW",
+        })
+      );
+
+      return result.Attributes;
+    } catch (error) {
+      if (isConditionFailure(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Take a seat from a pool's count
+   * @param {string} organizationId - Organization ID
+   * @param {string} poolId - Seat pool ID
+   * @returns {Promise<boolean>} False if the pool is full
+   */
+  static async reserveSeat(organizationId, poolId) {
+    try {
+      await dynamoDb.send(
+        new UpdateCommand({
+          TableName: TABLE_NAME,
+          Key: {
+            PK: `ORG#${organizationId}`,
+            SK: `SEATPOOL#${poolId}`,
+          },
+          UpdateExpression: "SET usedSeats = usedSeats + :one",
+          ConditionExpression: "usedSeats < totalSeats",
+          ExpressionAttributeValues: {
+            ":one": 1,
+          },
+        })
+      );
+
+      return true;
+    } catch (error) {
+      if (isConditionFailure(error)) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Return a seat to a pool's count
+   * @param {string} organizationId - Organization ID
+   * @param {string} poolId - Seat pool ID
+   */
+  static async releaseSeat(organizationId, poolId) {
+    await dynamoDb.send(
+      new UpdateCommand({
+        TableName: TABLE_NAME,
+        Key: {
+          PK: `ORG#${organizationId}`,
+          SK: `SEATPOOL#${poolId}`,
+        },
+        UpdateExpression: "SET usedSeats = usedSeats - :one",
+        ConditionExpression: "usedSeats > :zero",
+        ExpressionAttributeValues: {
+          ":one": 1,
+          ":zero": 0,
+        },
+      })
+    );
+  }
+
+  /**
+   * Give a member a seat from a pool. Reserve it with reserveSeat first.
+   * @param {Object} pool - Seat pool record
+   * @param {Object} params - { userId, assignedBy }
+   * @returns {Promise<Object|null>} Seat, or null if the member already
+   * holds a seat from this pool
+   */
+  static async createSeat(pool, { userId, assignedBy }) {
+    const item = {
+      PK: `ORG#${pool.organizationId}`,
+      SK: `SEAT#${pool.poolId}#${userId}`,
+      GSI1PK: userOrgsKey(userId),
+      GSI1SK: `SEAT#${pool.organizationId}#${pool.poolId}`,
+      entityType: "Seat",
+      organizationId: pool.organizationId,
+      poolId: pool.poolId,
+      scope: pool.scope,
+      courseId: pool.courseId,
+      userId,
+      assignedBy,
+      assignedAt: new Date().toISOString(),
+    };
+
+    try {
+      await dynamoDb.send(
+        new PutCommand({
+          TableName: TABLE_NAME,
+          Item: item,
+          ConditionExpression: "attribute_not_exists(PK)",
+        })
+      );
+
+      return item;
+    } catch (error) {
+      if (isConditionFailure(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List the seats assigned in an organization, optionally from one pool
+   * @param {string} organizationId - Organization ID
+   * @param {string} poolId - Optional seat pool ID
+   * @returns {Promise<Array>} Seats
+   */
+  static async findSeats(organizationId, poolId) {
+    return this.queryOrganization(
+      organizationId,
+      poolId ? `SEAT#${poolId}#` : "SEAT#"
+    );
+  }
+
+  /**
+   * List the seats a user holds in any organization
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Seats
+   */
+  static async findSeatsByUser(userId) {
+    return this.queryUser(userId, "SEAT#");
+  }
+
+  /**
+   * Take a seat back from a member. Release it with releaseSeat after.
+   * @param {string} organizationId - Organization ID
+   * @param {string} poolId - Seat pool ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} The removed seat, or null if the member
+   * held none
+   */
+  static async deleteSeat(organizationId, poolId, userId) {
+    const result = await dynamoDb.send(
+      new DeleteCommand({
+        TableName: TABLE_NAME,
+        Key: {
+          PK: `ORG#${organizationId}`,
+          SK: `SEAT#${poolId}#${userId}`,
+        },
+        ReturnValues: "ALL_OLD",
+      })
+    );
+
+    return result.Attributes || null;
+  }
+
+  static async queryOrganization(organizationId, prefix) {
+    const result = await dynamoDb.send(
+      new QueryCommand({
+        TableName: TABLE_NAME,
+        KeyConditionExpression: "PK = :pk AND begins_with(SK, :prefix)",
+        ExpressionAttributeValues: {
+          ":pk": `ORG#${organizationId}`,
+          ":prefix": prefix,
+        },
+      })
+    );
+
+    return result.Items || [];
+  }
+
+  static async queryUser(userId, prefix) {
+    const result = await dynamoDb.send(
+      new QueryCommand({
+        TableName: TABLE_NAME,
+        IndexName: "GSI1",
+        KeyConditionExpression: "GSI1PK = :pk AND begins_with(GSI1SK, :prefix)",
+        ExpressionAttributeValues: {
+          ":pk": userOrgsKey(userId),
+          ":prefix": prefix,
+        },
+      })
+    );
+
+    return result.Items || [];
+  }
+}
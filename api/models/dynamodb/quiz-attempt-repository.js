@@ -0,0 +1,146 @@
+import dynamoDb, { TABLE_NAME } from "../../config/dynamodb.js";
+import { PutCommand, QueryCommand, DeleteCommand } from "@aws-sdk/lib-dynamodb";
+
+// Zero-padded so attempts sort in order within an enrollment
+const attemptKey = (courseId, lectureId, attemptNumber) =>
+  `QUIZ_ATTEMPT#${courseId}#${lectureId}#${String(attemptNumber).padStart(
+    4,
+    "0"
+  )}`;
+
+/**
+ * Graded quiz submissions. Attempts sit in the learner's partition next to
+ * their enrollment, so deleting the account removes them.
+ */
+export class QuizAttemptRepository {
+  /**
+   * Record a graded attempt
+   * @param {Object} params - Attempt parameters
+   * @param {string} params.userId - Learner's user ID
+   * @param {string} params.courseId - Course ID
+   * @param {string} params.lectureId - Quiz lecture ID
+   * @param {number} params.attemptNumber - 1 for the first attempt
+   * @param {Object} params.answers - Submitted answers by question ID
+   * @param {Object} params.grade - Result of gradeQuiz
+   * @returns {Promise<Object|null>} Created attempt, or null if an attempt
+   * with this number was recorded first
+   */
+  static async create({
+    userId,
+    courseId,
+    lectureId,
+    attemptNumber,
+    answers,
+    grade,
+  }) {
+    const item = {
+      PK: `USER#${userId}`,
+      SK: attemptKey(courseId, lectureId, attemptNumber),
+      entityType: "QuizAttempt",
+      userId,
+      courseId,
+      lectureId,
+      attemptNumber,
+      answers,
+      score: grade.score,
+      earnedPoints: grade.earnedPoints,
+      totalPoints: grade.totalPoints,
+      passed: grade.passed,
+      results: grade.results,
+      submittedAt: new Date().toISOString(),
+    };
+
+    try {
+      await dynamoDb.send(
+        new PutCommand({
+          TableName: TABLE_NAME,
+          Item: item,
+          ConditionExpression: "attribute_not_exists(PK)",
+        })
+      );
+
+      return item;
+    } catch (error) {
+      if (error.name === "ConditionalCheckFailedException") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Find a learner's attempts at one quiz, oldest first
+   * @param {string} userId - Learner's user ID
+   * @param {string} courseId - Course ID
+   * @param {string} lectureId - Quiz lecture ID
+   * @returns {Promise<Array>} Attempts
+   */
+  static async findByQuiz(userId, courseId, lectureId) {
+    return this.queryAttempts(userId, `QUIZ_ATTEMPT#${courseId}#${lectureId}#`);
+  }
+
+  /**
+   * Find all of a learner's attempts
+   * @param {string} userId - Learner's user ID
+   * @returns {Promise<Array>} Attempts, grouped by course and quiz
+   */
+  static async findByUser(userId) {
+    return this.queryAttempts(userId, "QUIZ_ATTEMPT#");
+  }
+
+  /**
+   * Delete every attempt at a quiz that is being removed. Attempts sit in
+   * each learner's partition, so the caller names the learners.
+   * @param {string} courseId - Course ID
+   * @param {string} lectureId - Quiz lecture ID
+   * @param {Array<string>} userIds - Learners enrolled in the course
+   * @returns {Promise<number>} Number of attempts deleted
+   */
+  static async deleteByLecture(courseId, lectureId, userIds) {
+    const attempts = (
+      await Promise.all(
+        userIds.map((userId) => this.findByQuiz(userId, courseId, lectureId))
+      )
+    ).flat();
+
+    await Promise.all(
+      attempts.map((attempt) =>
+        dynamoDb.send(
+          new DeleteCommand({
+            TableName: TABLE_NAME,
+            Key: {
+              PK: `USER#${attempt.userId}`,
+              SK: attemptKey(courseId, lectureId, attempt.attemptNumber),
+            },
+          })
+        )
+      )
+    );
+
+    return attempts.length;
+  }
+
+  static async queryAttempts(userId, prefix) {
+    const attempts = [];
+    let lastEvaluatedKey;
+
+    do {
+      const result = await dynamoDb.send(
+        new QueryCommand({
+          TableName: TABLE_NAME,
+          KeyConditionExpression: "PK = :pk AND begins_with(SK, :sk)",
+          ExpressionAttributeValues: {
+            ":pk": `USER#${userId}`,
+            ":sk": prefix,
+          },
+          ExclusiveStartKey: lastEvaluatedKey,
+        })
+      );
+
+      attempts.push(...(result.Items || []));
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    return attempts;
+  }
+}
@@ -1,3 +1,4 @@
+import { v4 as uuidv4 } from "uuid";
 import dynamoDb, { TABLE_NAME } from "../../config/dynamodb.js";
 import {
   PutCommand,
@@ -74,6 +75,55 @@ export class RatingRepository {
     return result.Item || null;
   }
 
+  /**
+   * Get every rating a user has written
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Rating items
+   */
+  static async findByUser(userId) {
+    const result = await dynamoDb.send(
+      new QueryCommand({
+        TableName: TABLE_NAME,
+        KeyConditionExpression: "PK = :pk AND begins_with(SK, :sk)",
+        ExpressionAttributeValues: {
+          ":pk": `USER#${userId}`,
+          ":sk": "RATING#",
+        },
+      })
+    );
+
+    return result.Items || [];
+  }
+
+  /**
+   * Detach a rating from its author. The rating moves to an anonymous
+   * partition but stays on the course index, so course aggregates and the
+   * review list are unchanged.
+   * @param {Object} rating - Rating item to anonymise
+   * @returns {Promise<Object>} Anonymised rating item
+   */
+  static async anonymize(rating) {
+    const anonymousId = `anonymous-${uuidv4()}`;
+    const item = {
+      ...rating,
+      PK: `ANONYMOUS#${anonymousId}`,
+      GSI6SK: `RATING#${rating.createdAt}#${anonymousId}`,
+      userId: anonymousId,
+      userName: "Former learner",
+      anonymized: true,
+    };
+
+    await dynamoDb.send(
+      new PutCommand({
+        TableName: TABLE_NAME,
+        Item: item,
+      })
+    );
+    await this.delete(rating.userId, rating.courseId);
+
+    return item;
+  }
+
   /**
    * Get all ratings for a course (paginated)
    * @param {string} courseId - Course ID
@@ -0,0 +1,158 @@
+import dynamoDb, { TABLE_NAME } from "../../config/dynamodb.js";
+import {
+  DeleteCommand,
+  GetCommand,
+  PutCommand,
+  QueryCommand,
+  UpdateCommand,
+} from "@aws-sdk/lib-dynamodb";
+
+/**
+ * Custom roles composed from permissions (see utils/permissions.js). Built-in
+ * roles are not stored.
+ */
+export class RoleRepository {
+  /**
+   * List all custom roles
+   * @returns {Promise<Array>} Role items sorted by name
+   */
+  static async findAll() {
+    const result = await dynamoDb.send(
+      new QueryCommand({
+        TableName: TABLE_NAME,
+        KeyConditionExpression: "PK = :pk AND begins_with(SK, :sk)",
+        ExpressionAttributeValues: {
+          ":pk": "SYSTEM",
+          ":sk": "ROLE#",
+        },
+      })
+    );
+
+    return result?.Items || [];
+  }
+
+  /**
+   * Find a custom role
+   * @param {string} name - Role name
+   * @returns {Promise<Object|null>} Role item or null
+   */
+  static async findByName(name) {
+    const result = await dynamoDb.send(
+      new GetCommand({
+        TableName: TABLE_NAME,
+        Key: {
+          PK: "SYSTEM",
+          SK: `ROLE#${name}`,
+        },
+      })
+    );
+
+    return result.Item || null;
+  }
+
+  /**
+   * Create a custom role
+   * @param {Object} params - { name, description, permissions, createdBy }
+   * @returns {Promise<Object|null>} Created role, or null if the name is taken
+   */
+  static async create({ name, description = "", permissions, createdBy }) {
+    const timestamp = new Date().toISOString();
+    const item = {
+      PK: "SYSTEM",
+      SK: `ROLE#${name}`,
+      entityType: "Role",
+      name,
+      description,
+      permissions,
+      createdAt: timestamp,
+      createdBy,
+      updatedAt: timestamp,
+      updatedBy: createdBy,
+    };
+
+    try {
+      await dynamoDb.send(
+        new PutCommand({
+          TableName: TABLE_NAME,
+          Item: item,
+          ConditionExpression: "attribute_not_exists(PK)",
+        })
+      );
+
+      return item;
+    } catch (error) {
+      if (error.name === "ConditionalCheckFailedException") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the description and permissions of a custom role
+   * @param {string} name - Role name
+   * @param {Object} updates - { description, permissions }
+   * @param {string} updatedBy - ID of the admin making the change
+   * @returns {Promise<Object|null>} Updated role, or null if it does not exist
+   */
+  static async update(name, { description = "", permissions }, updatedBy) {
+    try {
+      const result = await dynamoDb.send(
+        new UpdateCommand({
+          TableName: TABLE_NAME,
+          Key: {
+            PK: "SYSTEM",
+            SK: `ROLE#${name}`,
+          },
+          UpdateExpression:
+            "SET description = :description, #permissions = :permissions, updatedAt = :now, updatedBy = :updatedBy",
+          ConditionExpression: "attribute_exists(PK)",
+          ExpressionAttributeNames: {
+            "#permissions": "permissions",
+          },
+          ExpressionAttributeValues: {
+            ":description": description,
+            ":permissions": permissions,
+            ":now": new Date().toISOString(),
+            ":updatedBy": updatedBy,
+          },
+          ReturnValues: "ALL_NEW",
+        })
+      );
+
+      return result.Attributes;
+    } catch (error) {
+      if (error.name === "ConditionalCheckFailedException") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a custom role
+   * @param {string} name - Role name
+   * @returns {Promise<boolean>} False if the role does not exist
+   */
+  static async delete(name) {
+    try {
+      await dynamoDb.send(
+        new DeleteCommand({
+          TableName: TABLE_NAME,
+          Key: {
+            PK: "SYSTEM",
+            SK: `ROLE#${name}`,
+          },
+          ConditionExpression: "attribute_exists(PK)",
+        })
+      );
+
+      return true;
+    } catch (error) {
+      if (error.name === "ConditionalCheckFailedException") {
+        return false;
+      }
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,147 @@
+import dynamoDb, { TABLE_NAME } from "../../config/dynamodb.js";
+import {
+  PutCommand,
+  GetCommand,
+  QueryCommand,
+  UpdateCommand,
+  DeleteCommand,
+} from "@aws-sdk/lib-dynamodb";
+import { v4 as uuidv4 } from "uuid";
+
+/**
+ * Sections group a course's lectures into modules. They live in the course
+ * partition next to its lectures, so deleting a course removes them too.
+ */
+export class SectionRepository {
+  /**
+   * Create a section
+   * @param {Object} params - Section parameters
+   * @param {string} params.courseId - Course ID
+   * @param {string} params.title - Section title
+   * @param {number} params.position - Place among the course's sections
+   * @returns {Promise<Object>} Created section
+   */
+  static async create({ courseId, title, position }) {
+    const sectionId = uuidv4();
+    const item = {
+      PK: `COURSE#${courseId}`,
+      SK: `SECTION#${sectionId}`,
+      entityType: "Section",
+      sectionId,
+      courseId,
+      title,
+      position,
+      createdAt: new Date().toISOString(),
+    };
+
+    await dynamoDb.send(
+      new PutCommand({
+        TableName: TABLE_NAME,
+        Item: item,
+      })
+    );
+
+    return item;
+  }
+
+  /**
+   * Find a course's sections, unordered (see utils/curriculum.js)
+   * @param {string} courseId - Course ID
+   * @returns {Promise<Array>} Sections
+   */
+  static async findByCourse(courseId) {
+    const result = await dynamoDb.send(
+      new QueryCommand({
+        TableName: TABLE_NAME,
+        KeyConditionExpression: "PK = :pk AND begins_with(SK, :sk)",
+        ExpressionAttributeValues: {
+          ":pk": `COURSE#${courseId}`,
+          ":sk": "SECTION#",
+        },
+      })
+    );
+
+    return result.Items || [];
+  }
+
+  /**
+   * Find a section
+   * @param {string} courseId - Course ID
+   * @param {string} sectionId - Section ID
+   * @returns {Promise<Object|null>} Section or null
+   */
+  static async findById(courseId, sectionId) {
+    const result = await dynamoDb.send(
+      new GetCommand({
+        TableName: TABLE_NAME,
+        Key: {
+          PK: `COURSE#${courseId}`,
+          SK: `SECTION#${sectionId}`,
+        },
+      })
+    );
+
+    return result.Item || null;
+  }
+
+  /**
+   * Update a section's title or position
+   * @param {string} courseId - Course ID
+   * @param {string} sectionId - Section ID
+   * @param {Object} updates - Fields to set
+   * @returns {Promise<Object|null>} Updated section, or null if it does not exist
+   */
+  static async update(courseId, sectionId, updates) {
+    const updateExpressions = [];
+    const expressionAttributeNames = {};
+    const expressionAttributeValues = {};
+
+    Object.keys(updates).forEach((key, index) => {
+      updateExpressions.push(`#field${index} = :value${index}`);
+      expressionAttributeNames[`#field${index}`] = key;
+      expressionAttributeValues[`:value${index}`] = updates[key];
+    });
+
+    try {
+      const result = await dynamoDb.send(
+        new UpdateCommand({
+          TableName: TABLE_NAME,
+          Key: {
+            PK: `COURSE#${courseId}`,
+            SK: `SECTION#${sectionId}`,
+          },
+          UpdateExpression: `SET ${updateExpressions.join(", ")}`,
+          ConditionExpression: "attribute_exists(PK)",
+          ExpressionAttributeNames: expressionAttributeNames,
+          ExpressionAttributeValues: expressionAttributeValues,
+          ReturnValues: "ALL_NEW",
+        })
+      );
+
+      return result.Attributes;
+    } catch (error) {
+      if (error.name === "ConditionalCheckFailedException") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a section. Its lectures must be moved out first.
+   * @param {string} courseId - Course ID
+   * @param {string} sectionId - Section ID
+   * @returns {Promise<void>}
+   */
+  static async delete(courseId, sectionId) {
+    await dynamoDb.send(
+      new DeleteCommand({
+        TableName: TABLE_NAME,
+        Key: {
+          PK: `COURSE#${courseId}`,
+          SK: `SECTION#${sectionId}`,
+        },
+      })
+    );
+  }
+}
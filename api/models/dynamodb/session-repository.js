@@ -0,0 +1,300 @@
+import dynamoDb, { TABLE_NAME } from "../../config/dynamodb.js";
+import {
+  PutCommand,
+  GetCommand,
+  QueryCommand,
+  UpdateCommand,
+} from "@aws-sdk/lib-dynamodb";
+import { v4 as uuidv4 } from "uuid";
+
+export class SessionRepository {
+  /**
+   * Create a login session
+   * @param {Object} params - Session parameters
+   * @param {string} params.userId - User ID
+   * @param {string} params.sessionId - Session ID (generated when omitted)
+   * @param {string} params.refreshTokenHash - Hash of the current refresh token secret
+   * @param {boolean} params.mfa - Whether the sign-in passed MFA
+   * @param {string} params.expiresAt - When the session ends
+   * @param {string} params.ipAddress - IP address of the sign-in
+   * @param {string} params.userAgent - User agent of the sign-in
+   * @param {string} params.device - Readable device description
+   * @returns {Promise<Object>} Created session item
+   */
+  static async create({
+    userId,
+    sessionId = uuidv4(),
+    refreshTokenHash,
+    mfa = false,
+    expiresAt,
+    ipAddress = null,
+    userAgent = null,
+    device = null,
+  }) {
+    const timestamp = new Date().toISOString();
+
+    const item = {
+      PK: `USER#${userId}`,
+      SK: `SESSION#${sessionId}`,
+      entityType: "Session",
+      sessionId,
+      userId,
+      refreshTokenHash,
+      mfa,
+      ipAddress,
+      userAgent,
+      device,
+      createdAt: timestamp,
+      lastUsedAt: timestamp,
+      lastActiveAt: timestamp,
+      expiresAt,
+      // Epoch seconds for DynamoDB TTL, so dead sessions are purged once
+      // their refresh token can no longer be used
+      ttl: Math.floor(new Date(expiresAt).getTime() / 1000),
+    };
+
+    await dynamoDb.send(
+      new PutCommand({
+        TableName: TABLE_NAME,
+        Item: item,
+      })
+    );
+
+    return item;
+  }
+
+  /**
+   * Find a session
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} Session item or null
+   */
+  static async findById(userId, sessionId) {
+    const result = await dynamoDb.send(
+      new GetCommand({
+        TableName: TABLE_NAME,
+        Key: {
+          PK: `USER#${userId}`,
+          SK: `SESSION#${sessionId}`,
+        },
+      })
+    );
+
+    return result.Item || null;
+  }
+
+  /**
+   * List all sessions of a user, including revoked ones
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Session items
+   */
+  static async findByUser(userId) {
+    const items = [];
+    let lastEvaluatedKey;
+
+    do {
+      const result = await dynamoDb.send(
+        new QueryCommand({
+          TableName: TABLE_NAME,
+          KeyConditionExpression: "PK = :pk AND begins_with(SK, :sk)",
+          ExpressionAttributeValues: {
+            ":pk": `USER#${userId}`,
+            ":sk": "SESSION#",
+          },
+          ExclusiveStartKey: lastEvaluatedKey,
+        })
+      );
+
+      items.push(...(result?.Items || []));
+      lastEvaluatedKey = result?.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    return items;
+  }
+
+  /**
+   * Replace the refresh token of an active session. Only succeeds if the
+   * presented token is still the current one, so a token can be used once.
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session ID
+   * @param {Object} params - { currentHash, nextHash }
+   * @returns {Promise<Object|null>} Updated session, or null if the token was already rotated or revoked
+   */
+  static async rotateRefreshToken(
+    userId,
+    sessionId,
+    { currentHash, nextHash }
+  ) {
+    try {
+      const result = await dynamoDb.send(
+        new UpdateCommand({
+          TableName: TABLE_NAME,
+          Key: {
+            PK: `USER#${userId}`,
+            SK: `SESSION#${sessionId}`,
+          },
+          UpdateExpression:
+            "SET refreshTokenHash = :next, previousRefreshTokenHash = :current, lastUsedAt = :now",
+          ConditionExpression:
+            "refreshTokenHash = :current AND attribute_not_exists(revokedAt)",
+          ExpressionAttributeValues: {
+            ":next": nextHash,
+            ":current": currentHash,
+            ":now": new Date().toISOString(),
+          },
+          ReturnValues: "ALL_NEW",
+        })
+      );
+
+      return result.Attributes;
+    } catch (error) {
+      if (error.name === "ConditionalCheckFailedException") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Record activity on a session, for the idle timeout
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session ID
+   * @param {string} ipAddress - IP address of the request
+   */
+  static async touch(userId, sessionId, ipAddress) {
+    await dynamoDb.send(
+      new UpdateCommand({
+        TableName: TABLE_NAME,
+        Key: {
+          PK: `USER#${userId}`,
+          SK: `SESSION#${sessionId}`,
+        },
+        UpdateExpression: ipAddress
+          ? "SET lastActiveAt = :now, ipAddress = :ip"
+          : "SET lastActiveAt = :now",
+        ConditionExpression:
+          "attribute_exists(PK) AND attribute_not_exists(revokedAt)",
+        ExpressionAttributeValues: {
+          ":now": new Date().toISOString(),
+          ...(ipAddress && { ":ip": ipAddress }),
+        },
+      })
+    );
+  }
+
+  /**
+   * Record that a session has passed MFA
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session ID
+   */
+  static async markMfaVerified(userId, sessionId) {
+    await dynamoDb.send(
+      new UpdateCommand({
+        TableName: TABLE_NAME,
+        Key: {
+          PK: `USER#${userId}`,
+          SK: `SESSION#${sessionId}`,
+        },
+        UpdateExpression: "SET mfa = :true",
+        ConditionExpression: "attribute_exists(PK)",
+        ExpressionAttributeValues: {
+          ":true": true,
+        },
+      })
+    );
+  }
+
+  /**
+   * Set the impersonation an admin session is running; only its token is
+   * accepted. Pass null to end it.
+   * @param {string} userId - Admin user ID
+   * @param {string} sessionId - Session ID
+   * @param {string|null} impersonationId - ID in the impersonation token
+   * @returns {Promise<boolean>} False if the session is missing or revoked
+   */
+  static async setImpersonation(userId, sessionId, impersonationId) {
+    try {
+      await dynamoDb.send(
+        new UpdateCommand({
+          TableName: TABLE_NAME,
+          Key: {
+            PK: `USER#${userId}`,
+            SK: `SESSION#${sessionId}`,
+          },
+          UpdateExpression: impersonationId
+            ? "SET impersonationId = :impersonationId"
+            : "REMOVE impersonationId",
+          ConditionExpression:
+            "attribute_exists(PK) AND attribute_not_exists(revokedAt)",
+          ...(impersonationId && {
+            ExpressionAttributeValues: {
+              ":impersonationId": impersonationId,
+            },
+          }),
+        })
+      );
+
+      return true;
+    } catch (error) {
+      if (error.name === "ConditionalCheckFailedException") {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a session. Revoked sessions are kept so reuse of their refresh
+   * tokens can still be recognised.
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session ID
+   * @param {string} reason - Why the session ended, e.g. LOGOUT
+   * @returns {Promise<boolean>} True if the session was active before
+   */
+  static async revoke(userId, sessionId, reason) {
+    try {
+      await dynamoDb.send(
+        new UpdateCommand({
+          TableName: TABLE_NAME,
+          Key: {
+            PK: `USER#${userId}`,
+            SK: `SESSION#${sessionId}`,
+          },
+          UpdateExpression: "SET revokedAt = :now, revokedReason = :reason",
+          ConditionExpression:
+            "attribute_exists(PK) AND attribute_not_exists(revokedAt)",
+          ExpressionAttributeValues: {
+            ":now": new Date().toISOString(),
+            ":reason": reason,
+          },
+        })
+      );
+
+      return true;
+    } catch (error) {
+      if (error.name === "ConditionalCheckFailedException") {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every active session of a user
+   * @param {string} userId - User ID
+   * @param {string} reason - Why the sessions ended, e.g. ACCOUNT_SUSPENDED
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  static async revokeAllForUser(userId, reason) {
+    const sessions = await SessionRepository.findByUser(userId);
+    const active = sessions.filter((session) => !session.revokedAt);
+
+    const results = await Promise.all(
+      active.map((session) =>
+        SessionRepository.revoke(userId, session.sessionId, reason)
+      )
+    );
+
+    return results.filter(Boolean).length;
+  }
+}
@@ -4,13 +4,21 @@ import {
   GetCommand,
   QueryCommand,
   UpdateCommand,
+  DeleteCommand,
 } from "@aws-sdk/lib-dynamodb";
 import { v4 as uuidv4 } from "uuid";
 import { validateUserRole } from "../../utils/validation.js";
 import { USER_ROLES } from "../../utils/constants.js";
 
 export class UserRepository {
-  static async create({ name, email, password, role, createdAt }) {
+  static async create({
+    name,
+    email,
+    password,
+    role,
+    createdAt,
+    emailVerified = false,
+  }) {
     // Validate role
     const roleValidation = validateUserRole(role);
     if (!roleValidation.isValid) {
@@ -30,6 +38,9 @@ export class UserRepository {
       password,
       role,
       createdAt: createdAt || new Date().toISOString(),
+      passwordChangedAt: createdAt || new Date().toISOString(),
+      passwordHistory: [],
+      emailVerified,
       // Add additional fields for admin tracking
       accountStatus: "active",
       lastLoginAt: null,
@@ -113,6 +124,36 @@ export class UserRepository {
     return result.Attributes;
   }
 
+  /**
+   * Replace a user's password hash and record the change
+   * @param {string} userId - User ID
+   * @param {string} hashedPassword - New bcrypt hash
+   * @param {Array} passwordHistory - Previous hashes, newest first
+   * @returns {Promise<Object>} Updated user object
+   */
+  static async updatePassword(userId, hashedPassword, passwordHistory) {
+    const result = await dynamoDb.send(
+      new UpdateCommand({
+        TableName: TABLE_NAME,
+        Key: {
+          PK: `USER#${userId}`,
+          SK: "PROFILE",
+        },
+        UpdateExpression:
+          "SET password = :password, passwordHistory = :history, passwordChangedAt = :now",
+        ConditionExpression: "attribute_exists(PK)",
+        ExpressionAttributeValues: {
+          ":password": hashedPassword,
+          ":history": passwordHistory,
+          ":now": new Date().toISOString(),
+        },
+        ReturnValues: "ALL_NEW",
+      })
+    );
+
+    return result.Attributes;
+  }
+
   /**
    * Update user login tracking information
    * @param {string} userId - User ID
@@ -131,7 +172,7 @@ export class UserRepository {
             SK: "PROFILE",
           },
           UpdateExpression:
-            "SET lastLoginAt = :now, loginCount = if_not_exists(loginCount, :zero) + :one, failedLoginAttempts = :zero",
+            "SET lastLoginAt = :now, loginCount = if_not_exists(loginCount, :zero) + :one, failedLoginAttempts = :zero REMOVE failedLoginWindowStart, lockedUntil",
           ExpressionAttributeValues: {
             ":now": now,
             ":one": 1,
@@ -161,4 +202,442 @@ export class UserRepository {
       return result.Attributes;
     }
   }
+
+  /**
+   * Count a failed login. The count is incremented in place, so parallel
+   * attempts cannot overwrite each other; a window that started before the
+   * cutoff is replaced by one starting now.
+   * @param {string} userId - User ID
+   * @param {string} windowCutoff - Result of getFailedLoginWindowCutoff
+   * @returns {Promise<Object>} Updated user object
+   */
+  static async recordFailedLogin(userId, windowCutoff) {
+    const key = { PK: `USER#${userId}`, SK: "PROFILE" };
+    const now = new Date().toISOString();
+
+    // Two requests may race to open a new window; the loser counts again
+    for (let tries = 0; tries < 3; tries += 1) {
+      try {
+        const result = await dynamoDb.send(
+          new UpdateCommand({
+            TableName: TABLE_NAME,
+            Key: key,
+            UpdateExpression:
+              "ADD failedLoginAttempts :one SET lastFailedLoginAt = :now",
+            ConditionExpression: "failedLoginWindowStart > :cutoff",
+            ExpressionAttributeValues: {
+              ":one": 1,
+              ":now": now,
+              ":cutoff": windowCutoff,
+            },
+            ReturnValues: "ALL_NEW",
+          })
+        );
+        return result.Attributes;
+      } catch (error) {
+        if (error.name !== "ConditionalCheckFailedException") {
+          throw error;
+        }
+      }
+
+      try {
+        const result = await dynamoDb.send(
+          new UpdateCommand({
+            TableName: TABLE_NAME,
+            Key: key,
+            UpdateExpression:
+              "SET failedLoginAttempts = :one, failedLoginWindowStart = :now, lastFailedLoginAt = :now",
+            ConditionExpression:
+              "attribute_exists(PK) AND (attribute_not_exists(failedLoginWindowStart) OR failedLoginWindowStart <= :cutoff)",
+            ExpressionAttributeValues: {
+              ":one": 1,
+              ":now": now,
+              ":cutoff": windowCutoff,
+            },
+            ReturnValues: "ALL_NEW",
+          })
+        );
+        return result.Attributes;
+      } catch (error) {
+        if (error.name !== "ConditionalCheckFailedException") {
+          throw error;
+        }
+      }
+    }
+
+    throw new Error("Failed login could not be recorded");
+  }
+
+  /**
+   * Lock an account after too many failed logins
+   * @param {string} userId - User ID
+   * @param {string} lockedUntil - ISO time the lock ends
+   * @returns {Promise<Object>} Updated user object
+   */
+  static async lockAccount(userId, lockedUntil) {
+    const result = await dynamoDb.send(
+      new UpdateCommand({
+        TableName: TABLE_NAME,
+        Key: {
+          PK: `USER#${userId}`,
+          SK: "PROFILE",
+        },
+        UpdateExpression: "SET lockedUntil = :lockedUntil",
+        ExpressionAttributeValues: {
+          ":lockedUntil": lockedUntil,
+        },
+        ReturnValues: "ALL_NEW",
+      })
+    );
+
+    return result.Attributes;
+  }
+
+  /**
+   * Turn on MFA with a verified secret and fresh recovery codes
+   * @param {string} userId - User ID
+   * @param {Object} mfa - { secret, recoveryCodes, lastUsedStep }
+   * @param {string} mfa.secret - Encrypted TOTP secret
+   * @param {Array} mfa.recoveryCodes - Recovery code hashes
+   * @param {number} mfa.lastUsedStep - Step of the code used to verify
+   * @returns {Promise<Object>} Updated user object
+   */
+  static async enableMfa(userId, { secret, recoveryCodes, lastUsedStep }) {
+    const result = await dynamoDb.send(
+      new UpdateCommand({
+        TableName: TABLE_NAME,
+        Key: {
+          PK: `USER#${userId}`,
+          SK: "PROFILE",
+        },
+        UpdateExpression:
+          "SET mfaEnabled = :true, mfaSecret = :secret, mfaRecoveryCodes = :codes, mfaLastUsedStep = :step, mfaEnabledAt = :now REMOVE mfaPendingSecret",
+        ConditionExpression: "attribute_exists(PK)",
+        ExpressionAttributeValues: {
+          ":true": true,
+          ":secret": secret,
+          ":codes": recoveryCodes,
+          ":step": lastUsedStep,
+          ":now": new Date().toISOString(),
+        },
+        ReturnValues: "ALL_NEW",
+      })
+    );
+
+    return result.Attributes;
+  }
+
+  /**
+   * Turn off MFA and forget the secret and recovery codes
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Updated user object
+   */
+  static async disableMfa(userId) {
+    const result = await dynamoDb.send(
+      new UpdateCommand({
+        TableName: TABLE_NAME,
+        Key: {
+          PK: `USER#${userId}`,
+          SK: "PROFILE",
+        },
+        UpdateExpression:
+          "SET mfaEnabled = :false, updatedAt = :now REMOVE mfaSecret, mfaPendingSecret, mfaRecoveryCodes, mfaLastUsedStep, mfaEnabledAt",
+        ConditionExpression: "attribute_exists(PK)",
+        ExpressionAttributeValues: {
+          ":false": false,
+          ":now": new Date().toISOString(),
+        },
+        ReturnValues: "ALL_NEW",
+      })
+    );
+
+    return result.Attributes;
+  }
+
+  /**
+   * Lift a brute-force lockout and reset the failed attempt counter
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Updated user object
+   */
+  static async unlockAccount(userId) {
+    const result = await dynamoDb.send(
+      new UpdateCommand({
+        TableName: TABLE_NAME,
+        Key: {
+          PK: `USER#${userId}`,
+          SK: "PROFILE",
+        },
+        UpdateExpression:
+          "SET failedLoginAttempts = :zero, updatedAt = :now REMOVE failedLoginWindowStart, lockedUntil",
+        ConditionExpression: "attribute_exists(PK)",
+        ExpressionAttributeValues: {
+          ":zero": 0,
+          ":now": new Date().toISOString(),
+        },
+        ReturnValues: "ALL_NEW",
+      })
+    );
+
+    return result.Attributes;
+  }
+
+  /**
+   * Store the ID of the latest password reset token; earlier links stop
+   * working
+   * @param {string} userId - User ID
+   * @param {string} tokenId - Token ID (jti)
+   */
+  static async setPasswordResetToken(userId, tokenId) {
+    await dynamoDb.send(
+      new UpdateCommand({
+        TableName: TABLE_NAME,
+        Key: {
+          PK: `USER#${userId}`,
+          SK: "PROFILE",
+        },
+        UpdateExpression:
+          "SET passwordResetTokenId = :tokenId, passwordResetRequestedAt = :now",
+        ConditionExpression: "attribute_exists(PK)",
+        ExpressionAttributeValues: {
+          ":tokenId": tokenId,
+          ":now": new Date().toISOString(),
+        },
+      })
+    );
+  }
+
+  /**
+   * Set a new password with a password reset token. The token is consumed in
+   * the same write, so it can only be used once. As the user has proven
+   * access to their email, it is marked verified and any brute-force lockout
+   * is lifted.
+   * @param {string} userId - User ID
+   * @param {string} tokenId - Token ID (jti) of the reset link
+   * @param {string} hashedPassword - New bcrypt hash
+   * @param {Array} passwordHistory - Previous hashes, newest first
+   * @returns {Promise<Object|null>} Updated user, or null if the token was already used or replaced
+   */
+  static async resetPassword(userId, tokenId, hashedPassword, passwordHistory) {
+    try {
+      const result = await dynamoDb.send(
+        new UpdateCommand({
+          TableName: TABLE_NAME,
+          Key: {
+            PK: `USER#${userId}`,
+            SK: "PROFILE",
+          },
+          UpdateExpression:
+            "SET password = :password, passwordHistory = :history, passwordChangedAt = :now, failedLoginAttempts = :zero, emailVerified = :true REMOVE passwordResetTokenId, passwordResetRequestedAt, failedLoginWindowStart, lockedUntil",
+          ConditionExpression: "passwordResetTokenId = :tokenId",
+          ExpressionAttributeValues: {
+            ":password": hashedPassword,
+            ":history": passwordHistory,
+            ":now": new Date().toISOString(),
+            ":zero": 0,
+            ":true": true,
+            ":tokenId": tokenId,
+          },
+          ReturnValues: "ALL_NEW",
+        })
+      );
+
+      return result.Attributes;
+    } catch (error) {
+      if (error.name === "ConditionalCheckFailedException") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Store the ID of the latest email verification token; earlier links stop
+   * working
+   * @param {string} userId - User ID
+   * @param {string} tokenId - Token ID (jti)
+   */
+  static async setEmailVerificationToken(userId, tokenId) {
+    await dynamoDb.send(
+      new UpdateCommand({
+        TableName: TABLE_NAME,
+        Key: {
+          PK: `USER#${userId}`,
+          SK: "PROFILE",
+        },
+        UpdateExpression:
+          "SET emailVerificationTokenId = :tokenId, emailVerificationSentAt = :now",
+        ConditionExpression: "attribute_exists(PK)",
+        ExpressionAttributeValues: {
+          ":tokenId": tokenId,
+          ":now": new Date().toISOString(),
+        },
+      })
+    );
+  }
+
+  /**
+   * Mark a user's email as verified, consuming the verification token
+   * @param {string} userId - User ID
+   * @param {string} tokenId - Token ID (jti) of the verification link
+   * @returns {Promise<Object|null>} Updated user, or null if the token was already used or replaced
+   */
+  static async verifyEmail(userId, tokenId) {
+    try {
+      const result = await dynamoDb.send(
+        new UpdateCommand({
+          TableName: TABLE_NAME,
+          Key: {
+            PK: `USER#${userId}`,
+            SK: "PROFILE",
+          },
+          UpdateExpression:
+            "SET emailVerified = :true, emailVerifiedAt = :now REMOVE emailVerificationTokenId, emailVerificationSentAt",
+          ConditionExpression: "emailVerificationTokenId = :tokenId",
+          ExpressionAttributeValues: {
+            ":true": true,
+            ":now": new Date().toISOString(),
+            ":tokenId": tokenId,
+          },
+          ReturnValues: "ALL_NEW",
+        })
+      );
+
+      return result.Attributes;
+    } catch (error) {
+      if (error.name === "ConditionalCheckFailedException") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Schedule the account for deletion. Pending deletions are listed on GSI1
+   * by the date they fall due.
+   * @param {string} userId - User ID
+   * @param {string} scheduledFor - ISO date the account will be deleted
+   * @returns {Promise<Object>} Updated user object
+   */
+  static async scheduleDeletion(userId, scheduledFor) {
+    const result = await dynamoDb.send(
+      new UpdateCommand({
+        TableName: TABLE_NAME,
+        Key: {
+          PK: `USER#${userId}`,
+          SK: "PROFILE",
+        },
+        UpdateExpression:
+          "SET deletionRequestedAt = :now, deletionScheduledFor = :scheduledFor, GSI1PK = :pending, GSI1SK = :scheduledFor",
+        ConditionExpression: "attribute_exists(PK)",
+        ExpressionAttributeValues: {
+          ":now": new Date().toISOString(),
+          ":scheduledFor": scheduledFor,
+          ":pending": "ACCOUNT_DELETIONS",
+        },
+        ReturnValues: "ALL_NEW",
+      })
+    );
+
+    return result.Attributes;
+  }
+
+  /**
+   * Cancel a scheduled deletion
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Updated user, or null if no deletion was scheduled
+   */
+  static async cancelDeletion(userId) {
+    try {
+      const result = await dynamoDb.send(
+        new UpdateCommand({
+          TableName: TABLE_NAME,
+          Key: {
+            PK: `USER#${userId}`,
+            SK: "PROFILE",
+          },
+          UpdateExpression:
+            "REMOVE deletionRequestedAt, deletionScheduledFor, GSI1PK, GSI1SK",
+          ConditionExpression: "attribute_exists(deletionScheduledFor)",
+          ReturnValues: "ALL_NEW",
+        })
+      );
+
+      return result.Attributes;
+    } catch (error) {
+      if (error.name === "ConditionalCheckFailedException") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Find accounts scheduled for deletion, soonest first
+   * @param {Object} options - { dueBy } to only return deletions due by then
+   * @returns {Promise<Array>} Users with deletionScheduledFor
+   */
+  static async findPendingDeletions({ dueBy } = {}) {
+    const users = [];
+    let lastEvaluatedKey;
+
+    do {
+      const result = await dynamoDb.send(
+        new QueryCommand({
+          TableName: TABLE_NAME,
+          IndexName: "GSI1",
+          KeyConditionExpression: dueBy
+            ? "GSI1PK = :pending AND GSI1SK <= :dueBy"
+            : "GSI1PK = :pending",
+          ExpressionAttributeValues: {
+            ":pending": "ACCOUNT_DELETIONS",
+            ...(dueBy && { ":dueBy": dueBy }),
+          },
+          ExclusiveStartKey: lastEvaluatedKey,
+        })
+      );
+
+      users.push(...(result.Items || []));
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    return users;
+  }
+
+  /**
+   * Delete the profile and every other item stored under the user, such as
+   * enrollments, sessions and their instructor application
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Number of items deleted
+   */
+  static async deleteAccount(userId) {
+    let deleted = 0;
+    let lastEvaluatedKey;
+
+    do {
+      const result = await dynamoDb.send(
+        new QueryCommand({
+          TableName: TABLE_NAME,
+          KeyConditionExpression: "PK = :pk",
+          ExpressionAttributeValues: {
+            ":pk": `USER#${userId}`,
+          },
+          ProjectionExpression: "PK, SK",
+          ExclusiveStartKey: lastEvaluatedKey,
+        })
+      );
+
+      for (const key of result.Items || []) {
+        await dynamoDb.send(
+          new DeleteCommand({
+            TableName: TABLE_NAME,
+            Key: key,
+          })
+        );
+        deleted += 1;
+      }
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    return deleted;
+  }
 }
@@ -8,26 +8,53 @@ import cookieParser from "cookie-parser";
 import authRouter from "./routers/authRouter.js";
 import courseRouter from "./routers/courseRouter.js";
 import adminRouter from "./routers/adminRouter.js";
-import { S3Client } from "@aws-sdk/client-s3";
+import s3, { BUCKET_NAME } from "../config/s3.js";
+import trustProxy from "../config/trustProxy.js";
+import { MAX_UPLOAD_BYTES, uploadFileFilter } from "../utils/storage.js";
 import multer from "multer";
 import multerS3 from "multer-s3";
 import enrollRouter from "./routers/enrollRouter.js";
 import certificateRouter from "./routers/certificate.js";
 import ratingRouter from "./routers/ratingRouter.js";
+import instructorApplicationRouter from "./routers/instructorApplicationRouter.js";
+import organizationRouter from "./routers/organizationRouter.js";
+import noteRouter from "./routers/noteRouter.js";
 import {
   getAllCategories,
   getCategoryById,
 } from "../controllers/dynamodb/categoryController.js";
+import {
+  getFeatureFlags,
+  getPlatformStatus,
+} from "../controllers/dynamodb/systemSettingsController.js";
+import { optionalAuthenticateToken } from "../middlewares/authenticateToken.js";
+import requireFeatureFlag from "../middlewares/requireFeatureFlag.js";
+import maintenanceMode from "../middlewares/maintenanceMode.js";
+import rateLimiter from "../middlewares/rateLimiter.js";
+import ipAllowlist from "../middlewares/ipAllowlist.js";
+import requireMFA from "../middlewares/requireMFA.js";
+import { auditImpersonation } from "../middlewares/impersonation.js";
 import { initializeWebSocket } from "./websocket/socketHandler.js";
 
 const app = express();
 const httpServer = createServer(app);
 
+// Client addresses come from X-Forwarded-For only when TRUST_PROXY says
+// which proxies to believe
+app.set("trust proxy", trustProxy);
+
 const corsOptions = {
   origin: process.env.NEXT_PUBLIC_API_URL || "http://localhost:3000",
   credentials: true,
-  methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+  methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
   allowedHeaders: ["Content-Type", "Authorization"],
+  exposedHeaders: [
+    "RateLimit-Policy",
+    "RateLimit-Limit",
+    "RateLimit-Remaining",
+    "RateLimit-Reset",
+    "Retry-After",
+  ],
 };
 
 app.use(cors(corsOptions));
@@ -41,25 +68,24 @@ const io = new Server(httpServer, {
 // Initialize WebSocket handlers
 initializeWebSocket(io);
 
-// Initialize S3 Client with AWS SDK v3
-// Extract bucket region from S3 base URL or use default
-const bucketRegion = process.env.AWS_S3_BASE_URL?.includes("eu-north-1")
-  ? "eu-north-1"
-  : process.env.AWS_REGION;
-
-const s3 = new S3Client({
-  region: bucketRegion,
-  credentials: {
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-  },
-});
+// Let controllers reach the socket server through req.app.get("io")
+app.set("io", io);
 
+// Caption files are sent as text and outgrow the default 100kb body
+app.use(
+  "/api/courses/:id/lectures/:lectureId/captions",
+  bodyParser.json({ limit: "1mb" })
+);
 app.use(bodyParser.json());
 app.use(cookieParser());
 
+// Per-group request budgets from securityPolicies.accessControl
+app.use(rateLimiter);
+
+// Block non-admin traffic while maintenance mode or a maintenance window is active
+app.use(maintenanceMode);
+
 // Set up Multer for file uploads with S3
-const BUCKET_NAME = process.env.AWS_BUCKET_NAME;
 const upload = multer({
   storage: multerS3({
     s3: s3,
@@ -76,19 +102,10 @@ const upload = multer({
     },
   }),
   limits: {
-    fileSize: 100 * 1024 * 1024, // 100MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    // Accept images and videos
-    if (
-      file.mimetype.startsWith("image/") ||
-      file.mimetype.startsWith("video/")
-    ) {
-      cb(null, true);
-    } else {
-      cb(new Error("Only image and video files are allowed!"), false);
-    }
+    fileSize: MAX_UPLOAD_BYTES,
   },
+  // Images, videos and assignment documents
+  fileFilter: uploadFileFilter,
 });
 
 const apiRouter = express.Router();
@@ -127,16 +144,30 @@ app.get("/", (req, res) => {
   res.send("Welcome to UpSkillPro API Infrastructure");
 });
 
+// Everything an admin does while viewing the platform as a user is audited
+apiRouter.use(auditImpersonation);
 apiRouter.use("/", authRouter);
+// Public platform status (maintenance banner/page)
+apiRouter.get("/status", getPlatformStatus);
+// Feature flags evaluated for the current user
+apiRouter.get("/flags", optionalAuthenticateToken, getFeatureFlags);
 // Category routes - placed before course routes for proper ordering
 apiRouter.get("/categories", getAllCategories);
 apiRouter.get("/categories/:id", getCategoryById);
 apiRouter.use("/courses", courseRouter);
 apiRouter.use("/enroll", enrollRouter);
-apiRouter.use("/certificate", certificateRouter);
+apiRouter.use("/instructor-application", instructorApplicationRouter);
+apiRouter.use("/organizations", organizationRouter);
+apiRouter.use("/notes", noteRouter);
+apiRouter.use(
+  "/certificate",
+  requireFeatureFlag("enableCertificates"),
+  certificateRouter
+);
 apiRouter.use("/", ratingRouter);
-// Admin routes - protected by super admin authorization
-apiRouter.use("/admin", adminRouter);
+// Admin routes - protected by the IP allowlist, the MFA policy and super admin
+// authorization
+apiRouter.use("/admin", ipAllowlist, requireMFA, adminRouter);
 app.use("/api", apiRouter);
 
 //middleware for handling errors
@@ -153,6 +184,11 @@ app.use((err, req, res, next) => {
     return res.status(400).json({ error: err.message });
   }
 
+  // Rejected by the upload file filter
+  if (err.code === "UNSUPPORTED_FILE_TYPE" || err.code === "FILE_TOO_LARGE") {
+    return res.status(400).json({ error: err.message, code: err.code });
+  }
+
   // Handle custom errors
   if (err.status === 404) {
     return res.status(404).json({ message: err.message });
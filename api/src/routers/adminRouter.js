@@ -1,6 +1,7 @@
 import express from "express";
 import authenticateToken from "../../middlewares/authenticateToken.js";
-import { authorizeSuperAdmin } from "../../middlewares/authorizeRole.js";
+import requirePermission from "../../middlewares/requirePermission.js";
+import { PERMISSIONS } from "../../utils/permissions.js";
 import auditLogger from "../../middlewares/auditLogger.js";
 import {
   // Admin verification endpoint
@@ -16,6 +17,10 @@ import {
   getUserProfile,
   updateUserRole,
   updateUserAccountStatus,
+  unlockUserAccount,
+  resetUserMfa,
+  getUserSessions,
+  revokeUserSessions,
   getUserActivity,
 
   // Course management endpoints
@@ -88,106 +93,345 @@ import {
   updateIntegrationSettings,
   getSecurityPolicies,
   updateSecurityPolicies,
+  previewIpAllowlist,
 } from "../../controllers/dynamodb/systemSettingsController.js";
 
+import { startImpersonation } from "../../controllers/dynamodb/impersonationController.js";
+
+import {
+  // Instructor application endpoints
+  getInstructorApplications,
+  approveInstructorApplication,
+  rejectInstructorApplication,
+} from "../../controllers/dynamodb/instructorApplicationController.js";
+import {
+  // User import and export endpoints
+  importUsers,
+  exportUsers,
+} from "../../controllers/dynamodb/userImportController.js";
+import {
+  // Account deletion endpoints
+  getPendingDeletions,
+  processDueDeletions,
+} from "../../controllers/dynamodb/accountDataController.js";
+import {
+  // Organization and seat pool endpoints
+  getOrganizations,
+  createOrganization,
+  getOrganizationDetails,
+  createSeatPool,
+  resizeSeatPool,
+} from "../../controllers/dynamodb/organizationController.js";
+import {
+  validateRequest,
+  applicationApprovalSchema,
+  applicationRejectionSchema,
+  organizationSchema,
+  seatPoolSchema,
+  seatPoolResizeSchema,
+  userImportSchema,
+} from "../validate/validator.js";
+
+import {
+  // Role and permission endpoints
+  getPermissionCatalog,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+} from "../../controllers/dynamodb/roleController.js";
+
 const router = express.Router();
 
-// Admin verification endpoint (only requires authentication, not super admin role)
+// Admin verification endpoint (only requires authentication, not a permission)
 router.get("/verify", authenticateToken, verifyAdminAccess);
 
-// Apply authentication and authorization middleware to all other admin routes
+// All other admin routes need an admin permission; each route names the one
+// it needs
 router.use(authenticateToken);
-router.use(authorizeSuperAdmin);
+router.use(requirePermission());
 
 // Dashboard routes
 router.get(
   "/dashboard/overview",
+  requirePermission(PERMISSIONS.DASHBOARD_READ),
   auditLogger("DASHBOARD_VIEW"),
   getDashboardOverview
 );
 router.get(
   "/dashboard/metrics",
+  requirePermission(PERMISSIONS.DASHBOARD_READ),
   auditLogger("METRICS_VIEW"),
   getRealTimeMetrics
 );
 router.get(
   "/dashboard/activity",
+  requirePermission(PERMISSIONS.DASHBOARD_READ),
   auditLogger("ACTIVITY_VIEW"),
   getRecentActivityFeed
 );
 
 // User management routes
-router.get("/users", auditLogger("USERS_LIST"), getAllUsers);
-router.get("/users/:userId", auditLogger("USER_VIEW"), getUserProfile);
+router.get(
+  "/users",
+  requirePermission(PERMISSIONS.USERS_READ),
+  auditLogger("USERS_LIST"),
+  getAllUsers
+);
+router.post(
+  "/users/import",
+  requirePermission(PERMISSIONS.USERS_IMPORT),
+  auditLogger("USERS_IMPORT"),
+  validateRequest(userImportSchema),
+  importUsers
+);
+router.get(
+  "/users/export",
+  requirePermission(PERMISSIONS.USERS_READ),
+  auditLogger("USERS_EXPORT"),
+  exportUsers
+);
+router.get(
+  "/account-deletions",
+  requirePermission(PERMISSIONS.USERS_READ),
+  auditLogger("ACCOUNT_DELETIONS_LIST"),
+  getPendingDeletions
+);
+router.post(
+  "/account-deletions/process",
+  requirePermission(PERMISSIONS.USERS_DELETE),
+  auditLogger("ACCOUNT_DELETIONS_PROCESS"),
+  processDueDeletions
+);
+router.get(
+  "/users/:userId",
+  requirePermission(PERMISSIONS.USERS_READ),
+  auditLogger("USER_VIEW"),
+  getUserProfile
+);
 router.put(
   "/users/:userId/role",
+  requirePermission(PERMISSIONS.USERS_ROLES),
   auditLogger("USER_ROLE_UPDATE"),
   updateUserRole
 );
 router.put(
   "/users/:userId/status",
+  requirePermission(PERMISSIONS.USERS_SUSPEND),
   auditLogger("USER_STATUS_UPDATE"),
   updateUserAccountStatus
 );
+router.put(
+  "/users/:userId/unlock",
+  requirePermission(PERMISSIONS.USERS_SECURITY),
+  auditLogger("USER_UNLOCK"),
+  unlockUserAccount
+);
+router.put(
+  "/users/:userId/mfa/reset",
+  requirePermission(PERMISSIONS.USERS_SECURITY),
+  auditLogger("USER_MFA_RESET"),
+  resetUserMfa
+);
+router.get(
+  "/users/:userId/sessions",
+  requirePermission(PERMISSIONS.USERS_READ),
+  auditLogger("USER_SESSIONS_VIEW"),
+  getUserSessions
+);
+router.delete(
+  "/users/:userId/sessions",
+  requirePermission(PERMISSIONS.USERS_SECURITY),
+  auditLogger("USER_SESSIONS_REVOKE"),
+  revokeUserSessions
+);
+router.delete(
+  "/users/:userId/sessions/:sessionId",
+  requirePermission(PERMISSIONS.USERS_SECURITY),
+  auditLogger("USER_SESSION_REVOKE"),
+  revokeUserSessions
+);
+router.post(
+  "/users/:userId/impersonate",
+  requirePermission(PERMISSIONS.USERS_IMPERSONATE),
+  auditLogger("IMPERSONATION_START"),
+  startImpersonation
+);
 router.get(
   "/users/:userId/activity",
+  requirePermission(PERMISSIONS.USERS_READ),
   auditLogger("USER_ACTIVITY_VIEW"),
   getUserActivity
 );
 
+// Role and permission routes
+router.get(
+  "/permissions",
+  requirePermission(PERMISSIONS.ROLES_READ),
+  auditLogger("PERMISSIONS_LIST"),
+  getPermissionCatalog
+);
+router.get(
+  "/roles",
+  requirePermission(PERMISSIONS.ROLES_READ),
+  auditLogger("ROLES_LIST"),
+  getRoles
+);
+router.post(
+  "/roles",
+  requirePermission(PERMISSIONS.ROLES_WRITE),
+  auditLogger("ROLE_CREATE"),
+  createRole
+);
+router.put(
+  "/roles/:roleName",
+  requirePermission(PERMISSIONS.ROLES_WRITE),
+  auditLogger("ROLE_UPDATE"),
+  updateRole
+);
+router.delete(
+  "/roles/:roleName",
+  requirePermission(PERMISSIONS.ROLES_WRITE),
+  auditLogger("ROLE_DELETE"),
+  deleteRole
+);
+
 // Course management routes
-router.get("/courses", auditLogger("COURSES_LIST"), getAllCourses);
-router.get("/courses/:courseId", auditLogger("COURSE_VIEW"), getCourseDetails);
+router.get(
+  "/courses",
+  requirePermission(PERMISSIONS.COURSES_READ),
+  auditLogger("COURSES_LIST"),
+  getAllCourses
+);
+router.get(
+  "/courses/:courseId",
+  requirePermission(PERMISSIONS.COURSES_READ),
+  auditLogger("COURSE_VIEW"),
+  getCourseDetails
+);
 router.put(
   "/courses/:courseId/approve",
+  requirePermission(PERMISSIONS.COURSES_APPROVE),
   auditLogger("COURSE_APPROVAL"),
   approveCourse
 );
 router.put(
   "/courses/:courseId/reject",
+  requirePermission(PERMISSIONS.COURSES_APPROVE),
   auditLogger("COURSE_REJECTION"),
   rejectCourse
 );
 router.put(
   "/courses/:courseId/moderate",
+  requirePermission(PERMISSIONS.COURSES_MODERATE),
   auditLogger("CONTENT_MODERATION"),
   moderateCourseContent
 );
 router.get(
   "/instructors/:instructorId/performance",
+  requirePermission(PERMISSIONS.COURSES_READ),
   auditLogger("INSTRUCTOR_PERFORMANCE_VIEW"),
   getInstructorPerformance
 );
 router.get(
   "/courses/analytics",
+  requirePermission(PERMISSIONS.COURSES_READ),
   auditLogger("COURSE_ANALYTICS_VIEW"),
   getCourseAnalytics
 );
 
+// Instructor application routes
+router.get(
+  "/instructor-applications",
+  requirePermission(PERMISSIONS.INSTRUCTORS_REVIEW),
+  auditLogger("INSTRUCTOR_APPLICATIONS_LIST"),
+  getInstructorApplications
+);
+router.post(
+  "/instructor-applications/:userId/approve",
+  requirePermission(PERMISSIONS.INSTRUCTORS_REVIEW),
+  auditLogger("INSTRUCTOR_APPLICATION_APPROVE"),
+  validateRequest(applicationApprovalSchema),
+  approveInstructorApplication
+);
+router.post(
+  "/instructor-applications/:userId/reject",
+  requirePermission(PERMISSIONS.INSTRUCTORS_REVIEW),
+  auditLogger("INSTRUCTOR_APPLICATION_REJECT"),
+  validateRequest(applicationRejectionSchema),
+  rejectInstructorApplication
+);
+
+// Organization routes; organizations run their own teams under
+// /api/organizations
+router.get(
+  "/organizations",
+  requirePermission(PERMISSIONS.ORGANIZATIONS_MANAGE),
+  auditLogger("ORGANIZATIONS_LIST"),
+  getOrganizations
+);
+router.post(
+  "/organizations",
+  requirePermission(PERMISSIONS.ORGANIZATIONS_MANAGE),
+  auditLogger("ORGANIZATION_CREATE"),
+  validateRequest(organizationSchema),
+  createOrganization
+);
+router.get(
+  "/organizations/:orgId",
+  requirePermission(PERMISSIONS.ORGANIZATIONS_MANAGE),
+  auditLogger("ORGANIZATION_VIEW"),
+  getOrganizationDetails
+);
+router.post(
+  "/organizations/:orgId/seat-pools",
+  requirePermission(PERMISSIONS.ORGANIZATIONS_MANAGE),
+  auditLogger("SEAT_POOL_CREATE"),
+  validateRequest(seatPoolSchema),
+  createSeatPool
+);
+router.patch(
+  "/organizations/:orgId/seat-pools/:poolId",
+  requirePermission(PERMISSIONS.ORGANIZATIONS_MANAGE),
+  auditLogger("SEAT_POOL_RESIZE"),
+  validateRequest(seatPoolResizeSchema),
+  resizeSeatPool
+);
+
 // Analytics and reporting routes
-router.get("/analytics", auditLogger("ANALYTICS_VIEW"), getPlatformAnalytics);
+router.get(
+  "/analytics",
+  requirePermission(PERMISSIONS.ANALYTICS_READ),
+  auditLogger("ANALYTICS_VIEW"),
+  getPlatformAnalytics
+);
 router.get(
   "/analytics/platform",
+  requirePermission(PERMISSIONS.ANALYTICS_READ),
   auditLogger("PLATFORM_ANALYTICS_VIEW"),
   getPlatformAnalytics
 );
 router.get(
   "/analytics/revenue",
+  requirePermission(PERMISSIONS.ANALYTICS_READ),
   auditLogger("REVENUE_ANALYTICS_VIEW"),
   getRevenueAnalytics
 );
 router.get(
   "/analytics/users",
+  requirePermission(PERMISSIONS.ANALYTICS_READ),
   auditLogger("USER_ANALYTICS_VIEW"),
   getUserGrowthStats
 );
 router.get(
   "/analytics/export",
+  requirePermission(PERMISSIONS.REPORTS_WRITE),
   auditLogger("DATA_EXPORT"),
   exportAnalyticsData
 );
 router.get(
   "/audit/reports",
+  requirePermission(PERMISSIONS.AUDIT_READ),
   auditLogger("AUDIT_REPORTS_VIEW"),
   getAuditReports
 );
@@ -195,39 +439,51 @@ router.get(
 // Advanced reporting routes
 router.post(
   "/reports/email",
+  requirePermission(PERMISSIONS.REPORTS_WRITE),
   auditLogger("REPORT_EMAIL_SEND"),
   sendReportEmail
 );
 router.post(
   "/reports/schedule",
+  requirePermission(PERMISSIONS.REPORTS_WRITE),
   auditLogger("SCHEDULED_REPORT_CREATE"),
   createScheduledReport
 );
 router.patch(
   "/reports/schedule/:reportId",
+  requirePermission(PERMISSIONS.REPORTS_WRITE),
   auditLogger("SCHEDULED_REPORT_UPDATE"),
   updateScheduledReport
 );
 
 // System settings routes
-router.get("/settings", auditLogger("SYSTEM_SETTINGS_VIEW"), getSystemSettings);
+router.get(
+  "/settings",
+  requirePermission(PERMISSIONS.SETTINGS_READ),
+  auditLogger("SYSTEM_SETTINGS_VIEW"),
+  getSystemSettings
+);
 router.put(
   "/settings/platform",
+  requirePermission(PERMISSIONS.SETTINGS_WRITE),
   auditLogger("PLATFORM_SETTINGS_UPDATE"),
   updatePlatformSettings
 );
 router.put(
   "/settings/features",
+  requirePermission(PERMISSIONS.SETTINGS_WRITE),
   auditLogger("FEATURE_FLAGS_UPDATE"),
   updateFeatureFlags
 );
 router.put(
   "/settings/payment",
+  requirePermission(PERMISSIONS.SETTINGS_WRITE),
   auditLogger("PAYMENT_SETTINGS_UPDATE"),
   updatePaymentSettings
 );
 router.put(
   "/settings/integrations",
+  requirePermission(PERMISSIONS.SETTINGS_WRITE),
   auditLogger("INTEGRATION_SETTINGS_UPDATE"),
   updateIntegrationSettings
 );
@@ -235,38 +491,51 @@ router.put(
 // Security policies routes
 router.get(
   "/security/policies",
+  requirePermission(PERMISSIONS.SETTINGS_READ),
   auditLogger("SECURITY_POLICIES_VIEW"),
   getSecurityPolicies
 );
 router.put(
   "/security/policies",
+  requirePermission(PERMISSIONS.SETTINGS_WRITE),
   auditLogger("SECURITY_POLICIES_UPDATE"),
   updateSecurityPolicies
 );
+router.post(
+  "/security/policies/ip-preview",
+  requirePermission(PERMISSIONS.SETTINGS_WRITE),
+  auditLogger("IP_ALLOWLIST_PREVIEW"),
+  previewIpAllowlist
+);
 
 // Security monitoring routes
 router.get(
   "/security/dashboard",
+  requirePermission(PERMISSIONS.SECURITY_READ),
   auditLogger("SECURITY_DASHBOARD_VIEW"),
   getSecurityDashboard
 );
 router.get(
   "/security/events",
+  requirePermission(PERMISSIONS.SECURITY_READ),
   auditLogger("SECURITY_EVENTS_VIEW"),
   getSecurityEvents
 );
 router.get(
   "/security/suspicious",
+  requirePermission(PERMISSIONS.SECURITY_READ),
   auditLogger("SUSPICIOUS_ACTIVITY_VIEW"),
   getSuspiciousActivity
 );
 router.get(
   "/users/:userId/activity-logs",
+  requirePermission(PERMISSIONS.SECURITY_READ),
   auditLogger("USER_ACTIVITY_LOGS_VIEW"),
   getUserActivityLogs
 );
 router.post(
   "/security/events",
+  requirePermission(PERMISSIONS.SECURITY_WRITE),
   auditLogger("SECURITY_EVENT_LOG"),
   logSecurityEvent
 );
@@ -274,36 +543,43 @@ router.post(
 // Support ticket routes
 router.get(
   "/support/tickets",
+  requirePermission(PERMISSIONS.TICKETS_READ),
   auditLogger("SUPPORT_TICKETS_LIST"),
   getAllSupportTickets
 );
 router.get(
   "/support/tickets/statistics",
+  requirePermission(PERMISSIONS.TICKETS_READ),
   auditLogger("TICKET_STATISTICS_VIEW"),
   getTicketStatistics
 );
 router.get(
   "/support/tickets/:ticketId",
+  requirePermission(PERMISSIONS.TICKETS_READ),
   auditLogger("SUPPORT_TICKET_VIEW"),
   getSupportTicketById
 );
 router.post(
   "/support/tickets",
+  requirePermission(PERMISSIONS.TICKETS_WRITE),
   auditLogger("SUPPORT_TICKET_CREATE"),
   createSupportTicket
 );
 router.put(
   "/support/tickets/:ticketId",
+  requirePermission(PERMISSIONS.TICKETS_WRITE),
   auditLogger("SUPPORT_TICKET_UPDATE"),
   updateSupportTicket
 );
 router.post(
   "/support/tickets/:ticketId/messages",
+  requirePermission(PERMISSIONS.TICKETS_WRITE),
   auditLogger("TICKET_MESSAGE_ADD"),
   addTicketMessage
 );
 router.put(
   "/support/tickets/:ticketId/resolve",
+  requirePermission(PERMISSIONS.TICKETS_WRITE),
   auditLogger("SUPPORT_TICKET_RESOLVE"),
   resolveSupportTicket
 );
@@ -311,26 +587,31 @@ router.put(
 // Communication and notification routes
 router.post(
   "/communications/announcements",
+  requirePermission(PERMISSIONS.COMMUNICATIONS_WRITE),
   auditLogger("ANNOUNCEMENT_CREATE"),
   createAnnouncement
 );
 router.get(
   "/communications/announcements",
+  requirePermission(PERMISSIONS.COMMUNICATIONS_READ),
   auditLogger("ANNOUNCEMENTS_LIST"),
   getAllAnnouncements
 );
 router.get(
   "/communications/announcements/:announcementId",
+  requirePermission(PERMISSIONS.COMMUNICATIONS_READ),
   auditLogger("ANNOUNCEMENT_VIEW"),
   getAnnouncementById
 );
 router.put(
   "/communications/announcements/:announcementId",
+  requirePermission(PERMISSIONS.COMMUNICATIONS_WRITE),
   auditLogger("ANNOUNCEMENT_UPDATE"),
   updateAnnouncement
 );
 router.delete(
   "/communications/announcements/:announcementId",
+  requirePermission(PERMISSIONS.COMMUNICATIONS_WRITE),
   auditLogger("ANNOUNCEMENT_DELETE"),
   deleteAnnouncement
 );
@@ -338,11 +619,13 @@ router.delete(
 // Notification template routes
 router.post(
   "/communications/templates",
+  requirePermission(PERMISSIONS.COMMUNICATIONS_WRITE),
   auditLogger("TEMPLATE_CREATE"),
   createNotificationTemplate
 );
 router.get(
   "/communications/templates",
+  requirePermission(PERMISSIONS.COMMUNICATIONS_READ),
   auditLogger("TEMPLATES_LIST"),
   getAllNotificationTemplates
 );
@@ -350,11 +633,13 @@ router.get(
 // Targeted notification routes
 router.post(
   "/communications/notifications",
+  requirePermission(PERMISSIONS.COMMUNICATIONS_WRITE),
   auditLogger("NOTIFICATION_SEND"),
   sendTargetedNotification
 );
 router.get(
   "/communications/notifications/:notificationId/stats",
+  requirePermission(PERMISSIONS.COMMUNICATIONS_READ),
   auditLogger("NOTIFICATION_STATS_VIEW"),
   getNotificationStats
 );
@@ -362,21 +647,25 @@ router.get(
 // System health and monitoring routes
 router.get(
   "/system/health",
+  requirePermission(PERMISSIONS.SYSTEM_READ),
   auditLogger("SYSTEM_HEALTH_VIEW"),
   getSystemHealth
 );
 router.get(
   "/system/database",
+  requirePermission(PERMISSIONS.SYSTEM_READ),
   auditLogger("DATABASE_HEALTH_VIEW"),
   getDatabaseHealth
 );
 router.get(
   "/system/api-metrics",
+  requirePermission(PERMISSIONS.SYSTEM_READ),
   auditLogger("API_METRICS_VIEW"),
   getApiMetrics
 );
 router.get(
   "/system/metrics/realtime",
+  requirePermission(PERMISSIONS.SYSTEM_READ),
   auditLogger("REALTIME_METRICS_VIEW"),
   getRealTimeSystemMetrics
 );
@@ -384,20 +673,33 @@ router.get(
 // Data cleanup and storage routes
 router.post(
   "/system/cleanup",
+  requirePermission(PERMISSIONS.SYSTEM_WRITE),
   auditLogger("DATA_CLEANUP_PERFORM"),
   performDataCleanup
 );
 router.get(
   "/system/storage",
+  requirePermission(PERMISSIONS.SYSTEM_READ),
   auditLogger("STORAGE_METRICS_VIEW"),
   getStorageMetrics
 );
 
 // Backup and restore routes
-router.post("/system/backups", auditLogger("BACKUP_CREATE"), createDataBackup);
-router.get("/system/backups", auditLogger("BACKUPS_LIST"), getAllBackups);
+router.post(
+  "/system/backups",
+  requirePermission(PERMISSIONS.SYSTEM_WRITE),
+  auditLogger("BACKUP_CREATE"),
+  createDataBackup
+);
+router.get(
+  "/system/backups",
+  requirePermission(PERMISSIONS.SYSTEM_READ),
+  auditLogger("BACKUPS_LIST"),
+  getAllBackups
+);
 router.post(
   "/system/backups/:backupId/restore",
+  requirePermission(PERMISSIONS.SYSTEM_WRITE),
   auditLogger("BACKUP_RESTORE"),
   restoreFromBackup
 );
@@ -405,16 +707,19 @@ router.post(
 // Maintenance window routes
 router.post(
   "/system/maintenance",
+  requirePermission(PERMISSIONS.SYSTEM_WRITE),
   auditLogger("MAINTENANCE_SCHEDULE"),
   scheduleMaintenanceWindow
 );
 router.get(
   "/system/maintenance",
+  requirePermission(PERMISSIONS.SYSTEM_READ),
   auditLogger("MAINTENANCE_LIST"),
   getAllMaintenanceWindows
 );
 router.put(
   "/system/maintenance/:maintenanceId",
+  requirePermission(PERMISSIONS.SYSTEM_WRITE),
   auditLogger("MAINTENANCE_UPDATE"),
   updateMaintenanceWindow
 );
@@ -7,15 +7,185 @@ import {
 } from "../../controllers/dynamodb/userController.js";
 import { validateRequest } from "../validate/validator.js";
 import { loginSchema } from "../validate/validator.js";
-import { loginHandler } from "../../controllers/dynamodb/authController.js";
-import { signUpSchema } from "../validate/validator.js";
-import authenticateToken from "../../middlewares/authenticateToken.js";
+import {
+  getPasswordPolicy,
+  loginHandler,
+  logoutAllHandler,
+  logoutHandler,
+  refreshAccessToken,
+  rotateExpiredPassword,
+  verifyMfaLogin,
+} from "../../controllers/dynamodb/authController.js";
+import {
+  requestPasswordReset,
+  resendVerificationEmail,
+  resetPassword,
+  verifyEmail,
+} from "../../controllers/dynamodb/accountController.js";
+import {
+  completeOidcLogin,
+  listOidcProviders,
+  startOidcLogin,
+} from "../../controllers/dynamodb/oidcController.js";
+import {
+  getSessions,
+  revokeSession,
+} from "../../controllers/dynamodb/sessionController.js";
+import {
+  disableMfa,
+  enableMfa,
+  getMfaStatus,
+  regenerateRecoveryCodes,
+  startMfaSetup,
+} from "../../controllers/dynamodb/mfaController.js";
+import {
+  cancelAccountDeletion,
+  exportAccountData,
+  getAccountDeletion,
+  requestAccountDeletion,
+} from "../../controllers/dynamodb/accountDataController.js";
+import {
+  signUpSchema,
+  rotatePasswordSchema,
+  mfaLoginSchema,
+  mfaCodeSchema,
+  mfaDisableSchema,
+  emailSchema,
+  resetPasswordSchema,
+  accountTokenSchema,
+  oidcCallbackSchema,
+  accountDeletionSchema,
+} from "../validate/validator.js";
+import authenticateToken, {
+  optionalAuthenticateToken,
+} from "../../middlewares/authenticateToken.js";
+import { blockImpersonation } from "../../middlewares/impersonation.js";
+import auditLogger from "../../middlewares/auditLogger.js";
+import { stopImpersonation } from "../../controllers/dynamodb/impersonationController.js";
 const authRouter = express.Router();
 
 authRouter.post("/login", validateRequest(loginSchema), loginHandler);
-// authRouter.post("logout", logoutHandler);
+authRouter.post("/login/mfa", validateRequest(mfaLoginSchema), verifyMfaLogin);
+authRouter.post("/token/refresh", refreshAccessToken);
+authRouter.post("/logout", optionalAuthenticateToken, logoutHandler);
+authRouter.post(
+  "/logout-all",
+  authenticateToken,
+  blockImpersonation,
+  logoutAllHandler
+);
 authRouter.post("/signup", validateRequest(signUpSchema), createNewUser);
+authRouter.get("/password-policy", getPasswordPolicy);
+authRouter.post(
+  "/password/rotate",
+  validateRequest(rotatePasswordSchema),
+  rotateExpiredPassword
+);
+authRouter.post(
+  "/password/forgot",
+  validateRequest(emailSchema),
+  requestPasswordReset
+);
+authRouter.post(
+  "/password/reset",
+  validateRequest(resetPasswordSchema),
+  resetPassword
+);
+authRouter.post(
+  "/email/verify",
+  validateRequest(accountTokenSchema),
+  verifyEmail
+);
+authRouter.post(
+  "/email/verify/resend",
+  validateRequest(emailSchema),
+  resendVerificationEmail
+);
+
+// Sign-in with external OpenID Connect providers (authorization code + PKCE)
+authRouter.get("/oauth/providers", listOidcProviders);
+authRouter.get("/oauth/:provider/authorize", startOidcLogin);
+authRouter.post(
+  "/oauth/callback",
+  validateRequest(oidcCallbackSchema),
+  completeOidcLogin
+);
+
 authRouter.get("/user", authenticateToken, findUserDetails);
-authRouter.put("/user/profile", authenticateToken, updateUserProfile);
+authRouter.put(
+  "/user/profile",
+  authenticateToken,
+  blockImpersonation,
+  updateUserProfile
+);
+
+// Signed-in devices of the current user
+authRouter.get("/sessions", authenticateToken, getSessions);
+authRouter.delete(
+  "/sessions/:sessionId",
+  authenticateToken,
+  blockImpersonation,
+  revokeSession
+);
+
+// Multi-factor authentication (TOTP) enrolment
+authRouter.get("/mfa", authenticateToken, getMfaStatus);
+authRouter.post(
+  "/mfa/setup",
+  authenticateToken,
+  blockImpersonation,
+  startMfaSetup
+);
+authRouter.post(
+  "/mfa/enable",
+  authenticateToken,
+  blockImpersonation,
+  validateRequest(mfaCodeSchema),
+  enableMfa
+);
+authRouter.post(
+  "/mfa/disable",
+  authenticateToken,
+  blockImpersonation,
+  validateRequest(mfaDisableSchema),
+  disableMfa
+);
+authRouter.post(
+  "/mfa/recovery-codes",
+  authenticateToken,
+  blockImpersonation,
+  validateRequest(mfaCodeSchema),
+  regenerateRecoveryCodes
+);
+
+// Self-service data export and account deletion
+authRouter.get(
+  "/account/export",
+  authenticateToken,
+  blockImpersonation,
+  exportAccountData
+);
+authRouter.get("/account/deletion", authenticateToken, getAccountDeletion);
+authRouter.post(
+  "/account/deletion",
+  authenticateToken,
+  blockImpersonation,
+  validateRequest(accountDeletionSchema),
+  requestAccountDeletion
+);
+authRouter.delete(
+  "/account/deletion",
+  authenticateToken,
+  blockImpersonation,
+  cancelAccountDeletion
+);
+
+// End "view as user" and return to the admin's own session
+authRouter.post(
+  "/impersonation/stop",
+  authenticateToken,
+  auditLogger("IMPERSONATION_STOP"),
+  stopImpersonation
+);
 
 export default authRouter;
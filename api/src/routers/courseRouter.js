@@ -7,13 +7,64 @@ import {
   getCourseById,
   updateCourse,
   deleteCourse,
+  submitCourseForReview,
+  publishCourse,
 } from "../../controllers/dynamodb/courseController.js";
 import {
   createLecture,
   getLecturesByCourseId,
+  updateLecture,
+  deleteLecture,
 } from "../../controllers/dynamodb/lectureController.js";
-import authenticateToken from "../../middlewares/authenticateToken.js";
+import {
+  getCurriculum,
+  createSection,
+  updateSection,
+  deleteSection,
+  reorderCurriculum,
+  moveLecture,
+} from "../../controllers/dynamodb/curriculumController.js";
+import {
+  createQuiz,
+  updateQuiz,
+  getQuiz,
+  submitQuizAttempt,
+} from "../../controllers/dynamodb/quizController.js";
+import {
+  createAssignment,
+  updateAssignment,
+  getAssignment,
+  submitAssignment,
+  getGradingQueue,
+  gradeSubmission,
+  getMyGrades,
+} from "../../controllers/dynamodb/assignmentController.js";
+import {
+  uploadCaptions,
+  deleteCaptions,
+  getCaptionFile,
+  searchCourseCaptions,
+} from "../../controllers/dynamodb/captionController.js";
+import {
+  validateRequest,
+  sectionSchema,
+  curriculumOrderSchema,
+  lecturePositionSchema,
+  lectureUpdateSchema,
+  quizSchema,
+  quizUpdateSchema,
+  quizAttemptSchema,
+  assignmentSchema,
+  assignmentUpdateSchema,
+  assignmentSubmissionSchema,
+  assignmentGradeSchema,
+  captionSchema,
+} from "../validate/validator.js";
+import authenticateToken, {
+  optionalAuthenticateToken,
+} from "../../middlewares/authenticateToken.js";
 import authorizeRole from "../../middlewares/authorizeRole.js";
+import { blockImpersonation } from "../../middlewares/impersonation.js";
 import { getNumberOfEnrolledStudents } from "../../controllers/dynamodb/enrollmentController.js";
 
 const courseRouter = express.Router();
@@ -22,11 +73,12 @@ courseRouter.post(
   "/",
   authenticateToken,
   authorizeRole("instructor"),
+  blockImpersonation,
   createCourse
 );
 courseRouter.get("/all", authenticateToken, getCoursesByInstructor);
 courseRouter.get("/", getAllCourses);
-courseRouter.get("/:id", getCourseById);
+courseRouter.get("/:id", optionalAuthenticateToken, getCourseById);
 courseRouter.get(
   "/:id/enrolled-count",
   authenticateToken,
@@ -37,18 +89,35 @@ courseRouter.put(
   "/:id",
   authenticateToken,
   authorizeRole("instructor"),
+  blockImpersonation,
   updateCourse
 );
+courseRouter.post(
+  "/:id/submit",
+  authenticateToken,
+  authorizeRole("instructor"),
+  blockImpersonation,
+  submitCourseForReview
+);
+courseRouter.post(
+  "/:id/publish",
+  authenticateToken,
+  authorizeRole("instructor"),
+  blockImpersonation,
+  publishCourse
+);
 courseRouter.delete(
   "/:id",
   authenticateToken,
   authorizeRole("instructor"),
+  blockImpersonation,
   deleteCourse
 );
 courseRouter.post(
   "/:id/lectures",
   authenticateToken,
   authorizeRole("instructor"),
+  blockImpersonation,
   createLecture
 );
 courseRouter.get(
@@ -57,5 +126,151 @@ courseRouter.get(
   authorizeRole("student"),
   getLecturesByCourseId
 );
+courseRouter.put(
+  "/:id/lectures/:lectureId",
+  authenticateToken,
+  authorizeRole("instructor"),
+  blockImpersonation,
+  validateRequest(lectureUpdateSchema),
+  updateLecture
+);
+courseRouter.delete(
+  "/:id/lectures/:lectureId",
+  authenticateToken,
+  authorizeRole("instructor"),
+  blockImpersonation,
+  deleteLecture
+);
+courseRouter.put(
+  "/:id/lectures/:lectureId/position",
+  authenticateToken,
+  authorizeRole("instructor"),
+  blockImpersonation,
+  validateRequest(lecturePositionSchema),
+  moveLecture
+);
+courseRouter.post(
+  "/:id/lectures/:lectureId/captions",
+  authenticateToken,
+  authorizeRole("instructor"),
+  blockImpersonation,
+  validateRequest(captionSchema),
+  uploadCaptions
+);
+courseRouter.delete(
+  "/:id/lectures/:lectureId/captions/:language",
+  authenticateToken,
+  authorizeRole("instructor"),
+  blockImpersonation,
+  deleteCaptions
+);
+// Public like the lecture videos, so the player's track element can load it
+courseRouter.get("/:id/lectures/:lectureId/captions/:language", getCaptionFile);
+courseRouter.get(
+  "/:id/captions/search",
+  authenticateToken,
+  searchCourseCaptions
+);
+courseRouter.get("/:id/curriculum", optionalAuthenticateToken, getCurriculum);
+courseRouter.put(
+  "/:id/curriculum",
+  authenticateToken,
+  authorizeRole("instructor"),
+  blockImpersonation,
+  validateRequest(curriculumOrderSchema),
+  reorderCurriculum
+);
+courseRouter.post(
+  "/:id/sections",
+  authenticateToken,
+  authorizeRole("instructor"),
+  blockImpersonation,
+  validateRequest(sectionSchema),
+  createSection
+);
+courseRouter.put(
+  "/:id/sections/:sectionId",
+  authenticateToken,
+  authorizeRole("instructor"),
+  blockImpersonation,
+  validateRequest(sectionSchema),
+  updateSection
+);
+courseRouter.delete(
+  "/:id/sections/:sectionId",
+  authenticateToken,
+  authorizeRole("instructor"),
+  blockImpersonation,
+  deleteSection
+);
+courseRouter.post(
+  "/:id/quizzes",
+  authenticateToken,
+  authorizeRole("instructor"),
+  blockImpersonation,
+  validateRequest(quizSchema),
+  createQuiz
+);
+courseRouter.put(
+  "/:id/quizzes/:lectureId",
+  authenticateToken,
+  authorizeRole("instructor"),
+  blockImpersonation,
+  validateRequest(quizUpdateSchema),
+  updateQuiz
+);
+// Enrollment, not role, decides who can take a quiz
+courseRouter.get("/:id/quizzes/:lectureId", authenticateToken, getQuiz);
+courseRouter.post(
+  "/:id/quizzes/:lectureId/attempts",
+  authenticateToken,
+  blockImpersonation,
+  validateRequest(quizAttemptSchema),
+  submitQuizAttempt
+);
+courseRouter.post(
+  "/:id/assignments",
+  authenticateToken,
+  authorizeRole("instructor"),
+  blockImpersonation,
+  validateRequest(assignmentSchema),
+  createAssignment
+);
+courseRouter.put(
+  "/:id/assignments/:lectureId",
+  authenticateToken,
+  authorizeRole("instructor"),
+  blockImpersonation,
+  validateRequest(assignmentUpdateSchema),
+  updateAssignment
+);
+// Enrolled learners also get their own submission
+courseRouter.get(
+  "/:id/assignments/:lectureId",
+  authenticateToken,
+  getAssignment
+);
+courseRouter.put(
+  "/:id/assignments/:lectureId/submission",
+  authenticateToken,
+  blockImpersonation,
+  validateRequest(assignmentSubmissionSchema),
+  submitAssignment
+);
+courseRouter.get(
+  "/:id/submissions",
+  authenticateToken,
+  authorizeRole("instructor"),
+  getGradingQueue
+);
+courseRouter.put(
+  "/:id/assignments/:lectureId/submissions/:userId/grade",
+  authenticateToken,
+  authorizeRole("instructor"),
+  blockImpersonation,
+  validateRequest(assignmentGradeSchema),
+  gradeSubmission
+);
+courseRouter.get("/:id/grades", authenticateToken, getMyGrades);
 
 export default courseRouter;
@@ -2,21 +2,28 @@ import "dotenv/config";
 import express from "express";
 import authenticateToken from "../../middlewares/authenticateToken.js";
 import authorizeRole from "../../middlewares/authorizeRole.js";
+import { blockImpersonation } from "../../middlewares/impersonation.js";
 import { createEnrollment } from "../../controllers/dynamodb/enrollmentController.js";
 import { getEnrolledCourses } from "../../controllers/dynamodb/enrollmentController.js";
 import { getProgress } from "../../controllers/dynamodb/progressController.js";
 import { getEnrollmentDetails } from "../../controllers/dynamodb/progressController.js";
 import { updateProgress } from "../../controllers/dynamodb/progressController.js";
-import { markAllCompleted } from "../../controllers/dynamodb/progressController.js";
 import { removeAllLectureId } from "../../controllers/dynamodb/progressController.js";
 import { getInstructorRevenue } from "../../controllers/dynamodb/enrollmentController.js";
 import { courseWithProgress } from "../../controllers/dynamodb/progressController.js";
+import { getWatchProgress } from "../../controllers/dynamodb/progressController.js";
+import { recordWatchHeartbeat } from "../../controllers/dynamodb/progressController.js";
+import {
+  validateRequest,
+  watchHeartbeatSchema,
+} from "../validate/validator.js";
 const enrollRouter = express.Router();
 
 enrollRouter.post(
   "/:id",
   authenticateToken,
   authorizeRole("student"),
+  blockImpersonation,
   createEnrollment
 );
 
@@ -47,17 +54,28 @@ enrollRouter.put(
   updateProgress
 );
 
-enrollRouter.post(
-  "/:id/mark-all-completed",
+enrollRouter.get(
+  "/:id/watch",
+  authenticateToken,
+  authorizeRole("student"),
+  getWatchProgress
+);
+
+// Sent by the video player while a lecture plays
+enrollRouter.put(
+  "/:id/watch/:lectureId",
   authenticateToken,
   authorizeRole("student"),
-  markAllCompleted
+  blockImpersonation,
+  validateRequest(watchHeartbeatSchema),
+  recordWatchHeartbeat
 );
 
 enrollRouter.post(
   "/:id/remove-all",
   authenticateToken,
   authorizeRole("student"),
+  blockImpersonation,
   removeAllLectureId
 );
 
@@ -0,0 +1,25 @@
+import express from "express";
+import authenticateToken from "../../middlewares/authenticateToken.js";
+import { blockImpersonation } from "../../middlewares/impersonation.js";
+import {
+  getMyApplication,
+  submitApplication,
+} from "../../controllers/dynamodb/instructorApplicationController.js";
+import {
+  validateRequest,
+  instructorApplicationSchema,
+} from "../validate/validator.js";
+
+const instructorApplicationRouter = express.Router();
+
+// Students apply to teach; admins review under /api/admin/instructor-applications
+instructorApplicationRouter.get("/", authenticateToken, getMyApplication);
+instructorApplicationRouter.post(
+  "/",
+  authenticateToken,
+  blockImpersonation,
+  validateRequest(instructorApplicationSchema),
+  submitApplication
+);
+
+export default instructorApplicationRouter;
@@ -0,0 +1,43 @@
+import express from "express";
+import authenticateToken from "../../middlewares/authenticateToken.js";
+import { blockImpersonation } from "../../middlewares/impersonation.js";
+import {
+  getMyNotes,
+  exportMyNotes,
+  createNote,
+  updateNote,
+  deleteNote,
+} from "../../controllers/dynamodb/noteController.js";
+import {
+  validateRequest,
+  lectureNoteSchema,
+  lectureNoteUpdateSchema,
+} from "../validate/validator.js";
+
+const noteRouter = express.Router();
+
+// Learners' private notes and bookmarks on lectures of courses they take
+noteRouter.get("/", authenticateToken, getMyNotes);
+noteRouter.get("/export", authenticateToken, exportMyNotes);
+noteRouter.post(
+  "/",
+  authenticateToken,
+  blockImpersonation,
+  validateRequest(lectureNoteSchema),
+  createNote
+);
+noteRouter.put(
+  "/:courseId/:noteId",
+  authenticateToken,
+  blockImpersonation,
+  validateRequest(lectureNoteUpdateSchema),
+  updateNote
+);
+noteRouter.delete(
+  "/:courseId/:noteId",
+  authenticateToken,
+  blockImpersonation,
+  deleteNote
+);
+
+export default noteRouter;
@@ -0,0 +1,80 @@
+import express from "express";
+import authenticateToken from "../../middlewares/authenticateToken.js";
+import { blockImpersonation } from "../../middlewares/impersonation.js";
+import requireOrgRole from "../../middlewares/requireOrgRole.js";
+import { ORG_ROLES } from "../../models/dynamodb/organization-repository.js";
+import {
+  getMyOrganizations,
+  acceptInvite,
+  getOrganization,
+  getMembers,
+  inviteMember,
+  cancelInvite,
+  removeMember,
+  getSeatPools,
+  assignSeat,
+  reclaimMemberSeat,
+  getProgressReport,
+} from "../../controllers/dynamodb/organizationController.js";
+import {
+  validateRequest,
+  accountTokenSchema,
+  organizationInviteSchema,
+  seatAssignmentSchema,
+} from "../validate/validator.js";
+
+const organizationRouter = express.Router();
+const orgAdmin = requireOrgRole(ORG_ROLES.ADMIN);
+
+// Platform admins create organizations and sell seat pools under
+// /api/admin/organizations; org admins run their team here
+organizationRouter.use(authenticateToken);
+
+organizationRouter.get("/", getMyOrganizations);
+organizationRouter.post(
+  "/invites/accept",
+  blockImpersonation,
+  validateRequest(accountTokenSchema),
+  acceptInvite
+);
+
+organizationRouter.get("/:orgId", requireOrgRole(), getOrganization);
+organizationRouter.get("/:orgId/members", orgAdmin, getMembers);
+organizationRouter.delete(
+  "/:orgId/members/:userId",
+  orgAdmin,
+  blockImpersonation,
+  removeMember
+);
+organizationRouter.post(
+  "/:orgId/invites",
+  orgAdmin,
+  blockImpersonation,
+  validateRequest(organizationInviteSchema),
+  inviteMember
+);
+organizationRouter.delete(
+  "/:orgId/invites/:email",
+  orgAdmin,
+  blockImpersonation,
+  cancelInvite
+);
+
+organizationRouter.get("/:orgId/seat-pools", orgAdmin, getSeatPools);
+organizationRouter.post(
+  "/:orgId/seat-pools/:poolId/seats",
+  orgAdmin,
+  blockImpersonation,
+  validateRequest(seatAssignmentSchema),
+  assignSeat
+);
+organizationRouter.delete(
+  "/:orgId/seat-pools/:poolId/seats/:userId",
+  orgAdmin,
+  blockImpersonation,
+  reclaimMemberSeat
+);
+
+organizationRouter.get("/:orgId/reports/progress", orgAdmin, getProgressReport);
+
+export default organizationRouter;
@@ -2,6 +2,8 @@ import "dotenv/config";
 import express from "express";
 import authenticateToken from "../../middlewares/authenticateToken.js";
 import authorizeRole from "../../middlewares/authorizeRole.js";
+import { blockImpersonation } from "../../middlewares/impersonation.js";
+import requireFeatureFlag from "../../middlewares/requireFeatureFlag.js";
 import {
   submitRating,
   getCourseRatings,
@@ -13,10 +15,18 @@ import {
 
 const ratingRouter = express.Router();
 
+// Refuse all rating routes while course reviews are disabled. Scoped to the
+// rating paths because this router is mounted at the API root.
+ratingRouter.use(
+  ["/courses/:courseId/ratings", "/instructor/ratings"],
+  requireFeatureFlag("enableCourseReviews")
+);
+
 // Submit or update a rating for a course (requires authentication)
 ratingRouter.post(
   "/courses/:courseId/ratings",
   authenticateToken,
+  blockImpersonation,
   submitRating
 );
 
@@ -34,6 +44,7 @@ ratingRouter.get(
 ratingRouter.delete(
   "/courses/:courseId/ratings",
   authenticateToken,
+  blockImpersonation,
   deleteRating
 );
 
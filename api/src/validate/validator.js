@@ -1,18 +1,21 @@
 import Joi from "joi";
+import { MAX_PASSWORD_BYTES } from "../../utils/passwordPolicy.js";
 
 export const signUpSchema = Joi.object({
   email: Joi.string()
     .email({ tlds: { allow: false } }) // Validate email format without restricting TLDs
     .required(),
 
-  password: Joi.string().min(8).max(20).required(),
+  // Strength rules come from the live password policy (see passwordPolicy.js)
+  password: Joi.string().max(MAX_PASSWORD_BYTES, "utf8").required(),
   name: Joi.string()
     .pattern(/^[a-zA-Z ]+$/)
     .min(3)
     .max(30)
     .required(),
 
-  role: Joi.string().valid("instructor", "student").required(),
+  // Instructors apply from their account (instructorApplicationSchema)
+  role: Joi.string().valid("student").default("student"),
 });
 
 export const loginSchema = Joi.object({
@@ -20,6 +23,346 @@ export const loginSchema = Joi.object({
   password: Joi.string().required(),
 });
 
+export const rotatePasswordSchema = Joi.object({
+  email: Joi.string().email().required(),
+  currentPassword: Joi.string().required(),
+  newPassword: Joi.string().max(MAX_PASSWORD_BYTES, "utf8").required(),
+});
+
+export const emailSchema = Joi.object({
+  email: Joi.string().email().required(),
+});
+
+export const resetPasswordSchema = Joi.object({
+  token: Joi.string().required(),
+  newPassword: Joi.string().max(MAX_PASSWORD_BYTES, "utf8").required(),
+});
+
+export const accountTokenSchema = Joi.object({
+  token: Joi.string().required(),
+});
+
+export const oidcCallbackSchema = Joi.object({
+  code: Joi.string().max(2048).required(),
+  state: Joi.string().max(256).required(),
+});
+
+// TOTP codes are 6 digits; recovery codes look like "a1b2c-3d4e5"
+const mfaCode = Joi.string().trim().max(16).required();
+
+export const mfaLoginSchema = Joi.object({
+  mfaToken: Joi.string().required(),
+  code: mfaCode,
+});
+
+export const mfaCodeSchema = Joi.object({
+  code: mfaCode,
+});
+
+export const mfaDisableSchema = Joi.object({
+  password: Joi.string().required(),
+  code: mfaCode,
+});
+
+// Accounts without a password (external sign-in, unclaimed imports) confirm
+// with their email address instead
+export const accountDeletionSchema = Joi.object({
+  password: Joi.string().max(128),
+  confirmEmail: Joi.string().email({ tlds: { allow: false } }),
+}).or("password", "confirmEmail");
+
+// Links to published work, or files sent to /upload first
+const sampleMaterialItem = Joi.object({
+  title: Joi.string().trim().max(100).required(),
+  url: Joi.alternatives()
+    .try(
+      Joi.string().uri({ scheme: ["http", "https"] }),
+      Joi.string().pattern(/^uploads\//)
+    )
+    .required(),
+});
+
+export const instructorApplicationSchema = Joi.object({
+  bio: Joi.string().trim().min(50).max(2000).required(),
+  expertise: Joi.array().items(Joi.string()).min(1).max(5).unique().required(),
+  sampleMaterial: Joi.array()
+    .items(sampleMaterialItem)
+    .min(1)
+    .max(5)
+    .required(),
+});
+
+export const applicationApprovalSchema = Joi.object({
+  notes: Joi.string().trim().max(1000).allow(""),
+});
+
+// Applicants see the notes, so a rejection must explain itself
+export const applicationRejectionSchema = Joi.object({
+  notes: Joi.string().trim().max(1000).required(),
+});
+
+export const organizationSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(100).required(),
+  // Invited as the organization's first admin
+  adminEmail: Joi.string().email().required(),
+});
+
+const seatCount = Joi.number().integer().min(1).max(10000).required();
+
+export const seatPoolSchema = Joi.object({
+  scope: Joi.string().valid("course", "catalog").required(),
+  courseId: Joi.string().when("scope", {
+    is: "course",
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
+  totalSeats: seatCount,
+});
+
+export const seatPoolResizeSchema = Joi.object({
+  totalSeats: seatCount,
+});
+
+export const organizationInviteSchema = Joi.object({
+  email: Joi.string().email().required(),
+  role: Joi.string().valid("admin", "member").default("member"),
+});
+
+export const seatAssignmentSchema = Joi.object({
+  userId: Joi.string().required(),
+});
+
+// Rows are checked one by one for the import report (see userImportController)
+const importRowField = Joi.string().allow("").max(320);
+
+export const userImportSchema = Joi.object({
+  users: Joi.array()
+    .items(
+      Joi.object({
+        name: importRowField,
+        email: importRowField,
+        role: importRowField,
+      })
+    )
+    .min(1)
+    // Keeps the request under the JSON body limit
+    .max(500)
+    .required(),
+  dryRun: Joi.boolean().default(true),
+  sendInvitations: Joi.boolean().default(false),
+  courseIds: Joi.array().items(Joi.string()).max(10).unique().default([]),
+});
+
+export const sectionSchema = Joi.object({
+  title: Joi.string().trim().min(1).max(200).required(),
+});
+
+const lectureIdList = Joi.array().items(Joi.string()).unique();
+
+export const curriculumOrderSchema = Joi.object({
+  sections: Joi.array()
+    .items(
+      Joi.object({
+        sectionId: Joi.string().required(),
+        lectureIds: lectureIdList.required(),
+      })
+    )
+    .unique("sectionId")
+    .required(),
+  unsectionedLectureIds: lectureIdList.default([]),
+});
+
+export const lecturePositionSchema = Joi.object({
+  // null moves the lecture out of its section
+  sectionId: Joi.string().allow(null).required(),
+  position: Joi.number().integer().min(0).required(),
+});
+
+export const lectureUpdateSchema = Joi.object({
+  title: Joi.string().trim().min(1).max(255),
+  // S3 key returned by /upload
+  videoUrl: Joi.string(),
+  durationSeconds: Joi.number().min(0).allow(null),
+}).min(1);
+
+// Playback heartbeats from the video player; segments are [start, end]
+// stretches in seconds played since the previous heartbeat
+export const watchHeartbeatSchema = Joi.object({
+  position: Joi.number().min(0).required(),
+  duration: Joi.number().greater(0).required(),
+  segments: Joi.array()
+    .items(
+      Joi.array()
+        .ordered(Joi.number().min(0).required(), Joi.number().min(0).required())
+        .length(2)
+    )
+    .max(50)
+    .default([]),
+});
+
+// Private notes and bookmarks on a lecture; timestamp is a position in the
+// lecture's video in seconds. Bookmarks may have no text.
+const noteTimestamp = Joi.number().min(0).max(86400).allow(null);
+const noteText = Joi.string().trim().max(5000);
+
+export const lectureNoteSchema = Joi.object({
+  courseId: Joi.string().required(),
+  lectureId: Joi.string().required(),
+  kind: Joi.string().valid("note", "bookmark").default("note"),
+  timestamp: noteTimestamp.default(null),
+  text: Joi.when("kind", {
+    is: "bookmark",
+    then: noteText.allow("").default(""),
+    otherwise: noteText.required(),
+  }),
+});
+
+export const lectureNoteUpdateSchema = Joi.object({
+  timestamp: noteTimestamp.required(),
+  text: noteText.allow("").required(),
+});
+
+// A caption file's text for one language, such as en or pt-BR; SRT is
+// converted to WebVTT when it is parsed
+export const captionSchema = Joi.object({
+  language: Joi.string()
+    .pattern(/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/)
+    .max(35)
+    .required(),
+  label: Joi.string().trim().min(1).max(50).required(),
+  content: Joi.string().max(500000).required(),
+});
+
+const quizOption = Joi.object({
+  optionId: Joi.string().max(50).required(),
+  text: Joi.string().trim().min(1).max(500).required(),
+});
+
+// Answer keys are checked against the options in utils/quizzes.js
+const quizQuestion = Joi.object({
+  // Kept when editing so earlier attempts still line up
+  questionId: Joi.string(),
+  type: Joi.string()
+    .valid("multiple_choice", "multi_select", "true_false", "short_answer")
+    .required(),
+  prompt: Joi.string().trim().min(1).max(2000).required(),
+  points: Joi.number().integer().min(1).max(100).default(1),
+  options: Joi.when("type", {
+    is: Joi.valid("multiple_choice", "multi_select"),
+    then: Joi.array()
+      .items(quizOption)
+      .min(2)
+      .max(10)
+      .unique("optionId")
+      .required(),
+    otherwise: Joi.forbidden(),
+  }),
+  correctOptionIds: Joi.when("type", {
+    is: "short_answer",
+    then: Joi.forbidden(),
+    otherwise: Joi.array().items(Joi.string()).min(1).unique().required(),
+  }),
+  acceptedAnswers: Joi.when("type", {
+    is: "short_answer",
+    then: Joi.array()
+      .items(Joi.string().trim().min(1).max(200))
+      .min(1)
+      .max(20)
+      .required(),
+    otherwise: Joi.forbidden(),
+  }),
+});
+
+const quizFields = {
+  title: Joi.string().trim().min(1).max(255).required(),
+  passingScore: Joi.number().integer().min(0).max(100).default(70),
+  // null allows unlimited attempts
+  maxAttempts: Joi.number().integer().min(1).max(100).allow(null).default(null),
+  shuffleQuestions: Joi.boolean().default(false),
+  questions: Joi.array().items(quizQuestion).min(1).max(100).required(),
+};
+
+export const quizSchema = Joi.object({
+  ...quizFields,
+  sectionId: Joi.string().allow(null).default(null),
+});
+
+export const quizUpdateSchema = Joi.object(quizFields);
+
+export const quizAttemptSchema = Joi.object({
+  answers: Joi.object()
+    .pattern(
+      Joi.string(),
+      Joi.alternatives(
+        Joi.string().max(500),
+        Joi.array().items(Joi.string()).max(10)
+      )
+    )
+    .required(),
+});
+
+const rubricCriterion = Joi.object({
+  // Kept when editing so earlier grades still line up
+  criterionId: Joi.string(),
+  title: Joi.string().trim().min(1).max(200).required(),
+  description: Joi.string().trim().max(1000).allow("").default(""),
+  maxPoints: Joi.number().integer().min(1).max(100).required(),
+});
+
+const assignmentFields = {
+  title: Joi.string().trim().min(1).max(255).required(),
+  // HTML from the rich text editor
+  instructions: Joi.string().min(1).max(20000).required(),
+  dueAt: Joi.string().isoDate().allow(null).default(null),
+  allowLateSubmissions: Joi.boolean().default(true),
+  rubric: Joi.array()
+    .items(rubricCriterion)
+    .min(1)
+    .max(20)
+    .unique("criterionId", { ignoreUndefined: true })
+    .required(),
+};
+
+export const assignmentSchema = Joi.object({
+  ...assignmentFields,
+  sectionId: Joi.string().allow(null).default(null),
+});
+
+export const assignmentUpdateSchema = Joi.object(assignmentFields);
+
+export const assignmentSubmissionSchema = Joi.object({
+  files: Joi.array()
+    .items(
+      Joi.object({
+        // Keys returned by /upload
+        fileKey: Joi.string()
+          .pattern(/^uploads\//)
+          .max(1024)
+          .required(),
+        fileName: Joi.string().trim().min(1).max(255).required(),
+      })
+    )
+    .min(1)
+    .max(5)
+    .unique("fileKey")
+    .required(),
+  comment: Joi.string().trim().max(2000).allow("").default(""),
+});
+
+export const assignmentGradeSchema = Joi.object({
+  scores: Joi.array()
+    .items(
+      Joi.object({
+        criterionId: Joi.string().required(),
+        points: Joi.number().min(0).max(100).required(),
+      })
+    )
+    .min(1)
+    .max(20)
+    .required(),
+  feedback: Joi.string().trim().max(5000).allow("").default(""),
+});
+
 export const addCourse = Joi.object({
   title: Joi.string().min(3).max(255).required(),
   description: Joi.string().min(10).required(),
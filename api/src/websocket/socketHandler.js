@@ -1,4 +1,39 @@
-import jwt from "jsonwebtoken";
+import proxyaddr from "proxy-addr";
+import trustProxy, { compileTrustProxy } from "../../config/trustProxy.js";
+import { verifyAccessToken } from "../../middlewares/authenticateToken.js";
+import {
+  checkAdminIp,
+  logBlockedAdminAccess,
+} from "../../middlewares/ipAllowlist.js";
+import { hasRequiredMfa } from "../../middlewares/requireMFA.js";
+
+const trustProxyFn = compileTrustProxy(trustProxy);
+
+/**
+ * Client address of a socket, resolved from X-Forwarded-For with the same
+ * TRUST_PROXY rules Express applies to req.ip
+ * @param {Socket} socket - Client socket
+ * @returns {string} Client IP address
+ */
+const getClientIp = (socket) =>
+  proxyaddr(
+    {
+      connection: { remoteAddress: socket.handshake.address },
+      headers: socket.handshake.headers || {},
+    },
+    trustProxyFn
+  );
+
+/**
+ * Admin rooms are only joinable by super admins connecting from an allowed IP,
+ * with MFA when sessionPolicy.requireMFA is on
+ * @param {Socket} socket - Client socket
+ * @returns {boolean} True if the socket may join admin rooms
+ */
+const canJoinAdminRooms = (socket) =>
+  socket.userRole === "super_admin" &&
+  socket.adminIpAllowed === true &&
+  socket.adminMfaPassed === true;
 
 /**
  * Initialize WebSocket server and handle connections
@@ -6,29 +41,86 @@ import jwt from "jsonwebtoken";
  */
 export function initializeWebSocket(io) {
   // Middleware to authenticate WebSocket connections
-  io.use((socket, next) => {
+  io.use(async (socket, next) => {
     const token = socket.handshake.auth.token;
 
     if (!token) {
       return next(new Error("Authentication error: No token provided"));
     }
 
+    socket.clientIp = getClientIp(socket);
+
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      socket.userId = decoded.userId;
+      const decoded = await verifyAccessToken(token, {
+        ipAddress: socket.clientIp,
+      });
+      socket.userId = decoded.sub;
       socket.userRole = decoded.role;
+      socket.sessionId = decoded.sid;
+      socket.mfa = decoded.mfa === true;
       next();
     } catch (error) {
       next(new Error("Authentication error: Invalid token"));
     }
   });
 
+  // Check super admin connections against the IP allowlist before they can
+  // join admin rooms
+  io.use(async (socket, next) => {
+    if (socket.userRole !== "super_admin") {
+      return next();
+    }
+
+    try {
+      const result = await checkAdminIp(socket.clientIp);
+      socket.adminIpAllowed = result.allowed;
+
+      if (!result.allowed) {
+        await logBlockedAdminAccess({
+          userId: socket.userId,
+          ip: result.ip,
+          userAgent: socket.handshake.headers?.["user-agent"],
+          channel: "socket",
+        });
+      }
+    } catch (error) {
+      console.error("Error checking socket IP allowlist:", error);
+      socket.adminIpAllowed = false;
+    }
+    next();
+  });
+
+  // Hold super admin sessions that have not passed MFA out of admin rooms
+  // while sessionPolicy.requireMFA is on, like the requireMFA middleware
+  io.use(async (socket, next) => {
+    if (socket.userRole !== "super_admin") {
+      return next();
+    }
+
+    try {
+      socket.adminMfaPassed = await hasRequiredMfa({
+        role: socket.userRole,
+        mfa: socket.mfa,
+      });
+    } catch (error) {
+      console.error("Error checking socket MFA requirement:", error);
+      socket.adminMfaPassed = false;
+    }
+    next();
+  });
+
   // Handle client connections
   io.on("connection", (socket) => {
     console.log(`Client connected: ${socket.id} (User: ${socket.userId})`);
 
-    // Join admin room if user is super admin
-    if (socket.userRole === "super_admin") {
+    // Lets session revocation disconnect the sockets of a user or session
+    socket.join(`user:${socket.userId}`);
+    if (socket.sessionId) {
+      socket.join(`session:${socket.sessionId}`);
+    }
+
+    // Join admin room if user is super admin on an allowed IP
+    if (canJoinAdminRooms(socket)) {
       socket.join("admin-dashboard");
       console.log(`Admin user ${socket.userId} joined admin-dashboard room`);
 
@@ -41,7 +133,7 @@ export function initializeWebSocket(io) {
 
     // Handle subscription to specific metric updates
     socket.on("subscribe:metrics", (data) => {
-      if (socket.userRole === "super_admin") {
+      if (canJoinAdminRooms(socket)) {
         socket.join("metrics-updates");
         console.log(`Admin ${socket.userId} subscribed to metrics updates`);
         socket.emit("subscribed", { channel: "metrics", status: "active" });
@@ -50,7 +142,7 @@ export function initializeWebSocket(io) {
 
     // Handle subscription to activity feed
     socket.on("subscribe:activity", (data) => {
-      if (socket.userRole === "super_admin") {
+      if (canJoinAdminRooms(socket)) {
         socket.join("activity-feed");
         console.log(`Admin ${socket.userId} subscribed to activity feed`);
         socket.emit("subscribed", { channel: "activity", status: "active" });
@@ -59,7 +151,7 @@ export function initializeWebSocket(io) {
 
     // Handle subscription to notifications
     socket.on("subscribe:notifications", (data) => {
-      if (socket.userRole === "super_admin") {
+      if (canJoinAdminRooms(socket)) {
         socket.join("admin-notifications");
         console.log(`Admin ${socket.userId} subscribed to notifications`);
         socket.emit("subscribed", {
@@ -71,7 +163,7 @@ export function initializeWebSocket(io) {
 
     // Handle subscription to security alerts
     socket.on("subscribe:security", (data) => {
-      if (socket.userRole === "super_admin") {
+      if (canJoinAdminRooms(socket)) {
         socket.join("security-alerts");
         console.log(`Admin ${socket.userId} subscribed to security alerts`);
         socket.emit("subscribed", { channel: "security", status: "active" });
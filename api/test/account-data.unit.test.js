@@ -0,0 +1,398 @@
+import { jest } from "@jest/globals";
+import bcrypt from "bcrypt";
+import dynamoDb from "../config/dynamodb.js";
+import { UserRepository } from "../models/dynamodb/user-repository.js";
+import { AdminRepository } from "../models/dynamodb/admin-repository.js";
+import { CourseRepository } from "../models/dynamodb/course-repository.js";
+import { EnrollmentRepository } from "../models/dynamodb/enrollment-repository.js";
+import { LectureRepository } from "../models/dynamodb/lecture-repository.js";
+import { RatingRepository } from "../models/dynamodb/rating-repository.js";
+import { SessionRepository } from "../models/dynamodb/session-repository.js";
+import { OrganizationRepository } from "../models/dynamodb/organization-repository.js";
+import { InstructorApplicationRepository } from "../models/dynamodb/instructor-application-repository.js";
+import { IdentityRepository } from "../models/dynamodb/identity-repository.js";
+import { QuizAttemptRepository } from "../models/dynamodb/quiz-attempt-repository.js";
+import { AssignmentSubmissionRepository } from "../models/dynamodb/assignment-submission-repository.js";
+import { LectureWatchRepository } from "../models/dynamodb/lecture-watch-repository.js";
+import { LectureNoteRepository } from "../models/dynamodb/lecture-note-repository.js";
+import {
+  exportAccountData,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  processDueDeletions,
+} from "../controllers/dynamodb/accountDataController.js";
+
+describe("Account Data Unit Tests", () => {
+  const student = {
+    userId: "user-1",
+    name: "Ada Lovelace",
+    email: "ada@example.com",
+    role: "student",
+    password: "$2b$10$hash",
+    mfaSecret: "secret",
+    passwordHistory: ["old-hash"],
+  };
+
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    res.setHeader = jest.fn();
+    return res;
+  };
+
+  const mockRequest = (overrides = {}) => ({
+    user: { sub: "user-1", role: "student" },
+    ip: "127.0.0.1",
+    headers: {},
+    get: () => "jest",
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    jest.spyOn(UserRepository, "findById").mockResolvedValue(student);
+    jest.spyOn(AdminRepository, "logSecurityEvent").mockResolvedValue({});
+    jest.spyOn(AdminRepository, "logAdminAction").mockResolvedValue({});
+    jest.spyOn(CourseRepository, "findByInstructor").mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("exportAccountData", () => {
+    it("should export the user's data without secrets", async () => {
+      jest.spyOn(EnrollmentRepository, "findByUser").mockResolvedValue([
+        {
+          courseId: "course-1",
+          courseTitle: "Intro to Testing",
+          progress: ["lecture-1"],
+          createdAt: "2026-01-01T00:00:00.000Z",
+          completedAt: "2026-02-01T00:00:00.000Z",
+        },
+      ]);
+      jest
+        .spyOn(LectureRepository, "findByCourse")
+        .mockResolvedValue([{ lectureId: "lecture-1", durationSeconds: 60 }]);
+      jest
+        .spyOn(RatingRepository, "findByUser")
+        .mockResolvedValue([{ courseId: "course-1", rating: 5, review: "" }]);
+      jest.spyOn(AdminRepository, "getAllSupportTickets").mockResolvedValue({
+        tickets: [{ ticketId: "ticket-1", subject: "Help" }],
+        lastEvaluatedKey: null,
+      });
+      jest.spyOn(AdminRepository, "getTicketMessages").mockResolvedValue([
+        { message: "How can we help?", isInternal: false },
+        { message: "Staff only", isInternal: true },
+      ]);
+      jest
+        .spyOn(AdminRepository, "getUserSecurityEvents")
+        .mockResolvedValue([
+          { eventType: "LOGIN_SUCCESS", timestamp: "2026-01-02T00:00:00.000Z" },
+        ]);
+      jest
+        .spyOn(SessionRepository, "findByUser")
+        .mockResolvedValue([
+          { sessionId: "session-1", refreshTokenHash: "refresh-hash" },
+        ]);
+      jest.spyOn(OrganizationRepository, "findByMember").mockResolvedValue([]);
+      jest
+        .spyOn(InstructorApplicationRepository, "findByUser")
+        .mockResolvedValue(null);
+      jest.spyOn(QuizAttemptRepository, "findByUser").mockResolvedValue([
+        {
+          courseId: "course-1",
+          lectureId: "quiz-1",
+          attemptNumber: 1,
+          answers: { "question-1": "true" },
+          score: 100,
+          passed: true,
+          submittedAt: "2026-01-03T00:00:00.000Z",
+        },
+      ]);
+      jest
+        .spyOn(AssignmentSubmissionRepository, "findByUser")
+        .mockResolvedValue([
+          {
+            courseId: "course-1",
+            lectureId: "assignment-1",
+            files: [{ fileKey: "uploads/essay.pdf", fileName: "essay.pdf" }],
+            comment: "",
+            late: false,
+            status: "graded",
+            submittedAt: "2026-01-04T00:00:00.000Z",
+            grade: { points: 8, maxPoints: 10, gradedBy: "instructor-1" },
+          },
+        ]);
+      jest.spyOn(LectureWatchRepository, "findByUser").mockResolvedValue([
+        {
+          courseId: "course-1",
+          lectureId: "lecture-1",
+          position: 120,
+          duration: 300,
+          segments: [[0, 120]],
+          updatedAt: "2026-01-05T00:00:00.000Z",
+        },
+      ]);
+      jest.spyOn(LectureNoteRepository, "findByUser").mockResolvedValue([
+        {
+          PK: "USER#user-1",
+          SK: "NOTE#course-1#note-1",
+          courseId: "course-1",
+          lectureId: "lecture-1",
+          kind: "note",
+          timestamp: 42,
+          text: "Closures keep their scope",
+          createdAt: "2026-01-06T00:00:00.000Z",
+          updatedAt: "2026-01-06T00:00:00.000Z",
+        },
+      ]);
+      const res = mockResponse();
+
+      await exportAccountData(mockRequest(), res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const archive = res.json.mock.calls[0][0];
+      expect(archive.profile.email).toBe("ada@example.com");
+      expect(archive.enrollments[0]).toMatchObject({
+        courseId: "course-1",
+        progress: 100,
+      });
+      expect(archive.certificates).toHaveLength(1);
+      expect(archive.supportTickets[0].messages).toHaveLength(1);
+      expect(archive.activity).toHaveLength(1);
+      expect(archive.quizAttempts[0]).toMatchObject({
+        lectureId: "quiz-1",
+        score: 100,
+      });
+      expect(archive.assignmentSubmissions[0]).toMatchObject({
+        lectureId: "assignment-1",
+        grade: { points: 8, maxPoints: 10 },
+      });
+      expect(archive.assignmentSubmissions[0].grade).not.toHaveProperty(
+        "gradedBy"
+      );
+      expect(archive.lectureWatches[0]).toMatchObject({
+        lectureId: "lecture-1",
+        position: 120,
+      });
+      expect(archive.notes[0]).toEqual({
+        courseId: "course-1",
+        lectureId: "lecture-1",
+        kind: "note",
+        timestamp: 42,
+        text: "Closures keep their scope",
+        createdAt: "2026-01-06T00:00:00.000Z",
+        updatedAt: "2026-01-06T00:00:00.000Z",
+      });
+
+      const serialized = JSON.stringify(archive);
+      expect(serialized).not.toContain("$2b$10$hash");
+      expect(serialized).not.toContain("secret");
+      expect(serialized).not.toContain("refresh-hash");
+      expect(serialized).not.toContain("Staff only");
+    });
+  });
+
+  describe("requestAccountDeletion", () => {
+    it("should schedule deletion after the grace period", async () => {
+      jest.spyOn(bcrypt, "compare").mockResolvedValue(true);
+      const scheduleDeletion = jest
+        .spyOn(UserRepository, "scheduleDeletion")
+        .mockImplementation(async (userId, scheduledFor) => ({
+          ...student,
+          deletionRequestedAt: new Date().toISOString(),
+          deletionScheduledFor: scheduledFor,
+        }));
+      const res = mockResponse();
+
+      await requestAccountDeletion(
+        mockRequest({ value: { body: { password: "Password1!" } } }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const scheduledFor = new Date(scheduleDeletion.mock.calls[0][1]);
+      const days = (scheduledFor - Date.now()) / (24 * 60 * 60 * 1000);
+      expect(Math.round(days)).toBe(30);
+      expect(res.json.mock.calls[0][0].scheduled).toBe(true);
+    });
+
+    it("should require the password", async () => {
+      jest.spyOn(bcrypt, "compare").mockResolvedValue(false);
+      jest.spyOn(UserRepository, "scheduleDeletion");
+      const res = mockResponse();
+
+      await requestAccountDeletion(
+        mockRequest({ value: { body: { password: "wrong" } } }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(UserRepository.scheduleDeletion).not.toHaveBeenCalled();
+    });
+
+    it("should confirm accounts without a password by email", async () => {
+      UserRepository.findById.mockResolvedValue({ ...student, password: null });
+      jest
+        .spyOn(UserRepository, "scheduleDeletion")
+        .mockResolvedValue({ deletionScheduledFor: "2026-12-01" });
+      const res = mockResponse();
+
+      await requestAccountDeletion(
+        mockRequest({ value: { body: { confirmEmail: "Ada@Example.com" } } }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it("should refuse instructors who still own courses", async () => {
+      UserRepository.findById.mockResolvedValue({
+        ...student,
+        role: "instructor",
+      });
+      CourseRepository.findByInstructor.mockResolvedValue([
+        { courseId: "course-1" },
+      ]);
+      jest.spyOn(bcrypt, "compare").mockResolvedValue(true);
+      jest.spyOn(UserRepository, "scheduleDeletion");
+      const res = mockResponse();
+
+      await requestAccountDeletion(
+        mockRequest({ value: { body: { password: "Password1!" } } }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0].code).toBe("INSTRUCTOR_HAS_COURSES");
+      expect(UserRepository.scheduleDeletion).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("cancelAccountDeletion", () => {
+    it("should report when no deletion is scheduled", async () => {
+      jest.spyOn(UserRepository, "cancelDeletion").mockResolvedValue(null);
+      const res = mockResponse();
+
+      await cancelAccountDeletion(mockRequest(), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json.mock.calls[0][0].code).toBe("DELETION_NOT_SCHEDULED");
+    });
+  });
+
+  describe("processDueDeletions", () => {
+    it("should anonymise ratings, reclaim seats and delete the account", async () => {
+      jest
+        .spyOn(UserRepository, "findPendingDeletions")
+        .mockResolvedValue([
+          { ...student, deletionScheduledFor: "2026-01-01T00:00:00.000Z" },
+        ]);
+      const rating = { userId: "user-1", courseId: "course-1", rating: 4 };
+      jest.spyOn(RatingRepository, "findByUser").mockResolvedValue([rating]);
+      jest.spyOn(RatingRepository, "anonymize").mockResolvedValue({});
+      jest
+        .spyOn(RatingRepository, "calculateAggregates")
+        .mockResolvedValue({ averageRating: 4, ratingCount: 1 });
+      jest
+        .spyOn(RatingRepository, "getRatingDistribution")
+        .mockResolvedValue({ 1: 0, 2: 0, 3: 0, 4: 1, 5: 0 });
+      jest
+        .spyOn(CourseRepository, "updateRatingAggregates")
+        .mockResolvedValue();
+      jest
+        .spyOn(OrganizationRepository, "findSeatsByUser")
+        .mockResolvedValue([{ organizationId: "org-1", poolId: "pool-1" }]);
+      jest
+        .spyOn(OrganizationRepository, "deleteSeat")
+        .mockResolvedValue({ poolId: "pool-1" });
+      jest.spyOn(OrganizationRepository, "releaseSeat").mockResolvedValue();
+      jest
+        .spyOn(OrganizationRepository, "findByMember")
+        .mockResolvedValue([{ organizationId: "org-1" }]);
+      jest.spyOn(OrganizationRepository, "removeMember").mockResolvedValue();
+      jest
+        .spyOn(IdentityRepository, "findByUser")
+        .mockResolvedValue([{ provider: "google", subject: "sub-1" }]);
+      jest.spyOn(IdentityRepository, "unlink").mockResolvedValue();
+      jest.spyOn(AdminRepository, "anonymizeUserTickets").mockResolvedValue(2);
+      jest
+        .spyOn(AssignmentSubmissionRepository, "findByUser")
+        .mockResolvedValue([]);
+      jest.spyOn(SessionRepository, "revokeAllForUser").mockResolvedValue(1);
+      jest.spyOn(UserRepository, "deleteAccount").mockResolvedValue(5);
+      const res = mockResponse();
+
+      await processDueDeletions(
+        mockRequest({ user: { sub: "admin-1", role: "admin" } }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(RatingRepository.anonymize).toHaveBeenCalledWith(rating);
+      expect(CourseRepository.updateRatingAggregates).toHaveBeenCalledWith(
+        "course-1",
+        expect.objectContaining({ averageRating: 4, ratingCount: 1 })
+      );
+      expect(OrganizationRepository.releaseSeat).toHaveBeenCalledWith(
+        "org-1",
+        "pool-1"
+      );
+      expect(IdentityRepository.unlink).toHaveBeenCalledWith("google", "sub-1");
+      expect(UserRepository.deleteAccount).toHaveBeenCalledWith("user-1");
+      expect(res.json.mock.calls[0][0].data.results[0]).toMatchObject({
+        status: "deleted",
+        ratingsAnonymized: 1,
+        ticketsAnonymized: 2,
+      });
+    });
+
+    it("should skip accounts that have since become staff", async () => {
+      jest
+        .spyOn(UserRepository, "findPendingDeletions")
+        .mockResolvedValue([{ ...student, role: "admin" }]);
+      jest.spyOn(UserRepository, "deleteAccount");
+      const res = mockResponse();
+
+      await processDueDeletions(
+        mockRequest({ user: { sub: "admin-1", role: "admin" } }),
+        res
+      );
+
+      expect(res.json.mock.calls[0][0].data.results[0]).toMatchObject({
+        status: "skipped",
+        code: "STAFF_ACCOUNT",
+      });
+      expect(UserRepository.deleteAccount).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("RatingRepository.anonymize", () => {
+    it("should keep the rating on the course index under an anonymous owner", async () => {
+      const send = jest.spyOn(dynamoDb, "send").mockResolvedValue({});
+
+      const item = await RatingRepository.anonymize({
+        PK: "USER#user-1",
+        SK: "RATING#course-1",
+        GSI6PK: "COURSE#course-1",
+        GSI6SK: "RATING#2026-01-01T00:00:00.000Z#user-1",
+        userId: "user-1",
+        userName: "Ada Lovelace",
+        courseId: "course-1",
+        rating: 4,
+        createdAt: "2026-01-01T00:00:00.000Z",
+      });
+
+      expect(item.PK).toMatch(/^ANONYMOUS#/);
+      expect(item.GSI6PK).toBe("COURSE#course-1");
+      expect(item.GSI6SK).not.toContain("user-1");
+      expect(item.userName).toBe("Former learner");
+      expect(item.rating).toBe(4);
+      expect(send.mock.calls[1][0].input.Key).toEqual({
+        PK: "USER#user-1",
+        SK: "RATING#course-1",
+      });
+    });
+  });
+});
@@ -0,0 +1,277 @@
+import { jest } from "@jest/globals";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import bcrypt from "bcrypt";
+import {
+  ACCOUNT_TOKEN_TYPES,
+  signAccountToken,
+  verifyAccountToken,
+} from "../utils/accountTokens.js";
+import {
+  createConsoleTransport,
+  createFileTransport,
+  createMailTransportFromEnv,
+  setMailTransport,
+} from "../utils/mailer.js";
+import { UserRepository } from "../models/dynamodb/user-repository.js";
+import { AdminRepository } from "../models/dynamodb/admin-repository.js";
+import { SessionRepository } from "../models/dynamodb/session-repository.js";
+
+describe("Account Email Unit Tests", () => {
+  let requestPasswordReset;
+  let resetPassword;
+  let verifyEmail;
+  let loginHandler;
+  let sentMail;
+
+  const user = {
+    userId: "user-1",
+    name: "Test User",
+    email: "user@example.com",
+    role: "student",
+    accountStatus: "active",
+    passwordHistory: [],
+  };
+
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    res.cookie = jest.fn(() => res);
+    res.set = jest.fn(() => res);
+    return res;
+  };
+
+  const tokenFromMail = (mail) =>
+    decodeURIComponent(mail.text.match(/token=([^\s]+)/)[1]);
+
+  beforeAll(async () => {
+    // The controllers read JWT_SECRET when they load
+    process.env.JWT_SECRET = "account-test-secret";
+    ({ requestPasswordReset, resetPassword, verifyEmail } = await import(
+      "../controllers/dynamodb/accountController.js"
+    ));
+    ({ loginHandler } = await import(
+      "../controllers/dynamodb/authController.js"
+    ));
+  });
+
+  beforeEach(() => {
+    sentMail = [];
+    setMailTransport({
+      send: async (message) => {
+        sentMail.push(message);
+        return { messageId: "test" };
+      },
+    });
+    jest.spyOn(AdminRepository, "logSecurityEvent").mockResolvedValue({});
+    jest.spyOn(AdminRepository, "getSecurityPolicies").mockResolvedValue({
+      passwordPolicy: {},
+      sessionPolicy: {},
+      accessControl: {},
+    });
+  });
+
+  afterEach(() => {
+    setMailTransport(null);
+    jest.restoreAllMocks();
+  });
+
+  describe("account tokens", () => {
+    it("should only verify tokens of the same purpose", () => {
+      const { token, tokenId } = signAccountToken(
+        "user-1",
+        ACCOUNT_TOKEN_TYPES.PASSWORD_RESET
+      );
+
+      expect(
+        verifyAccountToken(token, ACCOUNT_TOKEN_TYPES.PASSWORD_RESET)
+      ).toEqual({ userId: "user-1", tokenId });
+      expect(
+        verifyAccountToken(token, ACCOUNT_TOKEN_TYPES.EMAIL_VERIFICATION)
+      ).toBeNull();
+      expect(
+        verifyAccountToken("not-a-token", ACCOUNT_TOKEN_TYPES.PASSWORD_RESET)
+      ).toBeNull();
+    });
+  });
+
+  describe("mail transports", () => {
+    it("should write messages to files", async () => {
+      const directory = await fs.mkdtemp(path.join(os.tmpdir(), "mail-"));
+      const transport = createFileTransport({ directory });
+
+      const { messageId } = await transport.send({
+        to: "user@example.com",
+        subject: "Hello",
+        text: "Body",
+      });
+
+      const stored = JSON.parse(
+        await fs.readFile(path.join(directory, `${messageId}.json`), "utf8")
+      );
+      expect(stored.subject).toBe("Hello");
+      await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it("should log messages with the console transport", async () => {
+      const logger = { log: jest.fn() };
+      await createConsoleTransport({ logger }).send({
+        to: "user@example.com",
+        subject: "Hello",
+        text: "Body",
+      });
+
+      expect(logger.log.mock.calls[0][0]).toContain("Subject: Hello");
+    });
+
+    it("should pick the transport from the environment", () => {
+      expect(createMailTransportFromEnv({}).name).toBe("console");
+      expect(
+        createMailTransportFromEnv({ MAIL_TRANSPORT: "smtp", SMTP_HOST: "x" })
+          .name
+      ).toBe("smtp");
+      expect(() =>
+        createMailTransportFromEnv({ MAIL_TRANSPORT: "fax" })
+      ).toThrow("Unknown MAIL_TRANSPORT");
+    });
+  });
+
+  describe("password reset", () => {
+    it("should email a link without revealing unknown accounts", async () => {
+      jest
+        .spyOn(UserRepository, "findByEmail")
+        .mockResolvedValueOnce(user)
+        .mockResolvedValueOnce(null);
+      const storeSpy = jest
+        .spyOn(UserRepository, "setPasswordResetToken")
+        .mockResolvedValue();
+
+      const known = mockResponse();
+      await requestPasswordReset(
+        { value: { body: { email: user.email } } },
+        known
+      );
+      const unknown = mockResponse();
+      await requestPasswordReset(
+        { value: { body: { email: "nobody@example.com" } } },
+        unknown
+      );
+
+      expect(known.json.mock.calls[0][0]).toEqual(
+        unknown.json.mock.calls[0][0]
+      );
+      expect(sentMail).toHaveLength(1);
+      expect(sentMail[0].to).toBe(user.email);
+      expect(sentMail[0].text).toContain("/reset-password?token=");
+
+      const claims = verifyAccountToken(
+        tokenFromMail(sentMail[0]),
+        ACCOUNT_TOKEN_TYPES.PASSWORD_RESET
+      );
+      expect(storeSpy).toHaveBeenCalledWith(user.userId, claims.tokenId);
+    });
+
+    it("should set the password once and end all sessions", async () => {
+      const { token, tokenId } = signAccountToken(
+        user.userId,
+        ACCOUNT_TOKEN_TYPES.PASSWORD_RESET
+      );
+      jest
+        .spyOn(UserRepository, "findById")
+        .mockResolvedValue({ ...user, passwordResetTokenId: tokenId });
+      const resetSpy = jest
+        .spyOn(UserRepository, "resetPassword")
+        .mockResolvedValueOnce({ ...user })
+        .mockResolvedValueOnce(null);
+      const revokeSpy = jest
+        .spyOn(SessionRepository, "revokeAllForUser")
+        .mockResolvedValue(2);
+      const req = {
+        value: { body: { token, newPassword: "N3w-Passw0rd!" } },
+        get: () => "jest",
+      };
+
+      const first = mockResponse();
+      await resetPassword(req, first);
+      const second = mockResponse();
+      await resetPassword(req, second);
+
+      expect(first.status).toHaveBeenCalledWith(200);
+      expect(resetSpy.mock.calls[0][1]).toBe(tokenId);
+      expect(
+        await bcrypt.compare("N3w-Passw0rd!", resetSpy.mock.calls[0][2])
+      ).toBe(true);
+      expect(revokeSpy).toHaveBeenCalledWith(user.userId, "PASSWORD_RESET");
+      expect(second.status).toHaveBeenCalledWith(400);
+      expect(second.json.mock.calls[0][0].code).toBe("RESET_TOKEN_INVALID");
+    });
+
+    it("should refuse links replaced by a newer request", async () => {
+      const { token } = signAccountToken(
+        user.userId,
+        ACCOUNT_TOKEN_TYPES.PASSWORD_RESET
+      );
+      jest
+        .spyOn(UserRepository, "findById")
+        .mockResolvedValue({ ...user, passwordResetTokenId: "newer-token" });
+      const resetSpy = jest.spyOn(UserRepository, "resetPassword");
+      const res = mockResponse();
+
+      await resetPassword(
+        { value: { body: { token, newPassword: "N3w-Passw0rd!" } } },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(resetSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("email verification", () => {
+    it("should verify the address with a valid link", async () => {
+      const { token, tokenId } = signAccountToken(
+        user.userId,
+        ACCOUNT_TOKEN_TYPES.EMAIL_VERIFICATION
+      );
+      jest.spyOn(UserRepository, "findById").mockResolvedValue({
+        ...user,
+        emailVerified: false,
+        emailVerificationTokenId: tokenId,
+      });
+      const verifySpy = jest
+        .spyOn(UserRepository, "verifyEmail")
+        .mockResolvedValue({ ...user, emailVerified: true });
+      const res = mockResponse();
+
+      await verifyEmail({ value: { body: { token } }, get: () => "jest" }, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(verifySpy).toHaveBeenCalledWith(user.userId, tokenId);
+    });
+
+    it("should refuse unverified logins when the policy requires it", async () => {
+      const password = "Passw0rd!";
+      jest.spyOn(UserRepository, "findByEmail").mockResolvedValue({
+        ...user,
+        emailVerified: false,
+        password: await bcrypt.hash(password, 4),
+      });
+      AdminRepository.getSecurityPolicies.mockResolvedValue({
+        passwordPolicy: {},
+        sessionPolicy: {},
+        accessControl: { allowUnverifiedLogin: false },
+      });
+      const res = mockResponse();
+
+      await loginHandler(
+        { value: { body: { email: user.email, password } } },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0].code).toBe("EMAIL_NOT_VERIFIED");
+    });
+  });
+});
@@ -277,9 +277,15 @@ describe("Admin API Integration Tests", () => {
       jest
         .spyOn(AdminRepository, "updateUserRole")
         .mockResolvedValue(mockUpdatedUser);
+      const { UserRepository } = await import(
+        "../models/dynamodb/user-repository.js"
+      );
+      jest
+        .spyOn(UserRepository, "findById")
+        .mockResolvedValue({ userId: "user-123", role: "student" });
 
       const mockReq = {
-        user: { sub: "admin-123", isSuperAdmin: true },
+        user: { sub: "admin-123", role: "super_admin", isSuperAdmin: true },
         params: { userId: "user-123" },
         body: { role: "instructor", reason: "Approved application" },
       };
@@ -339,6 +345,13 @@ describe("Admin API Integration Tests", () => {
         approvedBy: "admin-123",
       };
 
+      const { CourseRepository } = await import(
+        "../models/dynamodb/course-repository.js"
+      );
+      jest.spyOn(CourseRepository, "findById").mockResolvedValue({
+        courseId: "course-123",
+        status: "pending_review",
+      });
       jest
         .spyOn(AdminRepository, "approveCourse")
         .mockResolvedValue(mockApprovedCourse);
@@ -186,6 +186,39 @@ describe("AdminRepository Unit Tests", () => {
     });
   });
 
+  describe("rejectCourse", () => {
+    it("should reject a pending course and log the action", async () => {
+      mockSend
+        .mockResolvedValueOnce({
+          Item: { courseId: "course-123", status: "pending_review" },
+        }) // Get course
+        .mockResolvedValueOnce({
+          Attributes: { courseId: "course-123", status: "rejected" },
+        }) // Update course
+        .mockResolvedValueOnce({}); // Log action
+
+      const result = await AdminRepository.rejectCourse(
+        "course-123",
+        "admin-456",
+        "Missing lectures"
+      );
+
+      expect(mockSend).toHaveBeenCalledTimes(3);
+      expect(mockSend).toHaveBeenNthCalledWith(2, expect.any(UpdateCommand));
+      expect(result.status).toBe("rejected");
+    });
+
+    it("should refuse to reject a draft course", async () => {
+      mockSend.mockResolvedValueOnce({
+        Item: { courseId: "course-123", status: "draft" },
+      });
+
+      await expect(
+        AdminRepository.rejectCourse("course-123", "admin-456", "No")
+      ).rejects.toThrow("Course in status draft cannot be rejected");
+    });
+  });
+
   describe("moderateContent", () => {
     it("should moderate course content and log the action", async () => {
       const updatedContent = {
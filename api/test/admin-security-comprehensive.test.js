@@ -34,6 +34,7 @@ describe("Comprehensive Admin Security and Access Control Tests", () => {
   let invalidToken;
   let suspendedAdminToken;
   let AdminRepository;
+  let UserRepository;
 
   beforeAll(async () => {
     // Import after mocking
@@ -41,6 +42,9 @@ describe("Comprehensive Admin Security and Access Control Tests", () => {
       "../models/dynamodb/admin-repository.js"
     );
     AdminRepository = adminRepoModule.AdminRepository;
+    ({ UserRepository } = await import(
+      "../models/dynamodb/user-repository.js"
+    ));
 
     // Import admin router
     const adminRouterModule = await import("../src/routers/adminRouter.js");
@@ -278,13 +282,117 @@ describe("Comprehensive Admin Security and Access Control Tests", () => {
     });
 
     describe("Regular Admin Access Restriction", () => {
-      test("should deny regular admin access to super admin endpoints", async () => {
+      // Admins used to be refused every admin endpoint; since the permission
+      // model, the built-in admin role runs the platform day to day
+      test("should let regular admins read the dashboard overview", async () => {
+        mockSend.mockResolvedValue({ Items: [], Count: 0 });
+        jest.spyOn(AdminRepository, "getPlatformMetrics").mockResolvedValue({
+          totalUsers: 100,
+          totalCourses: 50,
+          totalEnrollments: 200,
+        });
+        jest.spyOn(AdminRepository, "getAuditTrail").mockResolvedValue({
+          auditLogs: [],
+        });
+
         const response = await request(app)
           .get("/api/admin/dashboard/overview")
           .set("Authorization", `Bearer ${regularAdminToken}`);
 
+        expect(response.status).not.toBe(403);
+      });
+
+      test("should deny regular admins platform settings changes", async () => {
+        const response = await request(app)
+          .put("/api/admin/settings/platform")
+          .set("Authorization", `Bearer ${regularAdminToken}`)
+          .send({ settings: { siteName: "Changed" } });
+
         expect(response.status).toBe(403);
         expect(response.body).toHaveProperty("error");
+        expect(response.body.code).toBe("PERMISSION_DENIED");
+      });
+
+      test("should deny regular admins system operations", async () => {
+        const response = await request(app)
+          .post("/api/admin/system/backups")
+          .set("Authorization", `Bearer ${regularAdminToken}`);
+
+        expect(response.status).toBe(403);
+        expect(response.body.code).toBe("PERMISSION_DENIED");
+      });
+
+      describe("acting on a super admin", () => {
+        beforeEach(() => {
+          jest.spyOn(UserRepository, "findById").mockResolvedValue({
+            userId: "super-admin-456",
+            email: "other-superadmin@test.com",
+            role: "super_admin",
+          });
+        });
+
+        afterEach(() => {
+          jest.restoreAllMocks();
+        });
+
+        const userActions = [
+          {
+            method: "put",
+            path: "/api/admin/users/super-admin-456/status",
+            body: { status: "suspended" },
+          },
+          { method: "put", path: "/api/admin/users/super-admin-456/unlock" },
+          {
+            method: "put",
+            path: "/api/admin/users/super-admin-456/mfa/reset",
+          },
+          {
+            method: "delete",
+            path: "/api/admin/users/super-admin-456/sessions",
+          },
+          {
+            method: "delete",
+            path: "/api/admin/users/super-admin-456/sessions/session-1",
+          },
+        ];
+
+        test.each(userActions)(
+          "should deny a regular admin $method $path",
+          async ({ method, path, body }) => {
+            const deactivate = jest.spyOn(AdminRepository, "deactivateUser");
+            const unlock = jest.spyOn(UserRepository, "unlockAccount");
+            const disableMfa = jest.spyOn(UserRepository, "disableMfa");
+
+            const response = await request(app)
+              [method](path)
+              .set("Authorization", `Bearer ${regularAdminToken}`)
+              .send(body || {});
+
+            expect(response.status).toBe(403);
+            expect(response.body.code).toBe("PERMISSION_DENIED");
+            expect(deactivate).not.toHaveBeenCalled();
+            expect(unlock).not.toHaveBeenCalled();
+            expect(disableMfa).not.toHaveBeenCalled();
+          }
+        );
+
+        test("should let a regular admin unlock a student", async () => {
+          UserRepository.findById.mockResolvedValue({
+            userId: "student-456",
+            email: "student@test.com",
+            role: "student",
+          });
+          jest
+            .spyOn(UserRepository, "unlockAccount")
+            .mockResolvedValue({ userId: "student-456" });
+          jest.spyOn(AdminRepository, "logSecurityEvent").mockResolvedValue({});
+
+          const response = await request(app)
+            .put("/api/admin/users/student-456/unlock")
+            .set("Authorization", `Bearer ${regularAdminToken}`);
+
+          expect(response.status).toBe(200);
+        });
       });
     });
 
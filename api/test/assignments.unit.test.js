@@ -0,0 +1,408 @@
+import { jest } from "@jest/globals";
+import s3 from "../config/s3.js";
+import { CourseRepository } from "../models/dynamodb/course-repository.js";
+import { LectureRepository } from "../models/dynamodb/lecture-repository.js";
+import { SectionRepository } from "../models/dynamodb/section-repository.js";
+import { EnrollmentRepository } from "../models/dynamodb/enrollment-repository.js";
+import { AssignmentSubmissionRepository } from "../models/dynamodb/assignment-submission-repository.js";
+import { UserRepository } from "../models/dynamodb/user-repository.js";
+import { setMailTransport } from "../utils/mailer.js";
+import { findScoreProblem } from "../utils/assignments.js";
+import {
+  submitAssignment,
+  gradeSubmission,
+  getMyGrades,
+} from "../controllers/dynamodb/assignmentController.js";
+import { deleteLecture } from "../controllers/dynamodb/lectureController.js";
+import { updateProgress } from "../controllers/dynamodb/progressController.js";
+
+describe("Assignment Unit Tests", () => {
+  const course = {
+    courseId: "course-1",
+    title: "Intro to Testing",
+    instructorId: "instructor-1",
+  };
+  const rubric = [
+    { criterionId: "c1", title: "Correctness", maxPoints: 6 },
+    { criterionId: "c2", title: "Clarity", maxPoints: 4 },
+  ];
+  const lecture = {
+    courseId: "course-1",
+    lectureId: "assignment-1",
+    title: "Write a test plan",
+    type: "assignment",
+    assignment: {
+      instructions: "<p>Plan the tests</p>",
+      dueAt: null,
+      allowLateSubmissions: true,
+      rubric,
+    },
+  };
+  const enrollment = {
+    userId: "student-1",
+    courseId: "course-1",
+    progress: ["lecture-1"],
+  };
+  const files = [{ fileKey: "uploads/plan.pdf", fileName: "plan.pdf" }];
+  let sentMail;
+
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+
+  const mockRequest = (overrides = {}) => ({
+    user: { sub: "student-1", role: "student", name: "Ada Lovelace" },
+    params: { id: "course-1", lectureId: "assignment-1" },
+    query: {},
+    value: { body: { files, comment: "" } },
+    ...overrides,
+  });
+
+  const instructorRequest = (body) =>
+    mockRequest({
+      user: { sub: "instructor-1", role: "instructor" },
+      params: {
+        id: "course-1",
+        lectureId: "assignment-1",
+        userId: "student-1",
+      },
+      value: { body: { feedback: "", ...body } },
+    });
+
+  beforeEach(() => {
+    sentMail = [];
+    setMailTransport({
+      send: async (message) => {
+        sentMail.push(message);
+        return { messageId: "test" };
+      },
+    });
+    jest.spyOn(CourseRepository, "findById").mockResolvedValue(course);
+    jest.spyOn(LectureRepository, "findById").mockResolvedValue(lecture);
+    jest
+      .spyOn(EnrollmentRepository, "findByUserAndCourse")
+      .mockResolvedValue(enrollment);
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    setMailTransport(null);
+    jest.restoreAllMocks();
+  });
+
+  describe("findScoreProblem", () => {
+    it("should accept a score for every criterion", () => {
+      expect(
+        findScoreProblem(rubric, [
+          { criterionId: "c1", points: 6 },
+          { criterionId: "c2", points: 0 },
+        ])
+      ).toBeNull();
+    });
+
+    it("should reject missing, unknown and excessive scores", () => {
+      expect(findScoreProblem(rubric, [{ criterionId: "c1", points: 3 }])).toBe(
+        'Score "Clarity"'
+      );
+      expect(
+        findScoreProblem(rubric, [
+          { criterionId: "c1", points: 3 },
+          { criterionId: "c2", points: 3 },
+          { criterionId: "c3", points: 1 },
+        ])
+      ).toBe("Scores must match the assignment's rubric");
+      expect(
+        findScoreProblem(rubric, [
+          { criterionId: "c1", points: 7 },
+          { criterionId: "c2", points: 3 },
+        ])
+      ).toBe('"Correctness" is worth at most 6 points');
+    });
+  });
+
+  describe("submitAssignment", () => {
+    it("should save the work and complete the lecture", async () => {
+      jest
+        .spyOn(AssignmentSubmissionRepository, "findOne")
+        .mockResolvedValue(null);
+      const submit = jest
+        .spyOn(AssignmentSubmissionRepository, "submit")
+        .mockImplementation(async (submission) => ({
+          ...submission,
+          status: "submitted",
+          submittedAt: "2026-01-01T00:00:00.000Z",
+        }));
+      jest
+        .spyOn(LectureRepository, "findByCourse")
+        .mockResolvedValue([{ lectureId: "lecture-1" }, lecture]);
+      const complete = jest
+        .spyOn(EnrollmentRepository, "completeLecture")
+        .mockResolvedValue({ progress: ["lecture-1", "assignment-1"] });
+      const res = mockResponse();
+
+      await submitAssignment(mockRequest(), res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(submit).toHaveBeenCalledWith(
+        expect.objectContaining({
+          userId: "student-1",
+          userName: "Ada Lovelace",
+          files,
+          late: false,
+        })
+      );
+      expect(complete).toHaveBeenCalledWith(enrollment, "assignment-1", [
+        "lecture-1",
+        "assignment-1",
+      ]);
+      expect(res.json.mock.calls[0][0].progress).toEqual([
+        "lecture-1",
+        "assignment-1",
+      ]);
+    });
+
+    it("should delete files left out of a resubmission", async () => {
+      jest.spyOn(AssignmentSubmissionRepository, "findOne").mockResolvedValue({
+        status: "submitted",
+        files: [
+          ...files,
+          { fileKey: "uploads/draft.pdf", fileName: "draft.pdf" },
+        ],
+      });
+      jest
+        .spyOn(AssignmentSubmissionRepository, "submit")
+        .mockImplementation(async (submission) => submission);
+      jest.spyOn(LectureRepository, "findByCourse").mockResolvedValue([]);
+      jest
+        .spyOn(EnrollmentRepository, "completeLecture")
+        .mockResolvedValue({ progress: ["assignment-1"] });
+      const deleteObject = jest.spyOn(s3, "send").mockResolvedValue({});
+      const res = mockResponse();
+
+      await submitAssignment(mockRequest(), res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(deleteObject).toHaveBeenCalledTimes(1);
+      expect(deleteObject.mock.calls[0][0].input.Key).toBe("uploads/draft.pdf");
+    });
+
+    it("should refuse late work when late submissions are off", async () => {
+      LectureRepository.findById.mockResolvedValue({
+        ...lecture,
+        assignment: {
+          ...lecture.assignment,
+          dueAt: "2020-01-01T00:00:00.000Z",
+          allowLateSubmissions: false,
+        },
+      });
+      const submit = jest.spyOn(AssignmentSubmissionRepository, "submit");
+      const res = mockResponse();
+
+      await submitAssignment(mockRequest(), res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ code: "PAST_DUE" })
+      );
+      expect(submit).not.toHaveBeenCalled();
+    });
+
+    it("should not replace graded work", async () => {
+      jest
+        .spyOn(AssignmentSubmissionRepository, "findOne")
+        .mockResolvedValue({ status: "graded", files });
+      const submit = jest.spyOn(AssignmentSubmissionRepository, "submit");
+      const res = mockResponse();
+
+      await submitAssignment(mockRequest(), res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ code: "ALREADY_GRADED" })
+      );
+      expect(submit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("gradeSubmission", () => {
+    const scores = [
+      { criterionId: "c1", points: 5 },
+      { criterionId: "c2", points: 3 },
+    ];
+
+    it("should save the grade and email the learner", async () => {
+      const grade = jest
+        .spyOn(AssignmentSubmissionRepository, "grade")
+        .mockImplementation(async (userId, courseId, lectureId, result) => ({
+          userId,
+          courseId,
+          lectureId,
+          files,
+          status: "graded",
+          grade: result,
+        }));
+      jest.spyOn(UserRepository, "findById").mockResolvedValue({
+        userId: "student-1",
+        name: "Ada Lovelace",
+        email: "ada@example.com",
+      });
+      const res = mockResponse();
+
+      await gradeSubmission(
+        instructorRequest({ scores, feedback: "Solid plan" }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(grade).toHaveBeenCalledWith(
+        "student-1",
+        "course-1",
+        "assignment-1",
+        expect.objectContaining({
+          points: 8,
+          maxPoints: 10,
+          feedback: "Solid plan",
+          gradedBy: "instructor-1",
+        })
+      );
+      expect(grade.mock.calls[0][3].scores[0]).toEqual({
+        criterionId: "c1",
+        title: "Correctness",
+        maxPoints: 6,
+        points: 5,
+      });
+      expect(sentMail).toHaveLength(1);
+      expect(sentMail[0].to).toBe("ada@example.com");
+      expect(sentMail[0].text).toContain("Solid plan");
+    });
+
+    it("should reject scores that do not match the rubric", async () => {
+      const grade = jest.spyOn(AssignmentSubmissionRepository, "grade");
+      const res = mockResponse();
+
+      await gradeSubmission(
+        instructorRequest({ scores: [{ criterionId: "c1", points: 5 }] }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ code: "INVALID_GRADE" })
+      );
+      expect(grade).not.toHaveBeenCalled();
+    });
+
+    it("should answer 404 when nothing was handed in", async () => {
+      jest
+        .spyOn(AssignmentSubmissionRepository, "grade")
+        .mockResolvedValue(null);
+      const res = mockResponse();
+
+      await gradeSubmission(instructorRequest({ scores }), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(sentMail).toHaveLength(0);
+    });
+
+    it("should refuse instructors who do not own the course", async () => {
+      const grade = jest.spyOn(AssignmentSubmissionRepository, "grade");
+      const res = mockResponse();
+
+      await gradeSubmission(
+        { ...instructorRequest({ scores }), user: { sub: "instructor-2" } },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(grade).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("getMyGrades", () => {
+    it("should list assignments with their status and grade", async () => {
+      jest.spyOn(SectionRepository, "findByCourse").mockResolvedValue([]);
+      jest.spyOn(LectureRepository, "findByCourse").mockResolvedValue([
+        { lectureId: "lecture-1", title: "Welcome", createdAt: "1" },
+        { ...lecture, createdAt: "2" },
+        { ...lecture, lectureId: "assignment-2", createdAt: "3" },
+      ]);
+      jest
+        .spyOn(AssignmentSubmissionRepository, "findByUserAndCourse")
+        .mockResolvedValue([
+          {
+            lectureId: "assignment-1",
+            status: "graded",
+            submittedAt: "2026-01-01T00:00:00.000Z",
+            grade: { points: 8, maxPoints: 10 },
+          },
+        ]);
+      const res = mockResponse();
+
+      await getMyGrades(mockRequest(), res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const grades = res.json.mock.calls[0][0];
+      expect(grades).toHaveLength(2);
+      expect(grades[0]).toMatchObject({
+        lectureId: "assignment-1",
+        maxPoints: 10,
+        status: "graded",
+        grade: { points: 8 },
+      });
+      expect(grades[1]).toMatchObject({
+        lectureId: "assignment-2",
+        status: "not_submitted",
+        grade: null,
+      });
+    });
+  });
+
+  describe("deleteLecture", () => {
+    it("should remove the submissions and their files", async () => {
+      jest.spyOn(LectureRepository, "delete").mockResolvedValue();
+      jest.spyOn(LectureRepository, "findByCourse").mockResolvedValue([]);
+      jest
+        .spyOn(EnrollmentRepository, "removeLectureProgress")
+        .mockResolvedValue(0);
+      const deleteSubmissions = jest
+        .spyOn(AssignmentSubmissionRepository, "deleteByLecture")
+        .mockResolvedValue([{ userId: "student-1", files }]);
+      const deleteObject = jest.spyOn(s3, "send").mockResolvedValue({});
+      const res = mockResponse();
+
+      await deleteLecture(instructorRequest({}), res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(deleteSubmissions).toHaveBeenCalledWith(
+        "course-1",
+        "assignment-1"
+      );
+      expect(deleteObject).toHaveBeenCalledTimes(1);
+      expect(deleteObject.mock.calls[0][0].input.Key).toBe("uploads/plan.pdf");
+    });
+  });
+
+  describe("updateProgress", () => {
+    it("should not mark an assignment complete before it is handed in", async () => {
+      jest
+        .spyOn(LectureRepository, "findByCourse")
+        .mockResolvedValue([lecture]);
+      const complete = jest.spyOn(EnrollmentRepository, "completeLecture");
+      const res = mockResponse();
+
+      await updateProgress(
+        mockRequest({ body: { lectureId: "assignment-1" } }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ code: "ASSIGNMENT_NOT_SUBMITTED" })
+      );
+      expect(complete).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,313 @@
+import { jest } from "@jest/globals";
+import { CourseRepository } from "../models/dynamodb/course-repository.js";
+import { LectureRepository } from "../models/dynamodb/lecture-repository.js";
+import { SectionRepository } from "../models/dynamodb/section-repository.js";
+import { EnrollmentRepository } from "../models/dynamodb/enrollment-repository.js";
+import { CaptionRepository } from "../models/dynamodb/caption-repository.js";
+import { cuesToVtt, parseCaptions } from "../utils/captions.js";
+import {
+  uploadCaptions,
+  deleteCaptions,
+  getCaptionFile,
+  searchCourseCaptions,
+} from "../controllers/dynamodb/captionController.js";
+
+describe("Caption Unit Tests", () => {
+  const course = { courseId: "course-1", instructorId: "instructor-1" };
+  const video = {
+    courseId: "course-1",
+    lectureId: "lecture-1",
+    title: "Closures",
+    position: 1,
+    captions: [{ language: "es", label: "Español" }],
+  };
+  const intro = {
+    courseId: "course-1",
+    lectureId: "lecture-0",
+    title: "Welcome",
+    position: 0,
+  };
+  const quiz = {
+    courseId: "course-1",
+    lectureId: "quiz-1",
+    title: "Closures quiz",
+    type: "quiz",
+  };
+  const srt = [
+    "1",
+    "00:00:01,000 --> 00:00:04,500",
+    "{\\an8}Closures keep <i>their</i> scope",
+    "",
+    "2",
+    "00:01:05,200 --> 00:01:07,000",
+    "Even after the function returns",
+    "",
+  ].join("\r\n");
+
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    res.send = jest.fn(() => res);
+    res.setHeader = jest.fn();
+    return res;
+  };
+
+  const mockRequest = (overrides = {}) => ({
+    user: { sub: "instructor-1", role: "instructor" },
+    params: { id: "course-1", lectureId: "lecture-1" },
+    query: {},
+    value: { body: {} },
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    jest.spyOn(CourseRepository, "findById").mockResolvedValue(course);
+    jest
+      .spyOn(LectureRepository, "findById")
+      .mockImplementation(async (courseId, lectureId) =>
+        [video, intro, quiz].find((lecture) => lecture.lectureId === lectureId)
+      );
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("parseCaptions", () => {
+    it("should convert SRT to WebVTT", () => {
+      const cues = parseCaptions(srt);
+
+      expect(cues).toEqual([
+        { start: 1, end: 4.5, text: "Closures keep <i>their</i> scope" },
+        { start: 65.2, end: 67, text: "Even after the function returns" },
+      ]);
+      expect(cuesToVtt(cues)).toBe(
+        [
+          "WEBVTT",
+          "",
+          "00:00:01.000 --> 00:00:04.500",
+          "Closures keep <i>their</i> scope",
+          "",
+          "00:01:05.200 --> 00:01:07.000",
+          "Even after the function returns",
+          "",
+        ].join("\n")
+      );
+    });
+
+    it("should keep WebVTT cue settings and skip comments", () => {
+      const vtt =
+        "WEBVTT\n\nNOTE reviewed\n\nintro\n01:02.000 --> 01:03.500 line:0\nHello\n";
+
+      expect(parseCaptions(vtt)).toEqual([
+        { start: 62, end: 63.5, text: "Hello", settings: "line:0" },
+      ]);
+    });
+
+    it("should reject files with malformed cues or no cues", () => {
+      expect(parseCaptions("1\n00:00:05,000 -> 00:00:06,000\nHi\n")).toBeNull();
+      expect(parseCaptions("WEBVTT\n\n00:05.000 --> 00:01.000\nHi\n")).toBe(
+        null
+      );
+      expect(parseCaptions("WEBVTT\n")).toBeNull();
+    });
+  });
+
+  describe("uploadCaptions", () => {
+    const body = { language: "en", label: "English", content: srt };
+
+    it("should save the track and list it on the lecture", async () => {
+      const save = jest
+        .spyOn(CaptionRepository, "save")
+        .mockImplementation(async (track) => track);
+      const update = jest
+        .spyOn(LectureRepository, "update")
+        .mockResolvedValue({});
+      const res = mockResponse();
+
+      await uploadCaptions(mockRequest({ value: { body } }), res);
+
+      expect(save).toHaveBeenCalledWith({
+        courseId: "course-1",
+        lectureId: "lecture-1",
+        language: "en",
+        label: "English",
+        cues: parseCaptions(srt),
+      });
+      expect(update).toHaveBeenCalledWith("course-1", "lecture-1", {
+        captions: [
+          { language: "en", label: "English" },
+          { language: "es", label: "Español" },
+        ],
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith({
+        language: "en",
+        label: "English",
+        cueCount: 2,
+      });
+    });
+
+    it("should reject files that are not captions", async () => {
+      const save = jest.spyOn(CaptionRepository, "save");
+      const res = mockResponse();
+
+      await uploadCaptions(
+        mockRequest({ value: { body: { ...body, content: "not captions" } } }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ code: "INVALID_CAPTIONS" })
+      );
+      expect(save).not.toHaveBeenCalled();
+    });
+
+    it("should only caption video lectures", async () => {
+      const res = mockResponse();
+
+      await uploadCaptions(
+        mockRequest({
+          params: { id: "course-1", lectureId: "quiz-1" },
+          value: { body },
+        }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ code: "NOT_A_VIDEO" })
+      );
+    });
+
+    it("should refuse instructors who do not own the course", async () => {
+      const res = mockResponse();
+
+      await uploadCaptions(
+        mockRequest({
+          user: { sub: "instructor-2", role: "instructor" },
+          value: { body },
+        }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+  });
+
+  describe("deleteCaptions", () => {
+    it("should remove the track from the lecture", async () => {
+      jest.spyOn(CaptionRepository, "delete").mockResolvedValue(true);
+      const update = jest
+        .spyOn(LectureRepository, "update")
+        .mockResolvedValue({});
+      const res = mockResponse();
+
+      await deleteCaptions(
+        mockRequest({
+          params: { id: "course-1", lectureId: "lecture-1", language: "es" },
+        }),
+        res
+      );
+
+      expect(update).toHaveBeenCalledWith("course-1", "lecture-1", {
+        captions: [],
+      });
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  describe("getCaptionFile", () => {
+    it("should serve the track as WebVTT", async () => {
+      jest.spyOn(CaptionRepository, "findOne").mockResolvedValue({
+        cues: parseCaptions(srt),
+      });
+      const res = mockResponse();
+
+      await getCaptionFile(
+        mockRequest({
+          params: { id: "course-1", lectureId: "lecture-1", language: "en" },
+        }),
+        res
+      );
+
+      expect(res.setHeader).toHaveBeenCalledWith(
+        "Content-Type",
+        "text/vtt; charset=utf-8"
+      );
+      expect(res.send.mock.calls[0][0]).toMatch(/^WEBVTT\n/);
+    });
+  });
+
+  describe("searchCourseCaptions", () => {
+    const student = { sub: "student-1", role: "student" };
+
+    it("should find cues in curriculum order", async () => {
+      jest
+        .spyOn(EnrollmentRepository, "findByUserAndCourse")
+        .mockResolvedValue({ userId: "student-1" });
+      jest.spyOn(SectionRepository, "findByCourse").mockResolvedValue([]);
+      jest
+        .spyOn(LectureRepository, "findByCourse")
+        .mockResolvedValue([video, intro]);
+      jest.spyOn(CaptionRepository, "findByCourse").mockResolvedValue([
+        { lectureId: "lecture-1", language: "en", cues: parseCaptions(srt) },
+        {
+          lectureId: "lecture-0",
+          language: "en",
+          cues: [{ start: 3, end: 5, text: "Today: <b>closures</b>" }],
+        },
+        {
+          lectureId: "deleted-lecture",
+          language: "en",
+          cues: [{ start: 0, end: 1, text: "Closures" }],
+        },
+      ]);
+      const res = mockResponse();
+
+      await searchCourseCaptions(
+        mockRequest({ user: student, query: { q: "CLOSURES" } }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith([
+        {
+          lectureId: "lecture-0",
+          lectureTitle: "Welcome",
+          language: "en",
+          start: 3,
+          end: 5,
+          text: "Today: closures",
+        },
+        {
+          lectureId: "lecture-1",
+          lectureTitle: "Closures",
+          language: "en",
+          start: 1,
+          end: 4.5,
+          text: "Closures keep their scope",
+        },
+      ]);
+    });
+
+    it("should refuse learners who are not enrolled", async () => {
+      jest
+        .spyOn(EnrollmentRepository, "findByUserAndCourse")
+        .mockResolvedValue(null);
+      const findByCourse = jest.spyOn(CaptionRepository, "findByCourse");
+      const res = mockResponse();
+
+      await searchCourseCaptions(
+        mockRequest({ user: student, query: { q: "closures" } }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(findByCourse).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -4,6 +4,10 @@ import {
   isValidRole,
   hasAdminPrivileges,
   hasSuperAdminPrivileges,
+  COURSE_STATUS,
+  VALID_COURSE_STATUSES,
+  isCourseVisibleInCatalog,
+  canTransitionCourseStatus,
 } from "../utils/constants.js";
 
 describe("Constants Unit Tests", () => {
@@ -67,4 +71,70 @@ describe("Constants Unit Tests", () => {
       expect(hasSuperAdminPrivileges("invalid")).toBe(false);
     });
   });
+
+  describe("COURSE_STATUS", () => {
+    it("should have all lifecycle statuses", () => {
+      expect(COURSE_STATUS.DRAFT).toBe("draft");
+      expect(COURSE_STATUS.PENDING_REVIEW).toBe("pending_review");
+      expect(COURSE_STATUS.APPROVED).toBe("approved");
+      expect(COURSE_STATUS.REJECTED).toBe("rejected");
+      expect(COURSE_STATUS.PUBLISHED).toBe("published");
+      expect(VALID_COURSE_STATUSES).toHaveLength(5);
+    });
+  });
+
+  describe("isCourseVisibleInCatalog", () => {
+    it("should return true for published courses", () => {
+      expect(isCourseVisibleInCatalog("published")).toBe(true);
+    });
+
+    it("should treat legacy courses without status as published", () => {
+      expect(isCourseVisibleInCatalog(undefined)).toBe(true);
+      expect(isCourseVisibleInCatalog(null)).toBe(true);
+    });
+
+    it("should return false for courses that have not passed review", () => {
+      expect(isCourseVisibleInCatalog("draft")).toBe(false);
+      expect(isCourseVisibleInCatalog("pending_review")).toBe(false);
+      expect(isCourseVisibleInCatalog("rejected")).toBe(false);
+    });
+
+    it("should hide approved courses until they are published", () => {
+      expect(isCourseVisibleInCatalog("approved")).toBe(false);
+    });
+  });
+
+  describe("canTransitionCourseStatus", () => {
+    it("should allow submitting a draft for review or publishing it", () => {
+      expect(canTransitionCourseStatus("draft", "pending_review")).toBe(true);
+      expect(canTransitionCourseStatus("draft", "published")).toBe(true);
+    });
+
+    it("should allow reviewing a pending course", () => {
+      expect(canTransitionCourseStatus("pending_review", "approved")).toBe(
+        true
+      );
+      expect(canTransitionCourseStatus("pending_review", "rejected")).toBe(
+        true
+      );
+    });
+
+    it("should allow resubmitting a rejected course", () => {
+      expect(canTransitionCourseStatus("rejected", "pending_review")).toBe(
+        true
+      );
+    });
+
+    it("should not allow skipping review", () => {
+      expect(canTransitionCourseStatus("draft", "approved")).toBe(false);
+      expect(canTransitionCourseStatus("rejected", "approved")).toBe(false);
+    });
+
+    it("should treat legacy courses as published", () => {
+      expect(canTransitionCourseStatus(undefined, "rejected")).toBe(true);
+      expect(canTransitionCourseStatus(undefined, "pending_review")).toBe(
+        false
+      );
+    });
+  });
 });
@@ -0,0 +1,82 @@
+import { jest } from "@jest/globals";
+import { CourseRepository } from "../models/dynamodb/course-repository.js";
+import { publishCourse } from "../controllers/dynamodb/courseController.js";
+
+describe("Course Publish Unit Tests", () => {
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+
+  const mockRequest = (overrides = {}) => ({
+    user: { sub: "instructor-1", role: "instructor" },
+    params: { id: "course-1" },
+    ...overrides,
+  });
+
+  const findCourse = (status) =>
+    jest.spyOn(CourseRepository, "findById").mockResolvedValue({
+      courseId: "course-1",
+      instructorId: "instructor-1",
+      status,
+    });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should publish an approved course", async () => {
+    findCourse("approved");
+    const updateStatus = jest
+      .spyOn(CourseRepository, "updateStatus")
+      .mockResolvedValue({ courseId: "course-1", status: "published" });
+    const res = mockResponse();
+
+    await publishCourse(mockRequest(), res);
+
+    expect(updateStatus).toHaveBeenCalledWith(
+      "course-1",
+      "approved",
+      "published",
+      { publishedAt: expect.any(String) }
+    );
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({
+      message: "Course published successfully",
+      course: { courseId: "course-1", status: "published" },
+    });
+  });
+
+  it.each(["draft", "pending_review", "rejected", "published"])(
+    "should not publish a %s course",
+    async (status) => {
+      findCourse(status);
+      const updateStatus = jest.spyOn(CourseRepository, "updateStatus");
+      const res = mockResponse();
+
+      await publishCourse(mockRequest(), res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ code: "INVALID_STATUS_TRANSITION" })
+      );
+      expect(updateStatus).not.toHaveBeenCalled();
+    }
+  );
+
+  it("should refuse instructors who do not own the course", async () => {
+    findCourse("approved");
+    const updateStatus = jest.spyOn(CourseRepository, "updateStatus");
+    const res = mockResponse();
+
+    await publishCourse(
+      mockRequest({ user: { sub: "instructor-2", role: "instructor" } }),
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(updateStatus).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,262 @@
+import { jest } from "@jest/globals";
+import { CourseRepository } from "../models/dynamodb/course-repository.js";
+import { LectureRepository } from "../models/dynamodb/lecture-repository.js";
+import { SectionRepository } from "../models/dynamodb/section-repository.js";
+import {
+  buildCurriculum,
+  nextPosition,
+  orderLectures,
+} from "../utils/curriculum.js";
+import {
+  createSection,
+  deleteSection,
+  reorderCurriculum,
+  moveLecture,
+} from "../controllers/dynamodb/curriculumController.js";
+
+describe("Curriculum Unit Tests", () => {
+  const course = { courseId: "course-1", instructorId: "instructor-1" };
+
+  const sections = [
+    { sectionId: "section-b", title: "Basics", position: 1 },
+    { sectionId: "section-a", title: "Setup", position: 0 },
+  ];
+
+  const lectures = [
+    { lectureId: "lecture-3", sectionId: "section-b", position: 0 },
+    { lectureId: "lecture-2", sectionId: "section-a", position: 1 },
+    { lectureId: "lecture-1", sectionId: "section-a", position: 0 },
+  ];
+
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+
+  const mockRequest = (overrides = {}) => ({
+    user: { sub: "instructor-1", role: "instructor" },
+    params: { id: "course-1" },
+    value: { body: {} },
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    jest.spyOn(CourseRepository, "findById").mockResolvedValue(course);
+    jest.spyOn(SectionRepository, "findByCourse").mockResolvedValue(sections);
+    jest.spyOn(LectureRepository, "findByCourse").mockResolvedValue(lectures);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("ordering", () => {
+    it("should order sections and lectures by position", () => {
+      const curriculum = buildCurriculum(sections, lectures);
+
+      expect(curriculum.sections.map((s) => s.sectionId)).toEqual([
+        "section-a",
+        "section-b",
+      ]);
+      expect(orderLectures(sections, lectures).map((l) => l.lectureId)).toEqual(
+        ["lecture-1", "lecture-2", "lecture-3"]
+      );
+    });
+
+    it("should put lectures without a position after the rest, oldest first", () => {
+      const legacy = [
+        { lectureId: "newer", createdAt: "2026-02-01T00:00:00.000Z" },
+        { lectureId: "older", createdAt: "2026-01-01T00:00:00.000Z" },
+        { lectureId: "placed", position: 0, createdAt: "2026-03-01" },
+      ];
+
+      expect(orderLectures([], legacy).map((l) => l.lectureId)).toEqual([
+        "placed",
+        "older",
+        "newer",
+      ]);
+      expect(nextPosition(legacy)).toBeNull();
+      expect(nextPosition([legacy[2]])).toBe(1);
+    });
+
+    it("should treat lectures of a deleted section as unsectioned", () => {
+      const curriculum = buildCurriculum(
+        [],
+        [{ lectureId: "lecture-1", sectionId: "gone", position: 0 }]
+      );
+
+      expect(curriculum.unsectioned).toHaveLength(1);
+    });
+  });
+
+  describe("createSection", () => {
+    it("should add the section after the existing ones", async () => {
+      const create = jest
+        .spyOn(SectionRepository, "create")
+        .mockImplementation(async (item) => ({ sectionId: "new", ...item }));
+      const res = mockResponse();
+
+      await createSection(
+        mockRequest({ value: { body: { title: "Advanced" } } }),
+        res
+      );
+
+      expect(create).toHaveBeenCalledWith({
+        courseId: "course-1",
+        title: "Advanced",
+        position: 2,
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it("should reject instructors who do not own the course", async () => {
+      const create = jest.spyOn(SectionRepository, "create");
+      const res = mockResponse();
+
+      await createSection(
+        mockRequest({
+          user: { sub: "instructor-2", role: "instructor" },
+          value: { body: { title: "Advanced" } },
+        }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("deleteSection", () => {
+    it("should refuse to delete a section that still has lectures", async () => {
+      jest.spyOn(SectionRepository, "findById").mockResolvedValue(sections[1]);
+      const remove = jest.spyOn(SectionRepository, "delete");
+      const res = mockResponse();
+
+      await deleteSection(
+        mockRequest({ params: { id: "course-1", sectionId: "section-a" } }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ code: "SECTION_NOT_EMPTY" })
+      );
+      expect(remove).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("reorderCurriculum", () => {
+    it("should write only the items whose place changed", async () => {
+      const updateSection = jest
+        .spyOn(SectionRepository, "update")
+        .mockResolvedValue({});
+      const updateLecture = jest
+        .spyOn(LectureRepository, "update")
+        .mockResolvedValue({});
+      const res = mockResponse();
+
+      await reorderCurriculum(
+        mockRequest({
+          value: {
+            body: {
+              sections: [
+                { sectionId: "section-a", lectureIds: ["lecture-2"] },
+                {
+                  sectionId: "section-b",
+                  lectureIds: ["lecture-3", "lecture-1"],
+                },
+              ],
+              unsectionedLectureIds: [],
+            },
+          },
+        }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(updateSection).not.toHaveBeenCalled();
+      expect(updateLecture).toHaveBeenCalledTimes(2);
+      expect(updateLecture).toHaveBeenCalledWith("course-1", "lecture-2", {
+        sectionId: "section-a",
+        position: 0,
+      });
+      expect(updateLecture).toHaveBeenCalledWith("course-1", "lecture-1", {
+        sectionId: "section-b",
+        position: 1,
+      });
+    });
+
+    it("should reject an order that leaves out a lecture", async () => {
+      const updateLecture = jest.spyOn(LectureRepository, "update");
+      const res = mockResponse();
+
+      await reorderCurriculum(
+        mockRequest({
+          value: {
+            body: {
+              sections: [
+                { sectionId: "section-a", lectureIds: ["lecture-1"] },
+                { sectionId: "section-b", lectureIds: ["lecture-3"] },
+              ],
+              unsectionedLectureIds: [],
+            },
+          },
+        }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ code: "CURRICULUM_MISMATCH" })
+      );
+      expect(updateLecture).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("moveLecture", () => {
+    it("should move a lecture out of its section", async () => {
+      const updateLecture = jest
+        .spyOn(LectureRepository, "update")
+        .mockResolvedValue({});
+      const res = mockResponse();
+
+      await moveLecture(
+        mockRequest({
+          params: { id: "course-1", lectureId: "lecture-1" },
+          value: { body: { sectionId: null, position: 0 } },
+        }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(updateLecture).toHaveBeenCalledWith("course-1", "lecture-1", {
+        sectionId: null,
+        position: 0,
+      });
+      // lecture-2 moves up to fill the gap
+      expect(updateLecture).toHaveBeenCalledWith("course-1", "lecture-2", {
+        sectionId: "section-a",
+        position: 0,
+      });
+    });
+
+    it("should return 404 for a section outside the course", async () => {
+      const res = mockResponse();
+
+      await moveLecture(
+        mockRequest({
+          params: { id: "course-1", lectureId: "lecture-1" },
+          value: { body: { sectionId: "elsewhere", position: 0 } },
+        }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ code: "SECTION_NOT_FOUND" })
+      );
+    });
+  });
+});
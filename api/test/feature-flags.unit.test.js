@@ -0,0 +1,156 @@
+import {
+  normalizeFeatureFlag,
+  getRolloutBucket,
+  evaluateFeatureFlag,
+  evaluateFeatureFlags,
+  validateFeatureFlags,
+} from "../utils/featureFlags.js";
+
+describe("Feature Flag Evaluation Unit Tests", () => {
+  const student = { sub: "user-1", role: "student" };
+  const instructor = { sub: "user-2", role: "instructor" };
+
+  describe("normalizeFeatureFlag", () => {
+    it("should convert legacy boolean flags to rule objects", () => {
+      expect(normalizeFeatureFlag(true)).toEqual({
+        enabled: true,
+        rules: { roles: [], users: [], percentage: null },
+      });
+    });
+
+    it("should treat missing flags as disabled", () => {
+      expect(normalizeFeatureFlag(undefined).enabled).toBe(false);
+    });
+  });
+
+  describe("evaluateFeatureFlag", () => {
+    it("should honour plain boolean flags", () => {
+      expect(evaluateFeatureFlag("enableCertificates", true, student)).toBe(
+        true
+      );
+      expect(evaluateFeatureFlag("enableCertificates", false, student)).toBe(
+        false
+      );
+    });
+
+    it("should be off when the master switch is off, whatever the rules", () => {
+      const flag = { enabled: false, rules: { users: ["user-1"] } };
+      expect(evaluateFeatureFlag("enableLiveStreaming", flag, student)).toBe(
+        false
+      );
+    });
+
+    it("should be on for everyone when enabled without rules", () => {
+      const flag = { enabled: true, rules: {} };
+      expect(evaluateFeatureFlag("enableLiveStreaming", flag, null)).toBe(true);
+    });
+
+    it("should target roles", () => {
+      const flag = { enabled: true, rules: { roles: ["instructor"] } };
+      expect(evaluateFeatureFlag("enableLiveStreaming", flag, instructor)).toBe(
+        true
+      );
+      expect(evaluateFeatureFlag("enableLiveStreaming", flag, student)).toBe(
+        false
+      );
+    });
+
+    it("should target individual users", () => {
+      const flag = { enabled: true, rules: { users: ["user-1"] } };
+      expect(evaluateFeatureFlag("enableLiveStreaming", flag, student)).toBe(
+        true
+      );
+      expect(evaluateFeatureFlag("enableLiveStreaming", flag, instructor)).toBe(
+        false
+      );
+    });
+
+    it("should roll out to users whose bucket is below the percentage", () => {
+      const bucket = getRolloutBucket("enableLiveStreaming", "user-1");
+      const included = { enabled: true, rules: { percentage: bucket + 1 } };
+      const excluded = { enabled: true, rules: { percentage: bucket } };
+
+      expect(
+        evaluateFeatureFlag("enableLiveStreaming", included, student)
+      ).toBe(true);
+      expect(
+        evaluateFeatureFlag("enableLiveStreaming", excluded, student)
+      ).toBe(false);
+    });
+
+    it("should only include anonymous users in a full rollout", () => {
+      expect(
+        evaluateFeatureFlag(
+          "enableLiveStreaming",
+          { enabled: true, rules: { percentage: 50 } },
+          null
+        )
+      ).toBe(false);
+      expect(
+        evaluateFeatureFlag(
+          "enableLiveStreaming",
+          { enabled: true, rules: { percentage: 100 } },
+          null
+        )
+      ).toBe(true);
+    });
+  });
+
+  describe("getRolloutBucket", () => {
+    it("should be stable and within 0-99", () => {
+      const bucket = getRolloutBucket("enableCertificates", "user-1");
+      expect(bucket).toBe(getRolloutBucket("enableCertificates", "user-1"));
+      expect(bucket).toBeGreaterThanOrEqual(0);
+      expect(bucket).toBeLessThan(100);
+    });
+  });
+
+  describe("evaluateFeatureFlags", () => {
+    it("should fill in defaults for flags that were never saved", () => {
+      const flags = evaluateFeatureFlags({ enableCertificates: false }, null);
+
+      expect(flags.enableCertificates).toBe(false);
+      expect(flags.enableCourseReviews).toBe(true);
+      expect(flags.enableLiveStreaming).toBe(false);
+    });
+  });
+
+  describe("validateFeatureFlags", () => {
+    it("should accept booleans and well-formed rule objects", () => {
+      const result = validateFeatureFlags({
+        enableCertificates: true,
+        enableLiveStreaming: {
+          enabled: true,
+          rules: { roles: ["instructor"], users: ["user-1"], percentage: 10 },
+        },
+      });
+
+      expect(result.isValid).toBe(true);
+      expect(result.errors).toEqual([]);
+    });
+
+    it("should reject unknown roles and out of range percentages", () => {
+      const result = validateFeatureFlags({
+        enableLiveStreaming: {
+          enabled: true,
+          rules: { roles: ["wizard"], percentage: 150 },
+        },
+      });
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toEqual([
+        "enableLiveStreaming.rules.roles contains invalid role: wizard",
+        "enableLiveStreaming.rules.percentage must be between 0 and 100",
+      ]);
+    });
+
+    it("should reject values that are neither booleans nor objects", () => {
+      const result = validateFeatureFlags({ enableCertificates: "yes" });
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors[0]).toBe(
+        "enableCertificates must be a boolean or a rule object"
+      );
+    });
+  });
+});
@@ -0,0 +1,233 @@
+import { jest } from "@jest/globals";
+import { EventEmitter } from "events";
+import jwt from "jsonwebtoken";
+import dynamoDb from "../config/dynamodb.js";
+import { AdminRepository } from "../models/dynamodb/admin-repository.js";
+import { UserRepository } from "../models/dynamodb/user-repository.js";
+import { SessionRepository } from "../models/dynamodb/session-repository.js";
+import auditLogger from "../middlewares/auditLogger.js";
+
+describe("Impersonation Unit Tests", () => {
+  let startImpersonation;
+  let stopImpersonation;
+  let verifyAccessToken;
+  let clearSessionPolicyCache;
+  let blockImpersonation;
+
+  const admin = { sub: "admin-1", role: "super_admin", sid: "session-1" };
+  const student = {
+    userId: "user-1",
+    name: "Student",
+    email: "student@example.com",
+    role: "student",
+    accountStatus: "active",
+  };
+  const adminSession = {
+    userId: admin.sub,
+    sessionId: admin.sid,
+    createdAt: new Date().toISOString(),
+    lastActiveAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+  };
+
+  const mockResponse = () => {
+    const res = new EventEmitter();
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    res.send = jest.fn(() => res);
+    res.cookie = jest.fn(() => res);
+    res.clearCookie = jest.fn(() => res);
+    return res;
+  };
+
+  const start = async (userId = student.userId) => {
+    const res = mockResponse();
+    await startImpersonation({ user: admin, params: { userId } }, res);
+    return res;
+  };
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = "impersonation-test-secret";
+
+    // These modules read JWT_SECRET when they load
+    ({ startImpersonation, stopImpersonation } = await import(
+      "../controllers/dynamodb/impersonationController.js"
+    ));
+    ({ verifyAccessToken, clearSessionPolicyCache } = await import(
+      "../middlewares/authenticateToken.js"
+    ));
+    ({ blockImpersonation } = await import("../middlewares/impersonation.js"));
+  });
+
+  beforeEach(() => {
+    clearSessionPolicyCache();
+    jest
+      .spyOn(AdminRepository, "getSecurityPolicies")
+      .mockResolvedValue({ sessionPolicy: {} });
+    jest.spyOn(UserRepository, "findById").mockResolvedValue(student);
+    jest.spyOn(SessionRepository, "setImpersonation").mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("startImpersonation", () => {
+    it("should issue a short-lived token marked as impersonated", async () => {
+      const res = await start();
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const { token, user } = res.json.mock.calls[0][0].data;
+      const payload = jwt.verify(token, process.env.JWT_SECRET);
+      expect(payload).toMatchObject({
+        sub: student.userId,
+        role: "student",
+        sid: admin.sid,
+        impersonatedBy: admin.sub,
+      });
+      expect(payload.exp - payload.iat).toBe(15 * 60);
+      expect(user.permissions).toEqual([]);
+      expect(SessionRepository.setImpersonation).toHaveBeenCalledWith(
+        admin.sub,
+        admin.sid,
+        payload.impersonationId
+      );
+    });
+
+    it("should refuse to impersonate staff", async () => {
+      UserRepository.findById.mockResolvedValue({
+        ...student,
+        role: "admin",
+      });
+
+      const res = await start();
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0].code).toBe("IMPERSONATION_NOT_ALLOWED");
+      expect(SessionRepository.setImpersonation).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("impersonation tokens", () => {
+    it("should be accepted while the admin session runs the impersonation", async () => {
+      const res = await start();
+      const { token } = res.json.mock.calls[0][0].data;
+      const { impersonationId } = jwt.decode(token);
+      const findSpy = jest
+        .spyOn(SessionRepository, "findById")
+        .mockResolvedValue({ ...adminSession, impersonationId });
+
+      const payload = await verifyAccessToken(token);
+
+      expect(payload.sub).toBe(student.userId);
+      expect(findSpy).toHaveBeenCalledWith(admin.sub, admin.sid);
+    });
+
+    it("should be refused once the impersonation has stopped", async () => {
+      const res = await start();
+      const { token } = res.json.mock.calls[0][0].data;
+      jest.spyOn(SessionRepository, "findById").mockResolvedValue(adminSession);
+
+      await expect(verifyAccessToken(token)).rejects.toMatchObject({
+        name: "ImpersonationEndedError",
+      });
+    });
+
+    it("should end the impersonation on stop", async () => {
+      const res = mockResponse();
+
+      await stopImpersonation(
+        { user: { sub: student.userId, ...admin, impersonatedBy: admin.sub } },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(SessionRepository.setImpersonation).toHaveBeenCalledWith(
+        admin.sub,
+        admin.sid,
+        null
+      );
+    });
+  });
+
+  describe("blockImpersonation", () => {
+    it("should refuse destructive actions while impersonating", () => {
+      const res = mockResponse();
+      const next = jest.fn();
+
+      blockImpersonation(
+        { user: { sub: student.userId, impersonatedBy: admin.sub } },
+        res,
+        next
+      );
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0].code).toBe("IMPERSONATION_FORBIDDEN");
+    });
+
+    it("should guard every course change", async () => {
+      const { default: courseRouter } = await import(
+        "../src/routers/courseRouter.js"
+      );
+
+      const unguarded = courseRouter.stack
+        .filter(({ route }) => route && !route.methods.get)
+        .filter(
+          ({ route }) =>
+            !route.stack.some(({ handle }) => handle === blockImpersonation)
+        )
+        .map(({ route }) => `${Object.keys(route.methods)} ${route.path}`);
+
+      expect(unguarded).toEqual([]);
+    });
+
+    it("should let the real user through", () => {
+      const next = jest.fn();
+
+      blockImpersonation(
+        { user: { sub: student.userId } },
+        mockResponse(),
+        next
+      );
+
+      expect(next).toHaveBeenCalled();
+    });
+  });
+
+  describe("auditLogger", () => {
+    it("should log impersonated requests once for the admin without secrets", async () => {
+      const sendSpy = jest.spyOn(dynamoDb, "send").mockResolvedValue({});
+      const req = {
+        user: {
+          sub: student.userId,
+          role: "student",
+          impersonatedBy: admin.sub,
+        },
+        method: "PUT",
+        originalUrl: "/api/enroll/course-1/progress",
+        body: { lectureId: "lecture-1", password: "hunter22" },
+        ip: "127.0.0.1",
+        get: () => "jest",
+      };
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await auditLogger()(req, res, next);
+      await auditLogger("PROGRESS_UPDATE")(req, res, next);
+      res.json({ success: true });
+      res.emit("finish");
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(next).toHaveBeenCalledTimes(2);
+      expect(sendSpy).toHaveBeenCalledTimes(1);
+      const item = sendSpy.mock.calls[0][0].input.Item;
+      expect(item).toMatchObject({
+        adminId: admin.sub,
+        impersonatedUserId: student.userId,
+        action: "PROGRESS_UPDATE",
+      });
+      expect(item.requestBody.password).toBe("[REDACTED]");
+    });
+  });
+});
@@ -0,0 +1,304 @@
+import { jest } from "@jest/globals";
+import { setMailTransport } from "../utils/mailer.js";
+import {
+  instructorApplicationSchema,
+  applicationRejectionSchema,
+} from "../src/validate/validator.js";
+import { InstructorApplicationRepository } from "../models/dynamodb/instructor-application-repository.js";
+import { UserRepository } from "../models/dynamodb/user-repository.js";
+import { CategoryRepository } from "../models/dynamodb/category-repository.js";
+import { AdminRepository } from "../models/dynamodb/admin-repository.js";
+import { SessionRepository } from "../models/dynamodb/session-repository.js";
+import authorizeRole from "../middlewares/authorizeRole.js";
+
+describe("Instructor Application Unit Tests", () => {
+  const JWT_SECRET = "application-test-secret";
+  let sentMail;
+  let submitApplication;
+  let approveInstructorApplication;
+  let rejectInstructorApplication;
+  let authenticateToken;
+  let generateToken;
+
+  const student = {
+    userId: "user-1",
+    name: "Test Student",
+    email: "student@example.com",
+    role: "student",
+  };
+  const body = {
+    bio: "I have taught web development at a bootcamp for five years and mentor juniors at work.",
+    expertise: ["category-1"],
+    sampleMaterial: [
+      { title: "Intro to closures", url: "https://example.com/closures" },
+    ],
+  };
+  const pendingApplication = {
+    userId: student.userId,
+    status: "pending",
+    expertise: [{ categoryId: "category-1", name: "Web Development" }],
+  };
+
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+
+  const submit = async () => {
+    const res = mockResponse();
+    await submitApplication(
+      { user: { sub: student.userId }, value: { body } },
+      res
+    );
+    return res;
+  };
+
+  const review = async (handler, notes, app) => {
+    const res = mockResponse();
+    await handler(
+      {
+        user: { sub: "admin-1" },
+        params: { userId: student.userId },
+        value: { body: { notes } },
+        app,
+      },
+      res
+    );
+    return res;
+  };
+
+  beforeAll(async () => {
+    // The auth modules read JWT_SECRET when they load
+    process.env.JWT_SECRET = JWT_SECRET;
+    ({
+      submitApplication,
+      approveInstructorApplication,
+      rejectInstructorApplication,
+    } = await import(
+      "../controllers/dynamodb/instructorApplicationController.js"
+    ));
+    ({ generateToken } = await import(
+      "../controllers/dynamodb/authController.js"
+    ));
+    ({ default: authenticateToken } = await import(
+      "../middlewares/authenticateToken.js"
+    ));
+  });
+
+  beforeEach(() => {
+    sentMail = [];
+    setMailTransport({
+      send: async (message) => {
+        sentMail.push(message);
+        return { messageId: "test" };
+      },
+    });
+    jest.spyOn(UserRepository, "findById").mockResolvedValue(student);
+    jest.spyOn(CategoryRepository, "findById").mockResolvedValue({
+      categoryId: "category-1",
+      name: "Web Development",
+    });
+    jest
+      .spyOn(InstructorApplicationRepository, "findByUser")
+      .mockResolvedValue(pendingApplication);
+    jest.spyOn(AdminRepository, "updateUserRole").mockResolvedValue({});
+    jest.spyOn(SessionRepository, "revokeAllForUser").mockResolvedValue(1);
+  });
+
+  afterEach(() => {
+    setMailTransport(null);
+    jest.restoreAllMocks();
+  });
+
+  describe("validation", () => {
+    it("should require a bio, expertise and sample material", () => {
+      expect(instructorApplicationSchema.validate(body).error).toBeUndefined();
+      expect(
+        instructorApplicationSchema.validate({ ...body, bio: "Too short" })
+          .error
+      ).toBeDefined();
+      expect(
+        instructorApplicationSchema.validate({ ...body, sampleMaterial: [] })
+          .error
+      ).toBeDefined();
+      expect(
+        instructorApplicationSchema.validate({
+          ...body,
+          sampleMaterial: [{ title: "Script", url: "javascript:alert(1)" }],
+        }).error
+      ).toBeDefined();
+    });
+
+    it("should accept uploaded files as sample material", () => {
+      const { error } = instructorApplicationSchema.validate({
+        ...body,
+        sampleMaterial: [{ title: "Slides", url: "uploads/123-slides.pdf" }],
+      });
+
+      expect(error).toBeUndefined();
+    });
+
+    it("should require notes when rejecting", () => {
+      expect(applicationRejectionSchema.validate({}).error).toBeDefined();
+    });
+  });
+
+  describe("submitApplication", () => {
+    it("should store the application with category names", async () => {
+      const createSpy = jest
+        .spyOn(InstructorApplicationRepository, "create")
+        .mockImplementation(async (application) => application);
+
+      const res = await submit();
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(createSpy.mock.calls[0][0].expertise).toEqual([
+        { categoryId: "category-1", name: "Web Development" },
+      ]);
+    });
+
+    it("should only accept applications from students", async () => {
+      UserRepository.findById.mockResolvedValue({
+        ...student,
+        role: "instructor",
+      });
+      const createSpy = jest.spyOn(InstructorApplicationRepository, "create");
+
+      const res = await submit();
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0].code).toBe("NOT_ELIGIBLE");
+      expect(createSpy).not.toHaveBeenCalled();
+    });
+
+    it("should refuse unknown categories", async () => {
+      CategoryRepository.findById.mockResolvedValue(null);
+
+      const res = await submit();
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].code).toBe("INVALID_CATEGORY");
+    });
+
+    it("should refuse a second application while one is pending", async () => {
+      jest
+        .spyOn(InstructorApplicationRepository, "create")
+        .mockResolvedValue(null);
+
+      const res = await submit();
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json.mock.calls[0][0].code).toBe("APPLICATION_PENDING");
+    });
+  });
+
+  describe("reviewing applications", () => {
+    it("should make the applicant an instructor and email them on approval", async () => {
+      const reviewSpy = jest
+        .spyOn(InstructorApplicationRepository, "review")
+        .mockResolvedValue({ ...pendingApplication, status: "approved" });
+
+      const res = await review(approveInstructorApplication, "Welcome!");
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(reviewSpy).toHaveBeenCalledWith(student.userId, {
+        status: "approved",
+        notes: "Welcome!",
+        reviewedBy: "admin-1",
+      });
+      expect(AdminRepository.updateUserRole).toHaveBeenCalledWith(
+        student.userId,
+        "instructor",
+        "admin-1",
+        expect.any(String)
+      );
+      expect(sentMail).toHaveLength(1);
+      expect(sentMail[0].to).toBe(student.email);
+      expect(sentMail[0].text).toContain("approved");
+    });
+
+    it("should end the applicant's sessions so they sign in as an instructor", async () => {
+      jest
+        .spyOn(InstructorApplicationRepository, "review")
+        .mockResolvedValue({ ...pendingApplication, status: "approved" });
+      const disconnectSockets = jest.fn();
+      const io = { in: jest.fn(() => ({ disconnectSockets })) };
+
+      await review(approveInstructorApplication, undefined, {
+        get: () => io,
+      });
+
+      expect(SessionRepository.revokeAllForUser).toHaveBeenCalledWith(
+        student.userId,
+        "ROLE_CHANGED"
+      );
+      expect(io.in).toHaveBeenCalledWith(`user:${student.userId}`);
+      expect(disconnectSockets).toHaveBeenCalledWith(true);
+
+      // The token from their next sign-in opens instructor routes
+      jest.spyOn(AdminRepository, "getSecurityPolicies").mockResolvedValue({});
+      jest.spyOn(SessionRepository, "findById").mockResolvedValue({
+        createdAt: new Date().toISOString(),
+        lastActiveAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + 60000).toISOString(),
+      });
+      const req = {
+        cookies: {},
+        headers: {
+          authorization: `Bearer ${generateToken(
+            { ...student, role: "instructor" },
+            { sessionId: "sess-2" }
+          )}`,
+        },
+      };
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await new Promise((resolve) => authenticateToken(req, res, resolve));
+      authorizeRole("instructor")(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it("should keep the role and send the notes on rejection", async () => {
+      jest.spyOn(InstructorApplicationRepository, "review").mockResolvedValue({
+        ...pendingApplication,
+        status: "rejected",
+        reviewNotes: "Please add a longer sample lesson",
+      });
+
+      const res = await review(rejectInstructorApplication, "ignored");
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(AdminRepository.updateUserRole).not.toHaveBeenCalled();
+      expect(SessionRepository.revokeAllForUser).not.toHaveBeenCalled();
+      expect(sentMail[0].text).toContain("Please add a longer sample lesson");
+    });
+
+    it("should not review an application twice", async () => {
+      jest
+        .spyOn(InstructorApplicationRepository, "review")
+        .mockResolvedValue(null);
+
+      const res = await review(approveInstructorApplication);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json.mock.calls[0][0].code).toBe(
+        "APPLICATION_ALREADY_REVIEWED"
+      );
+      expect(AdminRepository.updateUserRole).not.toHaveBeenCalled();
+      expect(sentMail).toHaveLength(0);
+    });
+
+    it("should report applications that do not exist", async () => {
+      InstructorApplicationRepository.findByUser.mockResolvedValue(null);
+
+      const res = await review(rejectInstructorApplication, "No");
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+});
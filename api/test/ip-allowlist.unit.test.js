@@ -0,0 +1,228 @@
+import { jest } from "@jest/globals";
+import {
+  normalizeIp,
+  isIpInRange,
+  isValidIpRule,
+  evaluateIpAllowlist,
+} from "../utils/ipAllowlist.js";
+import { parseTrustProxy, compileTrustProxy } from "../config/trustProxy.js";
+import { previewIpAllowlist } from "../controllers/dynamodb/systemSettingsController.js";
+import { AdminRepository } from "../models/dynamodb/admin-repository.js";
+import ipAllowlist, {
+  clearIpAllowlistCache,
+} from "../middlewares/ipAllowlist.js";
+
+describe("IP Allowlist Unit Tests", () => {
+  describe("normalizeIp", () => {
+    it("should unwrap IPv4-mapped IPv6 addresses", () => {
+      expect(normalizeIp("::ffff:192.168.1.20")).toBe("192.168.1.20");
+      expect(normalizeIp("::1")).toBe("::1");
+    });
+  });
+
+  describe("isIpInRange", () => {
+    it("should match single addresses exactly", () => {
+      expect(isIpInRange("10.0.0.1", "10.0.0.1")).toBe(true);
+      expect(isIpInRange("10.0.0.2", "10.0.0.1")).toBe(false);
+    });
+
+    it("should match addresses inside a CIDR block", () => {
+      expect(isIpInRange("192.168.1.200", "192.168.1.0/24")).toBe(true);
+      expect(isIpInRange("192.168.2.1", "192.168.1.0/24")).toBe(false);
+      expect(isIpInRange("::ffff:172.16.5.4", "172.16.0.0/12")).toBe(true);
+    });
+
+    it("should handle the /0 and /32 edge cases", () => {
+      expect(isIpInRange("8.8.8.8", "0.0.0.0/0")).toBe(true);
+      expect(isIpInRange("8.8.8.8", "8.8.8.8/32")).toBe(true);
+      expect(isIpInRange("8.8.8.9", "8.8.8.8/32")).toBe(false);
+    });
+
+    it("should never match malformed rules", () => {
+      expect(isIpInRange("10.0.0.1", "10.0.0.0/33")).toBe(false);
+      expect(isIpInRange("10.0.0.1", "not-an-ip/8")).toBe(false);
+    });
+
+    it("should match IPv6 addresses and ranges", () => {
+      expect(isIpInRange("2001:db8::1", "2001:0db8:0:0:0:0:0:1")).toBe(true);
+      expect(isIpInRange("2001:db8:abcd::42", "2001:db8::/32")).toBe(true);
+      expect(isIpInRange("2001:db9::1", "2001:db8::/32")).toBe(false);
+      expect(isIpInRange("fe80::1%eth0", "fe80::/10")).toBe(true);
+      expect(isIpInRange("::1", "::1/128")).toBe(true);
+    });
+
+    it("should not match addresses of the other family", () => {
+      expect(isIpInRange("10.0.0.1", "::/0")).toBe(false);
+      expect(isIpInRange("2001:db8::1", "0.0.0.0/0")).toBe(false);
+    });
+
+    it("should match IPv4-mapped rules as IPv4", () => {
+      expect(isIpInRange("10.1.2.3", "::ffff:10.1.2.3")).toBe(true);
+    });
+  });
+
+  describe("isValidIpRule", () => {
+    it("should accept IPv4 and IPv6 addresses and ranges", () => {
+      expect(isValidIpRule("203.0.113.7")).toBe(true);
+      expect(isValidIpRule("10.0.0.0/8")).toBe(true);
+      expect(isValidIpRule("2001:db8::/32")).toBe(true);
+      expect(isValidIpRule("::1")).toBe(true);
+      expect(isValidIpRule("64:ff9b::192.0.2.1")).toBe(true);
+    });
+
+    it("should reject malformed rules", () => {
+      expect(isValidIpRule("invalid-ip")).toBe(false);
+      expect(isValidIpRule("256.0.0.1")).toBe(false);
+      expect(isValidIpRule("10.0.0.0/33")).toBe(false);
+      expect(isValidIpRule("2001:db8::/129")).toBe(false);
+      expect(isValidIpRule("2001:db8::1::2")).toBe(false);
+      expect(isValidIpRule("1:2:3:4:5:6:7:8:9")).toBe(false);
+      expect(isValidIpRule("10.0.0.0/8/8")).toBe(false);
+    });
+  });
+
+  describe("parseTrustProxy", () => {
+    it("should read booleans, hop counts and proxy lists", () => {
+      expect(parseTrustProxy(undefined)).toBe(false);
+      expect(parseTrustProxy("false")).toBe(false);
+      expect(parseTrustProxy("true")).toBe(true);
+      expect(parseTrustProxy("1")).toBe(1);
+      expect(parseTrustProxy("loopback, 10.0.0.0/8")).toBe(
+        "loopback, 10.0.0.0/8"
+      );
+    });
+  });
+
+  describe("compileTrustProxy", () => {
+    it("should trust proxies the way Express does", () => {
+      expect(compileTrustProxy(false)("127.0.0.1", 0)).toBe(false);
+      expect(compileTrustProxy(true)("198.51.100.1", 5)).toBe(true);
+      expect(compileTrustProxy(1)("198.51.100.1", 0)).toBe(true);
+      expect(compileTrustProxy(1)("198.51.100.1", 1)).toBe(false);
+
+      const trust = compileTrustProxy("loopback, 10.0.0.0/8");
+      expect(trust("127.0.0.1", 0)).toBe(true);
+      expect(trust("10.1.2.3", 1)).toBe(true);
+      expect(trust("198.51.100.1", 0)).toBe(false);
+    });
+  });
+
+  describe("evaluateIpAllowlist", () => {
+    const accessControl = {
+      enableIPWhitelist: true,
+      allowedIPs: ["10.0.0.0/8", "203.0.113.7"],
+    };
+
+    it("should report the matching rule for allowed addresses", () => {
+      expect(evaluateIpAllowlist("10.1.2.3", accessControl)).toEqual({
+        ip: "10.1.2.3",
+        enforced: true,
+        allowed: true,
+        matchedRule: "10.0.0.0/8",
+      });
+    });
+
+    it("should refuse addresses outside every rule", () => {
+      const result = evaluateIpAllowlist("198.51.100.1", accessControl);
+
+      expect(result.allowed).toBe(false);
+      expect(result.matchedRule).toBeNull();
+    });
+
+    it("should not enforce a disabled or empty allowlist", () => {
+      expect(
+        evaluateIpAllowlist("198.51.100.1", {
+          ...accessControl,
+          enableIPWhitelist: false,
+        }).allowed
+      ).toBe(true);
+      expect(
+        evaluateIpAllowlist("198.51.100.1", {
+          enableIPWhitelist: true,
+          allowedIPs: [],
+        }).enforced
+      ).toBe(false);
+    });
+  });
+
+  describe("previewIpAllowlist", () => {
+    it("should accept IPv6 allowlist entries", async () => {
+      const res = {};
+      res.status = jest.fn(() => res);
+      res.json = jest.fn(() => res);
+
+      await previewIpAllowlist(
+        {
+          ip: "2001:db8::5",
+          body: {
+            accessControl: {
+              enableIPWhitelist: true,
+              allowedIPs: ["2001:db8::/32", "10.0.0.0/8"],
+            },
+          },
+        },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json.mock.calls[0][0].data).toMatchObject({
+        allowed: true,
+        matchedRule: "2001:db8::/32",
+      });
+    });
+  });
+
+  describe("ipAllowlist middleware", () => {
+    let logSpy;
+
+    const run = (ip) =>
+      new Promise((resolve) => {
+        const res = {};
+        res.status = jest.fn(() => res);
+        res.json = jest.fn(() => resolve({ res, passed: false }));
+        const req = {
+          ip,
+          method: "GET",
+          originalUrl: "/api/admin/users",
+          cookies: {},
+          headers: {},
+          get: () => "jest",
+        };
+        ipAllowlist(req, res, () => resolve({ res, passed: true }));
+      });
+
+    beforeEach(() => {
+      clearIpAllowlistCache();
+      jest.spyOn(AdminRepository, "getSecurityPolicies").mockResolvedValue({
+        accessControl: {
+          enableIPWhitelist: true,
+          allowedIPs: ["192.168.1.0/24"],
+        },
+      });
+      logSpy = jest
+        .spyOn(AdminRepository, "logSecurityEvent")
+        .mockResolvedValue({});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it("should let allowed addresses through", async () => {
+      const { passed } = await run("::ffff:192.168.1.15");
+
+      expect(passed).toBe(true);
+      expect(logSpy).not.toHaveBeenCalled();
+    });
+
+    it("should refuse and log other addresses", async () => {
+      const { passed, res } = await run("198.51.100.1");
+
+      expect(passed).toBe(false);
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0].code).toBe("IP_NOT_ALLOWED");
+      expect(logSpy.mock.calls[0][0]).toBe("IP_BLOCKED");
+      expect(logSpy.mock.calls[0][3]).toBe("198.51.100.1");
+    });
+  });
+});
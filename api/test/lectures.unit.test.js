@@ -0,0 +1,273 @@
+import { jest } from "@jest/globals";
+import dynamoDb from "../config/dynamodb.js";
+import s3 from "../config/s3.js";
+import { CourseRepository } from "../models/dynamodb/course-repository.js";
+import { LectureRepository } from "../models/dynamodb/lecture-repository.js";
+import { EnrollmentRepository } from "../models/dynamodb/enrollment-repository.js";
+import { QuizAttemptRepository } from "../models/dynamodb/quiz-attempt-repository.js";
+import {
+  updateLecture,
+  deleteLecture,
+} from "../controllers/dynamodb/lectureController.js";
+
+describe("Lecture Management Unit Tests", () => {
+  const course = { courseId: "course-1", instructorId: "instructor-1" };
+  const lecture = {
+    courseId: "course-1",
+    lectureId: "lecture-1",
+    title: "Intro",
+    videoUrl: "uploads/old.mp4",
+    durationSeconds: 60,
+  };
+
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+
+  const mockRequest = (overrides = {}) => ({
+    user: { sub: "instructor-1", role: "instructor" },
+    params: { id: "course-1", lectureId: "lecture-1" },
+    value: { body: {} },
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    jest.spyOn(CourseRepository, "findById").mockResolvedValue(course);
+    jest.spyOn(LectureRepository, "findById").mockResolvedValue(lecture);
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("updateLecture", () => {
+    it("should rename a lecture without touching its video", async () => {
+      jest
+        .spyOn(LectureRepository, "update")
+        .mockResolvedValue({ ...lecture, title: "Welcome" });
+      const deleteObject = jest.spyOn(s3, "send");
+      const res = mockResponse();
+
+      await updateLecture(
+        mockRequest({ value: { body: { title: "Welcome" } } }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ id: "lecture-1", title: "Welcome" })
+      );
+      expect(deleteObject).not.toHaveBeenCalled();
+    });
+
+    it("should delete the old video when it is replaced", async () => {
+      jest
+        .spyOn(LectureRepository, "update")
+        .mockResolvedValue({ ...lecture, videoUrl: "uploads/new.mp4" });
+      const deleteObject = jest.spyOn(s3, "send").mockResolvedValue({});
+      const res = mockResponse();
+
+      await updateLecture(
+        mockRequest({
+          value: { body: { videoUrl: "uploads/new.mp4", durationSeconds: 90 } },
+        }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(deleteObject).toHaveBeenCalledTimes(1);
+      expect(deleteObject.mock.calls[0][0].input.Key).toBe("uploads/old.mp4");
+    });
+
+    it("should reject instructors who do not own the course", async () => {
+      const update = jest.spyOn(LectureRepository, "update");
+      const res = mockResponse();
+
+      await updateLecture(
+        mockRequest({
+          user: { sub: "instructor-2", role: "instructor" },
+          value: { body: { title: "Welcome" } },
+        }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("deleteLecture", () => {
+    it("should delete the lecture, its video and its progress", async () => {
+      const remove = jest
+        .spyOn(LectureRepository, "delete")
+        .mockResolvedValue(lecture);
+      jest
+        .spyOn(LectureRepository, "findByCourse")
+        .mockResolvedValue([{ lectureId: "lecture-2" }]);
+      const removeProgress = jest
+        .spyOn(EnrollmentRepository, "removeLectureProgress")
+        .mockResolvedValue(2);
+      const deleteObject = jest.spyOn(s3, "send").mockResolvedValue({});
+      const deleteAttempts = jest.spyOn(
+        QuizAttemptRepository,
+        "deleteByLecture"
+      );
+      const res = mockResponse();
+
+      await deleteLecture(mockRequest(), res);
+
+      expect(remove).toHaveBeenCalledWith("course-1", "lecture-1");
+      expect(removeProgress).toHaveBeenCalledWith("course-1", "lecture-1", [
+        "lecture-2",
+      ]);
+      expect(deleteObject).toHaveBeenCalledTimes(1);
+      expect(deleteAttempts).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ updatedEnrollments: 2 })
+      );
+    });
+
+    it("should delete a quiz's attempts", async () => {
+      const quiz = {
+        courseId: "course-1",
+        lectureId: "quiz-1",
+        title: "Closures quiz",
+        type: "quiz",
+      };
+      LectureRepository.findById.mockResolvedValue(quiz);
+      jest.spyOn(LectureRepository, "delete").mockResolvedValue(quiz);
+      jest.spyOn(LectureRepository, "findByCourse").mockResolvedValue([]);
+      jest
+        .spyOn(EnrollmentRepository, "removeLectureProgress")
+        .mockResolvedValue(0);
+      jest
+        .spyOn(EnrollmentRepository, "findByCourse")
+        .mockResolvedValue([{ userId: "user-1" }, { userId: "user-2" }]);
+      const deleteAttempts = jest
+        .spyOn(QuizAttemptRepository, "deleteByLecture")
+        .mockResolvedValue(3);
+      const res = mockResponse();
+
+      await deleteLecture(
+        mockRequest({ params: { id: "course-1", lectureId: "quiz-1" } }),
+        res
+      );
+
+      expect(deleteAttempts).toHaveBeenCalledWith("course-1", "quiz-1", [
+        "user-1",
+        "user-2",
+      ]);
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it("should return 404 for an unknown lecture", async () => {
+      LectureRepository.findById.mockResolvedValue(null);
+      const remove = jest.spyOn(LectureRepository, "delete");
+      const res = mockResponse();
+
+      await deleteLecture(mockRequest(), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(remove).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("QuizAttemptRepository.deleteByLecture", () => {
+    it("should delete each learner's attempts at the quiz", async () => {
+      const send = jest
+        .spyOn(dynamoDb, "send")
+        .mockResolvedValueOnce({
+          Items: [
+            { userId: "user-1", attemptNumber: 1 },
+            { userId: "user-1", attemptNumber: 2 },
+          ],
+        })
+        .mockResolvedValueOnce({ Items: [] })
+        .mockResolvedValue({});
+
+      const deleted = await QuizAttemptRepository.deleteByLecture(
+        "course-1",
+        "quiz-1",
+        ["user-1", "user-2"]
+      );
+
+      expect(deleted).toBe(2);
+      const keys = send.mock.calls
+        .slice(2)
+        .map(([command]) => command.input.Key);
+      expect(keys).toEqual([
+        { PK: "USER#user-1", SK: "QUIZ_ATTEMPT#course-1#quiz-1#0001" },
+        { PK: "USER#user-1", SK: "QUIZ_ATTEMPT#course-1#quiz-1#0002" },
+      ]);
+    });
+  });
+
+  describe("EnrollmentRepository.removeLectureProgress", () => {
+    it("should drop the lecture and recalculate completion", async () => {
+      const send = jest
+        .spyOn(dynamoDb, "send")
+        .mockResolvedValueOnce({
+          Items: [
+            // Had finished everything except the deleted lecture
+            { userId: "user-1", progress: ["lecture-2"] },
+            // Had watched the deleted lecture only
+            { userId: "user-2", progress: ["lecture-1"] },
+            // Unaffected
+            { userId: "user-3", progress: [] },
+          ],
+        })
+        .mockResolvedValue({ Attributes: {} });
+
+      const updated = await EnrollmentRepository.removeLectureProgress(
+        "course-1",
+        "lecture-1",
+        ["lecture-2"]
+      );
+
+      expect(updated).toBe(2);
+      const updates = send.mock.calls
+        .slice(1)
+        .map(([command]) => command.input);
+      expect(updates).toHaveLength(2);
+      expect(updates[0].Key.PK).toBe("USER#user-1");
+      expect(updates[0].ExpressionAttributeValues[":progress"]).toEqual([
+        "lecture-2",
+      ]);
+      expect(updates[0].ExpressionAttributeValues[":completedAt"]).toEqual(
+        expect.any(String)
+      );
+      expect(updates[1].Key.PK).toBe("USER#user-2");
+      expect(updates[1].ExpressionAttributeValues[":progress"]).toEqual([]);
+    });
+
+    it("should clear completion when the course has no lectures left", async () => {
+      const send = jest
+        .spyOn(dynamoDb, "send")
+        .mockResolvedValueOnce({
+          Items: [
+            {
+              userId: "user-1",
+              progress: ["lecture-1"],
+              completedAt: "2026-01-01T00:00:00.000Z",
+            },
+          ],
+        })
+        .mockResolvedValue({ Attributes: {} });
+
+      await EnrollmentRepository.removeLectureProgress(
+        "course-1",
+        "lecture-1",
+        []
+      );
+
+      expect(send.mock.calls[1][0].input.UpdateExpression).toContain(
+        "REMOVE completedAt"
+      );
+    });
+  });
+});
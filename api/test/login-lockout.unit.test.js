@@ -0,0 +1,145 @@
+import { jest } from "@jest/globals";
+import dynamoDb from "../config/dynamodb.js";
+import { UserRepository } from "../models/dynamodb/user-repository.js";
+import {
+  DEFAULT_BRUTE_FORCE_POLICY,
+  resolveBruteForcePolicy,
+  getAccountLockStatus,
+  getFailedLoginWindowCutoff,
+  getFailedLoginLock,
+} from "../utils/loginLockout.js";
+
+describe("Login Lockout Unit Tests", () => {
+  const now = new Date("2025-06-01T12:00:00.000Z");
+  const policy = {
+    enableBruteForceProtection: true,
+    maxFailedAttempts: 3,
+    lockoutDuration: 15,
+  };
+
+  describe("resolveBruteForcePolicy", () => {
+    it("should fall back to the defaults for missing settings", () => {
+      expect(resolveBruteForcePolicy(undefined)).toEqual(
+        DEFAULT_BRUTE_FORCE_POLICY
+      );
+      expect(resolveBruteForcePolicy({ maxFailedAttempts: 10 })).toEqual({
+        ...DEFAULT_BRUTE_FORCE_POLICY,
+        maxFailedAttempts: 10,
+      });
+    });
+  });
+
+  describe("getAccountLockStatus", () => {
+    it("should report an active lock with seconds until it ends", () => {
+      const status = getAccountLockStatus(
+        { lockedUntil: "2025-06-01T12:05:00.000Z" },
+        now
+      );
+
+      expect(status.locked).toBe(true);
+      expect(status.retryAfter).toBe(300);
+    });
+
+    it("should treat expired or missing locks as unlocked", () => {
+      expect(
+        getAccountLockStatus({ lockedUntil: "2025-06-01T11:59:00.000Z" }, now)
+          .locked
+      ).toBe(false);
+      expect(getAccountLockStatus({}, now).locked).toBe(false);
+    });
+  });
+
+  describe("getFailedLoginWindowCutoff", () => {
+    it("should reach back lockoutDuration minutes", () => {
+      expect(getFailedLoginWindowCutoff(policy, now)).toBe(
+        "2025-06-01T11:45:00.000Z"
+      );
+    });
+  });
+
+  describe("getFailedLoginLock", () => {
+    it("should not lock below maxFailedAttempts", () => {
+      const lock = getFailedLoginLock(2, policy, now);
+
+      expect(lock.locked).toBe(false);
+      expect(lock.lockedUntil).toBeNull();
+    });
+
+    it("should lock for lockoutDuration minutes at maxFailedAttempts", () => {
+      const lock = getFailedLoginLock(3, policy, now);
+
+      expect(lock.failedLoginAttempts).toBe(3);
+      expect(lock.locked).toBe(true);
+      expect(lock.lockedUntil).toBe("2025-06-01T12:15:00.000Z");
+    });
+
+    it("should never lock when brute-force protection is disabled", () => {
+      const lock = getFailedLoginLock(
+        3,
+        { ...policy, enableBruteForceProtection: false },
+        now
+      );
+
+      expect(lock.locked).toBe(false);
+    });
+  });
+
+  describe("UserRepository.recordFailedLogin", () => {
+    const cutoff = "2025-06-01T11:45:00.000Z";
+    const conditionFailed = () =>
+      Object.assign(new Error("The conditional request failed"), {
+        name: "ConditionalCheckFailedException",
+      });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it("should count failures inside the window in place", async () => {
+      const send = jest
+        .spyOn(dynamoDb, "send")
+        .mockResolvedValue({ Attributes: { failedLoginAttempts: 2 } });
+
+      const user = await UserRepository.recordFailedLogin("user-1", cutoff);
+
+      expect(user.failedLoginAttempts).toBe(2);
+      expect(send).toHaveBeenCalledTimes(1);
+      const { input } = send.mock.calls[0][0];
+      expect(input.UpdateExpression).toContain("ADD failedLoginAttempts :one");
+      expect(input.ConditionExpression).toBe(
+        "failedLoginWindowStart > :cutoff"
+      );
+      expect(input.ExpressionAttributeValues[":cutoff"]).toBe(cutoff);
+    });
+
+    it("should start a new window once the old one has passed", async () => {
+      const send = jest
+        .spyOn(dynamoDb, "send")
+        .mockRejectedValueOnce(conditionFailed())
+        .mockResolvedValue({ Attributes: { failedLoginAttempts: 1 } });
+
+      const user = await UserRepository.recordFailedLogin("user-1", cutoff);
+
+      expect(user.failedLoginAttempts).toBe(1);
+      const { input } = send.mock.calls[1][0];
+      expect(input.UpdateExpression).toContain("failedLoginWindowStart = :now");
+      expect(input.ConditionExpression).toContain(
+        "failedLoginWindowStart <= :cutoff"
+      );
+    });
+
+    it("should count again when another request opened the window first", async () => {
+      const send = jest
+        .spyOn(dynamoDb, "send")
+        .mockRejectedValueOnce(conditionFailed())
+        .mockRejectedValueOnce(conditionFailed())
+        .mockResolvedValue({ Attributes: { failedLoginAttempts: 2 } });
+
+      const user = await UserRepository.recordFailedLogin("user-1", cutoff);
+
+      expect(user.failedLoginAttempts).toBe(2);
+      expect(send).toHaveBeenCalledTimes(3);
+      expect(send.mock.calls[2][0].input.UpdateExpression).toContain("ADD");
+    });
+  });
+});
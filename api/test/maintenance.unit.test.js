@@ -0,0 +1,222 @@
+import { jest } from "@jest/globals";
+import { AdminRepository } from "../models/dynamodb/admin-repository.js";
+import maintenanceMode, {
+  clearMaintenanceStateCache,
+} from "../middlewares/maintenanceMode.js";
+import {
+  DEFAULT_MAINTENANCE_MESSAGE,
+  DEFAULT_MAINTENANCE_RETRY_AFTER,
+  isMaintenanceWindowActive,
+  getMaintenanceWindowTransition,
+  resolveMaintenanceState,
+} from "../utils/maintenance.js";
+
+describe("Maintenance Helpers Unit Tests", () => {
+  const now = new Date("2025-01-15T12:00:00.000Z");
+
+  const buildWindow = (overrides = {}) => ({
+    maintenanceId: "maint-1",
+    title: "Database upgrade",
+    description: "Upgrading the database cluster",
+    maintenanceType: "database",
+    startTime: "2025-01-15T11:00:00.000Z",
+    endTime: "2025-01-15T13:00:00.000Z",
+    status: "scheduled",
+    notifyUsers: true,
+    scheduledBy: "admin-123",
+    ...overrides,
+  });
+
+  describe("isMaintenanceWindowActive", () => {
+    it("should be active between start and end time", () => {
+      expect(isMaintenanceWindowActive(buildWindow(), now)).toBe(true);
+    });
+
+    it("should not be active before start or after end", () => {
+      expect(
+        isMaintenanceWindowActive(
+          buildWindow({ startTime: "2025-01-15T12:30:00.000Z" }),
+          now
+        )
+      ).toBe(false);
+      expect(
+        isMaintenanceWindowActive(
+          buildWindow({ endTime: "2025-01-15T12:00:00.000Z" }),
+          now
+        )
+      ).toBe(false);
+    });
+
+    it("should ignore cancelled and completed windows", () => {
+      expect(
+        isMaintenanceWindowActive(buildWindow({ status: "cancelled" }), now)
+      ).toBe(false);
+      expect(
+        isMaintenanceWindowActive(buildWindow({ status: "completed" }), now)
+      ).toBe(false);
+    });
+  });
+
+  describe("getMaintenanceWindowTransition", () => {
+    it("should start a scheduled window once its start time is reached", () => {
+      expect(getMaintenanceWindowTransition(buildWindow(), now)).toBe(
+        "in_progress"
+      );
+    });
+
+    it("should complete a window once its end time has passed", () => {
+      expect(
+        getMaintenanceWindowTransition(
+          buildWindow({
+            status: "in_progress",
+            endTime: "2025-01-15T11:30:00.000Z",
+          }),
+          now
+        )
+      ).toBe("completed");
+    });
+
+    it("should leave future and running windows unchanged", () => {
+      expect(
+        getMaintenanceWindowTransition(
+          buildWindow({ startTime: "2025-01-16T00:00:00.000Z" }),
+          now
+        )
+      ).toBeNull();
+      expect(
+        getMaintenanceWindowTransition(
+          buildWindow({ status: "in_progress" }),
+          now
+        )
+      ).toBeNull();
+    });
+  });
+
+  describe("resolveMaintenanceState", () => {
+    it("should be inactive with no maintenance mode and no windows", () => {
+      const state = resolveMaintenanceState({
+        platformSettings: { maintenanceMode: false },
+        maintenanceWindows: [],
+        now,
+      });
+
+      expect(state.active).toBe(false);
+      expect(state.retryAfter).toBeNull();
+      expect(state.upcoming).toEqual([]);
+    });
+
+    it("should use the default retry-after for manual maintenance mode", () => {
+      const state = resolveMaintenanceState({
+        platformSettings: { maintenanceMode: true },
+        now,
+      });
+
+      expect(state.active).toBe(true);
+      expect(state.source).toBe("manual");
+      expect(state.message).toBe(DEFAULT_MAINTENANCE_MESSAGE);
+      expect(state.retryAfter).toBe(DEFAULT_MAINTENANCE_RETRY_AFTER);
+    });
+
+    it("should use the configured maintenance message", () => {
+      const state = resolveMaintenanceState({
+        platformSettings: {
+          maintenanceMode: true,
+          maintenanceMessage: "Back soon",
+        },
+        now,
+      });
+
+      expect(state.message).toBe("Back soon");
+    });
+
+    it("should derive retry-after from an active window's end time", () => {
+      const state = resolveMaintenanceState({
+        platformSettings: { maintenanceMode: false },
+        maintenanceWindows: [buildWindow()],
+        now,
+      });
+
+      expect(state.active).toBe(true);
+      expect(state.source).toBe("scheduled");
+      expect(state.title).toBe("Database upgrade");
+      expect(state.endTime).toBe("2025-01-15T13:00:00.000Z");
+      expect(state.retryAfter).toBe(3600);
+    });
+
+    it("should list upcoming windows that notify users, soonest first", () => {
+      const state = resolveMaintenanceState({
+        maintenanceWindows: [
+          buildWindow({
+            maintenanceId: "later",
+            startTime: "2025-01-17T00:00:00.000Z",
+            endTime: "2025-01-17T02:00:00.000Z",
+          }),
+          buildWindow({
+            maintenanceId: "sooner",
+            startTime: "2025-01-16T00:00:00.000Z",
+            endTime: "2025-01-16T02:00:00.000Z",
+          }),
+          buildWindow({
+            maintenanceId: "silent",
+            startTime: "2025-01-16T00:00:00.000Z",
+            endTime: "2025-01-16T02:00:00.000Z",
+            notifyUsers: false,
+          }),
+        ],
+        now,
+      });
+
+      expect(state.active).toBe(false);
+      expect(state.upcoming.map((window) => window.maintenanceId)).toEqual([
+        "sooner",
+        "later",
+      ]);
+      expect(state.upcoming[0]).not.toHaveProperty("scheduledBy");
+    });
+  });
+
+  describe("maintenanceMode middleware", () => {
+    beforeEach(() => {
+      clearMaintenanceStateCache();
+      jest
+        .spyOn(AdminRepository, "getSystemSettings")
+        .mockResolvedValue({ platformSettings: { maintenanceMode: true } });
+      jest
+        .spyOn(AdminRepository, "getOpenMaintenanceWindows")
+        .mockResolvedValue([]);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      clearMaintenanceStateCache();
+    });
+
+    // Resolves with the status sent, or "next" when the request went through
+    const runMiddleware = (method, path) =>
+      new Promise((resolve) => {
+        const res = {
+          set: jest.fn(),
+          status: jest.fn((code) => ({ json: () => resolve(code) })),
+        };
+        maintenanceMode({ method, path, cookies: {}, headers: {} }, res, () =>
+          resolve("next")
+        );
+      });
+
+    it("should answer learner API requests with 503", async () => {
+      expect(await runMiddleware("GET", "/api/courses")).toBe(503);
+    });
+
+    it.each([
+      ["POST", "/api/login"],
+      ["POST", "/api/login/mfa"],
+      ["POST", "/api/password/rotate"],
+      ["POST", "/api/token/refresh"],
+      ["POST", "/api/logout"],
+      ["GET", "/api/oauth/google/authorize"],
+      ["POST", "/api/oauth/callback"],
+    ])("should let %s %s through", async (method, path) => {
+      expect(await runMiddleware(method, path)).toBe("next");
+    });
+  });
+});
@@ -0,0 +1,182 @@
+import { jest } from "@jest/globals";
+import {
+  base32Encode,
+  base32Decode,
+  generateTotp,
+  getTotpStep,
+  verifyTotp,
+  buildOtpAuthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  encryptMfaSecret,
+  decryptMfaSecret,
+  isMfaRequiredForRole,
+  verifyMfaCode,
+} from "../utils/mfa.js";
+import { AdminRepository } from "../models/dynamodb/admin-repository.js";
+import requireMFA from "../middlewares/requireMFA.js";
+import { clearSessionPolicyCache } from "../middlewares/authenticateToken.js";
+
+describe("MFA Unit Tests", () => {
+  // RFC 6238 test secret ("12345678901234567890")
+  const secret = base32Encode(Buffer.from("12345678901234567890"));
+
+  describe("base32", () => {
+    it("should round-trip arbitrary bytes", () => {
+      const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253]);
+
+      expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+      expect(secret).toBe("GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ");
+    });
+  });
+
+  describe("generateTotp", () => {
+    it("should match the RFC 6238 SHA-1 test vectors", () => {
+      expect(generateTotp(secret, getTotpStep(59 * 1000))).toBe("287082");
+      expect(generateTotp(secret, getTotpStep(1111111109 * 1000))).toBe(
+        "081804"
+      );
+      expect(generateTotp(secret, getTotpStep(1234567890 * 1000))).toBe(
+        "005924"
+      );
+    });
+  });
+
+  describe("verifyTotp", () => {
+    const time = 1234567890 * 1000;
+    const step = getTotpStep(time);
+
+    it("should accept the current code and one step of drift", () => {
+      expect(verifyTotp(secret, "005924", { time })).toBe(step);
+      expect(verifyTotp(secret, generateTotp(secret, step - 1), { time })).toBe(
+        step - 1
+      );
+      expect(
+        verifyTotp(secret, generateTotp(secret, step - 2), { time })
+      ).toBeNull();
+    });
+
+    it("should refuse a code that was already used", () => {
+      expect(
+        verifyTotp(secret, "005924", { time, lastUsedStep: step })
+      ).toBeNull();
+    });
+
+    it("should refuse malformed codes", () => {
+      expect(verifyTotp(secret, "12345", { time })).toBeNull();
+      expect(verifyTotp(secret, "abcdef", { time })).toBeNull();
+    });
+  });
+
+  describe("buildOtpAuthUri", () => {
+    it("should include the issuer, account and secret", () => {
+      const uri = buildOtpAuthUri({ secret, accountName: "a@b.com" });
+
+      expect(uri).toMatch(/^otpauth:\/\/totp\/UpSkillPro%3Aa%40b\.com\?/);
+      expect(uri).toContain(`secret=${secret}`);
+      expect(uri).toContain("issuer=UpSkillPro");
+    });
+  });
+
+  describe("secret encryption", () => {
+    it("should decrypt what it encrypts without storing plaintext", () => {
+      const encrypted = encryptMfaSecret(secret);
+
+      expect(encrypted).not.toContain(secret);
+      expect(decryptMfaSecret(encrypted)).toBe(secret);
+    });
+  });
+
+  describe("verifyMfaCode", () => {
+    const time = 1234567890 * 1000;
+    const recoveryCodes = generateRecoveryCodes(3);
+    const user = {
+      mfaEnabled: true,
+      mfaSecret: encryptMfaSecret(secret),
+      mfaRecoveryCodes: recoveryCodes.map(hashRecoveryCode),
+    };
+
+    it("should generate unique recovery codes", () => {
+      expect(new Set(recoveryCodes).size).toBe(3);
+      expect(recoveryCodes[0]).toMatch(/^[a-z0-9]{5}-[a-z0-9]{5}$/);
+    });
+
+    it("should record the step of an accepted TOTP code", () => {
+      expect(verifyMfaCode(user, "005924", time)).toEqual({
+        valid: true,
+        method: "totp",
+        updates: { mfaLastUsedStep: getTotpStep(time) },
+      });
+    });
+
+    it("should consume a recovery code", () => {
+      const result = verifyMfaCode(user, recoveryCodes[1], time);
+
+      expect(result.method).toBe("recovery");
+      expect(result.updates.mfaRecoveryCodes).toEqual([
+        hashRecoveryCode(recoveryCodes[0]),
+        hashRecoveryCode(recoveryCodes[2]),
+      ]);
+    });
+
+    it("should refuse users without MFA and unknown codes", () => {
+      expect(verifyMfaCode({ mfaEnabled: false }, "005924").valid).toBe(false);
+      expect(verifyMfaCode(user, "000000", time).valid).toBe(false);
+    });
+  });
+
+  describe("isMfaRequiredForRole", () => {
+    it("should only require MFA for admin roles when the policy is on", () => {
+      expect(isMfaRequiredForRole("admin", { requireMFA: true })).toBe(true);
+      expect(isMfaRequiredForRole("super_admin", { requireMFA: true })).toBe(
+        true
+      );
+      expect(isMfaRequiredForRole("student", { requireMFA: true })).toBe(false);
+      expect(isMfaRequiredForRole("admin", { requireMFA: false })).toBe(false);
+    });
+  });
+
+  describe("requireMFA middleware", () => {
+    let policySpy;
+
+    const run = (user) =>
+      new Promise((resolve) => {
+        const res = {};
+        res.status = jest.fn(() => res);
+        res.json = jest.fn(() => resolve({ res, passed: false }));
+        const req = { user, cookies: {}, headers: {} };
+        requireMFA(req, res, () => resolve({ res, passed: true }));
+      });
+
+    beforeEach(() => {
+      clearSessionPolicyCache();
+      policySpy = jest
+        .spyOn(AdminRepository, "getSecurityPolicies")
+        .mockResolvedValue({ sessionPolicy: { requireMFA: true } });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it("should refuse admin sessions that have not passed MFA", async () => {
+      const { passed, res } = await run({ role: "admin", mfa: false });
+
+      expect(passed).toBe(false);
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0].code).toBe("MFA_REQUIRED");
+    });
+
+    it("should let MFA sessions and other roles through", async () => {
+      expect((await run({ role: "super_admin", mfa: true })).passed).toBe(true);
+      expect((await run({ role: "student", mfa: false })).passed).toBe(true);
+      expect(policySpy).not.toHaveBeenCalled();
+    });
+
+    it("should let admins through while the policy is off", async () => {
+      policySpy.mockResolvedValue({ sessionPolicy: { requireMFA: false } });
+
+      expect((await run({ role: "admin", mfa: false })).passed).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,268 @@
+import { jest } from "@jest/globals";
+import { EnrollmentRepository } from "../models/dynamodb/enrollment-repository.js";
+import { LectureRepository } from "../models/dynamodb/lecture-repository.js";
+import { LectureNoteRepository } from "../models/dynamodb/lecture-note-repository.js";
+import { formatTimestamp, notesToMarkdown } from "../utils/notes.js";
+import {
+  getMyNotes,
+  exportMyNotes,
+  createNote,
+  updateNote,
+  deleteNote,
+} from "../controllers/dynamodb/noteController.js";
+
+describe("Lecture Note Unit Tests", () => {
+  const enrollment = {
+    userId: "student-1",
+    courseId: "course-1",
+    courseTitle: "Intro to JavaScript",
+  };
+  const video = {
+    courseId: "course-1",
+    lectureId: "lecture-1",
+    title: "Scope",
+  };
+  const quiz = {
+    courseId: "course-1",
+    lectureId: "quiz-1",
+    title: "Scope quiz",
+    type: "quiz",
+  };
+  const notes = [
+    {
+      noteId: "note-1",
+      courseId: "course-1",
+      courseTitle: "Intro to JavaScript",
+      lectureId: "lecture-1",
+      lectureTitle: "Scope",
+      kind: "note",
+      timestamp: 95,
+      text: "Closures keep their scope",
+      createdAt: "2026-01-01T00:00:00.000Z",
+    },
+    {
+      noteId: "note-2",
+      courseId: "course-1",
+      courseTitle: "Intro to JavaScript",
+      lectureId: "lecture-1",
+      lectureTitle: "Scope",
+      kind: "bookmark",
+      timestamp: 12,
+      text: "",
+      createdAt: "2026-01-02T00:00:00.000Z",
+    },
+    {
+      noteId: "note-3",
+      courseId: "course-2",
+      courseTitle: "CSS Layout",
+      lectureId: "lecture-9",
+      lectureTitle: "Grid",
+      kind: "note",
+      timestamp: null,
+      text: "Grid areas\nname regions",
+      createdAt: "2026-01-03T00:00:00.000Z",
+    },
+  ];
+
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    res.send = jest.fn(() => res);
+    res.setHeader = jest.fn();
+    return res;
+  };
+
+  const mockRequest = (overrides = {}) => ({
+    user: { sub: "student-1", role: "student" },
+    params: {},
+    query: {},
+    value: { body: {} },
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    jest
+      .spyOn(EnrollmentRepository, "findByUserAndCourse")
+      .mockResolvedValue(enrollment);
+    jest
+      .spyOn(LectureRepository, "findById")
+      .mockImplementation(async (courseId, lectureId) =>
+        [video, quiz].find((lecture) => lecture.lectureId === lectureId)
+      );
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("notesToMarkdown", () => {
+    it("should group notes by course and lecture in video order", () => {
+      expect(formatTimestamp(3725)).toBe("1:02:05");
+
+      expect(notesToMarkdown(notes)).toBe(
+        [
+          "# My Notes",
+          "",
+          "## CSS Layout",
+          "",
+          "### Grid",
+          "",
+          "- Grid areas",
+          "  name regions",
+          "",
+          "## Intro to JavaScript",
+          "",
+          "### Scope",
+          "",
+          "- [0:12] Bookmark",
+          "- [1:35] Closures keep their scope",
+          "",
+        ].join("\n")
+      );
+    });
+  });
+
+  describe("getMyNotes", () => {
+    it("should search notes across all courses", async () => {
+      const findByUser = jest
+        .spyOn(LectureNoteRepository, "findByUser")
+        .mockResolvedValue(notes);
+      const res = mockResponse();
+
+      await getMyNotes(mockRequest({ query: { search: "GRID" } }), res);
+
+      expect(findByUser).toHaveBeenCalledWith("student-1");
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json.mock.calls[0][0]).toEqual([
+        expect.objectContaining({ id: "note-3", lectureTitle: "Grid" }),
+      ]);
+    });
+
+    it("should list a lecture's notes by timestamp", async () => {
+      jest
+        .spyOn(LectureNoteRepository, "findByUserAndCourse")
+        .mockResolvedValue(notes.slice(0, 2));
+      const res = mockResponse();
+
+      await getMyNotes(
+        mockRequest({
+          query: { courseId: "course-1", lectureId: "lecture-1" },
+        }),
+        res
+      );
+
+      expect(res.json.mock.calls[0][0].map((note) => note.id)).toEqual([
+        "note-2",
+        "note-1",
+      ]);
+    });
+  });
+
+  describe("exportMyNotes", () => {
+    it("should download the notes as Markdown", async () => {
+      jest.spyOn(LectureNoteRepository, "findByUser").mockResolvedValue(notes);
+      const res = mockResponse();
+
+      await exportMyNotes(mockRequest(), res);
+
+      expect(res.setHeader).toHaveBeenCalledWith(
+        "Content-Type",
+        "text/markdown; charset=utf-8"
+      );
+      expect(res.send.mock.calls[0][0]).toContain("## Intro to JavaScript");
+    });
+  });
+
+  describe("createNote", () => {
+    const body = {
+      courseId: "course-1",
+      lectureId: "lecture-1",
+      kind: "note",
+      timestamp: 95,
+      text: "Closures keep their scope",
+    };
+
+    it("should save the note with the course and lecture titles", async () => {
+      const create = jest
+        .spyOn(LectureNoteRepository, "create")
+        .mockImplementation(async (note) => ({ ...note, noteId: "note-1" }));
+      const res = mockResponse();
+
+      await createNote(mockRequest({ value: { body } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(create).toHaveBeenCalledWith({
+        userId: "student-1",
+        ...body,
+        courseTitle: "Intro to JavaScript",
+        lectureTitle: "Scope",
+      });
+      expect(res.json.mock.calls[0][0].id).toBe("note-1");
+    });
+
+    it("should refuse learners who are not enrolled", async () => {
+      EnrollmentRepository.findByUserAndCourse.mockResolvedValue(null);
+      const create = jest.spyOn(LectureNoteRepository, "create");
+      const res = mockResponse();
+
+      await createNote(mockRequest({ value: { body } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it("should reject timestamps on lectures without a video", async () => {
+      const res = mockResponse();
+
+      await createNote(
+        mockRequest({ value: { body: { ...body, lectureId: "quiz-1" } } }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ code: "NOT_A_VIDEO" })
+      );
+    });
+  });
+
+  describe("updateNote", () => {
+    it("should keep text on notes", async () => {
+      jest.spyOn(LectureNoteRepository, "findById").mockResolvedValue(notes[0]);
+      const update = jest.spyOn(LectureNoteRepository, "update");
+      const res = mockResponse();
+
+      await updateNote(
+        mockRequest({
+          params: { courseId: "course-1", noteId: "note-1" },
+          value: { body: { text: "", timestamp: 95 } },
+        }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("deleteNote", () => {
+    it("should answer 404 for notes that do not exist", async () => {
+      jest.spyOn(LectureNoteRepository, "delete").mockResolvedValue(false);
+      const res = mockResponse();
+
+      await deleteNote(
+        mockRequest({ params: { courseId: "course-1", noteId: "missing" } }),
+        res
+      );
+
+      expect(LectureNoteRepository.delete).toHaveBeenCalledWith(
+        "student-1",
+        "course-1",
+        "missing"
+      );
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+});
@@ -0,0 +1,226 @@
+import { jest } from "@jest/globals";
+import jwt from "jsonwebtoken";
+import { startMockOidcProvider } from "./support/mockOidcProvider.js";
+import { clearOidcCache, OIDC_FLOW_COOKIE } from "../utils/oidc.js";
+import { UserRepository } from "../models/dynamodb/user-repository.js";
+import { AdminRepository } from "../models/dynamodb/admin-repository.js";
+import { SessionRepository } from "../models/dynamodb/session-repository.js";
+import { IdentityRepository } from "../models/dynamodb/identity-repository.js";
+
+describe("OpenID Connect Login Unit Tests", () => {
+  let provider;
+  let startOidcLogin;
+  let completeOidcLogin;
+  let clearSessionPolicyCache;
+
+  const user = {
+    userId: "user-1",
+    name: "Mock User",
+    email: "user@example.com",
+    role: "student",
+    accountStatus: "active",
+    emailVerified: true,
+  };
+
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    res.cookie = jest.fn(() => res);
+    res.clearCookie = jest.fn(() => res);
+    res.redirect = jest.fn(() => res);
+    res.set = jest.fn(() => res);
+    return res;
+  };
+
+  // Start a login and follow the provider redirect like a browser
+  const beginLogin = async () => {
+    const res = mockResponse();
+    await startOidcLogin({ params: { provider: "mock" } }, res);
+    const authorizationUrl = res.redirect.mock.calls[0][1];
+    const flowCookie = res.cookie.mock.calls[0][1];
+    const { code, state } = await provider.authorize(authorizationUrl);
+    return { authorizationUrl, flowCookie, code, state, res };
+  };
+
+  const finishLogin = async ({ code, state, flowCookie }) => {
+    const res = mockResponse();
+    await completeOidcLogin(
+      {
+        value: { body: { code, state } },
+        cookies: { [OIDC_FLOW_COOKIE]: flowCookie },
+        ip: "127.0.0.1",
+        get: () => "jest",
+      },
+      res
+    );
+    return res;
+  };
+
+  beforeAll(async () => {
+    provider = await startMockOidcProvider();
+    process.env.JWT_SECRET = "oidc-test-secret";
+    process.env.FRONTEND_URL = "http://localhost:3000";
+    process.env.OIDC_PROVIDERS = "mock";
+    process.env.OIDC_MOCK_ISSUER = provider.issuer;
+    process.env.OIDC_MOCK_CLIENT_ID = provider.clientId;
+    process.env.OIDC_MOCK_CLIENT_SECRET = provider.clientSecret;
+
+    // The controllers read JWT_SECRET when they load
+    ({ startOidcLogin, completeOidcLogin } = await import(
+      "../controllers/dynamodb/oidcController.js"
+    ));
+    ({ clearSessionPolicyCache } = await import(
+      "../middlewares/authenticateToken.js"
+    ));
+  });
+
+  afterAll(async () => {
+    delete process.env.OIDC_PROVIDERS;
+    await provider.close();
+  });
+
+  beforeEach(() => {
+    clearOidcCache();
+    clearSessionPolicyCache();
+    provider.setUser({
+      sub: "mock-user-1",
+      email: user.email,
+      email_verified: true,
+      name: user.name,
+    });
+    jest.spyOn(AdminRepository, "logSecurityEvent").mockResolvedValue({});
+    jest.spyOn(AdminRepository, "getSecurityPolicies").mockResolvedValue({
+      passwordPolicy: {},
+      sessionPolicy: {},
+      accessControl: {},
+    });
+    jest.spyOn(SessionRepository, "findByUser").mockResolvedValue([]);
+    jest
+      .spyOn(SessionRepository, "create")
+      .mockImplementation(async (session) => ({ ...session }));
+    jest.spyOn(UserRepository, "updateLoginTracking").mockResolvedValue();
+    jest
+      .spyOn(IdentityRepository, "link")
+      .mockImplementation(async (identity) => ({ ...identity }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should send the browser to the provider with PKCE", async () => {
+    const { authorizationUrl, res } = await beginLogin();
+    const params = new URL(authorizationUrl).searchParams;
+
+    expect(authorizationUrl.startsWith(`${provider.issuer}/authorize`)).toBe(
+      true
+    );
+    expect(params.get("code_challenge_method")).toBe("S256");
+    expect(params.get("code_challenge")).toBeTruthy();
+    expect(params.get("redirect_uri")).toBe(
+      "http://localhost:3000/oauth/callback"
+    );
+    expect(res.cookie.mock.calls[0][2]).toMatchObject({
+      httpOnly: true,
+      path: "/api/oauth",
+    });
+  });
+
+  it("should link an existing user by verified email and issue the login token", async () => {
+    jest
+      .spyOn(IdentityRepository, "findByProviderSubject")
+      .mockResolvedValue(null);
+    jest.spyOn(UserRepository, "findByEmail").mockResolvedValue(user);
+
+    const res = await finishLogin(await beginLogin());
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const body = res.json.mock.calls[0][0];
+    const payload = jwt.verify(body.token, process.env.JWT_SECRET);
+    expect(payload.sub).toBe(user.userId);
+    expect(payload.sid).toBeTruthy();
+    expect(IdentityRepository.link).toHaveBeenCalledWith({
+      provider: "mock",
+      subject: "mock-user-1",
+      userId: user.userId,
+      email: user.email,
+    });
+  });
+
+  it("should sign in an already linked identity", async () => {
+    jest
+      .spyOn(IdentityRepository, "findByProviderSubject")
+      .mockResolvedValue({ userId: user.userId });
+    jest.spyOn(UserRepository, "findById").mockResolvedValue(user);
+    const findByEmailSpy = jest.spyOn(UserRepository, "findByEmail");
+
+    const res = await finishLogin(await beginLogin());
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(findByEmailSpy).not.toHaveBeenCalled();
+    expect(IdentityRepository.link).not.toHaveBeenCalled();
+  });
+
+  it("should create a student account for a new verified email", async () => {
+    jest
+      .spyOn(IdentityRepository, "findByProviderSubject")
+      .mockResolvedValue(null);
+    jest.spyOn(UserRepository, "findByEmail").mockResolvedValue(null);
+    const createSpy = jest
+      .spyOn(UserRepository, "create")
+      .mockResolvedValue({ ...user, userId: "user-2" });
+
+    const res = await finishLogin(await beginLogin());
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(createSpy).toHaveBeenCalledWith(
+      expect.objectContaining({
+        email: user.email,
+        role: "student",
+        emailVerified: true,
+      })
+    );
+  });
+
+  it("should refuse identities without a verified email", async () => {
+    provider.setUser({
+      sub: "mock-user-2",
+      email: user.email,
+      email_verified: false,
+    });
+    jest
+      .spyOn(IdentityRepository, "findByProviderSubject")
+      .mockResolvedValue(null);
+    const findByEmailSpy = jest.spyOn(UserRepository, "findByEmail");
+
+    const res = await finishLogin(await beginLogin());
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json.mock.calls[0][0].code).toBe("OIDC_EMAIL_NOT_VERIFIED");
+    expect(findByEmailSpy).not.toHaveBeenCalled();
+  });
+
+  it("should refuse a callback with the wrong state", async () => {
+    const login = await beginLogin();
+
+    const res = await finishLogin({ ...login, state: "forged-state" });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].code).toBe("OIDC_STATE_INVALID");
+  });
+
+  it("should refuse a code redeemed with another attempt's verifier", async () => {
+    const stolen = await beginLogin();
+    const attacker = await beginLogin();
+
+    const res = await finishLogin({
+      code: stolen.code,
+      state: attacker.state,
+      flowCookie: attacker.flowCookie,
+    });
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json.mock.calls[0][0].code).toBe("OIDC_LOGIN_FAILED");
+  });
+});
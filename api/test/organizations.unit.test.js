@@ -0,0 +1,373 @@
+import { jest } from "@jest/globals";
+import { setMailTransport } from "../utils/mailer.js";
+import {
+  ACCOUNT_TOKEN_TYPES,
+  signAccountToken,
+} from "../utils/accountTokens.js";
+import { seatPoolSchema } from "../src/validate/validator.js";
+import {
+  OrganizationRepository,
+  SEAT_SCOPES,
+} from "../models/dynamodb/organization-repository.js";
+import { UserRepository } from "../models/dynamodb/user-repository.js";
+import { CourseRepository } from "../models/dynamodb/course-repository.js";
+import { EnrollmentRepository } from "../models/dynamodb/enrollment-repository.js";
+import { LectureRepository } from "../models/dynamodb/lecture-repository.js";
+import requireOrgRole from "../middlewares/requireOrgRole.js";
+import {
+  createOrganization,
+  acceptInvite,
+  assignSeat,
+  reclaimMemberSeat,
+  getProgressReport,
+} from "../controllers/dynamodb/organizationController.js";
+import { createEnrollment } from "../controllers/dynamodb/enrollmentController.js";
+
+describe("Organization Unit Tests", () => {
+  let sentMail;
+
+  const organization = { organizationId: "org-1", name: "Acme" };
+  const learner = {
+    userId: "user-1",
+    name: "Test Learner",
+    email: "learner@example.com",
+    role: "student",
+  };
+  const member = { ...learner, organizationId: "org-1", role: "member" };
+  const coursePool = {
+    organizationId: "org-1",
+    poolId: "pool-1",
+    scope: SEAT_SCOPES.COURSE,
+    courseId: "course-1",
+    totalSeats: 5,
+    usedSeats: 1,
+  };
+  const course = {
+    courseId: "course-1",
+    title: "Intro to Testing",
+    price: 49,
+    imageKey: "uploads/course.png",
+    status: "published",
+  };
+
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+
+  const call = async (handler, req) => {
+    const res = mockResponse();
+    await handler({ user: { sub: "admin-1" }, ...req }, res);
+    return res;
+  };
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = "organization-test-secret";
+  });
+
+  beforeEach(() => {
+    sentMail = [];
+    setMailTransport({
+      send: async (message) => {
+        sentMail.push(message);
+        return { messageId: "test" };
+      },
+    });
+    jest
+      .spyOn(OrganizationRepository, "findById")
+      .mockResolvedValue(organization);
+    jest.spyOn(OrganizationRepository, "findMember").mockResolvedValue(member);
+    jest
+      .spyOn(OrganizationRepository, "findSeatPool")
+      .mockResolvedValue(coursePool);
+    jest.spyOn(OrganizationRepository, "reserveSeat").mockResolvedValue(true);
+    jest.spyOn(OrganizationRepository, "releaseSeat").mockResolvedValue();
+    jest.spyOn(CourseRepository, "findById").mockResolvedValue(course);
+    jest
+      .spyOn(EnrollmentRepository, "findByUserAndCourse")
+      .mockResolvedValue(null);
+    jest
+      .spyOn(EnrollmentRepository, "create")
+      .mockImplementation(async (enrollment) => enrollment);
+  });
+
+  afterEach(() => {
+    setMailTransport(null);
+    jest.restoreAllMocks();
+  });
+
+  describe("validation", () => {
+    it("should require a course only for course seat pools", () => {
+      expect(
+        seatPoolSchema.validate({ scope: "course", totalSeats: 10 }).error
+      ).toBeDefined();
+      expect(
+        seatPoolSchema.validate({
+          scope: "catalog",
+          courseId: "course-1",
+          totalSeats: 10,
+        }).error
+      ).toBeDefined();
+      expect(
+        seatPoolSchema.validate({ scope: "catalog", totalSeats: 10 }).error
+      ).toBeUndefined();
+    });
+  });
+
+  describe("invites", () => {
+    it("should invite the first admin when creating an organization", async () => {
+      jest
+        .spyOn(OrganizationRepository, "create")
+        .mockResolvedValue(organization);
+      const inviteSpy = jest
+        .spyOn(OrganizationRepository, "createInvite")
+        .mockImplementation(async (organizationId, invite) => invite);
+
+      const res = await call(createOrganization, {
+        value: { body: { name: "Acme", adminEmail: "boss@acme.com" } },
+      });
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(inviteSpy.mock.calls[0][1]).toMatchObject({
+        email: "boss@acme.com",
+        role: "admin",
+      });
+      expect(sentMail[0].to).toBe("boss@acme.com");
+      expect(sentMail[0].text).toContain("/organization-invite?token=");
+    });
+
+    it("should add the invitee with the invited role", async () => {
+      const { token, tokenId } = signAccountToken(
+        "org-1",
+        ACCOUNT_TOKEN_TYPES.ORGANIZATION_INVITE
+      );
+      jest.spyOn(UserRepository, "findById").mockResolvedValue(learner);
+      const consumeSpy = jest
+        .spyOn(OrganizationRepository, "consumeInvite")
+        .mockResolvedValue({ email: learner.email, role: "admin" });
+      const addSpy = jest
+        .spyOn(OrganizationRepository, "addMember")
+        .mockResolvedValue({ ...member, role: "admin" });
+
+      const res = await call(acceptInvite, {
+        user: { sub: learner.userId },
+        value: { body: { token } },
+      });
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(consumeSpy).toHaveBeenCalledWith("org-1", learner.email, tokenId);
+      expect(addSpy).toHaveBeenCalledWith(organization, {
+        user: learner,
+        role: "admin",
+      });
+    });
+
+    it("should refuse invites sent to another address or already used", async () => {
+      const { token } = signAccountToken(
+        "org-1",
+        ACCOUNT_TOKEN_TYPES.ORGANIZATION_INVITE
+      );
+      jest.spyOn(UserRepository, "findById").mockResolvedValue(learner);
+      jest
+        .spyOn(OrganizationRepository, "consumeInvite")
+        .mockResolvedValue(null);
+      const addSpy = jest.spyOn(OrganizationRepository, "addMember");
+
+      const res = await call(acceptInvite, {
+        user: { sub: learner.userId },
+        value: { body: { token } },
+      });
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].code).toBe("INVALID_INVITE");
+      expect(addSpy).not.toHaveBeenCalled();
+    });
+
+    it("should not accept other account tokens as invites", async () => {
+      const { token } = signAccountToken(
+        "org-1",
+        ACCOUNT_TOKEN_TYPES.EMAIL_VERIFICATION
+      );
+      const consumeSpy = jest.spyOn(OrganizationRepository, "consumeInvite");
+
+      const res = await call(acceptInvite, {
+        user: { sub: learner.userId },
+        value: { body: { token } },
+      });
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(consumeSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("requireOrgRole", () => {
+    it("should keep members out of admin routes", async () => {
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await requireOrgRole("admin")(
+        { user: { sub: learner.userId }, params: { orgId: "org-1" } },
+        res,
+        next
+      );
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0].code).toBe("NOT_ORG_ADMIN");
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("seats", () => {
+    const assign = () =>
+      call(assignSeat, {
+        params: { orgId: "org-1", poolId: "pool-1" },
+        value: { body: { userId: learner.userId } },
+      });
+
+    it("should enroll the member in the course tagged with the organization", async () => {
+      jest
+        .spyOn(OrganizationRepository, "createSeat")
+        .mockImplementation(async (pool, seat) => seat);
+
+      const res = await assign();
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(OrganizationRepository.reserveSeat).toHaveBeenCalledWith(
+        "org-1",
+        "pool-1"
+      );
+      expect(EnrollmentRepository.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          userId: learner.userId,
+          courseId: "course-1",
+          organizationId: "org-1",
+          seatPoolId: "pool-1",
+        })
+      );
+    });
+
+    it("should refuse when every seat is assigned", async () => {
+      OrganizationRepository.reserveSeat.mockResolvedValue(false);
+      const createSpy = jest.spyOn(OrganizationRepository, "createSeat");
+
+      const res = await assign();
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json.mock.calls[0][0].code).toBe("NO_SEATS_AVAILABLE");
+      expect(createSpy).not.toHaveBeenCalled();
+      expect(EnrollmentRepository.create).not.toHaveBeenCalled();
+    });
+
+    it("should give the seat back when the member already holds one", async () => {
+      jest.spyOn(OrganizationRepository, "createSeat").mockResolvedValue(null);
+
+      const res = await assign();
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json.mock.calls[0][0].code).toBe("SEAT_ALREADY_ASSIGNED");
+      expect(OrganizationRepository.releaseSeat).toHaveBeenCalledWith(
+        "org-1",
+        "pool-1"
+      );
+    });
+
+    it("should remove only the seat's enrollments when reclaiming", async () => {
+      jest
+        .spyOn(OrganizationRepository, "deleteSeat")
+        .mockResolvedValue({ poolId: "pool-1", userId: learner.userId });
+      jest
+        .spyOn(EnrollmentRepository, "findByUser")
+        .mockResolvedValue([
+          {
+            courseId: "course-1",
+            organizationId: "org-1",
+            seatPoolId: "pool-1",
+          },
+          { courseId: "course-2" },
+        ]);
+      const deleteSpy = jest
+        .spyOn(EnrollmentRepository, "deleteSeatEnrollment")
+        .mockResolvedValue(true);
+
+      const res = await call(reclaimMemberSeat, {
+        params: { orgId: "org-1", poolId: "pool-1", userId: learner.userId },
+      });
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(deleteSpy).toHaveBeenCalledTimes(1);
+      expect(deleteSpy).toHaveBeenCalledWith(
+        learner.userId,
+        "course-1",
+        "pool-1"
+      );
+      expect(OrganizationRepository.releaseSeat).toHaveBeenCalled();
+      expect(res.json.mock.calls[0][0].data.removedEnrollments).toBe(1);
+    });
+
+    it("should tag enrollments made with a catalog seat", async () => {
+      jest.spyOn(UserRepository, "findById").mockResolvedValue(learner);
+      jest
+        .spyOn(OrganizationRepository, "findSeatsByUser")
+        .mockResolvedValue([
+          { organizationId: "org-1", poolId: "pool-2", scope: "catalog" },
+        ]);
+      const res = mockResponse();
+
+      await createEnrollment(
+        {
+          user: { sub: learner.userId },
+          params: { id: "course-1" },
+          body: {},
+        },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(EnrollmentRepository.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          organizationId: "org-1",
+          seatPoolId: "pool-2",
+        })
+      );
+    });
+  });
+
+  describe("getProgressReport", () => {
+    it("should report progress in the organization's enrollments only", async () => {
+      jest
+        .spyOn(OrganizationRepository, "findMembers")
+        .mockResolvedValue([member]);
+      jest.spyOn(EnrollmentRepository, "findByUser").mockResolvedValue([
+        {
+          courseId: "course-1",
+          courseTitle: "Intro to Testing",
+          organizationId: "org-1",
+          progress: ["lecture-1"],
+        },
+        { courseId: "course-2", courseTitle: "Personal", progress: [] },
+      ]);
+      jest
+        .spyOn(LectureRepository, "findByCourse")
+        .mockResolvedValue([
+          { lectureId: "lecture-1" },
+          { lectureId: "lecture-2" },
+        ]);
+
+      const res = await call(getProgressReport, {
+        params: { orgId: "org-1" },
+      });
+
+      const { members, summary } = res.json.mock.calls[0][0].data;
+      expect(members[0].courses).toHaveLength(1);
+      expect(members[0].courses[0]).toMatchObject({
+        courseId: "course-1",
+        progress: 50,
+        completedLectures: 1,
+        totalLectures: 2,
+      });
+      expect(summary).toMatchObject({ enrollments: 1, averageProgress: 50 });
+    });
+  });
+});
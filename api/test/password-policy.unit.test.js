@@ -0,0 +1,266 @@
+import { jest } from "@jest/globals";
+import bcrypt from "bcrypt";
+import { UserRepository } from "../models/dynamodb/user-repository.js";
+import { AdminRepository } from "../models/dynamodb/admin-repository.js";
+import { rotatePasswordSchema } from "../src/validate/validator.js";
+import {
+  DEFAULT_PASSWORD_POLICY,
+  MAX_PASSWORD_HISTORY,
+  getPasswordRequirements,
+  validatePasswordAgainstPolicy,
+  buildPasswordHistory,
+  isPasswordReused,
+  isPasswordExpired,
+  validateNewPassword,
+} from "../utils/passwordPolicy.js";
+
+describe("Password Policy Unit Tests", () => {
+  describe("getPasswordRequirements", () => {
+    it("should list every rule of the default policy", () => {
+      const requirements = getPasswordRequirements(DEFAULT_PASSWORD_POLICY);
+
+      expect(requirements.map((requirement) => requirement.id)).toEqual([
+        "minLength",
+        "uppercase",
+        "lowercase",
+        "number",
+        "special",
+      ]);
+      expect(requirements[0].label).toBe("At least 8 characters");
+    });
+
+    it("should omit character classes the policy does not require", () => {
+      const requirements = getPasswordRequirements({
+        minLength: 12,
+        requireUppercase: false,
+        requireSpecialChars: false,
+      });
+
+      expect(requirements.map((requirement) => requirement.id)).toEqual([
+        "minLength",
+        "lowercase",
+        "number",
+      ]);
+      expect(requirements[0].label).toBe("At least 12 characters");
+    });
+  });
+
+  describe("validatePasswordAgainstPolicy", () => {
+    it("should accept a password meeting the default policy", () => {
+      const result = validatePasswordAgainstPolicy(
+        "Str0ng!Pass",
+        DEFAULT_PASSWORD_POLICY
+      );
+
+      expect(result.isValid).toBe(true);
+      expect(result.error).toBeNull();
+    });
+
+    it("should report every failed requirement", () => {
+      const result = validatePasswordAgainstPolicy(
+        "short",
+        DEFAULT_PASSWORD_POLICY
+      );
+
+      expect(result.isValid).toBe(false);
+      expect(result.code).toBe("PASSWORD_POLICY_VIOLATION");
+      expect(
+        result.failedRequirements.map((requirement) => requirement.id)
+      ).toEqual(["minLength", "uppercase", "number", "special"]);
+    });
+
+    it("should follow the configured minimum length", () => {
+      const policy = { ...DEFAULT_PASSWORD_POLICY, minLength: 14 };
+
+      expect(validatePasswordAgainstPolicy("Str0ng!Pass", policy).isValid).toBe(
+        false
+      );
+    });
+
+    it("should reject empty passwords", () => {
+      const result = validatePasswordAgainstPolicy("", DEFAULT_PASSWORD_POLICY);
+
+      expect(result.isValid).toBe(false);
+      expect(result.code).toBe("PASSWORD_REQUIRED");
+    });
+
+    it("should reject passwords longer than bcrypt reads", () => {
+      // 74 bytes in 39 characters
+      const password = `Aa1!${"é".repeat(35)}`;
+
+      expect(
+        validatePasswordAgainstPolicy(password, DEFAULT_PASSWORD_POLICY).code
+      ).toBe("PASSWORD_TOO_LONG");
+      expect(
+        rotatePasswordSchema.validate({
+          email: "user@example.com",
+          currentPassword: "Old!Pass1",
+          newPassword: password,
+        }).error
+      ).toBeDefined();
+    });
+  });
+
+  describe("buildPasswordHistory", () => {
+    it("should put the current hash first and cap the history", () => {
+      const previous = Array.from(
+        { length: MAX_PASSWORD_HISTORY },
+        (_, index) => `hash-${index}`
+      );
+      const history = buildPasswordHistory({
+        password: "current",
+        passwordHistory: previous,
+      });
+
+      expect(history[0]).toBe("current");
+      expect(history).toHaveLength(MAX_PASSWORD_HISTORY);
+    });
+  });
+
+  describe("isPasswordReused", () => {
+    let user;
+
+    beforeAll(async () => {
+      user = {
+        password: await bcrypt.hash("Current1!", 4),
+        passwordHistory: [
+          await bcrypt.hash("Previous1!", 4),
+          await bcrypt.hash("Older1!", 4),
+        ],
+      };
+    });
+
+    it("should detect the current and recent passwords", async () => {
+      expect(await isPasswordReused("Current1!", user, 3)).toBe(true);
+      expect(await isPasswordReused("Older1!", user, 3)).toBe(true);
+    });
+
+    it("should only look back preventReuse passwords", async () => {
+      expect(await isPasswordReused("Older1!", user, 2)).toBe(false);
+    });
+
+    it("should allow any password when reuse prevention is off", async () => {
+      expect(await isPasswordReused("Current1!", user, 0)).toBe(false);
+    });
+
+    it("should return a PASSWORD_REUSED error from validateNewPassword", async () => {
+      const result = await validateNewPassword(
+        "Previous1!",
+        user,
+        DEFAULT_PASSWORD_POLICY
+      );
+
+      expect(result.isValid).toBe(false);
+      expect(result.code).toBe("PASSWORD_REUSED");
+    });
+  });
+
+  describe("isPasswordExpired", () => {
+    const now = new Date("2025-06-01T00:00:00.000Z");
+
+    it("should expire passwords older than maxAge days", () => {
+      expect(
+        isPasswordExpired(
+          { password: "hash", passwordChangedAt: "2025-02-01T00:00:00.000Z" },
+          { maxAge: 90 },
+          now
+        )
+      ).toBe(true);
+      expect(
+        isPasswordExpired(
+          { password: "hash", passwordChangedAt: "2025-05-01T00:00:00.000Z" },
+          { maxAge: 90 },
+          now
+        )
+      ).toBe(false);
+    });
+
+    it("should count passwords set before change dates were recorded from the account's creation", () => {
+      expect(
+        isPasswordExpired(
+          { password: "hash", createdAt: "2024-01-01T00:00:00.000Z" },
+          { maxAge: 90 },
+          now
+        )
+      ).toBe(true);
+      expect(
+        isPasswordExpired(
+          { password: "hash", createdAt: "2025-05-01T00:00:00.000Z" },
+          { maxAge: 90 },
+          now
+        )
+      ).toBe(false);
+    });
+
+    it("should not expire accounts without a password", () => {
+      expect(
+        isPasswordExpired(
+          { passwordChangedAt: "2024-01-01T00:00:00.000Z" },
+          { maxAge: 90 },
+          now
+        )
+      ).toBe(false);
+    });
+
+    it("should never expire when maxAge is disabled", () => {
+      expect(
+        isPasswordExpired(
+          { password: "hash", passwordChangedAt: "2020-01-01T00:00:00.000Z" },
+          { maxAge: 0 },
+          now
+        )
+      ).toBe(false);
+    });
+  });
+
+  describe("rotateExpiredPassword", () => {
+    let rotateExpiredPassword;
+
+    beforeAll(async () => {
+      // The controller reads JWT_SECRET when it loads
+      process.env.JWT_SECRET = "password-test-secret";
+      ({ rotateExpiredPassword } = await import(
+        "../controllers/dynamodb/authController.js"
+      ));
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it("should refuse accounts without a password", async () => {
+      jest.spyOn(UserRepository, "findByEmail").mockResolvedValue({
+        userId: "user-1",
+        email: "user@example.com",
+        role: "student",
+      });
+      jest.spyOn(AdminRepository, "getSecurityPolicies").mockResolvedValue({
+        passwordPolicy: {},
+        accessControl: {},
+      });
+      jest.spyOn(AdminRepository, "logSecurityEvent").mockResolvedValue({});
+      jest.spyOn(UserRepository, "recordFailedLogin").mockResolvedValue({});
+      const updatePassword = jest.spyOn(UserRepository, "updatePassword");
+      const res = {};
+      res.status = jest.fn(() => res);
+      res.json = jest.fn(() => res);
+
+      await rotateExpiredPassword(
+        {
+          headers: {},
+          value: {
+            body: {
+              email: "user@example.com",
+              currentPassword: "anything",
+              newPassword: "N3w!Password",
+            },
+          },
+        },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(updatePassword).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,266 @@
+import { jest } from "@jest/globals";
+import {
+  PERMISSIONS,
+  BUILT_IN_ROLE_PERMISSIONS,
+  isStaffRole,
+  validateRoleDefinition,
+} from "../utils/permissions.js";
+import { RoleRepository } from "../models/dynamodb/role-repository.js";
+import { AdminRepository } from "../models/dynamodb/admin-repository.js";
+import { UserRepository } from "../models/dynamodb/user-repository.js";
+import requirePermission, {
+  clearRolePermissionsCache,
+} from "../middlewares/requirePermission.js";
+import {
+  createRole,
+  deleteRole,
+} from "../controllers/dynamodb/roleController.js";
+
+describe("Permissions Unit Tests", () => {
+  let updateUserRole;
+  const supportRole = {
+    name: "support",
+    description: "Works the support queue",
+    permissions: [PERMISSIONS.TICKETS_READ, PERMISSIONS.TICKETS_WRITE],
+  };
+
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+
+  const runMiddleware = async (middleware, user) => {
+    const req = { user };
+    const res = mockResponse();
+    const next = jest.fn();
+    await middleware(req, res, next);
+    return { req, res, next };
+  };
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = "permissions-test-secret";
+
+    // The controllers read JWT_SECRET when they load
+    ({ updateUserRole } = await import(
+      "../controllers/dynamodb/adminController.js"
+    ));
+  });
+
+  beforeEach(() => {
+    clearRolePermissionsCache();
+    jest.spyOn(AdminRepository, "logAdminAction").mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("built-in roles", () => {
+    it("should give super admins every permission and keep role management from admins", () => {
+      const admin = BUILT_IN_ROLE_PERMISSIONS.admin;
+
+      expect(BUILT_IN_ROLE_PERMISSIONS.super_admin).toEqual(
+        Object.values(PERMISSIONS)
+      );
+      expect(admin).toContain(PERMISSIONS.COURSES_APPROVE);
+      expect(admin).not.toContain(PERMISSIONS.ROLES_WRITE);
+      expect(admin).not.toContain(PERMISSIONS.USERS_ROLES);
+      expect(BUILT_IN_ROLE_PERMISSIONS.student).toEqual([]);
+    });
+
+    it("should treat custom roles as staff but not students or instructors", () => {
+      expect(isStaffRole("support")).toBe(true);
+      expect(isStaffRole("admin")).toBe(true);
+      expect(isStaffRole("instructor")).toBe(false);
+      expect(isStaffRole(undefined)).toBe(false);
+    });
+  });
+
+  describe("validateRoleDefinition", () => {
+    it("should accept a well-formed role", () => {
+      expect(validateRoleDefinition(supportRole).isValid).toBe(true);
+    });
+
+    it("should refuse built-in names, bad names and unknown permissions", () => {
+      expect(
+        validateRoleDefinition({ ...supportRole, name: "admin" }).code
+      ).toBe("BUILT_IN_ROLE");
+      expect(
+        validateRoleDefinition({ ...supportRole, name: "Support Team" }).code
+      ).toBe("INVALID_ROLE_NAME");
+      expect(
+        validateRoleDefinition({
+          ...supportRole,
+          permissions: ["tickets:delete"],
+        }).code
+      ).toBe("INVALID_PERMISSIONS");
+    });
+  });
+
+  describe("requirePermission", () => {
+    it("should let a custom role through for the permissions it holds", async () => {
+      jest.spyOn(RoleRepository, "findByName").mockResolvedValue(supportRole);
+
+      const { req, next } = await runMiddleware(
+        requirePermission(PERMISSIONS.TICKETS_WRITE),
+        { sub: "user-1", role: "support" }
+      );
+
+      expect(next).toHaveBeenCalled();
+      expect(req.permissions).toEqual(supportRole.permissions);
+    });
+
+    it("should refuse permissions the role does not hold", async () => {
+      jest.spyOn(RoleRepository, "findByName").mockResolvedValue(supportRole);
+
+      const { res, next } = await runMiddleware(
+        requirePermission(PERMISSIONS.USERS_SUSPEND),
+        { sub: "user-1", role: "support" }
+      );
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0].code).toBe("PERMISSION_DENIED");
+    });
+
+    it("should refuse roles without any admin permission", async () => {
+      const { res, next } = await runMiddleware(requirePermission(), {
+        sub: "user-2",
+        role: "student",
+      });
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    it("should refuse custom roles that no longer exist", async () => {
+      jest.spyOn(RoleRepository, "findByName").mockResolvedValue(null);
+
+      const { res, next } = await runMiddleware(requirePermission(), {
+        sub: "user-1",
+        role: "deleted-role",
+      });
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    it("should cache custom roles between requests", async () => {
+      const findSpy = jest
+        .spyOn(RoleRepository, "findByName")
+        .mockResolvedValue(supportRole);
+      const middleware = requirePermission(PERMISSIONS.TICKETS_READ);
+
+      await runMiddleware(middleware, { sub: "user-1", role: "support" });
+      await runMiddleware(middleware, { sub: "user-1", role: "support" });
+
+      expect(findSpy).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("role management", () => {
+    it("should not let an admin create a role stronger than their own", async () => {
+      const createSpy = jest.spyOn(RoleRepository, "create");
+      const res = mockResponse();
+
+      await createRole(
+        {
+          user: { sub: "admin-1", role: "admin" },
+          permissions: BUILT_IN_ROLE_PERMISSIONS.admin,
+          body: {
+            name: "auditor",
+            permissions: [PERMISSIONS.AUDIT_READ, PERMISSIONS.SYSTEM_WRITE],
+          },
+          headers: {},
+        },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0].missing).toEqual([
+        PERMISSIONS.SYSTEM_WRITE,
+      ]);
+      expect(createSpy).not.toHaveBeenCalled();
+    });
+
+    it("should not delete a role that users still hold", async () => {
+      jest.spyOn(RoleRepository, "findByName").mockResolvedValue(supportRole);
+      jest
+        .spyOn(AdminRepository, "getAllUsers")
+        .mockResolvedValue({ users: [{ userId: "user-1" }] });
+      const deleteSpy = jest.spyOn(RoleRepository, "delete");
+      const res = mockResponse();
+
+      await deleteRole(
+        {
+          user: { sub: "admin-1", role: "super_admin" },
+          permissions: BUILT_IN_ROLE_PERMISSIONS.super_admin,
+          params: { roleName: "support" },
+          headers: {},
+        },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json.mock.calls[0][0].code).toBe("ROLE_IN_USE");
+      expect(deleteSpy).not.toHaveBeenCalled();
+    });
+
+    it("should not let an admin promote a user to super admin", async () => {
+      jest
+        .spyOn(UserRepository, "findById")
+        .mockResolvedValue({ userId: "user-1", role: "student" });
+      const updateSpy = jest.spyOn(AdminRepository, "updateUserRole");
+      const res = mockResponse();
+
+      await updateUserRole(
+        {
+          user: { sub: "admin-1", role: "admin" },
+          params: { userId: "user-1" },
+          body: { role: "super_admin" },
+        },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(updateSpy).not.toHaveBeenCalled();
+    });
+
+    it("should refuse unknown roles when changing a user's role", async () => {
+      jest.spyOn(RoleRepository, "findByName").mockResolvedValue(null);
+      const res = mockResponse();
+
+      await updateUserRole(
+        {
+          user: { sub: "admin-1", role: "super_admin" },
+          params: { userId: "user-1" },
+          body: { role: "nobody" },
+        },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].code).toBe("INVALID_ROLE");
+    });
+
+    it("should report users that do not exist when changing a role", async () => {
+      jest.spyOn(UserRepository, "findById").mockResolvedValue(null);
+      const updateSpy = jest.spyOn(AdminRepository, "updateUserRole");
+      const res = mockResponse();
+
+      await updateUserRole(
+        {
+          user: { sub: "admin-1", role: "super_admin" },
+          params: { userId: "missing-user" },
+          body: { role: "instructor" },
+        },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(updateSpy).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,324 @@
+import { jest } from "@jest/globals";
+import { CourseRepository } from "../models/dynamodb/course-repository.js";
+import { LectureRepository } from "../models/dynamodb/lecture-repository.js";
+import { EnrollmentRepository } from "../models/dynamodb/enrollment-repository.js";
+import { QuizAttemptRepository } from "../models/dynamodb/quiz-attempt-repository.js";
+import { gradeQuiz, findQuestionProblem } from "../utils/quizzes.js";
+import {
+  createQuiz,
+  getQuiz,
+  submitQuizAttempt,
+} from "../controllers/dynamodb/quizController.js";
+import { updateProgress } from "../controllers/dynamodb/progressController.js";
+
+describe("Quiz Unit Tests", () => {
+  const course = { courseId: "course-1", instructorId: "instructor-1" };
+  const quiz = {
+    passingScore: 70,
+    maxAttempts: 2,
+    shuffleQuestions: false,
+    questions: [
+      {
+        questionId: "q1",
+        type: "multiple_choice",
+        prompt: "Which is a primitive?",
+        points: 1,
+        options: [
+          { optionId: "a", text: "string" },
+          { optionId: "b", text: "Array" },
+        ],
+        correctOptionIds: ["a"],
+      },
+      {
+        questionId: "q2",
+        type: "multi_select",
+        prompt: "Which are falsy?",
+        points: 2,
+        options: [
+          { optionId: "a", text: "0" },
+          { optionId: "b", text: '""' },
+          { optionId: "c", text: "[]" },
+        ],
+        correctOptionIds: ["a", "b"],
+      },
+      {
+        questionId: "q3",
+        type: "true_false",
+        prompt: "null is an object",
+        points: 1,
+        correctOptionIds: ["true"],
+      },
+      {
+        questionId: "q4",
+        type: "short_answer",
+        prompt: "Keyword for a constant binding?",
+        points: 1,
+        acceptedAnswers: ["const"],
+      },
+    ],
+  };
+  const lecture = {
+    courseId: "course-1",
+    lectureId: "quiz-1",
+    title: "Check your understanding",
+    type: "quiz",
+    quiz,
+  };
+  const enrollment = {
+    userId: "student-1",
+    courseId: "course-1",
+    progress: ["lecture-1"],
+  };
+  const allCorrect = { q1: "a", q2: ["b", "a"], q3: "true", q4: "  CONST " };
+
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+
+  const mockRequest = (overrides = {}) => ({
+    user: { sub: "student-1", role: "student" },
+    params: { id: "course-1", lectureId: "quiz-1" },
+    value: { body: {} },
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    jest.spyOn(CourseRepository, "findById").mockResolvedValue(course);
+    jest.spyOn(LectureRepository, "findById").mockResolvedValue(lecture);
+    jest
+      .spyOn(EnrollmentRepository, "findByUserAndCourse")
+      .mockResolvedValue(enrollment);
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("gradeQuiz", () => {
+    it("should grade every question type", () => {
+      const grade = gradeQuiz(quiz, allCorrect);
+
+      expect(grade).toMatchObject({
+        score: 100,
+        earnedPoints: 5,
+        totalPoints: 5,
+        passed: true,
+      });
+    });
+
+    it("should require multi-select answers to match exactly", () => {
+      const grade = gradeQuiz(quiz, {
+        ...allCorrect,
+        q2: ["a", "b", "c"],
+      });
+
+      expect(grade.results[1]).toEqual({ questionId: "q2", correct: false });
+      expect(grade.score).toBe(60);
+      expect(grade.passed).toBe(false);
+    });
+
+    it("should score unanswered questions as wrong", () => {
+      const grade = gradeQuiz(quiz, {});
+
+      expect(grade.score).toBe(0);
+      expect(grade.results.every((result) => !result.correct)).toBe(true);
+    });
+  });
+
+  describe("findQuestionProblem", () => {
+    it("should accept a valid answer key", () => {
+      expect(findQuestionProblem(quiz.questions)).toBeNull();
+    });
+
+    it("should reject answers that are not options", () => {
+      expect(
+        findQuestionProblem([{ ...quiz.questions[0], correctOptionIds: ["z"] }])
+      ).toMatch(/not one of its options/);
+    });
+
+    it("should reject several answers outside multi-select", () => {
+      expect(
+        findQuestionProblem([
+          { ...quiz.questions[0], correctOptionIds: ["a", "b"] },
+        ])
+      ).toMatch(/exactly one correct answer/);
+    });
+  });
+
+  describe("createQuiz", () => {
+    it("should add the quiz at the end of the lectures", async () => {
+      jest
+        .spyOn(LectureRepository, "findByCourse")
+        .mockResolvedValue([{ lectureId: "lecture-1", position: 0 }]);
+      const create = jest
+        .spyOn(LectureRepository, "create")
+        .mockImplementation(async (item) => ({ lectureId: "quiz-2", ...item }));
+      const res = mockResponse();
+
+      await createQuiz(
+        mockRequest({
+          user: { sub: "instructor-1", role: "instructor" },
+          value: {
+            body: { title: "Quiz", sectionId: null, ...quiz },
+          },
+        }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(create).toHaveBeenCalledWith(
+        expect.objectContaining({ type: "quiz", position: 1 })
+      );
+    });
+
+    it("should reject an invalid answer key", async () => {
+      const create = jest.spyOn(LectureRepository, "create");
+      const res = mockResponse();
+
+      await createQuiz(
+        mockRequest({
+          user: { sub: "instructor-1", role: "instructor" },
+          value: {
+            body: {
+              ...quiz,
+              title: "Quiz",
+              sectionId: null,
+              questions: [{ ...quiz.questions[2], correctOptionIds: ["yes"] }],
+            },
+          },
+        }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ code: "INVALID_QUIZ" })
+      );
+      expect(create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("getQuiz", () => {
+    it("should hide the answer key from learners", async () => {
+      jest.spyOn(QuizAttemptRepository, "findByQuiz").mockResolvedValue([]);
+      const res = mockResponse();
+
+      await getQuiz(mockRequest(), res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const body = res.json.mock.calls[0][0];
+      expect(body.questions).toHaveLength(4);
+      expect(JSON.stringify(body)).not.toMatch(
+        /correctOptionIds|acceptedAnswers/
+      );
+      expect(body.attempts).toMatchObject({ used: 0, remaining: 2 });
+    });
+
+    it("should refuse learners who are not enrolled", async () => {
+      EnrollmentRepository.findByUserAndCourse.mockResolvedValue(null);
+      const res = mockResponse();
+
+      await getQuiz(mockRequest(), res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+  });
+
+  describe("submitQuizAttempt", () => {
+    it("should complete the lecture when the learner passes", async () => {
+      jest.spyOn(QuizAttemptRepository, "findByQuiz").mockResolvedValue([]);
+      jest
+        .spyOn(QuizAttemptRepository, "create")
+        .mockImplementation(async ({ attemptNumber, grade }) => ({
+          attemptNumber,
+          ...grade,
+          submittedAt: "2026-01-01T00:00:00.000Z",
+        }));
+      jest
+        .spyOn(LectureRepository, "findByCourse")
+        .mockResolvedValue([{ lectureId: "lecture-1" }, lecture]);
+      const complete = jest
+        .spyOn(EnrollmentRepository, "completeLecture")
+        .mockResolvedValue({ progress: ["lecture-1", "quiz-1"] });
+      const res = mockResponse();
+
+      await submitQuizAttempt(
+        mockRequest({ value: { body: { answers: allCorrect } } }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(complete).toHaveBeenCalledWith(enrollment, "quiz-1", [
+        "lecture-1",
+        "quiz-1",
+      ]);
+      const body = res.json.mock.calls[0][0];
+      expect(body.attempt).toMatchObject({ attemptNumber: 1, passed: true });
+      expect(body.attempts.remaining).toBe(1);
+      expect(body.progress).toEqual(["lecture-1", "quiz-1"]);
+    });
+
+    it("should not complete the lecture on a failed attempt", async () => {
+      jest.spyOn(QuizAttemptRepository, "findByQuiz").mockResolvedValue([]);
+      jest
+        .spyOn(QuizAttemptRepository, "create")
+        .mockImplementation(async ({ attemptNumber, grade }) => ({
+          attemptNumber,
+          ...grade,
+        }));
+      const complete = jest.spyOn(EnrollmentRepository, "completeLecture");
+      const res = mockResponse();
+
+      await submitQuizAttempt(
+        mockRequest({ value: { body: { answers: { q1: "b" } } } }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(complete).not.toHaveBeenCalled();
+      expect(res.json.mock.calls[0][0].attempt.passed).toBe(false);
+    });
+
+    it("should refuse attempts beyond the limit", async () => {
+      jest.spyOn(QuizAttemptRepository, "findByQuiz").mockResolvedValue([
+        { attemptNumber: 1, score: 20, passed: false },
+        { attemptNumber: 2, score: 40, passed: false },
+      ]);
+      const create = jest.spyOn(QuizAttemptRepository, "create");
+      const res = mockResponse();
+
+      await submitQuizAttempt(
+        mockRequest({ value: { body: { answers: allCorrect } } }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ code: "ATTEMPT_LIMIT_REACHED" })
+      );
+      expect(create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("updateProgress", () => {
+    it("should not mark a quiz complete without a pass", async () => {
+      jest
+        .spyOn(LectureRepository, "findByCourse")
+        .mockResolvedValue([lecture]);
+      const complete = jest.spyOn(EnrollmentRepository, "completeLecture");
+      const res = mockResponse();
+
+      await updateProgress(mockRequest({ body: { lectureId: "quiz-1" } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ code: "QUIZ_NOT_PASSED" })
+      );
+      expect(complete).not.toHaveBeenCalled();
+    });
+  });
+});
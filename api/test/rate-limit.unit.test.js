@@ -0,0 +1,180 @@
+import { jest } from "@jest/globals";
+import {
+  DEFAULT_GROUP_RATE_LIMITS,
+  MemoryRateLimitStore,
+  buildRateLimitHeaders,
+  resolveRateLimitBudgets,
+  resolveRateLimitGroup,
+} from "../utils/rateLimit.js";
+import { AdminRepository } from "../models/dynamodb/admin-repository.js";
+import {
+  clearRateLimitPolicyCache,
+  createRateLimiter,
+} from "../middlewares/rateLimiter.js";
+
+describe("Rate Limit Unit Tests", () => {
+  describe("resolveRateLimitGroup", () => {
+    it("should map paths to their budget group", () => {
+      expect(resolveRateLimitGroup("/api/login")).toBe("login");
+      expect(resolveRateLimitGroup("/api/signup")).toBe("signup");
+      expect(resolveRateLimitGroup("/upload")).toBe("upload");
+      expect(resolveRateLimitGroup("/api/courses")).toBe("api");
+      expect(resolveRateLimitGroup("/")).toBeNull();
+    });
+  });
+
+  describe("resolveRateLimitBudgets", () => {
+    it("should use maxRequestsPerMinute for general API traffic", () => {
+      const budgets = resolveRateLimitBudgets({ maxRequestsPerMinute: 250 });
+
+      expect(budgets.api).toEqual({ limit: 250, windowMs: 60000 });
+      expect(budgets.login.limit).toBe(DEFAULT_GROUP_RATE_LIMITS.login);
+    });
+
+    it("should apply per-group overrides", () => {
+      const budgets = resolveRateLimitBudgets({ rateLimits: { signup: 2 } });
+
+      expect(budgets.signup).toEqual({ limit: 2, windowMs: 3600000 });
+    });
+  });
+
+  describe("MemoryRateLimitStore", () => {
+    it("should count hits within a window and restart after it", async () => {
+      const store = new MemoryRateLimitStore();
+
+      expect((await store.increment("k", 1000, 0)).count).toBe(1);
+      expect(await store.increment("k", 1000, 500)).toEqual({
+        count: 2,
+        resetAt: 1000,
+      });
+      expect(await store.increment("k", 1000, 1000)).toEqual({
+        count: 1,
+        resetAt: 2000,
+      });
+    });
+
+    it("should forget a key on reset", async () => {
+      const store = new MemoryRateLimitStore();
+      await store.increment("k", 1000, 0);
+      await store.reset("k");
+
+      expect((await store.increment("k", 1000, 10)).count).toBe(1);
+    });
+  });
+
+  describe("buildRateLimitHeaders", () => {
+    it("should report the remaining budget and seconds until reset", () => {
+      expect(
+        buildRateLimitHeaders(
+          { limit: 10, windowMs: 60000 },
+          { count: 4, resetAt: 30000 },
+          0
+        )
+      ).toEqual({
+        "RateLimit-Policy": "10;w=60",
+        "RateLimit-Limit": "10",
+        "RateLimit-Remaining": "6",
+        "RateLimit-Reset": "30",
+      });
+    });
+  });
+
+  describe("rateLimiter middleware", () => {
+    let logSpy;
+
+    const createReq = (path) => ({
+      path,
+      originalUrl: path,
+      method: "POST",
+      ip: "203.0.113.7",
+      cookies: {},
+      headers: {},
+      get: () => "jest",
+    });
+
+    const createRes = () => {
+      const res = { headers: {} };
+      res.set = jest.fn((name, value) => {
+        if (typeof name === "object") {
+          Object.assign(res.headers, name);
+        } else {
+          res.headers[name] = value;
+        }
+        return res;
+      });
+      res.status = jest.fn(() => res);
+      res.json = jest.fn(() => res);
+      return res;
+    };
+
+    const send = (limiter, path) =>
+      new Promise((resolve) => {
+        const res = createRes();
+        res.json.mockImplementation(() => resolve({ res, passed: false }));
+        limiter(createReq(path), res, () => resolve({ res, passed: true }));
+      });
+
+    beforeEach(() => {
+      clearRateLimitPolicyCache();
+      jest.spyOn(AdminRepository, "getSecurityPolicies").mockResolvedValue({
+        accessControl: { enableRateLimit: true, rateLimits: { login: 2 } },
+      });
+      logSpy = jest
+        .spyOn(AdminRepository, "logSecurityEvent")
+        .mockResolvedValue({});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it("should reject requests over the group budget with 429", async () => {
+      const limiter = createRateLimiter();
+
+      expect((await send(limiter, "/api/login")).passed).toBe(true);
+      const second = await send(limiter, "/api/login");
+      expect(second.passed).toBe(true);
+      expect(second.res.headers["RateLimit-Remaining"]).toBe("0");
+
+      const third = await send(limiter, "/api/login");
+      expect(third.passed).toBe(false);
+      expect(third.res.status).toHaveBeenCalledWith(429);
+      expect(third.res.json.mock.calls[0][0].code).toBe("RATE_LIMITED");
+      expect(third.res.headers["Retry-After"]).toBeDefined();
+    });
+
+    it("should log one security event per breached window", async () => {
+      const limiter = createRateLimiter();
+
+      for (let i = 0; i < 4; i++) {
+        await send(limiter, "/api/login");
+      }
+
+      expect(logSpy).toHaveBeenCalledTimes(1);
+      expect(logSpy.mock.calls[0][0]).toBe("RATE_LIMIT_EXCEEDED");
+      expect(logSpy.mock.calls[0][2].group).toBe("login");
+    });
+
+    it("should keep separate budgets per group", async () => {
+      const limiter = createRateLimiter();
+
+      await send(limiter, "/api/login");
+      await send(limiter, "/api/login");
+
+      expect((await send(limiter, "/api/courses")).passed).toBe(true);
+    });
+
+    it("should let everything through when rate limiting is disabled", async () => {
+      AdminRepository.getSecurityPolicies.mockResolvedValue({
+        accessControl: { enableRateLimit: false, rateLimits: { login: 1 } },
+      });
+      const limiter = createRateLimiter();
+
+      await send(limiter, "/api/login");
+      const { passed, res } = await send(limiter, "/api/login");
+
+      expect(passed).toBe(true);
+      expect(res.set).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,112 @@
+import {
+  describeDevice,
+  getActiveSessions,
+  getSessionExpiry,
+  getSessionTimeout,
+  getSessionsToEvict,
+  resolveSessionPolicy,
+} from "../utils/sessionPolicy.js";
+
+describe("Session Policy Unit Tests", () => {
+  const now = new Date("2025-06-01T12:00:00.000Z");
+  const hoursAgo = (hours) =>
+    new Date(now.getTime() - hours * 3600000).toISOString();
+
+  const session = (sessionId, lastActiveHoursAgo, extra = {}) => ({
+    sessionId,
+    createdAt: hoursAgo(lastActiveHoursAgo + 1),
+    lastActiveAt: hoursAgo(lastActiveHoursAgo),
+    expiresAt: "2025-06-02T12:00:00.000Z",
+    ...extra,
+  });
+
+  describe("resolveSessionPolicy", () => {
+    it("should fill missing settings from the defaults", () => {
+      expect(resolveSessionPolicy({ maxDuration: 8 })).toEqual({
+        maxDuration: 8,
+        idleTimeout: 2,
+        allowConcurrentSessions: true,
+        maxConcurrentSessions: 3,
+      });
+      expect(resolveSessionPolicy(null).maxDuration).toBe(24);
+    });
+  });
+
+  describe("getSessionExpiry", () => {
+    it("should end sessions after maxDuration hours", () => {
+      expect(getSessionExpiry({ maxDuration: 12 }, now)).toBe(
+        "2025-06-02T00:00:00.000Z"
+      );
+    });
+  });
+
+  describe("getSessionTimeout", () => {
+    it("should enforce the idle timeout and maximum duration", () => {
+      const policy = { maxDuration: 8, idleTimeout: 1 };
+
+      expect(getSessionTimeout(session("a", 0.5), policy, now)).toBeNull();
+      expect(getSessionTimeout(session("b", 1.5), policy, now)).toBe(
+        "SESSION_IDLE"
+      );
+      expect(
+        getSessionTimeout(
+          session("c", 0, { createdAt: hoursAgo(9) }),
+          policy,
+          now
+        )
+      ).toBe("SESSION_MAX_DURATION");
+    });
+  });
+
+  describe("getActiveSessions", () => {
+    it("should drop revoked and timed out sessions, newest first", () => {
+      const sessions = [
+        session("old", 1),
+        session("idle", 3),
+        session("revoked", 0, { revokedAt: hoursAgo(0) }),
+        session("new", 0),
+      ];
+
+      const active = getActiveSessions(sessions, { idleTimeout: 2 }, now);
+
+      expect(active.map((s) => s.sessionId)).toEqual(["new", "old"]);
+    });
+  });
+
+  describe("getSessionsToEvict", () => {
+    const active = [session("a", 0), session("b", 1), session("c", 0.5)];
+
+    it("should make room for a new session under the cap", () => {
+      const evicted = getSessionsToEvict(active, { maxConcurrentSessions: 3 });
+      expect(evicted.map((s) => s.sessionId)).toEqual(["b"]);
+
+      expect(getSessionsToEvict(active, { maxConcurrentSessions: 5 })).toEqual(
+        []
+      );
+    });
+
+    it("should keep only the new session without concurrent sessions", () => {
+      const evicted = getSessionsToEvict(active, {
+        allowConcurrentSessions: false,
+        maxConcurrentSessions: 5,
+      });
+      expect(evicted).toHaveLength(3);
+    });
+  });
+
+  describe("describeDevice", () => {
+    it("should name the browser and operating system", () => {
+      expect(
+        describeDevice(
+          "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36"
+        )
+      ).toBe("Chrome on Windows");
+      expect(
+        describeDevice(
+          "Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1"
+        )
+      ).toBe("Safari on iOS");
+      expect(describeDevice(undefined)).toBe("Unknown device");
+    });
+  });
+});
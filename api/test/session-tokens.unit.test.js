@@ -0,0 +1,274 @@
+import { jest } from "@jest/globals";
+import jwt from "jsonwebtoken";
+import {
+  generateRefreshToken,
+  parseRefreshToken,
+  isSessionActive,
+} from "../utils/sessionTokens.js";
+import { SessionRepository } from "../models/dynamodb/session-repository.js";
+import { UserRepository } from "../models/dynamodb/user-repository.js";
+import { AdminRepository } from "../models/dynamodb/admin-repository.js";
+import dynamoDb from "../config/dynamodb.js";
+
+describe("Session Token Unit Tests", () => {
+  const JWT_SECRET = "session-test-secret";
+  let authenticateToken;
+  let clearSessionPolicyCache;
+  let refreshAccessToken;
+
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    res.cookie = jest.fn(() => res);
+    res.clearCookie = jest.fn(() => res);
+    return res;
+  };
+
+  beforeAll(async () => {
+    // Both modules read JWT_SECRET when they load
+    process.env.JWT_SECRET = JWT_SECRET;
+    ({ default: authenticateToken, clearSessionPolicyCache } = await import(
+      "../middlewares/authenticateToken.js"
+    ));
+    ({ refreshAccessToken } = await import(
+      "../controllers/dynamodb/authController.js"
+    ));
+  });
+
+  beforeEach(() => {
+    clearSessionPolicyCache();
+    jest.spyOn(AdminRepository, "getSecurityPolicies").mockResolvedValue({
+      sessionPolicy: { maxDuration: 24, idleTimeout: 2 },
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("refresh tokens", () => {
+    it("should name the session and store only a hash", () => {
+      const { token, secretHash } = generateRefreshToken("user-1", "sess-1");
+      const parsed = parseRefreshToken(token);
+
+      expect(parsed).toEqual({
+        userId: "user-1",
+        sessionId: "sess-1",
+        secretHash,
+      });
+      expect(token).not.toContain(secretHash);
+    });
+
+    it("should reject malformed tokens", () => {
+      expect(parseRefreshToken(undefined)).toBeNull();
+      expect(parseRefreshToken("user-1.sess-1")).toBeNull();
+      expect(parseRefreshToken("user-1..secret")).toBeNull();
+    });
+  });
+
+  describe("isSessionActive", () => {
+    const now = new Date("2025-06-01T12:00:00.000Z");
+
+    it("should refuse missing, revoked and expired sessions", () => {
+      const session = { expiresAt: "2025-06-02T00:00:00.000Z" };
+
+      expect(isSessionActive(session, now)).toBe(true);
+      expect(isSessionActive(null, now)).toBe(false);
+      expect(
+        isSessionActive({ ...session, revokedAt: now.toISOString() }, now)
+      ).toBe(false);
+      expect(
+        isSessionActive({ expiresAt: "2025-06-01T00:00:00.000Z" }, now)
+      ).toBe(false);
+    });
+  });
+
+  describe("authenticateToken", () => {
+    const run = (token) =>
+      new Promise((resolve) => {
+        const res = mockResponse();
+        res.json = jest.fn(() => resolve({ res, passed: false }));
+        const req = {
+          cookies: {},
+          headers: { authorization: `Bearer ${token}` },
+        };
+        authenticateToken(req, res, () => resolve({ req, res, passed: true }));
+      });
+
+    const sign = (claims, options = {}) =>
+      jwt.sign({ sub: "user-1", role: "student", ...claims }, JWT_SECRET, {
+        expiresIn: "15m",
+        ...options,
+      });
+
+    it("should accept tokens of active sessions", async () => {
+      jest.spyOn(SessionRepository, "findById").mockResolvedValue({
+        createdAt: new Date().toISOString(),
+        lastActiveAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + 60000).toISOString(),
+      });
+
+      const { passed, req } = await run(sign({ sid: "sess-1" }));
+
+      expect(passed).toBe(true);
+      expect(req.user.sid).toBe("sess-1");
+    });
+
+    it("should refuse tokens of revoked sessions", async () => {
+      jest.spyOn(SessionRepository, "findById").mockResolvedValue({
+        expiresAt: new Date(Date.now() + 60000).toISOString(),
+        revokedAt: new Date().toISOString(),
+      });
+
+      const { passed, res } = await run(sign({ sid: "sess-1" }));
+
+      expect(passed).toBe(false);
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0].code).toBe("SESSION_REVOKED");
+    });
+
+    it("should end sessions that passed the idle timeout", async () => {
+      const threeHoursAgo = new Date(Date.now() - 3 * 3600000).toISOString();
+      jest.spyOn(SessionRepository, "findById").mockResolvedValue({
+        createdAt: threeHoursAgo,
+        lastActiveAt: threeHoursAgo,
+        expiresAt: new Date(Date.now() + 60000).toISOString(),
+      });
+      const revokeSpy = jest
+        .spyOn(SessionRepository, "revoke")
+        .mockResolvedValue(true);
+
+      const { passed, res } = await run(sign({ sid: "sess-1" }));
+
+      expect(passed).toBe(false);
+      expect(res.json.mock.calls[0][0].code).toBe("SESSION_REVOKED");
+      expect(revokeSpy).toHaveBeenCalledWith(
+        "user-1",
+        "sess-1",
+        "SESSION_IDLE"
+      );
+    });
+
+    it("should flag expired tokens so clients can refresh", async () => {
+      const { res } = await run(sign({}, { expiresIn: -10 }));
+
+      expect(res.json.mock.calls[0][0].code).toBe("TOKEN_EXPIRED");
+    });
+  });
+
+  describe("refreshAccessToken", () => {
+    const user = {
+      userId: "user-1",
+      email: "user@example.com",
+      role: "student",
+      accountStatus: "active",
+    };
+    const { token, secretHash } = generateRefreshToken("user-1", "sess-1");
+    const session = {
+      sessionId: "sess-1",
+      userId: "user-1",
+      refreshTokenHash: secretHash,
+      mfa: false,
+      createdAt: new Date(Date.now() - 60000).toISOString(),
+      expiresAt: new Date(Date.now() + 60000).toISOString(),
+      lastUsedAt: new Date(Date.now() - 60000).toISOString(),
+      lastActiveAt: new Date(Date.now() - 60000).toISOString(),
+    };
+
+    beforeEach(() => {
+      jest.spyOn(UserRepository, "findById").mockResolvedValue(user);
+      jest.spyOn(AdminRepository, "logSecurityEvent").mockResolvedValue({});
+    });
+
+    it("should rotate the refresh token and issue an access token", async () => {
+      jest.spyOn(SessionRepository, "findById").mockResolvedValue(session);
+      const rotateSpy = jest
+        .spyOn(SessionRepository, "rotateRefreshToken")
+        .mockResolvedValue(session);
+      const res = mockResponse();
+
+      await refreshAccessToken({ cookies: { refreshToken: token } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(rotateSpy.mock.calls[0][2].currentHash).toBe(secretHash);
+      const accessToken = res.json.mock.calls[0][0].token;
+      expect(jwt.verify(accessToken, JWT_SECRET).sid).toBe("sess-1");
+      const newRefreshToken = res.cookie.mock.calls.find(
+        ([name]) => name === "refreshToken"
+      )[1];
+      expect(newRefreshToken).not.toBe(token);
+    });
+
+    it("should end the session when a rotated token is reused", async () => {
+      jest.spyOn(SessionRepository, "findById").mockResolvedValue({
+        ...session,
+        refreshTokenHash: "newer-hash",
+        previousRefreshTokenHash: secretHash,
+      });
+      const revokeSpy = jest
+        .spyOn(SessionRepository, "revoke")
+        .mockResolvedValue(true);
+      const res = mockResponse();
+
+      await refreshAccessToken(
+        { cookies: { refreshToken: token }, get: () => "jest" },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(revokeSpy).toHaveBeenCalledWith(
+        "user-1",
+        "sess-1",
+        "REFRESH_TOKEN_REUSED"
+      );
+    });
+  });
+
+  describe("session storage", () => {
+    it("should expire the session item with its refresh token", async () => {
+      jest.spyOn(dynamoDb, "send").mockResolvedValue({});
+
+      const session = await SessionRepository.create({
+        userId: "user-1",
+        refreshTokenHash: "hash",
+        expiresAt: "2030-01-01T00:00:00.000Z",
+      });
+
+      expect(session.ttl).toBe(Date.parse("2030-01-01T00:00:00.000Z") / 1000);
+    });
+
+    it("should revoke sessions on every page", async () => {
+      const sendSpy = jest
+        .spyOn(dynamoDb, "send")
+        .mockResolvedValueOnce({
+          Items: [{ sessionId: "sess-1" }],
+          LastEvaluatedKey: { PK: "USER#user-1", SK: "SESSION#sess-1" },
+        })
+        .mockResolvedValueOnce({
+          Items: [
+            { sessionId: "sess-2", revokedAt: "2024-01-01T00:00:00.000Z" },
+            { sessionId: "sess-3" },
+          ],
+        });
+      const revokeSpy = jest
+        .spyOn(SessionRepository, "revoke")
+        .mockResolvedValue(true);
+
+      const count = await SessionRepository.revokeAllForUser(
+        "user-1",
+        "PASSWORD_RESET"
+      );
+
+      expect(sendSpy.mock.calls[1][0].input.ExclusiveStartKey).toEqual({
+        PK: "USER#user-1",
+        SK: "SESSION#sess-1",
+      });
+      expect(revokeSpy.mock.calls.map(([, sessionId]) => sessionId)).toEqual([
+        "sess-1",
+        "sess-3",
+      ]);
+      expect(count).toBe(2);
+    });
+  });
+});
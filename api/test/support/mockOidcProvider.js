@@ -0,0 +1,173 @@
+/**
+ * A minimal OpenID Connect provider for tests. It serves discovery, JWKS,
+ * authorize and token endpoints on 127.0.0.1, signs in the configured user
+ * without a login page and checks PKCE like a real provider.
+ */
+
+import crypto from "crypto";
+import express from "express";
+import jwt from "jsonwebtoken";
+
+/**
+ * Start the provider
+ * @param {Object} options - { clientId, clientSecret, user }
+ * @returns {Promise<Object>} { issuer, clientId, clientSecret, setUser, authorize, close }
+ */
+export async function startMockOidcProvider({
+  clientId = "mock-client",
+  clientSecret = "mock-secret",
+  user = {
+    sub: "mock-user-1",
+    email: "user@example.com",
+    email_verified: true,
+    name: "Mock User",
+  },
+} = {}) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+  });
+  const kid = crypto.randomUUID();
+  const grants = new Map();
+  let currentUser = user;
+  let issuer;
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get("/.well-known/openid-configuration", (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ["code"],
+      subject_types_supported: ["public"],
+      id_token_signing_alg_values_supported: ["RS256"],
+      code_challenge_methods_supported: ["S256"],
+    });
+  });
+
+  app.get("/jwks", (req, res) => {
+    res.json({
+      keys: [
+        {
+          ...publicKey.export({ format: "jwk" }),
+          kid,
+          use: "sig",
+          alg: "RS256",
+        },
+      ],
+    });
+  });
+
+  app.get("/authorize", (req, res) => {
+    const {
+      client_id: requestClientId,
+      redirect_uri: redirectUri,
+      response_type: responseType,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: codeChallengeMethod,
+    } = req.query;
+    if (
+      requestClientId !== clientId ||
+      responseType !== "code" ||
+      codeChallengeMethod !== "S256" ||
+      !codeChallenge ||
+      !redirectUri
+    ) {
+      return res.status(400).json({ error: "invalid_request" });
+    }
+
+    const code = crypto.randomBytes(16).toString("hex");
+    grants.set(code, {
+      redirectUri,
+      nonce,
+      codeChallenge,
+      user: { ...currentUser },
+    });
+
+    const location = new URL(redirectUri);
+    location.searchParams.set("code", code);
+    location.searchParams.set("state", state);
+    return res.redirect(302, location.toString());
+  });
+
+  app.post("/token", (req, res) => {
+    const {
+      grant_type: grantType,
+      code,
+      redirect_uri: redirectUri,
+      code_verifier: codeVerifier,
+      client_id: requestClientId,
+      client_secret: requestClientSecret,
+    } = req.body;
+
+    if (requestClientId !== clientId || requestClientSecret !== clientSecret) {
+      return res.status(401).json({ error: "invalid_client" });
+    }
+
+    // Codes are single use
+    const grant = grants.get(code);
+    grants.delete(code);
+    const challenge =
+      codeVerifier &&
+      crypto.createHash("sha256").update(codeVerifier).digest("base64url");
+    if (
+      grantType !== "authorization_code" ||
+      !grant ||
+      grant.redirectUri !== redirectUri ||
+      grant.codeChallenge !== challenge
+    ) {
+      return res.status(400).json({ error: "invalid_grant" });
+    }
+
+    return res.json({
+      access_token: crypto.randomBytes(16).toString("hex"),
+      token_type: "Bearer",
+      expires_in: 300,
+      id_token: jwt.sign({ ...grant.user, nonce: grant.nonce }, privateKey, {
+        algorithm: "RS256",
+        keyid: kid,
+        issuer,
+        audience: clientId,
+        expiresIn: "5m",
+      }),
+    });
+  });
+
+  const server = await new Promise((resolve) => {
+    const listener = app.listen(0, "127.0.0.1", () => resolve(listener));
+  });
+  issuer = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    issuer,
+    clientId,
+    clientSecret,
+    /**
+     * Change the claims of the user the provider signs in
+     */
+    setUser(nextUser) {
+      currentUser = nextUser;
+    },
+    /**
+     * Follow an authorization URL like a browser would
+     * @returns {Promise<Object>} { code, state } from the redirect
+     */
+    async authorize(authorizationUrl) {
+      const response = await fetch(authorizationUrl, { redirect: "manual" });
+      const location = new URL(response.headers.get("location"));
+      return {
+        code: location.searchParams.get("code"),
+        state: location.searchParams.get("state"),
+      };
+    },
+    close: () =>
+      new Promise((resolve) => {
+        server.close(resolve);
+        server.closeAllConnections();
+      }),
+  };
+}
@@ -0,0 +1,102 @@
+import request from "supertest";
+import express from "express";
+import multer from "multer";
+import {
+  MAX_DOCUMENT_BYTES,
+  MAX_UPLOAD_BYTES,
+  uploadFileFilter,
+} from "../utils/storage.js";
+
+// Same filter and limits as /upload, with files kept in memory instead of S3
+const createTestApp = () => {
+  const app = express();
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_UPLOAD_BYTES },
+    fileFilter: uploadFileFilter,
+  });
+
+  app.post("/upload", (req, res) => {
+    upload.single("file")(req, res, (err) => {
+      if (err) {
+        return res
+          .status(err.status || 500)
+          .json({ error: err.message, code: err.code });
+      }
+      res.json({ mimetype: req.file.mimetype, size: req.file.size });
+    });
+  });
+
+  return app;
+};
+
+describe("Upload Integration Tests", () => {
+  const app = createTestApp();
+  const pdf = Buffer.from(
+    "%PDF-1.4\n1 0 obj << >> endobj\ntrailer << >>\n%%EOF\n"
+  );
+
+  it("should accept a PDF assignment submission", async () => {
+    const response = await request(app).post("/upload").attach("file", pdf, {
+      filename: "essay.pdf",
+      contentType: "application/pdf",
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({
+      mimetype: "application/pdf",
+      size: pdf.length,
+    });
+  });
+
+  it("should accept Word documents and zip archives", async () => {
+    for (const [filename, contentType] of [
+      [
+        "essay.docx",
+        "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      ],
+      ["project.zip", "application/zip"],
+    ]) {
+      const response = await request(app)
+        .post("/upload")
+        .attach("file", Buffer.from("PK"), { filename, contentType });
+
+      expect(response.status).toBe(200);
+    }
+  });
+
+  it("should still accept images", async () => {
+    const response = await request(app)
+      .post("/upload")
+      .attach("file", Buffer.from("GIF89a"), {
+        filename: "cover.gif",
+        contentType: "image/gif",
+      });
+
+    expect(response.status).toBe(200);
+  });
+
+  it("should reject other file types", async () => {
+    const response = await request(app)
+      .post("/upload")
+      .attach("file", Buffer.from("MZ"), {
+        filename: "setup.exe",
+        contentType: "application/x-msdownload",
+      });
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe("UNSUPPORTED_FILE_TYPE");
+  });
+
+  it("should reject documents over the size cap", async () => {
+    const response = await request(app)
+      .post("/upload")
+      .attach("file", Buffer.alloc(MAX_DOCUMENT_BYTES + 1), {
+        filename: "scan.pdf",
+        contentType: "application/pdf",
+      });
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe("FILE_TOO_LARGE");
+  });
+});
@@ -0,0 +1,280 @@
+import { jest } from "@jest/globals";
+import dynamoDb from "../config/dynamodb.js";
+import { setMailTransport } from "../utils/mailer.js";
+import { toCsv } from "../utils/csv.js";
+import {
+  verifyAccountToken,
+  ACCOUNT_TOKEN_TYPES,
+} from "../utils/accountTokens.js";
+import { UserRepository } from "../models/dynamodb/user-repository.js";
+import { AdminRepository } from "../models/dynamodb/admin-repository.js";
+import { CourseRepository } from "../models/dynamodb/course-repository.js";
+import { EnrollmentRepository } from "../models/dynamodb/enrollment-repository.js";
+import {
+  importUsers,
+  exportUsers,
+} from "../controllers/dynamodb/userImportController.js";
+
+describe("User Import and Export Unit Tests", () => {
+  let sentMail;
+
+  const course = {
+    courseId: "course-1",
+    title: "Intro to Testing",
+    price: 49,
+    imageKey: "uploads/course.png",
+    status: "published",
+  };
+
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    res.send = jest.fn(() => res);
+    res.setHeader = jest.fn();
+    return res;
+  };
+
+  const runImport = async (body, role = "admin") => {
+    const res = mockResponse();
+    await importUsers(
+      {
+        user: { sub: "admin-1", role },
+        ip: "127.0.0.1",
+        headers: {},
+        value: {
+          body: {
+            dryRun: true,
+            sendInvitations: false,
+            courseIds: [],
+            ...body,
+          },
+        },
+      },
+      res
+    );
+    return res;
+  };
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = "user-import-test-secret";
+  });
+
+  beforeEach(() => {
+    sentMail = [];
+    setMailTransport({
+      send: async (message) => {
+        sentMail.push(message);
+        return { messageId: "test" };
+      },
+    });
+    jest
+      .spyOn(UserRepository, "findByEmail")
+      .mockImplementation(async (email) =>
+        email === "taken@example.com" ? { userId: "existing" } : null
+      );
+    jest
+      .spyOn(UserRepository, "create")
+      .mockImplementation(async (user) => ({ ...user, userId: "new-user" }));
+    jest.spyOn(UserRepository, "setPasswordResetToken").mockResolvedValue();
+    jest.spyOn(AdminRepository, "logAdminAction").mockResolvedValue({});
+    jest.spyOn(CourseRepository, "findById").mockResolvedValue(course);
+    jest
+      .spyOn(EnrollmentRepository, "create")
+      .mockImplementation(async (enrollment) => enrollment);
+  });
+
+  afterEach(() => {
+    setMailTransport(null);
+    jest.restoreAllMocks();
+  });
+
+  describe("importUsers", () => {
+    it("should report invalid rows without creating anything in a dry run", async () => {
+      const res = await runImport({
+        users: [
+          { name: "Ada Lovelace", email: "Ada@Example.com", role: "" },
+          { name: "Ada Again", email: "ada@example.com", role: "student" },
+          { name: "Taken", email: "taken@example.com", role: "student" },
+          { name: "Bad Role", email: "bad@example.com", role: "wizard" },
+          { name: "No Email", email: "not-an-email", role: "student" },
+        ],
+      });
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const { rows, summary } = res.json.mock.calls[0][0].data;
+      expect(rows[0]).toMatchObject({
+        row: 1,
+        email: "ada@example.com",
+        role: "student",
+        status: "valid",
+      });
+      expect(rows.slice(1).map((row) => row.errors[0].code)).toEqual([
+        "DUPLICATE_EMAIL",
+        "EMAIL_EXISTS",
+        "INVALID_ROLE",
+        "INVALID_EMAIL",
+      ]);
+      expect(summary).toEqual({ total: 5, valid: 1, invalid: 4 });
+      expect(UserRepository.create).not.toHaveBeenCalled();
+    });
+
+    it("should not let admins import accounts stronger than their own", async () => {
+      const res = await runImport({
+        users: [
+          { name: "New Boss", email: "boss@example.com", role: "super_admin" },
+        ],
+      });
+
+      expect(res.json.mock.calls[0][0].data.rows[0].errors[0].code).toBe(
+        "PERMISSION_DENIED"
+      );
+    });
+
+    it("should create valid rows, invite them and enroll them", async () => {
+      const res = await runImport({
+        users: [
+          { name: "Ada Lovelace", email: "ada@example.com", role: "student" },
+          { name: "Taken", email: "taken@example.com", role: "student" },
+        ],
+        dryRun: false,
+        sendInvitations: true,
+        courseIds: ["course-1"],
+      });
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(UserRepository.create).toHaveBeenCalledTimes(1);
+      expect(UserRepository.create).toHaveBeenCalledWith(
+        expect.objectContaining({ email: "ada@example.com", password: null })
+      );
+      expect(EnrollmentRepository.create).toHaveBeenCalledWith(
+        expect.objectContaining({ userId: "new-user", courseId: "course-1" })
+      );
+
+      // The invitation is a password reset link the reset page accepts
+      expect(sentMail[0].to).toBe("ada@example.com");
+      const token = decodeURIComponent(
+        sentMail[0].text.match(/reset-password\?token=(\S+)/)[1]
+      );
+      const claims = verifyAccountToken(
+        token,
+        ACCOUNT_TOKEN_TYPES.PASSWORD_RESET
+      );
+      expect(claims.userId).toBe("new-user");
+      expect(UserRepository.setPasswordResetToken).toHaveBeenCalledWith(
+        "new-user",
+        claims.tokenId
+      );
+
+      const { rows, summary } = res.json.mock.calls[0][0].data;
+      expect(rows.map((row) => row.status)).toEqual(["created", "invalid"]);
+      expect(summary).toMatchObject({
+        created: 1,
+        invalid: 1,
+        invited: 1,
+        enrollments: 1,
+      });
+    });
+
+    it("should refuse courses that are not published", async () => {
+      CourseRepository.findById.mockResolvedValue({
+        ...course,
+        status: "draft",
+      });
+
+      const res = await runImport({
+        users: [{ name: "Ada Lovelace", email: "ada@example.com" }],
+        courseIds: ["course-1"],
+      });
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].code).toBe("COURSE_UNAVAILABLE");
+    });
+  });
+
+  describe("exportUsers", () => {
+    it("should export every page of filtered users without secrets", async () => {
+      const getAllUsers = jest
+        .spyOn(AdminRepository, "getAllUsers")
+        .mockResolvedValueOnce({
+          users: [
+            {
+              userId: "user-1",
+              name: "Ada Lovelace",
+              email: "ada@example.com",
+              role: "student",
+              password: "hash",
+              mfaSecret: "secret",
+            },
+          ],
+          lastEvaluatedKey: "next",
+        })
+        .mockResolvedValueOnce({
+          users: [
+            {
+              userId: "user-2",
+              name: "Grace Hopper",
+              email: "grace@example.com",
+            },
+          ],
+          lastEvaluatedKey: null,
+        });
+      const res = mockResponse();
+
+      await exportUsers(
+        { query: { format: "csv", role: "student", search: "ada" } },
+        res
+      );
+
+      expect(getAllUsers).toHaveBeenCalledTimes(2);
+      expect(getAllUsers.mock.calls[1][0]).toMatchObject({
+        lastEvaluatedKey: "next",
+        role: "student",
+      });
+      const csv = res.send.mock.calls[0][0];
+      expect(csv).toContain("ada@example.com");
+      expect(csv).not.toContain("grace@example.com");
+      expect(csv).not.toContain("hash");
+      expect(csv).not.toContain("secret");
+    });
+  });
+
+  describe("AdminRepository.getAllUsers", () => {
+    it("should resume after the last user returned when a scan page holds more", async () => {
+      const user = (id) => ({ PK: `USER#${id}`, SK: "PROFILE", userId: id });
+      jest.spyOn(dynamoDb, "send").mockResolvedValueOnce({
+        Items: [user("1"), user("2"), user("3")],
+        LastEvaluatedKey: { PK: "USER#3", SK: "PROFILE" },
+      });
+
+      const page = await AdminRepository.getAllUsers({ limit: 2 });
+
+      expect(page.users).toHaveLength(2);
+      expect(JSON.parse(page.lastEvaluatedKey)).toEqual({
+        PK: "USER#2",
+        SK: "PROFILE",
+      });
+    });
+
+    it("should report no further pages once the scan is complete", async () => {
+      jest.spyOn(dynamoDb, "send").mockResolvedValueOnce({ Items: [] });
+
+      const page = await AdminRepository.getAllUsers({
+        lastEvaluatedKey: JSON.stringify({ PK: "USER#2", SK: "PROFILE" }),
+      });
+
+      expect(page.lastEvaluatedKey).toBeNull();
+    });
+  });
+
+  describe("toCsv", () => {
+    it("should quote separators and neutralize formulas", () => {
+      expect(
+        toCsv(
+          [{ name: 'Lovelace, "Ada"', email: "=HYPERLINK()" }],
+          ["name", "email"]
+        )
+      ).toBe('name,email\r\n"Lovelace, ""Ada""",\'=HYPERLINK()\r\n');
+    });
+  });
+});
@@ -0,0 +1,295 @@
+import { jest } from "@jest/globals";
+import { AdminRepository } from "../models/dynamodb/admin-repository.js";
+import { EnrollmentRepository } from "../models/dynamodb/enrollment-repository.js";
+import { LectureRepository } from "../models/dynamodb/lecture-repository.js";
+import { LectureWatchRepository } from "../models/dynamodb/lecture-watch-repository.js";
+import {
+  mergeSegments,
+  resolveCompletionThreshold,
+  watchedPercent,
+} from "../utils/watchProgress.js";
+import {
+  getWatchProgress,
+  recordWatchHeartbeat,
+  removeAllLectureId,
+  updateProgress,
+} from "../controllers/dynamodb/progressController.js";
+
+describe("Watch Progress Unit Tests", () => {
+  const video = {
+    courseId: "course-1",
+    lectureId: "lecture-1",
+    title: "Welcome",
+    durationSeconds: 100,
+  };
+  const quiz = { courseId: "course-1", lectureId: "quiz-1", type: "quiz" };
+  // Uploaded before lecture lengths were recorded
+  const legacyVideo = { courseId: "course-1", lectureId: "lecture-0" };
+  const enrollment = {
+    userId: "student-1",
+    courseId: "course-1",
+    progress: [],
+  };
+
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+
+  const heartbeatRequest = (body, lectureId = "lecture-1") => ({
+    user: { sub: "student-1", role: "student" },
+    params: { id: "course-1", lectureId },
+    value: { body: { position: 0, duration: 100, segments: [], ...body } },
+  });
+
+  beforeEach(() => {
+    jest
+      .spyOn(EnrollmentRepository, "findByUserAndCourse")
+      .mockResolvedValue(enrollment);
+    jest
+      .spyOn(LectureRepository, "findByCourse")
+      .mockResolvedValue([video, quiz, legacyVideo]);
+    jest
+      .spyOn(AdminRepository, "getSystemSettings")
+      .mockResolvedValue({ platformSettings: {} });
+    jest
+      .spyOn(LectureWatchRepository, "save")
+      .mockImplementation(async (watch) => watch);
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const secondsAgo = (seconds) =>
+    new Date(Date.now() - seconds * 1000).toISOString();
+
+  describe("watchedPercent", () => {
+    it("should count overlapping segments once", () => {
+      const segments = mergeSegments([
+        [30, 60],
+        [0, 40],
+        [80, 90],
+      ]);
+
+      expect(segments).toEqual([
+        [0, 60],
+        [80, 90],
+      ]);
+      expect(watchedPercent(segments, 100)).toBe(70);
+    });
+
+    it("should fall back to the default threshold for bad settings", () => {
+      expect(resolveCompletionThreshold({})).toBe(90);
+      expect(
+        resolveCompletionThreshold({ lectureCompletionThreshold: 150 })
+      ).toBe(90);
+      expect(
+        resolveCompletionThreshold({ lectureCompletionThreshold: 75 })
+      ).toBe(75);
+    });
+  });
+
+  describe("recordWatchHeartbeat", () => {
+    it("should complete the lecture once enough has been watched", async () => {
+      jest
+        .spyOn(LectureWatchRepository, "findOne")
+        .mockResolvedValue({ segments: [[0, 65]], updatedAt: secondsAgo(15) });
+      const complete = jest
+        .spyOn(EnrollmentRepository, "completeLecture")
+        .mockResolvedValue({ progress: ["lecture-1"] });
+      const res = mockResponse();
+
+      await recordWatchHeartbeat(
+        heartbeatRequest({ position: 92, segments: [[64, 92]] }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(LectureWatchRepository.save).toHaveBeenCalledWith(
+        expect.objectContaining({ position: 92, segments: [[0, 92]] })
+      );
+      expect(complete).toHaveBeenCalledWith(enrollment, "lecture-1", [
+        "lecture-1",
+        "quiz-1",
+        "lecture-0",
+      ]);
+      expect(res.json.mock.calls[0][0]).toMatchObject({
+        watchedPercent: 92,
+        completed: true,
+        progress: ["lecture-1"],
+      });
+    });
+
+    it("should not complete a lecture skipped to the end", async () => {
+      jest.spyOn(LectureWatchRepository, "findOne").mockResolvedValue(null);
+      const complete = jest.spyOn(EnrollmentRepository, "completeLecture");
+      const res = mockResponse();
+
+      await recordWatchHeartbeat(
+        heartbeatRequest({
+          position: 100,
+          segments: [
+            [0, 5],
+            [95, 100],
+          ],
+        }),
+        res
+      );
+
+      expect(complete).not.toHaveBeenCalled();
+      expect(res.json.mock.calls[0][0]).toMatchObject({
+        position: 100,
+        watchedPercent: 10,
+        completed: false,
+      });
+    });
+
+    it("should use the platform's completion threshold", async () => {
+      AdminRepository.getSystemSettings.mockResolvedValue({
+        platformSettings: { lectureCompletionThreshold: 50 },
+      });
+      jest
+        .spyOn(LectureWatchRepository, "findOne")
+        .mockResolvedValue({ segments: [[0, 30]], updatedAt: secondsAgo(15) });
+      const complete = jest
+        .spyOn(EnrollmentRepository, "completeLecture")
+        .mockResolvedValue({ progress: ["lecture-1"] });
+      const res = mockResponse();
+
+      await recordWatchHeartbeat(
+        heartbeatRequest({ position: 55, segments: [[30, 55]] }),
+        res
+      );
+
+      expect(complete).toHaveBeenCalled();
+      expect(res.json.mock.calls[0][0].completed).toBe(true);
+    });
+
+    it("should not count more watch time than has passed", async () => {
+      jest
+        .spyOn(LectureWatchRepository, "findOne")
+        .mockResolvedValue({ segments: [[0, 10]], updatedAt: secondsAgo(10) });
+      const complete = jest.spyOn(EnrollmentRepository, "completeLecture");
+      const res = mockResponse();
+
+      await recordWatchHeartbeat(
+        heartbeatRequest({ position: 100, segments: [[10, 100]] }),
+        res
+      );
+
+      // 10 seconds at up to double speed, plus a little slack
+      const [[start, end]] =
+        LectureWatchRepository.save.mock.calls[0][0].segments;
+      expect(start).toBe(0);
+      expect(end).toBeCloseTo(35, 1);
+      expect(complete).not.toHaveBeenCalled();
+      expect(res.json.mock.calls[0][0]).toMatchObject({
+        watchedPercent: 35,
+        completed: false,
+      });
+    });
+
+    it("should not trust the player's length to complete a lecture", async () => {
+      jest.spyOn(LectureWatchRepository, "findOne").mockResolvedValue(null);
+      const complete = jest.spyOn(EnrollmentRepository, "completeLecture");
+      const res = mockResponse();
+
+      await recordWatchHeartbeat(
+        heartbeatRequest(
+          { position: 1, duration: 1, segments: [[0, 1]] },
+          "lecture-0"
+        ),
+        res
+      );
+
+      expect(complete).not.toHaveBeenCalled();
+      expect(res.json.mock.calls[0][0]).toMatchObject({
+        watchedPercent: 100,
+        completed: false,
+      });
+    });
+
+    it("should reject lectures that are not videos", async () => {
+      const res = mockResponse();
+
+      await recordWatchHeartbeat(heartbeatRequest({}, "quiz-1"), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ code: "NOT_A_VIDEO" })
+      );
+      expect(LectureWatchRepository.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("updateProgress", () => {
+    it("should not let videos be marked complete by hand", async () => {
+      const complete = jest.spyOn(EnrollmentRepository, "completeLecture");
+      const res = mockResponse();
+
+      await updateProgress(
+        {
+          user: { sub: "student-1" },
+          params: { id: "course-1" },
+          body: { lectureId: "lecture-1" },
+        },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ code: "VIDEO_NOT_WATCHED" })
+      );
+      expect(complete).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("getWatchProgress", () => {
+    it("should return where each lecture was left off", async () => {
+      jest
+        .spyOn(LectureWatchRepository, "findByUserAndCourse")
+        .mockResolvedValue([
+          {
+            lectureId: "lecture-1",
+            position: 42,
+            duration: 100,
+            segments: [[0, 42]],
+          },
+        ]);
+      const res = mockResponse();
+
+      await getWatchProgress(
+        { user: { sub: "student-1" }, params: { id: "course-1" } },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        completionThreshold: 90,
+        lectures: { "lecture-1": { position: 42, watchedPercent: 42 } },
+      });
+    });
+  });
+
+  describe("removeAllLectureId", () => {
+    it("should forget watch time along with progress", async () => {
+      jest.spyOn(EnrollmentRepository, "updateProgress").mockResolvedValue({});
+      const forget = jest
+        .spyOn(LectureWatchRepository, "deleteByUserAndCourse")
+        .mockResolvedValue(1);
+      const res = mockResponse();
+
+      await removeAllLectureId(
+        { user: { sub: "student-1" }, params: { id: "course-1" } },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(forget).toHaveBeenCalledWith("student-1", "course-1");
+    });
+  });
+});
@@ -0,0 +1,129 @@
+import { jest } from "@jest/globals";
+import jwt from "jsonwebtoken";
+import { AdminRepository } from "../models/dynamodb/admin-repository.js";
+
+describe("WebSocket Unit Tests", () => {
+  const JWT_SECRET = "websocket-test-secret";
+  let initializeWebSocket;
+  let clearIpAllowlistCache;
+  let clearSessionPolicyCache;
+
+  // Run the handshake middlewares and the connection handler of a fake server
+  const connect = async ({
+    role = "super_admin",
+    mfa = true,
+    address = "198.51.100.20",
+    forwardedFor,
+  }) => {
+    const io = { use: jest.fn(), on: jest.fn() };
+    initializeWebSocket(io);
+
+    const socket = {
+      id: "socket-1",
+      handshake: {
+        auth: { token: jwt.sign({ sub: "user-1", role, mfa }, JWT_SECRET) },
+        address,
+        headers: {
+          "user-agent": "jest",
+          ...(forwardedFor && { "x-forwarded-for": forwardedFor }),
+        },
+      },
+      join: jest.fn(),
+      emit: jest.fn(),
+      on: jest.fn(),
+    };
+
+    for (const [middleware] of io.use.mock.calls) {
+      const error = await new Promise((resolve) => middleware(socket, resolve));
+      if (error) {
+        throw error;
+      }
+    }
+    io.on.mock.calls[0][1](socket);
+
+    return socket;
+  };
+
+  const joinedRooms = (socket) => socket.join.mock.calls.map(([room]) => room);
+
+  beforeAll(async () => {
+    // The handler and its middlewares read both when they load
+    process.env.JWT_SECRET = JWT_SECRET;
+    process.env.TRUST_PROXY = "loopback";
+    ({ initializeWebSocket } = await import(
+      "../src/websocket/socketHandler.js"
+    ));
+    ({ clearIpAllowlistCache } = await import("../middlewares/ipAllowlist.js"));
+    ({ clearSessionPolicyCache } = await import(
+      "../middlewares/authenticateToken.js"
+    ));
+  });
+
+  beforeEach(() => {
+    clearIpAllowlistCache();
+    clearSessionPolicyCache();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(AdminRepository, "getSecurityPolicies").mockResolvedValue({
+      accessControl: {
+        enableIPWhitelist: true,
+        allowedIPs: ["203.0.113.7", "198.51.100.20"],
+      },
+      sessionPolicy: { requireMFA: true },
+    });
+    jest.spyOn(AdminRepository, "logSecurityEvent").mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("admin IP allowlist", () => {
+    it("should check the forwarded client address behind a trusted proxy", async () => {
+      const socket = await connect({
+        address: "127.0.0.1",
+        forwardedFor: "203.0.113.7",
+      });
+
+      expect(socket.clientIp).toBe("203.0.113.7");
+      expect(joinedRooms(socket)).toContain("admin-dashboard");
+    });
+
+    it("should ignore forwarded addresses from untrusted peers", async () => {
+      const socket = await connect({
+        address: "198.51.100.1",
+        forwardedFor: "203.0.113.7",
+      });
+
+      expect(socket.clientIp).toBe("198.51.100.1");
+      expect(joinedRooms(socket)).not.toContain("admin-dashboard");
+      expect(AdminRepository.logSecurityEvent.mock.calls[0][3]).toBe(
+        "198.51.100.1"
+      );
+    });
+  });
+
+  describe("admin MFA requirement", () => {
+    it("should keep sessions without MFA out of admin rooms", async () => {
+      const socket = await connect({ mfa: false });
+
+      expect(joinedRooms(socket)).toEqual(["user:user-1"]);
+    });
+
+    it("should admit sessions without MFA when it is not required", async () => {
+      AdminRepository.getSecurityPolicies.mockResolvedValue({
+        accessControl: { enableIPWhitelist: false },
+        sessionPolicy: { requireMFA: false },
+      });
+
+      const socket = await connect({ mfa: false });
+
+      expect(joinedRooms(socket)).toContain("admin-dashboard");
+    });
+
+    it("should admit super admins that passed MFA", async () => {
+      const socket = await connect({});
+
+      expect(joinedRooms(socket)).toContain("admin-dashboard");
+    });
+  });
+});
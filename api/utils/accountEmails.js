@@ -0,0 +1,182 @@
+/**
+ * Account emails: password reset, email verification, account invitations,
+ * instructor application decisions, organization invites and assignment
+ * grades
+ */
+
+import { sendMail } from "./mailer.js";
+import { buildAccountLink, buildFrontendLink } from "./accountTokens.js";
+
+const escapeHtml = (value = "") =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Render a short email with a single call to action. Optional details, such
+ * as a reviewer's notes, follow the intro.
+ */
+const renderActionEmail = ({
+  name,
+  intro,
+  details,
+  actionLabel,
+  link,
+  outro,
+}) => ({
+  text: `Hi ${name},\n\n${intro}\n\n${details ? `${details}\n\n` : ""}${link}\n\n${outro}`,
+  html: `<p>Hi ${escapeHtml(name)},</p>
+<p>${escapeHtml(intro)}</p>
+${details ? `<p>${escapeHtml(details)}</p>\n` : ""}<p><a href="${escapeHtml(link)}">${escapeHtml(actionLabel)}</a></p>
+<p>${escapeHtml(outro)}</p>`,
+});
+
+/**
+ * Email a password reset link
+ * @param {Object} user - User record
+ * @param {string} token - Password reset token
+ */
+export function sendPasswordResetEmail(user, token) {
+  return sendMail({
+    to: user.email,
+    subject: "Reset your UpSkillPro password",
+    ...renderActionEmail({
+      name: user.name,
+      intro:
+        "We received a request to reset your password. Use the link below to choose a new one. It expires in 1 hour and can be used once.",
+      actionLabel: "Reset password",
+      link: buildAccountLink("/reset-password", token),
+      outro:
+        "If you did not ask to reset your password, you can ignore this email.",
+    }),
+  });
+}
+
+/**
+ * Email a link that confirms the user owns their address
+ * @param {Object} user - User record
+ * @param {string} token - Email verification token
+ */
+export function sendVerificationEmail(user, token) {
+  return sendMail({
+    to: user.email,
+    subject: "Verify your UpSkillPro email address",
+    ...renderActionEmail({
+      name: user.name,
+      intro:
+        "Please confirm your email address to finish setting up your account. The link expires in 24 hours.",
+      actionLabel: "Verify email",
+      link: buildAccountLink("/verify-email", token),
+      outro: "If you did not create an account, you can ignore this email.",
+    }),
+  });
+}
+
+/**
+ * Email an invitation to an account created by an admin, with a link to
+ * choose a password
+ * @param {Object} user - User record
+ * @param {string} token - Account invite token
+ */
+export function sendAccountInviteEmail(user, token) {
+  return sendMail({
+    to: user.email,
+    subject: "You're invited to UpSkillPro",
+    ...renderActionEmail({
+      name: user.name,
+      intro:
+        "An UpSkillPro account has been created for you. Use the link below to choose a password and sign in. It expires in 7 days and can be used once.",
+      actionLabel: "Set your password",
+      link: buildAccountLink("/reset-password", token),
+      outro:
+        'If the link has expired, use "Forgot Password?" on the login page to get a new one.',
+    }),
+  });
+}
+
+/**
+ * Email the outcome of an application to become an instructor
+ * @param {Object} user - User record
+ * @param {Object} application - Reviewed application
+ */
+export function sendInstructorApplicationEmail(user, application) {
+  const approved = application.status === "approved";
+  const details = application.reviewNotes
+    ? `Notes from our review team: ${application.reviewNotes}`
+    : null;
+
+  return sendMail({
+    to: user.email,
+    subject: approved
+      ? "You're now an UpSkillPro instructor"
+      : "Your UpSkillPro instructor application",
+    ...(approved
+      ? renderActionEmail({
+          name: user.name,
+          intro:
+            "Your application to teach on UpSkillPro has been approved. You can start creating courses from your instructor dashboard.",
+          details,
+          actionLabel: "Open instructor dashboard",
+          link: buildFrontendLink("/instructor-dashboard"),
+          outro: "Welcome aboard!",
+        })
+      : renderActionEmail({
+          name: user.name,
+          intro:
+            "Thank you for applying to teach on UpSkillPro. We are unable to approve your application at this time.",
+          details,
+          actionLabel: "Review your application",
+          link: buildFrontendLink("/student-dashboard/teach"),
+          outro: "You are welcome to update your application and apply again.",
+        })),
+  });
+}
+
+/**
+ * Email an invitation to join an organization. The invitee may not have an
+ * account yet; the link asks them to sign in or sign up with this address.
+ * @param {Object} invite - Invite record
+ * @param {Object} organization - Organization record
+ * @param {string} token - Organization invite token
+ */
+export function sendOrganizationInviteEmail(invite, organization, token) {
+  return sendMail({
+    to: invite.email,
+    subject: `Join ${organization.name} on UpSkillPro`,
+    ...renderActionEmail({
+      name: "there",
+      intro: `You have been invited to join ${organization.name} on UpSkillPro, where your team's training is provided. The invitation expires in 7 days.`,
+      actionLabel: "Accept invitation",
+      link: buildAccountLink("/organization-invite", token),
+      outro: `Sign in or create an account with ${invite.email} to accept. If you were not expecting this, you can ignore this email.`,
+    }),
+  });
+}
+
+/**
+ * Email a learner that their assignment has been graded
+ * @param {Object} user - Learner's user record
+ * @param {Object} course - Course record
+ * @param {Object} lecture - Assignment lecture
+ * @param {Object} submission - Graded submission
+ */
+export function sendAssignmentGradedEmail(user, course, lecture, submission) {
+  const { points, maxPoints } = submission.grade;
+
+  return sendMail({
+    to: user.email,
+    subject: `Your assignment "${lecture.title}" has been graded`,
+    ...renderActionEmail({
+      name: user.name,
+      intro: `Your submission for "${lecture.title}" in ${course.title} has been graded: ${points} out of ${maxPoints} points.`,
+      details: submission.grade.feedback
+        ? `Feedback from your instructor: ${submission.grade.feedback}`
+        : null,
+      actionLabel: "View your grade",
+      link: buildFrontendLink(`/courses/${course.courseId}/progress`),
+      outro: "Keep up the good work!",
+    }),
+  });
+}
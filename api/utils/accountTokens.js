@@ -0,0 +1,87 @@
+/**
+ * Signed, expiring, single-use tokens for password reset, email verification,
+ * account invitation and organization invite links. Each token carries an ID (jti) that is
+ * stored on the user (or the invite) and removed when the token is used, so
+ * a link works once and issuing a new one cancels the previous link.
+ */
+
+import jwt from "jsonwebtoken";
+import { v4 as uuidv4 } from "uuid";
+
+export const ACCOUNT_TOKEN_TYPES = {
+  PASSWORD_RESET: { purpose: "password_reset", expiresIn: "1h" },
+  EMAIL_VERIFICATION: { purpose: "email_verification", expiresIn: "24h" },
+  // Imported users choose their first password on the reset page, so an
+  // invitation is a longer-lived password reset link
+  ACCOUNT_INVITE: { purpose: "password_reset", expiresIn: "7d" },
+  // Signed for the organization rather than a user; the invitee may not
+  // have an account yet
+  ORGANIZATION_INVITE: { purpose: "organization_invite", expiresIn: "7d" },
+};
+
+// Each purpose has its own signing key, so no account token can be used as
+// another kind of token or as an access token
+const secretFor = (purpose) => `${process.env.JWT_SECRET}:${purpose}`;
+
+/**
+ * Issue an account token
+ * @param {string} userId - User ID (organization ID for invites)
+ * @param {Object} type - One of ACCOUNT_TOKEN_TYPES
+ * @returns {Object} { token, tokenId }
+ */
+export function signAccountToken(userId, { purpose, expiresIn }) {
+  const tokenId = uuidv4();
+  const token = jwt.sign({ sub: userId, purpose }, secretFor(purpose), {
+    expiresIn,
+    jwtid: tokenId,
+    algorithm: "HS256",
+  });
+
+  return { token, tokenId };
+}
+
+/**
+ * Check an account token's signature, purpose and expiry. Whether it has
+ * already been used is checked against the user record.
+ * @param {string} token - Account token
+ * @param {Object} type - One of ACCOUNT_TOKEN_TYPES
+ * @returns {Object|null} { userId, tokenId } or null if invalid or expired
+ */
+export function verifyAccountToken(token, { purpose }) {
+  try {
+    const payload = jwt.verify(token, secretFor(purpose), {
+      algorithms: ["HS256"],
+    });
+    if (payload.purpose !== purpose || !payload.jti) {
+      return null;
+    }
+    return { userId: payload.sub, tokenId: payload.jti };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build a link to a frontend page
+ * @param {string} pagePath - Frontend path, e.g. /instructor-dashboard
+ * @returns {string} Absolute URL
+ */
+export function buildFrontendLink(pagePath) {
+  const baseUrl = (
+    process.env.FRONTEND_URL ||
+    process.env.NEXT_PUBLIC_API_URL ||
+    "http://localhost:3000"
+  ).replace(/\/$/, "");
+
+  return `${baseUrl}${pagePath}`;
+}
+
+/**
+ * Build a link to a frontend page carrying an account token
+ * @param {string} pagePath - Frontend path, e.g. /reset-password
+ * @param {string} token - Account token
+ * @returns {string} Absolute URL
+ */
+export function buildAccountLink(pagePath, token) {
+  return `${buildFrontendLink(pagePath)}?token=${encodeURIComponent(token)}`;
+}
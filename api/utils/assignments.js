@@ -0,0 +1,73 @@
+/**
+ * Assignment lectures: due dates and rubric grading. Learners hand in files
+ * uploaded through /upload; instructors score each rubric criterion.
+ */
+
+import { LECTURE_TYPES } from "./constants.js";
+
+export const SUBMISSION_STATUS = {
+  SUBMITTED: "submitted",
+  GRADED: "graded",
+};
+
+/**
+ * Whether a lecture is an assignment
+ * @param {Object} lecture - Lecture item
+ * @returns {boolean}
+ */
+export function isAssignment(lecture) {
+  return lecture?.type === LECTURE_TYPES.ASSIGNMENT;
+}
+
+/**
+ * Whether an assignment's due date has passed
+ * @param {Object} assignment - Assignment stored on the lecture
+ * @param {Date} [now] - Current time
+ * @returns {boolean} False for assignments without a due date
+ */
+export function isPastDue(assignment, now = new Date()) {
+  return Boolean(assignment.dueAt) && new Date(assignment.dueAt) < now;
+}
+
+/**
+ * Points available across a rubric
+ * @param {Array} rubric - Criteria with maxPoints
+ * @returns {number}
+ */
+export function totalRubricPoints(rubric) {
+  return rubric.reduce((sum, criterion) => sum + criterion.maxPoints, 0);
+}
+
+/**
+ * Check that a grade scores every rubric criterion once and within its
+ * maximum
+ * @param {Array} rubric - The assignment's criteria
+ * @param {Array} scores - { criterionId, points } from the instructor
+ * @returns {string|null} A message describing the first problem, or null
+ */
+export function findScoreProblem(rubric, scores) {
+  const scored = new Map(scores.map((score) => [score.criterionId, score]));
+
+  if (scored.size !== scores.length) {
+    return "Each criterion can only be scored once";
+  }
+  if (
+    scores.some(
+      (score) => !rubric.some((c) => c.criterionId === score.criterionId)
+    )
+  ) {
+    return "Scores must match the assignment's rubric";
+  }
+
+  for (const criterion of rubric) {
+    const score = scored.get(criterion.criterionId);
+    if (!score) {
+      return `Score "${criterion.title}"`;
+    }
+    if (score.points > criterion.maxPoints) {
+      return `"${criterion.title}" is worth at most ${criterion.maxPoints} points`;
+    }
+  }
+
+  return null;
+}
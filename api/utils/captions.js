@@ -0,0 +1,156 @@
+/**
+ * Caption tracks for video lectures. Instructors upload WebVTT or SRT files;
+ * both are parsed into cues and served back as WebVTT, the format browsers
+ * play.
+ */
+
+const CUE_TIMING =
+  /^((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s+-->\s+((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})(.*)$/;
+
+// Tracks are stored as one DynamoDB item, which holds at most 400KB
+export const MAX_CAPTION_BYTES = 350 * 1024;
+
+// SRT positioning tags such as {\an8} have no WebVTT equivalent
+const SRT_POSITION_TAG = /\{\\an?\d+\}/g;
+
+/**
+ * Read a cue timestamp (hh:mm:ss.mmm, mm:ss.mmm or the SRT hh:mm:ss,mmm)
+ * @param {string} value - Timestamp
+ * @returns {number} Seconds
+ */
+export function parseCueTimestamp(value) {
+  const [clock, fraction] = value.split(/[.,]/);
+  const seconds = clock
+    .split(":")
+    .reduce((total, part) => total * 60 + Number(part), 0);
+
+  return seconds + Number(fraction.padEnd(3, "0")) / 1000;
+}
+
+/**
+ * Write a WebVTT cue timestamp
+ * @param {number} seconds - Position in the video
+ * @returns {string} hh:mm:ss.mmm
+ */
+export function formatCueTimestamp(seconds) {
+  const millis = Math.round(seconds * 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, "0");
+
+  return `${pad(Math.floor(millis / 3600000))}:${pad(
+    Math.floor(millis / 60000) % 60
+  )}:${pad(Math.floor(millis / 1000) % 60)}.${pad(millis % 1000, 3)}`;
+}
+
+/**
+ * Parse a WebVTT or SRT file into cues. Files starting with the WEBVTT
+ * header are read as WebVTT, anything else as SRT.
+ * @param {string} content - File contents
+ * @returns {Array|null} { start, end, text, settings } cues, or null when the
+ * file has a malformed cue or none at all
+ */
+export function parseCaptions(content) {
+  const text = content.replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n");
+  const isVtt = /^WEBVTT(?:[ \t]|\n|$)/.test(text);
+  // The first WebVTT block is the header
+  const blocks = text.split(/\n[ \t]*\n/).slice(isVtt ? 1 : 0);
+
+  const cues = [];
+  for (const block of blocks) {
+    const lines = block.split("\n").filter((line) => line.trim() !== "");
+    // NOTE, STYLE and REGION blocks have no timing line
+    const timingIndex = lines.findIndex((line) => line.includes("-->"));
+    if (timingIndex === -1) continue;
+
+    // Only a single identifier line may precede the timing
+    const match =
+      timingIndex <= 1 && CUE_TIMING.exec(lines[timingIndex].trim());
+    if (!match) return null;
+
+    const start = parseCueTimestamp(match[1]);
+    const end = parseCueTimestamp(match[2]);
+    if (end < start) return null;
+
+    const cueText = lines
+      .slice(timingIndex + 1)
+      .join("\n")
+      .replace(isVtt ? "" : SRT_POSITION_TAG, "")
+      .trim();
+    if (!cueText) continue;
+
+    const settings = isVtt ? match[3].trim() : "";
+    cues.push({ start, end, text: cueText, ...(settings && { settings }) });
+  }
+
+  return cues.length ? cues : null;
+}
+
+/**
+ * Write cues as a WebVTT file
+ * @param {Array} cues - Parsed cues
+ * @returns {string}
+ */
+export function cuesToVtt(cues) {
+  const body = cues.map(
+    (cue) =>
+      `${formatCueTimestamp(cue.start)} --> ${formatCueTimestamp(cue.end)}${
+        cue.settings ? ` ${cue.settings}` : ""
+      }\n${cue.text}`
+  );
+
+  return `WEBVTT\n\n${body.join("\n\n")}\n`;
+}
+
+/**
+ * A cue's text without markup, as learners read it
+ * @param {Object} cue - Parsed cue
+ * @returns {string}
+ */
+export function plainCueText(cue) {
+  return cue.text
+    .replace(/<[^>]*>/g, "")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Size of a track's cues as stored
+ * @param {Array} cues - Parsed cues
+ * @returns {number} Bytes
+ */
+export function captionBytes(cues) {
+  return Buffer.byteLength(JSON.stringify(cues));
+}
+
+/**
+ * Find cues containing the search text, ignoring case
+ * @param {Array} tracks - Caption tracks, in the order results should follow
+ * @param {string} query - Search text
+ * @param {number} [limit=50] - Most matches to return
+ * @returns {Array} { lectureId, language, start, end, text } matches
+ */
+export function searchCaptions(tracks, query, limit = 50) {
+  const needle = query.trim().toLowerCase();
+  const matches = [];
+  if (!needle) return matches;
+
+  for (const track of tracks) {
+    for (const cue of track.cues) {
+      const text = plainCueText(cue);
+      if (!text.toLowerCase().includes(needle)) continue;
+
+      matches.push({
+        lectureId: track.lectureId,
+        language: track.language,
+        start: cue.start,
+        end: cue.end,
+        text,
+      });
+      if (matches.length === limit) return matches;
+    }
+  }
+
+  return matches;
+}
@@ -39,3 +39,84 @@ export function hasAdminPrivileges(role) {
 export function hasSuperAdminPrivileges(role) {
   return role === USER_ROLES.SUPER_ADMIN;
 }
+
+// Course lifecycle statuses
+export const COURSE_STATUS = {
+  DRAFT: "draft",
+  PENDING_REVIEW: "pending_review",
+  APPROVED: "approved",
+  REJECTED: "rejected",
+  PUBLISHED: "published",
+};
+
+// Valid course statuses array for validation
+export const VALID_COURSE_STATUSES = Object.values(COURSE_STATUS);
+
+// Allowed course status transitions (from -> [to])
+export const COURSE_STATUS_TRANSITIONS = {
+  [COURSE_STATUS.DRAFT]: [
+    COURSE_STATUS.PENDING_REVIEW,
+    COURSE_STATUS.PUBLISHED,
+  ],
+  [COURSE_STATUS.PENDING_REVIEW]: [
+    COURSE_STATUS.APPROVED,
+    COURSE_STATUS.REJECTED,
+    COURSE_STATUS.DRAFT,
+  ],
+  [COURSE_STATUS.REJECTED]: [
+    COURSE_STATUS.PENDING_REVIEW,
+    COURSE_STATUS.PUBLISHED,
+  ],
+  [COURSE_STATUS.APPROVED]: [COURSE_STATUS.PUBLISHED, COURSE_STATUS.REJECTED],
+  [COURSE_STATUS.PUBLISHED]: [COURSE_STATUS.REJECTED],
+};
+
+/**
+ * Check if a course with the given status is visible in the public catalog
+ * and open for enrollment. Approved courses stay hidden until their
+ * instructor publishes them. Courses created before the review workflow have
+ * no status and are treated as published.
+ * @param {string} status - Course status
+ * @returns {boolean} True if the course is publicly visible
+ */
+export function isCourseVisibleInCatalog(status) {
+  if (status === undefined || status === null) {
+    return true;
+  }
+  return status === COURSE_STATUS.PUBLISHED;
+}
+
+/**
+ * Check if a course can move from one status to another
+ * @param {string} fromStatus - Current course status
+ * @param {string} toStatus - Target course status
+ * @returns {boolean} True if the transition is allowed
+ */
+export function canTransitionCourseStatus(fromStatus, toStatus) {
+  const current = fromStatus || COURSE_STATUS.PUBLISHED;
+  return (COURSE_STATUS_TRANSITIONS[current] || []).includes(toStatus);
+}
+
+// Lecture types. Lectures created before quizzes have no type and are videos.
+export const LECTURE_TYPES = {
+  VIDEO: "video",
+  QUIZ: "quiz",
+  ASSIGNMENT: "assignment",
+};
+
+// Maintenance window statuses
+export const MAINTENANCE_STATUS = {
+  SCHEDULED: "scheduled",
+  IN_PROGRESS: "in_progress",
+  COMPLETED: "completed",
+  CANCELLED: "cancelled",
+};
+
+// Feature flag defaults used when a flag has never been saved
+export const DEFAULT_FEATURE_FLAGS = {
+  enableCourseReviews: true,
+  enableCertificates: true,
+  enableDiscussionForums: true,
+  enableLiveStreaming: false,
+  enableAIRecommendations: false,
+};
@@ -0,0 +1,45 @@
+/**
+ * CSV serialization for admin exports
+ */
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Quote a value for a CSV cell. Values that a spreadsheet would treat as a
+ * formula are prefixed with an apostrophe so they open as text.
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+export function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+
+  let text = String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+}
+
+/**
+ * Serialize records as CSV with a header row
+ * @param {Array} records - Objects to write, one per row
+ * @param {Array} columns - Record keys to write, in order
+ * @returns {string} CSV text
+ */
+export function toCsv(records, columns) {
+  const lines = [
+    columns.map(escapeCsvValue).join(","),
+    ...records.map((record) =>
+      columns.map((column) => escapeCsvValue(record[column])).join(",")
+    ),
+  ];
+
+  return `${lines.join("\r\n")}\r\n`;
+}
@@ -0,0 +1,194 @@
+/**
+ * Course outline helpers. Sections and lectures carry a position; lectures
+ * created before sections existed have none and follow in creation order.
+ * Lectures outside any section come first.
+ */
+
+/**
+ * Sort sections or lectures by position, then by creation time
+ * @param {Array} items - Sections or lectures
+ * @returns {Array} A sorted copy
+ */
+export function sortByPosition(items) {
+  return [...items].sort((a, b) => {
+    const aPosition = a.position ?? Number.MAX_SAFE_INTEGER;
+    const bPosition = b.position ?? Number.MAX_SAFE_INTEGER;
+    return (
+      aPosition - bPosition ||
+      (a.createdAt || "").localeCompare(b.createdAt || "")
+    );
+  });
+}
+
+/**
+ * Position for an item added at the end of a group. Groups holding items
+ * without a position get none either, so the new item sorts after them by
+ * creation time.
+ * @param {Array} items - Sections, or the lectures in one section
+ * @returns {number|null} Next position
+ */
+export function nextPosition(items) {
+  if (items.some((item) => item.position == null)) {
+    return null;
+  }
+  return items.reduce((max, item) => Math.max(max, item.position + 1), 0);
+}
+
+/**
+ * Group a course's lectures under its sections, in outline order. Lectures
+ * pointing at a section that no longer exists are treated as unsectioned.
+ * @param {Array} sections - Section items
+ * @param {Array} lectures - Lecture items
+ * @returns {Object} { sections: [{ ...section, lectures }], unsectioned }
+ */
+export function buildCurriculum(sections, lectures) {
+  const sectionIds = new Set(sections.map((section) => section.sectionId));
+  const sortedLectures = sortByPosition(lectures);
+
+  return {
+    sections: sortByPosition(sections).map((section) => ({
+      ...section,
+      lectures: sortedLectures.filter(
+        (lecture) => lecture.sectionId === section.sectionId
+      ),
+    })),
+    unsectioned: sortedLectures.filter(
+      (lecture) => !sectionIds.has(lecture.sectionId)
+    ),
+  };
+}
+
+/**
+ * List a course's lectures in outline order
+ * @param {Array} sections - Section items
+ * @param {Array} lectures - Lecture items
+ * @returns {Array} Lectures
+ */
+export function orderLectures(sections, lectures) {
+  const curriculum = buildCurriculum(sections, lectures);
+  return [
+    ...curriculum.unsectioned,
+    ...curriculum.sections.flatMap((section) => section.lectures),
+  ];
+}
+
+/**
+ * Describe a curriculum as IDs, the shape reorder requests use
+ * @param {Object} curriculum - Result of buildCurriculum
+ * @returns {Object} { sections: [{ sectionId, lectureIds }], unsectionedLectureIds }
+ */
+export function toCurriculumOrder(curriculum) {
+  return {
+    sections: curriculum.sections.map((section) => ({
+      sectionId: section.sectionId,
+      lectureIds: section.lectures.map((lecture) => lecture.lectureId),
+    })),
+    unsectionedLectureIds: curriculum.unsectioned.map(
+      (lecture) => lecture.lectureId
+    ),
+  };
+}
+
+/**
+ * Move a lecture within an order
+ * @param {Object} order - Result of toCurriculumOrder
+ * @param {string} lectureId - Lecture to move
+ * @param {string|null} sectionId - Target section, or null for unsectioned
+ * @param {number} position - Index in the target group; past the end appends
+ * @returns {Object} A new order
+ */
+export function moveLectureInOrder(order, lectureId, sectionId, position) {
+  const withoutLecture = (lectureIds) =>
+    lectureIds.filter((id) => id !== lectureId);
+  const insertLecture = (lectureIds) => [
+    ...lectureIds.slice(0, position),
+    lectureId,
+    ...lectureIds.slice(position),
+  ];
+
+  const unsectionedLectureIds = withoutLecture(order.unsectionedLectureIds);
+  return {
+    sections: order.sections.map((section) => {
+      const lectureIds = withoutLecture(section.lectureIds);
+      return {
+        sectionId: section.sectionId,
+        lectureIds:
+          section.sectionId === sectionId
+            ? insertLecture(lectureIds)
+            : lectureIds,
+      };
+    }),
+    unsectionedLectureIds:
+      sectionId === null
+        ? insertLecture(unsectionedLectureIds)
+        : unsectionedLectureIds,
+  };
+}
+
+/**
+ * Check that an order lists every section and lecture exactly once
+ * @param {Object} order - { sections: [{ sectionId, lectureIds }], unsectionedLectureIds }
+ * @param {Array} sections - The course's sections
+ * @param {Array} lectures - The course's lectures
+ * @returns {boolean} True if the order matches the course
+ */
+export function isCompleteOrder(order, sections, lectures) {
+  const orderedSectionIds = order.sections.map((section) => section.sectionId);
+  const orderedLectureIds = [
+    ...order.unsectionedLectureIds,
+    ...order.sections.flatMap((section) => section.lectureIds),
+  ];
+
+  const sameIds = (ordered, items, key) =>
+    ordered.length === items.length &&
+    new Set(ordered).size === ordered.length &&
+    items.every((item) => ordered.includes(item[key]));
+
+  return (
+    sameIds(orderedSectionIds, sections, "sectionId") &&
+    sameIds(orderedLectureIds, lectures, "lectureId")
+  );
+}
+
+/**
+ * Work out which sections and lectures need a new position or section to
+ * match an order. Items already in place are left out.
+ * @param {Object} order - A complete order (see isCompleteOrder)
+ * @param {Array} sections - The course's sections
+ * @param {Array} lectures - The course's lectures
+ * @returns {Object} { sectionUpdates: [{ sectionId, position }],
+ * lectureUpdates: [{ lectureId, sectionId, position }] }
+ */
+export function getPlacementChanges(order, sections, lectures) {
+  const sectionsById = new Map(
+    sections.map((section) => [section.sectionId, section])
+  );
+  const lecturesById = new Map(
+    lectures.map((lecture) => [lecture.lectureId, lecture])
+  );
+
+  const sectionUpdates = order.sections
+    .map((section, position) => ({ sectionId: section.sectionId, position }))
+    .filter(
+      ({ sectionId, position }) =>
+        sectionsById.get(sectionId).position !== position
+    );
+
+  const groups = [
+    { sectionId: null, lectureIds: order.unsectionedLectureIds },
+    ...order.sections,
+  ];
+  const lectureUpdates = groups.flatMap(({ sectionId, lectureIds }) =>
+    lectureIds
+      .map((lectureId, position) => ({ lectureId, sectionId, position }))
+      .filter(({ lectureId, position }) => {
+        const lecture = lecturesById.get(lectureId);
+        return (
+          (lecture.sectionId ?? null) !== sectionId ||
+          lecture.position !== position
+        );
+      })
+  );
+
+  return { sectionUpdates, lectureUpdates };
+}
@@ -0,0 +1,175 @@
+/**
+ * Feature flag evaluation
+ *
+ * A flag is stored in settings.featureFlags either as a plain boolean or as a
+ * rule object:
+ *   {
+ *     enabled: true,
+ *     rules: { roles: ["instructor"], users: ["user-id"], percentage: 25 }
+ *   }
+ * `enabled` is the master switch. With no rules the flag is on for everyone;
+ * otherwise the user must match at least one rule.
+ */
+
+import { createHash } from "crypto";
+import { DEFAULT_FEATURE_FLAGS, isValidRole } from "./constants.js";
+
+/**
+ * Turn a stored flag value into a rule object
+ * @param {boolean|Object|undefined} value - Stored flag value
+ * @returns {Object} { enabled, rules: { roles, users, percentage } }
+ */
+export function normalizeFeatureFlag(value) {
+  if (typeof value === "boolean") {
+    return {
+      enabled: value,
+      rules: { roles: [], users: [], percentage: null },
+    };
+  }
+
+  if (!value || typeof value !== "object") {
+    return {
+      enabled: false,
+      rules: { roles: [], users: [], percentage: null },
+    };
+  }
+
+  const rules = value.rules || {};
+  return {
+    enabled: value.enabled === true,
+    rules: {
+      roles: Array.isArray(rules.roles) ? rules.roles : [],
+      users: Array.isArray(rules.users) ? rules.users : [],
+      percentage:
+        typeof rules.percentage === "number" ? rules.percentage : null,
+    },
+  };
+}
+
+/**
+ * Stable 0-99 bucket for a user within a flag, so a user keeps the same
+ * rollout result as the percentage grows
+ * @param {string} flagKey - Flag name
+ * @param {string} userId - User ID
+ * @returns {number} Bucket between 0 and 99
+ */
+export function getRolloutBucket(flagKey, userId) {
+  const hash = createHash("sha256").update(`${flagKey}:${userId}`).digest();
+  return hash.readUInt32BE(0) % 100;
+}
+
+/**
+ * Evaluate a single feature flag for a user
+ * @param {string} flagKey - Flag name
+ * @param {boolean|Object} value - Stored flag value
+ * @param {Object|null} user - Decoded JWT payload ({ sub, role }) or null
+ * @returns {boolean} True if the flag is on for this user
+ */
+export function evaluateFeatureFlag(flagKey, value, user = null) {
+  const { enabled, rules } = normalizeFeatureFlag(value);
+  if (!enabled) {
+    return false;
+  }
+
+  const hasRules =
+    rules.roles.length > 0 ||
+    rules.users.length > 0 ||
+    rules.percentage !== null;
+  if (!hasRules) {
+    return true;
+  }
+
+  if (user?.sub && rules.users.includes(user.sub)) {
+    return true;
+  }
+
+  if (user?.role && rules.roles.includes(user.role)) {
+    return true;
+  }
+
+  if (rules.percentage !== null) {
+    if (rules.percentage >= 100) {
+      return true;
+    }
+    if (user?.sub && rules.percentage > 0) {
+      return getRolloutBucket(flagKey, user.sub) < rules.percentage;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Evaluate every known feature flag for a user
+ * @param {Object} featureFlags - settings.featureFlags
+ * @param {Object|null} user - Decoded JWT payload or null
+ * @returns {Object} Map of flag name to boolean
+ */
+export function evaluateFeatureFlags(featureFlags = {}, user = null) {
+  const flags = { ...DEFAULT_FEATURE_FLAGS, ...featureFlags };
+
+  return Object.keys(flags).reduce((result, flagKey) => {
+    result[flagKey] = evaluateFeatureFlag(flagKey, flags[flagKey], user);
+    return result;
+  }, {});
+}
+
+/**
+ * Validate feature flag values before saving
+ * @param {Object} featureFlags - Map of flag name to boolean or rule object
+ * @returns {Object} { isValid: boolean, errors: string[] }
+ */
+export function validateFeatureFlags(featureFlags) {
+  const errors = [];
+
+  Object.entries(featureFlags).forEach(([flagKey, value]) => {
+    if (typeof value === "boolean") {
+      return;
+    }
+
+    if (!value || typeof value !== "object") {
+      errors.push(`${flagKey} must be a boolean or a rule object`);
+      return;
+    }
+
+    if (typeof value.enabled !== "boolean") {
+      errors.push(`${flagKey}.enabled must be a boolean`);
+    }
+
+    const rules = value.rules || {};
+    if (rules.roles !== undefined) {
+      if (!Array.isArray(rules.roles)) {
+        errors.push(`${flagKey}.rules.roles must be an array`);
+      } else {
+        rules.roles
+          .filter((role) => !isValidRole(role))
+          .forEach((role) =>
+            errors.push(`${flagKey}.rules.roles contains invalid role: ${role}`)
+          );
+      }
+    }
+
+    if (
+      rules.users !== undefined &&
+      (!Array.isArray(rules.users) ||
+        rules.users.some((userId) => typeof userId !== "string"))
+    ) {
+      errors.push(`${flagKey}.rules.users must be an array of user IDs`);
+    }
+
+    if (
+      rules.percentage !== undefined &&
+      rules.percentage !== null &&
+      (typeof rules.percentage !== "number" ||
+        rules.percentage < 0 ||
+        rules.percentage > 100)
+    ) {
+      errors.push(`${flagKey}.rules.percentage must be between 0 and 100`);
+    }
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+}
@@ -0,0 +1,189 @@
+/**
+ * IP allowlist helpers backed by SecurityPolicies.accessControl
+ */
+
+const IPV4_MAPPED_PREFIX = "::ffff:";
+
+/**
+ * Normalise a client address, unwrapping IPv4-mapped IPv6 (::ffff:1.2.3.4)
+ * @param {string} ip - Address as reported by Express or Socket.IO
+ * @returns {string} Normalised address
+ */
+export function normalizeIp(ip = "") {
+  const trimmed = String(ip).trim().toLowerCase();
+  if (
+    trimmed.startsWith(IPV4_MAPPED_PREFIX) &&
+    trimmed.slice(IPV4_MAPPED_PREFIX.length).includes(".")
+  ) {
+    return trimmed.slice(IPV4_MAPPED_PREFIX.length);
+  }
+  return trimmed;
+}
+
+/**
+ * Convert a dotted IPv4 address to an unsigned 32-bit integer
+ * @param {string} ip - IPv4 address
+ * @returns {number|null} Integer value, or null if not IPv4
+ */
+function ipv4ToInt(ip) {
+  const parts = ip.split(".");
+  if (parts.length !== 4) {
+    return null;
+  }
+
+  let value = 0;
+  for (const part of parts) {
+    if (!/^\d{1,3}$/.test(part) || Number(part) > 255) {
+      return null;
+    }
+    value = value * 256 + Number(part);
+  }
+  return value;
+}
+
+/**
+ * Convert an IPv6 address to a 128-bit integer. Accepts :: compression, an
+ * embedded IPv4 tail (64:ff9b::192.0.2.1) and a zone ID (fe80::1%eth0).
+ * @param {string} ip - IPv6 address
+ * @returns {bigint|null} Integer value, or null if not IPv6
+ */
+function ipv6ToBigInt(ip) {
+  const [address] = ip.split("%");
+  const halves = address.split("::");
+  if (halves.length > 2) {
+    return null;
+  }
+
+  // Only the very last group may be written as IPv4
+  const toGroups = (text, allowIpv4) => {
+    if (!text) {
+      return [];
+    }
+    const groups = text.split(":");
+    const last = groups[groups.length - 1];
+    if (allowIpv4 && last.includes(".")) {
+      const ipv4 = ipv4ToInt(last);
+      if (ipv4 === null) {
+        return null;
+      }
+      groups.splice(
+        -1,
+        1,
+        (ipv4 >>> 16).toString(16),
+        (ipv4 & 0xffff).toString(16)
+      );
+    }
+    return groups;
+  };
+
+  const compressed = halves.length === 2;
+  const head = toGroups(halves[0], !compressed);
+  const tail = compressed ? toGroups(halves[1], true) : [];
+  if (!head || !tail) {
+    return null;
+  }
+
+  // :: stands for at least one group of zeros
+  const missing = 8 - head.length - tail.length;
+  if (compressed ? missing < 1 : missing !== 0) {
+    return null;
+  }
+
+  let value = 0n;
+  for (const group of [...head, ...Array(missing).fill("0"), ...tail]) {
+    if (!/^[0-9a-f]{1,4}$/.test(group)) {
+      return null;
+    }
+    value = (value << 16n) | BigInt(parseInt(group, 16));
+  }
+  return value;
+}
+
+/**
+ * Parse an IPv4 or IPv6 address
+ * @param {string} ip - Normalised address
+ * @returns {Object|null} { bits, value } with bits 32 or 128, or null
+ */
+function parseAddress(ip) {
+  const ipv4 = ipv4ToInt(ip);
+  if (ipv4 !== null) {
+    return { bits: 32, value: BigInt(ipv4) };
+  }
+
+  const ipv6 = ipv6ToBigInt(ip);
+  return ipv6 === null ? null : { bits: 128, value: ipv6 };
+}
+
+/**
+ * Parse an allowlist rule: a single address or a CIDR range of either family
+ * @param {string} rule - e.g. "10.0.0.1", "192.168.1.0/24" or "2001:db8::/32"
+ * @returns {Object|null} { bits, value, prefix }, or null if malformed
+ */
+function parseRule(rule) {
+  const [base, prefixText, ...rest] = String(rule)
+    .trim()
+    .toLowerCase()
+    .split("/");
+  const address = parseAddress(normalizeIp(base));
+  if (!address || rest.length > 0) {
+    return null;
+  }
+  if (prefixText === undefined) {
+    return { ...address, prefix: address.bits };
+  }
+
+  const prefix = Number(prefixText);
+  if (!/^\d{1,3}$/.test(prefixText) || prefix > address.bits) {
+    return null;
+  }
+  return { ...address, prefix };
+}
+
+/**
+ * Check that an allowlist rule is a valid address or CIDR range
+ * @param {string} rule - Allowlist entry
+ * @returns {boolean}
+ */
+export function isValidIpRule(rule) {
+  return typeof rule === "string" && parseRule(rule) !== null;
+}
+
+/**
+ * Check if an address matches an allowlist rule (single IP or CIDR range,
+ * IPv4 or IPv6)
+ * @param {string} ip - Client address
+ * @param {string} rule - e.g. "10.0.0.1", "192.168.1.0/24" or "2001:db8::/32"
+ * @returns {boolean} True if the address is covered by the rule
+ */
+export function isIpInRange(ip, rule) {
+  const address = parseAddress(normalizeIp(ip));
+  const range = parseRule(rule);
+  if (!address || !range || address.bits !== range.bits) {
+    return false;
+  }
+
+  // Compare the network parts, dropping the host bits
+  const hostBits = BigInt(range.bits - range.prefix);
+  return address.value >> hostBits === range.value >> hostBits;
+}
+
+/**
+ * Evaluate a client address against the accessControl allowlist. The
+ * allowlist is only enforced when enableIPWhitelist is on and it has entries.
+ * @param {string} ip - Client address
+ * @param {Object} accessControl - accessControl from security policies
+ * @returns {Object} { ip, enforced, allowed, matchedRule }
+ */
+export function evaluateIpAllowlist(ip, accessControl = {}) {
+  const address = normalizeIp(ip);
+  const rules = (accessControl?.allowedIPs || []).filter(Boolean);
+  const enforced =
+    accessControl?.enableIPWhitelist === true && rules.length > 0;
+
+  if (!enforced) {
+    return { ip: address, enforced, allowed: true, matchedRule: null };
+  }
+
+  const matchedRule = rules.find((rule) => isIpInRange(address, rule)) || null;
+  return { ip: address, enforced, allowed: matchedRule !== null, matchedRule };
+}
@@ -0,0 +1,51 @@
+/**
+ * Course progress computed from an enrollment's completed lecture IDs, shared
+ * by My Learning and organization team reports
+ */
+
+import { isAssignment } from "./assignments.js";
+import { isQuiz } from "./quizzes.js";
+
+/**
+ * Whether a lecture is completed by doing it (passing a quiz, handing in an
+ * assignment) rather than by being marked complete
+ * @param {Object} lecture - Lecture item
+ * @returns {boolean}
+ */
+export function completesThroughActivity(lecture) {
+  return isQuiz(lecture) || isAssignment(lecture);
+}
+
+/**
+ * Summarize how far a learner is through a course
+ * @param {Object} enrollment - Enrollment record
+ * @param {Array} lectures - The course's lectures
+ * @returns {Object} Progress percentage, lecture counts and durations
+ */
+export function summarizeProgress(enrollment, lectures) {
+  const totalLectures = lectures.length;
+  const completedLectureIds = new Set(enrollment.progress);
+  const completedLectures = lectures.filter((lecture) =>
+    completedLectureIds.has(lecture.lectureId)
+  );
+
+  const progressPercentage =
+    totalLectures > 0 ? (completedLectures.length / totalLectures) * 100 : 0;
+
+  const totalDurationSeconds = lectures.reduce(
+    (sum, lecture) => sum + (lecture.durationSeconds || 0),
+    0
+  );
+  const completedDurationSeconds = completedLectures.reduce(
+    (sum, lecture) => sum + (lecture.durationSeconds || 0),
+    0
+  );
+
+  return {
+    progress: Number(progressPercentage.toFixed(2)),
+    totalLectures,
+    completedLectures: completedLectures.length,
+    totalDurationSeconds,
+    completedDurationSeconds,
+  };
+}
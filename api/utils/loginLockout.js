@@ -0,0 +1,96 @@
+/**
+ * Brute-force lockout helpers backed by SecurityPolicies.accessControl
+ */
+
+export const DEFAULT_BRUTE_FORCE_POLICY = {
+  enableBruteForceProtection: true,
+  maxFailedAttempts: 5,
+  lockoutDuration: 30, // minutes
+};
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Merge the brute-force settings of an accessControl policy over the defaults
+ * @param {Object} accessControl - accessControl from security policies
+ * @returns {Object} { enableBruteForceProtection, maxFailedAttempts, lockoutDuration }
+ */
+export function resolveBruteForcePolicy(accessControl = {}) {
+  const resolved = { ...DEFAULT_BRUTE_FORCE_POLICY };
+  for (const key of Object.keys(DEFAULT_BRUTE_FORCE_POLICY)) {
+    if (accessControl?.[key] !== undefined && accessControl[key] !== null) {
+      resolved[key] = accessControl[key];
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Check whether a user is currently locked out
+ * @param {Object} user - User record
+ * @param {Date} now - Reference time
+ * @returns {Object} { locked, lockedUntil, retryAfter } (retryAfter in seconds)
+ */
+export function getAccountLockStatus(user, now = new Date()) {
+  const lockedUntil = user?.lockedUntil ? new Date(user.lockedUntil) : null;
+  if (!lockedUntil || Number.isNaN(lockedUntil.getTime())) {
+    return { locked: false, lockedUntil: null, retryAfter: 0 };
+  }
+
+  const remainingMs = lockedUntil.getTime() - now.getTime();
+  if (remainingMs <= 0) {
+    return { locked: false, lockedUntil: null, retryAfter: 0 };
+  }
+
+  return {
+    locked: true,
+    lockedUntil: lockedUntil.toISOString(),
+    retryAfter: Math.ceil(remainingMs / 1000),
+  };
+}
+
+/**
+ * Start of the current failure window. Failures are counted within a window
+ * of lockoutDuration minutes starting at the first failure; a window that
+ * started before this time has passed and the next failure opens a new one.
+ * @param {Object} accessControl - accessControl from security policies
+ * @param {Date} now - Reference time
+ * @returns {string} ISO time
+ */
+export function getFailedLoginWindowCutoff(accessControl, now = new Date()) {
+  const policy = resolveBruteForcePolicy(accessControl);
+  return new Date(
+    now.getTime() - policy.lockoutDuration * MINUTE_MS
+  ).toISOString();
+}
+
+/**
+ * Decide whether a failed attempt locks the account: reaching
+ * maxFailedAttempts inside the window locks it for lockoutDuration minutes.
+ * @param {number} failedLoginAttempts - Failures in the window, this one
+ * included, as stored by UserRepository.recordFailedLogin
+ * @param {Object} accessControl - accessControl from security policies
+ * @param {Date} now - Reference time
+ * @returns {Object} { failedLoginAttempts, lockedUntil, locked }
+ */
+export function getFailedLoginLock(
+  failedLoginAttempts,
+  accessControl,
+  now = new Date()
+) {
+  const policy = resolveBruteForcePolicy(accessControl);
+  const locked =
+    policy.enableBruteForceProtection === true &&
+    policy.maxFailedAttempts > 0 &&
+    failedLoginAttempts >= policy.maxFailedAttempts;
+
+  return {
+    failedLoginAttempts,
+    lockedUntil: locked
+      ? new Date(
+          now.getTime() + policy.lockoutDuration * MINUTE_MS
+        ).toISOString()
+      : null,
+    locked,
+  };
+}
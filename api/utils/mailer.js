@@ -0,0 +1,142 @@
+/**
+ * Outgoing mail with pluggable transports. MAIL_TRANSPORT selects one of:
+ * - smtp: deliver through SMTP_HOST (nodemailer)
+ * - file: write each message as JSON to MAIL_FILE_DIR, for local development
+ * - console: log each message, the default outside production
+ * A transport is any object with an async send(message) method, so tests and
+ * other deployments can install their own with setMailTransport().
+ */
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import nodemailer from "nodemailer";
+
+const DEFAULT_FROM = "UpSkillPro <no-reply@upskillpro.local>";
+
+/**
+ * Create an SMTP transport
+ * @param {Object} options - { host, port, secure, user, pass }
+ * @returns {Object} Transport
+ */
+export function createSmtpTransport({ host, port = 587, secure, user, pass }) {
+  if (!host) {
+    throw new Error("SMTP_HOST is required for the smtp mail transport");
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port: Number(port),
+    secure: secure ?? Number(port) === 465,
+    ...(user && { auth: { user, pass } }),
+  });
+
+  return {
+    name: "smtp",
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+}
+
+/**
+ * Create a transport that writes each message to a JSON file
+ * @param {Object} options - { directory }
+ * @returns {Object} Transport
+ */
+export function createFileTransport({ directory }) {
+  return {
+    name: "file",
+    async send(message) {
+      await fs.mkdir(directory, { recursive: true });
+      const messageId = `${Date.now()}-${crypto.randomUUID()}`;
+      await fs.writeFile(
+        path.join(directory, `${messageId}.json`),
+        JSON.stringify(
+          { ...message, sentAt: new Date().toISOString() },
+          null,
+          2
+        )
+      );
+      return { messageId };
+    },
+  };
+}
+
+/**
+ * Create a transport that logs each message instead of sending it
+ * @param {Object} options - { logger }
+ * @returns {Object} Transport
+ */
+export function createConsoleTransport({ logger = console } = {}) {
+  return {
+    name: "console",
+    async send(message) {
+      logger.log(
+        `[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`
+      );
+      return { messageId: `console-${Date.now()}` };
+    },
+  };
+}
+
+/**
+ * Build the transport configured by the environment
+ * @param {Object} env - Environment variables
+ * @returns {Object} Transport
+ */
+export function createMailTransportFromEnv(env = process.env) {
+  const transport =
+    env.MAIL_TRANSPORT ||
+    (env.NODE_ENV === "production" && env.SMTP_HOST ? "smtp" : "console");
+
+  switch (transport) {
+    case "smtp":
+      return createSmtpTransport({
+        host: env.SMTP_HOST,
+        port: env.SMTP_PORT,
+        secure:
+          env.SMTP_SECURE === undefined
+            ? undefined
+            : env.SMTP_SECURE === "true",
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS,
+      });
+    case "file":
+      return createFileTransport({
+        directory: env.MAIL_FILE_DIR || path.resolve("tmp", "mail"),
+      });
+    case "console":
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT: ${transport}`);
+  }
+}
+
+let mailTransport = null;
+
+/**
+ * Replace the mail transport, e.g. with a recording transport in tests.
+ * Passing null goes back to the environment's transport.
+ * @param {Object|null} transport - Object with an async send(message)
+ */
+export function setMailTransport(transport) {
+  mailTransport = transport;
+}
+
+/**
+ * Send an email through the current transport
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} { messageId }
+ */
+export async function sendMail(message) {
+  if (!mailTransport) {
+    mailTransport = createMailTransportFromEnv();
+  }
+
+  return mailTransport.send({
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    ...message,
+  });
+}
@@ -0,0 +1,160 @@
+/**
+ * Maintenance mode helpers shared by the maintenance middleware and the
+ * public status endpoint
+ */
+
+import { MAINTENANCE_STATUS } from "./constants.js";
+
+export const DEFAULT_MAINTENANCE_MESSAGE =
+  "The platform is currently under maintenance. Please check back later.";
+
+// Retry-After (seconds) used when maintenance has no known end time
+export const DEFAULT_MAINTENANCE_RETRY_AFTER = 300;
+
+/**
+ * Check if a maintenance window still counts towards the schedule
+ * @param {Object} window - Maintenance window record
+ * @returns {boolean} True for scheduled or in-progress windows
+ */
+function isOpenWindow(window) {
+  return (
+    window.status === MAINTENANCE_STATUS.SCHEDULED ||
+    window.status === MAINTENANCE_STATUS.IN_PROGRESS
+  );
+}
+
+/**
+ * Check if a maintenance window covers the given time
+ * @param {Object} window - Maintenance window record
+ * @param {Date} now - Reference time
+ * @returns {boolean} True if now is between startTime and endTime
+ */
+export function isMaintenanceWindowActive(window, now = new Date()) {
+  if (!window || !isOpenWindow(window)) {
+    return false;
+  }
+
+  const start = new Date(window.startTime).getTime();
+  const end = new Date(window.endTime).getTime();
+  const current = now.getTime();
+
+  if (Number.isNaN(start) || Number.isNaN(end)) {
+    return false;
+  }
+
+  return start <= current && current < end;
+}
+
+/**
+ * Work out which status a maintenance window should have at the given time
+ * @param {Object} window - Maintenance window record
+ * @param {Date} now - Reference time
+ * @returns {string|null} New status, or null when no change is needed
+ */
+export function getMaintenanceWindowTransition(window, now = new Date()) {
+  if (!window || !isOpenWindow(window)) {
+    return null;
+  }
+
+  const end = new Date(window.endTime).getTime();
+  if (!Number.isNaN(end) && now.getTime() >= end) {
+    return MAINTENANCE_STATUS.COMPLETED;
+  }
+
+  if (
+    window.status === MAINTENANCE_STATUS.SCHEDULED &&
+    isMaintenanceWindowActive(window, now)
+  ) {
+    return MAINTENANCE_STATUS.IN_PROGRESS;
+  }
+
+  return null;
+}
+
+/**
+ * Resolve the current maintenance state from platform settings and windows
+ * @param {Object} options
+ * @param {Object} options.platformSettings - platformSettings from system settings
+ * @param {Array} options.maintenanceWindows - Scheduled and in-progress windows
+ * @param {Date} options.now - Reference time
+ * @returns {Object} { active, source, message, title, startTime, endTime, retryAfter, upcoming }
+ */
+export function resolveMaintenanceState({
+  platformSettings = {},
+  maintenanceWindows = [],
+  now = new Date(),
+} = {}) {
+  const message =
+    platformSettings.maintenanceMessage || DEFAULT_MAINTENANCE_MESSAGE;
+
+  const activeWindow = maintenanceWindows
+    .filter((window) => isMaintenanceWindowActive(window, now))
+    .sort((a, b) => new Date(b.endTime) - new Date(a.endTime))[0];
+
+  const upcoming = maintenanceWindows
+    .filter(
+      (window) =>
+        isOpenWindow(window) &&
+        window.notifyUsers !== false &&
+        new Date(window.startTime).getTime() > now.getTime()
+    )
+    .sort((a, b) => new Date(a.startTime) - new Date(b.startTime))
+    .map(toPublicWindow);
+
+  if (activeWindow) {
+    const secondsLeft = Math.ceil(
+      (new Date(activeWindow.endTime).getTime() - now.getTime()) / 1000
+    );
+
+    return {
+      active: true,
+      source: "scheduled",
+      message: activeWindow.description || message,
+      title: activeWindow.title,
+      startTime: activeWindow.startTime,
+      endTime: activeWindow.endTime,
+      retryAfter: Math.max(secondsLeft, 1),
+      upcoming,
+    };
+  }
+
+  if (platformSettings.maintenanceMode === true) {
+    return {
+      active: true,
+      source: "manual",
+      message,
+      title: null,
+      startTime: null,
+      endTime: null,
+      retryAfter: DEFAULT_MAINTENANCE_RETRY_AFTER,
+      upcoming,
+    };
+  }
+
+  return {
+    active: false,
+    source: null,
+    message: null,
+    title: null,
+    startTime: null,
+    endTime: null,
+    retryAfter: null,
+    upcoming,
+  };
+}
+
+/**
+ * Strip internal fields from a maintenance window before exposing it publicly
+ * @param {Object} window - Maintenance window record
+ * @returns {Object} Public maintenance window
+ */
+function toPublicWindow(window) {
+  return {
+    maintenanceId: window.maintenanceId,
+    title: window.title,
+    description: window.description || null,
+    maintenanceType: window.maintenanceType,
+    startTime: window.startTime,
+    endTime: window.endTime,
+  };
+}
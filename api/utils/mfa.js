@@ -0,0 +1,286 @@
+/**
+ * Multi-factor authentication helpers: TOTP (RFC 6238), recovery codes and
+ * the sessionPolicy.requireMFA rule
+ */
+
+import crypto from "crypto";
+import { isStaffRole } from "./permissions.js";
+
+export const TOTP_STEP_SECONDS = 30;
+export const TOTP_DIGITS = 6;
+export const MFA_ISSUER = "UpSkillPro";
+export const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/**
+ * Encode bytes as RFC 4648 base32 without padding
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode an RFC 4648 base32 string (case, spaces and padding are ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+export function base32Decode(input) {
+  const cleaned = String(input).toUpperCase().replace(/[\s=]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 character");
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} Base32 secret (160 bits)
+ */
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Get the TOTP time step for a moment in time
+ * @param {number} time - Time in ms
+ * @returns {number} Step counter
+ */
+export function getTotpStep(time = Date.now()) {
+  return Math.floor(time / 1000 / TOTP_STEP_SECONDS);
+}
+
+/**
+ * Generate the TOTP code for a secret at a given step (HMAC-SHA1, 6 digits)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Step counter
+ * @returns {string} Zero-padded code
+ */
+export function generateTotp(secret, step = getTotpStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+}
+
+/**
+ * Verify a TOTP code, allowing one step of clock drift either way. Codes at or
+ * before lastUsedStep are refused so a code cannot be replayed.
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options
+ * @param {number} options.time - Reference time in ms
+ * @param {number} options.window - Steps of drift allowed
+ * @param {number} options.lastUsedStep - Step of the last accepted code
+ * @returns {number|null} Matched step, or null if the code is invalid
+ */
+export function verifyTotp(
+  secret,
+  code,
+  { time = Date.now(), window = 1, lastUsedStep = -1 } = {}
+) {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getTotpStep(time);
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    if (step <= lastUsedStep) {
+      continue;
+    }
+
+    const expected = generateTotp(secret, step);
+    if (
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))
+    ) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the otpauth:// provisioning URI encoded in enrolment QR codes
+ * @param {Object} params - { secret, accountName, issuer }
+ * @returns {string} otpauth URI
+ */
+export function buildOtpAuthUri({ secret, accountName, issuer = MFA_ISSUER }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Generate single-use recovery codes
+ * @param {number} count - Number of codes
+ * @returns {Array<string>} Codes formatted as xxxxx-xxxxx
+ */
+export function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  return Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+}
+
+/**
+ * Hash a recovery code for storage (codes are random, so SHA-256 suffices)
+ * @param {string} code - Recovery code
+ * @returns {string} Hex digest
+ */
+export function hashRecoveryCode(code) {
+  const normalized = String(code).trim().toLowerCase().replace(/\s/g, "");
+  return crypto.createHash("sha256").update(normalized).digest("hex");
+}
+
+/**
+ * Find a recovery code among stored hashes
+ * @param {string} code - Code entered by the user
+ * @param {Array<string>} hashes - Stored recovery code hashes
+ * @returns {number} Index of the matching hash, or -1
+ */
+export function findRecoveryCode(code, hashes = []) {
+  if (!code) {
+    return -1;
+  }
+  return hashes.indexOf(hashRecoveryCode(code));
+}
+
+/**
+ * Derive the AES key protecting stored TOTP secrets
+ */
+const getSecretKey = () =>
+  crypto
+    .createHash("sha256")
+    .update(process.env.MFA_ENCRYPTION_KEY || process.env.JWT_SECRET || "")
+    .digest();
+
+/**
+ * Encrypt a TOTP secret for storage (AES-256-GCM)
+ * @param {string} secret - Base32 secret
+ * @returns {string} iv:tag:ciphertext, hex encoded
+ */
+export function encryptMfaSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getSecretKey(), iv);
+  const encrypted = Buffer.concat([
+    cipher.update(secret, "utf8"),
+    cipher.final(),
+  ]);
+
+  return [iv, cipher.getAuthTag(), encrypted]
+    .map((part) => part.toString("hex"))
+    .join(":");
+}
+
+/**
+ * Decrypt a stored TOTP secret
+ * @param {string} payload - Value produced by encryptMfaSecret
+ * @returns {string} Base32 secret
+ */
+export function decryptMfaSecret(payload) {
+  const [iv, tag, encrypted] = String(payload)
+    .split(":")
+    .map((part) => Buffer.from(part, "hex"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", getSecretKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString(
+    "utf8"
+  );
+}
+
+/**
+ * Check if the session policy requires MFA for a role. It applies to every
+ * staff role, custom roles included.
+ * @param {string} role - User role
+ * @param {Object} sessionPolicy - sessionPolicy from security policies
+ * @returns {boolean} True if the role must use MFA
+ */
+export function isMfaRequiredForRole(role, sessionPolicy = {}) {
+  return sessionPolicy?.requireMFA === true && isStaffRole(role);
+}
+
+/**
+ * Check a code entered by a user with MFA enabled: a TOTP code first, then a
+ * recovery code. The returned updates must be saved to consume the code.
+ * @param {Object} user - User record
+ * @param {string} code - TOTP or recovery code
+ * @param {number} time - Reference time in ms
+ * @returns {Object} { valid, method, updates }
+ */
+export function verifyMfaCode(user, code, time = Date.now()) {
+  if (!user?.mfaEnabled || !user.mfaSecret) {
+    return { valid: false, method: null, updates: {} };
+  }
+
+  const step = verifyTotp(decryptMfaSecret(user.mfaSecret), code, {
+    time,
+    lastUsedStep: user.mfaLastUsedStep ?? -1,
+  });
+  if (step !== null) {
+    return { valid: true, method: "totp", updates: { mfaLastUsedStep: step } };
+  }
+
+  const recoveryCodes = user.mfaRecoveryCodes || [];
+  const index = findRecoveryCode(code, recoveryCodes);
+  if (index !== -1) {
+    return {
+      valid: true,
+      method: "recovery",
+      updates: {
+        mfaRecoveryCodes: recoveryCodes.filter((_, i) => i !== index),
+      },
+    };
+  }
+
+  return { valid: false, method: null, updates: {} };
+}
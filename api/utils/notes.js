@@ -0,0 +1,98 @@
+/**
+ * Learners' private notes and bookmarks on lectures. Either may point at a
+ * moment in the lecture's video; bookmarks are notes whose text is optional.
+ */
+
+export const NOTE_KINDS = {
+  NOTE: "note",
+  BOOKMARK: "bookmark",
+};
+
+/**
+ * Format a video timestamp as m:ss or h:mm:ss
+ * @param {number} seconds - Position in the video
+ * @returns {string}
+ */
+export function formatTimestamp(seconds) {
+  const total = Math.floor(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, "0");
+
+  return hours
+    ? `${hours}:${String(minutes).padStart(2, "0")}:${secs}`
+    : `${minutes}:${secs}`;
+}
+
+/**
+ * Order notes by course, lecture and then by where they point in the video;
+ * notes without a timestamp come last in their lecture
+ * @param {Array} notes - Note items
+ * @returns {Array} Sorted copy
+ */
+export function sortNotes(notes) {
+  return [...notes].sort(
+    (a, b) =>
+      (a.courseTitle || "").localeCompare(b.courseTitle || "", undefined, {
+        numeric: true,
+      }) ||
+      (a.lectureTitle || "").localeCompare(b.lectureTitle || "", undefined, {
+        numeric: true,
+      }) ||
+      (a.timestamp ?? Infinity) - (b.timestamp ?? Infinity) ||
+      a.createdAt.localeCompare(b.createdAt)
+  );
+}
+
+/**
+ * Whether a note's text, lecture or course title contains a search term,
+ * ignoring case
+ * @param {Object} note - Note item
+ * @param {string} search - Search term
+ * @returns {boolean}
+ */
+export function matchesSearch(note, search) {
+  const term = search.trim().toLowerCase();
+  return [note.text, note.lectureTitle, note.courseTitle].some((value) =>
+    (value || "").toLowerCase().includes(term)
+  );
+}
+
+/**
+ * Render notes as Markdown, one section per course and lecture
+ * @param {Array} notes - Note items
+ * @returns {string}
+ */
+export function notesToMarkdown(notes) {
+  const lines = ["# My Notes"];
+  let courseId;
+  let lectureId;
+
+  for (const note of sortNotes(notes)) {
+    if (note.courseId !== courseId) {
+      courseId = note.courseId;
+      lectureId = undefined;
+      lines.push("", `## ${note.courseTitle || "Untitled course"}`);
+    }
+    if (note.lectureId !== lectureId) {
+      lectureId = note.lectureId;
+      lines.push("", `### ${note.lectureTitle || "Untitled lecture"}`, "");
+    }
+
+    const timestamp =
+      note.timestamp === null ? "" : `[${formatTimestamp(note.timestamp)}] `;
+    // Keep multi-line notes inside their list item
+    const text = (note.text || "").replace(/\n/g, "\n  ");
+    const body =
+      note.kind === NOTE_KINDS.BOOKMARK
+        ? `Bookmark${text ? `: ${text}` : ""}`
+        : text;
+    lines.push(`- ${timestamp}${body}`);
+  }
+
+  if (notes.length === 0) {
+    lines.push("", "No notes yet.");
+  }
+
+  return `${lines.join("\n")}\n`;
+}
@@ -202,6 +202,27 @@ export function alertFailedLogins(io, data) {
   });
 }
 
+/**
+ * Create a security alert for an account locked by brute-force protection
+ * @param {Object} io - Socket.IO server instance
+ * @param {Object} data - Lockout data
+ */
+export function alertAccountLockout(io, data) {
+  sendSecurityAlert(io, {
+    title: "Account Locked",
+    description: `${data.email} was locked after ${data.attempts} failed login attempts`,
+    priority: AlertPriority.HIGH,
+    category: "authentication",
+    details: {
+      ip: data.ip,
+      user: data.email,
+      userId: data.userId,
+      attempts: data.attempts,
+      lockedUntil: data.lockedUntil,
+    },
+  });
+}
+
 /**
  * Create a notification for system events
  * @param {Object} io - Socket.IO server instance
@@ -0,0 +1,334 @@
+/**
+ * OpenID Connect sign-in with external identity providers, using the
+ * authorization code flow with PKCE. Providers are configured with
+ * environment variables:
+ *   OIDC_PROVIDERS=google,okta
+ *   OIDC_GOOGLE_ISSUER, OIDC_GOOGLE_CLIENT_ID, OIDC_GOOGLE_CLIENT_SECRET,
+ *   OIDC_GOOGLE_NAME (button label), OIDC_GOOGLE_SCOPE
+ * Endpoints and signing keys are read from each issuer's discovery document.
+ */
+
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+const DEFAULT_SCOPE = "openid email profile";
+// Discovery documents and signing keys rarely change
+const METADATA_CACHE_TTL_MS = 60 * 60 * 1000;
+const ID_TOKEN_ALGORITHMS = ["RS256", "PS256", "ES256"];
+
+export const OIDC_FLOW_COOKIE = "oidcFlow";
+const OIDC_FLOW_TTL = "10m";
+const OIDC_FLOW_TTL_MS = 10 * 60 * 1000;
+
+// Only the callback endpoint needs the flow cookie. SameSite=None because the
+// frontend posts the callback from another origin.
+export const oidcFlowCookieOptions = {
+  httpOnly: true,
+  secure: true,
+  sameSite: "none",
+  path: "/api/oauth",
+  maxAge: OIDC_FLOW_TTL_MS,
+};
+export const clearOidcFlowCookieOptions = {
+  httpOnly: true,
+  secure: true,
+  sameSite: "none",
+  path: "/api/oauth",
+};
+
+const oidcError = (message) => {
+  const error = new Error(message);
+  error.name = "OidcError";
+  return error;
+};
+
+/**
+ * Read the configured providers. Providers without an issuer or client ID
+ * are skipped.
+ * @param {Object} env - Environment variables
+ * @returns {Array} [{ id, name, issuer, clientId, clientSecret, scope }]
+ */
+export function getOidcProviders(env = process.env) {
+  return (env.OIDC_PROVIDERS || "")
+    .split(",")
+    .map((id) => id.trim().toLowerCase())
+    .filter(Boolean)
+    .map((id) => {
+      const prefix = `OIDC_${id.toUpperCase().replace(/[^A-Z0-9]/g, "_")}_`;
+      return {
+        id,
+        name: env[`${prefix}NAME`] || id.charAt(0).toUpperCase() + id.slice(1),
+        issuer: env[`${prefix}ISSUER`]?.replace(/\/$/, ""),
+        clientId: env[`${prefix}CLIENT_ID`],
+        clientSecret: env[`${prefix}CLIENT_SECRET`],
+        scope: env[`${prefix}SCOPE`] || DEFAULT_SCOPE,
+      };
+    })
+    .filter((provider) => provider.issuer && provider.clientId);
+}
+
+/**
+ * Find a configured provider
+ * @param {string} id - Provider ID, e.g. google
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} Provider or null if not configured
+ */
+export function getOidcProvider(id, env = process.env) {
+  return getOidcProviders(env).find((provider) => provider.id === id) || null;
+}
+
+/**
+ * The frontend page providers redirect back to. It must be registered as a
+ * redirect URI with every provider.
+ * @param {Object} env - Environment variables
+ * @returns {string} Absolute URL
+ */
+export function getOidcRedirectUri(env = process.env) {
+  if (env.OIDC_REDIRECT_URI) {
+    return env.OIDC_REDIRECT_URI;
+  }
+  const baseUrl = (env.FRONTEND_URL || "http://localhost:3000").replace(
+    /\/$/,
+    ""
+  );
+  return `${baseUrl}/oauth/callback`;
+}
+
+/**
+ * Create a random value for state and nonce parameters
+ * @returns {string} URL-safe random string
+ */
+export function createRandomToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+/**
+ * Create a PKCE code verifier and its S256 challenge
+ * @returns {Object} { codeVerifier, codeChallenge }
+ */
+export function createPkcePair() {
+  const codeVerifier = createRandomToken();
+  const codeChallenge = crypto
+    .createHash("sha256")
+    .update(codeVerifier)
+    .digest("base64url");
+
+  return { codeVerifier, codeChallenge };
+}
+
+const flowSecret = () => `${process.env.JWT_SECRET}:oidc-flow`;
+
+/**
+ * Sign the state of a sign-in in progress, kept in a cookie until the
+ * provider redirects back
+ * @param {Object} flow - { provider, state, nonce, codeVerifier }
+ * @returns {string} Signed flow token
+ */
+export function signOidcFlow({ provider, state, nonce, codeVerifier }) {
+  return jwt.sign(
+    { provider, state, nonce, codeVerifier, purpose: "oidc_flow" },
+    flowSecret(),
+    { expiresIn: OIDC_FLOW_TTL, algorithm: "HS256" }
+  );
+}
+
+/**
+ * Read a flow token from the cookie
+ * @param {string} token - Signed flow token
+ * @returns {Object|null} { provider, state, nonce, codeVerifier } or null if invalid or expired
+ */
+export function verifyOidcFlow(token) {
+  if (!token) {
+    return null;
+  }
+  try {
+    const flow = jwt.verify(token, flowSecret(), { algorithms: ["HS256"] });
+    return flow.purpose === "oidc_flow" ? flow : null;
+  } catch {
+    return null;
+  }
+}
+
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { Accept: "application/json", ...options.headers },
+  });
+  const body = await response.json().catch(() => null);
+  if (!response.ok || !body) {
+    throw oidcError(
+      `Request to ${url} failed with status ${response.status}${
+        body?.error ? `: ${body.error}` : ""
+      }`
+    );
+  }
+  return body;
+};
+
+const metadataCache = new Map();
+
+/**
+ * Drop cached discovery documents and signing keys
+ */
+export function clearOidcCache() {
+  metadataCache.clear();
+}
+
+const getCachedEntry = (issuer) => {
+  const entry = metadataCache.get(issuer);
+  if (entry && Date.now() - entry.fetchedAt < METADATA_CACHE_TTL_MS) {
+    return entry;
+  }
+  return null;
+};
+
+/**
+ * Fetch a provider's discovery document
+ * @param {Object} provider - Configured provider
+ * @returns {Promise<Object>} OpenID provider metadata
+ */
+export async function discoverProvider(provider) {
+  const cached = getCachedEntry(provider.issuer);
+  if (cached) {
+    return cached.metadata;
+  }
+
+  const metadata = await fetchJson(
+    `${provider.issuer}/.well-known/openid-configuration`
+  );
+  if (metadata.issuer?.replace(/\/$/, "") !== provider.issuer) {
+    throw oidcError(
+      `Discovery document issuer does not match ${provider.issuer}`
+    );
+  }
+
+  metadataCache.set(provider.issuer, {
+    metadata,
+    keys: null,
+    fetchedAt: Date.now(),
+  });
+  return metadata;
+}
+
+/**
+ * Build the provider URL the browser is sent to
+ * @param {Object} provider - Configured provider
+ * @param {Object} params - { state, nonce, codeChallenge, redirectUri }
+ * @returns {Promise<string>} Authorization URL
+ */
+export async function buildAuthorizationUrl(
+  provider,
+  { state, nonce, codeChallenge, redirectUri }
+) {
+  const metadata = await discoverProvider(provider);
+  const url = new URL(metadata.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: "code",
+    client_id: provider.clientId,
+    redirect_uri: redirectUri,
+    scope: provider.scope,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256",
+  }).toString();
+
+  return url.toString();
+}
+
+/**
+ * Exchange an authorization code for tokens
+ * @param {Object} provider - Configured provider
+ * @param {Object} params - { code, codeVerifier, redirectUri }
+ * @returns {Promise<Object>} Token response with id_token
+ */
+export async function exchangeAuthorizationCode(
+  provider,
+  { code, codeVerifier, redirectUri }
+) {
+  const metadata = await discoverProvider(provider);
+  const tokens = await fetchJson(metadata.token_endpoint, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: redirectUri,
+      code_verifier: codeVerifier,
+      client_id: provider.clientId,
+      ...(provider.clientSecret && { client_secret: provider.clientSecret }),
+    }).toString(),
+  });
+
+  if (!tokens.id_token) {
+    throw oidcError("Token response did not include an ID token");
+  }
+  return tokens;
+}
+
+/**
+ * Find the provider key an ID token was signed with. The key set is fetched
+ * again once when the key is unknown, as providers rotate their keys.
+ */
+const getSigningKey = async (provider, kid) => {
+  const metadata = await discoverProvider(provider);
+  const entry = metadataCache.get(provider.issuer);
+
+  const findKey = (keys) =>
+    keys.find((key) => (kid ? key.kid === kid : key.use !== "enc"));
+
+  let key = entry.keys && findKey(entry.keys);
+  if (!key) {
+    const jwks = await fetchJson(metadata.jwks_uri);
+    entry.keys = jwks.keys || [];
+    key = findKey(entry.keys);
+  }
+  if (!key) {
+    throw oidcError("ID token was signed with an unknown key");
+  }
+
+  return crypto.createPublicKey({ key, format: "jwk" });
+};
+
+/**
+ * Verify an ID token's signature, issuer, audience, expiry and nonce
+ * @param {Object} provider - Configured provider
+ * @param {string} idToken - ID token from the token response
+ * @param {Object} params - { nonce } sent with the authorization request
+ * @returns {Promise<Object>} ID token claims
+ */
+export async function verifyIdToken(provider, idToken, { nonce }) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw oidcError("ID token is malformed");
+  }
+
+  const metadata = await discoverProvider(provider);
+  const key = await getSigningKey(provider, decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    issuer: metadata.issuer,
+    audience: provider.clientId,
+  });
+
+  if (!claims.sub) {
+    throw oidcError("ID token has no subject");
+  }
+  if (claims.nonce !== nonce) {
+    throw oidcError("ID token nonce does not match the sign-in attempt");
+  }
+  return claims;
+}
+
+/**
+ * Whether the provider vouches for the email address in the claims. Some
+ * providers send email_verified as a string.
+ * @param {Object} claims - ID token claims
+ * @returns {boolean} True if the email is present and verified
+ */
+export function hasVerifiedEmail(claims) {
+  return Boolean(
+    claims.email &&
+      (claims.email_verified === true || claims.email_verified === "true")
+  );
+}
@@ -0,0 +1,204 @@
+/**
+ * Password policy helpers backed by SecurityPolicies.passwordPolicy
+ */
+
+import bcrypt from "bcrypt";
+
+export const DEFAULT_PASSWORD_POLICY = {
+  minLength: 8,
+  requireUppercase: true,
+  requireLowercase: true,
+  requireNumbers: true,
+  requireSpecialChars: true,
+  maxAge: 90, // days
+  preventReuse: 5, // last N passwords
+};
+
+// Upper bound on stored password hashes, regardless of preventReuse
+export const MAX_PASSWORD_HISTORY = 20;
+
+// bcrypt ignores everything after the first 72 bytes of a password
+export const MAX_PASSWORD_BYTES = 72;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Merge a stored password policy over the defaults
+ * @param {Object} policy - passwordPolicy from security policies
+ * @returns {Object} Complete password policy
+ */
+export function resolvePasswordPolicy(policy = {}) {
+  return { ...DEFAULT_PASSWORD_POLICY, ...(policy || {}) };
+}
+
+/**
+ * List the requirements a password must meet under a policy
+ * @param {Object} policy - Password policy
+ * @returns {Array} [{ id, label }] in display order
+ */
+export function getPasswordRequirements(policy) {
+  const resolved = resolvePasswordPolicy(policy);
+  const requirements = [
+    {
+      id: "minLength",
+      label: `At least ${resolved.minLength} characters`,
+    },
+  ];
+
+  if (resolved.requireUppercase) {
+    requirements.push({ id: "uppercase", label: "Contains uppercase letter" });
+  }
+  if (resolved.requireLowercase) {
+    requirements.push({ id: "lowercase", label: "Contains lowercase letter" });
+  }
+  if (resolved.requireNumbers) {
+    requirements.push({ id: "number", label: "Contains a number" });
+  }
+  if (resolved.requireSpecialChars) {
+    requirements.push({ id: "special", label: "Contains special character" });
+  }
+
+  return requirements;
+}
+
+const REQUIREMENT_TESTS = {
+  uppercase: (password) => /[A-Z]/.test(password),
+  lowercase: (password) => /[a-z]/.test(password),
+  number: (password) => /\d/.test(password),
+  special: (password) => /[^A-Za-z0-9]/.test(password),
+};
+
+/**
+ * Validate a password against a password policy
+ * @param {string} password - Plain text password
+ * @param {Object} policy - Password policy
+ * @returns {Object} { isValid, error, code, failedRequirements }
+ */
+export function validatePasswordAgainstPolicy(password, policy) {
+  if (typeof password !== "string" || password.length === 0) {
+    return {
+      isValid: false,
+      error: "Password is required",
+      code: "PASSWORD_REQUIRED",
+      failedRequirements: [],
+    };
+  }
+
+  if (Buffer.byteLength(password) > MAX_PASSWORD_BYTES) {
+    return {
+      isValid: false,
+      error: `Password must be at most ${MAX_PASSWORD_BYTES} bytes long`,
+      code: "PASSWORD_TOO_LONG",
+      failedRequirements: [],
+    };
+  }
+
+  const resolved = resolvePasswordPolicy(policy);
+  const failedRequirements = getPasswordRequirements(resolved).filter(
+    (requirement) =>
+      requirement.id === "minLength"
+        ? password.length < resolved.minLength
+        : !REQUIREMENT_TESTS[requirement.id](password)
+  );
+
+  if (failedRequirements.length > 0) {
+    return {
+      isValid: false,
+      error: `Password does not meet the password policy: ${failedRequirements
+        .map((requirement) => requirement.label.toLowerCase())
+        .join(", ")}`,
+      code: "PASSWORD_POLICY_VIOLATION",
+      failedRequirements,
+    };
+  }
+
+  return { isValid: true, error: null, failedRequirements: [] };
+}
+
+/**
+ * Build the password history to store after a password change
+ * @param {Object} user - User record before the change
+ * @returns {Array} Previous password hashes, newest first
+ */
+export function buildPasswordHistory(user) {
+  return [user.password, ...(user.passwordHistory || [])]
+    .filter(Boolean)
+    .slice(0, MAX_PASSWORD_HISTORY);
+}
+
+/**
+ * Check if a password matches the current or one of the last N passwords
+ * @param {string} password - Plain text candidate password
+ * @param {Object} user - User record with password and passwordHistory
+ * @param {number} preventReuse - Number of previous passwords to check
+ * @returns {Promise<boolean>} True if the password was used recently
+ */
+export async function isPasswordReused(password, user, preventReuse) {
+  if (!preventReuse || preventReuse < 1) {
+    return false;
+  }
+
+  const recentHashes = buildPasswordHistory(user).slice(0, preventReuse);
+  for (const hash of recentHashes) {
+    if (await bcrypt.compare(password, hash)) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Check if a user's password is older than the policy's maxAge. Passwords set
+ * before change dates were recorded count from the account's creation;
+ * accounts without a password never expire.
+ * @param {Object} user - User record
+ * @param {Object} policy - Password policy
+ * @param {Date} now - Reference time
+ * @returns {boolean} True if the password must be rotated
+ */
+export function isPasswordExpired(user, policy, now = new Date()) {
+  const { maxAge } = resolvePasswordPolicy(policy);
+  if (!maxAge || maxAge < 1) {
+    return false;
+  }
+
+  const changedDate = user.passwordChangedAt || user.createdAt;
+  if (!user.password || !changedDate) {
+    return false;
+  }
+
+  const changedAt = new Date(changedDate);
+  if (Number.isNaN(changedAt.getTime())) {
+    return false;
+  }
+
+  return now.getTime() - changedAt.getTime() > maxAge * DAY_MS;
+}
+
+/**
+ * Validate a replacement password for an existing user: policy rules first,
+ * then reuse of the current or recent passwords
+ * @param {string} password - Plain text new password
+ * @param {Object} user - User record with password and passwordHistory
+ * @param {Object} policy - Password policy
+ * @returns {Promise<Object>} { isValid, error, code, failedRequirements }
+ */
+export async function validateNewPassword(password, user, policy) {
+  const resolved = resolvePasswordPolicy(policy);
+  const result = validatePasswordAgainstPolicy(password, resolved);
+  if (!result.isValid) {
+    return result;
+  }
+
+  if (await isPasswordReused(password, user, resolved.preventReuse)) {
+    return {
+      isValid: false,
+      error: `Password must not match any of your last ${resolved.preventReuse} passwords`,
+      code: "PASSWORD_REUSED",
+      failedRequirements: [],
+    };
+  }
+
+  return result;
+}
@@ -0,0 +1,220 @@
+/**
+ * Named permissions for the admin API and the roles composed from them.
+ * Built-in roles are defined here; custom roles are stored in DynamoDB
+ * (RoleRepository) and may only use permissions from PERMISSIONS.
+ */
+
+import { USER_ROLES, isValidRole } from "./constants.js";
+
+export const PERMISSIONS = {
+  DASHBOARD_READ: "dashboard:read",
+  USERS_READ: "users:read",
+  USERS_IMPORT: "users:import",
+  USERS_DELETE: "users:delete",
+  USERS_ROLES: "users:roles",
+  USERS_SUSPEND: "users:suspend",
+  USERS_SECURITY: "users:security",
+  USERS_IMPERSONATE: "users:impersonate",
+  COURSES_READ: "courses:read",
+  COURSES_APPROVE: "courses:approve",
+  COURSES_MODERATE: "courses:moderate",
+  INSTRUCTORS_REVIEW: "instructors:review",
+  ORGANIZATIONS_MANAGE: "organizations:manage",
+  ANALYTICS_READ: "analytics:read",
+  REPORTS_WRITE: "reports:write",
+  AUDIT_READ: "audit:read",
+  SETTINGS_READ: "settings:read",
+  SETTINGS_WRITE: "settings:write",
+  SECURITY_READ: "security:read",
+  SECURITY_WRITE: "security:write",
+  TICKETS_READ: "tickets:read",
+  TICKETS_WRITE: "tickets:write",
+  TICKETS_ASSIGN: "tickets:assign",
+  COMMUNICATIONS_READ: "communications:read",
+  COMMUNICATIONS_WRITE: "communications:write",
+  SYSTEM_READ: "system:read",
+  SYSTEM_WRITE: "system:write",
+  ROLES_READ: "roles:read",
+  ROLES_WRITE: "roles:write",
+};
+
+export const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+// Shown when composing roles in the admin dashboard
+export const PERMISSION_DESCRIPTIONS = {
+  [PERMISSIONS.DASHBOARD_READ]: "View the dashboard overview and activity",
+  [PERMISSIONS.USERS_READ]: "View users, their activity and sessions",
+  [PERMISSIONS.USERS_IMPORT]:
+    "Import users from CSV, invite them and enroll them in courses",
+  [PERMISSIONS.USERS_DELETE]:
+    "Carry out account deletions users have requested",
+  [PERMISSIONS.USERS_ROLES]: "Change user roles",
+  [PERMISSIONS.USERS_SUSPEND]: "Suspend and reactivate accounts",
+  [PERMISSIONS.USERS_SECURITY]:
+    "Unlock accounts, reset MFA and sign out sessions",
+  [PERMISSIONS.USERS_IMPERSONATE]:
+    "View the platform as a student or instructor",
+  [PERMISSIONS.COURSES_READ]: "View courses and instructor performance",
+  [PERMISSIONS.COURSES_APPROVE]: "Approve and reject courses",
+  [PERMISSIONS.COURSES_MODERATE]: "Moderate course content",
+  [PERMISSIONS.INSTRUCTORS_REVIEW]:
+    "Approve and reject instructor applications",
+  [PERMISSIONS.ORGANIZATIONS_MANAGE]:
+    "Create organizations and manage their seat pools",
+  [PERMISSIONS.ANALYTICS_READ]: "View platform, revenue and growth analytics",
+  [PERMISSIONS.REPORTS_WRITE]: "Export data and send or schedule reports",
+  [PERMISSIONS.AUDIT_READ]: "View audit reports",
+  [PERMISSIONS.SETTINGS_READ]: "View system settings and security policies",
+  [PERMISSIONS.SETTINGS_WRITE]:
+    "Change system settings, feature flags and security policies",
+  [PERMISSIONS.SECURITY_READ]: "View security events and suspicious activity",
+  [PERMISSIONS.SECURITY_WRITE]: "Record security events",
+  [PERMISSIONS.TICKETS_READ]: "View support tickets",
+  [PERMISSIONS.TICKETS_WRITE]: "Create, reply to and resolve support tickets",
+  [PERMISSIONS.TICKETS_ASSIGN]: "Assign support tickets",
+  [PERMISSIONS.COMMUNICATIONS_READ]: "View announcements and templates",
+  [PERMISSIONS.COMMUNICATIONS_WRITE]:
+    "Publish announcements and send notifications",
+  [PERMISSIONS.SYSTEM_READ]: "View system health, storage and backups",
+  [PERMISSIONS.SYSTEM_WRITE]: "Run cleanups, backups, restores and maintenance",
+  [PERMISSIONS.ROLES_READ]: "View roles and permissions",
+  [PERMISSIONS.ROLES_WRITE]: "Create, change and delete custom roles",
+};
+
+// Only super admins hold these; custom roles cannot include them
+export const SUPER_ADMIN_ONLY_PERMISSIONS = [PERMISSIONS.USERS_IMPERSONATE];
+
+// Admins run the platform day to day; only super admins manage roles,
+// settings and destructive system operations
+const ADMIN_EXCLUDED_PERMISSIONS = [
+  ...SUPER_ADMIN_ONLY_PERMISSIONS,
+  PERMISSIONS.USERS_ROLES,
+  PERMISSIONS.SETTINGS_WRITE,
+  PERMISSIONS.SYSTEM_WRITE,
+  PERMISSIONS.ROLES_WRITE,
+];
+
+export const BUILT_IN_ROLE_PERMISSIONS = {
+  [USER_ROLES.SUPER_ADMIN]: ALL_PERMISSIONS,
+  [USER_ROLES.ADMIN]: ALL_PERMISSIONS.filter(
+    (permission) => !ADMIN_EXCLUDED_PERMISSIONS.includes(permission)
+  ),
+  [USER_ROLES.INSTRUCTOR]: [],
+  [USER_ROLES.STUDENT]: [],
+};
+
+export const BUILT_IN_ROLE_DESCRIPTIONS = {
+  [USER_ROLES.SUPER_ADMIN]: "Full access to every admin feature",
+  [USER_ROLES.ADMIN]:
+    "Manage users, courses, support and communications; cannot change roles, settings or run system operations",
+  [USER_ROLES.INSTRUCTOR]: "Create and manage courses",
+  [USER_ROLES.STUDENT]: "Enroll in and take courses",
+};
+
+/**
+ * Check if a role is one of the four built-in roles
+ * @param {string} role - Role name
+ * @returns {boolean} True if the role is built in
+ */
+export function isBuiltInRole(role) {
+  return isValidRole(role);
+}
+
+/**
+ * Check if a role works in the admin dashboard. Custom roles are composed
+ * from admin permissions, so only students and instructors are not staff.
+ * @param {string} role - Role name
+ * @returns {boolean} True for admins, super admins and custom roles
+ */
+export function isStaffRole(role) {
+  return (
+    typeof role === "string" &&
+    role.length > 0 &&
+    role !== USER_ROLES.STUDENT &&
+    role !== USER_ROLES.INSTRUCTOR
+  );
+}
+
+/**
+ * Check if a set of permissions includes all required ones
+ * @param {Array} granted - Permissions held
+ * @param {Array} required - Permissions needed
+ * @returns {boolean} True if every required permission is granted
+ */
+export function hasPermissions(granted = [], required = []) {
+  return required.every((permission) => granted.includes(permission));
+}
+
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_-]{1,31}$/;
+
+/**
+ * Validate a custom role definition
+ * @param {Object} role - { name, description, permissions }
+ * @param {Object} options - { requireName } false when updating
+ * @returns {Object} { isValid, error, code }
+ */
+export function validateRoleDefinition(
+  { name, description, permissions },
+  { requireName = true } = {}
+) {
+  if (requireName) {
+    if (typeof name !== "string" || !ROLE_NAME_PATTERN.test(name)) {
+      return {
+        isValid: false,
+        error:
+          "Role name must be 2-32 lowercase letters, digits, hyphens or underscores, starting with a letter",
+        code: "INVALID_ROLE_NAME",
+      };
+    }
+    if (isBuiltInRole(name)) {
+      return {
+        isValid: false,
+        error: `${name} is a built-in role`,
+        code: "BUILT_IN_ROLE",
+      };
+    }
+  }
+
+  if (
+    description !== undefined &&
+    (typeof description !== "string" || description.length > 200)
+  ) {
+    return {
+      isValid: false,
+      error: "Description must be text of at most 200 characters",
+      code: "INVALID_ROLE_DESCRIPTION",
+    };
+  }
+
+  if (!Array.isArray(permissions) || permissions.length === 0) {
+    return {
+      isValid: false,
+      error: "A role needs at least one permission",
+      code: "INVALID_PERMISSIONS",
+    };
+  }
+
+  const unknown = permissions.filter(
+    (permission) => !ALL_PERMISSIONS.includes(permission)
+  );
+  if (unknown.length > 0) {
+    return {
+      isValid: false,
+      error: `Unknown permissions: ${unknown.join(", ")}`,
+      code: "INVALID_PERMISSIONS",
+    };
+  }
+
+  const reserved = permissions.filter((permission) =>
+    SUPER_ADMIN_ONLY_PERMISSIONS.includes(permission)
+  );
+  if (reserved.length > 0) {
+    return {
+      isValid: false,
+      error: `Reserved for super admins: ${reserved.join(", ")}`,
+      code: "INVALID_PERMISSIONS",
+    };
+  }
+
+  return { isValid: true, error: null };
+}
@@ -0,0 +1,159 @@
+/**
+ * Quiz lectures: question checks, the learner's view of a quiz and
+ * server-side grading. Correct answers never leave the server for learners.
+ */
+
+import { LECTURE_TYPES } from "./constants.js";
+
+export const QUESTION_TYPES = {
+  MULTIPLE_CHOICE: "multiple_choice",
+  MULTI_SELECT: "multi_select",
+  TRUE_FALSE: "true_false",
+  SHORT_ANSWER: "short_answer",
+};
+
+export const TRUE_FALSE_OPTIONS = [
+  { optionId: "true", text: "True" },
+  { optionId: "false", text: "False" },
+];
+
+/**
+ * Whether a lecture is a quiz. Lectures from before quizzes have no type.
+ * @param {Object} lecture - Lecture item
+ * @returns {boolean}
+ */
+export function isQuiz(lecture) {
+  return lecture?.type === LECTURE_TYPES.QUIZ;
+}
+
+const normalizeAnswer = (value) =>
+  String(value).trim().toLowerCase().replace(/\s+/g, " ");
+
+/**
+ * Check that each question's answer key fits its type. Shapes are checked by
+ * the request schema; this covers what Joi cannot see across fields.
+ * @param {Array} questions - Questions from the quiz builder
+ * @returns {string|null} A message describing the first problem, or null
+ */
+export function findQuestionProblem(questions) {
+  for (const [index, question] of questions.entries()) {
+    const label = `Question ${index + 1}`;
+    const options =
+      question.type === QUESTION_TYPES.TRUE_FALSE
+        ? TRUE_FALSE_OPTIONS
+        : question.options || [];
+    const optionIds = new Set(options.map((option) => option.optionId));
+
+    if (question.type === QUESTION_TYPES.SHORT_ANSWER) {
+      continue;
+    }
+    if (!question.correctOptionIds.every((id) => optionIds.has(id))) {
+      return `${label} marks an answer that is not one of its options`;
+    }
+    if (
+      question.type !== QUESTION_TYPES.MULTI_SELECT &&
+      question.correctOptionIds.length !== 1
+    ) {
+      return `${label} must have exactly one correct answer`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Shuffle a copy of an array (Fisher-Yates)
+ * @param {Array} items - Items to shuffle
+ * @returns {Array} Shuffled copy
+ */
+export function shuffle(items) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * The quiz as a learner sees it: no answer key, and questions in a new
+ * order on each visit when the quiz shuffles them
+ * @param {Object} quiz - Quiz stored on the lecture
+ * @returns {Object} { passingScore, maxAttempts, questions }
+ */
+export function toLearnerQuiz(quiz) {
+  const questions = quiz.questions.map((question) => ({
+    questionId: question.questionId,
+    type: question.type,
+    prompt: question.prompt,
+    points: question.points,
+    ...(question.type !== QUESTION_TYPES.SHORT_ANSWER && {
+      options:
+        question.type === QUESTION_TYPES.TRUE_FALSE
+          ? TRUE_FALSE_OPTIONS
+          : question.options,
+    }),
+  }));
+
+  return {
+    passingScore: quiz.passingScore,
+    maxAttempts: quiz.maxAttempts,
+    questions: quiz.shuffleQuestions ? shuffle(questions) : questions,
+  };
+}
+
+const isCorrect = (question, answer) => {
+  if (answer === undefined || answer === null) {
+    return false;
+  }
+
+  if (question.type === QUESTION_TYPES.SHORT_ANSWER) {
+    return question.acceptedAnswers
+      .map(normalizeAnswer)
+      .includes(normalizeAnswer(answer));
+  }
+
+  // Multi-select answers must pick every correct option and nothing else
+  const selected = new Set([answer].flat());
+  return (
+    selected.size === question.correctOptionIds.length &&
+    question.correctOptionIds.every((id) => selected.has(id))
+  );
+};
+
+/**
+ * Grade a submission. Unanswered questions score nothing.
+ * @param {Object} quiz - Quiz stored on the lecture
+ * @param {Object} answers - Question ID to an option ID, option IDs for
+ * multi-select, or text for short answers
+ * @returns {Object} { score, earnedPoints, totalPoints, passed, results }
+ * where score is a percentage and results lists { questionId, correct }
+ */
+export function gradeQuiz(quiz, answers) {
+  const results = quiz.questions.map((question) => ({
+    questionId: question.questionId,
+    correct: isCorrect(question, answers[question.questionId]),
+  }));
+
+  const totalPoints = quiz.questions.reduce(
+    (sum, question) => sum + question.points,
+    0
+  );
+  const earnedPoints = quiz.questions.reduce(
+    (sum, question, index) =>
+      sum + (results[index].correct ? question.points : 0),
+    0
+  );
+  const score =
+    totalPoints > 0
+      ? Number(((earnedPoints / totalPoints) * 100).toFixed(2))
+      : 0;
+
+  return {
+    score,
+    earnedPoints,
+    totalPoints,
+    passed: score >= quiz.passingScore,
+    results,
+  };
+}
@@ -0,0 +1,145 @@
+/**
+ * Rate limiting helpers backed by SecurityPolicies.accessControl
+ */
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Default budgets for route groups with their own limits. The general "api"
+// budget comes from accessControl.maxRequestsPerMinute.
+export const DEFAULT_GROUP_RATE_LIMITS = {
+  login: 10, // per minute, per IP
+  signup: 5, // per hour, per IP
+  upload: 30, // per hour, per user (or IP)
+};
+
+export const RATE_LIMIT_WINDOWS = {
+  login: MINUTE_MS,
+  signup: HOUR_MS,
+  upload: HOUR_MS,
+  api: MINUTE_MS,
+};
+
+export const DEFAULT_MAX_REQUESTS_PER_MINUTE = 100;
+
+/**
+ * Work out which rate limit group a request path belongs to
+ * @param {string} path - Request path, e.g. req.path
+ * @returns {string|null} "login", "signup", "upload", "api" or null if unlimited
+ */
+export function resolveRateLimitGroup(path = "") {
+  if (path === "/api/login") {
+    return "login";
+  }
+  if (path === "/api/signup") {
+    return "signup";
+  }
+  if (path === "/upload" || path.startsWith("/upload/")) {
+    return "upload";
+  }
+  if (path === "/api" || path.startsWith("/api/")) {
+    return "api";
+  }
+  return null;
+}
+
+/**
+ * Resolve the limit and window of every group from an accessControl policy
+ * @param {Object} accessControl - accessControl from security policies
+ * @returns {Object} Map of group to { limit, windowMs }
+ */
+export function resolveRateLimitBudgets(accessControl = {}) {
+  const limits = {
+    ...DEFAULT_GROUP_RATE_LIMITS,
+    ...(accessControl?.rateLimits || {}),
+    api: accessControl?.maxRequestsPerMinute || DEFAULT_MAX_REQUESTS_PER_MINUTE,
+  };
+
+  return Object.fromEntries(
+    Object.entries(RATE_LIMIT_WINDOWS).map(([group, windowMs]) => [
+      group,
+      { limit: limits[group], windowMs },
+    ])
+  );
+}
+
+/**
+ * Build the RateLimit-* response headers (IETF draft-ietf-httpapi-ratelimit-headers)
+ * @param {Object} budget - { limit, windowMs }
+ * @param {Object} hit - { count, resetAt } from the store
+ * @param {number} now - Reference time in ms
+ * @returns {Object} Header name to value
+ */
+export function buildRateLimitHeaders(
+  { limit, windowMs },
+  { count, resetAt },
+  now = Date.now()
+) {
+  return {
+    "RateLimit-Policy": `${limit};w=${Math.round(windowMs / 1000)}`,
+    "RateLimit-Limit": String(limit),
+    "RateLimit-Remaining": String(Math.max(0, limit - count)),
+    "RateLimit-Reset": String(Math.max(0, Math.ceil((resetAt - now) / 1000))),
+  };
+}
+
+/**
+ * Fixed-window hit counter kept in process memory. Suitable for a single API
+ * instance; deployments running several instances should pass a shared store
+ * to createRateLimiter. A store only needs the same two async methods:
+ *
+ *   increment(key, windowMs) -> { count, resetAt }
+ *   reset(key)
+ */
+export class MemoryRateLimitStore {
+  constructor() {
+    this.hits = new Map();
+    this.lastSweepAt = 0;
+  }
+
+  /**
+   * Count a hit for a key in its current window
+   * @param {string} key - Client key, e.g. "login:ip:127.0.0.1"
+   * @param {number} windowMs - Window length
+   * @param {number} now - Reference time in ms
+   * @returns {Promise<Object>} { count, resetAt }
+   */
+  async increment(key, windowMs, now = Date.now()) {
+    this.sweep(now);
+
+    const entry = this.hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      const fresh = { count: 1, resetAt: now + windowMs };
+      this.hits.set(key, fresh);
+      return { ...fresh };
+    }
+
+    entry.count += 1;
+    return { ...entry };
+  }
+
+  /**
+   * Forget the hits recorded for a key
+   * @param {string} key - Client key
+   */
+  async reset(key) {
+    this.hits.delete(key);
+  }
+
+  /**
+   * Drop expired windows, at most once a minute
+   * @param {number} now - Reference time in ms
+   */
+  sweep(now) {
+    if (now - this.lastSweepAt < MINUTE_MS) {
+      return;
+    }
+
+    for (const [key, entry] of this.hits) {
+      if (entry.resetAt <= now) {
+        this.hits.delete(key);
+      }
+    }
+    this.lastSweepAt = now;
+  }
+}
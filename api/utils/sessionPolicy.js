@@ -0,0 +1,145 @@
+/**
+ * Session lifetime and concurrency helpers backed by
+ * SecurityPolicies.sessionPolicy
+ */
+
+import { isSessionActive } from "./sessionTokens.js";
+
+export const DEFAULT_SESSION_POLICY = {
+  maxDuration: 24, // hours
+  idleTimeout: 2, // hours
+  allowConcurrentSessions: true,
+  maxConcurrentSessions: 3,
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Merge a stored session policy over the defaults
+ * @param {Object} policy - sessionPolicy from security policies
+ * @returns {Object} Complete session policy
+ */
+export function resolveSessionPolicy(policy = {}) {
+  const resolved = { ...DEFAULT_SESSION_POLICY };
+  for (const key of Object.keys(DEFAULT_SESSION_POLICY)) {
+    if (policy?.[key] !== undefined && policy[key] !== null) {
+      resolved[key] = policy[key];
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Work out when a session started now must end
+ * @param {Object} policy - sessionPolicy from security policies
+ * @param {Date} now - Session start
+ * @returns {string} ISO timestamp, maxDuration hours from now
+ */
+export function getSessionExpiry(policy, now = new Date()) {
+  const { maxDuration } = resolveSessionPolicy(policy);
+  return new Date(now.getTime() + maxDuration * HOUR_MS).toISOString();
+}
+
+/**
+ * Check a session against the current policy. Limits are applied to existing
+ * sessions too, so tightening the policy takes effect immediately.
+ * @param {Object} session - Session record
+ * @param {Object} policy - sessionPolicy from security policies
+ * @param {Date} now - Reference time
+ * @returns {string|null} SESSION_MAX_DURATION, SESSION_IDLE or null if within limits
+ */
+export function getSessionTimeout(session, policy, now = new Date()) {
+  const { maxDuration, idleTimeout } = resolveSessionPolicy(policy);
+
+  const startedAt = new Date(session.createdAt).getTime();
+  if (now.getTime() - startedAt >= maxDuration * HOUR_MS) {
+    return "SESSION_MAX_DURATION";
+  }
+
+  const lastActiveAt = new Date(
+    session.lastActiveAt || session.createdAt
+  ).getTime();
+  if (now.getTime() - lastActiveAt >= idleTimeout * HOUR_MS) {
+    return "SESSION_IDLE";
+  }
+
+  return null;
+}
+
+/**
+ * Keep the sessions that are still usable: not revoked, not expired and
+ * within the policy's duration and idle limits
+ * @param {Array} sessions - Session records
+ * @param {Object} policy - sessionPolicy from security policies
+ * @param {Date} now - Reference time
+ * @returns {Array} Usable sessions, most recently active first
+ */
+export function getActiveSessions(sessions, policy, now = new Date()) {
+  return sessions
+    .filter(
+      (session) =>
+        isSessionActive(session, now) &&
+        !getSessionTimeout(session, policy, now)
+    )
+    .sort((a, b) => lastActivity(b) - lastActivity(a));
+}
+
+/**
+ * Pick the sessions to end so a new sign-in stays within the concurrency
+ * cap. With allowConcurrentSessions off only the new session is kept;
+ * otherwise the least recently active sessions make room for it.
+ * @param {Array} activeSessions - Usable sessions of the user
+ * @param {Object} policy - sessionPolicy from security policies
+ * @returns {Array} Sessions to revoke
+ */
+export function getSessionsToEvict(activeSessions, policy) {
+  const { allowConcurrentSessions, maxConcurrentSessions } =
+    resolveSessionPolicy(policy);
+  const limit = allowConcurrentSessions
+    ? Math.max(1, maxConcurrentSessions)
+    : 1;
+
+  const excess = activeSessions.length - (limit - 1);
+  if (excess <= 0) {
+    return [];
+  }
+
+  return [...activeSessions]
+    .sort((a, b) => lastActivity(a) - lastActivity(b))
+    .slice(0, excess);
+}
+
+/**
+ * Summarise a user agent as "Browser on OS" for session lists
+ * @param {string} userAgent - User-Agent header
+ * @returns {string} Device description
+ */
+export function describeDevice(userAgent = "") {
+  if (!userAgent) {
+    return "Unknown device";
+  }
+
+  const browser =
+    [
+      [/Edg\//, "Edge"],
+      [/OPR\/|Opera/, "Opera"],
+      [/Firefox\//, "Firefox"],
+      [/Chrome\//, "Chrome"],
+      [/Safari\//, "Safari"],
+    ].find(([pattern]) => pattern.test(userAgent))?.[1] || "Unknown browser";
+
+  const os =
+    [
+      [/Android/, "Android"],
+      [/iPhone|iPad|iPod/, "iOS"],
+      [/Windows/, "Windows"],
+      [/Mac OS X|Macintosh/, "macOS"],
+      [/CrOS/, "ChromeOS"],
+      [/Linux/, "Linux"],
+    ].find(([pattern]) => pattern.test(userAgent))?.[1] || "Unknown OS";
+
+  return `${browser} on ${os}`;
+}
+
+const lastActivity = (session) =>
+  new Date(session.lastActiveAt || session.createdAt).getTime();
@@ -0,0 +1,86 @@
+import crypto from "crypto";
+
+// Access tokens are short-lived; sessions are extended with refresh tokens
+// until they reach the sessionPolicy's maxDuration
+export const ACCESS_TOKEN_TTL = "15m";
+export const ACCESS_TOKEN_TTL_MS = 15 * 60 * 1000;
+
+export const ACCESS_TOKEN_COOKIE = "token";
+export const REFRESH_TOKEN_COOKIE = "refreshToken";
+
+/**
+ * Build auth cookie options; without maxAge they suit res.clearCookie
+ */
+const cookieOptions = (path, maxAge) => ({
+  httpOnly: true,
+  secure: true,
+  sameSite: "none",
+  path,
+  ...(maxAge && { maxAge }),
+});
+
+export const accessTokenCookieOptions = cookieOptions("/", ACCESS_TOKEN_TTL_MS);
+/**
+ * Refresh token cookie options; the cookie lives as long as its session.
+ * Only the auth endpoints under /api need to read it.
+ * @param {string} expiresAt - When the session ends
+ */
+export const refreshTokenCookieOptions = (expiresAt) =>
+  cookieOptions(
+    "/api",
+    Math.max(0, new Date(expiresAt).getTime() - Date.now())
+  );
+export const clearAccessTokenCookieOptions = cookieOptions("/");
+export const clearRefreshTokenCookieOptions = cookieOptions("/api");
+
+/**
+ * Hash a refresh token secret for storage
+ * @param {string} secret - Refresh token secret
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashRefreshSecret(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+/**
+ * Create a refresh token for a session. The token names its session so it
+ * can be found without a lookup index; only the hash of the secret is stored.
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @returns {Object} { token, secretHash }
+ */
+export function generateRefreshToken(userId, sessionId) {
+  const secret = crypto.randomBytes(32).toString("base64url");
+
+  return {
+    token: `${userId}.${sessionId}.${secret}`,
+    secretHash: hashRefreshSecret(secret),
+  };
+}
+
+/**
+ * Split a refresh token into its parts
+ * @param {string} token - Refresh token
+ * @returns {Object|null} { userId, sessionId, secretHash } or null if malformed
+ */
+export function parseRefreshToken(token) {
+  const parts = typeof token === "string" ? token.split(".") : [];
+  if (parts.length !== 3 || parts.some((part) => !part)) {
+    return null;
+  }
+
+  const [userId, sessionId, secret] = parts;
+  return { userId, sessionId, secretHash: hashRefreshSecret(secret) };
+}
+
+/**
+ * Check if a stored session can still be used
+ * @param {Object|null} session - Session record
+ * @param {Date} now - Reference time
+ * @returns {boolean} True if the session exists, is not revoked and has not expired
+ */
+export function isSessionActive(session, now = new Date()) {
+  return Boolean(
+    session && !session.revokedAt && new Date(session.expiresAt) > now
+  );
+}
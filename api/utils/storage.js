@@ -0,0 +1,94 @@
+/**
+ * Files uploaded through /upload live in S3 under uploads/. Records keep only
+ * the object key, so replacing or deleting a record leaves the object behind
+ * unless it is removed here.
+ */
+
+import { DeleteObjectCommand } from "@aws-sdk/client-s3";
+import s3, { BUCKET_NAME } from "../config/s3.js";
+
+// Largest image or video /upload accepts
+export const MAX_UPLOAD_BYTES = 100 * 1024 * 1024;
+
+// Documents are handed in with assignments and kept much smaller
+export const MAX_DOCUMENT_BYTES = 25 * 1024 * 1024;
+
+export const UPLOAD_DOCUMENT_TYPES = [
+  "application/pdf",
+  "application/msword",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  "application/vnd.ms-powerpoint",
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+  "application/vnd.ms-excel",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  "text/plain",
+  "text/csv",
+  "application/zip",
+  "application/x-zip-compressed",
+];
+
+const uploadError = (message, code) =>
+  Object.assign(new Error(message), { status: 400, code });
+
+/**
+ * Multer file filter for /upload: images, videos and the document types
+ * above. Multer only knows a file's size once it has streamed to S3, so
+ * documents are held to their cap by the size of the request carrying them.
+ */
+export function uploadFileFilter(req, file, cb) {
+  if (
+    file.mimetype.startsWith("image/") ||
+    file.mimetype.startsWith("video/")
+  ) {
+    return cb(null, true);
+  }
+
+  if (!UPLOAD_DOCUMENT_TYPES.includes(file.mimetype)) {
+    return cb(
+      uploadError(
+        "Only images, videos and PDF, Office, text or zip documents are allowed",
+        "UNSUPPORTED_FILE_TYPE"
+      ),
+      false
+    );
+  }
+
+  const requestBytes = Number(req.headers["content-length"]);
+  if (!requestBytes || requestBytes > MAX_DOCUMENT_BYTES) {
+    return cb(
+      uploadError(
+        `Documents can be at most ${MAX_DOCUMENT_BYTES / 1024 / 1024}MB`,
+        "FILE_TOO_LARGE"
+      ),
+      false
+    );
+  }
+
+  cb(null, true);
+}
+
+/**
+ * Delete an uploaded file. Keys outside uploads/ (seed data, external URLs)
+ * are left alone, and failures are logged rather than thrown because the
+ * record has already moved on.
+ * @param {string} fileKey - S3 object key
+ * @returns {Promise<boolean>} True if the object was deleted
+ */
+export async function deleteUploadedFile(fileKey) {
+  if (!fileKey?.startsWith("uploads/")) {
+    return false;
+  }
+
+  try {
+    await s3.send(
+      new DeleteObjectCommand({
+        Bucket: BUCKET_NAME,
+        Key: fileKey,
+      })
+    );
+    return true;
+  } catch (error) {
+    console.error(`Error deleting uploaded file ${fileKey}:`, error);
+    return false;
+  }
+}
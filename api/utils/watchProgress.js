@@ -0,0 +1,152 @@
+/**
+ * Watch time for video lectures. The player reports the stretches of video it
+ * played; merged, they show how much of a lecture was actually watched, so
+ * skipping to the end does not count.
+ */
+
+// Share of a video (percent) that completes it when platform settings have
+// no lectureCompletionThreshold
+export const DEFAULT_COMPLETION_THRESHOLD = 90;
+
+// Stretches this close together (seconds) are treated as one, so heartbeat
+// boundaries do not leave gaps
+const SEGMENT_GAP_TOLERANCE = 1;
+
+// Fastest the player can play; watch time never grows quicker than this
+// multiple of the time between heartbeats
+const MAX_PLAYBACK_RATE = 2;
+
+// Slack (seconds) for requests arriving closer together than they were sent
+const HEARTBEAT_GRACE_SECONDS = 5;
+
+// Most new watch time (seconds) one heartbeat can add. The player sends one
+// every 15 seconds of playback.
+export const MAX_HEARTBEAT_SECONDS = 30;
+
+/**
+ * Merge watched segments into sorted, non-overlapping ones
+ * @param {Array} segments - [start, end] pairs in seconds
+ * @returns {Array} Merged segments
+ */
+export function mergeSegments(segments) {
+  const sorted = segments
+    .filter(([start, end]) => end > start)
+    .map(([start, end]) => [start, end])
+    .sort((a, b) => a[0] - b[0]);
+
+  const merged = [];
+  for (const segment of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && segment[0] <= last[1] + SEGMENT_GAP_TOLERANCE) {
+      last[1] = Math.max(last[1], segment[1]);
+    } else {
+      merged.push(segment);
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * How much new watch time a heartbeat may add, judged by how long ago the
+ * previous one arrived
+ * @param {string} [lastHeartbeatAt] - When the previous heartbeat was saved
+ * @param {Date} [now] - Current time
+ * @returns {number} Seconds
+ */
+export function heartbeatAllowance(lastHeartbeatAt, now = new Date()) {
+  if (!lastHeartbeatAt) {
+    return MAX_HEARTBEAT_SECONDS;
+  }
+
+  const elapsed = Math.max(0, (now - new Date(lastHeartbeatAt)) / 1000);
+  return Math.min(
+    MAX_HEARTBEAT_SECONDS,
+    elapsed * MAX_PLAYBACK_RATE + HEARTBEAT_GRACE_SECONDS
+  );
+}
+
+/**
+ * The parts of a segment not yet covered by watched segments
+ * @param {Array} watched - Merged [start, end] pairs in seconds
+ * @param {Array} segment - [start, end] pair in seconds
+ * @returns {Array} Uncovered [start, end] pairs, in order
+ */
+const uncoveredParts = (watched, [start, end]) => {
+  const parts = [];
+  let cursor = start;
+  for (const [watchedStart, watchedEnd] of watched) {
+    if (watchedStart >= end) break;
+    if (watchedEnd <= cursor) continue;
+    if (watchedStart > cursor) parts.push([cursor, watchedStart]);
+    cursor = Math.max(cursor, watchedEnd);
+  }
+  if (cursor < end) parts.push([cursor, end]);
+
+  return parts;
+};
+
+/**
+ * Add newly played segments to the watched ones, counting at most
+ * `allowance` seconds of video not watched before. The earliest new parts
+ * are kept and the rest dropped.
+ * @param {Array} watched - Merged [start, end] pairs already watched
+ * @param {Array} segments - [start, end] pairs played since the last heartbeat
+ * @param {number} allowance - Most new watch time in seconds
+ * @returns {Array} Merged segments
+ */
+export function addWatchedSegments(watched, segments, allowance) {
+  const added = [];
+  let remaining = allowance;
+  for (const segment of mergeSegments(segments)) {
+    for (const [start, end] of uncoveredParts(watched, segment)) {
+      if (remaining <= 0) break;
+      const stop = Math.min(end, start + remaining);
+      added.push([start, stop]);
+      remaining -= stop - start;
+    }
+  }
+
+  return mergeSegments([...watched, ...added]);
+}
+
+/**
+ * Keep segments within a video's length
+ * @param {Array} segments - [start, end] pairs in seconds
+ * @param {number} duration - Video length in seconds
+ * @returns {Array} Clamped segments
+ */
+export function clampSegments(segments, duration) {
+  return segments.map(([start, end]) => [
+    Math.max(0, start),
+    Math.min(duration, end),
+  ]);
+}
+
+/**
+ * Percentage of a video covered by watched segments, rounded down so a
+ * lecture never counts as more watched than it was
+ * @param {Array} segments - Merged [start, end] pairs in seconds
+ * @param {number} duration - Video length in seconds
+ * @returns {number} 0-100
+ */
+export function watchedPercent(segments, duration) {
+  if (!duration) {
+    return 0;
+  }
+
+  const watched = segments.reduce((sum, [start, end]) => sum + end - start, 0);
+  return Math.min(100, Math.floor((watched / duration) * 100));
+}
+
+/**
+ * The watched percentage at which video lectures complete
+ * @param {Object} platformSettings - platformSettings from system settings
+ * @returns {number} 1-100
+ */
+export function resolveCompletionThreshold(platformSettings) {
+  const threshold = platformSettings?.lectureCompletionThreshold;
+  return Number.isInteger(threshold) && threshold >= 1 && threshold <= 100
+    ? threshold
+    : DEFAULT_COMPLETION_THRESHOLD;
+}
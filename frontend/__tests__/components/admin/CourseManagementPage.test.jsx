@@ -122,7 +122,7 @@ describe("CourseManagementPage", () => {
       {
         courseId: "course-1",
         title: "Test Course 1",
-        status: "pending",
+        status: "pending_review",
         price: 99.99,
         enrollmentCount: 50,
       },
@@ -188,7 +188,7 @@ describe("CourseManagementPage", () => {
 
     renderWithProvider(<CourseManagementPage />);
 
-    const pendingButton = screen.getByRole("button", { name: "pending" });
+    const pendingButton = screen.getByRole("button", { name: "pending_review" });
     fireEvent.click(pendingButton);
 
     expect(pendingButton).toHaveClass("bg-primary");
@@ -245,7 +245,7 @@ describe("CourseManagementPage", () => {
         title: "Advanced React Development",
         instructorName: "John Smith",
         categoryName: "Web Development",
-        status: "pending",
+        status: "pending_review",
         price: 99.99,
         enrollmentCount: 50,
         rating: 4.5,
@@ -283,7 +283,7 @@ describe("CourseManagementPage", () => {
       {
         courseId: "course-1",
         title: "Test Course 1",
-        status: "pending",
+        status: "pending_review",
         price: 99.99,
         enrollmentCount: 50,
         instructorName: "John Smith",
@@ -19,6 +19,7 @@ import {
   deleteRating,
 } from "@/lib/api/ratings";
 import { toast } from "react-toastify";
+import { useFeatureFlag } from "@/lib/featureFlags/useFeatureFlag";
 
 const CoursePage = () => {
   const { id } = useParams();
@@ -30,6 +31,7 @@ const CoursePage = () => {
   const [myRating, setMyRating] = useState(null);
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
   const [isDeleting, setIsDeleting] = useState(false);
+  const { enabled: reviewsEnabled } = useFeatureFlag("enableCourseReviews");
 
   const fetchCourseByID = async () => {
     if (!id) {
@@ -220,17 +222,19 @@ const CoursePage = () => {
             </div>
 
             {/* Rating Display Section */}
-            <div className="bg-white p-5 rounded-lg shadow-md mb-5">
-              <h3 className="text-2xl font-semibold mb-4">Course Rating</h3>
-              <RatingDisplay
-                averageRating={course.averageRating || 0}
-                ratingCount={course.ratingCount || 0}
-                size="large"
-              />
-            </div>
+            {reviewsEnabled && (
+              <div className="bg-white p-5 rounded-lg shadow-md mb-5">
+                <h3 className="text-2xl font-semibold mb-4">Course Rating</h3>
+                <RatingDisplay
+                  averageRating={course.averageRating || 0}
+                  ratingCount={course.ratingCount || 0}
+                  size="large"
+                />
+              </div>
+            )}
 
             {/* Rating Input Section - Only for enrolled students */}
-            {isAuthenticated && isEnrolled && (
+            {reviewsEnabled && isAuthenticated && isEnrolled && (
               <div className="bg-white p-5 rounded-lg shadow-md mb-5">
                 <div className="flex items-center justify-between mb-4">
                   <h3 className="text-2xl font-semibold">
@@ -286,13 +290,15 @@ const CoursePage = () => {
             )}
 
             {/* Reviews List Section */}
-            <div className="bg-white p-5 rounded-lg shadow-md mb-5">
-              <ReviewList
-                courseId={id}
-                pageSize={10}
-                fetchReviews={fetchReviews}
-              />
-            </div>
+            {reviewsEnabled && (
+              <div className="bg-white p-5 rounded-lg shadow-md mb-5">
+                <ReviewList
+                  courseId={id}
+                  pageSize={10}
+                  fetchReviews={fetchReviews}
+                />
+              </div>
+            )}
 
             <div className="bg-white p-5 rounded-lg shadow-md">
               <h4 className="text-1xl font-semibold mt-4 bg-green-100 text-green-600 w-fit px-5">
@@ -1,16 +1,52 @@
 "use client";
-import React, { useState, useEffect } from "react";
-import { Check, X, ArrowLeft } from "lucide-react";
+import React, { useState, useEffect, useMemo, useRef } from "react";
+import { Check, X, ArrowLeft, ChevronDown, ChevronRight } from "lucide-react";
 import VideoPlayer from "@/app/student-dashboard/components/VideoPlayer";
+import QuizPlayer from "@/app/student-dashboard/components/QuizPlayer";
+import AssignmentPanel from "@/app/student-dashboard/components/AssignmentPanel";
+import LectureNotes from "@/app/student-dashboard/components/LectureNotes";
+import CaptionSearch from "@/app/student-dashboard/components/CaptionSearch";
+import { fetchMyGrades } from "@/lib/api/assignments";
+import {
+  fetchWatchProgress,
+  sendWatchHeartbeat,
+} from "@/lib/api/watchProgress";
+import {
+  createNote,
+  deleteNote,
+  downloadNotes,
+  fetchNotes,
+  updateNote,
+} from "@/lib/api/notes";
+import { captionTracks } from "@/lib/api/captions";
 import { Button } from "@mui/material";
 import Link from "next/link";
-import { useParams } from "next/navigation";
+import { useParams, useSearchParams } from "next/navigation";
 import { useSelector } from "react-redux";
 import ReactConfetti from "react-confetti";
 import { useWindowSize } from "react-use";
 
+const LECTURE_LABELS = { quiz: "Quiz", assignment: "Assignment" };
+
+// How an assignment stands, for the grades list
+const gradeLabel = (item) => {
+  if (item.status === "graded") {
+    return `${item.grade.points} / ${item.grade.maxPoints}`;
+  }
+  return item.status === "submitted" ? "Awaiting grade" : "Not submitted";
+};
+
+// Notes in video order; those without a timestamp come last
+const byTimestamp = (a, b) =>
+  (a.timestamp ?? Infinity) - (b.timestamp ?? Infinity) ||
+  a.createdAt.localeCompare(b.createdAt);
+
 const CourseProgress = () => {
   const { id } = useParams();
+  // Links from note search open a lecture at a moment: ?lecture=<id>&t=<s>
+  const searchParams = useSearchParams();
+  const linkedLectureId = searchParams.get("lecture");
+  const linkedTime = searchParams.get("t");
   const [lectures, setLectures] = useState([]);
   const [selectedLecture, setSelectedLecture] = useState(null);
   const [completedLectures, setCompletedLectures] = useState({});
@@ -20,6 +56,21 @@ const CourseProgress = () => {
   const { isAuthenticated } = useSelector((state) => state.auth);
   const { width, height } = useWindowSize();
   const [show, setShow] = useState(true);
+  const [collapsedSections, setCollapsedSections] = useState({});
+  const [grades, setGrades] = useState([]);
+  // Where each video was left off; null until loaded so playback can resume
+  const [watchPositions, setWatchPositions] = useState(null);
+  const [notes, setNotes] = useState([]);
+  // Timestamp of the note being written (null for none); undefined when no
+  // note is being written
+  const [noteDraftAt, setNoteDraftAt] = useState(undefined);
+  // A moment to open a lecture at, from a link or a caption search result
+  const [jumpTo, setJumpTo] = useState(
+    linkedLectureId && linkedTime
+      ? { lectureId: linkedLectureId, time: Number(linkedTime) }
+      : null
+  );
+  const playerRef = useRef(null);
 
   const allLecturesCompleted =
     lectures.length > 0 &&
@@ -110,69 +161,224 @@ const CourseProgress = () => {
 
   useEffect(() => {
     if (lectures.length) {
-      setSelectedLecture(lectures[0]);
+      setSelectedLecture(
+        lectures.find((lecture) => lecture.id === linkedLectureId) ||
+          lectures[0]
+      );
     }
   }, [lectures]);
 
+  const loadGrades = () =>
+    fetchMyGrades(id)
+      .then(setGrades)
+      .catch((error) => console.error("Error fetching grades:", error));
+
+  const hasAssignments = lectures.some(
+    (lecture) => lecture.type === "assignment"
+  );
+  useEffect(() => {
+    if (hasAssignments) {
+      loadGrades();
+    }
+  }, [id, hasAssignments]);
+
+  useEffect(() => {
+    if (isAuthenticated && id) {
+      fetchWatchProgress(id)
+        .then((data) => setWatchPositions(data.lectures))
+        .catch((error) => {
+          console.error("Error fetching watch progress:", error);
+          setWatchPositions({});
+        });
+    }
+  }, [id, isAuthenticated]);
+
+  useEffect(() => {
+    if (isAuthenticated && id) {
+      fetchNotes({ courseId: id })
+        .then(setNotes)
+        .catch((error) => console.error("Error fetching notes:", error));
+    }
+  }, [id, isAuthenticated]);
+
   const handleLectureClick = (lecture) => {
     setSelectedLecture(lecture);
+    setNoteDraftAt(undefined);
+    setJumpTo(null);
   };
 
-  const toggleCompleteAllLectures = async () => {
-    try {
-      const allCompleted = Object.values(completedLectures).every((val) => val);
-
-      if (allCompleted) {
-        await fetch(
-          `${process.env.NEXT_PUBLIC_API_URL}/api/enroll/${id}/remove-all`,
-          {
-            method: "POST",
-            credentials: "include",
-          }
-        );
-      } else {
-        await fetch(
-          `${process.env.NEXT_PUBLIC_API_URL}/api/enroll/${id}/mark-all-completed`,
-          {
-            method: "POST",
-            credentials: "include",
-          }
-        );
-      }
+  // The current player seeks; another lecture's player starts there
+  const handleCaptionResult = (result) => {
+    if (result.lectureId === selectedLecture?.id) {
+      playerRef.current?.seekTo(result.start);
+      return;
+    }
+
+    handleLectureClick(
+      lectures.find((lecture) => lecture.id === result.lectureId)
+    );
+    setJumpTo({ lectureId: result.lectureId, time: result.start });
+  };
 
-      // Update state with new completion status
-      const updatedCompletedLectures = {};
-      lectures.forEach((lecture) => {
-        updatedCompletedLectures[lecture.id] = !allCompleted;
+  const hasCaptions = lectures.some((lecture) => lecture.captions?.length);
+  const lectureCaptions = useMemo(
+    () => captionTracks(id, selectedLecture),
+    [id, selectedLecture]
+  );
+
+  const lectureNotes = notes
+    .filter((note) => note.lectureId === selectedLecture?.id)
+    .sort(byTimestamp);
+
+  const handleBookmark = async (timestamp) => {
+    try {
+      const note = await createNote({
+        courseId: id,
+        lectureId: selectedLecture.id,
+        kind: "bookmark",
+        timestamp,
+        text: "",
       });
-      setCompletedLectures(updatedCompletedLectures);
+      setNotes((prev) => [...prev, note]);
     } catch (error) {
-      console.error("Error toggling all lectures completion:", error);
+      console.error("Error saving bookmark:", error);
     }
   };
 
-  const handleVideoEnd = async () => {
-    const lectureId = selectedLecture.id;
-    if (selectedLecture) {
-      try {
-        await fetch(
-          `${process.env.NEXT_PUBLIC_API_URL}/api/enroll/${id}/progress`,
-          {
-            method: "PUT",
-            credentials: "include",
-            headers: {
-              "Content-Type": "application/json",
-            },
-            body: JSON.stringify({ lectureId }),
-          }
-        );
-        setCompletedLectures((prev) => ({
-          ...prev,
-          [selectedLecture.id]: true,
-        }));
-      } catch (error) {
-        console.error("Error marking lecture as completed:", error);
+  const handleCreateNote = async (text, timestamp) => {
+    const note = await createNote({
+      courseId: id,
+      lectureId: selectedLecture.id,
+      kind: "note",
+      timestamp,
+      text,
+    });
+    setNotes((prev) => [...prev, note]);
+    setNoteDraftAt(undefined);
+  };
+
+  const handleUpdateNote = async (note, text) => {
+    const updated = await updateNote(note, {
+      text,
+      timestamp: note.timestamp,
+    });
+    setNotes((prev) =>
+      prev.map((item) => (item.id === note.id ? updated : item))
+    );
+  };
+
+  const handleDeleteNote = async (note) => {
+    await deleteNote(note);
+    setNotes((prev) => prev.filter((item) => item.id !== note.id));
+  };
+
+  const handleExportNotes = () =>
+    downloadNotes(id).catch((error) =>
+      console.error("Error exporting notes:", error)
+    );
+
+  // Lectures arrive in curriculum order; those outside a section come first
+  const sections = (selectedCourse?.sections || []).map((section) => ({
+    ...section,
+    lectures: lectures.filter((lecture) => lecture.sectionId === section.id),
+  }));
+  const unsectionedLectures = lectures.filter(
+    (lecture) => !sections.some((section) => section.id === lecture.sectionId)
+  );
+
+  const renderLecture = (lecture) => (
+    <div
+      key={lecture.id}
+      onClick={() => handleLectureClick(lecture)}
+      className={`${
+        selectedLecture && selectedLecture?.id === lecture.id
+          ? "mb-2 p-3 border bg-green-200 rounded-lg shadow-md border-gray-300 hover:border-gray-600 border-r-4 flex gap-3 cursor-pointer"
+          : "mb-2 p-3 border bg-white rounded-lg shadow-md border-gray-300 hover:border-gray-600 border-r-4 flex gap-3 cursor-pointer"
+      }`}
+    >
+      <div className="w-[30px] mt-1">
+        {completedLectures[lecture.id] ? (
+          <Check className="text-green-100 bg-green-700 rounded-full " />
+        ) : (
+          <X className="text-gray-400" />
+        )}
+      </div>
+      <div>
+        <h5 className="text-xl font-medium">{lecture.title}</h5>
+        {LECTURE_LABELS[lecture.type] && (
+          <span className="text-sm text-gray-500">
+            {LECTURE_LABELS[lecture.type]}
+          </span>
+        )}
+        {!completedLectures[lecture.id] &&
+          watchPositions?.[lecture.id]?.watchedPercent > 0 && (
+            <span className="text-sm text-gray-500">
+              {watchPositions[lecture.id].watchedPercent}% watched
+            </span>
+          )}
+      </div>
+    </div>
+  );
+
+  const toggleSection = (sectionId) => {
+    setCollapsedSections((prev) => ({
+      ...prev,
+      [sectionId]: !prev[sectionId],
+    }));
+  };
+
+  // Lectures are completed by watching, passing or handing them in, so
+  // progress can only be reset here
+  const resetProgress = async () => {
+    try {
+      const response = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/enroll/${id}/remove-all`,
+        {
+          method: "POST",
+          credentials: "include",
+        }
+      );
+      const data = await response.json();
+
+      // Passed quizzes and handed-in assignments survive a reset
+      updateCompletedLectures(data.progress || []);
+      // Resetting also forgets what was watched
+      setWatchPositions({});
+    } catch (error) {
+      console.error("Error resetting progress:", error);
+    }
+  };
+
+  const updateCompletedLectures = (progress) => {
+    const completedIds = new Set(progress);
+    const updatedCompletedLectures = {};
+    lectures.forEach((lecture) => {
+      updatedCompletedLectures[lecture.id] = completedIds.has(lecture.id);
+    });
+    setCompletedLectures(updatedCompletedLectures);
+  };
+
+  const handleAssignmentSubmitted = (progress) => {
+    updateCompletedLectures(progress);
+    loadGrades();
+  };
+
+  // Videos complete on the server once enough of them has been watched
+  const handleHeartbeat = async (lectureId, heartbeat) => {
+    try {
+      const data = await sendWatchHeartbeat(id, lectureId, heartbeat);
+      setWatchPositions((prev) => ({
+        ...prev,
+        [lectureId]: {
+          position: data.position,
+          watchedPercent: data.watchedPercent,
+        },
+      }));
+      if (data.completed) {
+        updateCompletedLectures(data.progress);
       }
+    } catch (error) {
+      console.error("Error saving watch progress:", error);
     }
   };
   useEffect(() => {
@@ -296,18 +502,14 @@ const CourseProgress = () => {
             <h2 className="font-bold text-3xl text-gray-800 flex items-center gap-2">
               Lectures
             </h2>
-            <button
-              onClick={toggleCompleteAllLectures}
-              className={`${
-                Object.values(completedLectures).every((val) => val)
-                  ? "bg-black text-white  px-10 py-3 shadow-lg rounded-xl"
-                  : "bg-green-600 text-white  px-10 py-3 shadow-lg rounded-xl"
-              } `}
-            >
-              {Object.values(completedLectures).every((val) => val)
-                ? "Reset Progress"
-                : "Mark All As Completed"}
-            </button>
+            {Object.values(completedLectures).some((val) => val) && (
+              <button
+                onClick={resetProgress}
+                className="bg-black text-white  px-10 py-3 shadow-lg rounded-xl"
+              >
+                Reset Progress
+              </button>
+            )}
           </div>
 
           {/* Error handling UI */}
@@ -316,17 +518,51 @@ const CourseProgress = () => {
           ) : (
             <div className="flex flex-col gap-5 lg:flex-row md:flex-col aspect-video:16/9">
               <div className="relative max-w-[1200px] mx-auto">
-                <VideoPlayer
-                  url={selectedLecture?.videoURL}
-                  width={800}
-                  height={500}
-                  showControls={true}
-                  autoPlay={true}
-                  onVideoEnd={handleVideoEnd}
-                />
-                <p className="absolute top-5 font-semibold text-white ml-4">
-                  {selectedLecture?.title || "Select a Lecture"}
-                </p>
+                {selectedLecture?.type === "quiz" ? (
+                  <QuizPlayer
+                    courseId={id}
+                    lectureId={selectedLecture.id}
+                    onPassed={updateCompletedLectures}
+                  />
+                ) : selectedLecture?.type === "assignment" ? (
+                  <AssignmentPanel
+                    courseId={id}
+                    lectureId={selectedLecture.id}
+                    onSubmitted={handleAssignmentSubmitted}
+                  />
+                ) : (
+                  <>
+                    {watchPositions && (
+                      <VideoPlayer
+                        // A fresh player per lecture, so heartbeats and the
+                        // resume position belong to it
+                        key={selectedLecture?.id}
+                        ref={playerRef}
+                        url={selectedLecture?.videoURL}
+                        width={800}
+                        height={500}
+                        showControls={true}
+                        autoPlay={true}
+                        startAt={
+                          selectedLecture?.id === jumpTo?.lectureId
+                            ? jumpTo.time
+                            : watchPositions[selectedLecture?.id]?.position || 0
+                        }
+                        onHeartbeat={
+                          selectedLecture &&
+                          ((heartbeat) =>
+                            handleHeartbeat(selectedLecture.id, heartbeat))
+                        }
+                        onAddNote={setNoteDraftAt}
+                        onBookmark={handleBookmark}
+                        captions={lectureCaptions}
+                      />
+                    )}
+                    <p className="absolute top-5 font-semibold text-white ml-4">
+                      {selectedLecture?.title || "Select a Lecture"}
+                    </p>
+                  </>
+                )}
                 <h2 className="text-3xl font-semibold my-3">
                   {selectedLecture?.title}
                 </h2>
@@ -337,33 +573,89 @@ const CourseProgress = () => {
                 >
                   Download Certificate
                 </Button>
+                {selectedLecture && (
+                  <LectureNotes
+                    notes={lectureNotes}
+                    draftTimestamp={noteDraftAt}
+                    onStartNote={() => setNoteDraftAt(null)}
+                    onCancelNote={() => setNoteDraftAt(undefined)}
+                    onCreate={handleCreateNote}
+                    onUpdate={handleUpdateNote}
+                    onDelete={handleDeleteNote}
+                    onSeek={(seconds) => playerRef.current?.seekTo(seconds)}
+                    onExport={handleExportNotes}
+                  />
+                )}
+                {hasCaptions && (
+                  <CaptionSearch courseId={id} onSelect={handleCaptionResult} />
+                )}
+                {grades.length > 0 && (
+                  <div className="mt-6 max-w-[800px]">
+                    <h3 className="font-bold text-2xl text-gray-800 mb-3">
+                      Grades
+                    </h3>
+                    {grades.map((item) => (
+                      <div
+                        key={item.lectureId}
+                        onClick={() =>
+                          handleLectureClick(
+                            lectures.find(
+                              (lecture) => lecture.id === item.lectureId
+                            )
+                          )
+                        }
+                        className="mb-2 p-3 border bg-white rounded-lg border-gray-300 hover:border-gray-600 flex justify-between gap-3 cursor-pointer"
+                      >
+                        <span className="font-medium">{item.title}</span>
+                        <span
+                          className={`font-semibold ${
+                            item.status === "graded"
+                              ? "text-green-600"
+                              : "text-gray-500"
+                          }`}
+                        >
+                          {gradeLabel(item)}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                )}
               </div>
               <div className="w-full px-3">
                 <span className="text-sm font-semibold mt-4 bg-green-100 text-green-600 w-fit px-3 mb-3">
                   {lectures.length} Lectures
                 </span>
-                {lectures.map((lecture) => (
-                  <div
-                    key={lecture.id}
-                    onClick={() => handleLectureClick(lecture)}
-                    className={`${
-                      selectedLecture && selectedLecture?.id === lecture.id
-                        ? "mb-2 p-3 border bg-green-200 rounded-lg shadow-md border-gray-300 hover:border-gray-600 border-r-4 flex gap-3 cursor-pointer"
-                        : "mb-2 p-3 border bg-white rounded-lg shadow-md border-gray-300 hover:border-gray-600 border-r-4 flex gap-3 cursor-pointer"
-                    }`}
-                  >
-                    <div className="w-[30px] mt-1">
-                      {completedLectures[lecture.id] ? (
-                        <Check className="text-green-100 bg-green-700 rounded-full " />
-                      ) : (
-                        <X className="text-gray-400" />
+                {unsectionedLectures.map(renderLecture)}
+                {sections.map((section) => {
+                  const completedCount = section.lectures.filter(
+                    (lecture) => completedLectures[lecture.id]
+                  ).length;
+                  const collapsed = collapsedSections[section.id];
+
+                  return (
+                    <div key={section.id} className="mb-3">
+                      <button
+                        type="button"
+                        onClick={() => toggleSection(section.id)}
+                        aria-expanded={!collapsed}
+                        className="w-full mb-2 p-3 bg-gray-100 rounded-lg flex items-center gap-3 text-left"
+                      >
+                        {collapsed ? <ChevronRight /> : <ChevronDown />}
+                        <span className="flex-1 text-lg font-semibold">
+                          {section.title}
+                        </span>
+                        <span className="text-sm font-semibold text-green-600">
+                          {completedCount}/{section.lectures.length}
+                        </span>
+                      </button>
+                      {!collapsed && (
+                        <div className="pl-3">
+                          {section.lectures.map(renderLecture)}
+                        </div>
                       )}
                     </div>
-                    <div>
-                      <h5 className="text-xl font-medium">{lecture.title}</h5>
-                    </div>
-                  </div>
-                ))}
+                  );
+                })}
               </div>
             </div>
           )}
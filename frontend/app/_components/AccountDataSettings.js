@@ -0,0 +1,208 @@
+"use client";
+import React, { useState, useEffect } from "react";
+import { useSelector } from "react-redux";
+import { toast } from "react-toastify";
+import {
+  TextField,
+  Button,
+  Card,
+  CardContent,
+  Typography,
+  Box,
+  Alert,
+} from "@mui/material";
+import { Download, Trash2 } from "lucide-react";
+import {
+  exportAccountData,
+  fetchAccountDeletion,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+} from "@/lib/api/accountData";
+
+const formatDate = (value) =>
+  new Date(value).toLocaleDateString(undefined, { dateStyle: "long" });
+
+/**
+ * Download a copy of the signed-in user's data, or schedule their account
+ * for deletion and cancel it during the grace period
+ */
+const AccountDataSettings = () => {
+  const { token } = useSelector((state) => state.auth);
+  const [deletion, setDeletion] = useState(null);
+  const [confirming, setConfirming] = useState(false);
+  const [confirmation, setConfirmation] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  const loadDeletion = async () => {
+    try {
+      setDeletion(await fetchAccountDeletion(token));
+    } catch (error) {
+      console.error("Error fetching account deletion:", error);
+    }
+  };
+
+  useEffect(() => {
+    if (token) {
+      loadDeletion();
+    }
+  }, [token]);
+
+  // Run an account request with shared loading and error handling
+  const runAction = async (action) => {
+    setLoading(true);
+    try {
+      await action();
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleExport = () =>
+    runAction(async () => {
+      const archive = await exportAccountData(token);
+      const blob = new Blob([JSON.stringify(archive, null, 2)], {
+        type: "application/json",
+      });
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.style.display = "none";
+      a.href = url;
+      a.download = `upskillpro-data-${
+        new Date().toISOString().split("T")[0]
+      }.json`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+    });
+
+  const handleRequestDeletion = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      const result = await requestAccountDeletion(
+        token,
+        deletion.hasPassword
+          ? { password: confirmation }
+          : { confirmEmail: confirmation }
+      );
+      setConfirming(false);
+      setConfirmation("");
+      toast.success(result.message);
+      await loadDeletion();
+    });
+  };
+
+  const handleCancelDeletion = () =>
+    runAction(async () => {
+      const result = await cancelAccountDeletion(token);
+      toast.success(result.message);
+      await loadDeletion();
+    });
+
+  return (
+    <Card sx={{ maxWidth: 600, mx: "auto", mt: 4 }}>
+      <CardContent>
+        <Typography variant="h6" sx={{ mb: 1 }}>
+          Your Data
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Download your profile, courses, progress, ratings, support tickets,
+          certificates and account activity as a JSON file
+        </Typography>
+        <Button
+          variant="outlined"
+          onClick={handleExport}
+          disabled={loading}
+          startIcon={<Download size={18} />}
+        >
+          Download My Data
+        </Button>
+
+        {deletion && (
+          <Box sx={{ mt: 3, pt: 3, borderTop: 1, borderColor: "divider" }}>
+            <Typography variant="subtitle1" sx={{ mb: 1 }}>
+              Delete Account
+            </Typography>
+
+            {deletion.scheduled ? (
+              <>
+                <Alert severity="warning" sx={{ mb: 2 }}>
+                  Your account will be deleted on{" "}
+                  {formatDate(deletion.scheduledFor)}. Your ratings will stay on
+                  their courses without your name.
+                </Alert>
+                <Button
+                  variant="contained"
+                  onClick={handleCancelDeletion}
+                  disabled={loading}
+                >
+                  Keep My Account
+                </Button>
+              </>
+            ) : !deletion.canDelete ? (
+              <Typography variant="body2" color="text.secondary">
+                {deletion.blockedReason}
+              </Typography>
+            ) : !confirming ? (
+              <>
+                <Typography
+                  variant="body2"
+                  color="text.secondary"
+                  sx={{ mb: 2 }}
+                >
+                  Your account is deleted {deletion.graceDays} days after you
+                  ask, and you can change your mind until then
+                </Typography>
+                <Button
+                  variant="outlined"
+                  color="error"
+                  onClick={() => setConfirming(true)}
+                  startIcon={<Trash2 size={18} />}
+                >
+                  Delete My Account
+                </Button>
+              </>
+            ) : (
+              <form onSubmit={handleRequestDeletion}>
+                <TextField
+                  fullWidth
+                  label={
+                    deletion.hasPassword ? "Current Password" : "Email Address"
+                  }
+                  type={deletion.hasPassword ? "password" : "email"}
+                  value={confirmation}
+                  onChange={(e) => setConfirmation(e.target.value)}
+                  sx={{ mb: 2 }}
+                  required
+                />
+                <Box sx={{ display: "flex", gap: 1 }}>
+                  <Button
+                    type="submit"
+                    variant="contained"
+                    color="error"
+                    disabled={loading}
+                  >
+                    Schedule Deletion
+                  </Button>
+                  <Button
+                    onClick={() => {
+                      setConfirming(false);
+                      setConfirmation("");
+                    }}
+                    disabled={loading}
+                  >
+                    Cancel
+                  </Button>
+                </Box>
+              </form>
+            )}
+          </Box>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default AccountDataSettings;
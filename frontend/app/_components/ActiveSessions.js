@@ -0,0 +1,162 @@
+"use client";
+import React, { useState, useEffect } from "react";
+import { useRouter } from "next/navigation";
+import { useDispatch, useSelector } from "react-redux";
+import { toast } from "react-toastify";
+import Cookies from "js-cookie";
+import {
+  Button,
+  Card,
+  CardContent,
+  Typography,
+  Box,
+  Chip,
+  List,
+  ListItem,
+  ListItemText,
+} from "@mui/material";
+import { Monitor, LogOut } from "lucide-react";
+import { logout } from "@/features/auth/authSlice";
+import { clearEnrolledCourses } from "@/features/course/courseSlice";
+import { logoutSession } from "@/utils/api";
+import { fetchSessions, revokeSession } from "@/lib/api/sessions";
+
+const formatDate = (dateString) =>
+  new Date(dateString).toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+/**
+ * List the signed-in user's active sessions and let them sign out lost or
+ * unused devices
+ */
+const ActiveSessions = () => {
+  const router = useRouter();
+  const dispatch = useDispatch();
+  const { token } = useSelector((state) => state.auth);
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const loadSessions = async () => {
+    try {
+      setSessions(await fetchSessions(token));
+    } catch (error) {
+      console.error("Error fetching sessions:", error);
+    }
+  };
+
+  useEffect(() => {
+    if (token) {
+      loadSessions();
+    }
+  }, [token]);
+
+  // Clear local auth state once this device's session has ended
+  const signOutLocally = () => {
+    Cookies.remove("userName", { path: "/" });
+    Cookies.remove("userRole", { path: "/" });
+    Cookies.remove("userEmail", { path: "/" });
+    dispatch(logout());
+    dispatch(clearEnrolledCourses());
+    router.push("/");
+  };
+
+  const handleRevoke = async (session) => {
+    setLoading(true);
+    try {
+      await revokeSession(token, session.sessionId);
+      if (session.current) {
+        signOutLocally();
+        toast.success("You're logged out");
+        return;
+      }
+      toast.success(`Signed out ${session.device}`);
+      await loadSessions();
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSignOutEverywhere = async () => {
+    if (!window.confirm("Sign out of all devices, including this one?")) {
+      return;
+    }
+
+    setLoading(true);
+    await logoutSession({ allDevices: true });
+    setLoading(false);
+    signOutLocally();
+    toast.success("Signed out of all devices");
+  };
+
+  return (
+    <Card sx={{ maxWidth: 600, mx: "auto", mt: 4 }}>
+      <CardContent>
+        <Typography
+          variant="h6"
+          sx={{ mb: 1, display: "flex", alignItems: "center", gap: 1 }}
+        >
+          <Monitor size={20} />
+          Active Sessions
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Devices currently signed in to your account
+        </Typography>
+
+        <List disablePadding>
+          {sessions.map((session) => (
+            <ListItem
+              key={session.sessionId}
+              divider
+              disableGutters
+              secondaryAction={
+                <Button
+                  size="small"
+                  color="error"
+                  onClick={() => handleRevoke(session)}
+                  disabled={loading}
+                >
+                  Sign Out
+                </Button>
+              }
+            >
+              <ListItemText
+                primary={
+                  <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
+                    {session.device}
+                    {session.current && (
+                      <Chip size="small" color="success" label="This device" />
+                    )}
+                  </Box>
+                }
+                secondary={`${session.ipAddress || "Unknown IP"} · Last active ${formatDate(
+                  session.lastActiveAt
+                )} · Signed in ${formatDate(session.createdAt)}`}
+              />
+            </ListItem>
+          ))}
+        </List>
+
+        {sessions.length > 0 && (
+          <Button
+            variant="outlined"
+            color="error"
+            onClick={handleSignOutEverywhere}
+            disabled={loading}
+            startIcon={<LogOut size={16} />}
+            sx={{ mt: 2 }}
+          >
+            Sign Out of All Devices
+          </Button>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ActiveSessions;
@@ -19,7 +19,7 @@ export default function HeroSection() {
               </button>
             </Link>
             <button className="border border-gray-500 ml-6 text-white px-6 py-3 text rounded-full font-medium hover:bg-gray-200 hover:text-black  transition">
-              <Link href="/signup?role=instructor">Become An Instructor</Link>
+              <Link href="/student-dashboard/teach">Become An Instructor</Link>
             </button>
           </div>
         </div>
@@ -27,7 +27,7 @@ const InstructorSection = () => {
           income—create courses that change lives while building <br />
           your financial freedom!
         </p>
-        <Link href={"/signup?role=instructor"}>
+        <Link href={"/student-dashboard/teach"}>
           <button className="px-9 py-4 border border-black text-lg md:text-xl font-roboto font-bold shadow-md hover:bg-gray-100 transition duration-300">
             Become An Instructor
           </button>
@@ -65,7 +65,7 @@ const Navbar = () => {
           </li>
           <li>
             <Link
-              href="/signup?role=instructor"
+              href="/student-dashboard/teach"
               className="text-gray-700 hover:text-blue-500 font-semibold"
             >
               Become an Instructor
@@ -138,7 +138,7 @@ const Navbar = () => {
               Courses
             </Link>
             <Link
-              href="/signup?role=instructor"
+              href="/student-dashboard/teach"
               onClick={closeMenu}
               className="text-gray-700 hover:text-blue-500 font-semibold"
             >
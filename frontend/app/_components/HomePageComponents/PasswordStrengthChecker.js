@@ -1,14 +1,42 @@
-import React from "react";
+import React, { useEffect, useState } from "react";
 import { Check, X } from "lucide-react";
+import { fetchPasswordPolicy } from "@/lib/api/passwordPolicy";
 
-const PasswordCriteria = ({ password }) => {
-  const criteria = [
-    { label: "At least 6 characters", met: password.length >= 6 },
-    { label: "Contains uppercase letter", met: /[A-Z]/.test(password) },
-    { label: "Contains lowercase letter", met: /[a-z]/.test(password) },
-    { label: "Contains a number", met: /\d/.test(password) },
-    { label: "Contains special character", met: /[^A-Za-z0-9]/.test(password) },
-  ];
+// Shown until the live policy has loaded (mirrors the API defaults)
+const DEFAULT_POLICY = {
+  minLength: 8,
+  requireUppercase: true,
+  requireLowercase: true,
+  requireNumbers: true,
+  requireSpecialChars: true,
+};
+
+const DEFAULT_REQUIREMENTS = [
+  { id: "minLength", label: "At least 8 characters" },
+  { id: "uppercase", label: "Contains uppercase letter" },
+  { id: "lowercase", label: "Contains lowercase letter" },
+  { id: "number", label: "Contains a number" },
+  { id: "special", label: "Contains special character" },
+];
+
+const isRequirementMet = (id, password, policy) => {
+  switch (id) {
+    case "minLength":
+      return password.length >= policy.minLength;
+    case "uppercase":
+      return /[A-Z]/.test(password);
+    case "lowercase":
+      return /[a-z]/.test(password);
+    case "number":
+      return /\d/.test(password);
+    case "special":
+      return /[^A-Za-z0-9]/.test(password);
+    default:
+      return false;
+  }
+};
+
+const PasswordCriteria = ({ criteria }) => {
   return (
     <div className="mt-2 space-y-1">
       {criteria.map((item) => (
@@ -28,15 +56,37 @@ const PasswordCriteria = ({ password }) => {
 };
 
 const PasswordStrengthChecker = ({ password }) => {
-  const getStrength = (pass) => {
-    let strength = 0;
-    if (pass.length >= 6) strength++;
-    if (pass.match(/[a-z]/) && pass.match(/[A-Z]/)) strength++;
-    if (pass.match(/\d/)) strength++;
-    if (pass.match(/[^a-zA-Z\d]/)) strength++;
-    return strength;
-  };
-  const strength = getStrength(password);
+  const [policy, setPolicy] = useState(DEFAULT_POLICY);
+  const [requirements, setRequirements] = useState(DEFAULT_REQUIREMENTS);
+
+  useEffect(() => {
+    let isMounted = true;
+
+    fetchPasswordPolicy()
+      .then((data) => {
+        if (isMounted) {
+          setPolicy(data.passwordPolicy);
+          setRequirements(data.requirements);
+        }
+      })
+      .catch((error) => {
+        console.error("Error fetching password policy:", error);
+      });
+
+    return () => {
+      isMounted = false;
+    };
+  }, []);
+
+  const criteria = requirements.map((requirement) => ({
+    label: requirement.label,
+    met: isRequirementMet(requirement.id, password, policy),
+  }));
+
+  // Scale the number of met requirements onto the 4-step meter
+  const metCount = criteria.filter((item) => item.met).length;
+  const strength = Math.round((metCount / criteria.length) * 4);
+
   const getColor = (strength) => {
     if (strength === 0) return "bg-red-500";
     if (strength === 1) return "bg-red-400";
@@ -71,7 +121,7 @@ const PasswordStrengthChecker = ({ password }) => {
           />
         ))}
       </div>
-      <PasswordCriteria password={password} />
+      <PasswordCriteria criteria={criteria} />
     </div>
   );
 };
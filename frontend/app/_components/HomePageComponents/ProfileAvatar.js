@@ -4,11 +4,19 @@ import Link from "next/link";
 import { Avatar } from "@mui/material";
 import { useDispatch, useSelector } from "react-redux";
 import { logout } from "@/features/auth/authSlice";
+import { logoutSession } from "@/utils/api";
 import { useRouter } from "next/navigation";
 import { toast } from "react-toastify";
 import Cookies from "js-cookie";
 import { clearEnrolledCourses } from "@/features/course/courseSlice";
-import { LayoutDashboard, User, BookOpen, LogOut } from "lucide-react";
+import {
+  LayoutDashboard,
+  User,
+  BookOpen,
+  GraduationCap,
+  Building2,
+  LogOut,
+} from "lucide-react";
 
 const ProfileDropdownMenu = () => {
   const { user } = useSelector((state) => state.auth);
@@ -20,6 +28,7 @@ const ProfileDropdownMenu = () => {
     Cookies.remove("userName", { path: "/" });
     Cookies.remove("userRole", { path: "/" });
     Cookies.remove("userEmail", { path: "/" });
+    logoutSession();
     dispatch(logout());
     dispatch(clearEnrolledCourses());
     router.push("/");
@@ -91,6 +100,34 @@ const ProfileDropdownMenu = () => {
                   </Link>
                 )}
               </MenuItem>
+              <MenuItem>
+                {({ active }) => (
+                  <Link
+                    href="/student-dashboard/teach"
+                    className={`flex items-center gap-2 px-4 py-2 text-sm ${
+                      active ? "bg-gray-100 text-gray-900" : "text-gray-700"
+                    }`}
+                    onClick={() => setIsOpen(false)}
+                  >
+                    <GraduationCap className="h-4 w-4" />
+                    Teach on UpSkillPro
+                  </Link>
+                )}
+              </MenuItem>
+              <MenuItem>
+                {({ active }) => (
+                  <Link
+                    href="/student-dashboard/organizations"
+                    className={`flex items-center gap-2 px-4 py-2 text-sm ${
+                      active ? "bg-gray-100 text-gray-900" : "text-gray-700"
+                    }`}
+                    onClick={() => setIsOpen(false)}
+                  >
+                    <Building2 className="h-4 w-4" />
+                    My Organizations
+                  </Link>
+                )}
+              </MenuItem>
             </div>
 
             <div className="py-1">
@@ -0,0 +1,332 @@
+"use client";
+import React, { useState, useEffect } from "react";
+import Link from "next/link";
+import { useRouter } from "next/navigation";
+import { useDispatch, useSelector } from "react-redux";
+import { toast } from "react-toastify";
+import Cookies from "js-cookie";
+import {
+  TextField,
+  Button,
+  Card,
+  CardContent,
+  Typography,
+  Box,
+  Alert,
+  Chip,
+  IconButton,
+} from "@mui/material";
+import { GraduationCap, Plus, Trash2, Upload } from "lucide-react";
+import { logout } from "@/features/auth/authSlice";
+import { fetchCategories } from "@/utils/api/categoryApi";
+import { handleFileUpload } from "@/utils/handleFileUpload";
+import {
+  fetchMyApplication,
+  submitInstructorApplication,
+} from "@/lib/api/instructorApplications";
+
+const MAX_EXPERTISE = 5;
+const MAX_SAMPLES = 5;
+const EMPTY_SAMPLE = { title: "", url: "" };
+
+const STATUS_CHIPS = {
+  pending: { label: "Under review", color: "warning" },
+  approved: { label: "Approved", color: "success" },
+  rejected: { label: "Not approved", color: "error" },
+};
+
+/**
+ * Apply to become an instructor and follow the application's review
+ */
+const InstructorApplication = () => {
+  const router = useRouter();
+  const dispatch = useDispatch();
+  const { user, token } = useSelector((state) => state.auth);
+  const [application, setApplication] = useState(undefined);
+  const [categories, setCategories] = useState([]);
+  const [bio, setBio] = useState("");
+  const [expertise, setExpertise] = useState([]);
+  const [samples, setSamples] = useState([EMPTY_SAMPLE]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!token) {
+      return;
+    }
+
+    fetchMyApplication(token)
+      .then(setApplication)
+      .catch((error) => {
+        console.error("Error fetching instructor application:", error);
+        setApplication(null);
+      });
+    fetchCategories(token)
+      .then(setCategories)
+      .catch((error) => console.error("Error fetching categories:", error));
+  }, [token]);
+
+  // Start a new application from the rejected one
+  useEffect(() => {
+    if (application?.status === "rejected") {
+      setBio(application.bio);
+      setExpertise(application.expertise.map((item) => item.categoryId));
+      setSamples(application.sampleMaterial);
+    }
+  }, [application]);
+
+  const toggleExpertise = (categoryId) => {
+    setExpertise((prev) =>
+      prev.includes(categoryId)
+        ? prev.filter((id) => id !== categoryId)
+        : [...prev, categoryId].slice(0, MAX_EXPERTISE)
+    );
+  };
+
+  const updateSample = (index, field, value) => {
+    setSamples((prev) =>
+      prev.map((sample, i) =>
+        i === index ? { ...sample, [field]: value } : sample
+      )
+    );
+  };
+
+  const handleUpload = async (index, file) => {
+    if (!file) {
+      return;
+    }
+
+    setLoading(true);
+    const fileKey = await handleFileUpload(file);
+    setLoading(false);
+
+    if (!fileKey) {
+      toast.error("Upload failed. Please try again.");
+      return;
+    }
+    setSamples((prev) =>
+      prev.map((sample, i) =>
+        i === index
+          ? { title: sample.title || file.name, url: fileKey }
+          : sample
+      )
+    );
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      const submitted = await submitInstructorApplication(token, {
+        bio,
+        expertise,
+        sampleMaterial: samples,
+      });
+      setApplication(submitted);
+      toast.success(
+        "Application submitted. We'll email you once it's reviewed."
+      );
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Approval ended the student's sessions; signing in again issues a token
+  // with the instructor role
+  const handleStartTeaching = () => {
+    Cookies.remove("userName", { path: "/" });
+    Cookies.remove("userRole", { path: "/" });
+    Cookies.remove("userEmail", { path: "/" });
+    localStorage.removeItem("token");
+    dispatch(logout());
+    toast.info("Log in again to start teaching");
+    router.push("/login");
+  };
+
+  const renderStatus = () => {
+    const chip = STATUS_CHIPS[application.status];
+
+    return (
+      <Box sx={{ mb: 2 }}>
+        <Typography variant="body2" sx={{ mb: 1 }}>
+          Submitted {new Date(application.submittedAt).toLocaleDateString()}{" "}
+          <Chip size="small" label={chip.label} color={chip.color} />
+        </Typography>
+        {application.status === "pending" && (
+          <Alert severity="info">
+            Our team is reviewing your application. We&apos;ll email you once a
+            decision has been made.
+          </Alert>
+        )}
+        {application.status === "rejected" && (
+          <Alert severity="warning">
+            {application.reviewNotes ||
+              "Your application was not approved this time."}{" "}
+            You can update your application below and apply again.
+          </Alert>
+        )}
+        {application.status === "approved" && (
+          <>
+            <Alert severity="success" sx={{ mb: 2 }}>
+              Your application was approved.
+              {application.reviewNotes && ` ${application.reviewNotes}`}
+            </Alert>
+            {user?.role === "student" && (
+              <Button
+                variant="contained"
+                onClick={handleStartTeaching}
+                disabled={loading}
+                sx={{ bgcolor: "black", "&:hover": { bgcolor: "#333" } }}
+              >
+                Start Teaching
+              </Button>
+            )}
+          </>
+        )}
+      </Box>
+    );
+  };
+
+  const renderForm = () => (
+    <form onSubmit={handleSubmit}>
+      <TextField
+        fullWidth
+        multiline
+        minRows={4}
+        label="About you"
+        helperText={`Your teaching and professional experience (${bio.length}/2000, at least 50 characters)`}
+        value={bio}
+        onChange={(e) => setBio(e.target.value)}
+        inputProps={{ maxLength: 2000 }}
+        sx={{ mb: 2 }}
+        required
+      />
+
+      <Typography variant="subtitle2" sx={{ mb: 1 }}>
+        What would you teach? (up to {MAX_EXPERTISE})
+      </Typography>
+      <Box sx={{ display: "flex", flexWrap: "wrap", gap: 1, mb: 2 }}>
+        {categories.map((category) => (
+          <Chip
+            key={category.categoryId}
+            label={category.name}
+            onClick={() => toggleExpertise(category.categoryId)}
+            color={
+              expertise.includes(category.categoryId) ? "primary" : "default"
+            }
+            variant={
+              expertise.includes(category.categoryId) ? "filled" : "outlined"
+            }
+          />
+        ))}
+      </Box>
+
+      <Typography variant="subtitle2" sx={{ mb: 1 }}>
+        Sample material
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+        Link to a lesson, talk or article of yours, or upload a file
+      </Typography>
+      {samples.map((sample, index) => (
+        <Box key={index} sx={{ display: "flex", gap: 1, mb: 1 }}>
+          <TextField
+            size="small"
+            label="Title"
+            value={sample.title}
+            onChange={(e) => updateSample(index, "title", e.target.value)}
+            inputProps={{ maxLength: 100 }}
+            required
+          />
+          <TextField
+            size="small"
+            label="Link"
+            value={sample.url}
+            onChange={(e) => updateSample(index, "url", e.target.value)}
+            sx={{ flex: 1 }}
+            required
+          />
+          <IconButton
+            component="label"
+            disabled={loading}
+            title="Upload a file"
+          >
+            <Upload size={18} />
+            <input
+              type="file"
+              hidden
+              onChange={(e) => handleUpload(index, e.target.files[0])}
+            />
+          </IconButton>
+          {samples.length > 1 && (
+            <IconButton
+              onClick={() =>
+                setSamples((prev) => prev.filter((_, i) => i !== index))
+              }
+              title="Remove"
+            >
+              <Trash2 size={18} />
+            </IconButton>
+          )}
+        </Box>
+      ))}
+      {samples.length < MAX_SAMPLES && (
+        <Button
+          size="small"
+          startIcon={<Plus size={16} />}
+          onClick={() => setSamples((prev) => [...prev, EMPTY_SAMPLE])}
+          sx={{ mb: 2 }}
+        >
+          Add sample
+        </Button>
+      )}
+
+      <Box>
+        <Button
+          type="submit"
+          variant="contained"
+          disabled={loading || expertise.length === 0}
+          sx={{ bgcolor: "black", "&:hover": { bgcolor: "#333" } }}
+        >
+          Submit Application
+        </Button>
+      </Box>
+    </form>
+  );
+
+  const canApply =
+    user?.role === "student" &&
+    (application === null || application?.status === "rejected");
+
+  return (
+    <Card sx={{ maxWidth: 800, mx: "auto", mt: 4 }}>
+      <CardContent>
+        <Typography
+          variant="h6"
+          sx={{ mb: 1, display: "flex", alignItems: "center", gap: 1 }}
+        >
+          <GraduationCap size={20} />
+          Teach on UpSkillPro
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Share your expertise with learners. Tell us about yourself and our
+          team will review your application.
+        </Typography>
+
+        {user?.role === "instructor" && (
+          <Alert severity="success">
+            You&apos;re an instructor.{" "}
+            <Link href="/instructor-dashboard">Go to your dashboard</Link>
+          </Alert>
+        )}
+        {user?.role !== "student" && user?.role !== "instructor" && (
+          <Alert severity="info">Only students can apply to teach.</Alert>
+        )}
+        {application && renderStatus()}
+        {canApply && renderForm()}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default InstructorApplication;
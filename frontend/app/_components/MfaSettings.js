@@ -0,0 +1,297 @@
+"use client";
+import React, { useState, useEffect } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { toast } from "react-toastify";
+import {
+  TextField,
+  Button,
+  Card,
+  CardContent,
+  Typography,
+  Box,
+  Alert,
+  Chip,
+} from "@mui/material";
+import { ShieldCheck, KeyRound } from "lucide-react";
+import { loginSuccess } from "@/features/auth/authSlice";
+import {
+  fetchMfaStatus,
+  startMfaSetup,
+  enableMfa,
+  disableMfa,
+  regenerateRecoveryCodes,
+} from "@/lib/api/mfa";
+
+/**
+ * Enrol, manage and turn off TOTP multi-factor authentication for the
+ * signed-in user. onEnabled runs once the new recovery codes have been saved.
+ */
+const MfaSettings = ({ onEnabled }) => {
+  const dispatch = useDispatch();
+  const { user, token } = useSelector((state) => state.auth);
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState("");
+  const [password, setPassword] = useState("");
+  const [mode, setMode] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const loadStatus = async () => {
+    try {
+      setStatus(await fetchMfaStatus(token));
+    } catch (error) {
+      console.error("Error fetching MFA status:", error);
+    }
+  };
+
+  useEffect(() => {
+    if (token) {
+      loadStatus();
+    }
+  }, [token]);
+
+  const resetForm = () => {
+    setCode("");
+    setPassword("");
+    setMode(null);
+  };
+
+  // Run an MFA request with shared loading and error handling
+  const runAction = async (action) => {
+    setLoading(true);
+    try {
+      await action();
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleStartSetup = () =>
+    runAction(async () => {
+      setSetup(await startMfaSetup(token));
+    });
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      const result = await enableMfa(token, code);
+
+      // The new token records that this session has passed MFA
+      localStorage.setItem("token", result.token);
+      dispatch(
+        loginSuccess({
+          user: { ...user, mfaEnabled: true },
+          token: result.token,
+        })
+      );
+
+      setSetup(null);
+      setRecoveryCodes(result.recoveryCodes);
+      resetForm();
+      toast.success(result.message);
+      await loadStatus();
+    });
+  };
+
+  const handleDisable = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      const result = await disableMfa(token, { password, code });
+      dispatch(loginSuccess({ user: { ...user, mfaEnabled: false }, token }));
+      resetForm();
+      toast.success(result.message);
+      await loadStatus();
+    });
+  };
+
+  const handleRegenerate = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      const result = await regenerateRecoveryCodes(token, code);
+      setRecoveryCodes(result.recoveryCodes);
+      resetForm();
+      toast.success(result.message);
+      await loadStatus();
+    });
+  };
+
+  const handleCodesSaved = () => {
+    setRecoveryCodes(null);
+    if (onEnabled) {
+      onEnabled();
+    }
+  };
+
+  const codeField = (
+    <TextField
+      fullWidth
+      label="Authentication Code"
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+      autoComplete="one-time-code"
+      sx={{ mb: 2 }}
+      required
+    />
+  );
+
+  return (
+    <Card sx={{ maxWidth: 600, mx: "auto", mt: 4 }}>
+      <CardContent>
+        <Typography
+          variant="h6"
+          sx={{ mb: 1, display: "flex", alignItems: "center", gap: 1 }}
+        >
+          <ShieldCheck size={20} />
+          Two-Factor Authentication
+          {status && (
+            <Chip
+              size="small"
+              label={status.enabled ? "Enabled" : "Disabled"}
+              color={status.enabled ? "success" : "default"}
+            />
+          )}
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Use an authenticator app to generate a code each time you sign in
+        </Typography>
+
+        {status?.required && !status.enabled && (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            Two-factor authentication is required for your account.
+          </Alert>
+        )}
+
+        {recoveryCodes && (
+          <Box sx={{ mb: 2 }}>
+            <Alert severity="info" sx={{ mb: 2 }}>
+              Save these recovery codes somewhere safe. Each one can be used
+              once if you lose access to your authenticator app, and they will
+              not be shown again.
+            </Alert>
+            <Box
+              component="pre"
+              sx={{ p: 2, bgcolor: "grey.100", borderRadius: 1, mb: 2 }}
+            >
+              {recoveryCodes.join("\n")}
+            </Box>
+            <Button variant="outlined" onClick={handleCodesSaved}>
+              I have saved these codes
+            </Button>
+          </Box>
+        )}
+
+        {status && !status.enabled && !setup && !recoveryCodes && (
+          <Button
+            variant="contained"
+            onClick={handleStartSetup}
+            disabled={loading}
+            sx={{ bgcolor: "black", "&:hover": { bgcolor: "#333" } }}
+            startIcon={<KeyRound />}
+          >
+            Set Up Authenticator
+          </Button>
+        )}
+
+        {setup && (
+          <form onSubmit={handleEnable}>
+            <Typography variant="body2" sx={{ mb: 1 }}>
+              Open the link below on a device with your authenticator app, or
+              enter the key manually, then type the 6-digit code it shows.
+            </Typography>
+            <Typography variant="body2" sx={{ mb: 1, wordBreak: "break-all" }}>
+              <a href={setup.otpauthUri}>{setup.otpauthUri}</a>
+            </Typography>
+            <TextField
+              fullWidth
+              label="Setup Key"
+              value={setup.secret}
+              InputProps={{ readOnly: true }}
+              sx={{ mb: 2 }}
+            />
+            {codeField}
+            <Box sx={{ display: "flex", gap: 1 }}>
+              <Button type="submit" variant="contained" disabled={loading}>
+                {loading ? "Verifying..." : "Verify and Enable"}
+              </Button>
+              <Button onClick={() => setSetup(null)} disabled={loading}>
+                Cancel
+              </Button>
+            </Box>
+          </form>
+        )}
+
+        {status?.enabled && !recoveryCodes && (
+          <>
+            <Typography variant="body2" sx={{ mb: 2 }}>
+              Recovery codes remaining: {status.recoveryCodesRemaining}
+            </Typography>
+
+            {!mode && (
+              <Box sx={{ display: "flex", gap: 1 }}>
+                <Button variant="outlined" onClick={() => setMode("recovery")}>
+                  New Recovery Codes
+                </Button>
+                {!status.required && (
+                  <Button
+                    variant="outlined"
+                    color="error"
+                    onClick={() => setMode("disable")}
+                  >
+                    Disable
+                  </Button>
+                )}
+              </Box>
+            )}
+
+            {mode === "recovery" && (
+              <form onSubmit={handleRegenerate}>
+                {codeField}
+                <Box sx={{ display: "flex", gap: 1 }}>
+                  <Button type="submit" variant="contained" disabled={loading}>
+                    Generate Codes
+                  </Button>
+                  <Button onClick={resetForm} disabled={loading}>
+                    Cancel
+                  </Button>
+                </Box>
+              </form>
+            )}
+
+            {mode === "disable" && (
+              <form onSubmit={handleDisable}>
+                <TextField
+                  fullWidth
+                  label="Current Password"
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  sx={{ mb: 2 }}
+                  required
+                />
+                {codeField}
+                <Box sx={{ display: "flex", gap: 1 }}>
+                  <Button
+                    type="submit"
+                    variant="contained"
+                    color="error"
+                    disabled={loading}
+                  >
+                    Disable Two-Factor Authentication
+                  </Button>
+                  <Button onClick={resetForm} disabled={loading}>
+                    Cancel
+                  </Button>
+                </Box>
+              </form>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default MfaSettings;
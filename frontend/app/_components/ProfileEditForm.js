@@ -12,6 +12,7 @@ import {
   Divider,
 } from "@mui/material";
 import { User, Mail, Lock, Save } from "lucide-react";
+import PasswordStrengthChecker from "./HomePageComponents/PasswordStrengthChecker";
 
 const ProfileEditForm = () => {
   const { user, token } = useSelector((state) => state.auth);
@@ -70,8 +71,6 @@ const ProfileEditForm = () => {
       }
       if (!formData.newPassword) {
         newErrors.newPassword = "New password is required";
-      } else if (formData.newPassword.length < 6) {
-        newErrors.newPassword = "Password must be at least 6 characters";
       }
       if (formData.newPassword !== formData.confirmPassword) {
         newErrors.confirmPassword = "Passwords do not match";
@@ -132,6 +131,10 @@ const ProfileEditForm = () => {
           window.location.reload();
         }, 1500);
       } else {
+        // Password policy and reuse errors belong next to the field
+        if (data.code?.startsWith("PASSWORD_")) {
+          setErrors((prev) => ({ ...prev, newPassword: data.message }));
+        }
         toast.error(data.message || "Failed to update profile");
       }
     } catch (error) {
@@ -238,9 +241,14 @@ const ProfileEditForm = () => {
               value={formData.newPassword}
               onChange={handleChange}
               error={!!errors.newPassword}
-              helperText={errors.newPassword || "Minimum 6 characters"}
+              helperText={errors.newPassword}
               sx={{ mb: 2 }}
             />
+            {formData.newPassword && (
+              <Box sx={{ mb: 2 }}>
+                <PasswordStrengthChecker password={formData.newPassword} />
+              </Box>
+            )}
 
             <TextField
               fullWidth
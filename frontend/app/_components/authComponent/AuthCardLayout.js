@@ -0,0 +1,45 @@
+"use client";
+import React from "react";
+import Link from "next/link";
+import { motion } from "framer-motion";
+import { ArrowBigLeftIcon } from "lucide-react";
+
+/**
+ * Centered card used by the standalone auth pages (password reset, email
+ * verification), styled like the login form
+ */
+const AuthCardLayout = ({ title, children }) => {
+  return (
+    <div className="min-h-screen w-full flex flex-col items-center justify-center bg-white px-5">
+      <div className="flex justify-center items-center mb-4">
+        <ArrowBigLeftIcon className="size-10 text-gray-500" />
+        <Link href="/" className="text-gray-500">
+          Go Back Home
+        </Link>
+      </div>
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+        className="max-w-md w-full bg-gray-800 bg-opacity-2 backdrop-filter backdrop-blur-xl rounded-2xl overflow-hidden"
+      >
+        <div className="p-8">
+          <h2 className="mb-6 text-3xl text-center font-semibold text-white">
+            {title}
+          </h2>
+          {children}
+        </div>
+        <div className="px-8 py-4 bg-gray-900 bg-opacity-50 flex justify-center">
+          <Link
+            href="/login"
+            className="text-white text-sm hover:underline font-semibold"
+          >
+            Back to Login
+          </Link>
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+export default AuthCardLayout;
@@ -123,7 +123,7 @@ const AuthNavbar = () => {
               Courses
             </Link>
             <Link
-              href="/signup?role=instructor"
+              href="/student-dashboard/teach"
               onClick={closeMenu}
               className="text-gray-700 hover:text-blue-500 font-semibold"
             >
@@ -0,0 +1,98 @@
+"use client";
+import React, { useState } from "react";
+import { toast } from "react-toastify";
+import { motion } from "framer-motion";
+import { Loader, Lock } from "lucide-react";
+import Input from "@/components/ui/input";
+import { makePostRequest } from "@/utils/api";
+import PasswordStrengthChecker from "../HomePageComponents/PasswordStrengthChecker";
+
+/**
+ * Shown after login is refused with PASSWORD_EXPIRED; replaces the expired
+ * password using the credentials the user just entered
+ */
+const ExpiredPasswordForm = ({
+  email,
+  currentPassword,
+  onComplete,
+  onCancel,
+}) => {
+  const [newPassword, setNewPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (newPassword !== confirmPassword) {
+      toast.error("Passwords do not match");
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      await makePostRequest(
+        "api/password/rotate",
+        { email, currentPassword, newPassword },
+        {},
+        (result) => {
+          toast.success(result.message || "Password changed successfully");
+          onComplete(newPassword);
+        }
+      );
+    } catch (error) {
+      // Error toast is already shown by handleApiResponse
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <p className="mb-4 text-sm text-gray-300">
+        Your password has expired. Choose a new password to continue.
+      </p>
+      <Input
+        icon={Lock}
+        label="New Password"
+        type="password"
+        name="newPassword"
+        placeholder="New Password"
+        value={newPassword}
+        onChange={(e) => setNewPassword(e.target.value)}
+        required
+      />
+      <Input
+        icon={Lock}
+        label="Confirm New Password"
+        type="password"
+        name="confirmPassword"
+        placeholder="Confirm New Password"
+        value={confirmPassword}
+        onChange={(e) => setConfirmPassword(e.target.value)}
+        required
+      />
+      <PasswordStrengthChecker password={newPassword} />
+
+      <motion.button
+        className="w-full py-3 px-4 bg-gradient-to-r from-black to-gray-950 text-white font-bold rounded-lg shadow-lg hover:from-gray-900 hover:to-gray-600 focus:outline-none focus:ring-green-500 focus:ring-offset-2 focus:ring-offset-gray-900 transition duration-200 mt-6"
+        type="submit"
+        disabled={isLoading}
+      >
+        {isLoading ? (
+          <Loader className="w-6 h-6 animate-spin mx-auto " />
+        ) : (
+          "Change Password"
+        )}
+      </motion.button>
+      <button
+        type="button"
+        onClick={onCancel}
+        className="w-full mt-3 text-sm text-white hover:underline"
+      >
+        Back to login
+      </button>
+    </form>
+  );
+};
+
+export default ExpiredPasswordForm;
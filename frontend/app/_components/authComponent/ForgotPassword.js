@@ -0,0 +1,70 @@
+"use client";
+import React, { useState } from "react";
+import { toast } from "react-toastify";
+import { motion } from "framer-motion";
+import { Loader, Mail } from "lucide-react";
+import Input from "@/components/ui/input";
+import { makePostRequest } from "@/utils/api";
+import AuthCardLayout from "./AuthCardLayout";
+
+/**
+ * Request a password reset link by email
+ */
+const ForgotPassword = () => {
+  const [email, setEmail] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+  const [sent, setSent] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    try {
+      await makePostRequest("api/password/forgot", { email }, {}, (result) => {
+        toast.success(result.message);
+        setSent(true);
+      });
+    } catch (error) {
+      // Error toast is already shown by handleApiResponse
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <AuthCardLayout title="Forgot Password">
+      <form onSubmit={handleSubmit}>
+        <p className="mb-4 text-sm text-gray-300">
+          {sent
+            ? "If an account exists for that email, a reset link is on its way. The link expires in 1 hour."
+            : "Enter the email address of your account and we will send you a link to reset your password."}
+        </p>
+        <Input
+          icon={Mail}
+          type="email"
+          name="email"
+          label="Email"
+          placeholder="Email Address"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          required
+        />
+
+        <motion.button
+          className="w-full py-3 px-4 bg-gradient-to-r from-black to-gray-950 text-white font-bold rounded-lg shadow-lg hover:from-gray-900 hover:to-gray-600 focus:outline-none focus:ring-green-500 focus:ring-offset-2 focus:ring-offset-gray-900 transition duration-200 mt-6"
+          type="submit"
+          disabled={isLoading}
+        >
+          {isLoading ? (
+            <Loader className="w-6 h-6 animate-spin mx-auto " />
+          ) : sent ? (
+            "Send Again"
+          ) : (
+            "Send Reset Link"
+          )}
+        </motion.button>
+      </form>
+    </AuthCardLayout>
+  );
+};
+
+export default ForgotPassword;
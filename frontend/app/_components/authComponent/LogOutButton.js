@@ -5,6 +5,7 @@ import { toast } from "react-toastify";
 import Cookies from "js-cookie";
 import { useDispatch } from "react-redux";
 import { logout } from "@/features/auth/authSlice";
+import { logoutSession } from "@/utils/api";
 import { clearEnrolledCourses } from "@/features/course/courseSlice";
 const LogOutButton = () => {
   const router = useRouter();
@@ -13,6 +14,7 @@ const LogOutButton = () => {
     Cookies.remove("userName", { path: "/" });
     Cookies.remove("userRole", { path: "/" });
     Cookies.remove("userEmail", { path: "/" });
+    logoutSession();
     dispatch(logout());
     dispatch(clearEnrolledCourses());
     router.push("/");
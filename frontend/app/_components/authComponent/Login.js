@@ -2,16 +2,18 @@
 import React, { useState, useEffect } from "react";
 import { toast } from "react-toastify";
 import { makeGetRequest, makePostRequest } from "@/utils/api";
-import { returnPathByRole } from "@/utils/userUtil";
 import Cookies from "js-cookie";
 import { motion } from "framer-motion";
 import { ArrowBigLeftIcon, Loader, Lock, Mail } from "lucide-react";
 import Link from "next/link";
 import Input from "@/components/ui/input";
-import { useDispatch } from "react-redux";
-import { loginSuccess } from "@/features/auth/authSlice";
 import { useRouter } from "next/navigation";
 import { useSelector } from "react-redux";
+import ExpiredPasswordForm from "./ExpiredPasswordForm";
+import MfaChallengeForm from "./MfaChallengeForm";
+import ResendVerificationForm from "./ResendVerificationForm";
+import SocialLoginButtons from "./SocialLoginButtons";
+import useCompleteLogin from "./useCompleteLogin";
 
 const Login = () => {
   const [formData, setFormData] = useState({
@@ -19,8 +21,11 @@ const Login = () => {
     password: "",
   });
   const [isLoading, setIsLoading] = useState(false);
+  const [passwordExpired, setPasswordExpired] = useState(false);
+  const [mfaToken, setMfaToken] = useState(null);
+  const [emailNotVerified, setEmailNotVerified] = useState(false);
   const router = useRouter();
-  const dispatch = useDispatch();
+  const completeLogin = useCompleteLogin();
   const isAuthenticated = useSelector((state) => state.auth.isAuthenticated);
 
   const handleChange = (event) => {
@@ -39,27 +44,20 @@ const Login = () => {
 
       console.log("Login response:", userInfo);
 
-      const { user, token } = userInfo;
-
-      if (!user || !token) {
-        throw new Error("Invalid response from server");
+      // Password accepted; a second factor is needed before a session is issued
+      if (userInfo.mfaRequired) {
+        setMfaToken(userInfo.mfaToken);
+        return;
       }
 
-      // Store token in localStorage as backup
-      localStorage.setItem("token", token);
-
-      // Dispatch login success to Redux
-      dispatch(loginSuccess({ user, token }));
-
-      toast.success("Logged in successfully! 🎉");
-
-      // Redirect based on role
-      const dashboardPath = returnPathByRole(user.role);
-      // console.log("Redirecting to:", dashboardPath, "for role:", user.role);
-
-      // Use window.location for more reliable redirect
-      window.location.href = dashboardPath;
+      completeLogin(userInfo);
     } catch (error) {
+      if (error.code === "PASSWORD_EXPIRED") {
+        setPasswordExpired(true);
+      }
+      if (error.code === "EMAIL_NOT_VERIFIED") {
+        setEmailNotVerified(true);
+      }
       // Error toast is already shown by handleApiResponse, don't show duplicate
       // Only show toast if error wasn't handled by the API utility
       if (!error.handled) {
@@ -70,6 +68,11 @@ const Login = () => {
     }
   };
 
+  const handlePasswordRotated = (newPassword) => {
+    setFormData((prevFormData) => ({ ...prevFormData, password: newPassword }));
+    setPasswordExpired(false);
+  };
+
   return (
     <>
       <div className="hidden h-max  md:flex justify-between  ">
@@ -93,45 +96,69 @@ const Login = () => {
               <h2 className="mb-6 text-3xl text-center font-semibold text-white">
                 Welcome Back
               </h2>
-              <form onSubmit={handleSubmit}>
-                <Input
-                  icon={Mail}
-                  type="email"
-                  name="email"
-                  label="Email"
-                  placeholder="Email Address"
-                  value={formData.email}
-                  onChange={handleChange}
-                  required
+              {mfaToken ? (
+                <MfaChallengeForm
+                  mfaToken={mfaToken}
+                  onComplete={completeLogin}
+                  onCancel={() => setMfaToken(null)}
+                />
+              ) : passwordExpired ? (
+                <ExpiredPasswordForm
+                  email={formData.email}
+                  currentPassword={formData.password}
+                  onComplete={handlePasswordRotated}
+                  onCancel={() => setPasswordExpired(false)}
                 />
-                <Input
-                  icon={Lock}
-                  label="Password"
-                  type="password"
-                  name="password"
-                  placeholder="Password"
-                  value={formData.password}
-                  onChange={handleChange}
-                  required
+              ) : emailNotVerified ? (
+                <ResendVerificationForm
+                  email={formData.email}
+                  onCancel={() => setEmailNotVerified(false)}
                 />
-                <div className="flex items-center mb-6">
-                  <Link href="/" className="text-sm text-white hover:underline">
-                    Forgot Password?
-                  </Link>
-                </div>
+              ) : (
+                <form onSubmit={handleSubmit}>
+                  <Input
+                    icon={Mail}
+                    type="email"
+                    name="email"
+                    label="Email"
+                    placeholder="Email Address"
+                    value={formData.email}
+                    onChange={handleChange}
+                    required
+                  />
+                  <Input
+                    icon={Lock}
+                    label="Password"
+                    type="password"
+                    name="password"
+                    placeholder="Password"
+                    value={formData.password}
+                    onChange={handleChange}
+                    required
+                  />
+                  <div className="flex items-center mb-6">
+                    <Link
+                      href="/forgot-password"
+                      className="text-sm text-white hover:underline"
+                    >
+                      Forgot Password?
+                    </Link>
+                  </div>
 
-                <motion.button
-                  className="w-full py-3 px-4 bg-gradient-to-r from-black to-gray-950 text-white font-bold rounded-lg shadow-lg hover:from-gray-900 hover:to-gray-600 focus:outline-none focus:ring-green-500 focus:ring-offset-2 focus:ring-offset-gray-900 transition duration-200 mt-2"
-                  type="submit"
-                  disabled={isLoading}
-                >
-                  {isLoading ? (
-                    <Loader className="w-6 h-6 animate-spin mx-auto " />
-                  ) : (
-                    "Login"
-                  )}
-                </motion.button>
-              </form>
+                  <motion.button
+                    className="w-full py-3 px-4 bg-gradient-to-r from-black to-gray-950 text-white font-bold rounded-lg shadow-lg hover:from-gray-900 hover:to-gray-600 focus:outline-none focus:ring-green-500 focus:ring-offset-2 focus:ring-offset-gray-900 transition duration-200 mt-2"
+                    type="submit"
+                    disabled={isLoading}
+                  >
+                    {isLoading ? (
+                      <Loader className="w-6 h-6 animate-spin mx-auto " />
+                    ) : (
+                      "Login"
+                    )}
+                  </motion.button>
+                  <SocialLoginButtons />
+                </form>
+              )}
             </div>
             <div className="px-8 py-4 bg-gray-900 bg-opacity-50 flex justify-center">
               <p className="text-white text-sm">
@@ -166,45 +193,69 @@ const Login = () => {
               <h2 className="mb-6 text-3xl text-center font-semibold text-white">
                 Welcome Back
               </h2>
-              <form onSubmit={handleSubmit}>
-                <Input
-                  icon={Mail}
-                  type="email"
-                  name="email"
-                  label="Email"
-                  placeholder="Email Address"
-                  value={formData.email}
-                  onChange={handleChange}
-                  required
+              {mfaToken ? (
+                <MfaChallengeForm
+                  mfaToken={mfaToken}
+                  onComplete={completeLogin}
+                  onCancel={() => setMfaToken(null)}
+                />
+              ) : passwordExpired ? (
+                <ExpiredPasswordForm
+                  email={formData.email}
+                  currentPassword={formData.password}
+                  onComplete={handlePasswordRotated}
+                  onCancel={() => setPasswordExpired(false)}
                 />
-                <Input
-                  icon={Lock}
-                  label="Password"
-                  type="password"
-                  name="password"
-                  placeholder="Password"
-                  value={formData.password}
-                  onChange={handleChange}
-                  required
+              ) : emailNotVerified ? (
+                <ResendVerificationForm
+                  email={formData.email}
+                  onCancel={() => setEmailNotVerified(false)}
                 />
-                <div className="flex items-center mb-6">
-                  <Link href="/" className="text-sm text-white hover:underline">
-                    Forgot Password?
-                  </Link>
-                </div>
+              ) : (
+                <form onSubmit={handleSubmit}>
+                  <Input
+                    icon={Mail}
+                    type="email"
+                    name="email"
+                    label="Email"
+                    placeholder="Email Address"
+                    value={formData.email}
+                    onChange={handleChange}
+                    required
+                  />
+                  <Input
+                    icon={Lock}
+                    label="Password"
+                    type="password"
+                    name="password"
+                    placeholder="Password"
+                    value={formData.password}
+                    onChange={handleChange}
+                    required
+                  />
+                  <div className="flex items-center mb-6">
+                    <Link
+                      href="/forgot-password"
+                      className="text-sm text-white hover:underline"
+                    >
+                      Forgot Password?
+                    </Link>
+                  </div>
 
-                <motion.button
-                  className="w-full py-3 px-4 bg-gradient-to-r from-black to-gray-950 text-white font-bold rounded-lg shadow-lg hover:from-gray-900 hover:to-gray-600 focus:outline-none focus:ring-green-500 focus:ring-offset-2 focus:ring-offset-gray-900 transition duration-200 mt-2"
-                  type="submit"
-                  disabled={isLoading}
-                >
-                  {isLoading ? (
-                    <Loader className="w-6 h-6 animate-spin mx-auto " />
-                  ) : (
-                    "Login"
-                  )}
-                </motion.button>
-              </form>
+                  <motion.button
+                    className="w-full py-3 px-4 bg-gradient-to-r from-black to-gray-950 text-white font-bold rounded-lg shadow-lg hover:from-gray-900 hover:to-gray-600 focus:outline-none focus:ring-green-500 focus:ring-offset-2 focus:ring-offset-gray-900 transition duration-200 mt-2"
+                    type="submit"
+                    disabled={isLoading}
+                  >
+                    {isLoading ? (
+                      <Loader className="w-6 h-6 animate-spin mx-auto " />
+                    ) : (
+                      "Login"
+                    )}
+                  </motion.button>
+                  <SocialLoginButtons />
+                </form>
+              )}
             </div>
             <div className="px-8 py-4 bg-gray-900 bg-opacity-50 flex justify-center">
               <p className="text-white text-sm">
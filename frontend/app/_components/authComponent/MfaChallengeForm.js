@@ -0,0 +1,76 @@
+"use client";
+import React, { useState } from "react";
+import { motion } from "framer-motion";
+import { KeyRound, Loader } from "lucide-react";
+import Input from "@/components/ui/input";
+import { makePostRequest } from "@/utils/api";
+
+/**
+ * Second login step for accounts with MFA enabled; exchanges the challenge
+ * token from the password step and a TOTP or recovery code for a session
+ */
+const MfaChallengeForm = ({ mfaToken, onComplete, onCancel }) => {
+  const [code, setCode] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    try {
+      const userInfo = await makePostRequest(
+        "api/login/mfa",
+        { mfaToken, code },
+        { credentials: "include" }
+      );
+      onComplete(userInfo);
+    } catch (error) {
+      // Error toast is already shown by handleApiResponse
+      if (error.code === "MFA_CHALLENGE_EXPIRED") {
+        onCancel();
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <p className="mb-4 text-sm text-gray-300">
+        Enter the 6-digit code from your authenticator app, or one of your
+        recovery codes.
+      </p>
+      <Input
+        icon={KeyRound}
+        label="Authentication Code"
+        type="text"
+        name="code"
+        placeholder="123456"
+        autoComplete="one-time-code"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        required
+      />
+
+      <motion.button
+        className="w-full py-3 px-4 bg-gradient-to-r from-black to-gray-950 text-white font-bold rounded-lg shadow-lg hover:from-gray-900 hover:to-gray-600 focus:outline-none focus:ring-green-500 focus:ring-offset-2 focus:ring-offset-gray-900 transition duration-200 mt-6"
+        type="submit"
+        disabled={isLoading}
+      >
+        {isLoading ? (
+          <Loader className="w-6 h-6 animate-spin mx-auto " />
+        ) : (
+          "Verify"
+        )}
+      </motion.button>
+      <button
+        type="button"
+        onClick={onCancel}
+        className="w-full mt-3 text-sm text-white hover:underline"
+      >
+        Back to login
+      </button>
+    </form>
+  );
+};
+
+export default MfaChallengeForm;
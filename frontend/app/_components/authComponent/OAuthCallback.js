@@ -0,0 +1,86 @@
+"use client";
+import React, { useEffect, useRef, useState } from "react";
+import Link from "next/link";
+import { Loader } from "lucide-react";
+import { makePostRequest } from "@/utils/api";
+import AuthCardLayout from "./AuthCardLayout";
+import MfaChallengeForm from "./MfaChallengeForm";
+import useCompleteLogin from "./useCompleteLogin";
+
+/**
+ * Page the sign-in provider redirects back to. Hands the code and state to
+ * the API, which issues the same session as a password login.
+ */
+const OAuthCallback = () => {
+  const completeLogin = useCompleteLogin();
+  const [status, setStatus] = useState("signing-in");
+  const [message, setMessage] = useState("");
+  const [mfaToken, setMfaToken] = useState(null);
+  // Codes are single use; React strict mode runs effects twice
+  const submitted = useRef(false);
+
+  useEffect(() => {
+    if (submitted.current) {
+      return;
+    }
+    submitted.current = true;
+
+    const params = new URLSearchParams(window.location.search);
+    const code = params.get("code");
+    const state = params.get("state");
+    if (!code || !state) {
+      setMessage(
+        params.get("error_description") ||
+          "The sign-in was cancelled or did not complete."
+      );
+      setStatus("failed");
+      return;
+    }
+
+    makePostRequest(
+      "api/oauth/callback",
+      { code, state },
+      { credentials: "include" }
+    )
+      .then((userInfo) => {
+        if (userInfo.mfaRequired) {
+          setMfaToken(userInfo.mfaToken);
+          return;
+        }
+        completeLogin(userInfo);
+      })
+      .catch((error) => {
+        // Error toast is already shown by handleApiResponse
+        setMessage(error.message || "Sign-in failed. Please try again.");
+        setStatus("failed");
+      });
+  }, [completeLogin]);
+
+  return (
+    <AuthCardLayout title="Signing In">
+      {mfaToken ? (
+        <MfaChallengeForm
+          mfaToken={mfaToken}
+          onComplete={completeLogin}
+          onCancel={() => {
+            window.location.href = "/login";
+          }}
+        />
+      ) : status === "failed" ? (
+        <div className="text-center">
+          <p className="mb-4 text-sm text-gray-300">{message}</p>
+          <Link
+            href="/login"
+            className="text-sm text-white hover:underline font-semibold"
+          >
+            Try again
+          </Link>
+        </div>
+      ) : (
+        <Loader className="w-8 h-8 animate-spin mx-auto text-white" />
+      )}
+    </AuthCardLayout>
+  );
+};
+
+export default OAuthCallback;
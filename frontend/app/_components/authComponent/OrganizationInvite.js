@@ -0,0 +1,119 @@
+"use client";
+import React, { useEffect, useState } from "react";
+import Link from "next/link";
+import { useSelector } from "react-redux";
+import { Loader } from "lucide-react";
+import { acceptOrganizationInvite } from "@/lib/api/organizations";
+import AuthCardLayout from "./AuthCardLayout";
+import { RETURN_TO_KEY } from "./useCompleteLogin";
+
+/**
+ * Join an organization with the token from an invite email. Signed-out
+ * visitors are sent to log in or sign up and brought back here.
+ */
+const OrganizationInvite = () => {
+  const { token, isAuthenticated } = useSelector((state) => state.auth);
+  const [inviteToken, setInviteToken] = useState(null);
+  const [status, setStatus] = useState("ready");
+  const [message, setMessage] = useState("");
+
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    setInviteToken(params.get("token"));
+  }, []);
+
+  const rememberInvite = () => {
+    sessionStorage.setItem(
+      RETURN_TO_KEY,
+      `${window.location.pathname}${window.location.search}`
+    );
+  };
+
+  const handleAccept = async () => {
+    setStatus("accepting");
+    try {
+      const result = await acceptOrganizationInvite(token, inviteToken);
+      setMessage(result.message);
+      setStatus("accepted");
+    } catch (error) {
+      setMessage(error.message);
+      setStatus("failed");
+    }
+  };
+
+  const linkClass = "text-sm text-white hover:underline font-semibold";
+
+  return (
+    <AuthCardLayout title="Join Organization">
+      <div className="text-center">
+        {!inviteToken && (
+          <p className="text-sm text-gray-300">
+            This invitation link is incomplete. Open the link from your email
+            again.
+          </p>
+        )}
+
+        {inviteToken && !isAuthenticated && (
+          <>
+            <p className="mb-4 text-sm text-gray-300">
+              Log in or sign up with the email address the invitation was sent
+              to, and you&apos;ll come back here to accept it.
+            </p>
+            <div className="flex justify-center gap-6">
+              <Link
+                href="/login"
+                onClick={rememberInvite}
+                className={linkClass}
+              >
+                Log in
+              </Link>
+              <Link
+                href="/signup"
+                onClick={rememberInvite}
+                className={linkClass}
+              >
+                Sign up
+              </Link>
+            </div>
+          </>
+        )}
+
+        {inviteToken && isAuthenticated && status === "ready" && (
+          <>
+            <p className="mb-4 text-sm text-gray-300">
+              You&apos;ve been invited to join your team&apos;s organization on
+              UpSkillPro.
+            </p>
+            <button
+              onClick={handleAccept}
+              className="w-full py-3 px-4 bg-white text-gray-900 font-bold rounded-lg hover:bg-gray-200 transition duration-200"
+            >
+              Accept Invitation
+            </button>
+          </>
+        )}
+
+        {status === "accepting" && (
+          <Loader className="w-8 h-8 animate-spin mx-auto text-white" />
+        )}
+
+        {status === "accepted" && (
+          <>
+            <p className="mb-4 text-sm text-gray-300">{message}</p>
+            <Link href="/student-dashboard/organizations" className={linkClass}>
+              Go to your organizations
+            </Link>
+          </>
+        )}
+
+        {status === "failed" && (
+          <p className="text-sm text-gray-300">
+            {message} Ask your organization admin to send a new invitation.
+          </p>
+        )}
+      </div>
+    </AuthCardLayout>
+  );
+};
+
+export default OrganizationInvite;
@@ -0,0 +1,82 @@
+"use client";
+import React, { useState } from "react";
+import { toast } from "react-toastify";
+import { motion } from "framer-motion";
+import { Loader, Mail } from "lucide-react";
+import Input from "@/components/ui/input";
+import { makePostRequest } from "@/utils/api";
+
+/**
+ * Ask for a new email verification link, e.g. after login is refused with
+ * EMAIL_NOT_VERIFIED or a verification link has expired
+ */
+const ResendVerificationForm = ({ email: initialEmail = "", onCancel }) => {
+  const [email, setEmail] = useState(initialEmail);
+  const [isLoading, setIsLoading] = useState(false);
+  const [sent, setSent] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    try {
+      await makePostRequest(
+        "api/email/verify/resend",
+        { email },
+        {},
+        (result) => {
+          toast.success(result.message);
+          setSent(true);
+        }
+      );
+    } catch (error) {
+      // Error toast is already shown by handleApiResponse
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <p className="mb-4 text-sm text-gray-300">
+        {sent
+          ? "Check your inbox for a new verification link."
+          : "Your email address has not been verified yet. We can send you a new verification link."}
+      </p>
+      <Input
+        icon={Mail}
+        type="email"
+        name="email"
+        label="Email"
+        placeholder="Email Address"
+        value={email}
+        onChange={(e) => setEmail(e.target.value)}
+        required
+      />
+
+      <motion.button
+        className="w-full py-3 px-4 bg-gradient-to-r from-black to-gray-950 text-white font-bold rounded-lg shadow-lg hover:from-gray-900 hover:to-gray-600 focus:outline-none focus:ring-green-500 focus:ring-offset-2 focus:ring-offset-gray-900 transition duration-200 mt-6"
+        type="submit"
+        disabled={isLoading}
+      >
+        {isLoading ? (
+          <Loader className="w-6 h-6 animate-spin mx-auto " />
+        ) : sent ? (
+          "Send Again"
+        ) : (
+          "Send Verification Link"
+        )}
+      </motion.button>
+      {onCancel && (
+        <button
+          type="button"
+          onClick={onCancel}
+          className="w-full mt-3 text-sm text-white hover:underline"
+        >
+          Back to login
+        </button>
+      )}
+    </form>
+  );
+};
+
+export default ResendVerificationForm;
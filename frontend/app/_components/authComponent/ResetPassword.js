@@ -0,0 +1,114 @@
+"use client";
+import React, { useEffect, useState } from "react";
+import Link from "next/link";
+import { useRouter } from "next/navigation";
+import { toast } from "react-toastify";
+import { motion } from "framer-motion";
+import { Loader, Lock } from "lucide-react";
+import Input from "@/components/ui/input";
+import { makePostRequest } from "@/utils/api";
+import PasswordStrengthChecker from "../HomePageComponents/PasswordStrengthChecker";
+import AuthCardLayout from "./AuthCardLayout";
+
+/**
+ * Choose a new password with the token from a password reset email
+ */
+const ResetPassword = () => {
+  const router = useRouter();
+  const [token, setToken] = useState(null);
+  const [newPassword, setNewPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+  const [linkInvalid, setLinkInvalid] = useState(false);
+
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const linkToken = params.get("token");
+    setToken(linkToken);
+    setLinkInvalid(!linkToken);
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (newPassword !== confirmPassword) {
+      toast.error("Passwords do not match");
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      await makePostRequest(
+        "api/password/reset",
+        { token, newPassword },
+        {},
+        (result) => {
+          toast.success(result.message || "Password reset successfully");
+          router.push("/login");
+        }
+      );
+    } catch (error) {
+      // Error toast is already shown by handleApiResponse
+      if (error.code === "RESET_TOKEN_INVALID") {
+        setLinkInvalid(true);
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <AuthCardLayout title="Reset Password">
+      {linkInvalid ? (
+        <div className="text-center">
+          <p className="mb-4 text-sm text-gray-300">
+            This password reset link is invalid or has expired.
+          </p>
+          <Link
+            href="/forgot-password"
+            className="text-sm text-white hover:underline font-semibold"
+          >
+            Request a new link
+          </Link>
+        </div>
+      ) : (
+        <form onSubmit={handleSubmit}>
+          <Input
+            icon={Lock}
+            label="New Password"
+            type="password"
+            name="newPassword"
+            placeholder="New Password"
+            value={newPassword}
+            onChange={(e) => setNewPassword(e.target.value)}
+            required
+          />
+          <Input
+            icon={Lock}
+            label="Confirm New Password"
+            type="password"
+            name="confirmPassword"
+            placeholder="Confirm New Password"
+            value={confirmPassword}
+            onChange={(e) => setConfirmPassword(e.target.value)}
+            required
+          />
+          <PasswordStrengthChecker password={newPassword} />
+
+          <motion.button
+            className="w-full py-3 px-4 bg-gradient-to-r from-black to-gray-950 text-white font-bold rounded-lg shadow-lg hover:from-gray-900 hover:to-gray-600 focus:outline-none focus:ring-green-500 focus:ring-offset-2 focus:ring-offset-gray-900 transition duration-200 mt-6"
+            type="submit"
+            disabled={isLoading || !token}
+          >
+            {isLoading ? (
+              <Loader className="w-6 h-6 animate-spin mx-auto " />
+            ) : (
+              "Reset Password"
+            )}
+          </motion.button>
+        </form>
+      )}
+    </AuthCardLayout>
+  );
+};
+
+export default ResetPassword;
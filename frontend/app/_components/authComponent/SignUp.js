@@ -1,5 +1,5 @@
 "use client";
-import React, { useEffect, useState } from "react";
+import React, { useState } from "react";
 import Link from "next/link";
 import { useRouter } from "next/navigation";
 import { toast } from "react-toastify";
@@ -11,7 +11,6 @@ import PasswordStrengthChecker from "../HomePageComponents/PasswordStrengthCheck
 import { useSelector } from "react-redux";
 const SignUp = () => {
   const router = useRouter();
-  const [selectedRole, setSelectedRole] = useState("student");
   const [isLoading, setIsLoading] = useState(false);
   const [formData, setFormData] = useState({
     name: "",
@@ -22,14 +21,6 @@ const SignUp = () => {
   const [errorMessage, setErrorMessage] = useState("");
   const isAuthenticated = useSelector((state) => state.auth.isAuthenticated);
 
-  useEffect(() => {
-    const params = new URLSearchParams(window.location.search);
-    const role = params.get("role");
-    if (role) {
-      setSelectedRole(role);
-    }
-  }, []);
-
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData((prevFormData) => ({ ...prevFormData, [name]: value }));
@@ -45,10 +36,15 @@ const SignUp = () => {
     try {
       await makePostRequest(
         "api/signup",
-        { ...formData, role: selectedRole },
+        // Everyone starts as a student; instructors apply from their account
+        { ...formData, role: "student" },
         {},
-        () => {
-          toast.success("Signed In successfully. Login Now");
+        (result) => {
+          toast.success(
+            result.emailVerificationRequired
+              ? "Account created. Check your email to verify your address before logging in"
+              : "Signed up successfully. We sent you an email to verify your address"
+          );
           router.push("/login");
         }
       );
@@ -0,0 +1,45 @@
+"use client";
+import React, { useEffect, useState } from "react";
+import { fetchOidcProviders, getOidcAuthorizeUrl } from "@/lib/api/oauth";
+
+/**
+ * Sign-in buttons for the external providers configured on the API. Renders
+ * nothing when none are configured.
+ */
+const SocialLoginButtons = () => {
+  const [providers, setProviders] = useState([]);
+
+  useEffect(() => {
+    fetchOidcProviders().then(setProviders);
+  }, []);
+
+  if (providers.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mt-6">
+      <div className="flex items-center mb-4">
+        <div className="flex-grow border-t border-gray-600" />
+        <span className="mx-3 text-sm text-gray-400">or continue with</span>
+        <div className="flex-grow border-t border-gray-600" />
+      </div>
+      <div className="space-y-3">
+        {providers.map((provider) => (
+          <button
+            key={provider.id}
+            type="button"
+            onClick={() => {
+              window.location.href = getOidcAuthorizeUrl(provider.id);
+            }}
+            className="w-full py-3 px-4 bg-white text-gray-900 font-semibold rounded-lg shadow hover:bg-gray-100 transition duration-200"
+          >
+            Sign in with {provider.name}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default SocialLoginButtons;
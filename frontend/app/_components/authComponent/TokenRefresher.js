@@ -0,0 +1,48 @@
+"use client";
+import { useEffect } from "react";
+import { useSelector } from "react-redux";
+import { refreshAccessToken } from "@/utils/api";
+
+// Refresh this long before the access token expires
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+/**
+ * Read the expiry of a JWT without verifying it
+ * @returns {number|null} Expiry in ms, or null if unreadable
+ */
+const getTokenExpiry = (token) => {
+  try {
+    const payload = token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/");
+    const { exp } = JSON.parse(atob(payload));
+    return exp ? exp * 1000 : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Keeps the stored access token fresh while the user is signed in, so
+ * components that send it directly never see it expire
+ */
+const TokenRefresher = () => {
+  const token = useSelector((state) => state.auth.token);
+
+  useEffect(() => {
+    const expiresAt = token && getTokenExpiry(token);
+    if (!expiresAt) return;
+
+    const timeout = setTimeout(
+      () => {
+        refreshAccessToken().catch((error) =>
+          console.error("Token refresh failed:", error)
+        );
+      },
+      Math.max(expiresAt - Date.now() - REFRESH_MARGIN_MS, 0)
+    );
+    return () => clearTimeout(timeout);
+  }, [token]);
+
+  return null;
+};
+
+export default TokenRefresher;
@@ -0,0 +1,63 @@
+"use client";
+import React, { useEffect, useState } from "react";
+import Link from "next/link";
+import { Loader } from "lucide-react";
+import { makePostRequest } from "@/utils/api";
+import AuthCardLayout from "./AuthCardLayout";
+import ResendVerificationForm from "./ResendVerificationForm";
+
+/**
+ * Confirm the email address with the token from a verification email
+ */
+const VerifyEmail = () => {
+  const [status, setStatus] = useState("verifying");
+  const [message, setMessage] = useState("");
+
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const token = params.get("token");
+    if (!token) {
+      setStatus("failed");
+      return;
+    }
+
+    makePostRequest("api/email/verify", { token }, {}, (result) => {
+      setMessage(result.message);
+      setStatus("verified");
+    }).catch(() => {
+      // Error toast is already shown by handleApiResponse
+      setStatus("failed");
+    });
+  }, []);
+
+  return (
+    <AuthCardLayout title="Verify Email">
+      {status === "verifying" && (
+        <Loader className="w-8 h-8 animate-spin mx-auto text-white" />
+      )}
+      {status === "verified" && (
+        <div className="text-center">
+          <p className="mb-4 text-sm text-gray-300">
+            {message || "Your email address has been verified."}
+          </p>
+          <Link
+            href="/login"
+            className="text-sm text-white hover:underline font-semibold"
+          >
+            Continue to login
+          </Link>
+        </div>
+      )}
+      {status === "failed" && (
+        <>
+          <p className="mb-4 text-sm text-gray-300">
+            This verification link is invalid or has expired.
+          </p>
+          <ResendVerificationForm />
+        </>
+      )}
+    </AuthCardLayout>
+  );
+};
+
+export default VerifyEmail;
@@ -0,0 +1,50 @@
+"use client";
+import { toast } from "react-toastify";
+import { useDispatch } from "react-redux";
+import { loginSuccess } from "@/features/auth/authSlice";
+import { returnPathByRole } from "@/utils/userUtil";
+
+export const RETURN_TO_KEY = "returnTo";
+
+/**
+ * Store a successful login response and go to the user's dashboard. Shared by
+ * the password and external provider sign-ins.
+ * @returns {Function} completeLogin(userInfo)
+ */
+const useCompleteLogin = () => {
+  const dispatch = useDispatch();
+
+  return (userInfo) => {
+    const { user, token, mfaSetupRequired } = userInfo;
+
+    if (!user || !token) {
+      throw new Error("Invalid response from server");
+    }
+
+    // Store token in localStorage as backup
+    localStorage.setItem("token", token);
+
+    // Dispatch login success to Redux
+    dispatch(loginSuccess({ user, token }));
+
+    toast.success("Logged in successfully! 🎉");
+
+    // Pages that need a signed-in user, such as organization invites, ask to
+    // be returned to. Only paths on this site are followed.
+    const returnTo = sessionStorage.getItem(RETURN_TO_KEY);
+    sessionStorage.removeItem(RETURN_TO_KEY);
+    const isLocalPath = /^\/(?![/\\])/.test(returnTo || "");
+
+    // Accounts that must use MFA enrol before reaching their dashboard
+    const dashboardPath = mfaSetupRequired
+      ? "/mfa-setup"
+      : isLocalPath
+        ? returnTo
+        : returnPathByRole(user.role);
+
+    // Use window.location for more reliable redirect
+    window.location.href = dashboardPath;
+  };
+};
+
+export default useCompleteLogin;
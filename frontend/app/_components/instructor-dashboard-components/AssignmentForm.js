@@ -0,0 +1,280 @@
+"use client";
+
+import React, { useState } from "react";
+import { Plus, Save, Trash2 } from "lucide-react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import RichTextEditor from "@/components/RichTextEditor";
+
+const inputClassName =
+  "w-full rounded-md border border-gray-300 px-3 py-2 text-sm focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500";
+
+let lastId = 0;
+const localId = () => `${Date.now().toString(36)}-${++lastId}`;
+
+const emptyCriterion = () => ({
+  key: localId(),
+  title: "",
+  description: "",
+  maxPoints: 10,
+});
+
+// datetime-local inputs work in the browser's time zone without an offset
+const toLocalDateTime = (isoDate) => {
+  if (!isoDate) return "";
+  const date = new Date(isoDate);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000)
+    .toISOString()
+    .slice(0, 16);
+};
+
+// Only send what the API accepts; existing criteria keep their IDs so
+// earlier grades still line up
+const toPayloadCriterion = ({
+  criterionId,
+  title,
+  description,
+  maxPoints,
+}) => ({
+  ...(criterionId && { criterionId }),
+  title,
+  description,
+  maxPoints: Number(maxPoints) || 1,
+});
+
+/**
+ * Form for an assignment's instructions, due date and rubric, shared by the
+ * new and edit assignment pages
+ * @param {Object} props
+ * @param {Object} [props.initialAssignment] - Assignment to edit
+ * @param {Array} [props.sections] - { id, title } choices for a new
+ * assignment; the section picker is hidden when omitted
+ * @param {Function} props.onSave - Called with the request body
+ * @param {string} props.submitLabel - Label for the save button
+ */
+const AssignmentForm = ({
+  initialAssignment,
+  sections,
+  onSave,
+  submitLabel,
+}) => {
+  const [title, setTitle] = useState(initialAssignment?.title || "");
+  const [sectionId, setSectionId] = useState("");
+  const [instructions, setInstructions] = useState(
+    initialAssignment?.instructions || ""
+  );
+  const [dueAt, setDueAt] = useState(toLocalDateTime(initialAssignment?.dueAt));
+  const [allowLateSubmissions, setAllowLateSubmissions] = useState(
+    initialAssignment?.allowLateSubmissions ?? true
+  );
+  const [rubric, setRubric] = useState(
+    initialAssignment?.rubric?.map((criterion) => ({
+      ...criterion,
+      key: criterion.criterionId,
+    })) || [emptyCriterion()]
+  );
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const totalPoints = rubric.reduce(
+    (sum, criterion) => sum + (Number(criterion.maxPoints) || 0),
+    0
+  );
+
+  const updateCriterion = (key, changes) =>
+    setRubric((current) =>
+      current.map((criterion) =>
+        criterion.key === key ? { ...criterion, ...changes } : criterion
+      )
+    );
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    // The editor's empty state is markup, not an empty string
+    if (!instructions.replace(/<[^>]*>/g, "").trim()) {
+      setError("Add instructions for learners");
+      return;
+    }
+
+    setError(null);
+    setSaving(true);
+    try {
+      await onSave({
+        title,
+        ...(sections && { sectionId: sectionId || null }),
+        instructions,
+        dueAt: dueAt ? new Date(dueAt).toISOString() : null,
+        allowLateSubmissions,
+        rubric: rubric.map(toPayloadCriterion),
+      });
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-base">Assignment</CardTitle>
+        </CardHeader>
+        <CardContent className="grid gap-4 sm:grid-cols-2">
+          <label className="text-sm font-medium sm:col-span-2">
+            Title
+            <input
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              className={`${inputClassName} mt-1`}
+              maxLength={255}
+              required
+            />
+          </label>
+          {sections && (
+            <label className="text-sm font-medium sm:col-span-2">
+              Section
+              <select
+                value={sectionId}
+                onChange={(e) => setSectionId(e.target.value)}
+                className={`${inputClassName} mt-1`}
+              >
+                <option value="">Not in a section</option>
+                {sections.map((section) => (
+                  <option key={section.id} value={section.id}>
+                    {section.title}
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+          <div className="text-sm font-medium sm:col-span-2">
+            Instructions
+            <div className="mt-1">
+              <RichTextEditor
+                value={instructions}
+                onChange={setInstructions}
+                placeholder="Describe the task, what to hand in and how it will be graded..."
+                minHeight={200}
+              />
+            </div>
+          </div>
+          <label className="text-sm font-medium">
+            Due date
+            <input
+              type="datetime-local"
+              value={dueAt}
+              onChange={(e) => setDueAt(e.target.value)}
+              className={`${inputClassName} mt-1`}
+            />
+            <span className="text-xs font-normal text-gray-500">
+              Leave empty for no due date
+            </span>
+          </label>
+          <label className="flex items-center gap-2 text-sm font-medium">
+            <input
+              type="checkbox"
+              checked={allowLateSubmissions}
+              onChange={(e) => setAllowLateSubmissions(e.target.checked)}
+              disabled={!dueAt}
+            />
+            Accept late submissions
+          </label>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader className="flex flex-row items-center justify-between space-y-0">
+          <CardTitle className="text-base">Rubric</CardTitle>
+          <span className="text-sm text-gray-500">{totalPoints} points</span>
+        </CardHeader>
+        <CardContent className="space-y-3">
+          {rubric.map((criterion, index) => (
+            <div
+              key={criterion.key}
+              className="space-y-2 rounded-md border border-gray-200 p-3"
+            >
+              <div className="flex items-center gap-2">
+                <input
+                  value={criterion.title}
+                  onChange={(e) =>
+                    updateCriterion(criterion.key, { title: e.target.value })
+                  }
+                  placeholder={`Criterion ${index + 1}`}
+                  className={inputClassName}
+                  maxLength={200}
+                  required
+                />
+                <input
+                  type="number"
+                  min={1}
+                  max={100}
+                  value={criterion.maxPoints}
+                  onChange={(e) =>
+                    updateCriterion(criterion.key, {
+                      maxPoints: e.target.value,
+                    })
+                  }
+                  className="w-20 rounded-md border border-gray-300 px-2 py-2 text-sm"
+                  aria-label="Points"
+                  title="Points"
+                  required
+                />
+                <Button
+                  type="button"
+                  variant="ghost"
+                  size="sm"
+                  onClick={() =>
+                    setRubric((current) =>
+                      current.filter((item) => item.key !== criterion.key)
+                    )
+                  }
+                  disabled={rubric.length === 1}
+                  aria-label="Delete criterion"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+              <textarea
+                value={criterion.description}
+                onChange={(e) =>
+                  updateCriterion(criterion.key, {
+                    description: e.target.value,
+                  })
+                }
+                placeholder="What earns full marks (optional)"
+                className={inputClassName}
+                maxLength={1000}
+                rows={2}
+              />
+            </div>
+          ))}
+          {rubric.length < 20 && (
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              onClick={() =>
+                setRubric((current) => [...current, emptyCriterion()])
+              }
+            >
+              <Plus className="h-4 w-4 mr-1" />
+              Add Criterion
+            </Button>
+          )}
+        </CardContent>
+      </Card>
+
+      <div className="flex justify-end">
+        <Button type="submit" disabled={saving}>
+          <Save className="h-4 w-4 mr-1" />
+          {saving ? "Saving..." : submitLabel}
+        </Button>
+      </div>
+      {error && <p className="text-sm text-red-600">{error}</p>}
+    </form>
+  );
+};
+
+export default AssignmentForm;
@@ -0,0 +1,165 @@
+"use client";
+
+import React from "react";
+import { Trash2 } from "lucide-react";
+import Button from "@mui/material/Button";
+import { Stack, TextField, Typography } from "@mui/material";
+import { uploadCaptions } from "@/lib/api/captions";
+
+let lastId = 0;
+const localId = () => `${Date.now().toString(36)}-${++lastId}`;
+
+// "intro.en.srt" and "intro.pt-BR.vtt" name their language
+const languageFromFileName = (name) =>
+  name.match(
+    /\.([a-z]{2,3}(?:-[A-Za-z0-9]{2,8})?)\.(?:vtt|srt|VTT|SRT)$/
+  )?.[1] || "";
+
+/**
+ * Upload the chosen caption files to a lecture
+ * @param {string} courseId - Course ID
+ * @param {string} lectureId - Lecture ID
+ * @param {Array} tracks - { language, label, file } tracks from the field
+ * @returns {Promise<Array>} Messages for the files that were not saved
+ */
+export async function uploadCaptionTracks(courseId, lectureId, tracks) {
+  const results = await Promise.allSettled(
+    tracks.map((track) => uploadCaptions(courseId, lectureId, track))
+  );
+
+  return results.flatMap((result, index) =>
+    result.status === "rejected"
+      ? [`${tracks[index].file.name}: ${result.reason.message}`]
+      : []
+  );
+}
+
+/**
+ * Caption files to upload with a lecture, one per language, shared by the
+ * add and edit lecture pages
+ * @param {Object} props
+ * @param {Array} props.tracks - { key, language, label, file } files chosen
+ * @param {Function} props.onChange - Called with the new list of files
+ * @param {Array} [props.existing] - { language, label } tracks the lecture
+ * already has
+ * @param {Function} [props.onRemoveExisting] - Called with the language of an
+ * existing track to delete
+ */
+const CaptionTracksField = ({
+  tracks,
+  onChange,
+  existing = [],
+  onRemoveExisting,
+}) => {
+  const handleFiles = (event) => {
+    const files = Array.from(event.target.files);
+    event.target.value = "";
+
+    onChange([
+      ...tracks,
+      ...files.map((file) => ({
+        key: localId(),
+        language: languageFromFileName(file.name),
+        label: "",
+        file,
+      })),
+    ]);
+  };
+
+  const updateTrack = (key, changes) =>
+    onChange(
+      tracks.map((track) =>
+        track.key === key ? { ...track, ...changes } : track
+      )
+    );
+
+  return (
+    <Stack spacing={1} mt={3}>
+      <Typography variant="subtitle1" fontWeight={700}>
+        Captions
+      </Typography>
+      <Typography variant="body2" color="text.secondary">
+        WebVTT (.vtt) or SRT (.srt) files, one per language. A file in a
+        language the lecture already has replaces it.
+      </Typography>
+
+      {existing.map((track) => (
+        <Stack
+          key={track.language}
+          direction="row"
+          alignItems="center"
+          justifyContent="space-between"
+        >
+          <Typography>
+            {track.label} ({track.language})
+          </Typography>
+          <button
+            type="button"
+            onClick={() => onRemoveExisting(track.language)}
+            aria-label={`Delete ${track.label} captions`}
+          >
+            <Trash2 className="h-4 w-4 text-gray-500" />
+          </button>
+        </Stack>
+      ))}
+
+      {tracks.map((track) => (
+        <Stack key={track.key} direction="row" spacing={1} alignItems="center">
+          <Typography
+            sx={{ flex: 1, minWidth: 0, overflowWrap: "anywhere" }}
+            variant="body2"
+          >
+            {track.file.name}
+          </Typography>
+          <TextField
+            label="Language"
+            placeholder="en"
+            size="small"
+            value={track.language}
+            onChange={(e) =>
+              updateTrack(track.key, { language: e.target.value.trim() })
+            }
+            inputProps={{ pattern: "[a-z]{2,3}(-[A-Za-z0-9]{2,8})*" }}
+            required
+            sx={{ width: 110 }}
+          />
+          <TextField
+            label="Label"
+            placeholder="English"
+            size="small"
+            value={track.label}
+            onChange={(e) => updateTrack(track.key, { label: e.target.value })}
+            inputProps={{ maxLength: 50 }}
+            required
+            sx={{ width: 150 }}
+          />
+          <button
+            type="button"
+            onClick={() =>
+              onChange(tracks.filter((item) => item.key !== track.key))
+            }
+            aria-label="Remove caption file"
+          >
+            <Trash2 className="h-4 w-4 text-gray-500" />
+          </button>
+        </Stack>
+      ))}
+
+      <label htmlFor="caption-upload">
+        <Button variant="outlined" component="span" size="small">
+          Add Caption Files
+        </Button>
+      </label>
+      <input
+        type="file"
+        id="caption-upload"
+        hidden
+        multiple
+        accept=".vtt,.srt,text/vtt"
+        onChange={handleFiles}
+      />
+    </Stack>
+  );
+};
+
+export default CaptionTracksField;
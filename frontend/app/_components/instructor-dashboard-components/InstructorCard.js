@@ -3,13 +3,25 @@ import { Badge } from "@/components/ui/badge";
 import React, { useState } from "react";
 import { useRouter } from "next/navigation";
 import RatingDisplay from "@/components/RatingDisplay";
-import { Trash2, Edit, Plus } from "lucide-react";
+import { Trash2, Edit, Plus, Send, Globe } from "lucide-react";
 import { toast } from "react-toastify";
 
+const STATUS_STYLES = {
+  draft: { label: "Draft", className: "bg-gray-500" },
+  pending_review: { label: "Pending Review", className: "bg-yellow-500" },
+  approved: { label: "Approved", className: "bg-green-600" },
+  published: { label: "Published", className: "bg-green-600" },
+  rejected: { label: "Rejected", className: "bg-red-600" },
+};
+
 const InstructorCard = ({ course, onDelete }) => {
   const router = useRouter();
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
   const [isDeleting, setIsDeleting] = useState(false);
+  const [status, setStatus] = useState(course.status || "published");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const statusStyle = STATUS_STYLES[status] || STATUS_STYLES.draft;
+  const canSubmit = status === "draft" || status === "rejected";
 
   const handleAddLecture = (id) => {
     router.push(`instructor-dashboard/courses/${id}/add-lecture`);
@@ -47,6 +59,58 @@ const InstructorCard = ({ course, onDelete }) => {
       setIsDeleting(false);
     }
   };
+
+  const handleSubmitForReview = async () => {
+    setIsSubmitting(true);
+    try {
+      const response = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/courses/${course.id}/submit`,
+        {
+          method: "POST",
+          credentials: "include",
+        }
+      );
+
+      const result = await response.json();
+      if (response.ok) {
+        toast.success(result.message || "Course submitted for review");
+        setStatus(result.course?.status || "pending_review");
+      } else {
+        toast.error(result.message || "Failed to submit course");
+      }
+    } catch (error) {
+      console.error("Error submitting course:", error);
+      toast.error("An error occurred while submitting the course");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handlePublish = async () => {
+    setIsSubmitting(true);
+    try {
+      const response = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/courses/${course.id}/publish`,
+        {
+          method: "POST",
+          credentials: "include",
+        }
+      );
+
+      const result = await response.json();
+      if (response.ok) {
+        toast.success(result.message || "Course published successfully");
+        setStatus(result.course?.status || "published");
+      } else {
+        toast.error(result.message || "Failed to publish course");
+      }
+    } catch (error) {
+      console.error("Error publishing course:", error);
+      toast.error("An error occurred while publishing the course");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
   return (
     <Card className="overflow-hidden rounded-lg dark:bg-gray-800 bg-white shadow-lg hover:shadow-2xl transform hover:scale-105 transition-all duration-300 ">
       <div className="relative">
@@ -65,6 +129,14 @@ const InstructorCard = ({ course, onDelete }) => {
             {course.categoryName || "Uncategorized"}
           </Badge>
         </div>
+        {/* Review Status Badge */}
+        <div className="absolute top-2 right-2">
+          <Badge
+            className={`${statusStyle.className} text-white px-2 py-1 text-xs font-semibold rounded-full shadow-md`}
+          >
+            {statusStyle.label}
+          </Badge>
+        </div>
       </div>
       <CardContent className="px-3 sm:px-4 py-3 sm:py-4 space-y-2 sm:space-y-3">
         <h1 className="hover:underline font-bold text-base sm:text-lg truncate">
@@ -77,6 +149,11 @@ const InstructorCard = ({ course, onDelete }) => {
             size="small"
           />
         </div>
+        {status === "rejected" && course.reviewReason && (
+          <p className="text-xs text-red-600">
+            Rejected: {course.reviewReason}
+          </p>
+        )}
         <div className="flex flex-col sm:flex-row gap-2">
           <button
             className="flex items-center justify-center gap-2 px-3 py-2 bg-black text-white text-sm rounded hover:bg-gray-700 transition-colors"
@@ -99,6 +176,26 @@ const InstructorCard = ({ course, onDelete }) => {
             <Trash2 className="w-4 h-4" />
             Delete
           </button>
+          {canSubmit && (
+            <button
+              className="flex items-center justify-center gap-2 px-3 py-2 bg-green-600 text-white text-sm rounded hover:bg-green-700 transition-colors disabled:opacity-50"
+              onClick={handleSubmitForReview}
+              disabled={isSubmitting}
+            >
+              <Send className="w-4 h-4" />
+              {isSubmitting ? "Submitting..." : "Submit for Review"}
+            </button>
+          )}
+          {status === "approved" && (
+            <button
+              className="flex items-center justify-center gap-2 px-3 py-2 bg-green-600 text-white text-sm rounded hover:bg-green-700 transition-colors disabled:opacity-50"
+              onClick={handlePublish}
+              disabled={isSubmitting}
+            >
+              <Globe className="w-4 h-4" />
+              {isSubmitting ? "Publishing..." : "Publish"}
+            </button>
+          )}
         </div>
       </CardContent>
 
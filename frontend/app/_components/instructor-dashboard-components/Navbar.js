@@ -16,6 +16,7 @@ import MenuIcon from "@mui/icons-material/Menu";
 import { useRouter } from "next/navigation";
 import { useDispatch } from "react-redux";
 import { logout } from "@/features/auth/authSlice";
+import { logoutSession } from "@/utils/api";
 import { toast } from "react-toastify";
 import Cookies from "js-cookie";
 import Image from "next/image";
@@ -30,6 +31,7 @@ function Navbar() {
     Cookies.remove("userName", { path: "/" });
     Cookies.remove("userRole", { path: "/" });
     Cookies.remove("userEmail", { path: "/" });
+    logoutSession();
     dispatch(logout());
     dispatch(clearEnrolledCourses());
     router.push("/");
@@ -0,0 +1,418 @@
+"use client";
+
+import React, { useState } from "react";
+import { Plus, Save, Trash2 } from "lucide-react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+
+const inputClassName =
+  "w-full rounded-md border border-gray-300 px-3 py-2 text-sm focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500";
+
+const QUESTION_TYPES = [
+  { value: "multiple_choice", label: "Multiple choice" },
+  { value: "multi_select", label: "Multiple answers" },
+  { value: "true_false", label: "True / False" },
+  { value: "short_answer", label: "Short answer" },
+];
+
+const TRUE_FALSE_OPTIONS = [
+  { optionId: "true", text: "True" },
+  { optionId: "false", text: "False" },
+];
+
+let lastId = 0;
+const localId = () => `${Date.now().toString(36)}-${++lastId}`;
+
+const emptyOption = () => ({ optionId: localId(), text: "" });
+
+const emptyQuestion = (type = "multiple_choice") => ({
+  key: localId(),
+  type,
+  prompt: "",
+  points: 1,
+  options: [emptyOption(), emptyOption()],
+  correctOptionIds: type === "true_false" ? ["true"] : [],
+  acceptedAnswers: "",
+});
+
+// Questions from the API, in the shape the form edits
+const toFormQuestion = (question) => ({
+  ...emptyQuestion(question.type),
+  ...question,
+  key: question.questionId,
+  options: question.options || [emptyOption(), emptyOption()],
+  correctOptionIds: question.correctOptionIds || [],
+  acceptedAnswers: (question.acceptedAnswers || []).join("\n"),
+});
+
+// Only send the fields each question type accepts
+const toPayloadQuestion = ({
+  questionId,
+  type,
+  prompt,
+  points,
+  options,
+  correctOptionIds,
+  acceptedAnswers,
+}) => ({
+  ...(questionId && { questionId }),
+  type,
+  prompt,
+  points: Number(points) || 1,
+  ...((type === "multiple_choice" || type === "multi_select") && { options }),
+  ...(type === "short_answer"
+    ? {
+        acceptedAnswers: acceptedAnswers
+          .split("\n")
+          .map((answer) => answer.trim())
+          .filter(Boolean),
+      }
+    : { correctOptionIds }),
+});
+
+/**
+ * Form for a quiz's settings and questions, shared by the new and edit quiz
+ * pages. Answer keys are checked again by the API when the quiz is saved.
+ * @param {Object} props
+ * @param {Object} [props.initialQuiz] - Quiz to edit, with its answer key
+ * @param {Array} [props.sections] - { id, title } choices for a new quiz;
+ * the section picker is hidden when omitted
+ * @param {Function} props.onSave - Called with the request body
+ * @param {string} props.submitLabel - Label for the save button
+ */
+const QuizBuilder = ({ initialQuiz, sections, onSave, submitLabel }) => {
+  const [title, setTitle] = useState(initialQuiz?.title || "");
+  const [sectionId, setSectionId] = useState("");
+  const [passingScore, setPassingScore] = useState(
+    initialQuiz?.passingScore ?? 70
+  );
+  const [maxAttempts, setMaxAttempts] = useState(
+    initialQuiz?.maxAttempts ?? ""
+  );
+  const [shuffleQuestions, setShuffleQuestions] = useState(
+    initialQuiz?.shuffleQuestions || false
+  );
+  const [questions, setQuestions] = useState(
+    initialQuiz?.questions?.map(toFormQuestion) || [emptyQuestion()]
+  );
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const updateQuestion = (key, changes) =>
+    setQuestions((current) =>
+      current.map((question) =>
+        question.key === key ? { ...question, ...changes } : question
+      )
+    );
+
+  const changeType = (question, type) =>
+    updateQuestion(question.key, {
+      type,
+      correctOptionIds: type === "true_false" ? ["true"] : [],
+    });
+
+  const toggleCorrect = (question, optionId) => {
+    if (question.type === "multi_select") {
+      updateQuestion(question.key, {
+        correctOptionIds: question.correctOptionIds.includes(optionId)
+          ? question.correctOptionIds.filter((id) => id !== optionId)
+          : [...question.correctOptionIds, optionId],
+      });
+    } else {
+      updateQuestion(question.key, { correctOptionIds: [optionId] });
+    }
+  };
+
+  const updateOption = (question, optionId, text) =>
+    updateQuestion(question.key, {
+      options: question.options.map((option) =>
+        option.optionId === optionId ? { ...option, text } : option
+      ),
+    });
+
+  const removeOption = (question, optionId) =>
+    updateQuestion(question.key, {
+      options: question.options.filter(
+        (option) => option.optionId !== optionId
+      ),
+      correctOptionIds: question.correctOptionIds.filter(
+        (id) => id !== optionId
+      ),
+    });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const unanswered = questions.findIndex(
+      (question) =>
+        question.type !== "short_answer" &&
+        question.correctOptionIds.length === 0
+    );
+    if (unanswered !== -1) {
+      setError(`Mark the correct answer for question ${unanswered + 1}`);
+      return;
+    }
+
+    setError(null);
+    setSaving(true);
+    try {
+      await onSave({
+        title,
+        ...(sections && { sectionId: sectionId || null }),
+        passingScore: Number(passingScore),
+        maxAttempts: maxAttempts === "" ? null : Number(maxAttempts),
+        shuffleQuestions,
+        questions: questions.map(toPayloadQuestion),
+      });
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-base">Settings</CardTitle>
+        </CardHeader>
+        <CardContent className="grid gap-4 sm:grid-cols-2">
+          <label className="text-sm font-medium sm:col-span-2">
+            Title
+            <input
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              className={`${inputClassName} mt-1`}
+              maxLength={255}
+              required
+            />
+          </label>
+          {sections && (
+            <label className="text-sm font-medium sm:col-span-2">
+              Section
+              <select
+                value={sectionId}
+                onChange={(e) => setSectionId(e.target.value)}
+                className={`${inputClassName} mt-1`}
+              >
+                <option value="">Not in a section</option>
+                {sections.map((section) => (
+                  <option key={section.id} value={section.id}>
+                    {section.title}
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+          <label className="text-sm font-medium">
+            Passing score (%)
+            <input
+              type="number"
+              min={0}
+              max={100}
+              value={passingScore}
+              onChange={(e) => setPassingScore(e.target.value)}
+              className={`${inputClassName} mt-1`}
+              required
+            />
+          </label>
+          <label className="text-sm font-medium">
+            Attempts allowed
+            <input
+              type="number"
+              min={1}
+              max={100}
+              value={maxAttempts}
+              onChange={(e) => setMaxAttempts(e.target.value)}
+              placeholder="Unlimited"
+              className={`${inputClassName} mt-1`}
+            />
+          </label>
+          <label className="flex items-center gap-2 text-sm font-medium sm:col-span-2">
+            <input
+              type="checkbox"
+              checked={shuffleQuestions}
+              onChange={(e) => setShuffleQuestions(e.target.checked)}
+            />
+            Show questions in a random order
+          </label>
+        </CardContent>
+      </Card>
+
+      {questions.map((question, index) => (
+        <Card key={question.key}>
+          <CardHeader className="flex flex-row items-center gap-2 space-y-0">
+            <CardTitle className="flex-1 text-base">
+              Question {index + 1}
+            </CardTitle>
+            <select
+              value={question.type}
+              onChange={(e) => changeType(question, e.target.value)}
+              className="rounded-md border border-gray-300 px-2 py-1 text-sm"
+              aria-label="Question type"
+            >
+              {QUESTION_TYPES.map((type) => (
+                <option key={type.value} value={type.value}>
+                  {type.label}
+                </option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min={1}
+              max={100}
+              value={question.points}
+              onChange={(e) =>
+                updateQuestion(question.key, { points: e.target.value })
+              }
+              className="w-16 rounded-md border border-gray-300 px-2 py-1 text-sm"
+              aria-label="Points"
+              title="Points"
+            />
+            <Button
+              type="button"
+              variant="ghost"
+              size="sm"
+              onClick={() =>
+                setQuestions((current) =>
+                  current.filter((item) => item.key !== question.key)
+                )
+              }
+              disabled={questions.length === 1}
+              aria-label="Delete question"
+            >
+              <Trash2 className="h-4 w-4" />
+            </Button>
+          </CardHeader>
+          <CardContent className="space-y-3">
+            <textarea
+              value={question.prompt}
+              onChange={(e) =>
+                updateQuestion(question.key, { prompt: e.target.value })
+              }
+              placeholder="Question"
+              className={inputClassName}
+              maxLength={2000}
+              rows={2}
+              required
+            />
+
+            {question.type === "short_answer" ? (
+              <label className="block text-sm font-medium">
+                Accepted answers, one per line
+                <textarea
+                  value={question.acceptedAnswers}
+                  onChange={(e) =>
+                    updateQuestion(question.key, {
+                      acceptedAnswers: e.target.value,
+                    })
+                  }
+                  className={`${inputClassName} mt-1`}
+                  rows={3}
+                  required
+                />
+                <span className="text-xs font-normal text-gray-500">
+                  Case and extra spaces are ignored
+                </span>
+              </label>
+            ) : (
+              <div className="space-y-2">
+                {(question.type === "true_false"
+                  ? TRUE_FALSE_OPTIONS
+                  : question.options
+                ).map((option) => (
+                  <div
+                    key={option.optionId}
+                    className="flex items-center gap-2"
+                  >
+                    <input
+                      type={
+                        question.type === "multi_select" ? "checkbox" : "radio"
+                      }
+                      name={`correct-${question.key}`}
+                      checked={question.correctOptionIds.includes(
+                        option.optionId
+                      )}
+                      onChange={() => toggleCorrect(question, option.optionId)}
+                      aria-label="Correct answer"
+                    />
+                    {question.type === "true_false" ? (
+                      <span className="text-sm">{option.text}</span>
+                    ) : (
+                      <>
+                        <input
+                          value={option.text}
+                          onChange={(e) =>
+                            updateOption(
+                              question,
+                              option.optionId,
+                              e.target.value
+                            )
+                          }
+                          placeholder="Answer"
+                          className={inputClassName}
+                          maxLength={500}
+                          required
+                        />
+                        <Button
+                          type="button"
+                          variant="ghost"
+                          size="sm"
+                          onClick={() =>
+                            removeOption(question, option.optionId)
+                          }
+                          disabled={question.options.length <= 2}
+                          aria-label="Delete answer"
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </Button>
+                      </>
+                    )}
+                  </div>
+                ))}
+                {question.type !== "true_false" &&
+                  question.options.length < 10 && (
+                    <Button
+                      type="button"
+                      variant="outline"
+                      size="sm"
+                      onClick={() =>
+                        updateQuestion(question.key, {
+                          options: [...question.options, emptyOption()],
+                        })
+                      }
+                    >
+                      <Plus className="h-4 w-4 mr-1" />
+                      Add Answer
+                    </Button>
+                  )}
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      ))}
+
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <Button
+          type="button"
+          variant="outline"
+          onClick={() =>
+            setQuestions((current) => [...current, emptyQuestion()])
+          }
+          disabled={questions.length >= 100}
+        >
+          <Plus className="h-4 w-4 mr-1" />
+          Add Question
+        </Button>
+        <Button type="submit" disabled={saving}>
+          <Save className="h-4 w-4 mr-1" />
+          {saving ? "Saving..." : submitLabel}
+        </Button>
+      </div>
+      {error && <p className="text-sm text-red-600">{error}</p>}
+    </form>
+  );
+};
+
+export default QuizBuilder;
@@ -0,0 +1,166 @@
+"use client";
+
+import React, { useState } from "react";
+import { Paperclip, Save } from "lucide-react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+
+const inputClassName =
+  "w-full rounded-md border border-gray-300 px-3 py-2 text-sm focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500";
+
+const formatDate = (isoDate) => new Date(isoDate).toLocaleString();
+
+/**
+ * One learner's submission in the grading queue, with a score for each
+ * rubric criterion and feedback. Graded work can be regraded.
+ * @param {Object} props
+ * @param {Object} props.assignment - Assignment with its rubric
+ * @param {Object} props.submission - Learner's submission
+ * @param {Function} props.onGrade - Called with { scores, feedback }
+ */
+const SubmissionGrader = ({ assignment, submission, onGrade }) => {
+  const earlierScores = new Map(
+    (submission.grade?.scores || []).map((score) => [
+      score.criterionId,
+      score.points,
+    ])
+  );
+  const [points, setPoints] = useState(() =>
+    Object.fromEntries(
+      assignment.rubric.map((criterion) => [
+        criterion.criterionId,
+        earlierScores.get(criterion.criterionId) ?? "",
+      ])
+    )
+  );
+  const [feedback, setFeedback] = useState(submission.grade?.feedback || "");
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const total = Object.values(points).reduce(
+    (sum, value) => sum + (Number(value) || 0),
+    0
+  );
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setSaving(true);
+    try {
+      await onGrade({
+        scores: assignment.rubric.map((criterion) => ({
+          criterionId: criterion.criterionId,
+          points: Number(points[criterion.criterionId]),
+        })),
+        feedback,
+      });
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row flex-wrap items-center justify-between gap-2 space-y-0">
+        <div>
+          <CardTitle className="text-base">{submission.userName}</CardTitle>
+          <p className="text-sm text-gray-500">
+            {assignment.title} · Submitted {formatDate(submission.submittedAt)}
+            {submission.late && (
+              <span className="ml-2 rounded bg-amber-100 px-1.5 py-0.5 text-xs font-medium text-amber-800">
+                Late
+              </span>
+            )}
+          </p>
+        </div>
+        {submission.grade && (
+          <span className="rounded bg-green-100 px-2 py-1 text-sm font-medium text-green-800">
+            {submission.grade.points} / {submission.grade.maxPoints}
+          </span>
+        )}
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <ul className="space-y-1">
+          {submission.files.map((file) => (
+            <li key={file.fileKey}>
+              <a
+                href={file.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="inline-flex items-center text-sm text-blue-600 hover:underline"
+              >
+                <Paperclip className="h-4 w-4 mr-1" />
+                {file.fileName}
+              </a>
+            </li>
+          ))}
+        </ul>
+        {submission.comment && (
+          <p className="whitespace-pre-wrap rounded-md bg-gray-50 p-3 text-sm text-gray-700">
+            {submission.comment}
+          </p>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-3">
+          {assignment.rubric.map((criterion) => (
+            <div key={criterion.criterionId} className="flex items-start gap-3">
+              <div className="flex-1">
+                <p className="text-sm font-medium">{criterion.title}</p>
+                {criterion.description && (
+                  <p className="text-xs text-gray-500">
+                    {criterion.description}
+                  </p>
+                )}
+              </div>
+              <input
+                type="number"
+                min={0}
+                max={criterion.maxPoints}
+                step="any"
+                value={points[criterion.criterionId]}
+                onChange={(e) =>
+                  setPoints((current) => ({
+                    ...current,
+                    [criterion.criterionId]: e.target.value,
+                  }))
+                }
+                className="w-20 rounded-md border border-gray-300 px-2 py-1 text-sm"
+                aria-label={`Points for ${criterion.title}`}
+                required
+              />
+              <span className="w-12 pt-1 text-sm text-gray-500">
+                / {criterion.maxPoints}
+              </span>
+            </div>
+          ))}
+          <textarea
+            value={feedback}
+            onChange={(e) => setFeedback(e.target.value)}
+            placeholder="Feedback for the learner (optional)"
+            className={inputClassName}
+            maxLength={5000}
+            rows={3}
+          />
+          <div className="flex items-center justify-between">
+            <span className="text-sm text-gray-600">
+              Total: {total} / {assignment.maxPoints}
+            </span>
+            <Button type="submit" size="sm" disabled={saving}>
+              <Save className="h-4 w-4 mr-1" />
+              {saving
+                ? "Saving..."
+                : submission.grade
+                  ? "Update Grade"
+                  : "Post Grade"}
+            </Button>
+          </div>
+          {error && <p className="text-sm text-red-600">{error}</p>}
+        </form>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default SubmissionGrader;
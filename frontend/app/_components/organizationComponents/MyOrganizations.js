@@ -0,0 +1,94 @@
+"use client";
+import React, { useState, useEffect } from "react";
+import Link from "next/link";
+import { useSelector } from "react-redux";
+import {
+  Button,
+  Card,
+  CardContent,
+  Typography,
+  Chip,
+  List,
+  ListItem,
+  ListItemText,
+} from "@mui/material";
+import { Building2 } from "lucide-react";
+import { fetchMyOrganizations } from "@/lib/api/organizations";
+
+/**
+ * The organizations the signed-in user belongs to, with a way into
+ * management for the ones they administer
+ */
+const MyOrganizations = () => {
+  const { token } = useSelector((state) => state.auth);
+  const [memberships, setMemberships] = useState([]);
+
+  useEffect(() => {
+    if (!token) {
+      return;
+    }
+
+    fetchMyOrganizations(token)
+      .then(setMemberships)
+      .catch((error) => console.error("Error fetching organizations:", error));
+  }, [token]);
+
+  return (
+    <Card sx={{ maxWidth: 800, mx: "auto", mt: 4 }}>
+      <CardContent>
+        <Typography
+          variant="h6"
+          sx={{ mb: 1, display: "flex", alignItems: "center", gap: 1 }}
+        >
+          <Building2 size={20} />
+          My Organizations
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Teams that provide your training. Courses from your seats appear in My
+          Learning.
+        </Typography>
+
+        {memberships.length === 0 && (
+          <Typography variant="body2">
+            You are not a member of any organization. Ask your organization
+            admin for an invitation.
+          </Typography>
+        )}
+
+        <List disablePadding>
+          {memberships.map((membership) => (
+            <ListItem
+              key={membership.organizationId}
+              divider
+              disableGutters
+              secondaryAction={
+                membership.role === "admin" && (
+                  <Button
+                    size="small"
+                    component={Link}
+                    href={`/student-dashboard/organizations/${membership.organizationId}`}
+                  >
+                    Manage
+                  </Button>
+                )
+              }
+            >
+              <ListItemText
+                primary={membership.organizationName}
+                secondary={`Joined ${new Date(membership.joinedAt).toLocaleDateString()}`}
+              />
+              <Chip
+                size="small"
+                label={membership.role === "admin" ? "Admin" : "Member"}
+                color={membership.role === "admin" ? "primary" : "default"}
+                sx={{ mr: 10 }}
+              />
+            </ListItem>
+          ))}
+        </List>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default MyOrganizations;
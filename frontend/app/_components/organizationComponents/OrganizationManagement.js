@@ -0,0 +1,85 @@
+"use client";
+import React, { useState, useEffect } from "react";
+import Link from "next/link";
+import { useSelector } from "react-redux";
+import {
+  Card,
+  CardContent,
+  Typography,
+  Tabs,
+  Tab,
+  Box,
+  Alert,
+} from "@mui/material";
+import { Building2 } from "lucide-react";
+import { fetchOrganization } from "@/lib/api/organizations";
+import OrganizationMembers from "./OrganizationMembers";
+import OrganizationSeats from "./OrganizationSeats";
+import TeamProgressReport from "./TeamProgressReport";
+
+/**
+ * Org admin view of an organization: members, seats and team progress
+ */
+const OrganizationManagement = ({ orgId }) => {
+  const { token } = useSelector((state) => state.auth);
+  const [details, setDetails] = useState(null);
+  const [error, setError] = useState(null);
+  const [tab, setTab] = useState("members");
+
+  useEffect(() => {
+    if (!token) {
+      return;
+    }
+
+    fetchOrganization(token, orgId)
+      .then(setDetails)
+      .catch((error) => setError(error.message));
+  }, [token, orgId]);
+
+  if (error) {
+    return <Alert severity="error">{error}</Alert>;
+  }
+  if (!details) {
+    return null;
+  }
+  if (details.membership.role !== "admin") {
+    return (
+      <Alert severity="info">
+        Only organization admins can manage {details.organization.name}.{" "}
+        <Link href="/student-dashboard/organizations">Back</Link>
+      </Alert>
+    );
+  }
+
+  return (
+    <Card sx={{ maxWidth: 900, mx: "auto", mt: 4 }}>
+      <CardContent>
+        <Typography
+          variant="h6"
+          sx={{ mb: 1, display: "flex", alignItems: "center", gap: 1 }}
+        >
+          <Building2 size={20} />
+          {details.organization.name}
+        </Typography>
+
+        <Tabs
+          value={tab}
+          onChange={(e, value) => setTab(value)}
+          sx={{ mb: 3, borderBottom: 1, borderColor: "divider" }}
+        >
+          <Tab value="members" label="Members" />
+          <Tab value="seats" label="Seats" />
+          <Tab value="progress" label="Team Progress" />
+        </Tabs>
+
+        <Box>
+          {tab === "members" && <OrganizationMembers orgId={orgId} />}
+          {tab === "seats" && <OrganizationSeats orgId={orgId} />}
+          {tab === "progress" && <TeamProgressReport orgId={orgId} />}
+        </Box>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default OrganizationManagement;
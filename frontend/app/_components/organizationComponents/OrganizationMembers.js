@@ -0,0 +1,191 @@
+"use client";
+import React, { useState, useEffect } from "react";
+import { useSelector } from "react-redux";
+import { toast } from "react-toastify";
+import {
+  Button,
+  TextField,
+  MenuItem,
+  Typography,
+  Box,
+  Chip,
+  List,
+  ListItem,
+  ListItemText,
+} from "@mui/material";
+import { UserPlus } from "lucide-react";
+import {
+  fetchOrganizationMembers,
+  inviteOrganizationMember,
+  cancelOrganizationInvite,
+  removeOrganizationMember,
+} from "@/lib/api/organizations";
+
+/**
+ * Invite people to the organization and manage its members
+ */
+const OrganizationMembers = ({ orgId }) => {
+  const { token, user } = useSelector((state) => state.auth);
+  const [members, setMembers] = useState([]);
+  const [invites, setInvites] = useState([]);
+  const [email, setEmail] = useState("");
+  const [role, setRole] = useState("member");
+  const [loading, setLoading] = useState(false);
+
+  const loadMembers = async () => {
+    try {
+      const data = await fetchOrganizationMembers(token, orgId);
+      setMembers(data.members);
+      setInvites(data.invites);
+    } catch (error) {
+      console.error("Error fetching members:", error);
+    }
+  };
+
+  useEffect(() => {
+    if (token) {
+      loadMembers();
+    }
+  }, [token, orgId]);
+
+  // Run an action, report its outcome and refresh the lists
+  const run = async (action) => {
+    setLoading(true);
+    try {
+      const result = await action();
+      toast.success(result.message);
+      await loadMembers();
+      return true;
+    } catch (error) {
+      toast.error(error.message);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    if (
+      await run(() => inviteOrganizationMember(token, orgId, { email, role }))
+    ) {
+      setEmail("");
+    }
+  };
+
+  const handleRemove = (member) => {
+    if (
+      window.confirm(
+        `Remove ${member.name}? Their seats and the courses taken with them will be reclaimed.`
+      )
+    ) {
+      run(() => removeOrganizationMember(token, orgId, member.userId));
+    }
+  };
+
+  return (
+    <Box>
+      <form onSubmit={handleInvite}>
+        <Box sx={{ display: "flex", gap: 1, mb: 3 }}>
+          <TextField
+            size="small"
+            type="email"
+            label="Email address"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            sx={{ flex: 1 }}
+            required
+          />
+          <TextField
+            select
+            size="small"
+            label="Role"
+            value={role}
+            onChange={(e) => setRole(e.target.value)}
+            sx={{ width: 130 }}
+          >
+            <MenuItem value="member">Member</MenuItem>
+            <MenuItem value="admin">Admin</MenuItem>
+          </TextField>
+          <Button
+            type="submit"
+            variant="contained"
+            disabled={loading}
+            startIcon={<UserPlus size={16} />}
+            sx={{ bgcolor: "black", "&:hover": { bgcolor: "#333" } }}
+          >
+            Invite
+          </Button>
+        </Box>
+      </form>
+
+      <Typography variant="subtitle2">Members ({members.length})</Typography>
+      <List disablePadding sx={{ mb: 3 }}>
+        {members.map((member) => (
+          <ListItem
+            key={member.userId}
+            divider
+            disableGutters
+            secondaryAction={
+              member.userId !== user?.userId && (
+                <Button
+                  size="small"
+                  color="error"
+                  onClick={() => handleRemove(member)}
+                  disabled={loading}
+                >
+                  Remove
+                </Button>
+              )
+            }
+          >
+            <ListItemText primary={member.name} secondary={member.email} />
+            {member.role === "admin" && (
+              <Chip
+                size="small"
+                color="primary"
+                label="Admin"
+                sx={{ mr: 10 }}
+              />
+            )}
+          </ListItem>
+        ))}
+      </List>
+
+      {invites.length > 0 && (
+        <>
+          <Typography variant="subtitle2">Pending Invitations</Typography>
+          <List disablePadding>
+            {invites.map((invite) => (
+              <ListItem
+                key={invite.email}
+                divider
+                disableGutters
+                secondaryAction={
+                  <Button
+                    size="small"
+                    onClick={() =>
+                      run(() =>
+                        cancelOrganizationInvite(token, orgId, invite.email)
+                      )
+                    }
+                    disabled={loading}
+                  >
+                    Cancel
+                  </Button>
+                }
+              >
+                <ListItemText
+                  primary={invite.email}
+                  secondary={`Invited ${new Date(invite.invitedAt).toLocaleDateString()} as ${invite.role}`}
+                />
+              </ListItem>
+            ))}
+          </List>
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default OrganizationMembers;
@@ -0,0 +1,191 @@
+"use client";
+import React, { useState, useEffect } from "react";
+import { useSelector } from "react-redux";
+import { toast } from "react-toastify";
+import {
+  Button,
+  TextField,
+  MenuItem,
+  Typography,
+  Box,
+  Chip,
+  LinearProgress,
+  List,
+  ListItem,
+  ListItemText,
+  Paper,
+} from "@mui/material";
+import {
+  fetchSeatPools,
+  fetchOrganizationMembers,
+  assignSeat,
+  reclaimSeat,
+} from "@/lib/api/organizations";
+
+/**
+ * Assign the organization's purchased seats to members and reclaim them
+ */
+const OrganizationSeats = ({ orgId }) => {
+  const { token } = useSelector((state) => state.auth);
+  const [pools, setPools] = useState([]);
+  const [members, setMembers] = useState([]);
+  const [selected, setSelected] = useState({});
+  const [loading, setLoading] = useState(false);
+
+  const loadSeats = async () => {
+    try {
+      const [seatPools, { members }] = await Promise.all([
+        fetchSeatPools(token, orgId),
+        fetchOrganizationMembers(token, orgId),
+      ]);
+      setPools(seatPools);
+      setMembers(members);
+    } catch (error) {
+      console.error("Error fetching seat pools:", error);
+    }
+  };
+
+  useEffect(() => {
+    if (token) {
+      loadSeats();
+    }
+  }, [token, orgId]);
+
+  const run = async (action) => {
+    setLoading(true);
+    try {
+      const result = await action();
+      toast.success(result.message);
+      await loadSeats();
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const memberName = (userId) =>
+    members.find((member) => member.userId === userId)?.name || userId;
+
+  const handleReclaim = (pool, seat) => {
+    if (
+      window.confirm(
+        `Reclaim ${memberName(seat.userId)}'s seat? Courses they took with it will be removed.`
+      )
+    ) {
+      run(() => reclaimSeat(token, orgId, pool.poolId, seat.userId));
+    }
+  };
+
+  if (pools.length === 0) {
+    return (
+      <Typography variant="body2">
+        Your organization has no seats yet. Contact UpSkillPro to purchase seats
+        for your team.
+      </Typography>
+    );
+  }
+
+  return (
+    <Box>
+      {pools.map((pool) => {
+        const seatHolders = new Set(pool.seats.map((seat) => seat.userId));
+        const available = members.filter(
+          (member) => !seatHolders.has(member.userId)
+        );
+
+        return (
+          <Paper key={pool.poolId} variant="outlined" sx={{ p: 2, mb: 2 }}>
+            <Box
+              sx={{
+                display: "flex",
+                justifyContent: "space-between",
+                alignItems: "center",
+                mb: 1,
+              }}
+            >
+              <Typography variant="subtitle1">
+                {pool.scope === "catalog" ? "Full catalog" : pool.courseTitle}
+              </Typography>
+              <Chip
+                size="small"
+                label={`${pool.usedSeats} of ${pool.totalSeats} seats used`}
+              />
+            </Box>
+            <LinearProgress
+              variant="determinate"
+              value={(pool.usedSeats / pool.totalSeats) * 100}
+              sx={{ mb: 2 }}
+            />
+
+            <Box sx={{ display: "flex", gap: 1, mb: 1 }}>
+              <TextField
+                select
+                size="small"
+                label="Member"
+                value={selected[pool.poolId] || ""}
+                onChange={(e) =>
+                  setSelected((prev) => ({
+                    ...prev,
+                    [pool.poolId]: e.target.value,
+                  }))
+                }
+                sx={{ flex: 1 }}
+                disabled={available.length === 0}
+              >
+                {available.map((member) => (
+                  <MenuItem key={member.userId} value={member.userId}>
+                    {member.name} ({member.email})
+                  </MenuItem>
+                ))}
+              </TextField>
+              <Button
+                variant="contained"
+                disabled={
+                  loading ||
+                  !selected[pool.poolId] ||
+                  pool.usedSeats >= pool.totalSeats
+                }
+                onClick={() =>
+                  run(() =>
+                    assignSeat(token, orgId, pool.poolId, selected[pool.poolId])
+                  )
+                }
+                sx={{ bgcolor: "black", "&:hover": { bgcolor: "#333" } }}
+              >
+                Assign Seat
+              </Button>
+            </Box>
+
+            <List dense disablePadding>
+              {pool.seats.map((seat) => (
+                <ListItem
+                  key={seat.userId}
+                  divider
+                  disableGutters
+                  secondaryAction={
+                    <Button
+                      size="small"
+                      color="error"
+                      onClick={() => handleReclaim(pool, seat)}
+                      disabled={loading}
+                    >
+                      Reclaim
+                    </Button>
+                  }
+                >
+                  <ListItemText
+                    primary={memberName(seat.userId)}
+                    secondary={`Assigned ${new Date(seat.assignedAt).toLocaleDateString()}`}
+                  />
+                </ListItem>
+              ))}
+            </List>
+          </Paper>
+        );
+      })}
+    </Box>
+  );
+};
+
+export default OrganizationSeats;
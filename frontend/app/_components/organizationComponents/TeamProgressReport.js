@@ -0,0 +1,108 @@
+"use client";
+import React, { useState, useEffect } from "react";
+import { useSelector } from "react-redux";
+import {
+  Typography,
+  Box,
+  LinearProgress,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+} from "@mui/material";
+import { fetchProgressReport } from "@/lib/api/organizations";
+
+const SummaryTile = ({ label, value }) => (
+  <Paper variant="outlined" sx={{ p: 2, flex: 1, textAlign: "center" }}>
+    <Typography variant="h5">{value}</Typography>
+    <Typography variant="body2" color="text.secondary">
+      {label}
+    </Typography>
+  </Paper>
+);
+
+/**
+ * How far each member is through the courses they take with the
+ * organization's seats
+ */
+const TeamProgressReport = ({ orgId }) => {
+  const { token } = useSelector((state) => state.auth);
+  const [report, setReport] = useState(null);
+
+  useEffect(() => {
+    if (!token) {
+      return;
+    }
+
+    fetchProgressReport(token, orgId)
+      .then(setReport)
+      .catch((error) => console.error("Error fetching progress:", error));
+  }, [token, orgId]);
+
+  if (!report) {
+    return <LinearProgress />;
+  }
+
+  const rows = report.members.flatMap((member) =>
+    member.courses.map((course) => ({ member, course }))
+  );
+
+  return (
+    <Box>
+      <Box sx={{ display: "flex", gap: 2, mb: 3 }}>
+        <SummaryTile label="Members" value={report.summary.members} />
+        <SummaryTile label="Enrollments" value={report.summary.enrollments} />
+        <SummaryTile
+          label="Completed"
+          value={report.summary.completedCourses}
+        />
+        <SummaryTile
+          label="Average progress"
+          value={`${report.summary.averageProgress}%`}
+        />
+      </Box>
+
+      {rows.length === 0 ? (
+        <Typography variant="body2">
+          No one has started a course with your organization&apos;s seats yet.
+        </Typography>
+      ) : (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Member</TableCell>
+              <TableCell>Course</TableCell>
+              <TableCell>Lectures</TableCell>
+              <TableCell sx={{ width: 200 }}>Progress</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {rows.map(({ member, course }) => (
+              <TableRow key={`${member.userId}-${course.courseId}`}>
+                <TableCell>{member.name}</TableCell>
+                <TableCell>{course.title}</TableCell>
+                <TableCell>
+                  {course.completedLectures}/{course.totalLectures}
+                </TableCell>
+                <TableCell>
+                  <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
+                    <LinearProgress
+                      variant="determinate"
+                      value={course.progress}
+                      sx={{ flex: 1 }}
+                    />
+                    {Math.round(course.progress)}%
+                  </Box>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+    </Box>
+  );
+};
+
+export default TeamProgressReport;
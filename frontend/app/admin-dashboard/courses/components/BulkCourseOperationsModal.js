@@ -164,7 +164,8 @@ const BulkCourseOperationsModal = ({
   const getStatusBadgeColor = (status) => {
     const colors = {
       approved: "bg-green-100 text-green-800",
-      pending: "bg-yellow-100 text-yellow-800",
+      published: "bg-green-100 text-green-800",
+      pending_review: "bg-yellow-100 text-yellow-800",
       rejected: "bg-red-100 text-red-800",
       draft: "bg-gray-100 text-gray-800",
       archived: "bg-purple-100 text-purple-800",
@@ -294,10 +295,11 @@ const BulkCourseOperationsModal = ({
                           </SelectTrigger>
                           <SelectContent>
                             <SelectItem value="draft">Draft</SelectItem>
-                            <SelectItem value="pending">
+                            <SelectItem value="pending_review">
                               Pending Review
                             </SelectItem>
                             <SelectItem value="approved">Approved</SelectItem>
+                            <SelectItem value="published">Published</SelectItem>
                             <SelectItem value="rejected">Rejected</SelectItem>
                             <SelectItem value="archived">Archived</SelectItem>
                           </SelectContent>
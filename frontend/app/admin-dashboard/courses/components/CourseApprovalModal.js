@@ -133,7 +133,8 @@ const CourseApprovalModal = ({ course, isOpen, onClose, onCourseUpdate }) => {
   const getStatusBadgeColor = (status) => {
     const colors = {
       approved: "bg-green-100 text-green-800",
-      pending: "bg-yellow-100 text-yellow-800",
+      published: "bg-green-100 text-green-800",
+      pending_review: "bg-yellow-100 text-yellow-800",
       rejected: "bg-red-100 text-red-800",
       draft: "bg-gray-100 text-gray-800",
     };
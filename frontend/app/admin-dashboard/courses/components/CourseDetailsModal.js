@@ -135,7 +135,8 @@ const CourseDetailsModal = ({ course, isOpen, onClose }) => {
   const getStatusBadgeColor = (status) => {
     const colors = {
       approved: "bg-green-100 text-green-800",
-      pending: "bg-yellow-100 text-yellow-800",
+      published: "bg-green-100 text-green-800",
+      pending_review: "bg-yellow-100 text-yellow-800",
       rejected: "bg-red-100 text-red-800",
       draft: "bg-gray-100 text-gray-800",
     };
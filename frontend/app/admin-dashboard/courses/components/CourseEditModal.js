@@ -380,8 +380,11 @@ const CourseEditModal = ({ course, isOpen, onClose, onCourseUpdate }) => {
                   </SelectTrigger>
                   <SelectContent>
                     <SelectItem value="draft">Draft</SelectItem>
-                    <SelectItem value="pending">Pending Review</SelectItem>
+                    <SelectItem value="pending_review">
+                      Pending Review
+                    </SelectItem>
                     <SelectItem value="approved">Approved</SelectItem>
+                    <SelectItem value="published">Published</SelectItem>
                     <SelectItem value="rejected">Rejected</SelectItem>
                     <SelectItem value="archived">Archived</SelectItem>
                   </SelectContent>
@@ -0,0 +1,228 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { useSelector } from "react-redux";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Textarea } from "@/components/ui/textarea";
+import {
+  UserCheck,
+  CheckCircle,
+  XCircle,
+  RefreshCw,
+  ExternalLink,
+} from "lucide-react";
+import { toast } from "react-hot-toast";
+import {
+  fetchInstructorApplications,
+  reviewInstructorApplication,
+} from "@/lib/api/instructorApplications";
+
+const STATUS_FILTERS = [
+  { id: "pending", label: "Pending" },
+  { id: "approved", label: "Approved" },
+  { id: "rejected", label: "Rejected" },
+];
+
+const InstructorApplicationsPanel = () => {
+  const { token } = useSelector((state) => state.auth);
+  const [status, setStatus] = useState("pending");
+  const [applications, setApplications] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [notes, setNotes] = useState({});
+  const [processingId, setProcessingId] = useState(null);
+
+  const loadApplications = async () => {
+    try {
+      setError(null);
+      setLoading(true);
+      setApplications(await fetchInstructorApplications(token, status));
+    } catch (error) {
+      console.error("Error fetching instructor applications:", error);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (token) {
+      loadApplications();
+    }
+  }, [token, status]);
+
+  const handleReview = async (userId, decision) => {
+    const reviewNotes = notes[userId]?.trim() || "";
+    if (decision === "reject" && !reviewNotes) {
+      toast.error("Add notes explaining the rejection");
+      return;
+    }
+
+    try {
+      setProcessingId(userId);
+      const result = await reviewInstructorApplication(
+        token,
+        userId,
+        decision,
+        reviewNotes
+      );
+      toast.success(result.message);
+      setApplications((prev) => prev.filter((app) => app.userId !== userId));
+    } catch (error) {
+      console.error("Error reviewing instructor application:", error);
+      toast.error(error.message);
+      // Someone else got there first
+      if (error.code === "APPLICATION_ALREADY_REVIEWED") {
+        loadApplications();
+      }
+    } finally {
+      setProcessingId(null);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-xl font-bold text-gray-900 flex items-center">
+            <UserCheck className="h-5 w-5 mr-2" />
+            Instructor Applications
+          </h2>
+          <p className="text-gray-600">
+            Review students who have applied to teach
+          </p>
+        </div>
+        <div className="flex items-center space-x-3">
+          {STATUS_FILTERS.map((filter) => (
+            <Button
+              key={filter.id}
+              variant={status === filter.id ? "default" : "outline"}
+              size="sm"
+              onClick={() => setStatus(filter.id)}
+            >
+              {filter.label}
+            </Button>
+          ))}
+          <Button variant="outline" size="sm" onClick={loadApplications}>
+            <RefreshCw className="h-4 w-4 mr-2" />
+            Refresh
+          </Button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+          <span className="text-red-800">Error: {error}</span>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex items-center justify-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+          <span className="ml-2 text-gray-600">Loading applications...</span>
+        </div>
+      ) : applications.length === 0 ? (
+        <p className="text-center text-gray-500 py-8">
+          No {status} applications
+        </p>
+      ) : (
+        applications.map((application) => (
+          <Card key={application.userId}>
+            <CardHeader>
+              <CardTitle className="flex items-center justify-between">
+                <span>
+                  {application.userName}
+                  <span className="ml-2 text-sm font-normal text-gray-500">
+                    {application.userEmail}
+                  </span>
+                </span>
+                <span className="text-sm font-normal text-gray-500">
+                  Submitted{" "}
+                  {new Date(application.submittedAt).toLocaleDateString()}
+                </span>
+              </CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <p className="text-gray-700 whitespace-pre-line">
+                {application.bio}
+              </p>
+
+              <div className="flex flex-wrap gap-2">
+                {application.expertise.map((category) => (
+                  <Badge key={category.categoryId} variant="secondary">
+                    {category.name}
+                  </Badge>
+                ))}
+              </div>
+
+              <ul className="space-y-1">
+                {application.sampleMaterial.map((sample) => (
+                  <li key={sample.url}>
+                    <a
+                      href={sample.url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="inline-flex items-center text-blue-600 hover:underline"
+                    >
+                      <ExternalLink className="h-4 w-4 mr-1" />
+                      {sample.title}
+                    </a>
+                  </li>
+                ))}
+              </ul>
+
+              {application.status === "pending" ? (
+                <div className="space-y-3">
+                  <Textarea
+                    placeholder="Notes for the applicant (required to reject)"
+                    value={notes[application.userId] || ""}
+                    onChange={(e) =>
+                      setNotes((prev) => ({
+                        ...prev,
+                        [application.userId]: e.target.value,
+                      }))
+                    }
+                    maxLength={1000}
+                  />
+                  <div className="flex justify-end space-x-3">
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      disabled={processingId === application.userId}
+                      onClick={() => handleReview(application.userId, "reject")}
+                      className="text-red-600 hover:text-red-700"
+                    >
+                      <XCircle className="h-4 w-4 mr-2" />
+                      Reject
+                    </Button>
+                    <Button
+                      size="sm"
+                      disabled={processingId === application.userId}
+                      onClick={() =>
+                        handleReview(application.userId, "approve")
+                      }
+                    >
+                      <CheckCircle className="h-4 w-4 mr-2" />
+                      Approve
+                    </Button>
+                  </div>
+                </div>
+              ) : (
+                application.reviewNotes && (
+                  <p className="text-sm text-gray-600">
+                    Review notes: {application.reviewNotes}
+                  </p>
+                )
+              )}
+            </CardContent>
+          </Card>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default InstructorApplicationsPanel;
@@ -32,6 +32,7 @@ import {
   AlertTriangle,
   Flag,
   Tag,
+  UserCheck,
 } from "lucide-react";
 import CourseDetailsModal from "./components/CourseDetailsModal";
 import CourseApprovalModal from "./components/CourseApprovalModal";
@@ -40,10 +41,12 @@ import BulkCourseOperationsModal from "./components/BulkCourseOperationsModal";
 import ContentModerationPanel from "./components/ContentModerationPanel";
 import InstructorManagementPanel from "./components/InstructorManagementPanel";
 import CategoryManagementPanel from "./components/CategoryManagementPanel";
+import InstructorApplicationsPanel from "./components/InstructorApplicationsPanel";
+import { hasPermission } from "@/utils/userUtil";
 import { toast } from "react-hot-toast";
 
 const CourseManagementPage = () => {
-  const { token } = useSelector((state) => state.auth);
+  const { token, user } = useSelector((state) => state.auth);
   const [activeTab, setActiveTab] = useState("courses");
   const [courses, setCourses] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -84,13 +87,25 @@ const CourseManagementPage = () => {
       icon: Users,
       description: "Monitor instructor performance",
     },
+    {
+      id: "applications",
+      label: "Instructor Applications",
+      icon: UserCheck,
+      description: "Review requests to teach",
+      permission: "instructors:review",
+    },
     {
       id: "categories",
       label: "Category Management",
       icon: Tag,
       description: "Organize course categories",
     },
-  ];
+  ].filter(
+    (tab) =>
+      !tab.permission ||
+      !user?.permissions ||
+      hasPermission(user, tab.permission)
+  );
 
   // Fetch courses data
   const fetchCourses = async (reset = false) => {
@@ -153,7 +168,7 @@ const CourseManagementPage = () => {
             instructorName: "John Smith",
             categoryId: "web-development",
             categoryName: "Web Development",
-            status: "pending",
+            status: "pending_review",
             price: 99.99,
             enrollmentCount: 0,
             rating: 0,
@@ -314,7 +329,8 @@ const CourseManagementPage = () => {
   const getStatusBadgeColor = (status) => {
     const colors = {
       approved: "bg-green-100 text-green-800",
-      pending: "bg-yellow-100 text-yellow-800",
+      published: "bg-green-100 text-green-800",
+      pending_review: "bg-yellow-100 text-yellow-800",
       rejected: "bg-red-100 text-red-800",
       draft: "bg-gray-100 text-gray-800",
       archived: "bg-purple-100 text-purple-800",
@@ -400,7 +416,10 @@ const CourseManagementPage = () => {
                       Pending Approval
                     </p>
                     <p className="text-2xl font-bold text-gray-900">
-                      {courses.filter((c) => c.status === "pending").length}
+                      {
+                        courses.filter((c) => c.status === "pending_review")
+                          .length
+                      }
                     </p>
                   </div>
                 </div>
@@ -418,7 +437,11 @@ const CourseManagementPage = () => {
                       Approved Courses
                     </p>
                     <p className="text-2xl font-bold text-gray-900">
-                      {courses.filter((c) => c.status === "approved").length}
+                      {
+                        courses.filter((c) =>
+                          ["approved", "published"].includes(c.status)
+                        ).length
+                      }
                     </p>
                   </div>
                 </div>
@@ -484,7 +507,10 @@ const CourseManagementPage = () => {
                       Pending Approval
                     </p>
                     <p className="text-2xl font-bold text-gray-900">
-                      {courses.filter((c) => c.status === "pending").length}
+                      {
+                        courses.filter((c) => c.status === "pending_review")
+                          .length
+                      }
                     </p>
                   </div>
                 </div>
@@ -502,7 +528,11 @@ const CourseManagementPage = () => {
                       Approved Courses
                     </p>
                     <p className="text-2xl font-bold text-gray-900">
-                      {courses.filter((c) => c.status === "approved").length}
+                      {
+                        courses.filter((c) =>
+                          ["approved", "published"].includes(c.status)
+                        ).length
+                      }
                     </p>
                   </div>
                 </div>
@@ -578,20 +608,24 @@ const CourseManagementPage = () => {
                   <Filter className="h-4 w-4 text-gray-400" />
                   <span className="text-sm text-gray-600">Status:</span>
                   <div className="flex space-x-2">
-                    {["pending", "approved", "rejected", "draft"].map(
-                      (status) => (
-                        <Button
-                          key={status}
-                          variant={
-                            selectedStatus === status ? "default" : "outline"
-                          }
-                          size="sm"
-                          onClick={() => handleStatusFilter(status)}
-                        >
-                          {status}
-                        </Button>
-                      )
-                    )}
+                    {[
+                      "pending_review",
+                      "approved",
+                      "published",
+                      "rejected",
+                      "draft",
+                    ].map((status) => (
+                      <Button
+                        key={status}
+                        variant={
+                          selectedStatus === status ? "default" : "outline"
+                        }
+                        size="sm"
+                        onClick={() => handleStatusFilter(status)}
+                      >
+                        {status}
+                      </Button>
+                    ))}
                   </div>
                 </div>
 
@@ -786,7 +820,7 @@ const CourseManagementPage = () => {
                             >
                               <Eye className="h-4 w-4" />
                             </Button>
-                            {course.status === "pending" && (
+                            {course.status === "pending_review" && (
                               <Button
                                 variant="ghost"
                                 size="sm"
@@ -890,6 +924,9 @@ const CourseManagementPage = () => {
       {/* Instructor Management Tab */}
       {activeTab === "instructors" && <InstructorManagementPanel />}
 
+      {/* Instructor Applications Tab */}
+      {activeTab === "applications" && <InstructorApplicationsPanel />}
+
       {/* Category Management Tab */}
       {activeTab === "categories" && <CategoryManagementPanel />}
     </div>
@@ -1,9 +1,11 @@
 "use client";
 
-import { useState } from "react";
+import { useEffect, useState } from "react";
 import { useSelector, useDispatch } from "react-redux";
 import { useRouter, usePathname } from "next/navigation";
 import { logout } from "@/features/auth/authSlice";
+import { logoutSession } from "@/utils/api";
+import { hasPermission } from "@/utils/userUtil";
 import AdminProtectedRoute from "@/components/AdminProtectedRoute";
 import { WebSocketProvider } from "@/lib/websocket/WebSocketProvider";
 import NotificationPanel from "@/components/admin/NotificationPanel";
@@ -25,6 +27,7 @@ import {
   Activity,
   Wrench,
   AlertTriangle,
+  Building2,
 } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
@@ -63,69 +66,102 @@ const AdminDashboardContent = ({ children }) => {
   const unreadCount = wsContext?.unreadNotifications || 0;
   const securityAlertCount = wsContext?.unreadSecurityAlerts || 0;
 
-  // Navigation items for the admin dashboard
+  // Navigation items for the admin dashboard, limited to the user's permissions
   const navigationItems = [
     {
       name: "Dashboard Overview",
       href: "/admin-dashboard",
+      permission: "dashboard:read",
       icon: LayoutDashboard,
       current: pathname === "/admin-dashboard",
     },
     {
       name: "User Management",
       href: "/admin-dashboard/users",
+      permission: "users:read",
       icon: Users,
       current: pathname.startsWith("/admin-dashboard/users"),
     },
     {
       name: "Course Management",
       href: "/admin-dashboard/courses",
+      permission: "courses:read",
       icon: BookOpen,
       current: pathname.startsWith("/admin-dashboard/courses"),
     },
+    {
+      name: "Organizations",
+      href: "/admin-dashboard/organizations",
+      permission: "organizations:manage",
+      icon: Building2,
+      current: pathname.startsWith("/admin-dashboard/organizations"),
+    },
     {
       name: "Analytics",
       href: "/admin-dashboard/analytics",
+      permission: "analytics:read",
       icon: BarChart3,
       current: pathname.startsWith("/admin-dashboard/analytics"),
     },
     {
       name: "System Settings",
       href: "/admin-dashboard/settings",
+      permission: "settings:read",
       icon: Settings,
       current: pathname.startsWith("/admin-dashboard/settings"),
     },
     {
       name: "Security Monitor",
       href: "/admin-dashboard/security",
+      permission: "security:read",
       icon: Shield,
       current: pathname.startsWith("/admin-dashboard/security"),
     },
     {
       name: "Support Center",
       href: "/admin-dashboard/support",
+      permission: "tickets:read",
       icon: MessageSquare,
       current: pathname.startsWith("/admin-dashboard/support"),
     },
     {
       name: "System Health",
       href: "/admin-dashboard/system-health",
+      permission: "system:read",
       icon: Activity,
       current: pathname.startsWith("/admin-dashboard/system-health"),
     },
     {
       name: "Maintenance",
       href: "/admin-dashboard/maintenance",
+      permission: "system:read",
       icon: Wrench,
       current: pathname.startsWith("/admin-dashboard/maintenance"),
     },
     {
       name: "Audit Logs",
       href: "/admin-dashboard/audit",
+      permission: "audit:read",
       icon: FileText,
       current: pathname.startsWith("/admin-dashboard/audit"),
     },
-  ];
+  ].filter(
+    // Sessions from before permissions existed see everything; the API still
+    // refuses what their role does not allow
+    (item) => !user?.permissions || hasPermission(user, item.permission)
+  );
+
+  // Roles without the overview, such as support staff, land on their first
+  // section instead
+  const landingHref =
+    pathname === "/admin-dashboard" && !navigationItems[0]?.current
+      ? navigationItems[0]?.href
+      : null;
+  useEffect(() => {
+    if (landingHref) {
+      router.replace(landingHref);
+    }
+  }, [landingHref, router]);
 
   // Generate breadcrumb items based on current path
   const generateBreadcrumbs = () => {
@@ -162,7 +198,8 @@ const AdminDashboardContent = ({ children }) => {
   const breadcrumbs = generateBreadcrumbs();
 
   const handleLogout = () => {
-    // Clear authentication state
+    // End the session on the server, then clear authentication state
+    logoutSession();
     dispatch(logout());
 
     // Clear localStorage tokens
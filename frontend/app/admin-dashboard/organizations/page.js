@@ -0,0 +1,420 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { useSelector } from "react-redux";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Building2, Plus, RefreshCw, Save, X } from "lucide-react";
+import { toast } from "react-hot-toast";
+import {
+  fetchOrganizations,
+  createOrganization,
+  fetchOrganizationDetails,
+  createSeatPool,
+  resizeSeatPool,
+} from "@/lib/api/organizations";
+
+// Courses from before the review workflow have no status and are published
+const isPublished = (course) => !course.status || course.status === "published";
+
+const OrganizationsPage = () => {
+  const { token } = useSelector((state) => state.auth);
+  const [organizations, setOrganizations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showAddForm, setShowAddForm] = useState(false);
+  const [formData, setFormData] = useState({ name: "", adminEmail: "" });
+  const [selectedOrgId, setSelectedOrgId] = useState(null);
+  const [details, setDetails] = useState(null);
+  const [courses, setCourses] = useState([]);
+  const [poolForm, setPoolForm] = useState({
+    scope: "course",
+    courseId: "",
+    totalSeats: 10,
+  });
+  const [poolSizes, setPoolSizes] = useState({});
+  const [processing, setProcessing] = useState(false);
+
+  const loadOrganizations = async () => {
+    try {
+      setError(null);
+      setLoading(true);
+      setOrganizations(await fetchOrganizations(token));
+    } catch (error) {
+      console.error("Error fetching organizations:", error);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadDetails = async (orgId) => {
+    try {
+      setDetails(await fetchOrganizationDetails(token, orgId));
+    } catch (error) {
+      console.error("Error fetching organization:", error);
+      toast.error(error.message);
+    }
+  };
+
+  // Seats are sold for courses open for enrollment
+  const loadCourses = async () => {
+    try {
+      const response = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/admin/courses?limit=100`,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+        }
+      );
+      if (!response.ok) {
+        throw new Error("Failed to fetch courses");
+      }
+
+      const result = await response.json();
+      setCourses(result.data.courses.filter(isPublished));
+    } catch (error) {
+      console.error("Error fetching courses:", error);
+    }
+  };
+
+  useEffect(() => {
+    if (token) {
+      loadOrganizations();
+      loadCourses();
+    }
+  }, [token]);
+
+  useEffect(() => {
+    if (token && selectedOrgId) {
+      loadDetails(selectedOrgId);
+    }
+  }, [token, selectedOrgId]);
+
+  const run = async (action, onSuccess) => {
+    try {
+      setProcessing(true);
+      const result = await action();
+      toast.success(result.message);
+      await onSuccess?.(result);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    run(
+      () => createOrganization(token, formData),
+      async (result) => {
+        setShowAddForm(false);
+        setFormData({ name: "", adminEmail: "" });
+        await loadOrganizations();
+        setSelectedOrgId(result.data.organization.organizationId);
+      }
+    );
+  };
+
+  const handleAddPool = (e) => {
+    e.preventDefault();
+    const pool = {
+      scope: poolForm.scope,
+      totalSeats: Number(poolForm.totalSeats),
+      ...(poolForm.scope === "course" && { courseId: poolForm.courseId }),
+    };
+    run(
+      () => createSeatPool(token, selectedOrgId, pool),
+      () => loadDetails(selectedOrgId)
+    );
+  };
+
+  const handleResize = (pool) => {
+    run(
+      () =>
+        resizeSeatPool(
+          token,
+          selectedOrgId,
+          pool.poolId,
+          Number(poolSizes[pool.poolId])
+        ),
+      () => loadDetails(selectedOrgId)
+    );
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+            <Building2 className="h-6 w-6 mr-2" />
+            Organizations
+          </h1>
+          <p className="text-gray-600">
+            Teams buying training and the seats they have purchased
+          </p>
+        </div>
+        <div className="flex items-center space-x-3">
+          <Button variant="outline" size="sm" onClick={loadOrganizations}>
+            <RefreshCw className="h-4 w-4 mr-2" />
+            Refresh
+          </Button>
+          <Button size="sm" onClick={() => setShowAddForm(true)}>
+            <Plus className="h-4 w-4 mr-2" />
+            New Organization
+          </Button>
+        </div>
+      </div>
+
+      {showAddForm && (
+        <Card>
+          <CardHeader>
+            <CardTitle>New Organization</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <form onSubmit={handleCreate} className="space-y-4">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <Label htmlFor="org-name">Name</Label>
+                  <Input
+                    id="org-name"
+                    value={formData.name}
+                    onChange={(e) =>
+                      setFormData({ ...formData, name: e.target.value })
+                    }
+                    required
+                  />
+                </div>
+                <div>
+                  <Label htmlFor="org-admin">First admin&apos;s email</Label>
+                  <Input
+                    id="org-admin"
+                    type="email"
+                    value={formData.adminEmail}
+                    onChange={(e) =>
+                      setFormData({ ...formData, adminEmail: e.target.value })
+                    }
+                    required
+                  />
+                </div>
+              </div>
+              <div className="flex justify-end space-x-3">
+                <Button
+                  type="button"
+                  variant="outline"
+                  onClick={() => setShowAddForm(false)}
+                >
+                  <X className="h-4 w-4 mr-2" />
+                  Cancel
+                </Button>
+                <Button type="submit" disabled={processing}>
+                  <Save className="h-4 w-4 mr-2" />
+                  Create and Invite
+                </Button>
+              </div>
+            </form>
+          </CardContent>
+        </Card>
+      )}
+
+      <Card>
+        <CardHeader>
+          <CardTitle>All Organizations</CardTitle>
+        </CardHeader>
+        <CardContent>
+          {error && (
+            <div className="mb-4 p-4 bg-red-50 border border-red-200 rounded-lg">
+              <span className="text-red-800">Error: {error}</span>
+            </div>
+          )}
+
+          {loading ? (
+            <div className="flex items-center justify-center py-8">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+              <span className="ml-2 text-gray-600">
+                Loading organizations...
+              </span>
+            </div>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Organization</TableHead>
+                  <TableHead>Created</TableHead>
+                  <TableHead className="text-right">Actions</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {organizations.map((organization) => (
+                  <TableRow key={organization.organizationId}>
+                    <TableCell className="font-medium">
+                      {organization.name}
+                    </TableCell>
+                    <TableCell>
+                      {new Date(organization.createdAt).toLocaleDateString()}
+                    </TableCell>
+                    <TableCell className="text-right">
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() =>
+                          setSelectedOrgId(organization.organizationId)
+                        }
+                      >
+                        Manage Seats
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+
+      {details && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center justify-between">
+              {details.organization.name}
+              <span className="text-sm font-normal text-gray-500">
+                {details.members.length} members, {details.invites.length}{" "}
+                pending invites
+              </span>
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-6">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Seat Pool</TableHead>
+                  <TableHead>Used</TableHead>
+                  <TableHead>Total Seats</TableHead>
+                  <TableHead className="text-right">Actions</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {details.seatPools.map((pool) => (
+                  <TableRow key={pool.poolId}>
+                    <TableCell>
+                      {pool.scope === "catalog" ? (
+                        <Badge variant="secondary">Full catalog</Badge>
+                      ) : (
+                        pool.courseTitle
+                      )}
+                    </TableCell>
+                    <TableCell>{pool.usedSeats}</TableCell>
+                    <TableCell>
+                      <Input
+                        type="number"
+                        min={pool.usedSeats || 1}
+                        className="w-24"
+                        value={poolSizes[pool.poolId] ?? pool.totalSeats}
+                        onChange={(e) =>
+                          setPoolSizes((prev) => ({
+                            ...prev,
+                            [pool.poolId]: e.target.value,
+                          }))
+                        }
+                      />
+                    </TableCell>
+                    <TableCell className="text-right">
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        disabled={
+                          processing ||
+                          poolSizes[pool.poolId] === undefined ||
+                          Number(poolSizes[pool.poolId]) === pool.totalSeats
+                        }
+                        onClick={() => handleResize(pool)}
+                      >
+                        Save
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+
+            <form
+              onSubmit={handleAddPool}
+              className="flex flex-wrap items-end gap-3"
+            >
+              <div>
+                <Label htmlFor="pool-scope">Seats for</Label>
+                <select
+                  id="pool-scope"
+                  className="block border rounded-md px-3 py-2 text-sm"
+                  value={poolForm.scope}
+                  onChange={(e) =>
+                    setPoolForm({ ...poolForm, scope: e.target.value })
+                  }
+                >
+                  <option value="course">One course</option>
+                  <option value="catalog">Full catalog</option>
+                </select>
+              </div>
+              {poolForm.scope === "course" && (
+                <div className="flex-1">
+                  <Label htmlFor="pool-course">Course</Label>
+                  <select
+                    id="pool-course"
+                    className="block w-full border rounded-md px-3 py-2 text-sm"
+                    value={poolForm.courseId}
+                    onChange={(e) =>
+                      setPoolForm({ ...poolForm, courseId: e.target.value })
+                    }
+                    required
+                  >
+                    <option value="">Choose a course</option>
+                    {courses.map((course) => (
+                      <option key={course.courseId} value={course.courseId}>
+                        {course.title}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              <div>
+                <Label htmlFor="pool-seats">Seats</Label>
+                <Input
+                  id="pool-seats"
+                  type="number"
+                  min={1}
+                  className="w-24"
+                  value={poolForm.totalSeats}
+                  onChange={(e) =>
+                    setPoolForm({ ...poolForm, totalSeats: e.target.value })
+                  }
+                  required
+                />
+              </div>
+              <Button type="submit" disabled={processing}>
+                <Plus className="h-4 w-4 mr-2" />
+                Add Seats
+              </Button>
+            </form>
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+};
+
+export default OrganizationsPage;
@@ -24,6 +24,13 @@ import {
   TrendingUp,
   TrendingDown,
   RefreshCw,
+  Lock,
+  Gauge,
+  Ban,
+  KeyRound,
+  LogOut,
+  MailCheck,
+  Link2,
 } from "lucide-react";
 
 export default function SecurityMonitoringPage() {
@@ -124,6 +131,28 @@ export default function SecurityMonitoringPage() {
         return <AlertTriangle className="h-4 w-4" />;
       case "SUSPICIOUS_ACTIVITY":
         return <Shield className="h-4 w-4" />;
+      case "ACCOUNT_LOCKED":
+        return <Lock className="h-4 w-4" />;
+      case "RATE_LIMIT_EXCEEDED":
+        return <Gauge className="h-4 w-4" />;
+      case "IP_BLOCKED":
+        return <Ban className="h-4 w-4" />;
+      case "MFA_ENABLED":
+      case "MFA_DISABLED":
+      case "MFA_RESET":
+      case "MFA_RECOVERY_CODE_USED":
+      case "MFA_RECOVERY_CODES_REGENERATED":
+        return <KeyRound className="h-4 w-4" />;
+      case "SESSION_REVOKED":
+      case "SESSION_LIMIT_REACHED":
+      case "REFRESH_TOKEN_REUSED":
+        return <LogOut className="h-4 w-4" />;
+      case "PASSWORD_RESET_REQUESTED":
+      case "PASSWORD_RESET":
+      case "EMAIL_VERIFIED":
+        return <MailCheck className="h-4 w-4" />;
+      case "IDENTITY_LINKED":
+        return <Link2 className="h-4 w-4" />;
       default:
         return <Activity className="h-4 w-4" />;
     }
@@ -328,6 +357,34 @@ export default function SecurityMonitoringPage() {
                 <SelectItem value="SUSPICIOUS_ACTIVITY">
                   Suspicious Activity
                 </SelectItem>
+                <SelectItem value="ACCOUNT_LOCKED">Account Lockouts</SelectItem>
+                <SelectItem value="RATE_LIMIT_EXCEEDED">
+                  Rate Limit Breaches
+                </SelectItem>
+                <SelectItem value="IP_BLOCKED">Blocked IPs</SelectItem>
+                <SelectItem value="MFA_ENABLED">MFA Enabled</SelectItem>
+                <SelectItem value="MFA_DISABLED">MFA Disabled</SelectItem>
+                <SelectItem value="MFA_RESET">MFA Resets</SelectItem>
+                <SelectItem value="MFA_RECOVERY_CODE_USED">
+                  Recovery Codes Used
+                </SelectItem>
+                <SelectItem value="SESSION_REVOKED">
+                  Sessions Revoked
+                </SelectItem>
+                <SelectItem value="SESSION_LIMIT_REACHED">
+                  Session Limit Reached
+                </SelectItem>
+                <SelectItem value="REFRESH_TOKEN_REUSED">
+                  Refresh Token Reuse
+                </SelectItem>
+                <SelectItem value="PASSWORD_RESET_REQUESTED">
+                  Password Reset Requests
+                </SelectItem>
+                <SelectItem value="PASSWORD_RESET">Password Resets</SelectItem>
+                <SelectItem value="EMAIL_VERIFIED">Emails Verified</SelectItem>
+                <SelectItem value="IDENTITY_LINKED">
+                  Linked Sign-in Providers
+                </SelectItem>
               </SelectContent>
             </Select>
           </div>
@@ -4,6 +4,7 @@ import { useState } from "react";
 import { Button } from "@/components/ui/button";
 import { Label } from "@/components/ui/label";
 import { Switch } from "@/components/ui/switch";
+import { Checkbox } from "@/components/ui/checkbox";
 import {
   Card,
   CardContent,
@@ -12,35 +13,93 @@ import {
   CardTitle,
 } from "@/components/ui/card";
 import { Alert, AlertDescription } from "@/components/ui/alert";
-import { Loader2, Save, AlertCircle, Flag } from "lucide-react";
+import { Loader2, Save, AlertCircle, Flag, Users } from "lucide-react";
+
+const TARGETABLE_ROLES = ["student", "instructor", "admin", "super_admin"];
+
+const FLAG_DEFAULTS = {
+  enableCourseReviews: true,
+  enableCertificates: true,
+  enableDiscussionForums: true,
+  enableLiveStreaming: false,
+  enableAIRecommendations: false,
+  enableCourseWishlist: true,
+  enableCoursePreview: true,
+  enableMobileApp: false,
+  enableSocialLogin: true,
+  enableNotifications: true,
+};
+
+// Flags are stored as booleans or as { enabled, rules } objects
+const normalizeFlag = (value, fallback) => {
+  if (typeof value === "boolean") {
+    return { enabled: value, roles: [], users: "", percentage: "" };
+  }
+  if (value && typeof value === "object") {
+    return {
+      enabled: value.enabled === true,
+      roles: value.rules?.roles || [],
+      users: (value.rules?.users || []).join(", "),
+      percentage:
+        typeof value.rules?.percentage === "number"
+          ? String(value.rules.percentage)
+          : "",
+    };
+  }
+  return { enabled: fallback, roles: [], users: "", percentage: "" };
+};
+
+// Save flags without targeting as plain booleans
+const serializeFlag = (flag) => {
+  const users = flag.users
+    .split(",")
+    .map((userId) => userId.trim())
+    .filter(Boolean);
+  const percentage = flag.percentage === "" ? null : Number(flag.percentage);
+
+  if (flag.roles.length === 0 && users.length === 0 && percentage === null) {
+    return flag.enabled;
+  }
+
+  return {
+    enabled: flag.enabled,
+    rules: { roles: flag.roles, users, percentage },
+  };
+};
 
 const FeatureFlagsTab = ({ settings, onUpdate }) => {
-  const [formData, setFormData] = useState({
-    enableCourseReviews: settings?.enableCourseReviews || true,
-    enableCertificates: settings?.enableCertificates || true,
-    enableDiscussionForums: settings?.enableDiscussionForums || true,
-    enableLiveStreaming: settings?.enableLiveStreaming || false,
-    enableAIRecommendations: settings?.enableAIRecommendations || false,
-    enableCourseWishlist: settings?.enableCourseWishlist || true,
-    enableCoursePreview: settings?.enableCoursePreview || true,
-    enableMobileApp: settings?.enableMobileApp || false,
-    enableSocialLogin: settings?.enableSocialLogin || true,
-    enableNotifications: settings?.enableNotifications || true,
-  });
+  const [formData, setFormData] = useState(() =>
+    Object.keys(FLAG_DEFAULTS).reduce((flags, key) => {
+      flags[key] = normalizeFlag(settings?.[key], FLAG_DEFAULTS[key]);
+      return flags;
+    }, {})
+  );
+  const [expandedFlag, setExpandedFlag] = useState(null);
 
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(false);
 
-  const handleToggle = (field, value) => {
+  const updateFlag = (field, changes) => {
     setFormData((prev) => ({
       ...prev,
-      [field]: value,
+      [field]: { ...prev[field], ...changes },
     }));
     setError(null);
     setSuccess(false);
   };
 
+  const handleToggle = (field, value) => {
+    updateFlag(field, { enabled: value });
+  };
+
+  const handleRoleToggle = (field, role, checked) => {
+    const roles = formData[field].roles;
+    updateFlag(field, {
+      roles: checked ? [...roles, role] : roles.filter((r) => r !== role),
+    });
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
@@ -56,12 +115,23 @@ const FeatureFlagsTab = ({ settings, onUpdate }) => {
           Authorization: `Bearer ${token}`,
           "Content-Type": "application/json",
         },
-        body: JSON.stringify({ featureFlags: formData }),
+        body: JSON.stringify({
+          featureFlags: Object.fromEntries(
+            Object.entries(formData).map(([key, flag]) => [
+              key,
+              serializeFlag(flag),
+            ])
+          ),
+        }),
       });
 
       if (!response.ok) {
         const errorData = await response.json();
-        throw new Error(errorData.message || "Failed to update feature flags");
+        throw new Error(
+          errorData.errors?.join(", ") ||
+            errorData.message ||
+            "Failed to update feature flags"
+        );
       }
 
       const data = await response.json();
@@ -189,26 +259,113 @@ const FeatureFlagsTab = ({ settings, onUpdate }) => {
               {category.features.map((feature) => (
                 <div
                   key={feature.key}
-                  className="flex items-center justify-between p-4 border border-gray-200 rounded-lg"
+                  className="p-4 border border-gray-200 rounded-lg space-y-4"
                 >
-                  <div className="space-y-1">
-                    <Label
-                      htmlFor={feature.key}
-                      className="text-sm font-medium"
-                    >
-                      {feature.label}
-                    </Label>
-                    <p className="text-sm text-gray-600">
-                      {feature.description}
-                    </p>
+                  <div className="flex items-center justify-between">
+                    <div className="space-y-1">
+                      <Label
+                        htmlFor={feature.key}
+                        className="text-sm font-medium"
+                      >
+                        {feature.label}
+                      </Label>
+                      <p className="text-sm text-gray-600">
+                        {feature.description}
+                      </p>
+                    </div>
+                    <div className="flex items-center space-x-3">
+                      <Button
+                        type="button"
+                        variant="ghost"
+                        size="sm"
+                        onClick={() =>
+                          setExpandedFlag(
+                            expandedFlag === feature.key ? null : feature.key
+                          )
+                        }
+                      >
+                        <Users className="h-4 w-4 mr-1" />
+                        Targeting
+                      </Button>
+                      <Switch
+                        id={feature.key}
+                        checked={formData[feature.key].enabled}
+                        onCheckedChange={(checked) =>
+                          handleToggle(feature.key, checked)
+                        }
+                      />
+                    </div>
                   </div>
-                  <Switch
-                    id={feature.key}
-                    checked={formData[feature.key]}
-                    onCheckedChange={(checked) =>
-                      handleToggle(feature.key, checked)
-                    }
-                  />
+
+                  {expandedFlag === feature.key && (
+                    <div className="space-y-4 border-t border-gray-200 pt-4">
+                      <p className="text-xs text-gray-500">
+                        Leave all rules empty to enable the feature for
+                        everyone. Otherwise it is only on for users matching at
+                        least one rule.
+                      </p>
+                      <div className="space-y-2">
+                        <Label className="text-sm font-medium">Roles</Label>
+                        <div className="flex flex-wrap gap-4">
+                          {TARGETABLE_ROLES.map((role) => (
+                            <label
+                              key={role}
+                              className="flex items-center space-x-2 text-sm"
+                            >
+                              <Checkbox
+                                checked={formData[feature.key].roles.includes(
+                                  role
+                                )}
+                                onCheckedChange={(checked) =>
+                                  handleRoleToggle(feature.key, role, checked)
+                                }
+                              />
+                              <span>{role}</span>
+                            </label>
+                          ))}
+                        </div>
+                      </div>
+                      <div className="space-y-2">
+                        <Label
+                          htmlFor={`${feature.key}-users`}
+                          className="text-sm font-medium"
+                        >
+                          User IDs
+                        </Label>
+                        <input
+                          id={`${feature.key}-users`}
+                          value={formData[feature.key].users}
+                          onChange={(e) =>
+                            updateFlag(feature.key, { users: e.target.value })
+                          }
+                          placeholder="Comma-separated user IDs"
+                          className="w-full rounded-md border border-gray-300 px-3 py-2 text-sm"
+                        />
+                      </div>
+                      <div className="space-y-2">
+                        <Label
+                          htmlFor={`${feature.key}-percentage`}
+                          className="text-sm font-medium"
+                        >
+                          Percentage rollout
+                        </Label>
+                        <input
+                          id={`${feature.key}-percentage`}
+                          type="number"
+                          min="0"
+                          max="100"
+                          value={formData[feature.key].percentage}
+                          onChange={(e) =>
+                            updateFlag(feature.key, {
+                              percentage: e.target.value,
+                            })
+                          }
+                          placeholder="0-100"
+                          className="w-32 rounded-md border border-gray-300 px-3 py-2 text-sm"
+                        />
+                      </div>
+                    </div>
+                  )}
                 </div>
               ))}
             </CardContent>
@@ -23,6 +23,7 @@ const PlatformSettingsTab = ({ settings, onUpdate }) => {
     allowUserRegistration: settings?.allowUserRegistration || true,
     requireCourseApproval: settings?.requireCourseApproval || true,
     maxFileUploadSize: settings?.maxFileUploadSize || 100,
+    lectureCompletionThreshold: settings?.lectureCompletionThreshold || 90,
     supportEmail: settings?.supportEmail || "support@upskillpro.com",
     defaultLanguage: settings?.defaultLanguage || "en",
     maintenanceMessage:
@@ -170,6 +171,29 @@ const PlatformSettingsTab = ({ settings, onUpdate }) => {
               }
             />
           </div>
+
+          {/* Video Completion Threshold */}
+          <div className="space-y-2">
+            <Label htmlFor="lectureCompletionThreshold">
+              Video Completion Threshold (%)
+            </Label>
+            <Input
+              id="lectureCompletionThreshold"
+              type="number"
+              min="1"
+              max="100"
+              value={formData.lectureCompletionThreshold}
+              onChange={(e) =>
+                handleInputChange(
+                  "lectureCompletionThreshold",
+                  parseInt(e.target.value)
+                )
+              }
+            />
+            <p className="text-xs text-gray-500">
+              Share of a video learners must watch before its lecture completes
+            </p>
+          </div>
         </div>
 
         {/* Maintenance Message */}
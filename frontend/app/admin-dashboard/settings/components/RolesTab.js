@@ -0,0 +1,370 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Badge } from "@/components/ui/badge";
+import { Checkbox } from "@/components/ui/checkbox";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import {
+  Loader2,
+  Save,
+  AlertCircle,
+  KeyRound,
+  Pencil,
+  Plus,
+  Trash2,
+} from "lucide-react";
+
+const EMPTY_FORM = { name: "", description: "", permissions: [] };
+
+// "tickets:assign" is grouped under "tickets"
+const groupPermissions = (permissions) =>
+  permissions.reduce((groups, permission) => {
+    const [group] = permission.name.split(":");
+    groups[group] = [...(groups[group] || []), permission];
+    return groups;
+  }, {});
+
+const RolesTab = () => {
+  const [roles, setRoles] = useState([]);
+  const [permissions, setPermissions] = useState([]);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [editingRole, setEditingRole] = useState(null);
+  const [formOpen, setFormOpen] = useState(false);
+
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  useEffect(() => {
+    fetchRoles();
+  }, []);
+
+  const request = async (path, options = {}) => {
+    const token = localStorage.getItem("token");
+
+    const response = await fetch(path, {
+      ...options,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        "Content-Type": "application/json",
+      },
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.message || data.error || "Request failed");
+    }
+    return data;
+  };
+
+  const fetchRoles = async () => {
+    try {
+      setLoading(true);
+      const [rolesData, permissionsData] = await Promise.all([
+        request("/api/admin/roles"),
+        request("/api/admin/permissions"),
+      ]);
+      setRoles(rolesData.data);
+      setPermissions(permissionsData.data);
+    } catch (err) {
+      console.error("Error fetching roles:", err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openForm = (role = null) => {
+    setEditingRole(role?.name || null);
+    setFormData(
+      role
+        ? {
+            name: role.name,
+            description: role.description,
+            permissions: role.permissions,
+          }
+        : EMPTY_FORM
+    );
+    setFormOpen(true);
+    setError(null);
+    setSuccess(null);
+  };
+
+  const handlePermissionToggle = (permission, checked) => {
+    setFormData((prev) => ({
+      ...prev,
+      permissions: checked
+        ? [...prev.permissions, permission]
+        : prev.permissions.filter((p) => p !== permission),
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      setError(null);
+
+      if (editingRole) {
+        await request(`/api/admin/roles/${editingRole}`, {
+          method: "PUT",
+          body: JSON.stringify({
+            description: formData.description,
+            permissions: formData.permissions,
+          }),
+        });
+      } else {
+        await request("/api/admin/roles", {
+          method: "POST",
+          body: JSON.stringify(formData),
+        });
+      }
+
+      setSuccess(`Role ${formData.name} saved successfully!`);
+      setFormOpen(false);
+      await fetchRoles();
+
+      // Clear success message after 3 seconds
+      setTimeout(() => setSuccess(null), 3000);
+    } catch (err) {
+      console.error("Error saving role:", err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (roleName) => {
+    if (!window.confirm(`Delete the ${roleName} role?`)) {
+      return;
+    }
+
+    try {
+      setError(null);
+      await request(`/api/admin/roles/${roleName}`, { method: "DELETE" });
+      setSuccess(`Role ${roleName} deleted`);
+      await fetchRoles();
+
+      setTimeout(() => setSuccess(null), 3000);
+    } catch (err) {
+      console.error("Error deleting role:", err);
+      setError(err.message);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-8">
+        <Loader2 className="h-6 w-6 animate-spin" />
+        <span className="ml-2">Loading roles...</span>
+      </div>
+    );
+  }
+
+  const permissionGroups = groupPermissions(permissions);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">
+            Roles &amp; Permissions
+          </h3>
+          <p className="text-sm text-gray-600 mt-1">
+            Compose staff roles from individual admin permissions
+          </p>
+        </div>
+        {!formOpen && (
+          <Button onClick={() => openForm()}>
+            <Plus className="h-4 w-4 mr-2" />
+            New Role
+          </Button>
+        )}
+      </div>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      {success && (
+        <Alert className="border-green-200 bg-green-50 text-green-800">
+          <AlertDescription>{success}</AlertDescription>
+        </Alert>
+      )}
+
+      {formOpen && (
+        <form onSubmit={handleSubmit}>
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center space-x-2">
+                <KeyRound className="h-5 w-5" />
+                <span>{editingRole ? `Edit ${editingRole}` : "New Role"}</span>
+              </CardTitle>
+              <CardDescription>
+                You can only grant permissions your own role holds
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div className="space-y-2">
+                  <Label htmlFor="roleName">Name</Label>
+                  <Input
+                    id="roleName"
+                    value={formData.name}
+                    disabled={Boolean(editingRole)}
+                    placeholder="support"
+                    onChange={(e) =>
+                      setFormData((prev) => ({
+                        ...prev,
+                        name: e.target.value.toLowerCase(),
+                      }))
+                    }
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="roleDescription">Description</Label>
+                  <Input
+                    id="roleDescription"
+                    value={formData.description}
+                    maxLength={200}
+                    placeholder="Works the support queue"
+                    onChange={(e) =>
+                      setFormData((prev) => ({
+                        ...prev,
+                        description: e.target.value,
+                      }))
+                    }
+                  />
+                </div>
+              </div>
+
+              <div className="space-y-4">
+                <Label className="text-sm font-medium">Permissions</Label>
+                {Object.entries(permissionGroups).map(([group, items]) => (
+                  <div key={group} className="space-y-2">
+                    <p className="text-xs font-semibold uppercase text-gray-500">
+                      {group}
+                    </p>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                      {items.map((permission) => (
+                        <label
+                          key={permission.name}
+                          className="flex items-start space-x-2 text-sm"
+                        >
+                          <Checkbox
+                            checked={formData.permissions.includes(
+                              permission.name
+                            )}
+                            onCheckedChange={(checked) =>
+                              handlePermissionToggle(permission.name, checked)
+                            }
+                          />
+                          <span>
+                            <span className="font-mono">{permission.name}</span>
+                            <span className="block text-xs text-gray-500">
+                              {permission.description}
+                            </span>
+                          </span>
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+              </div>
+
+              <div className="flex justify-end space-x-2">
+                <Button
+                  type="button"
+                  variant="outline"
+                  onClick={() => setFormOpen(false)}
+                >
+                  Cancel
+                </Button>
+                <Button
+                  type="submit"
+                  disabled={saving || formData.permissions.length === 0}
+                >
+                  {saving ? (
+                    <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                  ) : (
+                    <Save className="h-4 w-4 mr-2" />
+                  )}
+                  Save Role
+                </Button>
+              </div>
+            </CardContent>
+          </Card>
+        </form>
+      )}
+
+      <div className="space-y-3">
+        {roles.map((role) => (
+          <Card key={role.name}>
+            <CardContent className="p-4">
+              <div className="flex items-start justify-between">
+                <div className="space-y-1">
+                  <div className="flex items-center space-x-2">
+                    <span className="font-medium">{role.name}</span>
+                    {role.builtIn && <Badge variant="outline">Built-in</Badge>}
+                  </div>
+                  <p className="text-sm text-gray-600">{role.description}</p>
+                  <div className="flex flex-wrap gap-1 pt-1">
+                    {role.permissions.length > 0 ? (
+                      role.permissions.map((permission) => (
+                        <span
+                          key={permission}
+                          className="text-xs px-2 py-1 bg-gray-100 text-gray-600 rounded font-mono"
+                        >
+                          {permission}
+                        </span>
+                      ))
+                    ) : (
+                      <span className="text-xs text-gray-500">
+                        No admin permissions
+                      </span>
+                    )}
+                  </div>
+                </div>
+                {!role.builtIn && (
+                  <div className="flex space-x-2">
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => openForm(role)}
+                    >
+                      <Pencil className="h-4 w-4" />
+                    </Button>
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => handleDelete(role.name)}
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  </div>
+                )}
+              </div>
+            </CardContent>
+          </Card>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default RolesTab;
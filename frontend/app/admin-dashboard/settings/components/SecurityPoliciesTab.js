@@ -22,14 +22,24 @@ import {
   Lock,
   Clock,
   Globe,
+  Wifi,
 } from "lucide-react";
 
+// Route groups with their own budgets, alongside Max Requests/Minute
+const RATE_LIMIT_GROUPS = [
+  { key: "login", label: "Login Requests/Minute (per IP)", defaultLimit: 10 },
+  { key: "signup", label: "Signups/Hour (per IP)", defaultLimit: 5 },
+  { key: "upload", label: "Uploads/Hour (per user)", defaultLimit: 30 },
+];
+
 const SecurityPoliciesTab = ({ onUpdate }) => {
   const [policies, setPolicies] = useState(null);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(false);
+  const [ipPreview, setIpPreview] = useState(null);
+  const [testingIp, setTestingIp] = useState(false);
 
   useEffect(() => {
     fetchSecurityPolicies();
@@ -71,9 +81,11 @@ const SecurityPoliciesTab = ({ onUpdate }) => {
     }));
     setError(null);
     setSuccess(false);
+    setIpPreview(null);
   };
 
   const handleArrayChange = (category, field, index, value) => {
+    setIpPreview(null);
     setPolicies((prev) => {
       const newArray = [...(prev[category][field] || [])];
       if (value === "") {
@@ -101,6 +113,39 @@ const SecurityPoliciesTab = ({ onUpdate }) => {
     }));
   };
 
+  // Check the current (unsaved) allowlist against the admin's own IP
+  const handleTestIp = async () => {
+    try {
+      setTestingIp(true);
+      setError(null);
+
+      const token = localStorage.getItem("token");
+
+      const response = await fetch("/api/admin/security/policies/ip-preview", {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ accessControl: policies.accessControl }),
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(
+          data.errors?.join(", ") || data.message || "Failed to test IP"
+        );
+      }
+
+      setIpPreview(data.data);
+    } catch (err) {
+      console.error("Error testing IP allowlist:", err);
+      setError(err.message);
+    } finally {
+      setTestingIp(false);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
@@ -420,7 +465,7 @@ const SecurityPoliciesTab = ({ onUpdate }) => {
                       Require Multi-Factor Authentication
                     </Label>
                     <p className="text-xs text-gray-600">
-                      Require MFA for all user accounts
+                      Require MFA for admin and super admin accounts
                     </p>
                   </div>
                   <Switch
@@ -536,6 +581,32 @@ const SecurityPoliciesTab = ({ onUpdate }) => {
               </div>
             </div>
 
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              {RATE_LIMIT_GROUPS.map((group) => (
+                <div key={group.key} className="space-y-2">
+                  <Label htmlFor={`rateLimit-${group.key}`}>
+                    {group.label}
+                  </Label>
+                  <Input
+                    id={`rateLimit-${group.key}`}
+                    type="number"
+                    min="1"
+                    max="1000"
+                    value={
+                      policies.accessControl?.rateLimits?.[group.key] ||
+                      group.defaultLimit
+                    }
+                    onChange={(e) =>
+                      handlePolicyChange("accessControl", "rateLimits", {
+                        ...policies.accessControl?.rateLimits,
+                        [group.key]: parseInt(e.target.value),
+                      })
+                    }
+                  />
+                </div>
+              ))}
+            </div>
+
             <div className="space-y-4 pt-4 border-t border-gray-200">
               <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                 <div className="flex items-center justify-between">
@@ -615,6 +686,33 @@ const SecurityPoliciesTab = ({ onUpdate }) => {
                     }
                   />
                 </div>
+
+                <div className="flex items-center justify-between">
+                  <div className="space-y-1">
+                    <Label
+                      htmlFor="allowUnverifiedLogin"
+                      className="text-sm font-medium"
+                    >
+                      Allow Unverified Login
+                    </Label>
+                    <p className="text-xs text-gray-600">
+                      Let users log in before verifying their email address
+                    </p>
+                  </div>
+                  <Switch
+                    id="allowUnverifiedLogin"
+                    checked={
+                      policies.accessControl?.allowUnverifiedLogin !== false
+                    }
+                    onCheckedChange={(checked) =>
+                      handlePolicyChange(
+                        "accessControl",
+                        "allowUnverifiedLogin",
+                        checked
+                      )
+                    }
+                  />
+                </div>
               </div>
 
               {policies.accessControl?.enableIPWhitelist && (
@@ -637,7 +735,7 @@ const SecurityPoliciesTab = ({ onUpdate }) => {
                                 e.target.value
                               )
                             }
-                            placeholder="192.168.1.0/24 or 10.0.0.1"
+                            placeholder="192.168.1.0/24, 10.0.0.1 or 2001:db8::/32"
                             className="flex-1"
                           />
                           <Button
@@ -658,17 +756,49 @@ const SecurityPoliciesTab = ({ onUpdate }) => {
                         </div>
                       )
                     )}
-                    <Button
-                      type="button"
-                      variant="outline"
-                      size="sm"
-                      onClick={() =>
-                        addArrayItem("accessControl", "allowedIPs")
-                      }
-                    >
-                      Add IP Address
-                    </Button>
+                    <div className="flex items-center space-x-2">
+                      <Button
+                        type="button"
+                        variant="outline"
+                        size="sm"
+                        onClick={() =>
+                          addArrayItem("accessControl", "allowedIPs")
+                        }
+                      >
+                        Add IP Address
+                      </Button>
+                      <Button
+                        type="button"
+                        variant="outline"
+                        size="sm"
+                        onClick={handleTestIp}
+                        disabled={testingIp}
+                      >
+                        {testingIp ? (
+                          <Loader2 className="h-4 w-4 animate-spin mr-2" />
+                        ) : (
+                          <Wifi className="h-4 w-4 mr-2" />
+                        )}
+                        Test My IP
+                      </Button>
+                    </div>
                   </div>
+
+                  {ipPreview && (
+                    <Alert
+                      variant={ipPreview.allowed ? "default" : "destructive"}
+                    >
+                      <AlertDescription>
+                        {ipPreview.allowed
+                          ? `Your IP address ${ipPreview.ip} is allowed${
+                              ipPreview.matchedRule
+                                ? ` by ${ipPreview.matchedRule}`
+                                : ""
+                            }.`
+                          : `Your IP address ${ipPreview.ip} is not in this allowlist. Saving it would lock you out of the admin dashboard.`}
+                      </AlertDescription>
+                    </Alert>
+                  )}
                 </div>
               )}
             </div>
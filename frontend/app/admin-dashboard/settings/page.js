@@ -10,12 +10,20 @@ import {
   CardTitle,
 } from "@/components/ui/card";
 import { Alert, AlertDescription } from "@/components/ui/alert";
-import { Loader2, Settings, Shield, CreditCard, Plug } from "lucide-react";
+import {
+  Loader2,
+  Settings,
+  Shield,
+  CreditCard,
+  Plug,
+  KeyRound,
+} from "lucide-react";
 import PlatformSettingsTab from "./components/PlatformSettingsTab";
 import FeatureFlagsTab from "./components/FeatureFlagsTab";
 import PaymentSettingsTab from "./components/PaymentSettingsTab";
 import IntegrationSettingsTab from "./components/IntegrationSettingsTab";
 import SecurityPoliciesTab from "./components/SecurityPoliciesTab";
+import RolesTab from "./components/RolesTab";
 
 const SystemSettingsPage = () => {
   const [settings, setSettings] = useState(null);
@@ -90,7 +98,8 @@ const SystemSettingsPage = () => {
         <div>
           <h1 className="text-3xl font-bold text-gray-900">System Settings</h1>
           <p className="text-gray-600 mt-2">
-            Configure platform settings, security policies, and integrations
+            Configure platform settings, security policies, roles, and
+            integrations
           </p>
         </div>
       </div>
@@ -104,7 +113,7 @@ const SystemSettingsPage = () => {
             className="w-full"
           >
             <div className="border-b border-gray-200">
-              <TabsList className="grid w-full grid-cols-5 bg-transparent h-auto p-0">
+              <TabsList className="grid w-full grid-cols-6 bg-transparent h-auto p-0">
                 <TabsTrigger
                   value="platform"
                   className="flex items-center space-x-2 py-4 px-6 data-[state=active]:bg-blue-50 data-[state=active]:text-blue-700 data-[state=active]:border-b-2 data-[state=active]:border-blue-700"
@@ -140,6 +149,13 @@ const SystemSettingsPage = () => {
                   <Shield className="h-4 w-4" />
                   <span>Security</span>
                 </TabsTrigger>
+                <TabsTrigger
+                  value="roles"
+                  className="flex items-center space-x-2 py-4 px-6 data-[state=active]:bg-blue-50 data-[state=active]:text-blue-700 data-[state=active]:border-b-2 data-[state=active]:border-blue-700"
+                >
+                  <KeyRound className="h-4 w-4" />
+                  <span>Roles</span>
+                </TabsTrigger>
               </TabsList>
             </div>
             // Add keys to TabsContent components and ensure proper conditional
@@ -188,6 +204,10 @@ const SystemSettingsPage = () => {
               <TabsContent value="security" className="mt-0" key="security">
                 <SecurityPoliciesTab onUpdate={handleSettingsUpdate} />
               </TabsContent>
+
+              <TabsContent value="roles" className="mt-0" key="roles">
+                <RolesTab />
+              </TabsContent>
             </div>
           </Tabs>
         </CardContent>
@@ -14,6 +14,8 @@ import {
   UserX,
   User,
   Shield,
+  Lock,
+  Unlock,
 } from "lucide-react";
 
 const AccountStatusModal = ({ user, isOpen, onClose, onStatusUpdate }) => {
@@ -23,6 +25,11 @@ const AccountStatusModal = ({ user, isOpen, onClose, onStatusUpdate }) => {
   const [reason, setReason] = useState("");
   const [statusHistory, setStatusHistory] = useState([]);
   const [showConfirmation, setShowConfirmation] = useState(false);
+  const [lockInfo, setLockInfo] = useState({
+    lockedUntil: null,
+    failedLoginAttempts: 0,
+  });
+  const [unlocking, setUnlocking] = useState(false);
 
   // Status definitions
   const statusDefinitions = {
@@ -54,6 +61,10 @@ const AccountStatusModal = ({ user, isOpen, onClose, onStatusUpdate }) => {
     if (user) {
       setSelectedStatus(user.accountStatus || "");
       setReason("");
+      setLockInfo({
+        lockedUntil: user.lockedUntil || null,
+        failedLoginAttempts: user.failedLoginAttempts || 0,
+      });
       fetchStatusHistory();
     }
   }, [user]);
@@ -82,6 +93,10 @@ const AccountStatusModal = ({ user, isOpen, onClose, onStatusUpdate }) => {
             (action) => action.action === "USER_STATUS_UPDATE"
           ) || [];
         setStatusHistory(statusChanges);
+        setLockInfo({
+          lockedUntil: result.data.lockedUntil || null,
+          failedLoginAttempts: result.data.failedLoginAttempts || 0,
+        });
       }
     } catch (error) {
       console.error("Error fetching status history:", error);
@@ -155,6 +170,45 @@ const AccountStatusModal = ({ user, isOpen, onClose, onStatusUpdate }) => {
     }
   };
 
+  // Lift a brute-force lockout
+  const handleUnlock = async () => {
+    setUnlocking(true);
+    try {
+      const response = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/admin/users/${user.userId}/unlock`,
+        {
+          method: "PUT",
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({
+            reason: reason || "Account unlocked by admin",
+          }),
+        }
+      );
+
+      if (response.ok) {
+        setLockInfo({ lockedUntil: null, failedLoginAttempts: 0 });
+
+        if (onStatusUpdate) {
+          onStatusUpdate({
+            ...user,
+            lockedUntil: null,
+            failedLoginAttempts: 0,
+          });
+        }
+      } else {
+        const errorData = await response.json();
+        console.error("Unlock failed:", errorData.message);
+      }
+    } catch (error) {
+      console.error("Error unlocking account:", error);
+    } finally {
+      setUnlocking(false);
+    }
+  };
+
   // Format date
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString("en-US", {
@@ -190,6 +244,8 @@ const AccountStatusModal = ({ user, isOpen, onClose, onStatusUpdate }) => {
 
   const currentStatusDef = statusDefinitions[user.accountStatus];
   const CurrentStatusIcon = currentStatusDef?.icon || User;
+  const isLocked =
+    lockInfo.lockedUntil && new Date(lockInfo.lockedUntil) > new Date();
 
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
@@ -233,6 +289,37 @@ const AccountStatusModal = ({ user, isOpen, onClose, onStatusUpdate }) => {
             </CardContent>
           </Card>
 
+          {/* Brute-force Lockout */}
+          {isLocked && (
+            <Card className="border-red-200 bg-red-50">
+              <CardContent className="pt-6">
+                <div className="flex items-center justify-between">
+                  <div className="flex items-center space-x-3">
+                    <Lock className="h-5 w-5 text-red-600" />
+                    <div>
+                      <h3 className="font-medium text-red-900">
+                        Temporarily Locked
+                      </h3>
+                      <p className="text-sm text-red-700">
+                        Locked after {lockInfo.failedLoginAttempts} failed login
+                        attempts until {formatDate(lockInfo.lockedUntil)}
+                      </p>
+                    </div>
+                  </div>
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    onClick={handleUnlock}
+                    disabled={unlocking}
+                  >
+                    <Unlock className="h-4 w-4 mr-2" />
+                    {unlocking ? "Unlocking..." : "Unlock Account"}
+                  </Button>
+                </div>
+              </CardContent>
+            </Card>
+          )}
+
           {/* Status Selection */}
           <Card>
             <CardHeader>
@@ -0,0 +1,438 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { useSelector } from "react-redux";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import {
+  X,
+  Upload,
+  FileSpreadsheet,
+  AlertTriangle,
+  CheckCircle,
+} from "lucide-react";
+import { parseCsv } from "@/utils/csv";
+
+const MAX_IMPORT_ROWS = 500;
+
+// Columns picked automatically when the header uses one of these names
+const IMPORT_FIELDS = [
+  {
+    key: "name",
+    label: "Name",
+    required: true,
+    aliases: ["name", "full name"],
+  },
+  {
+    key: "email",
+    label: "Email",
+    required: true,
+    aliases: ["email", "e-mail", "email address"],
+  },
+  { key: "role", label: "Role", required: false, aliases: ["role"] },
+];
+
+const guessMapping = (header) =>
+  Object.fromEntries(
+    IMPORT_FIELDS.map((field) => {
+      const index = header.findIndex((column) =>
+        field.aliases.includes(column.trim().toLowerCase())
+      );
+      return [field.key, index >= 0 ? String(index) : ""];
+    })
+  );
+
+const ImportUsersModal = ({ isOpen, onClose, onImportComplete }) => {
+  const { token } = useSelector((state) => state.auth);
+  const [step, setStep] = useState("upload");
+  const [fileName, setFileName] = useState("");
+  const [header, setHeader] = useState([]);
+  const [dataRows, setDataRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [sendInvitations, setSendInvitations] = useState(true);
+  const [courses, setCourses] = useState([]);
+  const [courseIds, setCourseIds] = useState([]);
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Imported users can be enrolled in courses open for enrollment
+  useEffect(() => {
+    if (!isOpen || !token) return;
+
+    const fetchCourses = async () => {
+      try {
+        const response = await fetch(
+          `${process.env.NEXT_PUBLIC_API_URL}/api/admin/courses?limit=100`,
+          {
+            headers: {
+              Authorization: `Bearer ${token}`,
+              "Content-Type": "application/json",
+            },
+          }
+        );
+        if (!response.ok) {
+          throw new Error("Failed to fetch courses");
+        }
+
+        const result = await response.json();
+        setCourses(
+          // Courses from before the review workflow have no status
+          result.data.courses.filter(
+            (course) => !course.status || course.status === "published"
+          )
+        );
+      } catch (error) {
+        console.error("Error fetching courses:", error);
+      }
+    };
+
+    fetchCourses();
+  }, [isOpen, token]);
+
+  // Handle file selection
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    setError(null);
+    const [fileHeader = [], ...rows] = parseCsv(await file.text());
+    if (rows.length === 0) {
+      setError("The file has no rows below the header");
+      return;
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      setError(
+        `The file has ${rows.length} rows; import at most ${MAX_IMPORT_ROWS} at a time`
+      );
+      return;
+    }
+
+    setFileName(file.name);
+    setHeader(fileHeader);
+    setDataRows(rows);
+    setMapping(guessMapping(fileHeader));
+    setStep("map");
+  };
+
+  // Build the rows sent to the API from the column mapping
+  const mappedUsers = () =>
+    dataRows.map((row) =>
+      Object.fromEntries(
+        IMPORT_FIELDS.map((field) => [
+          field.key,
+          mapping[field.key] === ""
+            ? ""
+            : row[Number(mapping[field.key])] ?? "",
+        ])
+      )
+    );
+
+  const submitImport = async (dryRun) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/admin/users/import`,
+        {
+          method: "POST",
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({
+            users: mappedUsers(),
+            dryRun,
+            sendInvitations,
+            courseIds,
+          }),
+        }
+      );
+
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || result.error || "Import failed");
+      }
+
+      setReport(result.data);
+      setStep(dryRun ? "report" : "done");
+      if (!dryRun && onImportComplete) {
+        onImportComplete(result.data);
+      }
+    } catch (error) {
+      console.error("User import error:", error);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleCourse = (courseId) => {
+    setCourseIds((prev) =>
+      prev.includes(courseId)
+        ? prev.filter((id) => id !== courseId)
+        : [...prev, courseId]
+    );
+  };
+
+  // Reset and close
+  const handleClose = () => {
+    setStep("upload");
+    setFileName("");
+    setHeader([]);
+    setDataRows([]);
+    setMapping({});
+    setCourseIds([]);
+    setReport(null);
+    setError(null);
+    onClose();
+  };
+
+  if (!isOpen) return null;
+
+  const mappingComplete = IMPORT_FIELDS.every(
+    (field) => !field.required || mapping[field.key] !== ""
+  );
+
+  const getStatusBadgeColor = (status) => {
+    const colors = {
+      valid: "bg-green-100 text-green-800",
+      created: "bg-green-100 text-green-800",
+      invalid: "bg-red-100 text-red-800",
+      failed: "bg-red-100 text-red-800",
+    };
+    return colors[status];
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div className="flex items-center space-x-2">
+            <FileSpreadsheet className="h-6 w-6 text-blue-600" />
+            <h2 className="text-xl font-bold text-gray-900">Import Users</h2>
+          </div>
+          <Button variant="ghost" size="sm" onClick={handleClose}>
+            <X className="h-4 w-4" />
+          </Button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {error && (
+            <div className="p-4 bg-red-50 border border-red-200 rounded-lg flex items-center">
+              <AlertTriangle className="h-5 w-5 text-red-600 mr-2" />
+              <span className="text-sm text-red-800">{error}</span>
+            </div>
+          )}
+
+          {/* Upload */}
+          {step === "upload" && (
+            <Card>
+              <CardContent className="pt-6 space-y-4">
+                <p className="text-sm text-gray-600">
+                  Upload a CSV file with a header row and one user per line. You
+                  will match its columns to name, email and role next, and see a
+                  validation report before anything is created.
+                </p>
+                <label className="flex flex-col items-center justify-center p-8 border-2 border-dashed border-gray-300 rounded-lg cursor-pointer hover:border-blue-500">
+                  <Upload className="h-8 w-8 text-gray-400 mb-2" />
+                  <span className="text-sm text-gray-600">
+                    Choose a CSV file (up to {MAX_IMPORT_ROWS} users)
+                  </span>
+                  <input
+                    type="file"
+                    accept=".csv,text/csv"
+                    className="hidden"
+                    onChange={handleFileChange}
+                  />
+                </label>
+              </CardContent>
+            </Card>
+          )}
+
+          {/* Column mapping and options */}
+          {step === "map" && (
+            <>
+              <Card>
+                <CardHeader>
+                  <CardTitle className="text-sm">
+                    Match Columns ({fileName}, {dataRows.length} rows)
+                  </CardTitle>
+                </CardHeader>
+                <CardContent className="space-y-4">
+                  {IMPORT_FIELDS.map((field) => (
+                    <div
+                      key={field.key}
+                      className="flex items-center justify-between"
+                    >
+                      <label className="text-sm font-medium text-gray-700">
+                        {field.label}
+                        {field.required ? " *" : " (defaults to student)"}
+                      </label>
+                      <select
+                        value={mapping[field.key]}
+                        onChange={(e) =>
+                          setMapping((prev) => ({
+                            ...prev,
+                            [field.key]: e.target.value,
+                          }))
+                        }
+                        className="w-64 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      >
+                        <option value="">Not in file</option>
+                        {header.map((column, index) => (
+                          <option key={index} value={String(index)}>
+                            {column || `Column ${index + 1}`}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                  ))}
+
+                  <div className="text-xs text-gray-500">
+                    First row:{" "}
+                    {IMPORT_FIELDS.map(
+                      (field) =>
+                        `${field.label}: ${mappedUsers()[0][field.key] || "—"}`
+                    ).join(", ")}
+                  </div>
+                </CardContent>
+              </Card>
+
+              <Card>
+                <CardHeader>
+                  <CardTitle className="text-sm">Options</CardTitle>
+                </CardHeader>
+                <CardContent className="space-y-4">
+                  <label className="flex items-center text-sm">
+                    <input
+                      type="checkbox"
+                      checked={sendInvitations}
+                      onChange={(e) => setSendInvitations(e.target.checked)}
+                      className="mr-2"
+                    />
+                    Email each user an invitation to set their password
+                  </label>
+
+                  <div>
+                    <p className="text-sm font-medium text-gray-700 mb-2">
+                      Enroll imported users in
+                    </p>
+                    <div className="max-h-40 overflow-y-auto space-y-1">
+                      {courses.length === 0 && (
+                        <p className="text-sm text-gray-500">
+                          No published courses
+                        </p>
+                      )}
+                      {courses.map((course) => (
+                        <label
+                          key={course.courseId}
+                          className="flex items-center text-sm"
+                        >
+                          <input
+                            type="checkbox"
+                            checked={courseIds.includes(course.courseId)}
+                            onChange={() => toggleCourse(course.courseId)}
+                            className="mr-2"
+                          />
+                          {course.title}
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                </CardContent>
+              </Card>
+            </>
+          )}
+
+          {/* Dry-run report and results */}
+          {(step === "report" || step === "done") && report && (
+            <Card>
+              <CardHeader>
+                <CardTitle className="text-sm">
+                  {step === "report" ? "Validation Report" : "Import Results"}
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                <div className="p-3 bg-blue-50 border border-blue-200 rounded-lg text-sm">
+                  <span className="font-medium">Summary:</span>{" "}
+                  {step === "report"
+                    ? `${report.summary.valid} of ${report.summary.total} rows can be imported, ${report.summary.invalid} will be skipped`
+                    : `${report.summary.created} created, ${report.summary.invalid} skipped, ${report.summary.failed} failed, ${report.summary.invited} invited, ${report.summary.enrollments} enrollments`}
+                </div>
+
+                <div className="max-h-80 overflow-y-auto space-y-2">
+                  {report.rows.map((row) => (
+                    <div
+                      key={row.row}
+                      className="flex items-start justify-between p-2 border border-gray-200 rounded-lg text-sm"
+                    >
+                      <div>
+                        <div className="font-medium">
+                          Row {row.row}: {row.name || "—"}{" "}
+                          <span className="text-gray-500">
+                            {row.email || "no email"}
+                          </span>
+                        </div>
+                        {row.errors.map((rowError) => (
+                          <div key={rowError.code} className="text-red-700">
+                            {rowError.message}
+                          </div>
+                        ))}
+                      </div>
+                      <Badge className={getStatusBadgeColor(row.status)}>
+                        {row.status}
+                      </Badge>
+                    </div>
+                  ))}
+                </div>
+
+                {step === "done" && (
+                  <div className="flex items-center text-sm text-green-700">
+                    <CheckCircle className="h-4 w-4 mr-2" />
+                    Import finished
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          )}
+
+          {/* Actions */}
+          <div className="flex justify-end space-x-3">
+            <Button variant="outline" onClick={handleClose}>
+              {step === "done" ? "Close" : "Cancel"}
+            </Button>
+            {step === "map" && (
+              <Button
+                onClick={() => submitImport(true)}
+                disabled={!mappingComplete || loading}
+              >
+                {loading ? "Checking..." : "Check File"}
+              </Button>
+            )}
+            {step === "report" && (
+              <>
+                <Button variant="outline" onClick={() => setStep("map")}>
+                  Back
+                </Button>
+                <Button
+                  onClick={() => submitImport(false)}
+                  disabled={report.summary.valid === 0 || loading}
+                >
+                  {loading
+                    ? "Importing..."
+                    : `Import ${report.summary.valid} Users`}
+                </Button>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportUsersModal;
@@ -0,0 +1,174 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { useSelector } from "react-redux";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { X, UserX, AlertTriangle, RefreshCw } from "lucide-react";
+import { toast } from "react-hot-toast";
+import { hasPermission } from "@/utils/userUtil";
+import {
+  fetchPendingDeletions,
+  processDueDeletions,
+} from "@/lib/api/accountData";
+
+const formatDate = (value) => new Date(value).toLocaleDateString();
+
+/**
+ * Accounts their owners have asked to delete. Deletions are carried out
+ * once the grace period has ended; until then the user can cancel.
+ */
+const PendingDeletionsModal = ({ isOpen, onClose, onDeletionsProcessed }) => {
+  const { user, token } = useSelector((state) => state.auth);
+  const [deletions, setDeletions] = useState([]);
+  const [graceDays, setGraceDays] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [processing, setProcessing] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Sessions from before permissions existed are left to the API to check
+  const canDelete = !user?.permissions || hasPermission(user, "users:delete");
+  const dueCount = deletions.filter((deletion) => deletion.due).length;
+
+  const loadDeletions = async () => {
+    try {
+      setError(null);
+      setLoading(true);
+      const data = await fetchPendingDeletions(token);
+      setDeletions(data.deletions);
+      setGraceDays(data.graceDays);
+    } catch (error) {
+      console.error("Error fetching pending deletions:", error);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (isOpen && token) {
+      loadDeletions();
+    }
+  }, [isOpen, token]);
+
+  const handleProcess = async () => {
+    if (
+      !confirm(
+        `Permanently delete ${dueCount} account${dueCount === 1 ? "" : "s"}? This cannot be undone.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      setProcessing(true);
+      const result = await processDueDeletions(token);
+      toast.success(result.message);
+      await loadDeletions();
+      onDeletionsProcessed?.();
+    } catch (error) {
+      console.error("Error processing account deletions:", error);
+      toast.error(error.message);
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div className="flex items-center space-x-2">
+            <UserX className="h-6 w-6 text-red-600" />
+            <h2 className="text-xl font-bold text-gray-900">
+              Pending Account Deletions
+            </h2>
+          </div>
+          <Button variant="ghost" size="sm" onClick={onClose}>
+            <X className="h-4 w-4" />
+          </Button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          {graceDays && (
+            <p className="text-sm text-gray-600">
+              Users asked to delete these accounts and can change their mind
+              until the {graceDays}-day grace period ends. Deleting an account
+              keeps its ratings without the user&apos;s name, returns its seats
+              and removes its personal data.
+            </p>
+          )}
+
+          {error && (
+            <div className="p-4 bg-red-50 border border-red-200 rounded-lg flex items-center">
+              <AlertTriangle className="h-5 w-5 text-red-600 mr-2" />
+              <span className="text-sm text-red-800">{error}</span>
+            </div>
+          )}
+
+          {loading ? (
+            <div className="flex items-center justify-center py-8">
+              <RefreshCw className="h-6 w-6 animate-spin text-gray-400" />
+            </div>
+          ) : deletions.length === 0 ? (
+            <p className="py-8 text-center text-sm text-gray-500">
+              No accounts are scheduled for deletion
+            </p>
+          ) : (
+            <div className="border border-gray-200 rounded-lg divide-y divide-gray-200">
+              {deletions.map((deletion) => (
+                <div
+                  key={deletion.userId}
+                  className="flex items-center justify-between p-4"
+                >
+                  <div>
+                    <p className="font-medium text-gray-900">{deletion.name}</p>
+                    <p className="text-sm text-gray-500">{deletion.email}</p>
+                  </div>
+                  <div className="text-right">
+                    <Badge
+                      className={
+                        deletion.due
+                          ? "bg-red-100 text-red-800"
+                          : "bg-yellow-100 text-yellow-800"
+                      }
+                    >
+                      {deletion.due ? "Due" : "Grace period"}
+                    </Badge>
+                    <p className="mt-1 text-xs text-gray-500">
+                      Requested {formatDate(deletion.requestedAt)}, deleted on{" "}
+                      {formatDate(deletion.scheduledFor)}
+                    </p>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="flex items-center justify-end space-x-3 p-6 border-t border-gray-200">
+          <Button variant="outline" onClick={onClose}>
+            Close
+          </Button>
+          {canDelete && (
+            <Button
+              variant="destructive"
+              onClick={handleProcess}
+              disabled={processing || dueCount === 0}
+            >
+              {processing
+                ? "Deleting..."
+                : `Delete ${dueCount} Due Account${dueCount === 1 ? "" : "s"}`}
+            </Button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PendingDeletionsModal;
@@ -22,9 +22,10 @@ const RoleManagementModal = ({ user, isOpen, onClose, onRoleUpdate }) => {
   const [reason, setReason] = useState("");
   const [roleHistory, setRoleHistory] = useState([]);
   const [showConfirmation, setShowConfirmation] = useState(false);
+  const [customRoles, setCustomRoles] = useState([]);
 
   // Role definitions with descriptions and permissions
-  const roleDefinitions = {
+  const builtInRoleDefinitions = {
     student: {
       name: "Student",
       description: "Can enroll in courses and access learning materials",
@@ -66,15 +67,55 @@ const RoleManagementModal = ({ user, isOpen, onClose, onRoleUpdate }) => {
     },
   };
 
+  // Custom roles created in Settings > Roles
+  const roleDefinitions = {
+    ...builtInRoleDefinitions,
+    ...Object.fromEntries(
+      customRoles.map((role) => [
+        role.name,
+        {
+          name: role.name,
+          description: role.description || "Custom staff role",
+          permissions: role.permissions,
+          color: "bg-orange-100 text-orange-800",
+        },
+      ])
+    ),
+  };
+
   // Initialize form when user changes
   useEffect(() => {
     if (user) {
       setSelectedRole(user.role || "");
       setReason("");
       fetchRoleHistory();
+      fetchCustomRoles();
     }
   }, [user]);
 
+  // Fetch custom roles that can be assigned alongside the built-in ones
+  const fetchCustomRoles = async () => {
+    try {
+      const response = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/admin/roles`,
+        {
+          method: "GET",
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+        }
+      );
+
+      if (response?.ok) {
+        const result = await response.json();
+        setCustomRoles(result.data?.filter((role) => !role.builtIn) || []);
+      }
+    } catch (error) {
+      console.error("Error fetching roles:", error);
+    }
+  };
+
   // Fetch role change history
   const fetchRoleHistory = async () => {
     if (!user?.userId) return;
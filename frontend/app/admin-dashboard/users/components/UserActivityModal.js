@@ -25,6 +25,7 @@ import {
   CheckCircle,
   Eye,
   RefreshCw,
+  LogOut,
 } from "lucide-react";
 
 const UserActivityModal = ({ user, isOpen, onClose }) => {
@@ -33,6 +34,8 @@ const UserActivityModal = ({ user, isOpen, onClose }) => {
   const [activityData, setActivityData] = useState(null);
   const [selectedDateRange, setSelectedDateRange] = useState("7d");
   const [activityFilter, setActivityFilter] = useState("all");
+  const [sessions, setSessions] = useState([]);
+  const [revokingSession, setRevokingSession] = useState(null);
 
   // Date range options
   const dateRangeOptions = {
@@ -58,6 +61,77 @@ const UserActivityModal = ({ user, isOpen, onClose }) => {
     }
   }, [user, isOpen, selectedDateRange]);
 
+  useEffect(() => {
+    if (user && isOpen) {
+      fetchUserSessions();
+    }
+  }, [user, isOpen]);
+
+  // Fetch the user's active sessions
+  const fetchUserSessions = async () => {
+    if (!user?.userId) return;
+
+    try {
+      const response = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/admin/users/${user.userId}/sessions`,
+        {
+          method: "GET",
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+        }
+      );
+
+      if (response.ok) {
+        const result = await response.json();
+        setSessions(result.data || []);
+      } else {
+        throw new Error("Failed to fetch sessions");
+      }
+    } catch (error) {
+      console.error("Error fetching user sessions:", error);
+      setSessions([]);
+    }
+  };
+
+  // Sign out one session, or every session when no ID is given
+  const handleRevokeSession = async (sessionId) => {
+    const prompt = sessionId
+      ? "Sign out this session? The device will need to log in again."
+      : `Sign out all sessions of ${user.name}?`;
+    if (!window.confirm(prompt)) {
+      return;
+    }
+
+    setRevokingSession(sessionId || "all");
+    try {
+      const response = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/admin/users/${user.userId}/sessions${
+          sessionId ? `/${sessionId}` : ""
+        }`,
+        {
+          method: "DELETE",
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ reason: "Signed out by admin" }),
+        }
+      );
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        console.error("Session revoke failed:", errorData.message);
+      }
+      await fetchUserSessions();
+    } catch (error) {
+      console.error("Error revoking session:", error);
+    } finally {
+      setRevokingSession(null);
+    }
+  };
+
   // Fetch user activity data
   const fetchUserActivity = async () => {
     if (!user?.userId) return;
@@ -180,7 +254,12 @@ const UserActivityModal = ({ user, isOpen, onClose }) => {
       login: ["LOGIN", "LOGOUT", "FAILED_LOGIN"],
       course: ["COURSE_ENROLLMENT", "COURSE_COMPLETION", "LESSON_VIEW"],
       profile: ["PROFILE_UPDATE", "PASSWORD_CHANGE"],
-      security: ["FAILED_LOGIN", "PASSWORD_CHANGE", "SECURITY_ALERT"],
+      security: [
+        "FAILED_LOGIN",
+        "PASSWORD_CHANGE",
+        "SECURITY_ALERT",
+        "SESSION_REVOKED",
+      ],
     };
 
     return activityData.recentActions.filter((action) =>
@@ -233,6 +312,7 @@ const UserActivityModal = ({ user, isOpen, onClose }) => {
   // Handle refresh
   const handleRefresh = () => {
     fetchUserActivity();
+    fetchUserSessions();
   };
 
   if (!isOpen || !user) return null;
@@ -438,6 +518,93 @@ const UserActivityModal = ({ user, isOpen, onClose }) => {
             </CardContent>
           </Card>
 
+          {/* Active Sessions */}
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center justify-between">
+                <span className="flex items-center">
+                  <Monitor className="h-5 w-5 mr-2" />
+                  Active Sessions ({sessions.length})
+                </span>
+                {sessions.length > 0 && (
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    className="text-red-600"
+                    onClick={() => handleRevokeSession()}
+                    disabled={revokingSession !== null}
+                  >
+                    <LogOut className="h-4 w-4 mr-2" />
+                    Sign Out All
+                  </Button>
+                )}
+              </CardTitle>
+            </CardHeader>
+            <CardContent>
+              {sessions.length > 0 ? (
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Device</TableHead>
+                      <TableHead>IP Address</TableHead>
+                      <TableHead>Signed In</TableHead>
+                      <TableHead>Last Active</TableHead>
+                      <TableHead>MFA</TableHead>
+                      <TableHead></TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {sessions.map((session) => (
+                      <TableRow key={session.sessionId}>
+                        <TableCell title={session.userAgent || ""}>
+                          {session.device}
+                        </TableCell>
+                        <TableCell className="font-mono text-sm">
+                          {session.ipAddress || "Unknown"}
+                        </TableCell>
+                        <TableCell>{formatDate(session.createdAt)}</TableCell>
+                        <TableCell>
+                          {formatDate(session.lastActiveAt)}
+                        </TableCell>
+                        <TableCell>
+                          {session.mfa ? (
+                            <Badge className="bg-green-100 text-green-800">
+                              Verified
+                            </Badge>
+                          ) : (
+                            <Badge className="bg-gray-100 text-gray-800">
+                              No
+                            </Badge>
+                          )}
+                        </TableCell>
+                        <TableCell className="text-right">
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            className="text-red-600"
+                            onClick={() =>
+                              handleRevokeSession(session.sessionId)
+                            }
+                            disabled={revokingSession !== null}
+                          >
+                            {revokingSession === session.sessionId
+                              ? "Signing out..."
+                              : "Sign Out"}
+                          </Button>
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              ) : (
+                <div className="text-center py-4 text-gray-600">
+                  <Monitor className="h-8 w-8 text-gray-400 mx-auto mb-2" />
+                  <p className="text-sm">No active sessions</p>
+                </div>
+              )}
+            </CardContent>
+          </Card>
+
           {/* Login History */}
           <Card>
             <CardHeader>
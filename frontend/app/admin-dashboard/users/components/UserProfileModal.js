@@ -1,7 +1,7 @@
 "use client";
 
 import { useState, useEffect } from "react";
-import { useSelector } from "react-redux";
+import { useDispatch, useSelector } from "react-redux";
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
@@ -26,13 +26,20 @@ import {
   Edit,
   Save,
   AlertTriangle,
+  KeyRound,
+  Eye,
 } from "lucide-react";
+import { impersonationStarted } from "@/features/auth/authSlice";
+import { hasPermission, isStaffRole, returnPathByRole } from "@/utils/userUtil";
 
 const UserProfileModal = ({ user, isOpen, onClose, onUserUpdate }) => {
-  const { token } = useSelector((state) => state.auth);
+  const dispatch = useDispatch();
+  const { token, user: currentUser } = useSelector((state) => state.auth);
   const [isEditing, setIsEditing] = useState(false);
   const [loading, setLoading] = useState(false);
   const [userActivity, setUserActivity] = useState(null);
+  const [resettingMfa, setResettingMfa] = useState(false);
+  const [impersonating, setImpersonating] = useState(false);
   const [editForm, setEditForm] = useState({
     name: "",
     email: "",
@@ -185,6 +192,85 @@ const UserProfileModal = ({ user, isOpen, onClose, onUserUpdate }) => {
     }
   };
 
+  // Clear the user's MFA enrolment so they can set it up again
+  const handleResetMfa = async () => {
+    if (
+      !window.confirm(
+        `Reset multi-factor authentication for ${user.name}? They will need to enrol again.`
+      )
+    ) {
+      return;
+    }
+
+    setResettingMfa(true);
+    try {
+      const response = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/admin/users/${user.userId}/mfa/reset`,
+        {
+          method: "PUT",
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ reason: "MFA reset by admin" }),
+        }
+      );
+
+      if (response.ok) {
+        setUserActivity((prev) => ({ ...prev, mfaEnabled: false }));
+      } else {
+        const errorData = await response.json();
+        console.error("MFA reset failed:", errorData.message);
+      }
+    } catch (error) {
+      console.error("Error resetting MFA:", error);
+    } finally {
+      setResettingMfa(false);
+    }
+  };
+
+  // View the platform as this user until the admin exits from the banner
+  const handleImpersonate = async () => {
+    if (
+      !window.confirm(
+        `View the platform as ${user.name}? Every action you take will be recorded in the audit log.`
+      )
+    ) {
+      return;
+    }
+
+    setImpersonating(true);
+    try {
+      const response = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/admin/users/${user.userId}/impersonate`,
+        {
+          method: "POST",
+          credentials: "include",
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+        }
+      );
+      const data = await response.json();
+
+      if (response.ok) {
+        localStorage.setItem("token", data.data.token);
+        dispatch(
+          impersonationStarted({ token: data.data.token, user: data.data.user })
+        );
+        // Full page load so no admin-only state carries over
+        window.location.href = returnPathByRole(data.data.user.role);
+      } else {
+        console.error("Impersonation failed:", data.message);
+        setImpersonating(false);
+      }
+    } catch (error) {
+      console.error("Error starting impersonation:", error);
+      setImpersonating(false);
+    }
+  };
+
   // Format date
   const formatDate = (dateString) => {
     if (!dateString) return "Never";
@@ -254,6 +340,19 @@ const UserProfileModal = ({ user, isOpen, onClose, onUserUpdate }) => {
             </div>
           </div>
           <div className="flex items-center space-x-2">
+            {hasPermission(currentUser, "users:impersonate") &&
+              !isStaffRole(user.role) &&
+              !isEditing && (
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={handleImpersonate}
+                  disabled={impersonating}
+                >
+                  <Eye className="h-4 w-4 mr-2" />
+                  {impersonating ? "Switching..." : "View as user"}
+                </Button>
+              )}
             {!isEditing ? (
               <Button
                 variant="outline"
@@ -467,6 +566,42 @@ const UserProfileModal = ({ user, isOpen, onClose, onUserUpdate }) => {
             </CardContent>
           </Card>
 
+          {/* Multi-Factor Authentication */}
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center">
+                <KeyRound className="h-5 w-5 mr-2" />
+                Multi-Factor Authentication
+              </CardTitle>
+            </CardHeader>
+            <CardContent>
+              <div className="flex items-center justify-between">
+                <div className="flex items-center space-x-3">
+                  <Badge
+                    className={
+                      userActivity?.mfaEnabled
+                        ? "bg-green-100 text-green-800"
+                        : "bg-gray-100 text-gray-800"
+                    }
+                  >
+                    {userActivity?.mfaEnabled ? "Enabled" : "Not enabled"}
+                  </Badge>
+                  <span className="text-sm text-gray-600">
+                    Resetting removes the authenticator and recovery codes.
+                  </span>
+                </div>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={handleResetMfa}
+                  disabled={resettingMfa || !userActivity?.mfaEnabled}
+                >
+                  {resettingMfa ? "Resetting..." : "Reset MFA"}
+                </Button>
+              </div>
+            </CardContent>
+          </Card>
+
           {/* Recent Activity */}
           <Card>
             <CardHeader>
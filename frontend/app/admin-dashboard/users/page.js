@@ -23,6 +23,7 @@ import {
   Eye,
   RefreshCw,
   Download,
+  Upload,
   MoreHorizontal,
   UserCheck,
   UserX,
@@ -31,6 +32,8 @@ import {
 } from "lucide-react";
 import UserProfileModal from "./components/UserProfileModal";
 import BulkOperationsModal from "./components/BulkOperationsModal";
+import ImportUsersModal from "./components/ImportUsersModal";
+import PendingDeletionsModal from "./components/PendingDeletionsModal";
 import RoleManagementModal from "./components/RoleManagementModal";
 import AccountStatusModal from "./components/AccountStatusModal";
 import UserActivityModal from "./components/UserActivityModal";
@@ -47,6 +50,9 @@ const UserManagementPage = () => {
   const [showUserModal, setShowUserModal] = useState(false);
   const [selectedUser, setSelectedUser] = useState(null);
   const [showBulkModal, setShowBulkModal] = useState(false);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [showDeletionsModal, setShowDeletionsModal] = useState(false);
+  const [showExportMenu, setShowExportMenu] = useState(false);
   const [showRoleModal, setShowRoleModal] = useState(false);
   const [showStatusModal, setShowStatusModal] = useState(false);
   const [showActivityModal, setShowActivityModal] = useState(false);
@@ -266,6 +272,47 @@ const UserManagementPage = () => {
     fetchUsers(true);
   };
 
+  // Export every user matching the current filters
+  const handleExport = async (format) => {
+    setShowExportMenu(false);
+    try {
+      const queryParams = new URLSearchParams({
+        format,
+        ...(selectedRole && { role: selectedRole }),
+        ...(selectedStatus && { accountStatus: selectedStatus }),
+        ...(searchTerm && { search: searchTerm }),
+      });
+
+      const response = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/admin/users/export?${queryParams}`,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        }
+      );
+
+      if (!response.ok) {
+        throw new Error("Failed to export users");
+      }
+
+      // Handle file download
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.style.display = "none";
+      a.href = url;
+      a.download = `users-${new Date().toISOString().split("T")[0]}.${format}`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+    } catch (error) {
+      console.error("Error exporting users:", error);
+      setError(error.message);
+    }
+  };
+
   // Format date
   const formatDate = (dateString) => {
     if (!dateString) return "Never";
@@ -317,10 +364,45 @@ const UserManagementPage = () => {
             <RefreshCw className="h-4 w-4 mr-2" />
             Refresh
           </Button>
-          <Button variant="outline" size="sm">
-            <Download className="h-4 w-4 mr-2" />
-            Export
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => setShowImportModal(true)}
+          >
+            <Upload className="h-4 w-4 mr-2" />
+            Import
           </Button>
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => setShowDeletionsModal(true)}
+          >
+            <UserX className="h-4 w-4 mr-2" />
+            Deletions
+          </Button>
+          <div className="relative">
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => setShowExportMenu((prev) => !prev)}
+            >
+              <Download className="h-4 w-4 mr-2" />
+              Export
+            </Button>
+            {showExportMenu && (
+              <div className="absolute right-0 mt-2 w-40 bg-white border border-gray-200 rounded-lg shadow-lg z-10">
+                {["csv", "json"].map((format) => (
+                  <button
+                    key={format}
+                    onClick={() => handleExport(format)}
+                    className="block w-full px-4 py-2 text-left text-sm hover:bg-gray-50"
+                  >
+                    {format.toUpperCase()} file
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
           <Button size="sm">
             <Plus className="h-4 w-4 mr-2" />
             Add User
@@ -624,6 +706,20 @@ const UserManagementPage = () => {
         onOperationComplete={handleBulkOperationComplete}
       />
 
+      {/* Import Users Modal */}
+      <ImportUsersModal
+        isOpen={showImportModal}
+        onClose={() => setShowImportModal(false)}
+        onImportComplete={() => fetchUsers(true)}
+      />
+
+      {/* Pending Deletions Modal */}
+      <PendingDeletionsModal
+        isOpen={showDeletionsModal}
+        onClose={() => setShowDeletionsModal(false)}
+        onDeletionsProcessed={() => fetchUsers(true)}
+      />
+
       {/* Role Management Modal */}
       <RoleManagementModal
         user={selectedUser}
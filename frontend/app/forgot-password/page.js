@@ -0,0 +1,8 @@
+import React from "react";
+import ForgotPassword from "../_components/authComponent/ForgotPassword";
+
+const ForgotPasswordPage = () => {
+  return <ForgotPassword />;
+};
+
+export default ForgotPasswordPage;
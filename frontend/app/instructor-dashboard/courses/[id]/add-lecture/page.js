@@ -1,11 +1,15 @@
 "use client";
 import Button from "@mui/material/Button";
 import { Card, CardContent } from "@/components/ui/card";
-import React, { useState } from "react";
+import React, { useState, useEffect } from "react";
 import { Upload } from "@mui/icons-material";
 import { toast } from "react-toastify";
 import { handleFileUpload } from "@/utils/handleFileUpload";
 import { useRouter } from "next/navigation";
+import { fetchCurriculum } from "@/lib/api/curriculum";
+import CaptionTracksField, {
+  uploadCaptionTracks,
+} from "@/app/_components/instructor-dashboard-components/CaptionTracksField";
 import {
   Container,
   Paper,
@@ -13,6 +17,7 @@ import {
   Typography,
   Stack,
   Box,
+  MenuItem,
 } from "@mui/material";
 
 const CreateLecture = ({ params }) => {
@@ -23,8 +28,17 @@ const CreateLecture = ({ params }) => {
   const [errors, setErrors] = useState({});
   const [videoPreview, setVideoPreview] = useState(null);
   const [durationSeconds, setDurationSeconds] = useState(null);
+  const [sections, setSections] = useState([]);
+  const [sectionId, setSectionId] = useState("");
+  const [captionTracks, setCaptionTracks] = useState([]);
   const router = useRouter();
 
+  useEffect(() => {
+    fetchCurriculum(id)
+      .then((curriculum) => setSections(curriculum.sections))
+      .catch((error) => console.error("Error fetching sections:", error));
+  }, [id]);
+
   const MAX_FILE_SIZE_MB = 100;
 
   const extractVideoDuration = (file) =>
@@ -112,12 +126,22 @@ const CreateLecture = ({ params }) => {
             title,
             videoUrl,
             durationSeconds: durationSeconds || 0,
+            sectionId: sectionId || null,
           }),
           credentials: "include",
         }
       );
 
       if (response.ok) {
+        // Captions need the lecture's ID, so they follow it
+        const lecture = await response.json();
+        const captionErrors = await uploadCaptionTracks(
+          id,
+          lecture.lectureId,
+          captionTracks
+        );
+        captionErrors.forEach((message) => toast.error(message));
+
         toast.success("Lecture created successfully! 🎉");
         setTitle("");
         setVideo(null);
@@ -195,6 +219,25 @@ const CreateLecture = ({ params }) => {
               <Typography color="error">{errors.title}</Typography>
             )}
 
+            {sections.length > 0 && (
+              <TextField
+                select
+                fullWidth
+                label="Section"
+                value={sectionId}
+                margin="normal"
+                onChange={(e) => setSectionId(e.target.value)}
+                helperText="The lecture is added at the end of the section"
+              >
+                <MenuItem value="">No section</MenuItem>
+                {sections.map((section) => (
+                  <MenuItem key={section.id} value={section.id}>
+                    {section.title}
+                  </MenuItem>
+                ))}
+              </TextField>
+            )}
+
             {/* Video Preview */}
             {videoPreview && (
               <Box sx={{ textAlign: "center", mt: 2 }}>
@@ -234,6 +277,11 @@ const CreateLecture = ({ params }) => {
               )}
             </Stack>
 
+            <CaptionTracksField
+              tracks={captionTracks}
+              onChange={setCaptionTracks}
+            />
+
             {/* Submit Button */}
             <Button
               type="submit"
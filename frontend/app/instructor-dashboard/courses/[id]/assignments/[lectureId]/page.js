@@ -0,0 +1,76 @@
+"use client";
+
+import React, { useState, useEffect } from "react";
+import Link from "next/link";
+import { useRouter } from "next/navigation";
+import { toast } from "react-toastify";
+import { ArrowLeft } from "lucide-react";
+import AssignmentForm from "@/app/_components/instructor-dashboard-components/AssignmentForm";
+import { fetchAssignment, updateAssignment } from "@/lib/api/assignments";
+
+/**
+ * Edit an assignment's instructions, due date and rubric. Work already
+ * handed in stays submitted.
+ */
+const EditAssignment = ({ params }) => {
+  const { id, lectureId } = React.use(params);
+  const [assignment, setAssignment] = useState(null);
+  const [error, setError] = useState(null);
+  const router = useRouter();
+
+  useEffect(() => {
+    fetchAssignment(id, lectureId)
+      .then(setAssignment)
+      .catch((error) => {
+        console.error("Error fetching assignment:", error);
+        setError(error.message);
+      });
+  }, [id, lectureId]);
+
+  const handleSave = async (updates) => {
+    await updateAssignment(id, lectureId, updates);
+    toast.success("Assignment updated");
+    router.push(`/instructor-dashboard/courses/${id}/curriculum`);
+  };
+
+  if (error) {
+    return (
+      <div className="container mx-auto px-4 py-8 text-center text-red-600">
+        {error}
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto max-w-3xl px-4 py-8">
+      <Link
+        href={`/instructor-dashboard/courses/${id}/curriculum`}
+        className="mb-4 inline-flex items-center text-sm text-gray-600 hover:text-gray-900"
+      >
+        <ArrowLeft className="h-4 w-4 mr-1" />
+        Back to curriculum
+      </Link>
+
+      <div className="mb-6">
+        <h1 className="text-3xl font-bold text-gray-900">Edit Assignment</h1>
+        <p className="text-gray-600">
+          Grades already given keep the rubric they were scored against
+        </p>
+      </div>
+
+      {assignment ? (
+        <AssignmentForm
+          initialAssignment={assignment}
+          onSave={handleSave}
+          submitLabel="Save Changes"
+        />
+      ) : (
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EditAssignment;
@@ -0,0 +1,67 @@
+"use client";
+
+import React, { useState, useEffect } from "react";
+import Link from "next/link";
+import { useRouter } from "next/navigation";
+import { toast } from "react-toastify";
+import { ArrowLeft } from "lucide-react";
+import AssignmentForm from "@/app/_components/instructor-dashboard-components/AssignmentForm";
+import { fetchCurriculum } from "@/lib/api/curriculum";
+import { createAssignment } from "@/lib/api/assignments";
+
+/**
+ * Add an assignment lecture at the end of a section or of the unsectioned lectures
+ */
+const NewAssignment = ({ params }) => {
+  const { id } = React.use(params);
+  const [sections, setSections] = useState(null);
+  const router = useRouter();
+
+  useEffect(() => {
+    fetchCurriculum(id)
+      .then((curriculum) => setSections(curriculum.sections))
+      .catch((error) => {
+        console.error("Error fetching sections:", error);
+        setSections([]);
+      });
+  }, [id]);
+
+  const handleSave = async (assignment) => {
+    await createAssignment(id, assignment);
+    toast.success("Assignment added");
+    router.push(`/instructor-dashboard/courses/${id}/curriculum`);
+  };
+
+  return (
+    <div className="container mx-auto max-w-3xl px-4 py-8">
+      <Link
+        href={`/instructor-dashboard/courses/${id}/curriculum`}
+        className="mb-4 inline-flex items-center text-sm text-gray-600 hover:text-gray-900"
+      >
+        <ArrowLeft className="h-4 w-4 mr-1" />
+        Back to curriculum
+      </Link>
+
+      <div className="mb-6">
+        <h1 className="text-3xl font-bold text-gray-900">Add Assignment</h1>
+        <p className="text-gray-600">
+          Learners complete this lecture by handing in their work
+        </p>
+      </div>
+
+      {sections ? (
+        <AssignmentForm
+          sections={sections}
+          onSave={handleSave}
+          submitLabel="Add Assignment"
+        />
+      ) : (
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NewAssignment;
@@ -0,0 +1,488 @@
+"use client";
+
+import React, { useState, useEffect } from "react";
+import Link from "next/link";
+import { toast } from "react-toastify";
+import {
+  ArrowLeft,
+  ClipboardCheck,
+  ClipboardList,
+  FileText,
+  GripVertical,
+  Pencil,
+  Plus,
+  PlayCircle,
+  Save,
+  Trash2,
+} from "lucide-react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import {
+  fetchCurriculum,
+  createSection,
+  renameSection,
+  deleteSection,
+  saveCurriculumOrder,
+  deleteLecture,
+} from "@/lib/api/curriculum";
+
+// Quizzes and assignments are edited on their own pages
+const editPath = (courseId, lecture) => {
+  const base = `/instructor-dashboard/courses/${courseId}`;
+  switch (lecture.type) {
+    case "quiz":
+      return `${base}/quizzes/${lecture.id}`;
+    case "assignment":
+      return `${base}/assignments/${lecture.id}`;
+    default:
+      return `${base}/lectures/${lecture.id}/edit`;
+  }
+};
+
+const DELETE_CONTENTS = {
+  quiz: "",
+  assignment: " and learners' submissions",
+  video: " and its video",
+};
+
+const inputClassName =
+  "flex-1 rounded-md border border-gray-300 px-3 py-2 text-sm focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500";
+
+// Move a lecture before another one, or to the end of a group when
+// beforeLectureId is null. A sectionId of null is the unsectioned group.
+const placeLecture = (curriculum, lectureId, sectionId, beforeLectureId) => {
+  if (lectureId === beforeLectureId) return curriculum;
+
+  const lecture = [
+    ...curriculum.unsectioned,
+    ...curriculum.sections.flatMap((section) => section.lectures),
+  ].find((item) => item.id === lectureId);
+
+  const place = (lectures, groupId) => {
+    const rest = lectures.filter((item) => item.id !== lectureId);
+    if (groupId !== sectionId) return rest;
+    const index = rest.findIndex((item) => item.id === beforeLectureId);
+    const at = index === -1 ? rest.length : index;
+    return [...rest.slice(0, at), lecture, ...rest.slice(at)];
+  };
+
+  return {
+    unsectioned: place(curriculum.unsectioned, null),
+    sections: curriculum.sections.map((section) => ({
+      ...section,
+      lectures: place(section.lectures, section.id),
+    })),
+  };
+};
+
+// Sections dragged down land after the target, dragged up before it
+const placeSection = (curriculum, sectionId, targetSectionId) => {
+  const from = curriculum.sections.findIndex((item) => item.id === sectionId);
+  const to = curriculum.sections.findIndex(
+    (item) => item.id === targetSectionId
+  );
+  const sections = [...curriculum.sections];
+  sections.splice(to, 0, ...sections.splice(from, 1));
+  return { ...curriculum, sections };
+};
+
+const toOrder = (curriculum) => ({
+  sections: curriculum.sections.map((section) => ({
+    sectionId: section.id,
+    lectureIds: section.lectures.map((lecture) => lecture.id),
+  })),
+  unsectionedLectureIds: curriculum.unsectioned.map((lecture) => lecture.id),
+});
+
+const formatDuration = (seconds) =>
+  seconds
+    ? `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`
+    : null;
+
+/**
+ * Arrange a course's lectures into sections. Dragging changes the order
+ * locally until it is saved; adding, renaming and deleting sections and
+ * deleting lectures are saved straight away.
+ */
+const CurriculumBuilder = ({ params }) => {
+  const { id } = React.use(params);
+  const [curriculum, setCurriculum] = useState(null);
+  const [dragging, setDragging] = useState(null);
+  const [dirty, setDirty] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [newSectionTitle, setNewSectionTitle] = useState("");
+  const [editing, setEditing] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchCurriculum(id)
+      .then(setCurriculum)
+      .catch((error) => {
+        console.error("Error fetching curriculum:", error);
+        setError(error.message);
+      });
+  }, [id]);
+
+  const updateOrder = (next) => {
+    setCurriculum(next);
+    setDirty(true);
+  };
+
+  const handleDragStart = (e, item) => {
+    // Lecture rows sit inside a section; keep the section from taking over
+    e.stopPropagation();
+    e.dataTransfer.effectAllowed = "move";
+    setDragging(item);
+  };
+
+  const allowDrop = (e) => {
+    if (dragging) e.preventDefault();
+  };
+
+  const handleDropOnLecture = (e, sectionId, lectureId) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (dragging?.type === "lecture") {
+      updateOrder(placeLecture(curriculum, dragging.id, sectionId, lectureId));
+    }
+    setDragging(null);
+  };
+
+  const handleDropOnGroup = (e, sectionId) => {
+    e.preventDefault();
+    if (dragging?.type === "lecture") {
+      updateOrder(placeLecture(curriculum, dragging.id, sectionId, null));
+    } else if (dragging?.type === "section" && sectionId) {
+      updateOrder(placeSection(curriculum, dragging.id, sectionId));
+    }
+    setDragging(null);
+  };
+
+  const handleSaveOrder = async () => {
+    try {
+      setSaving(true);
+      setCurriculum(await saveCurriculumOrder(id, toOrder(curriculum)));
+      setDirty(false);
+      toast.success("Curriculum order saved");
+    } catch (error) {
+      console.error("Error saving curriculum order:", error);
+      toast.error(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAddSection = async (e) => {
+    e.preventDefault();
+    try {
+      const section = await createSection(id, newSectionTitle);
+      setCurriculum((current) => ({
+        ...current,
+        sections: [...current.sections, section],
+      }));
+      setNewSectionTitle("");
+    } catch (error) {
+      console.error("Error creating section:", error);
+      toast.error(error.message);
+    }
+  };
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    try {
+      const section = await renameSection(id, editing.id, editing.title);
+      setCurriculum((current) => ({
+        ...current,
+        sections: current.sections.map((item) =>
+          item.id === section.id ? { ...item, title: section.title } : item
+        ),
+      }));
+      setEditing(null);
+    } catch (error) {
+      console.error("Error renaming section:", error);
+      toast.error(error.message);
+    }
+  };
+
+  const handleDeleteSection = async (section) => {
+    if (!confirm(`Delete the section "${section.title}"?`)) return;
+
+    try {
+      await deleteSection(id, section.id);
+      setCurriculum((current) => ({
+        ...current,
+        sections: current.sections.filter((item) => item.id !== section.id),
+      }));
+    } catch (error) {
+      console.error("Error deleting section:", error);
+      toast.error(error.message);
+    }
+  };
+
+  const handleDeleteLecture = async (lecture) => {
+    const type = lecture.type || "video";
+    const what = type === "video" ? "lecture" : type;
+    if (
+      !confirm(
+        `Delete the ${what} "${lecture.title}"${DELETE_CONTENTS[type]}? Learners' progress on it is removed too.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      await deleteLecture(id, lecture.id);
+      const withoutLecture = (lectures) =>
+        lectures.filter((item) => item.id !== lecture.id);
+      setCurriculum((current) => ({
+        ...current,
+        unsectioned: withoutLecture(current.unsectioned),
+        sections: current.sections.map((section) => ({
+          ...section,
+          lectures: withoutLecture(section.lectures),
+        })),
+      }));
+      toast.success("Lecture deleted");
+    } catch (error) {
+      console.error("Error deleting lecture:", error);
+      toast.error(error.message);
+    }
+  };
+
+  const renderLectures = (lectures, sectionId) =>
+    lectures.length === 0 ? (
+      <p className="rounded-md border border-dashed border-gray-300 p-3 text-center text-sm text-gray-400">
+        Drag lectures here
+      </p>
+    ) : (
+      lectures.map((lecture) => (
+        <div
+          key={lecture.id}
+          draggable
+          onDragStart={(e) =>
+            handleDragStart(e, { type: "lecture", id: lecture.id })
+          }
+          onDragEnd={() => setDragging(null)}
+          onDragOver={allowDrop}
+          onDrop={(e) => handleDropOnLecture(e, sectionId, lecture.id)}
+          className={`flex cursor-move items-center gap-2 rounded-md border bg-white p-3 text-sm ${
+            dragging?.id === lecture.id ? "opacity-50" : ""
+          }`}
+        >
+          <GripVertical className="h-4 w-4 text-gray-400" />
+          {lecture.type === "quiz" ? (
+            <ClipboardList className="h-4 w-4 text-purple-600" />
+          ) : lecture.type === "assignment" ? (
+            <FileText className="h-4 w-4 text-amber-600" />
+          ) : (
+            <PlayCircle className="h-4 w-4 text-blue-600" />
+          )}
+          <span className="flex-1">{lecture.title}</span>
+          {formatDuration(lecture.durationSeconds) && (
+            <span className="text-xs text-gray-500">
+              {formatDuration(lecture.durationSeconds)}
+            </span>
+          )}
+          <Link href={editPath(id, lecture)}>
+            <Button variant="ghost" size="sm" aria-label="Edit lecture">
+              <Pencil className="h-4 w-4" />
+            </Button>
+          </Link>
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => handleDeleteLecture(lecture)}
+            aria-label="Delete lecture"
+          >
+            <Trash2 className="h-4 w-4" />
+          </Button>
+        </div>
+      ))
+    );
+
+  if (error) {
+    return (
+      <div className="container mx-auto px-4 py-8 text-center text-red-600">
+        {error}
+      </div>
+    );
+  }
+
+  if (!curriculum) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto max-w-3xl px-4 py-8">
+      <Link
+        href="/instructor-dashboard"
+        className="mb-4 inline-flex items-center text-sm text-gray-600 hover:text-gray-900"
+      >
+        <ArrowLeft className="h-4 w-4 mr-1" />
+        Back to dashboard
+      </Link>
+
+      <div className="mb-6 flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Curriculum</h1>
+          <p className="text-gray-600">
+            Drag lectures and sections into the order learners should follow
+          </p>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <Link href={`/instructor-dashboard/courses/${id}/add-lecture`}>
+            <Button variant="outline">
+              <Plus className="h-4 w-4 mr-1" />
+              Add Lecture
+            </Button>
+          </Link>
+          <Link href={`/instructor-dashboard/courses/${id}/quizzes/new`}>
+            <Button variant="outline">
+              <ClipboardList className="h-4 w-4 mr-1" />
+              Add Quiz
+            </Button>
+          </Link>
+          <Link href={`/instructor-dashboard/courses/${id}/assignments/new`}>
+            <Button variant="outline">
+              <FileText className="h-4 w-4 mr-1" />
+              Add Assignment
+            </Button>
+          </Link>
+          <Link href={`/instructor-dashboard/courses/${id}/grading`}>
+            <Button variant="outline">
+              <ClipboardCheck className="h-4 w-4 mr-1" />
+              Grading
+            </Button>
+          </Link>
+          <Button onClick={handleSaveOrder} disabled={!dirty || saving}>
+            <Save className="h-4 w-4 mr-1" />
+            {saving ? "Saving..." : "Save Order"}
+          </Button>
+        </div>
+      </div>
+
+      <div className="space-y-4">
+        {/* Shown while dragging so lectures can leave their section */}
+        {(curriculum.unsectioned.length > 0 ||
+          dragging?.type === "lecture") && (
+          <Card
+            onDragOver={allowDrop}
+            onDrop={(e) => handleDropOnGroup(e, null)}
+          >
+            <CardHeader>
+              <CardTitle className="text-base text-gray-600">
+                Not in a section
+              </CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-2">
+              {renderLectures(curriculum.unsectioned, null)}
+            </CardContent>
+          </Card>
+        )}
+
+        {curriculum.sections.map((section, index) => (
+          <Card
+            key={section.id}
+            onDragOver={allowDrop}
+            onDrop={(e) => handleDropOnGroup(e, section.id)}
+            className={dragging?.id === section.id ? "opacity-50" : ""}
+          >
+            <CardHeader
+              draggable={editing?.id !== section.id}
+              onDragStart={(e) =>
+                handleDragStart(e, { type: "section", id: section.id })
+              }
+              onDragEnd={() => setDragging(null)}
+              className="flex flex-row items-center gap-2 space-y-0 cursor-move"
+            >
+              <GripVertical className="h-4 w-4 text-gray-400" />
+              {editing?.id === section.id ? (
+                <form onSubmit={handleRename} className="flex flex-1 gap-2">
+                  <input
+                    value={editing.title}
+                    onChange={(e) =>
+                      setEditing({ ...editing, title: e.target.value })
+                    }
+                    className={inputClassName}
+                    maxLength={200}
+                    required
+                    autoFocus
+                  />
+                  <Button type="submit" size="sm">
+                    Save
+                  </Button>
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => setEditing(null)}
+                  >
+                    Cancel
+                  </Button>
+                </form>
+              ) : (
+                <>
+                  <CardTitle className="flex-1 text-base">
+                    Section {index + 1}: {section.title}
+                  </CardTitle>
+                  <span className="text-xs text-gray-500">
+                    {section.lectures.length} lecture
+                    {section.lectures.length === 1 ? "" : "s"}
+                  </span>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() =>
+                      setEditing({ id: section.id, title: section.title })
+                    }
+                    aria-label="Rename section"
+                  >
+                    <Pencil className="h-4 w-4" />
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => handleDeleteSection(section)}
+                    disabled={section.lectures.length > 0}
+                    title={
+                      section.lectures.length > 0
+                        ? "Move this section's lectures first"
+                        : undefined
+                    }
+                    aria-label="Delete section"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </>
+              )}
+            </CardHeader>
+            <CardContent className="space-y-2">
+              {renderLectures(section.lectures, section.id)}
+            </CardContent>
+          </Card>
+        ))}
+
+        <form onSubmit={handleAddSection} className="flex gap-2">
+          <input
+            value={newSectionTitle}
+            onChange={(e) => setNewSectionTitle(e.target.value)}
+            placeholder="New section title"
+            className={inputClassName}
+            maxLength={200}
+            required
+          />
+          <Button type="submit" variant="outline">
+            <Plus className="h-4 w-4 mr-1" />
+            Add Section
+          </Button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default CurriculumBuilder;
@@ -0,0 +1,147 @@
+"use client";
+
+import React, { useState, useEffect } from "react";
+import Link from "next/link";
+import { toast } from "react-toastify";
+import { ArrowLeft } from "lucide-react";
+import SubmissionGrader from "@/app/_components/instructor-dashboard-components/SubmissionGrader";
+import { fetchGradingQueue, gradeSubmission } from "@/lib/api/assignments";
+
+const FILTERS = [
+  { value: "submitted", label: "To grade" },
+  { value: "graded", label: "Graded" },
+  { value: "", label: "All" },
+];
+
+/**
+ * Grading queue for a course's assignments, oldest submissions first.
+ * Learners are emailed when their grade is posted.
+ */
+const Grading = ({ params }) => {
+  const { id } = React.use(params);
+  const [status, setStatus] = useState("submitted");
+  const [assignmentId, setAssignmentId] = useState("");
+  const [queue, setQueue] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setQueue(null);
+    fetchGradingQueue(id, status)
+      .then(setQueue)
+      .catch((error) => {
+        console.error("Error fetching grading queue:", error);
+        setError(error.message);
+      });
+  }, [id, status]);
+
+  const handleGrade = async (submission, grade) => {
+    const graded = await gradeSubmission(
+      id,
+      submission.lectureId,
+      submission.userId,
+      grade
+    );
+    toast.success(`Grade posted for ${submission.userName}`);
+    setQueue((current) => ({
+      ...current,
+      // Graded work leaves the "To grade" list
+      submissions:
+        status === "submitted"
+          ? current.submissions.filter((item) => item !== submission)
+          : current.submissions.map((item) =>
+              item === submission ? graded : item
+            ),
+    }));
+  };
+
+  if (error) {
+    return (
+      <div className="container mx-auto px-4 py-8 text-center text-red-600">
+        {error}
+      </div>
+    );
+  }
+
+  const assignments = new Map(
+    (queue?.assignments || []).map((assignment) => [assignment.id, assignment])
+  );
+  const submissions = (queue?.submissions || []).filter(
+    (submission) => !assignmentId || submission.lectureId === assignmentId
+  );
+
+  return (
+    <div className="container mx-auto max-w-3xl px-4 py-8">
+      <Link
+        href={`/instructor-dashboard/courses/${id}/curriculum`}
+        className="mb-4 inline-flex items-center text-sm text-gray-600 hover:text-gray-900"
+      >
+        <ArrowLeft className="h-4 w-4 mr-1" />
+        Back to curriculum
+      </Link>
+
+      <div className="mb-6">
+        <h1 className="text-3xl font-bold text-gray-900">Grading</h1>
+        <p className="text-gray-600">
+          Score each rubric criterion; learners are emailed their grade
+        </p>
+      </div>
+
+      <div className="mb-4 flex flex-wrap items-center gap-2">
+        {FILTERS.map((filter) => (
+          <button
+            key={filter.value}
+            type="button"
+            onClick={() => setStatus(filter.value)}
+            className={`rounded-full px-3 py-1 text-sm ${
+              status === filter.value
+                ? "bg-blue-600 text-white"
+                : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+            }`}
+          >
+            {filter.label}
+          </button>
+        ))}
+        <select
+          value={assignmentId}
+          onChange={(e) => setAssignmentId(e.target.value)}
+          className="ml-auto rounded-md border border-gray-300 px-2 py-1 text-sm"
+          aria-label="Assignment"
+        >
+          <option value="">All assignments</option>
+          {(queue?.assignments || []).map((assignment) => (
+            <option key={assignment.id} value={assignment.id}>
+              {assignment.title}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {!queue ? (
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+        </div>
+      ) : submissions.length === 0 ? (
+        <p className="rounded-md border border-dashed border-gray-300 p-6 text-center text-sm text-gray-500">
+          {status === "submitted"
+            ? "Nothing waiting to be graded"
+            : "No submissions yet"}
+        </p>
+      ) : (
+        <div className="space-y-4">
+          {submissions
+            .filter((submission) => assignments.has(submission.lectureId))
+            .map((submission) => (
+              <SubmissionGrader
+                key={`${submission.lectureId}-${submission.userId}`}
+                assignment={assignments.get(submission.lectureId)}
+                submission={submission}
+                onGrade={(grade) => handleGrade(submission, grade)}
+              />
+            ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Grading;
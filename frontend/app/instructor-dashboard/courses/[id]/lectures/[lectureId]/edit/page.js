@@ -0,0 +1,273 @@
+"use client";
+import Button from "@mui/material/Button";
+import React, { useState, useEffect } from "react";
+import { Upload } from "@mui/icons-material";
+import { toast } from "react-toastify";
+import { handleFileUpload } from "@/utils/handleFileUpload";
+import { useRouter } from "next/navigation";
+import { fetchCurriculum, updateLecture } from "@/lib/api/curriculum";
+import { deleteCaptions } from "@/lib/api/captions";
+import CaptionTracksField, {
+  uploadCaptionTracks,
+} from "@/app/_components/instructor-dashboard-components/CaptionTracksField";
+import {
+  Container,
+  Paper,
+  TextField,
+  Typography,
+  Stack,
+  Box,
+} from "@mui/material";
+
+const MAX_FILE_SIZE_MB = 100;
+
+const extractVideoDuration = (file) =>
+  new Promise((resolve, reject) => {
+    const tempVideo = document.createElement("video");
+    tempVideo.preload = "metadata";
+    tempVideo.onloadedmetadata = () => {
+      window.URL.revokeObjectURL(tempVideo.src);
+      resolve(tempVideo.duration);
+    };
+    tempVideo.onerror = () => reject("Unable to read video metadata");
+    tempVideo.src = URL.createObjectURL(file);
+  });
+
+/**
+ * Rename a lecture, replace its video or change its captions. The old video
+ * is deleted once the new one is saved.
+ */
+const EditLecture = ({ params }) => {
+  const { id, lectureId } = React.use(params);
+  const [title, setTitle] = useState("");
+  const [video, setVideo] = useState(null);
+  const [videoPreview, setVideoPreview] = useState(null);
+  const [durationSeconds, setDurationSeconds] = useState(null);
+  const [captions, setCaptions] = useState([]);
+  const [captionTracks, setCaptionTracks] = useState([]);
+  const [notFound, setNotFound] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [errors, setErrors] = useState({});
+  const router = useRouter();
+
+  useEffect(() => {
+    fetchCurriculum(id)
+      .then((curriculum) => {
+        const lecture = [
+          ...curriculum.unsectioned,
+          ...curriculum.sections.flatMap((section) => section.lectures),
+        ].find((item) => item.id === lectureId);
+
+        if (!lecture) {
+          setNotFound(true);
+          return;
+        }
+        setTitle(lecture.title);
+        setCaptions(lecture.captions);
+      })
+      .catch((error) => {
+        console.error("Error fetching lecture:", error);
+        setNotFound(true);
+      });
+  }, [id, lectureId]);
+
+  const handleVideoChange = (event) => {
+    const selectedVideo = event.target.files[0];
+    if (!selectedVideo) return;
+
+    if (selectedVideo.size / (1024 * 1024) > MAX_FILE_SIZE_MB) {
+      setErrors((prev) => ({
+        ...prev,
+        video: `File size exceeds ${MAX_FILE_SIZE_MB}MB limit`,
+      }));
+      event.target.value = "";
+      return;
+    }
+
+    if (videoPreview) URL.revokeObjectURL(videoPreview);
+
+    setVideo(selectedVideo);
+    setVideoPreview(URL.createObjectURL(selectedVideo));
+    setErrors((prev) => ({ ...prev, video: null }));
+
+    extractVideoDuration(selectedVideo)
+      .then((duration) => setDurationSeconds(Math.round(duration)))
+      .catch(() => setDurationSeconds(null));
+  };
+
+  const handleRemoveCaptions = async (language) => {
+    try {
+      await deleteCaptions(id, lectureId, language);
+      setCaptions((prev) =>
+        prev.filter((track) => track.language !== language)
+      );
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!title.trim()) {
+      setErrors({ title: "Please provide a valid title" });
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const updates = { title };
+      if (video) {
+        const videoUrl = await handleFileUpload(video);
+        if (!videoUrl) {
+          setErrors({ video: "The video could not be uploaded" });
+          return;
+        }
+        updates.videoUrl = videoUrl;
+        updates.durationSeconds = durationSeconds || 0;
+      }
+
+      await updateLecture(id, lectureId, updates);
+      const captionErrors = await uploadCaptionTracks(
+        id,
+        lectureId,
+        captionTracks
+      );
+      captionErrors.forEach((message) => toast.error(message));
+
+      toast.success("Lecture updated");
+      router.push(`/instructor-dashboard/courses/${id}/curriculum`);
+    } catch (error) {
+      console.error("Error updating lecture:", error);
+      toast.error(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (notFound) {
+    return (
+      <Container maxWidth="md" sx={{ mt: 10, textAlign: "center" }}>
+        <Typography color="error">Lecture not found</Typography>
+      </Container>
+    );
+  }
+
+  return (
+    <Container maxWidth="md" sx={{ mt: 10, mb: 8 }}>
+      <Stack spacing={2} alignItems="center" textAlign="center">
+        <Typography
+          variant="h4"
+          sx={{
+            fontFamily: "'Poppins', sans-serif",
+            fontWeight: 800,
+            fontSize: { xs: "1.4rem", sm: "1.8rem" },
+            color: "#1a202c",
+          }}
+        >
+          Edit Lecture
+        </Typography>
+        <Typography
+          variant="body1"
+          sx={{
+            fontFamily: "'Poppins', sans-serif",
+            fontWeight: 600,
+            fontSize: { xs: "1rem", sm: "1.2rem" },
+            color: "#4a5568",
+          }}
+        >
+          Upload a new video only if you want to replace the current one.
+        </Typography>
+      </Stack>
+
+      <Box sx={{ display: "flex", justifyContent: "center", mt: 4 }}>
+        <Paper
+          elevation={4}
+          sx={{
+            width: "100%",
+            maxWidth: 600,
+            p: 4,
+            borderRadius: "12px",
+            boxShadow: "0 4px 10px rgba(0, 0, 0, 0.1)",
+          }}
+        >
+          <form onSubmit={handleSubmit}>
+            <TextField
+              fullWidth
+              label="Lecture Title"
+              value={title}
+              margin="normal"
+              onChange={(e) => setTitle(e.target.value)}
+              required
+            />
+            {errors.title && (
+              <Typography color="error">{errors.title}</Typography>
+            )}
+
+            {videoPreview && (
+              <Box sx={{ textAlign: "center", mt: 2 }}>
+                <video
+                  src={videoPreview}
+                  controls
+                  style={{
+                    maxWidth: "100%",
+                    maxHeight: "300px",
+                    borderRadius: "8px",
+                  }}
+                />
+              </Box>
+            )}
+
+            <Stack spacing={2} alignItems="center" mt={2}>
+              <label htmlFor="video-upload">
+                <Button
+                  variant="contained"
+                  component="span"
+                  sx={{ bgcolor: "#333", "&:hover": { bgcolor: "#555" } }}
+                >
+                  <Upload sx={{ mr: 1 }} />
+                  Replace Video
+                </Button>
+              </label>
+              <input
+                type="file"
+                id="video-upload"
+                hidden
+                accept="video/*"
+                onChange={handleVideoChange}
+              />
+              {errors.video && (
+                <Typography color="error">{errors.video}</Typography>
+              )}
+            </Stack>
+
+            <CaptionTracksField
+              tracks={captionTracks}
+              onChange={setCaptionTracks}
+              existing={captions}
+              onRemoveExisting={handleRemoveCaptions}
+            />
+
+            <Button
+              type="submit"
+              variant="contained"
+              fullWidth
+              size="large"
+              sx={{
+                mt: 3,
+                bgcolor: "#333",
+                color: "#fff",
+                "&:hover": { bgcolor: "#555" },
+              }}
+              disabled={isLoading}
+            >
+              {isLoading ? "Saving..." : "Save Changes"}
+            </Button>
+          </form>
+        </Paper>
+      </Box>
+    </Container>
+  );
+};
+
+export default EditLecture;
@@ -0,0 +1,76 @@
+"use client";
+
+import React, { useState, useEffect } from "react";
+import Link from "next/link";
+import { useRouter } from "next/navigation";
+import { toast } from "react-toastify";
+import { ArrowLeft } from "lucide-react";
+import QuizBuilder from "@/app/_components/instructor-dashboard-components/QuizBuilder";
+import { fetchQuiz, updateQuiz } from "@/lib/api/quizzes";
+
+/**
+ * Edit a quiz's settings and questions. Learners who already passed keep
+ * the lecture completed.
+ */
+const EditQuiz = ({ params }) => {
+  const { id, lectureId } = React.use(params);
+  const [quiz, setQuiz] = useState(null);
+  const [error, setError] = useState(null);
+  const router = useRouter();
+
+  useEffect(() => {
+    fetchQuiz(id, lectureId)
+      .then(setQuiz)
+      .catch((error) => {
+        console.error("Error fetching quiz:", error);
+        setError(error.message);
+      });
+  }, [id, lectureId]);
+
+  const handleSave = async (updates) => {
+    await updateQuiz(id, lectureId, updates);
+    toast.success("Quiz updated");
+    router.push(`/instructor-dashboard/courses/${id}/curriculum`);
+  };
+
+  if (error) {
+    return (
+      <div className="container mx-auto px-4 py-8 text-center text-red-600">
+        {error}
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto max-w-3xl px-4 py-8">
+      <Link
+        href={`/instructor-dashboard/courses/${id}/curriculum`}
+        className="mb-4 inline-flex items-center text-sm text-gray-600 hover:text-gray-900"
+      >
+        <ArrowLeft className="h-4 w-4 mr-1" />
+        Back to curriculum
+      </Link>
+
+      <div className="mb-6">
+        <h1 className="text-3xl font-bold text-gray-900">Edit Quiz</h1>
+        <p className="text-gray-600">
+          Changes apply to future attempts; earlier scores are kept
+        </p>
+      </div>
+
+      {quiz ? (
+        <QuizBuilder
+          initialQuiz={quiz}
+          onSave={handleSave}
+          submitLabel="Save Changes"
+        />
+      ) : (
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EditQuiz;
@@ -15,6 +15,7 @@ import {
   Star,
   Clock,
   BarChart3,
+  ListOrdered,
 } from "lucide-react";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
@@ -302,19 +303,34 @@ const InstructorDashboard = () => {
                         </Button>
                       </Link>
                     </div>
-                    <Link
-                      href={`/instructor-dashboard/courses/${course.id}/add-lecture`}
-                      className="block"
-                    >
-                      <Button
-                        variant="outline"
-                        className="w-full border-blue-300 text-blue-600 hover:bg-blue-50"
-                        size="sm"
+                    <div className="flex gap-2">
+                      <Link
+                        href={`/instructor-dashboard/courses/${course.id}/add-lecture`}
+                        className="flex-1"
                       >
-                        <Plus className="h-4 w-4 mr-1" />
-                        Add Lecture
-                      </Button>
-                    </Link>
+                        <Button
+                          variant="outline"
+                          className="w-full border-blue-300 text-blue-600 hover:bg-blue-50"
+                          size="sm"
+                        >
+                          <Plus className="h-4 w-4 mr-1" />
+                          Add Lecture
+                        </Button>
+                      </Link>
+                      <Link
+                        href={`/instructor-dashboard/courses/${course.id}/curriculum`}
+                        className="flex-1"
+                      >
+                        <Button
+                          variant="outline"
+                          className="w-full border-blue-300 text-blue-600 hover:bg-blue-50"
+                          size="sm"
+                        >
+                          <ListOrdered className="h-4 w-4 mr-1" />
+                          Curriculum
+                        </Button>
+                      </Link>
+                    </div>
                   </div>
                 </CardContent>
               </Card>
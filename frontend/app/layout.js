@@ -4,6 +4,8 @@ import { ToastContainer } from "react-toastify";
 import "react-toastify/dist/ReactToastify.css";
 import Footer from "./_components/HomePageComponents/Footer";
 import StoreProvider from "@/store/StoreProvider";
+import MaintenanceBanner from "@/components/MaintenanceBanner";
+import ImpersonationBanner from "@/components/ImpersonationBanner";
 
 const geistSans = localFont({
   src: "./fonts/GeistVF.woff",
@@ -38,6 +40,8 @@ export default function RootLayout({ children }) {
             pauseOnHover
             theme="colored"
           />
+          <MaintenanceBanner />
+          <ImpersonationBanner />
           {children}
           <Footer />
         </body>
@@ -0,0 +1,80 @@
+"use client";
+import React, { useCallback, useEffect, useState } from "react";
+import Link from "next/link";
+import { useRouter } from "next/navigation";
+import { RefreshCw, Wrench } from "lucide-react";
+import { fetchPlatformStatus } from "@/lib/api/platformStatus";
+
+const DEFAULT_MESSAGE =
+  "The platform is currently under maintenance. Please check back later.";
+
+const MaintenancePage = () => {
+  const router = useRouter();
+  const [maintenance, setMaintenance] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const checkStatus = useCallback(async () => {
+    setLoading(true);
+    try {
+      const status = await fetchPlatformStatus();
+      if (!status.maintenance?.active) {
+        router.replace("/");
+        return;
+      }
+      setMaintenance(status.maintenance);
+    } catch (error) {
+      console.error("Error fetching platform status:", error);
+    } finally {
+      setLoading(false);
+    }
+  }, [router]);
+
+  useEffect(() => {
+    checkStatus();
+  }, [checkStatus]);
+
+  // Re-check once the server's Retry-After hint has elapsed
+  useEffect(() => {
+    if (!maintenance?.retryAfter) return;
+
+    const timeout = setTimeout(checkStatus, maintenance.retryAfter * 1000);
+    return () => clearTimeout(timeout);
+  }, [maintenance, checkStatus]);
+
+  return (
+    <main className="min-h-screen grid place-items-center bg-white px-6 py-24 sm:py-32 lg:px-8">
+      <div className="text-center max-w-xl">
+        <div className="flex justify-center">
+          <Wrench className="text-yellow-400 w-20 h-20 mb-4" />
+        </div>
+        <h1 className="mt-4 text-balance text-4xl font-semibold tracking-tight text-gray-900 sm:text-6xl">
+          {maintenance?.title || "We'll be right back"}
+        </h1>
+        <p className="mt-6 text-pretty text-lg font-medium text-gray-500 sm:text-xl/8">
+          {maintenance?.message || DEFAULT_MESSAGE}
+        </p>
+        {maintenance?.endTime && (
+          <p className="mt-4 text-sm text-gray-500">
+            Expected to be back by{" "}
+            <strong>{new Date(maintenance.endTime).toLocaleString()}</strong>
+          </p>
+        )}
+        <div className="mt-10 flex items-center justify-center gap-x-6">
+          <button
+            onClick={checkStatus}
+            disabled={loading}
+            className="flex items-center gap-2 rounded-md bg-black px-3.5 py-2.5 text-sm font-semibold text-white shadow-sm hover:bg-gray-500 disabled:opacity-50"
+          >
+            <RefreshCw className={`w-4 h-4 ${loading ? "animate-spin" : ""}`} />
+            Try again
+          </button>
+          <Link href="/login" className="text-sm font-semibold text-gray-900">
+            Administrator sign in <span aria-hidden="true">&rarr;</span>
+          </Link>
+        </div>
+      </div>
+    </main>
+  );
+};
+
+export default MaintenancePage;
@@ -0,0 +1,42 @@
+"use client";
+import React, { useEffect } from "react";
+import { useSelector } from "react-redux";
+import { useRouter } from "next/navigation";
+import { Container, Box, Typography } from "@mui/material";
+import MfaSettings from "@/app/_components/MfaSettings";
+import { returnPathByRole } from "@/utils/userUtil";
+
+// Where accounts land when the security policy requires MFA they have not set up
+const MfaSetupPage = () => {
+  const router = useRouter();
+  const { user, isAuthenticated } = useSelector((state) => state.auth);
+
+  useEffect(() => {
+    if (!isAuthenticated) {
+      router.push("/login");
+    }
+  }, [isAuthenticated, router]);
+
+  if (!isAuthenticated) {
+    return null;
+  }
+
+  return (
+    <Container maxWidth="md">
+      <Box sx={{ py: 4 }}>
+        <Typography variant="h5" sx={{ fontWeight: "bold", mb: 1 }}>
+          Set Up Two-Factor Authentication
+        </Typography>
+        <Typography variant="body2" color="text.secondary">
+          Your organisation requires two-factor authentication for your account.
+          Finish setting it up to continue to your dashboard.
+        </Typography>
+        <MfaSettings
+          onEnabled={() => router.push(returnPathByRole(user?.role))}
+        />
+      </Box>
+    </Container>
+  );
+};
+
+export default MfaSetupPage;
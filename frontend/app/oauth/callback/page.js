@@ -0,0 +1,8 @@
+import React from "react";
+import OAuthCallback from "../../_components/authComponent/OAuthCallback";
+
+const OAuthCallbackPage = () => {
+  return <OAuthCallback />;
+};
+
+export default OAuthCallbackPage;
@@ -0,0 +1,8 @@
+import React from "react";
+import OrganizationInvite from "../_components/authComponent/OrganizationInvite";
+
+const OrganizationInvitePage = () => {
+  return <OrganizationInvite />;
+};
+
+export default OrganizationInvitePage;
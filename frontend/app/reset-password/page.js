@@ -0,0 +1,8 @@
+import React from "react";
+import ResetPassword from "../_components/authComponent/ResetPassword";
+
+const ResetPasswordPage = () => {
+  return <ResetPassword />;
+};
+
+export default ResetPasswordPage;
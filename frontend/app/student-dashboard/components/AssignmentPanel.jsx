@@ -0,0 +1,238 @@
+"use client";
+import { useEffect, useState } from "react";
+import { Paperclip, X } from "lucide-react";
+import RichTextDisplay from "@/components/RichTextDisplay";
+import { handleFileUpload } from "@/utils/handleFileUpload";
+import { fetchAssignment, submitAssignment } from "@/lib/api/assignments";
+
+const MAX_FILES = 5;
+
+// Documents /upload accepts alongside images and videos
+const ACCEPTED_FILES =
+  ".pdf,.doc,.docx,.ppt,.pptx,.xls,.xlsx,.txt,.csv,.zip,image/*,video/*";
+
+const formatDate = (isoDate) => new Date(isoDate).toLocaleString();
+
+/**
+ * Read an assignment, hand in files and see the grade once it is posted.
+ * Work can be replaced until it is graded.
+ * @param {Object} props
+ * @param {string} props.courseId - Course ID
+ * @param {string} props.lectureId - Assignment lecture ID
+ * @param {Function} props.onSubmitted - Called with the enrollment's
+ * progress after the work is handed in
+ */
+function AssignmentPanel({ courseId, lectureId, onSubmitted }) {
+  const [assignment, setAssignment] = useState(null);
+  const [files, setFiles] = useState([]);
+  const [comment, setComment] = useState("");
+  const [editing, setEditing] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setAssignment(null);
+    setFiles([]);
+    setComment("");
+    setEditing(false);
+    setError(null);
+    fetchAssignment(courseId, lectureId)
+      .then((data) => {
+        setAssignment(data);
+        setEditing(!data.submission);
+      })
+      .catch((error) => setError(error.message));
+  }, [courseId, lectureId]);
+
+  const handleFileChange = (e) => {
+    const picked = Array.from(e.target.files || []);
+    setFiles((prev) => [...prev, ...picked].slice(0, MAX_FILES));
+    e.target.value = "";
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      const uploaded = [];
+      for (const file of files) {
+        const fileKey = await handleFileUpload(file);
+        if (!fileKey) {
+          throw new Error(`Could not upload ${file.name}`);
+        }
+        uploaded.push({ fileKey, fileName: file.name });
+      }
+
+      const data = await submitAssignment(courseId, lectureId, {
+        files: uploaded,
+        comment,
+      });
+      setAssignment((prev) => ({ ...prev, submission: data.submission }));
+      setFiles([]);
+      setEditing(false);
+      onSubmitted(data.progress);
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (error && !assignment) {
+    return <div className="text-red-500 font-semibold p-5">{error}</div>;
+  }
+
+  if (!assignment) {
+    return <div className="p-5 text-gray-500">Loading assignment...</div>;
+  }
+
+  const { submission } = assignment;
+  const graded = submission?.status === "graded";
+  const pastDue = assignment.dueAt && new Date(assignment.dueAt) < new Date();
+  const closed = pastDue && !assignment.allowLateSubmissions;
+
+  return (
+    <div className="w-full max-w-[800px] rounded-lg border border-gray-300 p-5">
+      <div className="flex flex-wrap justify-between gap-2 mb-4 text-sm text-gray-600">
+        <span>
+          {assignment.dueAt
+            ? `Due ${formatDate(assignment.dueAt)}`
+            : "No due date"}
+          {pastDue && (closed ? " · Closed" : " · Late submissions accepted")}
+        </span>
+        <span>{assignment.maxPoints} points</span>
+      </div>
+
+      <RichTextDisplay content={assignment.instructions} className="mb-4" />
+
+      <h3 className="font-semibold mb-2">Rubric</h3>
+      <ul className="mb-5 space-y-1 text-sm">
+        {assignment.rubric.map((criterion) => (
+          <li key={criterion.criterionId}>
+            <span className="font-medium">{criterion.title}</span> (
+            {criterion.maxPoints} points)
+            {criterion.description && (
+              <span className="text-gray-600"> – {criterion.description}</span>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {submission && (
+        <div className="mb-5 rounded-lg bg-gray-50 p-4">
+          <p className="font-semibold mb-2">
+            {graded
+              ? `Graded: ${submission.grade.points} / ${submission.grade.maxPoints}`
+              : "Submitted, waiting to be graded"}
+          </p>
+          <p className="text-sm text-gray-600 mb-2">
+            Handed in {formatDate(submission.submittedAt)}
+            {submission.late && " (late)"}
+          </p>
+          <ul className="mb-2 space-y-1">
+            {submission.files.map((file) => (
+              <li key={file.fileKey}>
+                <a
+                  href={file.url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="inline-flex items-center text-sm text-blue-600 hover:underline"
+                >
+                  <Paperclip className="h-4 w-4 mr-1" />
+                  {file.fileName}
+                </a>
+              </li>
+            ))}
+          </ul>
+          {graded && (
+            <>
+              <ul className="mb-2 space-y-1 text-sm">
+                {submission.grade.scores.map((score) => (
+                  <li key={score.criterionId}>
+                    {score.title}: {score.points} / {score.maxPoints}
+                  </li>
+                ))}
+              </ul>
+              {submission.grade.feedback && (
+                <p className="whitespace-pre-wrap text-sm text-gray-700">
+                  {submission.grade.feedback}
+                </p>
+              )}
+            </>
+          )}
+          {!graded && !closed && !editing && (
+            <button
+              type="button"
+              onClick={() => setEditing(true)}
+              className="mt-2 bg-black text-white px-6 py-2 rounded-xl"
+            >
+              Replace Submission
+            </button>
+          )}
+        </div>
+      )}
+
+      {editing && !graded && !closed && (
+        <form onSubmit={handleSubmit}>
+          <label className="block font-semibold mb-2">
+            Files (up to {MAX_FILES}; documents up to 25MB)
+            <input
+              type="file"
+              multiple
+              accept={ACCEPTED_FILES}
+              onChange={handleFileChange}
+              disabled={files.length >= MAX_FILES}
+              className="mt-1 block w-full text-sm font-normal"
+            />
+          </label>
+          <ul className="mb-3 space-y-1">
+            {files.map((file, index) => (
+              <li
+                key={`${file.name}-${index}`}
+                className="flex items-center gap-2 text-sm"
+              >
+                <Paperclip className="h-4 w-4" />
+                <span className="flex-1">{file.name}</span>
+                <button
+                  type="button"
+                  onClick={() =>
+                    setFiles((prev) => prev.filter((_, i) => i !== index))
+                  }
+                  aria-label={`Remove ${file.name}`}
+                >
+                  <X className="h-4 w-4 text-gray-500" />
+                </button>
+              </li>
+            ))}
+          </ul>
+          <textarea
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            placeholder="Note to your instructor (optional)"
+            maxLength={2000}
+            rows={3}
+            className="w-full rounded-lg border border-gray-300 px-3 py-2 mb-3"
+          />
+          {error && <p className="text-red-500 mb-3">{error}</p>}
+          <button
+            type="submit"
+            disabled={submitting || files.length === 0}
+            className="bg-green-600 text-white px-10 py-3 shadow-lg rounded-xl disabled:opacity-50"
+          >
+            {submitting ? "Submitting..." : "Hand In"}
+          </button>
+        </form>
+      )}
+
+      {closed && !submission && (
+        <p className="text-gray-600 font-semibold">
+          This assignment is past its due date and no longer accepts
+          submissions.
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default AssignmentPanel;
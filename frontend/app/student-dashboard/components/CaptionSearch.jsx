@@ -0,0 +1,94 @@
+"use client";
+import { useState } from "react";
+import { Search } from "lucide-react";
+import { searchCaptions } from "@/lib/api/captions";
+import { formatTimestamp } from "@/lib/api/notes";
+
+/**
+ * Search what is said in a course's lectures through their captions
+ * @param {Object} props
+ * @param {string} props.courseId - Course ID
+ * @param {Function} props.onSelect - Called with a matching cue
+ * ({ lectureId, start, ... }) to play the lecture from there
+ */
+function CaptionSearch({ courseId, onSelect }) {
+  const [search, setSearch] = useState("");
+  const [results, setResults] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (!search.trim()) {
+      setResults(null);
+      return;
+    }
+
+    setSearching(true);
+    setError(null);
+    try {
+      setResults(await searchCaptions(courseId, search.trim()));
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  return (
+    <div className="w-full max-w-[800px] mt-6">
+      <h3 className="font-bold text-2xl text-gray-800 mb-3">Search Lectures</h3>
+      <form onSubmit={handleSearch} className="flex gap-2 mb-3">
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Find where something is said in this course"
+          className="flex-1 rounded-lg border border-gray-300 px-3 py-2"
+          aria-label="Search captions"
+        />
+        <button
+          type="submit"
+          disabled={searching}
+          className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg font-medium transition-colors flex items-center gap-1 disabled:opacity-50"
+        >
+          <Search className="h-4 w-4" />
+          Search
+        </button>
+      </form>
+
+      {error && <p className="text-red-500 mb-3">{error}</p>}
+
+      {results &&
+        (results.length === 0 ? (
+          <p className="text-sm text-gray-500">
+            Nothing in the captions matches your search
+          </p>
+        ) : (
+          <ul className="space-y-2">
+            {results.map((result) => (
+              <li
+                key={`${result.lectureId}-${result.language}-${result.start}`}
+              >
+                <button
+                  type="button"
+                  onClick={() => onSelect(result)}
+                  className="w-full text-left p-3 border bg-white rounded-lg border-gray-300 hover:border-gray-600"
+                >
+                  <p className="text-sm text-gray-500 mb-1">
+                    {result.lectureTitle} ·{" "}
+                    <span className="font-mono text-blue-600">
+                      {formatTimestamp(result.start)}
+                    </span>
+                  </p>
+                  <p className="text-gray-800">{result.text}</p>
+                </button>
+              </li>
+            ))}
+          </ul>
+        ))}
+    </div>
+  );
+}
+
+export default CaptionSearch;
@@ -0,0 +1,237 @@
+"use client";
+import { useEffect, useState } from "react";
+import { Bookmark, Download, Pencil, StickyNote, Trash2 } from "lucide-react";
+import { formatTimestamp } from "@/lib/api/notes";
+
+/**
+ * A lecture's private notes and bookmarks beside the player. Timestamps seek
+ * the video; notes are added at the moment the player reported.
+ * @param {Object} props
+ * @param {Array} props.notes - The lecture's notes, in timestamp order
+ * @param {number|null} [props.draftTimestamp] - Where a new note is being
+ * written; undefined when no note is being written
+ * @param {Function} props.onStartNote - Start a note without a timestamp
+ * @param {Function} props.onCancelNote - Stop writing a new note
+ * @param {Function} props.onCreate - Called with (text, timestamp)
+ * @param {Function} props.onUpdate - Called with (note, text)
+ * @param {Function} props.onDelete - Called with the note
+ * @param {Function} props.onSeek - Called with a timestamp in seconds
+ * @param {Function} props.onExport - Download the course's notes
+ */
+function LectureNotes({
+  notes,
+  draftTimestamp,
+  onStartNote,
+  onCancelNote,
+  onCreate,
+  onUpdate,
+  onDelete,
+  onSeek,
+  onExport,
+}) {
+  const [draft, setDraft] = useState("");
+  const [editingId, setEditingId] = useState(null);
+  const [editText, setEditText] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const writing = draftTimestamp !== undefined;
+
+  useEffect(() => {
+    setDraft("");
+    setError(null);
+  }, [draftTimestamp]);
+
+  // Errors are shown in the panel; the caller's promise decides success
+  const save = async (action) => {
+    setSaving(true);
+    setError(null);
+    try {
+      await action();
+      return true;
+    } catch (error) {
+      setError(error.message);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (await save(() => onCreate(draft, draftTimestamp))) {
+      setDraft("");
+    }
+  };
+
+  const handleUpdate = async (e, note) => {
+    e.preventDefault();
+    if (await save(() => onUpdate(note, editText))) {
+      setEditingId(null);
+    }
+  };
+
+  const startEditing = (note) => {
+    setEditingId(note.id);
+    setEditText(note.text);
+    setError(null);
+  };
+
+  return (
+    <div className="w-full max-w-[800px] mt-6">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="font-bold text-2xl text-gray-800">My Notes</h3>
+        <div className="flex gap-3">
+          {!writing && (
+            <button
+              type="button"
+              onClick={onStartNote}
+              className="inline-flex items-center text-sm text-green-600 font-semibold"
+            >
+              <StickyNote className="h-4 w-4 mr-1" />
+              Add Note
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={onExport}
+            className="inline-flex items-center text-sm text-gray-600 hover:text-gray-900"
+          >
+            <Download className="h-4 w-4 mr-1" />
+            Export Markdown
+          </button>
+        </div>
+      </div>
+
+      {writing && (
+        <form
+          onSubmit={handleCreate}
+          className="mb-3 rounded-lg border border-gray-300 p-3"
+        >
+          <p className="text-sm text-gray-600 mb-2">
+            {draftTimestamp === null
+              ? "Note on this lecture"
+              : `Note at ${formatTimestamp(draftTimestamp)}`}
+          </p>
+          <textarea
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            placeholder="Write a private note"
+            maxLength={5000}
+            rows={3}
+            autoFocus
+            className="w-full rounded-lg border border-gray-300 px-3 py-2 mb-2"
+          />
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={saving || !draft.trim()}
+              className="bg-green-600 text-white px-6 py-2 rounded-xl disabled:opacity-50"
+            >
+              {saving ? "Saving..." : "Save Note"}
+            </button>
+            <button
+              type="button"
+              onClick={onCancelNote}
+              className="px-6 py-2 rounded-xl text-gray-600"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {error && <p className="text-red-500 mb-3">{error}</p>}
+
+      {notes.length === 0 && !writing ? (
+        <p className="text-sm text-gray-500">
+          No notes yet. Use the note and bookmark buttons on the player to save
+          a moment.
+        </p>
+      ) : (
+        <ul className="space-y-2">
+          {notes.map((note) => (
+            <li
+              key={note.id}
+              className="p-3 border bg-white rounded-lg border-gray-300 flex gap-3"
+            >
+              <div className="w-[70px] shrink-0">
+                {note.timestamp !== null ? (
+                  <button
+                    type="button"
+                    onClick={() => onSeek(note.timestamp)}
+                    className="font-mono text-sm text-blue-600 hover:underline"
+                    title="Play from here"
+                  >
+                    {formatTimestamp(note.timestamp)}
+                  </button>
+                ) : (
+                  <span className="text-sm text-gray-400">—</span>
+                )}
+              </div>
+              {editingId === note.id ? (
+                <form
+                  onSubmit={(e) => handleUpdate(e, note)}
+                  className="flex-1"
+                >
+                  <textarea
+                    value={editText}
+                    onChange={(e) => setEditText(e.target.value)}
+                    maxLength={5000}
+                    rows={3}
+                    className="w-full rounded-lg border border-gray-300 px-3 py-2 mb-2"
+                  />
+                  <div className="flex gap-2 text-sm">
+                    <button
+                      type="submit"
+                      disabled={saving}
+                      className="text-green-600 font-semibold"
+                    >
+                      Save
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setEditingId(null)}
+                      className="text-gray-600"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </form>
+              ) : (
+                <>
+                  <div className="flex-1">
+                    {note.kind === "bookmark" && (
+                      <span className="inline-flex items-center text-sm text-amber-700 mr-2">
+                        <Bookmark className="h-4 w-4 mr-1" />
+                        Bookmark
+                      </span>
+                    )}
+                    <span className="whitespace-pre-wrap text-gray-800">
+                      {note.text}
+                    </span>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => startEditing(note)}
+                    aria-label="Edit note"
+                  >
+                    <Pencil className="h-4 w-4 text-gray-500" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => save(() => onDelete(note))}
+                    aria-label="Delete note"
+                  >
+                    <Trash2 className="h-4 w-4 text-gray-500" />
+                  </button>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default LectureNotes;
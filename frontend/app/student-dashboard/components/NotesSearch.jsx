@@ -0,0 +1,111 @@
+"use client";
+import { useState } from "react";
+import Link from "next/link";
+import { Bookmark, Download, Search } from "lucide-react";
+import { Card, CardContent } from "@/components/ui/card";
+import { downloadNotes, fetchNotes, formatTimestamp } from "@/lib/api/notes";
+
+// Opens the lecture, at the note's moment when it has one
+const noteLink = (note) => {
+  const time =
+    note.timestamp === null ? "" : `&t=${Math.floor(note.timestamp)}`;
+  return `/courses/${note.courseId}/progress?lecture=${note.lectureId}${time}`;
+};
+
+/**
+ * Search the learner's notes and bookmarks across all their courses, or
+ * download them all as Markdown
+ */
+function NotesSearch() {
+  const [search, setSearch] = useState("");
+  const [results, setResults] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (!search.trim()) {
+      setResults(null);
+      return;
+    }
+
+    setSearching(true);
+    setError(null);
+    try {
+      setResults(await fetchNotes({ search: search.trim() }));
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const handleExport = () =>
+    downloadNotes().catch((error) => setError(error.message));
+
+  return (
+    <div className="mt-8">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-2xl font-bold text-gray-900">My Notes</h2>
+        <button
+          type="button"
+          onClick={handleExport}
+          className="text-blue-600 hover:text-blue-700 font-medium text-sm flex items-center gap-1"
+        >
+          <Download className="h-4 w-4" />
+          Export All as Markdown
+        </button>
+      </div>
+
+      <form onSubmit={handleSearch} className="flex gap-2 mb-4">
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search notes and bookmarks in all your courses"
+          className="flex-1 rounded-lg border border-gray-300 px-3 py-2"
+          aria-label="Search notes"
+        />
+        <button
+          type="submit"
+          disabled={searching}
+          className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg font-medium transition-colors flex items-center gap-1 disabled:opacity-50"
+        >
+          <Search className="h-4 w-4" />
+          Search
+        </button>
+      </form>
+
+      {error && <p className="text-red-600 mb-4">{error}</p>}
+
+      {results &&
+        (results.length === 0 ? (
+          <p className="text-gray-600">No notes match your search</p>
+        ) : (
+          <div className="space-y-3">
+            {results.map((note) => (
+              <Link key={note.id} href={noteLink(note)} className="block">
+                <Card className="hover:border-blue-400 transition-colors">
+                  <CardContent className="py-4">
+                    <p className="text-sm text-gray-500 mb-1">
+                      {note.courseTitle} · {note.lectureTitle}
+                      {note.timestamp !== null &&
+                        ` · ${formatTimestamp(note.timestamp)}`}
+                    </p>
+                    <p className="text-gray-900 whitespace-pre-wrap">
+                      {note.kind === "bookmark" && (
+                        <Bookmark className="inline h-4 w-4 mr-1 text-amber-700" />
+                      )}
+                      {note.text || "Bookmark"}
+                    </p>
+                  </CardContent>
+                </Card>
+              </Link>
+            ))}
+          </div>
+        ))}
+    </div>
+  );
+}
+
+export default NotesSearch;
@@ -0,0 +1,199 @@
+"use client";
+import { useEffect, useState } from "react";
+import { Check, X } from "lucide-react";
+import { fetchQuiz, submitQuizAttempt } from "@/lib/api/quizzes";
+
+/**
+ * Take a quiz lecture. Answers are graded by the API; learners see which
+ * questions they got right but not the correct answers.
+ * @param {Object} props
+ * @param {string} props.courseId - Course ID
+ * @param {string} props.lectureId - Quiz lecture ID
+ * @param {Function} props.onPassed - Called with the enrollment's progress
+ * after a passing attempt
+ */
+function QuizPlayer({ courseId, lectureId, onPassed }) {
+  const [quiz, setQuiz] = useState(null);
+  const [answers, setAnswers] = useState({});
+  const [result, setResult] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setQuiz(null);
+    setAnswers({});
+    setResult(null);
+    setError(null);
+    fetchQuiz(courseId, lectureId)
+      .then(setQuiz)
+      .catch((error) => setError(error.message));
+  }, [courseId, lectureId]);
+
+  const setAnswer = (questionId, value) =>
+    setAnswers((prev) => ({ ...prev, [questionId]: value }));
+
+  const toggleOption = (questionId, optionId) => {
+    const selected = answers[questionId] || [];
+    setAnswer(
+      questionId,
+      selected.includes(optionId)
+        ? selected.filter((id) => id !== optionId)
+        : [...selected, optionId]
+    );
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      const data = await submitQuizAttempt(courseId, lectureId, answers);
+      setResult(data.attempt);
+      setQuiz((prev) => ({ ...prev, attempts: data.attempts }));
+      if (data.attempt.passed) {
+        onPassed(data.progress);
+      }
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRetry = () => {
+    setAnswers({});
+    setResult(null);
+  };
+
+  if (error && !quiz) {
+    return <div className="text-red-500 font-semibold p-5">{error}</div>;
+  }
+
+  if (!quiz) {
+    return <div className="p-5 text-gray-500">Loading quiz...</div>;
+  }
+
+  const { attempts } = quiz;
+  const outOfAttempts = attempts.remaining === 0;
+  const correctById = Object.fromEntries(
+    (result?.results || []).map((item) => [item.questionId, item.correct])
+  );
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="w-full max-w-[800px] rounded-lg border border-gray-300 p-5"
+    >
+      <div className="flex flex-wrap justify-between gap-2 mb-4 text-sm text-gray-600">
+        <span>Pass with {quiz.passingScore}% or more</span>
+        <span>
+          {attempts.remaining === null
+            ? "Unlimited attempts"
+            : `${attempts.remaining} of ${quiz.maxAttempts} attempts left`}
+          {attempts.bestScore !== null &&
+            ` · Best score ${attempts.bestScore}%`}
+        </span>
+      </div>
+
+      {attempts.passed && !result && (
+        <p className="mb-4 rounded-lg bg-green-100 p-3 text-green-700 font-semibold">
+          You have passed this quiz.
+        </p>
+      )}
+
+      {quiz.questions.map((question, index) => (
+        <fieldset
+          key={question.questionId}
+          disabled={Boolean(result) || outOfAttempts}
+          className="mb-5"
+        >
+          <legend className="font-semibold mb-2 flex gap-2">
+            {result &&
+              (correctById[question.questionId] ? (
+                <Check className="text-green-600" />
+              ) : (
+                <X className="text-red-500" />
+              ))}
+            {index + 1}. {question.prompt}
+          </legend>
+          {question.type === "short_answer" ? (
+            <input
+              value={answers[question.questionId] || ""}
+              onChange={(e) => setAnswer(question.questionId, e.target.value)}
+              maxLength={500}
+              className="w-full rounded-lg border border-gray-300 px-3 py-2"
+            />
+          ) : (
+            question.options.map((option) => (
+              <label
+                key={option.optionId}
+                className="flex items-center gap-2 py-1 cursor-pointer"
+              >
+                {question.type === "multi_select" ? (
+                  <input
+                    type="checkbox"
+                    checked={(answers[question.questionId] || []).includes(
+                      option.optionId
+                    )}
+                    onChange={() =>
+                      toggleOption(question.questionId, option.optionId)
+                    }
+                  />
+                ) : (
+                  <input
+                    type="radio"
+                    name={question.questionId}
+                    checked={answers[question.questionId] === option.optionId}
+                    onChange={() =>
+                      setAnswer(question.questionId, option.optionId)
+                    }
+                  />
+                )}
+                {option.text}
+              </label>
+            ))
+          )}
+        </fieldset>
+      ))}
+
+      {error && <p className="text-red-500 mb-3">{error}</p>}
+
+      {result ? (
+        <div className="flex flex-wrap items-center gap-4">
+          <p
+            className={`font-semibold ${
+              result.passed ? "text-green-600" : "text-red-500"
+            }`}
+          >
+            {result.passed
+              ? `Passed with ${result.score}%`
+              : `Scored ${result.score}%, not enough to pass`}
+          </p>
+          {!result.passed && !outOfAttempts && (
+            <button
+              type="button"
+              onClick={handleRetry}
+              className="bg-black text-white px-6 py-2 rounded-xl"
+            >
+              Try Again
+            </button>
+          )}
+        </div>
+      ) : outOfAttempts ? (
+        <p className="text-gray-600 font-semibold">
+          You have used all your attempts at this quiz.
+        </p>
+      ) : (
+        <button
+          type="submit"
+          disabled={submitting}
+          className="bg-green-600 text-white px-10 py-3 shadow-lg rounded-xl disabled:opacity-50"
+        >
+          {submitting ? "Submitting..." : "Submit Answers"}
+        </button>
+      )}
+    </form>
+  );
+}
+
+export default QuizPlayer;
@@ -1,13 +1,24 @@
 "use client";
-import { useCallback, useEffect, useRef, useState } from "react";
+import {
+  forwardRef,
+  useCallback,
+  useEffect,
+  useImperativeHandle,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
 import ReactPlayer from "react-player";
 import {
+  Bookmark,
+  Captions,
   Maximize,
   Minimize,
   Pause,
   Play,
   RotateCcw,
   RotateCw,
+  StickyNote,
   Volume2,
   VolumeX,
 } from "lucide-react";
@@ -15,7 +26,44 @@ import { Slider } from "@/components/ui/Slider";
 import { Button } from "@mui/material";
 import Image from "next/image";
 
-function VideoPlayer({ width = "100%", height = "100%", url, onVideoEnd }) {
+// Seconds of playback between watch-time heartbeats
+const HEARTBEAT_INTERVAL = 15;
+// A jump between progress ticks larger than this (seconds) is a seek
+const MAX_TICK_GAP = 3;
+
+/**
+ * Video player with custom controls. With onHeartbeat it reports the
+ * stretches of video actually played, so skipping ahead does not count as
+ * watching.
+ * @param {Object} props
+ * @param {string} props.url - Video URL
+ * @param {Function} props.onVideoEnd - Called when the video ends
+ * @param {number} props.startAt - Position (seconds) to resume from
+ * @param {Function} props.onHeartbeat - Called with { position, duration,
+ * segments } every few seconds of playback, on pause, at the end and when
+ * the player goes away
+ * @param {Function} props.onAddNote - Shows a note button; called with the
+ * current position after pausing
+ * @param {Function} props.onBookmark - Shows a bookmark button; called with
+ * the current position
+ * @param {Array} props.captions - { language, label, src } WebVTT tracks
+ * offered in a caption menu
+ * @param {Object} ref - Exposes seekTo(seconds), which also starts playback
+ */
+const VideoPlayer = forwardRef(function VideoPlayer(
+  {
+    width = "100%",
+    height = "100%",
+    url,
+    onVideoEnd,
+    startAt = 0,
+    onHeartbeat,
+    onAddNote,
+    onBookmark,
+    captions = [],
+  },
+  ref
+) {
   const [playing, setPlaying] = useState(false);
   const [volume, setVolume] = useState(0.5);
   const [muted, setMuted] = useState(false);
@@ -23,19 +71,135 @@ function VideoPlayer({ width = "100%", height = "100%", url, onVideoEnd }) {
   const [seeking, setSeeking] = useState(false);
   const [isFullScreen, setIsFullScreen] = useState(false);
   const [showControls, setShowControls] = useState(true);
+  const [captionLanguage, setCaptionLanguage] = useState(null);
+  const [showCaptionMenu, setShowCaptionMenu] = useState(false);
 
   const playerRef = useRef(null);
   const playerContainerRef = useRef(null);
   const controlsTimeoutRef = useRef(null);
+  const durationRef = useRef(0);
+  const resumedRef = useRef(false);
+  // The stretch being played, stretches not yet reported and the last
+  // position reported
+  const watchRef = useRef({
+    start: null,
+    last: 0,
+    segments: [],
+    sinceHeartbeat: 0,
+    sentPosition: null,
+  });
+  const heartbeatRef = useRef(onHeartbeat);
+  heartbeatRef.current = onHeartbeat;
 
   function handlePlayAndPause() {
     setPlaying(!playing);
   }
 
+  function closeSegment() {
+    const watch = watchRef.current;
+    if (watch.start !== null && watch.last > watch.start) {
+      watch.segments.push([watch.start, watch.last]);
+    }
+    watch.start = null;
+  }
+
+  function sendHeartbeat() {
+    closeSegment();
+    const watch = watchRef.current;
+    if (
+      !heartbeatRef.current ||
+      !durationRef.current ||
+      (!watch.segments.length && watch.last === watch.sentPosition)
+    ) {
+      return;
+    }
+
+    heartbeatRef.current({
+      position: watch.last,
+      duration: durationRef.current,
+      segments: watch.segments,
+    });
+    watch.segments = [];
+    watch.sinceHeartbeat = 0;
+    watch.sentPosition = watch.last;
+  }
+
   function handleProgress(state) {
     if (!seeking) {
       setPlayed(state.played);
     }
+
+    const watch = watchRef.current;
+    const time = state.playedSeconds;
+    if (
+      watch.start === null ||
+      time < watch.last ||
+      time - watch.last > MAX_TICK_GAP
+    ) {
+      // Seeking ends the stretch being played
+      closeSegment();
+      watch.start = time;
+    } else {
+      watch.sinceHeartbeat += time - watch.last;
+    }
+    watch.last = time;
+
+    if (watch.sinceHeartbeat >= HEARTBEAT_INTERVAL) {
+      sendHeartbeat();
+      watch.start = time;
+    }
+  }
+
+  // Show the chosen track on the video element; other players (YouTube)
+  // have no text tracks
+  const applyCaptions = useCallback(() => {
+    const tracks = playerRef.current?.getInternalPlayer()?.textTracks;
+    if (!tracks) {
+      return;
+    }
+
+    for (const track of tracks) {
+      track.mode = track.language === captionLanguage ? "showing" : "disabled";
+    }
+  }, [captionLanguage]);
+
+  useEffect(applyCaptions, [applyCaptions, captions]);
+
+  function handleCaptionChange(language) {
+    setCaptionLanguage(language);
+    setShowCaptionMenu(false);
+  }
+
+  // The tracks are read from the caption API, on another origin
+  const playerConfig = useMemo(
+    () => ({
+      file: {
+        attributes: { crossOrigin: "anonymous" },
+        tracks: captions.map((track) => ({
+          kind: "subtitles",
+          src: track.src,
+          srcLang: track.language,
+          label: track.label,
+        })),
+      },
+    }),
+    [captions]
+  );
+
+  function handleReady() {
+    applyCaptions();
+    if (resumedRef.current) {
+      return;
+    }
+    resumedRef.current = true;
+
+    // Videos left at the very end start over
+    const duration = playerRef.current?.getDuration() || 0;
+    if (startAt > 0 && startAt < duration - MAX_TICK_GAP) {
+      playerRef.current.seekTo(startAt, "seconds");
+      watchRef.current.last = startAt;
+      watchRef.current.sentPosition = startAt;
+    }
   }
 
   function handleRewind() {
@@ -46,6 +210,20 @@ function VideoPlayer({ width = "100%", height = "100%", url, onVideoEnd }) {
     playerRef?.current?.seekTo(playerRef?.current?.getCurrentTime() + 5);
   }
 
+  const currentTime = () => playerRef.current?.getCurrentTime() || 0;
+
+  function handleAddNote() {
+    setPlaying(false);
+    onAddNote(currentTime());
+  }
+
+  useImperativeHandle(ref, () => ({
+    seekTo(seconds) {
+      playerRef.current?.seekTo(seconds, "seconds");
+      setPlaying(true);
+    },
+  }));
+
   function handleToggleMute() {
     setMuted(!muted);
   }
@@ -111,8 +289,19 @@ function VideoPlayer({ width = "100%", height = "100%", url, onVideoEnd }) {
     };
   }, []);
 
+  // Report what was watched when the learner leaves the lecture or the page
+  useEffect(() => {
+    window.addEventListener("pagehide", sendHeartbeat);
+
+    return () => {
+      window.removeEventListener("pagehide", sendHeartbeat);
+      sendHeartbeat();
+    };
+  }, []);
+
   // Call onVideoEnd when the video ends
   const handleEnded = () => {
+    sendHeartbeat();
     if (onVideoEnd) {
       onVideoEnd();
     }
@@ -138,7 +327,11 @@ function VideoPlayer({ width = "100%", height = "100%", url, onVideoEnd }) {
         volume={volume}
         muted={muted}
         onProgress={handleProgress}
+        onReady={handleReady}
+        onDuration={(duration) => (durationRef.current = duration)}
+        onPause={sendHeartbeat}
         onEnded={handleEnded}
+        config={playerConfig}
       />
       {showControls && (
         <div
@@ -205,6 +398,66 @@ function VideoPlayer({ width = "100%", height = "100%", url, onVideoEnd }) {
               />
             </div>
             <div className="flex items-center space-x-2">
+              {captions.length > 0 && (
+                <div className="relative">
+                  <Button
+                    onClick={() => setShowCaptionMenu(!showCaptionMenu)}
+                    className={`bg-transparent hover:text-white hover:bg-gray-700 ${
+                      captionLanguage ? "text-blue-400" : "text-white"
+                    }`}
+                    variant="ghost"
+                    size="icon"
+                    title="Captions"
+                  >
+                    <Captions className="h-6 w-6" />
+                  </Button>
+                  {showCaptionMenu && (
+                    <ul className="absolute bottom-12 right-0 min-w-[140px] rounded-md bg-gray-800 py-1 text-sm text-white shadow-lg">
+                      {[{ language: null, label: "Off" }, ...captions].map(
+                        (track) => (
+                          <li key={track.language ?? "off"}>
+                            <button
+                              type="button"
+                              onClick={() =>
+                                handleCaptionChange(track.language)
+                              }
+                              className={`w-full px-3 py-1 text-left hover:bg-gray-700 ${
+                                track.language === captionLanguage
+                                  ? "font-semibold text-blue-400"
+                                  : ""
+                              }`}
+                            >
+                              {track.label}
+                            </button>
+                          </li>
+                        )
+                      )}
+                    </ul>
+                  )}
+                </div>
+              )}
+              {onBookmark && (
+                <Button
+                  onClick={() => onBookmark(currentTime())}
+                  className="text-white bg-transparent hover:text-white hover:bg-gray-700"
+                  variant="ghost"
+                  size="icon"
+                  title="Bookmark this moment"
+                >
+                  <Bookmark className="h-6 w-6" />
+                </Button>
+              )}
+              {onAddNote && (
+                <Button
+                  onClick={handleAddNote}
+                  className="text-white bg-transparent hover:text-white hover:bg-gray-700"
+                  variant="ghost"
+                  size="icon"
+                  title="Add a note here"
+                >
+                  <StickyNote className="h-6 w-6" />
+                </Button>
+              )}
               <div className="text-white">
                 {formatTime(played * (playerRef?.current?.getDuration() || 0))}/{" "}
                 {formatTime(playerRef?.current?.getDuration() || 0)}
@@ -235,6 +488,6 @@ function VideoPlayer({ width = "100%", height = "100%", url, onVideoEnd }) {
       )}
     </div>
   );
-}
+});
 
 export default VideoPlayer;
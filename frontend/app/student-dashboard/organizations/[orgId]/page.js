@@ -0,0 +1,18 @@
+"use client";
+import React from "react";
+import OrganizationManagement from "@/app/_components/organizationComponents/OrganizationManagement";
+import { Container, Box } from "@mui/material";
+
+const OrganizationManagementPage = ({ params }) => {
+  const { orgId } = React.use(params);
+
+  return (
+    <Container maxWidth="lg">
+      <Box sx={{ py: 4 }}>
+        <OrganizationManagement orgId={orgId} />
+      </Box>
+    </Container>
+  );
+};
+
+export default OrganizationManagementPage;
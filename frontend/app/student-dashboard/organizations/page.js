@@ -0,0 +1,16 @@
+"use client";
+import React from "react";
+import MyOrganizations from "@/app/_components/organizationComponents/MyOrganizations";
+import { Container, Box } from "@mui/material";
+
+const OrganizationsPage = () => {
+  return (
+    <Container maxWidth="md">
+      <Box sx={{ py: 4 }}>
+        <MyOrganizations />
+      </Box>
+    </Container>
+  );
+};
+
+export default OrganizationsPage;
@@ -7,6 +7,7 @@ import Link from "next/link";
 import { BookOpen, Clock, Award, TrendingUp, Play } from "lucide-react";
 import LearningLoading from "@/app/_components/HomePageComponents/MyLearningLoading";
 import ProgressCard from "@/app/student-dashboard/components/ProgressCard";
+import NotesSearch from "@/app/student-dashboard/components/NotesSearch";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 
 const StudentDashboard = () => {
@@ -249,6 +250,8 @@ const StudentDashboard = () => {
           </div>
         </div>
       )}
+
+      {enrolledCourses.length > 0 && <NotesSearch />}
     </div>
   );
 };
@@ -1,6 +1,9 @@
 "use client";
 import React from "react";
 import ProfileEditForm from "@/app/_components/ProfileEditForm";
+import MfaSettings from "@/app/_components/MfaSettings";
+import ActiveSessions from "@/app/_components/ActiveSessions";
+import AccountDataSettings from "@/app/_components/AccountDataSettings";
 import { Container, Box } from "@mui/material";
 
 const StudentProfilePage = () => {
@@ -8,6 +11,9 @@ const StudentProfilePage = () => {
     <Container maxWidth="md">
       <Box sx={{ py: 4 }}>
         <ProfileEditForm />
+        <MfaSettings />
+        <ActiveSessions />
+        <AccountDataSettings />
       </Box>
     </Container>
   );
@@ -0,0 +1,16 @@
+"use client";
+import React from "react";
+import InstructorApplication from "@/app/_components/InstructorApplication";
+import { Container, Box } from "@mui/material";
+
+const TeachPage = () => {
+  return (
+    <Container maxWidth="md">
+      <Box sx={{ py: 4 }}>
+        <InstructorApplication />
+      </Box>
+    </Container>
+  );
+};
+
+export default TeachPage;
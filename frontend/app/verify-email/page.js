@@ -0,0 +1,8 @@
+import React from "react";
+import VerifyEmail from "../_components/authComponent/VerifyEmail";
+
+const VerifyEmailPage = () => {
+  return <VerifyEmail />;
+};
+
+export default VerifyEmailPage;
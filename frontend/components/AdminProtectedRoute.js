@@ -1,13 +1,17 @@
 "use client";
 
 import { useEffect, useState } from "react";
-import { useSelector } from "react-redux";
+import { useDispatch, useSelector } from "react-redux";
 import { useRouter } from "next/navigation";
 import { Card, CardContent } from "@/components/ui/card";
 import adminSessionManager from "@/utils/adminSession";
+import { refreshAccessToken } from "@/utils/api";
+import { updateUserInfo } from "@/features/auth/authSlice";
+import { isStaffRole } from "@/utils/userUtil";
 
 const AdminProtectedRoute = ({ children }) => {
   const { user, isAuthenticated, token } = useSelector((state) => state.auth);
+  const dispatch = useDispatch();
   const router = useRouter();
   const [isLoading, setIsLoading] = useState(true);
   const [isAuthorized, setIsAuthorized] = useState(false);
@@ -21,8 +25,9 @@ const AdminProtectedRoute = ({ children }) => {
           return;
         }
 
-        // Check if user has admin or super admin role
-        if (!user || (user.role !== "super_admin" && user.role !== "admin")) {
+        // Admins, super admins and custom staff roles; the API decides
+        // what each of them may do
+        if (!user || !isStaffRole(user.role)) {
           // Redirect to appropriate dashboard based on role
           if (user?.role === "student") {
             router.push("/student-dashboard");
@@ -46,12 +51,35 @@ const AdminProtectedRoute = ({ children }) => {
           }
         );
 
+        if (response.status === 403) {
+          const { code } = await response.json().catch(() => ({}));
+          if (code === "MFA_REQUIRED") {
+            // Enrolled users sign in again with their code; others enrol first
+            router.push(
+              user.mfaEnabled
+                ? "/login?redirect=/admin-dashboard&reason=mfa-required"
+                : "/mfa-setup"
+            );
+            return;
+          }
+        }
+
         if (!response.ok) {
           // Token is invalid or expired
           router.push("/login?redirect=/admin-dashboard");
           return;
         }
 
+        // Keep the permissions current so the dashboard only offers what
+        // the role allows
+        const { data } = await response.json().catch(() => ({}));
+        if (
+          Array.isArray(data?.permissions) &&
+          JSON.stringify(data.permissions) !== JSON.stringify(user.permissions)
+        ) {
+          dispatch(updateUserInfo({ permissions: data.permissions }));
+        }
+
         setIsAuthorized(true);
       } catch (error) {
         console.error("Admin access verification failed:", error);
@@ -62,7 +90,7 @@ const AdminProtectedRoute = ({ children }) => {
     };
 
     checkAdminAccess();
-  }, [isAuthenticated, token, user, router]);
+  }, [isAuthenticated, token, user, router, dispatch]);
 
   // Session timeout handling
   useEffect(() => {
@@ -75,9 +103,11 @@ const AdminProtectedRoute = ({ children }) => {
         const currentTime = Date.now() / 1000;
 
         if (tokenPayload.exp && tokenPayload.exp < currentTime) {
-          // Token expired
-          router.push(
-            "/login?redirect=/admin-dashboard&reason=session-expired"
+          // Token expired; extend the session before giving up on it
+          refreshAccessToken().catch(() =>
+            router.push(
+              "/login?redirect=/admin-dashboard&reason=session-expired"
+            )
           );
         }
       } catch (error) {
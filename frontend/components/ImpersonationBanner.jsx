@@ -0,0 +1,66 @@
+"use client";
+
+import { useState } from "react";
+import { useRouter } from "next/navigation";
+import { useSelector } from "react-redux";
+import { Eye } from "lucide-react";
+import { toast } from "react-toastify";
+import { refreshAccessToken } from "@/utils/api";
+
+/**
+ * Shown on every page while an admin is viewing the platform as another
+ * user, with a way back to their own account
+ */
+const ImpersonationBanner = () => {
+  const router = useRouter();
+  const { user, token, impersonator } = useSelector((state) => state.auth);
+  const [exiting, setExiting] = useState(false);
+
+  if (!impersonator) {
+    return null;
+  }
+
+  const handleExit = async () => {
+    setExiting(true);
+    try {
+      await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/impersonation/stop`, {
+        method: "POST",
+        credentials: "include",
+        headers: { Authorization: `Bearer ${token}` },
+      });
+    } catch (error) {
+      console.error("Error stopping impersonation:", error);
+    }
+
+    try {
+      // Restores the admin's own token and user
+      await refreshAccessToken();
+      router.push("/admin-dashboard/users");
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setExiting(false);
+    }
+  };
+
+  return (
+    <div className="flex items-center justify-center gap-2 bg-purple-700 px-4 py-2 text-sm text-white">
+      <Eye className="h-4 w-4" />
+      <span>
+        Viewing as <strong>{user?.name}</strong>, signed in as{" "}
+        {impersonator.name}. Password, profile and enrolment changes are
+        disabled.
+      </span>
+      <button
+        type="button"
+        onClick={handleExit}
+        disabled={exiting}
+        className="ml-2 rounded bg-white px-2 py-0.5 text-xs font-medium text-purple-700 hover:bg-purple-50 disabled:opacity-50"
+      >
+        {exiting ? "Exiting..." : "Exit"}
+      </button>
+    </div>
+  );
+};
+
+export default ImpersonationBanner;
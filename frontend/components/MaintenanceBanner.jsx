@@ -0,0 +1,106 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { usePathname, useRouter } from "next/navigation";
+import { useSelector } from "react-redux";
+import { AlertTriangle, Wrench } from "lucide-react";
+import { fetchPlatformStatus } from "@/lib/api/platformStatus";
+
+// How often the platform status is re-checked (ms)
+const STATUS_POLL_INTERVAL = 60 * 1000;
+
+// Only announce scheduled maintenance that starts within this window (ms)
+const UPCOMING_NOTICE_WINDOW = 24 * 60 * 60 * 1000;
+
+// Pages that stay reachable while maintenance is active
+const EXEMPT_PATHS = ["/maintenance", "/login", "/admin-dashboard"];
+
+const ADMIN_ROLES = ["admin", "super_admin"];
+
+/**
+ * Polls the public status endpoint, sends non-admin users to the maintenance
+ * page while maintenance is active and announces upcoming windows
+ */
+const MaintenanceBanner = () => {
+  const router = useRouter();
+  const pathname = usePathname();
+  const { user } = useSelector((state) => state.auth);
+  const [platformStatus, setPlatformStatus] = useState(null);
+
+  const isAdmin = ADMIN_ROLES.includes(user?.role);
+
+  useEffect(() => {
+    let isMounted = true;
+
+    const loadStatus = async () => {
+      try {
+        const status = await fetchPlatformStatus();
+        if (isMounted) {
+          setPlatformStatus(status);
+        }
+      } catch (error) {
+        console.error("Error fetching platform status:", error);
+      }
+    };
+
+    loadStatus();
+    const interval = setInterval(loadStatus, STATUS_POLL_INTERVAL);
+
+    return () => {
+      isMounted = false;
+      clearInterval(interval);
+    };
+  }, []);
+
+  const isMaintenanceActive = platformStatus?.maintenance?.active;
+  const isExemptPath = EXEMPT_PATHS.some((path) => pathname?.startsWith(path));
+
+  useEffect(() => {
+    if (isMaintenanceActive && !isAdmin && !isExemptPath) {
+      router.replace("/maintenance");
+    }
+  }, [isMaintenanceActive, isAdmin, isExemptPath, router]);
+
+  if (!platformStatus || pathname?.startsWith("/maintenance")) {
+    return null;
+  }
+
+  if (isMaintenanceActive) {
+    if (!isAdmin) {
+      return null;
+    }
+
+    return (
+      <div className="flex items-center justify-center gap-2 bg-red-600 px-4 py-2 text-sm text-white">
+        <Wrench className="h-4 w-4" />
+        <span>
+          Maintenance mode is active. Only administrators can use the platform
+          right now.
+        </span>
+      </div>
+    );
+  }
+
+  const nextWindow = platformStatus.upcomingMaintenance?.[0];
+  if (
+    !nextWindow ||
+    new Date(nextWindow.startTime).getTime() - Date.now() >
+      UPCOMING_NOTICE_WINDOW
+  ) {
+    return null;
+  }
+
+  return (
+    <div className="flex items-center justify-center gap-2 bg-yellow-400 px-4 py-2 text-sm text-gray-900">
+      <AlertTriangle className="h-4 w-4" />
+      <span>
+        Scheduled maintenance: <strong>{nextWindow.title}</strong> from{" "}
+        {new Date(nextWindow.startTime).toLocaleString()} to{" "}
+        {new Date(nextWindow.endTime).toLocaleString()}. The platform will be
+        unavailable during this time.
+      </span>
+    </div>
+  );
+};
+
+export default MaintenanceBanner;
@@ -5,6 +5,8 @@ const initialState = {
   user: {},
   token: null,
   isAuthenticated: false,
+  // The admin's own user while they view the platform as someone else
+  impersonator: null,
 };
 
 const authSlice = createSlice({
@@ -20,8 +22,26 @@ const authSlice = createSlice({
       state.user = {};
       state.token = null;
       state.isAuthenticated = false;
+      state.impersonator = null;
       // persistStore(store).purge();
     },
+    // A new access token for the same session, from POST /api/token/refresh
+    tokenRefreshed: (state, action) => {
+      state.token = action.payload.token;
+    },
+    // An admin started viewing the platform as another user
+    impersonationStarted: (state, action) => {
+      state.impersonator = state.impersonator || state.user;
+      state.user = action.payload.user;
+      state.token = action.payload.token;
+    },
+    // Back to the admin's own user; the token comes from tokenRefreshed
+    impersonationEnded: (state) => {
+      if (state.impersonator) {
+        state.user = state.impersonator;
+        state.impersonator = null;
+      }
+    },
     updateUserInfo: (state, action) => {
       state.user = {
         ...state.user,
@@ -31,6 +51,13 @@ const authSlice = createSlice({
   },
 });
 
-export const { loginSuccess, logout, updateUserInfo } = authSlice.actions;
+export const {
+  loginSuccess,
+  logout,
+  tokenRefreshed,
+  impersonationStarted,
+  impersonationEnded,
+  updateUserInfo,
+} = authSlice.actions;
 
 export default authSlice.reducer;
@@ -0,0 +1,103 @@
+/**
+ * Account Data API Service
+ * Users export their data and schedule or cancel account deletion; admins
+ * carry out deletions once the grace period ends
+ */
+
+import { fetchWithRefresh } from "@/utils/api";
+
+const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL;
+
+/**
+ * Send an authenticated request and surface the server's message and code
+ * on failure
+ */
+async function accountRequest(path, token, { method = "GET", body } = {}) {
+  const response = await fetchWithRefresh(`${API_BASE_URL}/api${path}`, {
+    method,
+    credentials: "include",
+    headers: {
+      "Content-Type": "application/json",
+      ...(token && { Authorization: `Bearer ${token}` }),
+    },
+    ...(body && { body: JSON.stringify(body) }),
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    // Validation failures answer with { error }
+    const error = new Error(
+      data.message || data.error || "Account request failed"
+    );
+    error.code = data.code;
+    error.status = response.status;
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Fetch everything stored about the current user
+ * @param {string} token - JWT token
+ * @returns {Promise<Object>} Export archive (profile, enrollments, ratings,
+ * support tickets, certificates, activity, sessions, organizations)
+ */
+export function exportAccountData(token) {
+  return accountRequest("/account/export", token);
+}
+
+/**
+ * Fetch whether the account is scheduled for deletion
+ * @param {string} token - JWT token
+ * @returns {Promise<Object>} { scheduled, scheduledFor, graceDays, canDelete,
+ * blockedReason, hasPassword }
+ */
+export function fetchAccountDeletion(token) {
+  return accountRequest("/account/deletion", token);
+}
+
+/**
+ * Schedule the account for deletion after the grace period
+ * @param {string} token - JWT token
+ * @param {Object} confirmation - { password } or, for accounts without a
+ * password, { confirmEmail }
+ * @returns {Promise<Object>} { message, scheduled, scheduledFor }
+ */
+export function requestAccountDeletion(token, confirmation) {
+  return accountRequest("/account/deletion", token, {
+    method: "POST",
+    body: confirmation,
+  });
+}
+
+/**
+ * Cancel a scheduled deletion
+ * @param {string} token - JWT token
+ * @returns {Promise<Object>} { message, scheduled }
+ */
+export function cancelAccountDeletion(token) {
+  return accountRequest("/account/deletion", token, { method: "DELETE" });
+}
+
+/**
+ * Fetch accounts scheduled for deletion, soonest first
+ * @param {string} token - JWT token
+ * @returns {Promise<Object>} { deletions, graceDays }; each deletion has
+ * due: true once its grace period has ended
+ */
+export async function fetchPendingDeletions(token) {
+  const { data } = await accountRequest("/admin/account-deletions", token);
+  return data;
+}
+
+/**
+ * Delete every account whose grace period has ended
+ * @param {string} token - JWT token
+ * @returns {Promise<Object>} { message, data: { results } }
+ */
+export function processDueDeletions(token) {
+  return accountRequest("/admin/account-deletions/process", token, {
+    method: "POST",
+  });
+}
@@ -0,0 +1,127 @@
+/**
+ * Assignment API Service
+ * Assignment lectures and grading for the course's instructor, and
+ * submissions and grades for enrolled learners
+ */
+
+import { fetchWithRefresh } from "@/utils/api";
+
+const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL;
+
+/**
+ * Send a request with the session cookie and surface the server's message and
+ * code on failure
+ */
+async function assignmentRequest(path, { method = "GET", body } = {}) {
+  const response = await fetchWithRefresh(
+    `${API_BASE_URL}/api/courses${path}`,
+    {
+      method,
+      credentials: "include",
+      headers: { "Content-Type": "application/json" },
+      ...(body && { body: JSON.stringify(body) }),
+    }
+  );
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    // Validation failures answer with { error }
+    const error = new Error(
+      data.message || data.error || "Assignment request failed"
+    );
+    error.code = data.code;
+    error.status = response.status;
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Add an assignment lecture to a course
+ * @param {string} courseId - Course ID
+ * @param {Object} assignment - { title, sectionId, instructions, dueAt,
+ * allowLateSubmissions, rubric }
+ * @returns {Promise<Object>} Created assignment
+ */
+export function createAssignment(courseId, assignment) {
+  return assignmentRequest(`/${courseId}/assignments`, {
+    method: "POST",
+    body: assignment,
+  });
+}
+
+/**
+ * Replace an assignment's title, instructions, due date and rubric
+ * @param {string} courseId - Course ID
+ * @param {string} lectureId - Assignment lecture ID
+ * @param {Object} assignment - { title, instructions, dueAt,
+ * allowLateSubmissions, rubric }
+ * @returns {Promise<Object>} Updated assignment
+ */
+export function updateAssignment(courseId, lectureId, assignment) {
+  return assignmentRequest(`/${courseId}/assignments/${lectureId}`, {
+    method: "PUT",
+    body: assignment,
+  });
+}
+
+/**
+ * Fetch an assignment. Learners also get their submission and grade.
+ * @param {string} courseId - Course ID
+ * @param {string} lectureId - Assignment lecture ID
+ * @returns {Promise<Object>} Assignment
+ */
+export function fetchAssignment(courseId, lectureId) {
+  return assignmentRequest(`/${courseId}/assignments/${lectureId}`);
+}
+
+/**
+ * Hand in work, replacing an earlier submission that has not been graded
+ * @param {string} courseId - Course ID
+ * @param {string} lectureId - Assignment lecture ID
+ * @param {Object} submission - { files: [{ fileKey, fileName }], comment }
+ * @returns {Promise<Object>} { submission, progress }
+ */
+export function submitAssignment(courseId, lectureId, submission) {
+  return assignmentRequest(`/${courseId}/assignments/${lectureId}/submission`, {
+    method: "PUT",
+    body: submission,
+  });
+}
+
+/**
+ * Fetch the grading queue for a course
+ * @param {string} courseId - Course ID
+ * @param {string} [status] - "submitted" or "graded"; all when omitted
+ * @returns {Promise<Object>} { assignments, submissions }
+ */
+export function fetchGradingQueue(courseId, status) {
+  const query = status ? `?status=${encodeURIComponent(status)}` : "";
+  return assignmentRequest(`/${courseId}/submissions${query}`);
+}
+
+/**
+ * Grade a learner's submission against the rubric
+ * @param {string} courseId - Course ID
+ * @param {string} lectureId - Assignment lecture ID
+ * @param {string} userId - Learner's user ID
+ * @param {Object} grade - { scores: [{ criterionId, points }], feedback }
+ * @returns {Promise<Object>} Graded submission
+ */
+export function gradeSubmission(courseId, lectureId, userId, grade) {
+  return assignmentRequest(
+    `/${courseId}/assignments/${lectureId}/submissions/${userId}/grade`,
+    { method: "PUT", body: grade }
+  );
+}
+
+/**
+ * Fetch the signed-in learner's assignments and grades in a course
+ * @param {string} courseId - Course ID
+ * @returns {Promise<Array>} { lectureId, title, dueAt, maxPoints, status,
+ * submittedAt, grade }
+ */
+export function fetchMyGrades(courseId) {
+  return assignmentRequest(`/${courseId}/grades`);
+}
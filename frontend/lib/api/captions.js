@@ -0,0 +1,97 @@
+/**
+ * Captions API Service
+ * WebVTT and SRT caption tracks on video lectures, and caption search across
+ * a course
+ */
+
+import { fetchWithRefresh } from "@/utils/api";
+
+const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL;
+
+/**
+ * Send a request with the session cookie and surface the server's message and
+ * code on failure
+ */
+async function captionRequest(path, { method = "GET", body } = {}) {
+  const response = await fetchWithRefresh(
+    `${API_BASE_URL}/api/courses${path}`,
+    {
+      method,
+      credentials: "include",
+      headers: { "Content-Type": "application/json" },
+      ...(body && { body: JSON.stringify(body) }),
+    }
+  );
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    // Validation failures answer with { error }
+    const error = new Error(
+      data.message || data.error || "Caption request failed"
+    );
+    error.code = data.code;
+    error.status = response.status;
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Add a caption file to a lecture, replacing its track in the same language
+ * @param {string} courseId - Course ID
+ * @param {string} lectureId - Lecture ID
+ * @param {Object} track - { language, label, file } where file is a .vtt or
+ * .srt File
+ * @returns {Promise<Object>} { language, label, cueCount }
+ */
+export async function uploadCaptions(courseId, lectureId, track) {
+  return captionRequest(`/${courseId}/lectures/${lectureId}/captions`, {
+    method: "POST",
+    body: {
+      language: track.language,
+      label: track.label,
+      content: await track.file.text(),
+    },
+  });
+}
+
+/**
+ * Remove a lecture's caption track
+ * @param {string} courseId - Course ID
+ * @param {string} lectureId - Lecture ID
+ * @param {string} language - Language code of the track
+ */
+export function deleteCaptions(courseId, lectureId, language) {
+  return captionRequest(
+    `/${courseId}/lectures/${lectureId}/captions/${language}`,
+    { method: "DELETE" }
+  );
+}
+
+/**
+ * Add the WebVTT URL to each of a lecture's tracks, the shape VideoPlayer
+ * takes
+ * @param {string} courseId - Course ID
+ * @param {Object} lecture - Lecture with its { language, label } captions
+ * @returns {Array} { language, label, src } tracks
+ */
+export function captionTracks(courseId, lecture) {
+  return (lecture?.captions || []).map((track) => ({
+    ...track,
+    src: `${API_BASE_URL}/api/courses/${courseId}/lectures/${lecture.id}/captions/${track.language}`,
+  }));
+}
+
+/**
+ * Search the caption text of a course's lectures
+ * @param {string} courseId - Course ID
+ * @param {string} query - Search text
+ * @returns {Promise<Array>} { lectureId, lectureTitle, language, start, end,
+ * text } matching cues, in curriculum order
+ */
+export function searchCaptions(courseId, query) {
+  return captionRequest(
+    `/${courseId}/captions/search?q=${encodeURIComponent(query)}`
+  );
+}
@@ -0,0 +1,127 @@
+/**
+ * Curriculum API Service
+ * Course outlines for learners; sections, lecture ordering and lecture edits
+ * for the course's instructor
+ */
+
+import { fetchWithRefresh } from "@/utils/api";
+
+const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL;
+
+/**
+ * Send a request with the session cookie and surface the server's message and
+ * code on failure
+ */
+async function curriculumRequest(path, { method = "GET", body } = {}) {
+  const response = await fetchWithRefresh(
+    `${API_BASE_URL}/api/courses${path}`,
+    {
+      method,
+      credentials: "include",
+      headers: { "Content-Type": "application/json" },
+      ...(body && { body: JSON.stringify(body) }),
+    }
+  );
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    // Validation failures answer with { error }
+    const error = new Error(
+      data.message || data.error || "Curriculum request failed"
+    );
+    error.code = data.code;
+    error.status = response.status;
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Fetch a course's outline
+ * @param {string} courseId - Course ID
+ * @returns {Promise<Object>} { courseId, sections: [{ id, title, lectures }],
+ * unsectioned }, each in order
+ */
+export function fetchCurriculum(courseId) {
+  return curriculumRequest(`/${courseId}/curriculum`);
+}
+
+/**
+ * Add a section at the end of a course
+ * @param {string} courseId - Course ID
+ * @param {string} title - Section title
+ * @returns {Promise<Object>} Created section
+ */
+export function createSection(courseId, title) {
+  return curriculumRequest(`/${courseId}/sections`, {
+    method: "POST",
+    body: { title },
+  });
+}
+
+/**
+ * Rename a section
+ * @param {string} courseId - Course ID
+ * @param {string} sectionId - Section ID
+ * @param {string} title - New title
+ * @returns {Promise<Object>} Updated section
+ */
+export function renameSection(courseId, sectionId, title) {
+  return curriculumRequest(`/${courseId}/sections/${sectionId}`, {
+    method: "PUT",
+    body: { title },
+  });
+}
+
+/**
+ * Delete a section; it must have no lectures
+ * @param {string} courseId - Course ID
+ * @param {string} sectionId - Section ID
+ * @returns {Promise<Object>} { message }
+ */
+export function deleteSection(courseId, sectionId) {
+  return curriculumRequest(`/${courseId}/sections/${sectionId}`, {
+    method: "DELETE",
+  });
+}
+
+/**
+ * Save the whole outline's order
+ * @param {string} courseId - Course ID
+ * @param {Object} order - { sections: [{ sectionId, lectureIds }],
+ * unsectionedLectureIds } listing every section and lecture once
+ * @returns {Promise<Object>} The reordered outline
+ */
+export function saveCurriculumOrder(courseId, order) {
+  return curriculumRequest(`/${courseId}/curriculum`, {
+    method: "PUT",
+    body: order,
+  });
+}
+
+/**
+ * Edit a lecture. A new videoUrl replaces the old video, which is deleted.
+ * @param {string} courseId - Course ID
+ * @param {string} lectureId - Lecture ID
+ * @param {Object} updates - Any of { title, videoUrl, durationSeconds }
+ * @returns {Promise<Object>} Updated lecture
+ */
+export function updateLecture(courseId, lectureId, updates) {
+  return curriculumRequest(`/${courseId}/lectures/${lectureId}`, {
+    method: "PUT",
+    body: updates,
+  });
+}
+
+/**
+ * Delete a lecture and its video, and remove it from learners' progress
+ * @param {string} courseId - Course ID
+ * @param {string} lectureId - Lecture ID
+ * @returns {Promise<Object>} { message, updatedEnrollments }
+ */
+export function deleteLecture(courseId, lectureId) {
+  return curriculumRequest(`/${courseId}/lectures/${lectureId}`, {
+    method: "DELETE",
+  });
+}
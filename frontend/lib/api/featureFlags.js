@@ -0,0 +1,28 @@
+/**
+ * Feature Flags API Service
+ * Reads the feature flags evaluated for the current user
+ */
+
+import { fetchWithRefresh } from "@/utils/api";
+
+const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL;
+
+/**
+ * Fetch feature flags for the current user
+ * @param {string|null} token - JWT token (optional, anonymous when missing)
+ * @returns {Promise<Object>} Map of flag name to boolean
+ */
+export async function fetchFeatureFlags(token) {
+  const response = await fetchWithRefresh(`${API_BASE_URL}/api/flags`, {
+    method: "GET",
+    credentials: "include",
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+  });
+
+  if (!response.ok) {
+    throw new Error("Failed to fetch feature flags");
+  }
+
+  const data = await response.json();
+  return data.flags || {};
+}
@@ -0,0 +1,91 @@
+/**
+ * Instructor Applications API Service
+ * Students apply to teach; admins work the review queue
+ */
+
+import { fetchWithRefresh } from "@/utils/api";
+
+const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL;
+
+/**
+ * Send an authenticated request and surface the server's message and code
+ * on failure
+ */
+async function applicationRequest(path, token, { method = "GET", body } = {}) {
+  const response = await fetchWithRefresh(`${API_BASE_URL}/api${path}`, {
+    method,
+    credentials: "include",
+    headers: {
+      "Content-Type": "application/json",
+      ...(token && { Authorization: `Bearer ${token}` }),
+    },
+    ...(body && { body: JSON.stringify(body) }),
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    // Validation failures answer with { error }
+    const error = new Error(
+      data.message || data.error || "Application request failed"
+    );
+    error.code = data.code;
+    error.status = response.status;
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Fetch the current user's application
+ * @param {string} token - JWT token
+ * @returns {Promise<Object|null>} Application, or null if they never applied
+ */
+export async function fetchMyApplication(token) {
+  const { data } = await applicationRequest("/instructor-application", token);
+  return data;
+}
+
+/**
+ * Apply to become an instructor
+ * @param {string} token - JWT token
+ * @param {Object} application - { bio, expertise, sampleMaterial }
+ * @returns {Promise<Object>} Submitted application
+ */
+export async function submitInstructorApplication(token, application) {
+  const { data } = await applicationRequest("/instructor-application", token, {
+    method: "POST",
+    body: application,
+  });
+  return data;
+}
+
+/**
+ * Fetch the admin review queue
+ * @param {string} token - JWT token
+ * @param {string} status - pending, approved or rejected
+ * @returns {Promise<Array>} Applications
+ */
+export async function fetchInstructorApplications(token, status = "pending") {
+  const { data } = await applicationRequest(
+    `/admin/instructor-applications?status=${encodeURIComponent(status)}`,
+    token
+  );
+  return data.applications || [];
+}
+
+/**
+ * Approve or reject an application
+ * @param {string} token - JWT token
+ * @param {string} userId - Applicant's user ID
+ * @param {string} decision - approve or reject
+ * @param {string} notes - Shown to the applicant; required to reject
+ * @returns {Promise<Object>} { message, data }
+ */
+export function reviewInstructorApplication(token, userId, decision, notes) {
+  return applicationRequest(
+    `/admin/instructor-applications/${encodeURIComponent(userId)}/${decision}`,
+    token,
+    { method: "POST", body: { notes } }
+  );
+}
@@ -0,0 +1,88 @@
+/**
+ * MFA API Service
+ * Handles TOTP enrolment, recovery codes and disabling MFA for the current user
+ */
+
+import { fetchWithRefresh } from "@/utils/api";
+
+const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL;
+
+/**
+ * Send an authenticated request and surface the server's message and code
+ * on failure
+ */
+async function mfaRequest(path, token, { method = "GET", body } = {}) {
+  const response = await fetchWithRefresh(`${API_BASE_URL}/api/mfa${path}`, {
+    method,
+    credentials: "include",
+    headers: {
+      "Content-Type": "application/json",
+      ...(token && { Authorization: `Bearer ${token}` }),
+    },
+    ...(body && { body: JSON.stringify(body) }),
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(data.message || "MFA request failed");
+    error.code = data.code;
+    error.status = response.status;
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Fetch the current user's MFA status
+ * @param {string} token - JWT token
+ * @returns {Promise<Object>} { enabled, enabledAt, recoveryCodesRemaining, required }
+ */
+export function fetchMfaStatus(token) {
+  return mfaRequest("", token);
+}
+
+/**
+ * Start enrolment and get a new secret with its provisioning URI
+ * @param {string} token - JWT token
+ * @returns {Promise<Object>} { secret, otpauthUri }
+ */
+export function startMfaSetup(token) {
+  return mfaRequest("/setup", token, { method: "POST" });
+}
+
+/**
+ * Confirm enrolment with a code from the authenticator app
+ * @param {string} token - JWT token
+ * @param {string} code - 6-digit code
+ * @returns {Promise<Object>} { recoveryCodes, token }
+ */
+export function enableMfa(token, code) {
+  return mfaRequest("/enable", token, { method: "POST", body: { code } });
+}
+
+/**
+ * Turn off MFA
+ * @param {string} token - JWT token
+ * @param {Object} credentials - { password, code }
+ * @returns {Promise<Object>} { message }
+ */
+export function disableMfa(token, { password, code }) {
+  return mfaRequest("/disable", token, {
+    method: "POST",
+    body: { password, code },
+  });
+}
+
+/**
+ * Replace the recovery codes
+ * @param {string} token - JWT token
+ * @param {string} code - Current authenticator or recovery code
+ * @returns {Promise<Object>} { recoveryCodes }
+ */
+export function regenerateRecoveryCodes(token, code) {
+  return mfaRequest("/recovery-codes", token, {
+    method: "POST",
+    body: { code },
+  });
+}
@@ -0,0 +1,123 @@
+/**
+ * Notes API Service
+ * Learners' private notes and bookmarks on lectures, searchable across
+ * courses and exportable as Markdown
+ */
+
+import { fetchWithRefresh } from "@/utils/api";
+
+const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL;
+
+/**
+ * Send a request with the session cookie and surface the server's message and
+ * code on failure
+ */
+async function noteRequest(path, { method = "GET", body } = {}) {
+  const response = await fetchWithRefresh(`${API_BASE_URL}/api/notes${path}`, {
+    method,
+    credentials: "include",
+    headers: { "Content-Type": "application/json" },
+    ...(body && { body: JSON.stringify(body) }),
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    // Validation failures answer with { error }
+    const error = new Error(
+      data.message || data.error || "Note request failed"
+    );
+    error.code = data.code;
+    error.status = response.status;
+    throw error;
+  }
+
+  return data;
+}
+
+// Query string from the filters that are set
+const toQuery = (filters) => {
+  const params = new URLSearchParams(
+    Object.entries(filters).filter(([, value]) => value)
+  ).toString();
+  return params ? `?${params}` : "";
+};
+
+/**
+ * Fetch the signed-in learner's notes, ordered by course, lecture and
+ * timestamp
+ * @param {Object} [filters] - { courseId, lectureId, search }
+ * @returns {Promise<Array>} Notes
+ */
+export function fetchNotes(filters = {}) {
+  return noteRequest(`/${toQuery(filters)}`);
+}
+
+/**
+ * Add a note or bookmark to a lecture
+ * @param {Object} note - { courseId, lectureId, kind, timestamp, text }
+ * @returns {Promise<Object>} Created note
+ */
+export function createNote(note) {
+  return noteRequest("/", { method: "POST", body: note });
+}
+
+/**
+ * Change a note's text and timestamp
+ * @param {Object} note - The note being changed
+ * @param {Object} changes - { text, timestamp }
+ * @returns {Promise<Object>} Updated note
+ */
+export function updateNote(note, changes) {
+  return noteRequest(`/${note.courseId}/${note.id}`, {
+    method: "PUT",
+    body: changes,
+  });
+}
+
+/**
+ * Delete a note or bookmark
+ * @param {Object} note - The note to delete
+ */
+export function deleteNote(note) {
+  return noteRequest(`/${note.courseId}/${note.id}`, { method: "DELETE" });
+}
+
+/**
+ * Download the learner's notes as a Markdown file
+ * @param {string} [courseId] - Only this course's notes
+ */
+export async function downloadNotes(courseId) {
+  const response = await fetchWithRefresh(
+    `${API_BASE_URL}/api/notes/export${toQuery({ courseId })}`,
+    { credentials: "include" }
+  );
+  if (!response.ok) {
+    throw new Error("Could not export notes");
+  }
+
+  const blob = await response.blob();
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = "notes.md";
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  window.URL.revokeObjectURL(url);
+}
+
+/**
+ * Format a video timestamp as m:ss or h:mm:ss
+ * @param {number} seconds - Position in the video
+ * @returns {string}
+ */
+export function formatTimestamp(seconds) {
+  const total = Math.floor(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, "0");
+
+  return hours
+    ? `${hours}:${String(minutes).padStart(2, "0")}:${secs}`
+    : `${minutes}:${secs}`;
+}
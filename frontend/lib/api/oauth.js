@@ -0,0 +1,36 @@
+/**
+ * External Sign-in API Service
+ * Lists the OpenID Connect providers configured on the API and builds the
+ * URL that starts signing in with one
+ */
+
+const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL;
+
+/**
+ * Fetch the configured sign-in providers. Sign-in buttons are optional, so
+ * failures resolve to an empty list.
+ * @returns {Promise<Array>} [{ id, name }]
+ */
+export async function fetchOidcProviders() {
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/oauth/providers`);
+    if (!response.ok) {
+      return [];
+    }
+    const { providers } = await response.json();
+    return providers || [];
+  } catch (error) {
+    console.error("Error fetching sign-in providers:", error);
+    return [];
+  }
+}
+
+/**
+ * URL the browser opens to sign in with a provider. The API remembers the
+ * attempt in a cookie and redirects to the provider.
+ * @param {string} providerId - Provider ID, e.g. google
+ * @returns {string} Absolute URL
+ */
+export function getOidcAuthorizeUrl(providerId) {
+  return `${API_BASE_URL}/api/oauth/${encodeURIComponent(providerId)}/authorize`;
+}
@@ -0,0 +1,254 @@
+/**
+ * Organizations API Service
+ * Team membership, seat assignment and progress reports for org admins, and
+ * organization setup for platform admins
+ */
+
+import { fetchWithRefresh } from "@/utils/api";
+
+const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL;
+
+/**
+ * Send an authenticated request and surface the server's message and code
+ * on failure
+ */
+async function organizationRequest(path, token, { method = "GET", body } = {}) {
+  const response = await fetchWithRefresh(`${API_BASE_URL}/api${path}`, {
+    method,
+    credentials: "include",
+    headers: {
+      "Content-Type": "application/json",
+      ...(token && { Authorization: `Bearer ${token}` }),
+    },
+    ...(body && { body: JSON.stringify(body) }),
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    // Validation failures answer with { error }
+    const error = new Error(
+      data.message || data.error || "Organization request failed"
+    );
+    error.code = data.code;
+    error.status = response.status;
+    throw error;
+  }
+
+  return data;
+}
+
+const orgPath = (orgId, path = "") =>
+  `/organizations/${encodeURIComponent(orgId)}${path}`;
+
+/**
+ * Fetch the organizations the current user belongs to
+ * @param {string} token - JWT token
+ * @returns {Promise<Array>} Memberships with organizationName and role
+ */
+export async function fetchMyOrganizations(token) {
+  const { data } = await organizationRequest("/organizations", token);
+  return data;
+}
+
+/**
+ * Join an organization with the token from an invite email
+ * @param {string} token - JWT token
+ * @param {string} inviteToken - Invite token
+ * @returns {Promise<Object>} { message, data: membership }
+ */
+export function acceptOrganizationInvite(token, inviteToken) {
+  return organizationRequest("/organizations/invites/accept", token, {
+    method: "POST",
+    body: { token: inviteToken },
+  });
+}
+
+/**
+ * Fetch an organization and the current user's membership
+ * @param {string} token - JWT token
+ * @param {string} orgId - Organization ID
+ * @returns {Promise<Object>} { organization, membership }
+ */
+export async function fetchOrganization(token, orgId) {
+  const { data } = await organizationRequest(orgPath(orgId), token);
+  return data;
+}
+
+/**
+ * Fetch members and pending invites (org admins)
+ * @param {string} token - JWT token
+ * @param {string} orgId - Organization ID
+ * @returns {Promise<Object>} { members, invites }
+ */
+export async function fetchOrganizationMembers(token, orgId) {
+  const { data } = await organizationRequest(orgPath(orgId, "/members"), token);
+  return data;
+}
+
+/**
+ * Invite someone by email (org admins)
+ * @param {string} token - JWT token
+ * @param {string} orgId - Organization ID
+ * @param {Object} invite - { email, role }
+ * @returns {Promise<Object>} { message, data: invite }
+ */
+export function inviteOrganizationMember(token, orgId, invite) {
+  return organizationRequest(orgPath(orgId, "/invites"), token, {
+    method: "POST",
+    body: invite,
+  });
+}
+
+/**
+ * Cancel a pending invite (org admins)
+ * @param {string} token - JWT token
+ * @param {string} orgId - Organization ID
+ * @param {string} email - Invited address
+ */
+export function cancelOrganizationInvite(token, orgId, email) {
+  return organizationRequest(
+    orgPath(orgId, `/invites/${encodeURIComponent(email)}`),
+    token,
+    { method: "DELETE" }
+  );
+}
+
+/**
+ * Remove a member and reclaim their seats (org admins)
+ * @param {string} token - JWT token
+ * @param {string} orgId - Organization ID
+ * @param {string} userId - Member's user ID
+ */
+export function removeOrganizationMember(token, orgId, userId) {
+  return organizationRequest(
+    orgPath(orgId, `/members/${encodeURIComponent(userId)}`),
+    token,
+    { method: "DELETE" }
+  );
+}
+
+/**
+ * Fetch seat pools with their assigned seats (org admins)
+ * @param {string} token - JWT token
+ * @param {string} orgId - Organization ID
+ * @returns {Promise<Array>} Seat pools
+ */
+export async function fetchSeatPools(token, orgId) {
+  const { data } = await organizationRequest(
+    orgPath(orgId, "/seat-pools"),
+    token
+  );
+  return data;
+}
+
+/**
+ * Give a member a seat from a pool (org admins)
+ * @param {string} token - JWT token
+ * @param {string} orgId - Organization ID
+ * @param {string} poolId - Seat pool ID
+ * @param {string} userId - Member's user ID
+ */
+export function assignSeat(token, orgId, poolId, userId) {
+  return organizationRequest(
+    orgPath(orgId, `/seat-pools/${encodeURIComponent(poolId)}/seats`),
+    token,
+    { method: "POST", body: { userId } }
+  );
+}
+
+/**
+ * Take a seat back from a member (org admins)
+ * @param {string} token - JWT token
+ * @param {string} orgId - Organization ID
+ * @param {string} poolId - Seat pool ID
+ * @param {string} userId - Member's user ID
+ */
+export function reclaimSeat(token, orgId, poolId, userId) {
+  return organizationRequest(
+    orgPath(
+      orgId,
+      `/seat-pools/${encodeURIComponent(poolId)}/seats/${encodeURIComponent(userId)}`
+    ),
+    token,
+    { method: "DELETE" }
+  );
+}
+
+/**
+ * Fetch the team progress report (org admins)
+ * @param {string} token - JWT token
+ * @param {string} orgId - Organization ID
+ * @returns {Promise<Object>} { members, summary }
+ */
+export async function fetchProgressReport(token, orgId) {
+  const { data } = await organizationRequest(
+    orgPath(orgId, "/reports/progress"),
+    token
+  );
+  return data;
+}
+
+/**
+ * List all organizations (platform admins)
+ * @param {string} token - JWT token
+ * @returns {Promise<Array>} Organizations
+ */
+export async function fetchOrganizations(token) {
+  const { data } = await organizationRequest("/admin/organizations", token);
+  return data.organizations || [];
+}
+
+/**
+ * Create an organization and invite its first admin (platform admins)
+ * @param {string} token - JWT token
+ * @param {Object} organization - { name, adminEmail }
+ * @returns {Promise<Object>} { message, data: { organization, invite } }
+ */
+export function createOrganization(token, organization) {
+  return organizationRequest("/admin/organizations", token, {
+    method: "POST",
+    body: organization,
+  });
+}
+
+/**
+ * Fetch an organization with its seat pools, members and invites (platform
+ * admins)
+ * @param {string} token - JWT token
+ * @param {string} orgId - Organization ID
+ * @returns {Promise<Object>} { organization, seatPools, members, invites }
+ */
+export async function fetchOrganizationDetails(token, orgId) {
+  const { data } = await organizationRequest(`/admin${orgPath(orgId)}`, token);
+  return data;
+}
+
+/**
+ * Add a pool of seats (platform admins)
+ * @param {string} token - JWT token
+ * @param {string} orgId - Organization ID
+ * @param {Object} pool - { scope, courseId, totalSeats }
+ * @returns {Promise<Object>} { message, data: seatPool }
+ */
+export function createSeatPool(token, orgId, pool) {
+  return organizationRequest(`/admin${orgPath(orgId, "/seat-pools")}`, token, {
+    method: "POST",
+    body: pool,
+  });
+}
+
+/**
+ * Change the size of a seat pool (platform admins)
+ * @param {string} token - JWT token
+ * @param {string} orgId - Organization ID
+ * @param {string} poolId - Seat pool ID
+ * @param {number} totalSeats - New pool size
+ * @returns {Promise<Object>} { message, data: seatPool }
+ */
+export function resizeSeatPool(token, orgId, poolId, totalSeats) {
+  return organizationRequest(
+    `/admin${orgPath(orgId, `/seat-pools/${encodeURIComponent(poolId)}`)}`,
+    token,
+    { method: "PATCH", body: { totalSeats } }
+  );
+}
@@ -0,0 +1,33 @@
+/**
+ * Password Policy API Service
+ * Reads the live password rules from the security policies
+ */
+
+const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL;
+
+// Policies rarely change, so reuse one request per page load
+let cachedRequest = null;
+
+/**
+ * Fetch the password policy and its requirements
+ * @returns {Promise<Object>} { passwordPolicy, requirements: [{ id, label }] }
+ */
+export async function fetchPasswordPolicy() {
+  if (!cachedRequest) {
+    cachedRequest = fetch(`${API_BASE_URL}/api/password-policy`, {
+      method: "GET",
+    })
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error("Failed to fetch password policy");
+        }
+        return response.json();
+      })
+      .catch((error) => {
+        cachedRequest = null;
+        throw error;
+      });
+  }
+
+  return cachedRequest;
+}
@@ -0,0 +1,23 @@
+/**
+ * Platform Status API Service
+ * Reads the public maintenance status exposed by the API
+ */
+
+const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL;
+
+/**
+ * Fetch the current platform status
+ * @returns {Promise<Object>} { status, maintenance, upcomingMaintenance, serverTime }
+ */
+export async function fetchPlatformStatus() {
+  const response = await fetch(`${API_BASE_URL}/api/status`, {
+    method: "GET",
+    cache: "no-store",
+  });
+
+  if (!response.ok) {
+    throw new Error("Failed to fetch platform status");
+  }
+
+  return response.json();
+}
@@ -0,0 +1,90 @@
+/**
+ * Quiz API Service
+ * Quiz lectures for the course's instructor, and graded attempts for
+ * enrolled learners
+ */
+
+import { fetchWithRefresh } from "@/utils/api";
+
+const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL;
+
+/**
+ * Send a request with the session cookie and surface the server's message and
+ * code on failure
+ */
+async function quizRequest(path, { method = "GET", body } = {}) {
+  const response = await fetchWithRefresh(
+    `${API_BASE_URL}/api/courses${path}`,
+    {
+      method,
+      credentials: "include",
+      headers: { "Content-Type": "application/json" },
+      ...(body && { body: JSON.stringify(body) }),
+    }
+  );
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    // Validation failures answer with { error }
+    const error = new Error(
+      data.message || data.error || "Quiz request failed"
+    );
+    error.code = data.code;
+    error.status = response.status;
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Add a quiz lecture to a course
+ * @param {string} courseId - Course ID
+ * @param {Object} quiz - { title, sectionId, passingScore, maxAttempts,
+ * shuffleQuestions, questions }
+ * @returns {Promise<Object>} Created quiz with its answer key
+ */
+export function createQuiz(courseId, quiz) {
+  return quizRequest(`/${courseId}/quizzes`, { method: "POST", body: quiz });
+}
+
+/**
+ * Replace a quiz's title, settings and questions
+ * @param {string} courseId - Course ID
+ * @param {string} lectureId - Quiz lecture ID
+ * @param {Object} quiz - { title, passingScore, maxAttempts,
+ * shuffleQuestions, questions }
+ * @returns {Promise<Object>} Updated quiz
+ */
+export function updateQuiz(courseId, lectureId, quiz) {
+  return quizRequest(`/${courseId}/quizzes/${lectureId}`, {
+    method: "PUT",
+    body: quiz,
+  });
+}
+
+/**
+ * Fetch a quiz. Instructors get the answer key; learners get the questions
+ * and their attempts so far.
+ * @param {string} courseId - Course ID
+ * @param {string} lectureId - Quiz lecture ID
+ * @returns {Promise<Object>} Quiz
+ */
+export function fetchQuiz(courseId, lectureId) {
+  return quizRequest(`/${courseId}/quizzes/${lectureId}`);
+}
+
+/**
+ * Submit answers for grading
+ * @param {string} courseId - Course ID
+ * @param {string} lectureId - Quiz lecture ID
+ * @param {Object} answers - Question ID to an option ID, option IDs for
+ * multi-select, or text for short answers
+ * @returns {Promise<Object>} { attempt, attempts, progress }
+ */
+export function submitQuizAttempt(courseId, lectureId, answers) {
+  return quizRequest(`/${courseId}/quizzes/${lectureId}/attempts`, {
+    method: "POST",
+    body: { answers },
+  });
+}
@@ -3,6 +3,8 @@
  * Handles all rating-related API calls
  */
 
+import { fetchWithRefresh } from "@/utils/api";
+
 const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL;
 
 /**
@@ -145,7 +147,7 @@ export async function submitRating(
 ) {
   const submitFn = async () => {
     try {
-      const response = await fetch(
+      const response = await fetchWithRefresh(
         `${API_BASE_URL}/api/courses/${courseId}/ratings`,
         {
           method: "POST",
@@ -210,7 +212,7 @@ export async function getCourseRatings(courseId, options = {}) {
  */
 export async function getMyRating(courseId, token) {
   try {
-    const response = await fetch(
+    const response = await fetchWithRefresh(
       `${API_BASE_URL}/api/courses/${courseId}/ratings/me`,
       {
         method: "GET",
@@ -241,7 +243,7 @@ export async function getMyRating(courseId, token) {
 export async function deleteRating(courseId, token, retry = true) {
   const deleteFn = async () => {
     try {
-      const response = await fetch(
+      const response = await fetchWithRefresh(
         `${API_BASE_URL}/api/courses/${courseId}/ratings`,
         {
           method: "DELETE",
@@ -301,7 +303,7 @@ export async function getInstructorRatings(token, courseId = null) {
     queryString ? `?${queryString}` : ""
   }`;
 
-  const response = await fetch(url, {
+  const response = await fetchWithRefresh(url, {
     method: "GET",
     headers: getAuthHeaders(token),
   });
@@ -0,0 +1,59 @@
+/**
+ * Sessions API Service
+ * Lists and signs out the current user's signed-in devices
+ */
+
+import { fetchWithRefresh } from "@/utils/api";
+
+const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL;
+
+/**
+ * Send an authenticated request and surface the server's message and code
+ * on failure
+ */
+async function sessionRequest(path, token, { method = "GET" } = {}) {
+  const response = await fetchWithRefresh(
+    `${API_BASE_URL}/api/sessions${path}`,
+    {
+      method,
+      credentials: "include",
+      headers: {
+        "Content-Type": "application/json",
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+    }
+  );
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(data.message || "Session request failed");
+    error.code = data.code;
+    error.status = response.status;
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Fetch the current user's active sessions
+ * @param {string} token - JWT token
+ * @returns {Promise<Array>} Sessions, most recently active first; the
+ * session making the request has current: true
+ */
+export async function fetchSessions(token) {
+  const { sessions } = await sessionRequest("", token);
+  return sessions || [];
+}
+
+/**
+ * Sign out one of the current user's sessions
+ * @param {string} token - JWT token
+ * @param {string} sessionId - Session to end
+ * @returns {Promise<Object>} { message, current }
+ */
+export function revokeSession(token, sessionId) {
+  return sessionRequest(`/${encodeURIComponent(sessionId)}`, token, {
+    method: "DELETE",
+  });
+}
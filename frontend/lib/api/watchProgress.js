@@ -0,0 +1,62 @@
+/**
+ * Watch Progress API Service
+ * Playback heartbeats from the video player and where each video lecture was
+ * left off, so learners resume on any device
+ */
+
+import { fetchWithRefresh } from "@/utils/api";
+
+const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL;
+
+/**
+ * Send a request with the session cookie and surface the server's message and
+ * code on failure
+ */
+async function watchRequest(path, { method = "GET", body } = {}) {
+  const response = await fetchWithRefresh(`${API_BASE_URL}/api/enroll${path}`, {
+    method,
+    credentials: "include",
+    headers: { "Content-Type": "application/json" },
+    // Heartbeats sent as the learner leaves the page should still arrive
+    keepalive: method !== "GET",
+    ...(body && { body: JSON.stringify(body) }),
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    // Validation failures answer with { error }
+    const error = new Error(
+      data.message || data.error || "Watch progress request failed"
+    );
+    error.code = data.code;
+    error.status = response.status;
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Fetch the last position and watched percentage of each video lecture
+ * @param {string} courseId - Course ID
+ * @returns {Promise<Object>} { completionThreshold, lectures: { [lectureId]:
+ * { position, watchedPercent } } }
+ */
+export function fetchWatchProgress(courseId) {
+  return watchRequest(`/${courseId}/watch`);
+}
+
+/**
+ * Report playback of a video lecture
+ * @param {string} courseId - Course ID
+ * @param {string} lectureId - Video lecture ID
+ * @param {Object} heartbeat - { position, duration, segments: [[start, end]] }
+ * in seconds
+ * @returns {Promise<Object>} { position, watchedPercent, completed, progress }
+ */
+export function sendWatchHeartbeat(courseId, lectureId, heartbeat) {
+  return watchRequest(`/${courseId}/watch/${lectureId}`, {
+    method: "PUT",
+    body: heartbeat,
+  });
+}
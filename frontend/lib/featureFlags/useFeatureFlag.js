@@ -0,0 +1,73 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { useSelector } from "react-redux";
+import { fetchFeatureFlags } from "@/lib/api/featureFlags";
+
+// Share one request per token between all components on the page
+let cachedToken;
+let cachedRequest = null;
+
+const loadFeatureFlags = (token) => {
+  if (!cachedRequest || cachedToken !== token) {
+    cachedToken = token;
+    cachedRequest = fetchFeatureFlags(token).catch((error) => {
+      cachedRequest = null;
+      throw error;
+    });
+  }
+  return cachedRequest;
+};
+
+/**
+ * Custom hook returning all feature flags for the current user
+ * @returns {Object} { flags, loading, error }
+ */
+export function useFeatureFlags() {
+  const { token } = useSelector((state) => state.auth);
+  const [flags, setFlags] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let isMounted = true;
+
+    setLoading(true);
+    loadFeatureFlags(token || null)
+      .then((result) => {
+        if (isMounted) {
+          setFlags(result);
+          setError(null);
+        }
+      })
+      .catch((err) => {
+        console.error("Error fetching feature flags:", err);
+        if (isMounted) {
+          setError(err.message);
+        }
+      })
+      .finally(() => {
+        if (isMounted) {
+          setLoading(false);
+        }
+      });
+
+    return () => {
+      isMounted = false;
+    };
+  }, [token]);
+
+  return { flags, loading, error };
+}
+
+/**
+ * Custom hook for a single feature flag
+ * @param {string} flagKey - Feature flag name, e.g. "enableCourseReviews"
+ * @returns {Object} { enabled, loading } - enabled is false until loaded
+ */
+export function useFeatureFlag(flagKey) {
+  const { flags, loading } = useFeatureFlags();
+  return { enabled: flags[flagKey] === true, loading };
+}
+
+export default useFeatureFlag;
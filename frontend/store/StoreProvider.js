@@ -2,10 +2,12 @@
 import { Provider } from "react-redux";
 import { PersistGate } from "redux-persist/integration/react";
 import { store, persistor } from "./store";
+import TokenRefresher from "@/app/_components/authComponent/TokenRefresher";
 
 export default function StoreProvider({ children }) {
   return (
     <Provider store={store}>
+      <TokenRefresher />
       {persistor ? (
         <PersistGate loading={null} persistor={persistor}>
           {children}
@@ -3,6 +3,8 @@
  * Handles session timeout, activity tracking, and admin-specific session logic
  */
 
+import { refreshAccessToken } from "@/utils/api";
+
 const ADMIN_SESSION_CONFIG = {
   ACTIVITY_TIMEOUT: 30 * 60 * 1000, // 30 minutes
   TOKEN_CHECK_INTERVAL: 5 * 60 * 1000, // 5 minutes
@@ -113,7 +115,10 @@ class AdminSessionManager {
 
       const currentTime = Date.now() / 1000;
       if (tokenPayload.exp && tokenPayload.exp < currentTime) {
-        this.handleSessionTimeout("token-expired");
+        // The next check verifies the refreshed token
+        await refreshAccessToken().catch(() =>
+          this.handleSessionTimeout("token-expired")
+        );
         return;
       }
 
@@ -1,9 +1,120 @@
 import { toast } from "react-toastify";
+import {
+  logout,
+  tokenRefreshed,
+  impersonationEnded,
+} from "@/features/auth/authSlice";
 
 export function api(route) {
   return `${process.env.NEXT_PUBLIC_API_URL}/api${route}`;
 }
 
+// One refresh at a time; concurrent callers share the same request
+let refreshRequest = null;
+
+/**
+ * Drop the stored token and sign out locally once the server has ended the
+ * session (logout elsewhere, idle timeout, admin sign-out)
+ */
+async function endLocalSession() {
+  // Loaded lazily so importing this module does not create the store
+  const { store } = await import("@/store/store");
+  localStorage.removeItem("token");
+  store.dispatch(logout());
+}
+
+/**
+ * Exchange the refresh token cookie for a new access token and store it.
+ * Signs the user out if the session has ended. The refresh token is always
+ * the admin's own, so this also ends any impersonation.
+ * @returns {Promise<string>} New access token
+ */
+export function refreshAccessToken() {
+  if (!refreshRequest) {
+    refreshRequest = (async () => {
+      const response = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/token/refresh`,
+        { method: "POST", credentials: "include" }
+      );
+
+      if (!response.ok) {
+        if (response.status === 401) {
+          await endLocalSession();
+        }
+        throw new Error("Your session has ended. Please log in again.");
+      }
+
+      const { token } = await response.json();
+      const { store } = await import("@/store/store");
+      localStorage.setItem("token", token);
+      store.dispatch(tokenRefreshed({ token }));
+      if (store.getState().auth?.impersonator) {
+        store.dispatch(impersonationEnded());
+      }
+      return token;
+    })().finally(() => {
+      refreshRequest = null;
+    });
+  }
+
+  return refreshRequest;
+}
+
+/**
+ * Fetch, refreshing the access token and retrying once if it has expired
+ * or its impersonation has ended. A revoked session signs the user out.
+ * A request that sent the old token in an Authorization header is retried
+ * with the new one.
+ */
+export async function fetchWithRefresh(url, options) {
+  const response = await fetch(url, options);
+  if (response.status !== 403) {
+    return response;
+  }
+
+  const { code } = await response
+    .clone()
+    .json()
+    .catch(() => ({}));
+  if (code === "SESSION_REVOKED") {
+    await endLocalSession();
+    return response;
+  }
+  if (code !== "TOKEN_EXPIRED" && code !== "IMPERSONATION_ENDED") {
+    return response;
+  }
+
+  let token;
+  try {
+    token = await refreshAccessToken();
+  } catch {
+    return response;
+  }
+  if (!options?.headers?.Authorization) {
+    return fetch(url, options);
+  }
+  return fetch(url, {
+    ...options,
+    headers: { ...options.headers, Authorization: `Bearer ${token}` },
+  });
+}
+
+/**
+ * End the current session (or every session of the user) on the server.
+ * Callers still clear the local auth state.
+ * @param {Object} options - { allDevices }
+ */
+export async function logoutSession({ allDevices = false } = {}) {
+  try {
+    await fetchWithRefresh(
+      `${process.env.NEXT_PUBLIC_API_URL}/api/${allDevices ? "logout-all" : "logout"}`,
+      { method: "POST", credentials: "include" }
+    );
+  } catch (error) {
+    console.error("Logout request failed:", error);
+  }
+}
+
 export async function handleApiResponse(
   response,
   onSuccessCallback,
@@ -21,16 +132,20 @@ export async function handleApiResponse(
     } else {
       const errorText = await response.text();
       let errorMessage = "Something went wrong. Please try again.";
+      let errorCode = null;
 
       try {
         const errorJson = JSON.parse(errorText);
         errorMessage = errorJson.message || errorMessage;
+        errorCode = errorJson.code || null;
       } catch {
         errorMessage = errorText || errorMessage;
       }
 
       const error = new Error(errorMessage);
       error.handled = true; // Mark as already handled to prevent duplicate toasts
+      error.code = errorCode; // Machine-readable code, e.g. PASSWORD_EXPIRED
+      error.status = response.status;
 
       if (onErrorCallback) {
         onErrorCallback(errorMessage);
@@ -71,12 +186,15 @@ export async function makePostRequest(
   onErrorCallback
 ) {
   try {
-    const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/${url}`, {
-      ...optionFields,
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(body),
-    });
+    const response = await fetchWithRefresh(
+      `${process.env.NEXT_PUBLIC_API_URL}/${url}`,
+      {
+        ...optionFields,
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      }
+    );
 
     return await handleApiResponse(
       response,
@@ -105,11 +223,14 @@ export async function makeGetRequest(
   onErrorCallback
 ) {
   try {
-    const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/${url}`, {
-      ...optionFields,
-      method: "GET",
-      headers: { "Content-Type": "application/json" },
-    });
+    const response = await fetchWithRefresh(
+      `${process.env.NEXT_PUBLIC_API_URL}/${url}`,
+      {
+        ...optionFields,
+        method: "GET",
+        headers: { "Content-Type": "application/json" },
+      }
+    );
 
     return await handleApiResponse(
       response,
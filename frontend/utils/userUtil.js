@@ -1,17 +1,26 @@
+// Roles that never reach the admin dashboard; every other role is a staff
+// role whose permissions are checked by the API
+const NON_STAFF_ROLES = ["instructor", "student"];
+
+export function isStaffRole(role) {
+  return Boolean(role) && !NON_STAFF_ROLES.includes(role);
+}
+
+export function hasPermission(user, permission) {
+  return user?.permissions?.includes(permission) === true;
+}
+
 export function returnPathByRole(role) {
-  const validRoles = ["instructor", "student", "admin", "super_admin"];
-  if (!validRoles.includes(role)) {
+  if (!role) {
     throw new Error("User is not authorized");
   }
   switch (role) {
     case "instructor":
       return "/instructor-dashboard";
-    case "admin":
-    case "super_admin":
-      return "/admin-dashboard";
     case "student":
       return "/student-dashboard";
     default:
-      return "/";
+      // admin, super_admin and custom staff roles
+      return "/admin-dashboard";
   }
 }